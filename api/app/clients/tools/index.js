@@ -18,6 +18,7 @@ const BaziAstrology = require('./structured/BaziAstrology');
 const DatabaseSchema = require('./structured/DatabaseSchema');
 const WritingAssistant = require('./structured/WritingAssistant');
 const WritingRAGAssistant = require('./structured/WritingRAGAssistant');
+const TextToSQL = require('./structured/TextToSQL');
 
 module.exports = {
   ...manifest,
@@ -39,4 +40,5 @@ module.exports = {
   DatabaseSchema,
   WritingAssistant,
   WritingRAGAssistant,
+  TextToSQL,
 };
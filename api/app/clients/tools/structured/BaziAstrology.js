@@ -1,8 +1,19 @@
 const { Tool } = require('@langchain/core/tools');
 const { z } = require('zod');
 const path = require('path');
-const fs = require('fs').promises;
 const { logger } = require('@aipyq/data-schemas');
+const {
+  resolveProjectRoot,
+  resolveTemplate,
+  renderTemplateFile,
+  loadTemplate: loadTemplateFile,
+} = require('../util/templates');
+const { calculateBazi, toTemplateVariables } = require('../util/almanac/bazi');
+const { parseGender } = require('../util/almanac/birth');
+const { calculateNatalChart, toNatalTemplateVariables } = require('../util/almanac/natal');
+const { resolveLocation } = require('../util/almanac/gazetteer');
+
+const VARIABLE_REFERENCE_PATH = 'specs/bazi-astrology-templates/variable-system/variable-reference.md';
 
 /**
  * BaziAstrology Tool - 生辰八字/星座分析工具
@@ -28,70 +39,40 @@ class BaziAstrology extends Tool {
     ]),
     arguments: z.string().optional().describe('Command arguments (e.g., birth information for generate command)'),
     analysis_type: z.string().optional().describe('Analysis type: bazi_chart (八字命盘), bazi_analysis (八字分析), forecast (运势预测), astrology (星座分析), combined (综合分析)'),
-    birth_time: z.string().optional().describe('Birth time (format: YYYY-MM-DD HH:mm or YYYY年MM月DD日 HH:mm)'),
+    birth_time: z.string().optional().describe('Birth time (format: YYYY-MM-DD HH:mm or YYYY年MM月DD日 HH:mm; prefix 农历 for lunar dates, e.g. 农历1990年四月廿六 未时)'),
     gender: z.string().optional().describe('Gender: male/female or 男/女'),
-    birth_location: z.string().optional().describe('Birth location (city name)'),
+    birth_location: z.string().optional().describe('Birth location (city name or 东经/北纬 coordinates, used for true solar time and the astrology ascendant/houses)'),
   });
 
   constructor(fields = {}) {
     super();
-    // 优先使用明确传入的 projectRoot，否则使用环境变量，最后回退到从 __dirname 计算
-    // 这样确保在容器环境中能正确找到项目根目录
-    this.projectRoot = fields.projectRoot 
-      || process.env.PROJECT_ROOT 
-      || path.resolve(__dirname, '../../../../');
+    this.projectRoot = resolveProjectRoot(fields);
     this.templatesDir = path.join(this.projectRoot, 'specs', 'bazi-astrology-templates');
+    // 当前用户，用于按角色/用户组过滤模板库
+    this.user = fields.req?.user;
     
     logger.debug(`[BaziAstrology] projectRoot = ${this.projectRoot}`);
     logger.debug(`[BaziAstrology] templatesDir = ${this.templatesDir}`);
   }
 
   /**
-   * Find repository root by looking for .git or .specify directory
-   */
-  async findRepoRoot(startPath = this.projectRoot) {
-    let currentPath = path.resolve(startPath);
-    const root = path.parse(currentPath).root;
-
-    while (currentPath !== root) {
-      const gitPath = path.join(currentPath, '.git');
-      const specifyPath = path.join(currentPath, '.specify');
-      
-      try {
-        const [gitExists, specifyExists] = await Promise.all([
-          fs.access(gitPath).then(() => true).catch(() => false),
-          fs.access(specifyPath).then(() => true).catch(() => false),
-        ]);
-
-        if (gitExists || specifyExists) {
-          return currentPath;
-        }
-      } catch (err) {
-        // Continue searching
-      }
-
-      currentPath = path.dirname(currentPath);
-    }
-
-    return this.projectRoot;
-  }
-
-  /**
-   * Load a template file
+   * Load a template, preferring the admin-managed template library over the bundled file
    */
   async loadTemplate(templatePath) {
-    // 直接使用 projectRoot，不再依赖 findRepoRoot()
-    // templatePath 已经是相对于项目根目录的路径，如：specs/bazi-astrology-templates/...
-    const fullPath = path.join(this.projectRoot, templatePath);
-
+    // templatePath 是相对于项目根目录的路径，如：specs/bazi-astrology-templates/...
     try {
-      return await fs.readFile(fullPath, 'utf-8');
+      return (
+        await resolveTemplate({
+          root: this.projectRoot,
+          tool: this.name,
+          templatePath,
+          user: this.user,
+        })
+      ).content;
     } catch (err) {
-      logger.error(`[BaziAstrology] 加载模板失败 - 完整路径: ${fullPath}`);
       logger.error(`[BaziAstrology] projectRoot: ${this.projectRoot}`);
-      logger.error(`[BaziAstrology] templatePath: ${templatePath}`);
-      logger.error(`[BaziAstrology] 错误: ${err.message}`);
-      throw new Error(`无法加载模板: ${templatePath} (完整路径: ${fullPath}, 错误: ${err.message})`);
+      logger.error(`[BaziAstrology] ${err.message}`);
+      throw err;
     }
   }
 
@@ -99,7 +80,6 @@ class BaziAstrology extends Tool {
    * Load command template
    */
   async loadCommandTemplate(commandType) {
-    // 直接使用 projectRoot，不再依赖 findRepoRoot()
     const commandTemplates = {
       bazi_generate: 'specs/bazi-astrology-templates/templates/commands/bazi-generate-command.md',
       bazi_analyze: 'specs/bazi-astrology-templates/templates/commands/bazi-analyze-command.md',
@@ -111,11 +91,10 @@ class BaziAstrology extends Tool {
       return null;
     }
 
-    const fullPath = path.join(this.projectRoot, templatePath);
     try {
-      return await fs.readFile(fullPath, 'utf-8');
+      return (await loadTemplateFile(this.projectRoot, templatePath)).content;
     } catch (err) {
-      logger.warn(`[BaziAstrology] 命令模板不存在: ${fullPath}`);
+      logger.warn(`[BaziAstrology] 命令模板不存在: ${err.message}`);
       return null;
     }
   }
@@ -191,6 +170,78 @@ class BaziAstrology extends Tool {
     return commandTypes[analysisType] || 'bazi_generate';
   }
 
+  /**
+   * 根据出生信息离线排八字、排星盘
+   * 星座分析只排星盘，综合分析两者都排；出生时间缺失时不计算，计算失败时记录错误，由 LLM 按原流程向用户询问
+   */
+  calculateChart(birthInfo, analysisType, now) {
+    if (!birthInfo.birth_time) {
+      return null;
+    }
+
+    const calculation = { chart: null, natal: null, variables: {}, errors: {} };
+    if (analysisType === 'astrology' || analysisType === 'combined') {
+      try {
+        calculation.natal = calculateNatalChart({
+          birthTime: birthInfo.birth_time,
+          location: birthInfo.birth_location,
+        });
+        Object.assign(calculation.variables, toNatalTemplateVariables(calculation.natal));
+      } catch (err) {
+        logger.warn(`[BaziAstrology] 星盘计算失败: ${err.message}`);
+        calculation.errors.natal = err.message;
+      }
+    }
+    if (analysisType !== 'astrology') {
+      try {
+        calculation.chart = calculateBazi({
+          birthTime: birthInfo.birth_time,
+          gender: birthInfo.gender,
+          location: birthInfo.birth_location,
+          now,
+        });
+        // 综合分析中「出生日期」等共用占位符以八字结果为准
+        Object.assign(calculation.variables, toTemplateVariables(calculation.chart, { analysisType, now }));
+      } catch (err) {
+        logger.warn(`[BaziAstrology] 八字计算失败: ${err.message}`);
+        calculation.errors.bazi = err.message;
+      }
+    }
+    return calculation;
+  }
+
+  /**
+   * 计算结果相关的返回字段：命盘、星盘、模板变量，以及在服务端预填的结果模板草稿
+   */
+  async buildChartResult(calculation, templatePath, extraVariables = {}) {
+    const calculated = Boolean(calculation && (calculation.chart || calculation.natal));
+    const errors = {};
+    if (calculation && !calculated) {
+      errors['出生日期'] = `无法排盘：${calculation.errors.bazi || calculation.errors.natal}`;
+    }
+    const variables = calculated ? { ...extraVariables, ...calculation.variables } : null;
+    const draft = await renderTemplateFile({
+      root: this.projectRoot,
+      tool: this.name,
+      templatePath,
+      user: this.user,
+      referencePath: VARIABLE_REFERENCE_PATH,
+      values: variables || extraVariables,
+      errors,
+    });
+
+    return {
+      bazi: calculated ? calculation.chart : null,
+      bazi_error: calculation ? calculation.errors.bazi : undefined,
+      natal: calculated ? calculation.natal : null,
+      natal_error: calculation ? calculation.errors.natal : undefined,
+      template_variables: variables,
+      result_template: draft.content,
+      placeholders: draft.placeholders,
+      clarifications: draft.clarifications,
+    };
+  }
+
   /**
    * Handle generate command
    */
@@ -241,6 +292,12 @@ class BaziAstrology extends Tool {
         gender: gender || this.extractGender(userInput),
         birth_location: birth_location || this.extractBirthLocation(userInput),
       };
+      const chartResult = await this.buildChartResult(
+        this.calculateChart(birthInfo, analysisType, now),
+        templatePath,
+        { 分析日期: dateStr },
+      );
+      const calculated = Boolean(chartResult.bazi || chartResult.natal);
 
       return JSON.stringify({
         success: true,
@@ -257,17 +314,28 @@ class BaziAstrology extends Tool {
           current_month: now.getMonth() + 1,
           current_day: now.getDate(),
         },
-        note: 'LLM 应该：1. 读取命令模板了解生成流程 2. 读取结果模板了解输出结构 3. 从用户输入中提取信息 4. 使用MCP工具计算八字或星座数据 5. 替换所有占位符 6. 生成最终分析报告',
+        bazi: chartResult.bazi,
+        bazi_error: chartResult.bazi_error,
+        natal: chartResult.natal,
+        natal_error: chartResult.natal_error,
+        template_variables: chartResult.template_variables,
+        placeholders: chartResult.placeholders,
+        clarifications: chartResult.clarifications,
+        note: calculated
+          ? 'LLM 应该：1. 读取命令模板了解生成流程 2. 读取结果模板了解输出结构 3. 直接使用 bazi 中已计算的四柱、十神、五行、大运流年及 natal 中已计算的行星落座、上升点、宫位与相位，不要自行推算 4. 结果模板已在服务端预填（templates.result_template），只需补全 placeholders.pending 中的解读类占位符 5. 生成最终分析报告'
+          : 'LLM 应该：1. 读取命令模板了解生成流程 2. 读取结果模板了解输出结构 3. 从用户输入中提取信息 4. 使用MCP工具计算八字或星座数据 5. 补全 placeholders.pending 中的占位符 6. 生成最终分析报告',
         templates: {
           command_template: commandTemplate ? commandTemplate.substring(0, 2000) + '...' : null,
-          result_template: template.substring(0, 2000) + '...',
+          result_template: chartResult.result_template,
         },
         instructions: [
           '1. 分析用户输入，提取关键信息（出生时间、性别、出生地点、分析需求等）',
-          '2. 如果信息不完整，向用户询问缺失信息',
-          '3. 根据分析类型，使用相应的MCP工具（八字命理工具或易经分析工具）进行计算',
+          '2. clarifications 不为空时，先向用户询问其中列出的缺失或无效信息',
+          calculated
+            ? '3. 八字/星盘已由工具离线计算（见 bazi、natal 字段，计算说明见各自的 notes），直接引用计算结果'
+            : '3. 根据分析类型，使用相应的MCP工具（八字命理工具或易经分析工具）进行计算',
           '4. 根据结果模板的结构，组织分析内容',
-          '5. 替换所有占位符（使用计算数据和从用户输入提取的信息）',
+          '5. 在预填的结果模板上补全 placeholders.pending 中的占位符（使用计算数据和从用户输入提取的信息）',
           '6. 确保所有必需部分都已填写',
           '7. 生成完整的分析报告',
         ],
@@ -288,6 +356,9 @@ class BaziAstrology extends Tool {
     const { 
       arguments: userInput, 
       analysis_type: providedType,
+      birth_time,
+      gender,
+      birth_location,
     } = args;
 
     if (!userInput || !userInput.trim()) {
@@ -319,16 +390,34 @@ class BaziAstrology extends Tool {
         }, null, 2);
       }
 
+      const birthInfo = {
+        birth_time: birth_time || this.extractBirthTime(userInput),
+        gender: gender || this.extractGender(userInput),
+        birth_location: birth_location || this.extractBirthLocation(userInput),
+      };
+      const chartResult = await this.buildChartResult(
+        this.calculateChart(birthInfo, finalType, new Date()),
+        templatePath,
+      );
+
       return JSON.stringify({
         success: true,
         message: '生辰八字/星座分析命令已识别。LLM 应该根据命令模板和结果模板进行深入分析。',
         user_input: userInput,
         analysis_type: finalType,
         template_path: templatePath,
-        note: 'LLM 应该：1. 读取命令模板了解分析流程 2. 读取结果模板了解分析结构 3. 基于已有的八字命盘或星座信息进行深入分析 4. 替换所有占位符 5. 生成详细的分析报告',
+        birth_info: birthInfo,
+        bazi: chartResult.bazi,
+        bazi_error: chartResult.bazi_error,
+        natal: chartResult.natal,
+        natal_error: chartResult.natal_error,
+        template_variables: chartResult.template_variables,
+        placeholders: chartResult.placeholders,
+        clarifications: chartResult.clarifications,
+        note: 'LLM 应该：1. 读取命令模板了解分析流程 2. 读取结果模板了解分析结构 3. 基于已有的八字命盘或星座信息进行深入分析（有 bazi、natal 字段时直接使用其中的计算结果） 4. 在预填的结果模板上补全 placeholders.pending 中的占位符 5. 生成详细的分析报告',
         templates: {
           command_template: commandTemplate ? commandTemplate.substring(0, 2000) + '...' : null,
-          result_template: template.substring(0, 2000) + '...',
+          result_template: chartResult.result_template,
         },
         instructions: [
           '1. 分析用户的问题和需求',
@@ -336,7 +425,7 @@ class BaziAstrology extends Tool {
           '3. 如果没有基础信息，需要先生成八字命盘或星座信息',
           '4. 根据分析类型，进行相应的深入分析（性格、事业、财运、感情、健康、运势等）',
           '5. 按照结果模板的结构组织分析内容',
-          '6. 替换所有占位符',
+          '6. 补全 placeholders.pending 中的占位符；clarifications 不为空时先向用户确认',
           '7. 提供具体、实用的建议',
           '8. 生成完整的分析报告',
         ],
@@ -416,11 +505,16 @@ class BaziAstrology extends Tool {
       return null;
     }
 
-    // Try to match various date formats
+    // Try to match various date formats (农历日期、时辰、上午/下午写法一并截取)
+    const timePattern =
+      /(?:\s*(?:上午|下午|中午|晚上|凌晨|早上|傍晚)?\s*\d{1,2}\s*(?:[:：]\s*\d{1,2}|[点时](?:\s*\d{1,2}\s*分?|半)?)|\s*[子丑寅卯辰巳午未申酉戌亥]时)?/
+        .source;
     const datePatterns = [
-      /(\d{4})[年\-/](\d{1,2})[月\-/](\d{1,2})[日\s]*(\d{1,2})[:：]?(\d{2})?/,
-      /(\d{4})[年\-/](\d{1,2})[月\-/](\d{1,2})[日]/,
-      /(\d{4})[\-/](\d{1,2})[\-/](\d{1,2})/,
+      new RegExp(
+        /(?:农历|阴历)\s*\d{4}\s*年\s*闰?\s*[正冬腊一二三四五六七八九十\d]{1,2}\s*月\s*[初十廿三二一四五六七八九\d]{1,2}[日号]?/
+          .source + timePattern,
+      ),
+      new RegExp(/\d{4}\s*[年\-/.]\s*\d{1,2}\s*[月\-/.]\s*\d{1,2}\s*[日号]?/.source + timePattern),
     ];
 
     for (const pattern of datePatterns) {
@@ -441,15 +535,7 @@ class BaziAstrology extends Tool {
       return null;
     }
 
-    const input = userInput.toLowerCase();
-    if (input.includes('男') || input.includes('male') || input.includes('m')) {
-      return 'male';
-    }
-    if (input.includes('女') || input.includes('female') || input.includes('f')) {
-      return 'female';
-    }
-
-    return null;
+    return parseGender(userInput);
   }
 
   /**
@@ -460,16 +546,9 @@ class BaziAstrology extends Tool {
       return null;
     }
 
-    // Try to match location patterns (city names, etc.)
-    // This is a simple implementation, can be enhanced
-    const locationKeywords = ['北京', '上海', '广州', '深圳', '杭州', '成都', '武汉', '西安', '南京', '重庆'];
-    for (const keyword of locationKeywords) {
-      if (userInput.includes(keyword)) {
-        return keyword;
-      }
-    }
-
-    return null;
+    // 在内置地名库中查找城市名或经纬度
+    const location = resolveLocation(userInput);
+    return location ? location.name : null;
   }
 
   async _call(args) {
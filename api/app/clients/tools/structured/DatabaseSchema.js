@@ -2,12 +2,19 @@ const { Tool } = require('@langchain/core/tools');
 const { z } = require('zod');
 const axios = require('axios');
 const { logger } = require('@aipyq/data-schemas');
+const {
+  SQLGuardError,
+  SQLGuardErrorCode,
+  isTableAllowed,
+  resolveGuardOptions,
+} = require('../util/sqlGuard');
 
 /**
  * Database Schema Tool - 获取数据库表结构信息
  *
  * 从 SQL API 服务器获取数据库的完整表结构信息，包括表名、列名、数据类型、索引等。
  * 用于在生成 SQL 查询前了解数据库结构。
+ * 智能体配置了 sql_guard.allowed_tables 时，只返回白名单中的表。
  */
 class DatabaseSchema extends Tool {
   name = 'database_schema';
@@ -25,6 +32,25 @@ class DatabaseSchema extends Tool {
   constructor(fields = {}) {
     super();
     this.apiUrl = fields.apiUrl || process.env.SQL_API_URL || 'http://localhost:3001';
+    this.guardOptions = resolveGuardOptions(fields.sqlGuard);
+  }
+
+  /**
+   * 按智能体的表白名单过滤 Schema（未配置白名单时原样返回）
+   */
+  filterSchema(schemaData) {
+    const { allowedTables } = this.guardOptions;
+    if (allowedTables.length === 0 || !schemaData.schema) {
+      return schemaData;
+    }
+
+    const schema = {};
+    for (const [tableName, tableInfo] of Object.entries(schemaData.schema)) {
+      if (isTableAllowed(tableName, allowedTables)) {
+        schema[tableName] = tableInfo;
+      }
+    }
+    return { ...schemaData, schema };
   }
 
   /**
@@ -157,8 +183,16 @@ class DatabaseSchema extends Tool {
     const { table, format = 'detailed' } = input;
 
     try {
+      const { allowedTables } = this.guardOptions;
+      if (table && allowedTables.length > 0 && !isTableAllowed(table, allowedTables)) {
+        throw new SQLGuardError(SQLGuardErrorCode.TABLE_NOT_ALLOWED, `不允许访问表: ${table}`, {
+          hint: `只能查询以下表: ${allowedTables.join(', ')}`,
+          details: { tables: [table], allowed_tables: allowedTables },
+        });
+      }
+
       // 获取Schema
-      const schemaData = await this.getSchema(table);
+      const schemaData = this.filterSchema(await this.getSchema(table));
 
       // 根据格式返回
       if (format === 'semantic') {
@@ -190,6 +224,10 @@ class DatabaseSchema extends Tool {
         );
       }
     } catch (error) {
+      if (error instanceof SQLGuardError) {
+        return JSON.stringify({ ...error.toToolResult(), table });
+      }
+
       logger.error('[DatabaseSchema] 获取Schema失败', {
         table,
         error: error.message,
@@ -3,6 +3,17 @@ const { z } = require('zod');
 const path = require('path');
 const fs = require('fs').promises;
 const { logger } = require('@aipyq/data-schemas');
+const {
+  resolveProjectRoot,
+  resolveTemplate,
+  renderTemplateFile,
+  listLibraryTemplates,
+  loadTemplate: loadTemplateFile,
+} = require('../util/templates');
+const { getMomentsService } = require('~/server/services/MomentsService');
+
+const VARIABLE_REFERENCE_PATH =
+  'specs/social-media-templates/templates/variable-system/variable-reference.md';
 
 /**
  * SocialMedia Tool - 朋友圈内容生成工具
@@ -11,13 +22,15 @@ const { logger } = require('@aipyq/data-schemas');
  * - /social.generate - Generate a social media post based on user input
  * - /social.templates - List available templates
  * - /social.format - Format existing content according to guidelines
+ * - /social.compose - Compose a multi-image post (image grid + caption variants) from uploaded images
  */
 class SocialMedia extends Tool {
   name = 'social';
   description =
     '朋友圈内容生成工具，根据用户输入使用模板系统生成规范的朋友圈内容。' +
     'Commands: generate (根据用户输入生成朋友圈内容), templates (列出可用模板), ' +
-    'format (根据格式规范格式化内容). ' +
+    'format (根据格式规范格式化内容), ' +
+    'compose (用上传的 2-9 张图片合成朋友圈拼图，并生成提问式、感叹式、分享式三种文案). ' +
     'Use command name and provide arguments as needed.';
 
   schema = z.object({
@@ -25,71 +38,52 @@ class SocialMedia extends Tool {
       'generate',
       'templates',
       'format',
+      'compose',
     ]),
     arguments: z.string().optional().describe('Command arguments (e.g., content description for generate command)'),
-    scenario: z.string().optional().describe('Scenario type: food, travel, event, achievement, daily, or general'),
+    scenario: z.string().optional().describe('Scenario type: food, travel, event, achievement, daily, or general, or a scenario tag from the template library'),
+    template_id: z.string().optional().describe('Template library ID returned by the templates command; takes precedence over scenario'),
     style: z.string().optional().describe('Content style: casual, formal, enthusiastic, etc.'),
+    image_file_ids: z.array(z.string()).optional().describe('For compose: file IDs of the uploaded images in display order (2-9). Defaults to the images attached to the current message'),
+    layout: z.enum(['grid', 'collage', 'storyboard', 'mosaic']).optional().describe('For compose: grid layout; recommended from the image count and scenario when omitted'),
+    theme: z.enum(['white', 'cream', 'dark', 'mint', 'pink']).optional().describe('For compose: colour theme of the grid; recommended from the scenario when omitted'),
   });
 
   constructor(fields = {}) {
     super();
-    // 优先使用明确传入的 projectRoot，否则使用环境变量，最后回退到从 __dirname 计算
-    // 这样确保在容器环境中能正确找到项目根目录
-    this.projectRoot = fields.projectRoot 
-      || process.env.PROJECT_ROOT 
-      || path.resolve(__dirname, '../../../../');
+    this.projectRoot = resolveProjectRoot(fields);
     this.templatesDir = path.join(this.projectRoot, 'specs', 'social-media-templates');
+    // 当前用户，用于按角色/用户组过滤模板库
+    this.user = fields.req?.user;
+    // 当前请求，compose 命令据此读取用户上传的图片并保存拼图
+    this.req = fields.req;
+    // 当前智能体，模型支持图片输入时 compose 命令用它看图和写文案
+    this.agent = fields.agent;
     
     logger.debug(`[SocialMedia] projectRoot = ${this.projectRoot}`);
     logger.debug(`[SocialMedia] templatesDir = ${this.templatesDir}`);
   }
 
   /**
-   * Find repository root by looking for .git or .specify directory
+   * Load a template, preferring the admin-managed template library over the bundled file
    */
-  async findRepoRoot(startPath = this.projectRoot) {
-    let currentPath = path.resolve(startPath);
-    const root = path.parse(currentPath).root;
-
-    while (currentPath !== root) {
-      const gitPath = path.join(currentPath, '.git');
-      const specifyPath = path.join(currentPath, '.specify');
-      
-      try {
-        const [gitExists, specifyExists] = await Promise.all([
-          fs.access(gitPath).then(() => true).catch(() => false),
-          fs.access(specifyPath).then(() => true).catch(() => false),
-        ]);
-
-        if (gitExists || specifyExists) {
-          return currentPath;
-        }
-      } catch (err) {
-        // Continue searching
-      }
-
-      currentPath = path.dirname(currentPath);
-    }
-
-    return this.projectRoot;
-  }
-
-  /**
-   * Load a template file
-   */
-  async loadTemplate(templatePath) {
-    // 直接使用 projectRoot，不再依赖 findRepoRoot()
-    // templatePath 已经是相对于项目根目录的路径，如：specs/social-media-templates/...
-    const fullPath = path.join(this.projectRoot, templatePath);
-
+  async loadTemplate(templatePath, { scenario, templateId } = {}) {
+    // templatePath 是相对于项目根目录的路径，如：specs/social-media-templates/...
     try {
-      return await fs.readFile(fullPath, 'utf-8');
+      return (
+        await resolveTemplate({
+          root: this.projectRoot,
+          tool: this.name,
+          templateId,
+          scenario,
+          templatePath,
+          user: this.user,
+        })
+      ).content;
     } catch (err) {
-      logger.error(`[SocialMedia] 加载模板失败 - 完整路径: ${fullPath}`);
       logger.error(`[SocialMedia] projectRoot: ${this.projectRoot}`);
-      logger.error(`[SocialMedia] templatePath: ${templatePath}`);
-      logger.error(`[SocialMedia] 错误: ${err.message}`);
-      throw new Error(`无法加载模板: ${templatePath} (完整路径: ${fullPath}, 错误: ${err.message})`);
+      logger.error(`[SocialMedia] ${err.message}`);
+      throw err;
     }
   }
 
@@ -97,11 +91,10 @@ class SocialMedia extends Tool {
    * Load command template
    */
   async loadCommandTemplate() {
-    // 直接使用 projectRoot，不再依赖 findRepoRoot()
-    const templatePath = path.join(this.projectRoot, 'specs', 'social-media-templates', 'commands', 'generate-social-post.md');
+    const templatePath = 'specs/social-media-templates/commands/generate-social-post.md';
 
     try {
-      return await fs.readFile(templatePath, 'utf-8');
+      return (await loadTemplateFile(this.projectRoot, templatePath)).content;
     } catch (err) {
       logger.error(`[SocialMedia] 加载命令模板失败: ${templatePath}`);
       throw new Error(`命令模板不存在: ${templatePath} (错误: ${err.message})`);
@@ -164,7 +157,6 @@ class SocialMedia extends Tool {
    * Load format guides
    */
   async loadFormatGuides() {
-    // 直接使用 projectRoot，不再依赖 findRepoRoot()
     const guidesDir = path.join(this.projectRoot, 'specs', 'social-media-templates', 'templates', 'format-guides');
 
     try {
@@ -189,7 +181,7 @@ class SocialMedia extends Tool {
    * Handle generate command
    */
   async handleGenerate(args) {
-    const { arguments: userInput, scenario: providedScenario, style } = args;
+    const { arguments: userInput, scenario: providedScenario, style, template_id: templateId } = args;
 
     if (!userInput || !userInput.trim()) {
       return JSON.stringify({
@@ -203,48 +195,65 @@ class SocialMedia extends Tool {
       const scenario = providedScenario || this.detectScenario(userInput);
       const templatePath = this.getTemplatePath(scenario);
 
-      // Load templates and guides
-      const [template, commandTemplate, formatGuides] = await Promise.all([
-        this.loadTemplate(templatePath).catch(() => null),
+      // Get current date/time for dynamic variables
+      const now = new Date();
+      const dateStr = now.toLocaleDateString('zh-CN', { year: 'numeric', month: 'long', day: 'numeric' });
+      const timeStr = now.toLocaleTimeString('zh-CN', { hour: '2-digit', minute: '2-digit' });
+      const weekDay = ['星期日', '星期一', '星期二', '星期三', '星期四', '星期五', '星期六'][now.getDay()];
+
+      // 服务端预填动态变量与用户描述，其余占位符留给 LLM 补全
+      // 模板优先取模板库（template_id → 场景标签 → 内置路径），未命中时使用内置模板文件
+      const [draft, commandTemplate, formatGuides] = await Promise.all([
+        renderTemplateFile({
+          root: this.projectRoot,
+          tool: this.name,
+          templateId,
+          scenario,
+          templatePath,
+          user: this.user,
+          referencePath: VARIABLE_REFERENCE_PATH,
+          argumentsText: userInput,
+          now,
+        }).catch((err) => {
+          logger.error(`[SocialMedia] ${err.message}`);
+          return null;
+        }),
         this.loadCommandTemplate().catch(() => null),
         this.loadFormatGuides(),
       ]);
 
-      if (!template) {
+      if (!draft) {
         return JSON.stringify({
           success: false,
-          error: `无法加载模板: ${templatePath}`,
+          error: `无法加载模板: ${templateId || templatePath}`,
         }, null, 2);
       }
 
-      // Get current date/time for dynamic variables
-      const now = new Date();
-      const dateStr = now.toLocaleDateString('zh-CN', { year: 'numeric', month: 'long', day: 'numeric' });
-      const timeStr = now.toLocaleTimeString('zh-CN', { hour: '2-digit', minute: '2-digit' });
-      const weekDay = ['星期日', '星期一', '星期二', '星期三', '星期四', '星期五', '星期六'][now.getDay()];
-
       return JSON.stringify({
         success: true,
         message: '朋友圈内容生成命令已识别。LLM 应该根据命令模板和场景模板生成内容。',
         user_input: userInput,
         detected_scenario: scenario,
-        template_path: templatePath,
+        template_path: draft.template_path,
+        template_source: draft.template_source,
         style: style || 'casual',
         dynamic_variables: {
           date: dateStr,
           time: timeStr,
           weekDay: weekDay,
         },
-        note: 'LLM 应该：1. 读取命令模板了解生成流程 2. 读取场景模板了解内容结构 3. 从用户输入中提取信息 4. 替换所有占位符 5. 应用格式规范 6. 生成最终内容',
+        placeholders: draft.placeholders,
+        clarifications: draft.clarifications,
+        note: 'LLM 应该：1. 读取命令模板了解生成流程 2. 场景模板已在服务端预填（templates.scenario_template），了解内容结构 3. 从用户输入中提取信息 4. 补全 placeholders.pending 中的占位符 5. 应用格式规范 6. 生成最终内容',
         templates: {
           command_template: commandTemplate ? commandTemplate.substring(0, 2000) + '...' : null,
-          scenario_template: template.substring(0, 2000) + '...',
+          scenario_template: draft.content,
           format_guides: formatGuides,
         },
         instructions: [
           '1. 分析用户输入，提取关键信息（时间、地点、人物、事件、感受等）',
           '2. 根据场景模板的结构，组织内容',
-          '3. 替换所有占位符（使用动态变量和从用户输入提取的信息）',
+          '3. 在预填的场景模板上补全 placeholders.pending 中的占位符（使用从用户输入提取的信息）',
           '4. 应用格式规范（文本格式、表情符号、话题标签）',
           '5. 生成完整的朋友圈内容',
           '6. 提供可直接发布的内容',
@@ -264,7 +273,6 @@ class SocialMedia extends Tool {
    */
   async handleTemplates(args) {
     try {
-      // 直接使用 projectRoot，不再依赖 findRepoRoot()
       const templatesDir = path.join(this.projectRoot, 'specs', 'social-media-templates', 'templates');
 
       const templates = {
@@ -300,16 +308,20 @@ class SocialMedia extends Tool {
         },
       };
 
+      // 管理员在模板库中维护的模板，同场景时优先于内置模板
+      const libraryTemplates = await listLibraryTemplates({ tool: this.name, user: this.user });
+
       return JSON.stringify({
         success: true,
         message: '可用模板列表',
         templates,
+        library_templates: libraryTemplates,
         format_guides: [
           'text-formatting.md - 文本格式规范',
           'image-guidelines.md - 图片使用指南',
           'hashtag-rules.md - 话题标签规则',
         ],
-        usage: '使用 /social.generate 命令并指定 scenario 参数来选择特定模板，或让系统自动检测',
+        usage: '使用 /social.generate 命令并指定 scenario 参数来选择特定模板（或用 template_id 选择 library_templates 中的模板），或让系统自动检测；用户上传了图片时使用 /social.compose 合成多图朋友圈',
       }, null, 2);
     } catch (err) {
       return JSON.stringify({
@@ -357,6 +369,69 @@ class SocialMedia extends Tool {
     }
   }
 
+  /**
+   * Handle compose command - 多图朋友圈：看图、合成拼图并生成三种互动文案
+   */
+  async handleCompose(args) {
+    const {
+      arguments: keywords,
+      scenario,
+      style,
+      layout,
+      theme,
+      template_id: templateId,
+      image_file_ids: imageFileIds,
+    } = args;
+
+    if (!this.req?.user) {
+      return JSON.stringify({
+        success: false,
+        error: '缺少请求上下文，无法读取上传的图片。',
+      }, null, 2);
+    }
+
+    // 未指定图片时使用本条消息附带的图片
+    const fileIds = imageFileIds?.length
+      ? imageFileIds
+      : (this.req.body?.files ?? [])
+        .filter((file) => file.type?.startsWith('image/'))
+        .map((file) => file.file_id);
+
+    try {
+      const moments = await getMomentsService().compose({
+        req: this.req,
+        agent: this.agent,
+        fileIds,
+        keywords,
+        layout,
+        theme,
+        scenario,
+        style,
+        // 场景模板作为文案结构参考，优先取模板库
+        getTemplate: (detectedScenario) =>
+          this.loadTemplate(this.getTemplatePath(detectedScenario), {
+            scenario: detectedScenario,
+            templateId,
+          }),
+      });
+
+      return JSON.stringify({
+        success: true,
+        message: '朋友圈拼图已生成，界面会展示拼图预览，并提供切换文案、重新生成文案和复制功能。',
+        moments,
+        note: moments.captions.length > 0
+          ? 'LLM 应该：1. 简要说明所用布局与配色 2. 列出 captions 中的三种文案供用户选择 3. 有 quality_warnings 时提醒用户更换图片 4. 不要在回复中重复拼图链接'
+          : 'LLM 应该：1. 没有可用的看图模型，根据用户描述和所见图片自行写出提问式、感叹式、分享式三种文案 2. 简要说明所用布局与配色 3. 不要在回复中重复拼图链接',
+      }, null, 2);
+    } catch (err) {
+      logger.error('[SocialMedia] compose error:', err);
+      return JSON.stringify({
+        success: false,
+        error: `生成朋友圈拼图时出错: ${err.message}`,
+      }, null, 2);
+    }
+  }
+
   async _call(args) {
     const startTime = Date.now();
     try {
@@ -382,6 +457,9 @@ class SocialMedia extends Tool {
         case 'format':
           result = await this.handleFormat(fullArgs);
           break;
+        case 'compose':
+          result = await this.handleCompose(fullArgs);
+          break;
         default:
           result = JSON.stringify({
             success: false,
@@ -5,6 +5,11 @@ const { exec } = require('child_process');
 const { promisify } = require('util');
 const fs = require('fs').promises;
 const { logger } = require('@aipyq/data-schemas');
+const {
+  findRepoRoot,
+  renderTemplate,
+  loadTemplate: loadTemplateFile,
+} = require('../util/templates');
 
 const execAsync = promisify(exec);
 
@@ -68,30 +73,7 @@ class Speckit extends Tool {
    * Find repository root by looking for .git or .specify directory
    */
   async findRepoRoot(startPath = this.projectRoot) {
-    let currentPath = path.resolve(startPath);
-    const root = path.parse(currentPath).root;
-
-    while (currentPath !== root) {
-      const gitPath = path.join(currentPath, '.git');
-      const specifyPath = path.join(currentPath, '.specify');
-      
-      try {
-        const [gitExists, specifyExists] = await Promise.all([
-          fs.access(gitPath).then(() => true).catch(() => false),
-          fs.access(specifyPath).then(() => true).catch(() => false),
-        ]);
-
-        if (gitExists || specifyExists) {
-          return currentPath;
-        }
-      } catch (err) {
-        // Continue searching
-      }
-
-      currentPath = path.dirname(currentPath);
-    }
-
-    return this.projectRoot;
+    return findRepoRoot(startPath, this.projectRoot);
   }
 
   /**
@@ -170,7 +152,7 @@ class Speckit extends Tool {
       : path.join(repoRoot, '.specify', 'templates', templateName);
 
     try {
-      return await fs.readFile(templatePath, 'utf-8');
+      return (await loadTemplateFile(repoRoot, templatePath)).content;
     } catch (err) {
       throw new Error(`Template not found: ${templatePath}`);
     }
@@ -185,7 +167,7 @@ class Speckit extends Tool {
     const templatePath = path.join(repoRoot, '.specify', 'templates', 'commands', `${commandName}.md`);
 
     try {
-      return await fs.readFile(templatePath, 'utf-8');
+      return (await loadTemplateFile(repoRoot, templatePath)).content;
     } catch (err) {
       throw new Error(`Command template not found: ${templatePath}`);
     }
@@ -199,7 +181,7 @@ class Speckit extends Tool {
     const templatePath = path.join(repoRoot, '.specify', 'spec4spec', 'cmds', `${commandName}.md`);
 
     try {
-      return await fs.readFile(templatePath, 'utf-8');
+      return (await loadTemplateFile(repoRoot, templatePath)).content;
     } catch (err) {
       throw new Error(`Spec4Spec command template not found: ${templatePath}`);
     }
@@ -245,6 +227,14 @@ class Speckit extends Tool {
                          currentSpecContent.includes('[日期]') ||
                          currentSpecContent.includes('[FEATURE NAME]');
 
+      // Pre-fill the placeholders the server already knows (date, branch, user description)
+      const draft = isTemplate
+        ? renderTemplate(currentSpecContent, {
+            values: { '###-feature-name': result.BRANCH_NAME },
+            argumentsText: description,
+          })
+        : null;
+
       return JSON.stringify({
         success: true,
         message: isTemplate 
@@ -259,7 +249,8 @@ class Speckit extends Tool {
           'The spec.md file has been created but contains only template placeholders.',
           'You MUST read the spec.md file, load the command template instructions,',
           'and fill in the template with actual content based on the user description: "' + description + '"',
-          'Replace all placeholders like [功能名称], [###-feature-name], [日期] with real values.',
+          'Start from spec_draft: the date, branch name and user description are already filled in.',
+          'Replace the remaining placeholders listed in placeholders.pending (e.g. [功能名称]) with real values.',
           'Follow the instructions in the command template to create a complete specification.',
           'After filling, use /speckit.write_file command to write the complete content back to the spec_file path.',
           'Example: /speckit.write_file with file_path="' + result.SPEC_FILE + '" and content="[filled content]"',
@@ -267,6 +258,8 @@ class Speckit extends Tool {
           'Review the spec.md file',
           'Run /speckit.plan to create an implementation plan',
         ],
+        spec_draft: draft ? draft.content : undefined,
+        placeholders: draft ? draft.placeholders : undefined,
         command_template: commandTemplate, // Full template, not preview
         spec_template_structure: specTemplate.substring(0, 500) + '...', // Structure preview
       }, null, 2);
@@ -0,0 +1,433 @@
+const { Tool } = require('@langchain/core/tools');
+const { z } = require('zod');
+const jwt = require('jsonwebtoken');
+const { logger } = require('@aipyq/data-schemas');
+const {
+  SQLGuardError,
+  SQLGuardErrorCode,
+  validateSQL,
+  isTableAllowed,
+  resolveGuardOptions,
+  toGuardError,
+} = require('../util/sqlGuard');
+
+// 动态导入 RAG 服务
+let RAGService;
+let KnowledgeType;
+try {
+  RAGService = require('~/server/services/RAG/RAGService');
+  try {
+    KnowledgeType = require('@aipyq/data-schemas/schema/knowledgeBase').KnowledgeType;
+  } catch (e) {
+    try {
+      KnowledgeType =
+        require('../../../../packages/data-schemas/src/schema/knowledgeBase').KnowledgeType;
+    } catch (e2) {
+      // 回退定义
+      KnowledgeType = {
+        SEMANTIC_MODEL: 'semantic_model',
+        QA_PAIR: 'qa_pair',
+        SYNONYM: 'synonym',
+        BUSINESS_KNOWLEDGE: 'business_knowledge',
+        FILE: 'file',
+      };
+    }
+  }
+} catch (error) {
+  logger.warn('[TextToSQL] RAG服务未找到，知识检索将不可用:', error.message);
+  KnowledgeType = KnowledgeType || {
+    SEMANTIC_MODEL: 'semantic_model',
+    QA_PAIR: 'qa_pair',
+    SYNONYM: 'synonym',
+    BUSINESS_KNOWLEDGE: 'business_knowledge',
+    FILE: 'file',
+  };
+}
+
+// 只读数据源连接池（按连接串复用，避免每次构造工具都新建连接池）
+const pools = new Map();
+// 第一步检索上下文的有效期，过期后需重新检索
+const CONTEXT_TOKEN_TTL = '30m';
+
+/**
+ * Text-to-SQL Tool - 基于知识库语义模型的问数工具
+ *
+ * 两阶段调用：
+ * 1. 只传 question：通过 RAGService 检索相关的语义模型、QA对和同义词，返回可用表及上下文，
+ *    由 LLM 基于这些信息生成 SQL；同时返回签名的 context_token，记录本次检索得到的可用表和知识条目
+ * 2. 传 question + sql + context_token：不再重新检索，按第一步的可用表经 SQL 守卫校验
+ *    （只读、只引用检索到的语义模型中的表、自动 LIMIT）后，在只读事务中执行并返回结果
+ *
+ * 智能体配置了 sql_guard.allowed_tables 时，可用表为语义模型表与白名单的交集
+ */
+class TextToSQL extends Tool {
+  name = 'text_to_sql';
+  description =
+    '基于知识库语义模型的问数工具（Text-to-SQL）。' +
+    '第一步只传 question：检索相关的语义模型、QA对和同义词，返回允许使用的表（allowed_tables）及其字段、维度、度量。' +
+    '第二步传 question、基于上述上下文生成的 sql 以及第一步返回的 context_token：工具会校验 SQL 只引用 allowed_tables 中的表，' +
+    '并在只读数据源上执行，返回查询结果、执行的 SQL 以及使用的知识条目。只支持单条 SELECT 查询，' +
+    '未指定 LIMIT 时会自动追加。校验失败时返回 error_code 和 hint，按 hint 修正 SQL 后重试。';
+
+  schema = z.object({
+    question: z.string().describe('用户的自然语言问题'),
+    sql: z
+      .string()
+      .optional()
+      .describe(
+        '基于第一步返回的语义模型生成的 SQL（只能使用 allowed_tables 中的表）。不提供时只返回检索上下文',
+      ),
+    context_token: z.string().optional().describe('第一步返回的 context_token，传 sql 时必填'),
+    entity_id: z.string().optional().describe('可选：数据源实体ID，用于限定检索的知识范围'),
+    top_k: z.number().optional().describe('检索的知识条目数量（默认10）'),
+  });
+
+  constructor(fields = {}) {
+    super();
+    this.userId = fields.userId;
+    this.connectionString = fields.connectionString || process.env.TEXT_TO_SQL_DATABASE_URL;
+    // 智能体的 SQL 守卫配置（表白名单、最大行数、语句超时）
+    this.guardOptions = resolveGuardOptions(fields.sqlGuard);
+
+    if (RAGService) {
+      this.ragService = new RAGService();
+    } else {
+      this.ragService = null;
+      logger.warn('[TextToSQL] RAG服务未初始化，知识检索将不可用');
+    }
+  }
+
+  /**
+   * 检索与问题相关的语义模型、QA对和同义词
+   * @param {Object} params
+   * @param {string} params.question - 用户问题
+   * @param {string} [params.entityId] - 数据源实体ID
+   * @param {number} [params.topK] - 检索数量
+   * @returns {Promise<Array>} 格式化后的检索结果
+   */
+  async retrieveKnowledge({ question, entityId, topK = 10 }) {
+    if (!this.ragService) {
+      throw new Error('RAG服务未初始化，无法检索语义模型');
+    }
+
+    const response = await this.ragService.query({
+      query: question,
+      userId: this.userId,
+      options: {
+        types: [KnowledgeType.SEMANTIC_MODEL, KnowledgeType.QA_PAIR, KnowledgeType.SYNONYM],
+        entityId,
+        topK,
+        useReranking: true,
+      },
+    });
+
+    return response.results || [];
+  }
+
+  /**
+   * 解析语义模型条目内容
+   * 表级语义模型以 JSON 存储（见 KnowledgeBaseService.addDatabaseSemanticModel），解析失败时返回 null
+   * @param {Object} result - 语义模型检索结果
+   * @returns {Object|null} 语义模型对象
+   */
+  parseSemanticModel(result) {
+    if (!result.content) {
+      return null;
+    }
+    try {
+      const model = JSON.parse(result.content);
+      return model && typeof model === 'object' ? model : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * 将检索结果整理为 SQL 生成上下文
+   * 数据库级别的父模型没有表名，不参与表约束；不在智能体白名单中的表会被忽略
+   * @param {Array} results - 检索结果
+   * @returns {{ allowedTables: string[], semanticModels: Array, qaPairs: Array, synonyms: Array }}
+   */
+  buildContext(results) {
+    const allowedTables = new Set();
+    const semanticModels = [];
+    const qaPairs = [];
+    const synonyms = [];
+
+    for (const result of results) {
+      switch (result.type) {
+        case KnowledgeType.SEMANTIC_MODEL: {
+          if (result.metadata?.is_database_level) {
+            break;
+          }
+          const model = this.parseSemanticModel(result);
+          const tableName = model?.model || model?.table || result.tableName || model?.name;
+          if (!tableName) {
+            break;
+          }
+          const { allowedTables: agentTables } = this.guardOptions;
+          if (agentTables.length > 0 && !isTableAllowed(tableName, agentTables)) {
+            logger.debug(`[TextToSQL] 语义模型表 ${tableName} 不在智能体白名单中，已忽略`);
+            break;
+          }
+          allowedTables.add(tableName);
+          semanticModels.push({
+            table: tableName,
+            database: result.databaseName,
+            description: model?.description || result.title,
+            semantic_role: model?.semantic_role,
+            columns: (model?.columns || []).map((col) => ({
+              name: col.name,
+              type: col.type,
+              comment: col.comment || '',
+            })),
+            entities: model?.entities || [],
+            dimensions: model?.dimensions || [],
+            measures: model?.measures || [],
+          });
+          break;
+        }
+        case KnowledgeType.QA_PAIR:
+          qaPairs.push({ question: result.question, answer: result.answer });
+          break;
+        case KnowledgeType.SYNONYM:
+          synonyms.push({ noun: result.noun, synonyms: result.synonyms || [] });
+          break;
+      }
+    }
+
+    return { allowedTables: Array.from(allowedTables), semanticModels, qaPairs, synonyms };
+  }
+
+  /**
+   * 汇总本次使用的知识条目，随结果返回便于追溯
+   * @param {Array} results - 检索结果
+   * @returns {Array} 知识条目摘要
+   */
+  summarizeKnowledge(results) {
+    return results.map((result) => ({
+      id: result.entryId,
+      type: result.type,
+      title: result.title,
+      score: result.score,
+    }));
+  }
+
+  /**
+   * 签名第一步的检索上下文，第二步据此校验 SQL，保证与生成 SQL 时看到的表一致
+   * @param {Object} params
+   * @param {string[]} params.allowedTables - 可用表
+   * @param {Array} params.knowledgeUsed - 知识条目摘要
+   * @returns {string} context_token
+   */
+  signContext({ allowedTables, knowledgeUsed }) {
+    return jwt.sign(
+      { userId: this.userId, tables: allowedTables, knowledge: knowledgeUsed },
+      process.env.JWT_SECRET,
+      { expiresIn: CONTEXT_TOKEN_TTL },
+    );
+  }
+
+  /**
+   * 校验第一步返回的 context_token，取出当时的可用表和知识条目
+   * 智能体白名单可能在两步之间变更，因此仍按当前白名单过滤
+   * @param {string} [token] - context_token
+   * @returns {{ allowedTables: string[], knowledgeUsed: Array }}
+   * @throws {SQLGuardError} 缺少、过期、被篡改或不属于当前用户时
+   */
+  verifyContext(token) {
+    let payload = null;
+    if (token) {
+      try {
+        payload = jwt.verify(token, process.env.JWT_SECRET);
+      } catch (error) {
+        logger.debug(`[TextToSQL] context_token 校验失败: ${error.message}`);
+      }
+    }
+    if (!payload || payload.userId !== this.userId || !Array.isArray(payload.tables)) {
+      throw new SQLGuardError(
+        SQLGuardErrorCode.CONTEXT_INVALID,
+        'context_token 缺失、已过期或无效，无法确认可用表',
+        {
+          hint: '先只传 question 调用一次，使用返回的 context_token 和 allowed_tables 重新生成 SQL',
+        },
+      );
+    }
+
+    const { allowedTables: agentTables } = this.guardOptions;
+    const allowedTables =
+      agentTables.length > 0
+        ? payload.tables.filter((table) => isTableAllowed(table, agentTables))
+        : payload.tables;
+    // 可用表为空时 validateSQL 不做表约束，必须在这里拒绝
+    if (allowedTables.length === 0) {
+      throw new SQLGuardError(
+        SQLGuardErrorCode.TABLE_NOT_ALLOWED,
+        '检索到的语义模型都不在当前智能体允许访问的表中，无法执行 SQL',
+      );
+    }
+    return { allowedTables, knowledgeUsed: payload.knowledge || [] };
+  }
+
+  /**
+   * 获取只读数据源连接池
+   * @returns {import('pg').Pool}
+   */
+  getPool() {
+    if (!this.connectionString) {
+      throw new Error('未配置只读数据源，请设置 TEXT_TO_SQL_DATABASE_URL');
+    }
+    if (!pools.has(this.connectionString)) {
+      const { Pool } = require('pg');
+      const pool = new Pool({
+        connectionString: this.connectionString,
+        max: 5,
+        idleTimeoutMillis: 30000,
+        connectionTimeoutMillis: 10000,
+      });
+      pool.on('error', (err) => {
+        logger.error('[TextToSQL] Unexpected error on idle client:', err);
+      });
+      pools.set(this.connectionString, pool);
+    }
+    return pools.get(this.connectionString);
+  }
+
+  /**
+   * 在只读事务中执行 SQL（带语句超时），执行后总是回滚
+   * @param {string} sql - 已经过 SQL 守卫校验的 SQL
+   * @returns {Promise<{ columns: string[], rows: Array }>}
+   */
+  async executeSQL(sql) {
+    const client = await this.getPool().connect();
+    try {
+      await client.query('BEGIN READ ONLY');
+      await client.query(
+        `SET LOCAL statement_timeout = ${Number(this.guardOptions.statementTimeout)}`,
+      );
+      const result = await client.query(sql);
+      return {
+        columns: (result.fields || []).map((field) => field.name),
+        rows: result.rows,
+      };
+    } catch (error) {
+      throw toGuardError(error);
+    } finally {
+      await client.query('ROLLBACK').catch(() => {});
+      client.release();
+    }
+  }
+
+  async _call(input) {
+    const { question, sql, context_token, entity_id, top_k = 10 } = input;
+    let knowledgeUsed = [];
+    let allowedTables = [];
+
+    try {
+      if (sql) {
+        ({ allowedTables, knowledgeUsed } = this.verifyContext(context_token));
+        return await this.runSQL({ question, sql, allowedTables, knowledgeUsed });
+      }
+
+      const results = await this.retrieveKnowledge({ question, entityId: entity_id, topK: top_k });
+      const context = this.buildContext(results);
+      knowledgeUsed = this.summarizeKnowledge(results);
+      allowedTables = context.allowedTables;
+
+      if (allowedTables.length === 0) {
+        return JSON.stringify({
+          success: false,
+          error:
+            this.guardOptions.allowedTables.length > 0
+              ? '检索到的语义模型都不在当前智能体允许访问的表中，无法生成 SQL'
+              : '未检索到与问题相关的语义模型，无法生成 SQL。请先在知识库中添加语义模型',
+          error_code: SQLGuardErrorCode.TABLE_NOT_ALLOWED,
+          question,
+          knowledge_used: knowledgeUsed,
+        });
+      }
+
+      return JSON.stringify(
+        {
+          success: true,
+          stage: 'generate',
+          question,
+          allowed_tables: allowedTables,
+          max_rows: this.guardOptions.maxRows,
+          semantic_models: context.semanticModels,
+          qa_pairs: context.qaPairs,
+          synonyms: context.synonyms,
+          knowledge_used: knowledgeUsed,
+          context_token: this.signContext({ allowedTables, knowledgeUsed }),
+          instruction:
+            'Generate a single SELECT statement that only uses tables in "allowed_tables", then call text_to_sql again with the same question, the "sql" parameter and the "context_token" above.',
+        },
+        null,
+        2,
+      );
+    } catch (error) {
+      if (error instanceof SQLGuardError) {
+        logger.warn(`[TextToSQL] SQL 被拦截: ${error.code} ${error.message}`);
+        return JSON.stringify({
+          ...error.toToolResult(),
+          question,
+          sql: sql || null,
+          allowed_tables: allowedTables,
+          knowledge_used: knowledgeUsed,
+        });
+      }
+
+      logger.error('[TextToSQL] 执行失败', {
+        question,
+        error: error.message,
+      });
+
+      return JSON.stringify({
+        success: false,
+        error: error.message,
+        question,
+        sql: sql || null,
+      });
+    }
+  }
+
+  /**
+   * 按第一步的可用表校验 SQL，在只读数据源上执行
+   * @param {Object} params
+   * @param {string} params.question - 用户问题
+   * @param {string} params.sql - 智能体生成的 SQL
+   * @param {string[]} params.allowedTables - 第一步的可用表
+   * @param {Array} params.knowledgeUsed - 第一步的知识条目摘要
+   * @returns {Promise<string>} 工具输出
+   * @throws {SQLGuardError} 校验或执行失败时
+   */
+  async runSQL({ question, sql, allowedTables, knowledgeUsed }) {
+    const guarded = validateSQL(sql, {
+      allowedTables,
+      maxRows: this.guardOptions.maxRows,
+    });
+
+    const startTime = Date.now();
+    const { columns, rows } = await this.executeSQL(guarded.sql);
+    logger.info(`[TextToSQL] 查询完成: 返回 ${rows.length} 行，耗时 ${Date.now() - startTime}ms`);
+
+    return JSON.stringify(
+      {
+        success: true,
+        stage: 'execute',
+        question,
+        sql: guarded.sql,
+        tables: guarded.tables,
+        limit_applied: guarded.limitApplied,
+        columns,
+        rows,
+        row_count: rows.length,
+        knowledge_used: knowledgeUsed,
+      },
+      null,
+      2,
+    );
+  }
+}
+
+module.exports = TextToSQL;
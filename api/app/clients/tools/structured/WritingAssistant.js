@@ -3,6 +3,28 @@ const { z } = require('zod');
 const path = require('path');
 const fs = require('fs').promises;
 const { logger } = require('@aipyq/data-schemas');
+const {
+  resolveProjectRoot,
+  resolveTemplate,
+  renderTemplateFile,
+  listLibraryTemplates,
+  loadTemplate: loadTemplateFile,
+} = require('../util/templates');
+
+const VARIABLE_REFERENCE_PATH = 'specs/writing-templates/variable-system/variable-reference.md';
+
+/** 需求澄清字段，同时也是变量参考文档中的「需求澄清变量」 */
+const REQUIREMENT_FIELDS = [
+  'recipient_type',
+  'recipient_title',
+  'context',
+  'word_count',
+  'audience',
+  'purpose',
+  'tone',
+  'key_points',
+  'references',
+];
 
 /**
  * WritingAssistant Tool - 公文写作辅助工具
@@ -35,7 +57,8 @@ class WritingAssistant extends Tool {
     // 需求澄清字段
     recipient_type: z.string().optional().describe('收文对象类型：上级领导/同级部门/下级单位/外部单位'),
     recipient_title: z.string().optional().describe('具体职务称谓，如"处长"、"主任"、"总经理"'),
-    scenario: z.string().optional().describe('场景类型：report/letter/speech/briefing/proposal/memo'),
+    scenario: z.string().optional().describe('场景类型：report/letter/speech/briefing/proposal/memo，或模板库中的场景标签'),
+    template_id: z.string().optional().describe('模板库中的模板ID（templates 命令返回），优先于 scenario'),
     context: z.string().optional().describe('写作背景描述'),
     word_count: z.number().optional().describe('目标字数'),
     audience: z.string().optional().describe('主要阅读对象'),
@@ -49,61 +72,34 @@ class WritingAssistant extends Tool {
 
   constructor(fields = {}) {
     super();
-    // 与SocialMedia完全一致的projectRoot获取逻辑
-    this.projectRoot = fields.projectRoot 
-      || process.env.PROJECT_ROOT 
-      || path.resolve(__dirname, '../../../../');
+    this.projectRoot = resolveProjectRoot(fields);
     this.templatesDir = path.join(this.projectRoot, 'specs', 'writing-templates');
+    // 当前用户，用于按角色/用户组过滤模板库
+    this.user = fields.req?.user;
     
     logger.debug(`[WritingAssistant] projectRoot = ${this.projectRoot}`);
     logger.debug(`[WritingAssistant] templatesDir = ${this.templatesDir}`);
   }
 
   /**
-   * Find repository root by looking for .git or .specify directory
+   * Load a template, preferring the admin-managed template library over the bundled file
    */
-  async findRepoRoot(startPath = this.projectRoot) {
-    let currentPath = path.resolve(startPath);
-    const root = path.parse(currentPath).root;
-
-    while (currentPath !== root) {
-      const gitPath = path.join(currentPath, '.git');
-      const specifyPath = path.join(currentPath, '.specify');
-      
-      try {
-        const [gitExists, specifyExists] = await Promise.all([
-          fs.access(gitPath).then(() => true).catch(() => false),
-          fs.access(specifyPath).then(() => true).catch(() => false),
-        ]);
-
-        if (gitExists || specifyExists) {
-          return currentPath;
-        }
-      } catch (err) {
-        // Continue searching
-      }
-
-      currentPath = path.dirname(currentPath);
-    }
-
-    return this.projectRoot;
-  }
-
-  /**
-   * Load a template file
-   */
-  async loadTemplate(templatePath) {
-    // 直接使用 projectRoot，不再依赖 findRepoRoot()
-    const fullPath = path.join(this.projectRoot, templatePath);
-
+  async loadTemplate(templatePath, { scenario, templateId } = {}) {
     try {
-      return await fs.readFile(fullPath, 'utf-8');
+      return (
+        await resolveTemplate({
+          root: this.projectRoot,
+          tool: this.name,
+          templateId,
+          scenario,
+          templatePath,
+          user: this.user,
+        })
+      ).content;
     } catch (err) {
-      logger.error(`[WritingAssistant] 加载模板失败 - 完整路径: ${fullPath}`);
       logger.error(`[WritingAssistant] projectRoot: ${this.projectRoot}`);
-      logger.error(`[WritingAssistant] templatePath: ${templatePath}`);
-      logger.error(`[WritingAssistant] 错误: ${err.message}`);
-      throw new Error(`无法加载模板: ${templatePath} (完整路径: ${fullPath}, 错误: ${err.message})`);
+      logger.error(`[WritingAssistant] ${err.message}`);
+      throw err;
     }
   }
 
@@ -111,10 +107,10 @@ class WritingAssistant extends Tool {
    * Load command template
    */
   async loadCommandTemplate(commandName) {
-    const templatePath = path.join(this.projectRoot, 'specs', 'writing-templates', 'commands', `${commandName}.md`);
+    const templatePath = `specs/writing-templates/commands/${commandName}.md`;
 
     try {
-      return await fs.readFile(templatePath, 'utf-8');
+      return (await loadTemplateFile(this.projectRoot, templatePath)).content;
     } catch (err) {
       logger.error(`[WritingAssistant] 加载命令模板失败: ${templatePath}`);
       throw new Error(`命令模板不存在: ${templatePath} (错误: ${err.message})`);
@@ -331,7 +327,12 @@ class WritingAssistant extends Tool {
    * Handle generate command - 生成内容
    */
   async handleGenerate(args) {
-    const { arguments: userInput, scenario: providedScenario, ...otherFields } = args;
+    const {
+      arguments: userInput,
+      scenario: providedScenario,
+      template_id: templateId,
+      ...otherFields
+    } = args;
 
     if (!userInput || !userInput.trim()) {
       return JSON.stringify({
@@ -345,24 +346,42 @@ class WritingAssistant extends Tool {
       const scenario = providedScenario || this.detectScenario(userInput);
       const templatePath = this.getTemplatePath(scenario);
 
-      // 加载模板和指南
-      const [template, commandTemplate, formatGuides] = await Promise.all([
-        this.loadTemplate(templatePath).catch(() => null),
+      // 获取当前日期时间
+      const now = new Date();
+      const dateStr = now.toLocaleDateString('zh-CN', { year: 'numeric', month: 'long', day: 'numeric' });
+
+      // 服务端预填已知需求与系统变量，校验取值并列出需要向用户确认的变量
+      // 模板优先取模板库（template_id → 场景标签 → 内置路径），未命中时使用内置模板文件
+      const values = {};
+      for (const field of REQUIREMENT_FIELDS) {
+        values[field] = otherFields[field];
+      }
+      const [draft, commandTemplate, formatGuides] = await Promise.all([
+        renderTemplateFile({
+          root: this.projectRoot,
+          tool: this.name,
+          templateId,
+          scenario,
+          templatePath,
+          user: this.user,
+          referencePath: VARIABLE_REFERENCE_PATH,
+          values,
+          now,
+        }).catch((err) => {
+          logger.error(`[WritingAssistant] ${err.message}`);
+          return null;
+        }),
         this.loadCommandTemplate('generate-command').catch(() => null),
         this.loadFormatGuides(),
       ]);
 
-      if (!template) {
+      if (!draft) {
         return JSON.stringify({
           success: false,
-          error: `无法加载模板: ${templatePath}`,
+          error: `无法加载模板: ${templateId || templatePath}`,
         }, null, 2);
       }
 
-      // 获取当前日期时间
-      const now = new Date();
-      const dateStr = now.toLocaleDateString('zh-CN', { year: 'numeric', month: 'long', day: 'numeric' });
-
       // 构建写作上下文
       const writingContext = {
         recipient_type: otherFields.recipient_type || '未指定',
@@ -381,23 +400,26 @@ class WritingAssistant extends Tool {
         message: '内容生成命令已识别。LLM 应该根据需求和模板生成内容。',
         user_input: userInput,
         detected_scenario: scenario,
-        template_path: templatePath,
+        template_path: draft.template_path,
+        template_source: draft.template_source,
         writing_context: writingContext,
         dynamic_variables: {
           date: dateStr,
           year: now.getFullYear(),
           month: now.getMonth() + 1,
         },
-        note: 'LLM 应该：1. 读取场景模板了解内容结构 2. 从用户输入和writing_context提取信息 3. 替换所有占位符 4. 应用格式规范 5. 生成最终内容',
+        placeholders: draft.placeholders,
+        clarifications: draft.clarifications,
+        note: 'LLM 应该：1. 场景模板已在服务端预填（templates.scenario_template），了解内容结构 2. 从用户输入和writing_context提取信息 3. 补全 placeholders.pending 中的占位符，clarifications 不为空时先向用户确认 4. 应用格式规范 5. 生成最终内容',
         templates: {
           command_template: commandTemplate ? commandTemplate.substring(0, 2000) + '...' : null,
-          scenario_template: template.substring(0, 2000) + '...',
+          scenario_template: draft.content,
           format_guides: formatGuides,
         },
         instructions: [
           '1. 分析用户输入和writing_context，提取关键信息',
           '2. 根据场景模板的结构，组织内容',
-          '3. 替换所有占位符（使用动态变量和提取的信息）',
+          '3. 在预填的场景模板上补全 placeholders.pending 中的占位符（使用提取的信息）',
           '4. 应用语气风格（' + writingContext.tone + '）',
           '5. 控制字数在目标范围（约' + writingContext.word_count + '字）',
           '6. 生成完整的公文内容',
@@ -462,10 +484,14 @@ class WritingAssistant extends Tool {
         },
       };
 
+      // 管理员在模板库中维护的模板（含新增的公文类型），同场景时优先于内置模板
+      const libraryTemplates = await listLibraryTemplates({ tool: this.name, user: this.user });
+
       return JSON.stringify({
         success: true,
         message: '可用模板列表',
         templates,
+        library_templates: libraryTemplates,
         guides: [
           'tone-guide.md - 语气风格指南',
           'format-guide.md - 格式规范指南',
@@ -473,6 +499,7 @@ class WritingAssistant extends Tool {
         usage: [
           '使用 /writing.clarify 命令澄清写作需求',
           '使用 /writing.generate 命令并指定 scenario 参数来选择特定模板',
+          '使用 template_id 参数选择 library_templates 中的模板，或用其 scenarios 中的标签作为 scenario',
           '或让系统根据用户输入自动检测场景类型',
         ],
       }, null, 2);
@@ -537,7 +564,12 @@ class WritingAssistant extends Tool {
    * Handle outline command - 生成写作大纲
    */
   async handleOutline(args) {
-    const { arguments: userInput, scenario: providedScenario, ...otherFields } = args;
+    const {
+      arguments: userInput,
+      scenario: providedScenario,
+      template_id: templateId,
+      ...otherFields
+    } = args;
 
     if (!userInput || !userInput.trim()) {
       return JSON.stringify({
@@ -550,7 +582,9 @@ class WritingAssistant extends Tool {
       const scenario = providedScenario || this.detectScenario(userInput);
       const templatePath = this.getTemplatePath(scenario);
 
-      const template = await this.loadTemplate(templatePath).catch(() => null);
+      const template = await this.loadTemplate(templatePath, { scenario, templateId }).catch(
+        () => null,
+      );
 
       // 根据场景提供大纲结构建议
       const outlineStructures = {
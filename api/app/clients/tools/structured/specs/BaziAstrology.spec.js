@@ -0,0 +1,82 @@
+jest.mock('@aipyq/data-schemas', () => ({
+  logger: {
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn(),
+  },
+}));
+
+const path = require('path');
+const BaziAstrology = require('../BaziAstrology');
+
+describe('BaziAstrology', () => {
+  const tool = new BaziAstrology({ projectRoot: path.resolve(__dirname, '../../../../../..') });
+
+  it('extracts birth details from free text', () => {
+    const input = '请帮我排八字：1990年5月20日下午2点30分出生于北京市，女';
+
+    expect(tool.extractBirthTime(input)).toBe('1990年5月20日下午2点30分');
+    expect(tool.extractGender(input)).toBe('female');
+    expect(tool.extractBirthLocation(input)).toBe('北京');
+    // 旧实现会把任何含字母 m 的输入判为男性
+    expect(tool.extractGender('my birthday')).toBeNull();
+  });
+
+  it('calculates the chart offline and fills the result template', async () => {
+    const result = JSON.parse(
+      await tool._call({
+        command: 'generate',
+        analysis_type: 'bazi_chart',
+        birth_time: '1990-05-20 14:30',
+        gender: '女',
+        birth_location: '北京',
+      }),
+    );
+
+    expect(result.success).toBe(true);
+    expect(result.bazi.pillars.day.ganzhi).toBe('乙酉');
+    expect(result.template_variables).toMatchObject({ 年柱干支: '庚午', 时柱干支: '癸未' });
+    expect(result.templates.result_template).toContain('- **干支**：`庚午`');
+    expect(result.templates.result_template).not.toContain('[年柱干支]');
+    expect(result.instructions[2]).toContain('离线计算');
+    expect(result.clarifications).toEqual([]);
+  });
+
+  it('calculates the natal chart for astrology reports', async () => {
+    const result = JSON.parse(
+      await tool._call({
+        command: 'generate',
+        analysis_type: 'astrology',
+        birth_time: '1990-05-20 14:30',
+        birth_location: '北京',
+      }),
+    );
+
+    expect(result.bazi).toBeNull();
+    expect(result.natal.sun_sign.name).toBe('金牛座');
+    expect(result.natal.ascendant.sign).toBe('处女座');
+    expect(result.template_variables).toMatchObject({ 星座名称: '金牛座', 守护行星: '金星' });
+    expect(result.templates.result_template).toContain('**星座**：`金牛座`');
+    expect(result.note).toContain('natal');
+  });
+
+  it('falls back to the manual flow when the birth time cannot be calculated', async () => {
+    const result = JSON.parse(
+      await tool._call({
+        command: 'generate',
+        analysis_type: 'bazi_chart',
+        birth_time: '1990-02-30',
+      }),
+    );
+
+    expect(result.success).toBe(true);
+    expect(result.bazi).toBeNull();
+    expect(result.bazi_error).toContain('日期不存在');
+    expect(result.templates.result_template).toContain('[年柱干支]');
+    expect(result.clarifications).toEqual([
+      expect.objectContaining({ variable: '出生日期', reason: 'invalid' }),
+    ]);
+    expect(result.placeholders.pending).toContain('年柱干支');
+  });
+});
@@ -0,0 +1,258 @@
+jest.mock('@aipyq/data-schemas', () => ({
+  logger: {
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn(),
+  },
+}));
+
+const mockQuery = jest.fn();
+jest.mock('~/server/services/RAG/RAGService', () =>
+  jest.fn().mockImplementation(() => ({ query: mockQuery })),
+);
+
+process.env.JWT_SECRET = 'test-secret';
+
+const TextToSQL = require('../TextToSQL');
+const { toGuardError } = require('../../util/sqlGuard');
+
+const orderModel = {
+  name: 'orders',
+  model: 't_order',
+  description: '订单事实表',
+  columns: [
+    { name: 'order_id', type: 'bigint', comment: '订单ID' },
+    { name: 'amount', type: 'decimal', comment: '订单金额' },
+  ],
+  measures: [{ name: 'amount' }],
+};
+
+const knowledgeResults = [
+  {
+    entryId: 'p1',
+    type: 'semantic_model',
+    title: 'shop',
+    content: '# 数据库：shop',
+    score: 0.9,
+    metadata: { is_database_level: true },
+  },
+  {
+    entryId: 'm1',
+    type: 'semantic_model',
+    title: '语义模型: shop.orders',
+    content: JSON.stringify(orderModel),
+    score: 0.85,
+    tableName: 'orders',
+    databaseName: 'shop',
+    metadata: { table_name: 'orders' },
+  },
+  {
+    entryId: 'q1',
+    type: 'qa_pair',
+    title: 'QA: 上月销售额',
+    content: '问题: 上月销售额\n答案: SELECT SUM(amount) FROM t_order',
+    score: 0.7,
+    question: '上月销售额',
+    answer: 'SELECT SUM(amount) FROM t_order',
+  },
+  {
+    entryId: 's1',
+    type: 'synonym',
+    title: '同义词: 销售额',
+    content: '名词: 销售额\n同义词: 成交额, GMV',
+    score: 0.6,
+    noun: '销售额',
+    synonyms: ['成交额', 'GMV'],
+  },
+];
+
+describe('TextToSQL', () => {
+  let tool;
+
+  /** 走第一步检索，返回 context_token */
+  const generateContext = async (question = '上月销售额是多少') =>
+    JSON.parse(await tool._call({ question })).context_token;
+
+  beforeEach(() => {
+    mockQuery.mockReset();
+    mockQuery.mockResolvedValue({ results: knowledgeResults });
+    tool = new TextToSQL({
+      userId: 'user1',
+      connectionString: 'postgres://readonly@localhost/shop',
+    });
+  });
+
+  describe('buildContext', () => {
+    it('collects table-level semantic models, QA pairs and synonyms', () => {
+      const context = tool.buildContext(knowledgeResults);
+
+      expect(context.allowedTables).toEqual(['t_order']);
+      expect(context.semanticModels[0]).toMatchObject({
+        table: 't_order',
+        database: 'shop',
+        description: '订单事实表',
+      });
+      expect(context.qaPairs).toEqual([
+        { question: '上月销售额', answer: 'SELECT SUM(amount) FROM t_order' },
+      ]);
+      expect(context.synonyms).toEqual([{ noun: '销售额', synonyms: ['成交额', 'GMV'] }]);
+    });
+
+    it('drops semantic model tables outside the agent allowlist', () => {
+      const guarded = new TextToSQL({
+        userId: 'user1',
+        sqlGuard: { allowed_tables: ['t_customer'] },
+      });
+      expect(guarded.buildContext(knowledgeResults).allowedTables).toEqual([]);
+    });
+  });
+
+  describe('_call', () => {
+    it('returns the retrieval context when no SQL is provided', async () => {
+      const output = JSON.parse(await tool._call({ question: '上月销售额是多少' }));
+
+      expect(mockQuery).toHaveBeenCalledWith(
+        expect.objectContaining({
+          query: '上月销售额是多少',
+          userId: 'user1',
+          options: expect.objectContaining({ types: ['semantic_model', 'qa_pair', 'synonym'] }),
+        }),
+      );
+      expect(output.success).toBe(true);
+      expect(output.stage).toBe('generate');
+      expect(output.allowed_tables).toEqual(['t_order']);
+      expect(output.knowledge_used.map((k) => k.id)).toEqual(['p1', 'm1', 'q1', 's1']);
+      expect(output.context_token).toEqual(expect.any(String));
+    });
+
+    it('executes guarded SQL and returns rows with the knowledge used', async () => {
+      tool = new TextToSQL({ userId: 'user1', sqlGuard: { max_rows: 50 } });
+      tool.executeSQL = jest.fn().mockResolvedValue({
+        columns: ['total'],
+        rows: [{ total: 100 }],
+      });
+
+      const output = JSON.parse(
+        await tool._call({
+          question: '上月销售额是多少',
+          sql: 'SELECT SUM(amount) AS total FROM t_order',
+          context_token: await generateContext(),
+        }),
+      );
+
+      expect(tool.executeSQL).toHaveBeenCalledWith(
+        'SELECT SUM(amount) AS total FROM t_order\nLIMIT 50',
+      );
+      expect(output).toMatchObject({
+        success: true,
+        stage: 'execute',
+        sql: 'SELECT SUM(amount) AS total FROM t_order\nLIMIT 50',
+        limit_applied: true,
+        rows: [{ total: 100 }],
+        row_count: 1,
+      });
+      expect(output.knowledge_used).toHaveLength(4);
+    });
+
+    it('does not execute SQL that references tables outside the semantic models', async () => {
+      tool.executeSQL = jest.fn();
+
+      const output = JSON.parse(
+        await tool._call({
+          question: '用户数',
+          sql: 'SELECT COUNT(*) FROM t_user',
+          context_token: await generateContext('用户数'),
+        }),
+      );
+
+      expect(tool.executeSQL).not.toHaveBeenCalled();
+      expect(output).toMatchObject({
+        success: false,
+        error_code: 'SQL_TABLE_NOT_ALLOWED',
+        allowed_tables: ['t_order'],
+      });
+      expect(output.hint).toContain('t_order');
+    });
+
+    it('returns a structured error for write statements', async () => {
+      tool.executeSQL = jest.fn();
+
+      const output = JSON.parse(
+        await tool._call({
+          question: '清空订单',
+          sql: 'DELETE FROM t_order',
+          context_token: await generateContext('清空订单'),
+        }),
+      );
+
+      expect(tool.executeSQL).not.toHaveBeenCalled();
+      expect(output.success).toBe(false);
+      expect(output.error_code).toBe('SQL_FORBIDDEN_STATEMENT');
+    });
+
+    it('reports statement timeouts as structured errors', async () => {
+      tool.executeSQL = jest
+        .fn()
+        .mockRejectedValue(toGuardError({ code: '57014', message: 'statement timeout' }));
+
+      const output = JSON.parse(
+        await tool._call({
+          question: '上月销售额是多少',
+          sql: 'SELECT * FROM t_order',
+          context_token: await generateContext(),
+        }),
+      );
+
+      expect(output.success).toBe(false);
+      expect(output.error_code).toBe('SQL_TIMEOUT');
+    });
+
+    it('validates SQL against the tables returned by the first call', async () => {
+      const contextToken = await generateContext();
+      mockQuery.mockResolvedValue({ results: [knowledgeResults[2]] });
+      tool.executeSQL = jest.fn().mockResolvedValue({ columns: [], rows: [] });
+
+      const output = JSON.parse(
+        await tool._call({
+          question: '上个月的呢',
+          sql: 'SELECT SUM(amount) FROM t_order',
+          context_token: contextToken,
+        }),
+      );
+
+      expect(mockQuery).toHaveBeenCalledTimes(1);
+      expect(output.success).toBe(true);
+      expect(output.knowledge_used.map((k) => k.id)).toEqual(['p1', 'm1', 'q1', 's1']);
+    });
+
+    it('rejects SQL without a valid context token', async () => {
+      tool.executeSQL = jest.fn();
+      const otherUser = new TextToSQL({ userId: 'user2' });
+      const foreignToken = JSON.parse(
+        await otherUser._call({ question: '上月销售额是多少' }),
+      ).context_token;
+
+      for (const contextToken of [undefined, 'not-a-token', foreignToken]) {
+        const output = JSON.parse(
+          await tool._call({
+            question: '上月销售额是多少',
+            sql: 'SELECT * FROM t_order',
+            context_token: contextToken,
+          }),
+        );
+        expect(output.error_code).toBe('SQL_CONTEXT_INVALID');
+      }
+      expect(tool.executeSQL).not.toHaveBeenCalled();
+    });
+
+    it('fails when no semantic model is retrieved', async () => {
+      mockQuery.mockResolvedValue({ results: [knowledgeResults[2]] });
+
+      const output = JSON.parse(await tool._call({ question: '上月销售额是多少' }));
+
+      expect(output.success).toBe(false);
+      expect(output.knowledge_used).toHaveLength(1);
+    });
+  });
+});
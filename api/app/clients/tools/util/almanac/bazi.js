@@ -0,0 +1,651 @@
+/**
+ * 八字（四柱）排盘引擎（离线、确定性计算）
+ *
+ * - 年柱以立春为界，月柱以十二节（立春、惊蛰……小寒）为界，按太阳视黄经判定
+ * - 日柱按出生地真太阳时（经度时差 + 均时差）划分日期，23 点后（晚子时）归次日
+ * - 十神、藏干、纳音、五行统计与月令旺衰
+ * - 大运：阳年男、阴年女顺行，反之逆行；出生至相邻节的天数每 3 天折 1 年起运
+ * - 流年、流月
+ */
+
+const {
+  SOLAR_TERMS,
+  normalizeDegrees,
+  solarLongitudeAt,
+  findSolarLongitudeTime,
+  getSolarTerm,
+  trueSolarTime,
+  dayNumberFromDate,
+  solarToLunar,
+  formatDateTime,
+} = require('./calendar');
+const { parseGender, resolveBirthMoment } = require('./birth');
+
+const STEMS = ['甲', '乙', '丙', '丁', '戊', '己', '庚', '辛', '壬', '癸'];
+const BRANCHES = ['子', '丑', '寅', '卯', '辰', '巳', '午', '未', '申', '酉', '戌', '亥'];
+const ELEMENTS = ['木', '火', '土', '金', '水'];
+const ZODIAC = ['鼠', '牛', '虎', '兔', '龙', '蛇', '马', '羊', '猴', '鸡', '狗', '猪'];
+/** 地支五行（下标对应 ELEMENTS） */
+const BRANCH_ELEMENTS = [4, 2, 0, 0, 2, 1, 1, 2, 3, 3, 2, 4];
+/** 地支藏干，第一个为本气 */
+const HIDDEN_STEMS = [
+  ['癸'],
+  ['己', '癸', '辛'],
+  ['甲', '丙', '戊'],
+  ['乙'],
+  ['戊', '乙', '癸'],
+  ['丙', '戊', '庚'],
+  ['丁', '己'],
+  ['己', '丁', '乙'],
+  ['庚', '壬', '戊'],
+  ['辛'],
+  ['戊', '辛', '丁'],
+  ['壬', '甲'],
+];
+/** 六十甲子纳音，每两柱一组 */
+const NAYIN = [
+  '海中金',
+  '炉中火',
+  '大林木',
+  '路旁土',
+  '剑锋金',
+  '山头火',
+  '涧下水',
+  '城头土',
+  '白蜡金',
+  '杨柳木',
+  '泉中水',
+  '屋上土',
+  '霹雳火',
+  '松柏木',
+  '长流水',
+  '砂石金',
+  '山下火',
+  '平地木',
+  '壁上土',
+  '金箔金',
+  '覆灯火',
+  '天河水',
+  '大驿土',
+  '钗钏金',
+  '桑柘木',
+  '大溪水',
+  '沙中土',
+  '天上火',
+  '石榴木',
+  '大海水',
+];
+/** 十神：按「日主 → 目标」的五行关系（同我、我生、我克、克我、生我）与阴阳是否相同 */
+const TEN_GODS = [
+  ['比肩', '劫财'],
+  ['食神', '伤官'],
+  ['偏财', '正财'],
+  ['七杀', '正官'],
+  ['偏印', '正印'],
+];
+/** 月令旺衰：按「月令五行 → 目标」的五行关系 */
+const SEASON_STATES = ['旺', '相', '死', '囚', '休'];
+/** 旺衰由强到弱 */
+const SEASON_STATE_RANK = ['旺', '相', '休', '囚', '死'];
+const PILLAR_NAMES = { year: '年', month: '月', day: '日', hour: '时' };
+const LUCK_PILLAR_COUNT = 8;
+const ORDINALS = ['一', '二', '三', '四', '五', '六', '七', '八'];
+/** 一天折合的起运时间：3 天 = 1 年，即 1 天 = 120 天 */
+const LUCK_TIME_SCALE = 120;
+const MS_PER_DAY = 86400000;
+
+const mod = (value, divisor) => ((value % divisor) + divisor) % divisor;
+const pad = (value) => String(value).padStart(2, '0');
+
+/**
+ * 由天干、地支序号得六十甲子序号
+ * @param {number} stem
+ * @param {number} branch
+ * @returns {number}
+ */
+function ganzhiIndex(stem, branch) {
+  return mod(6 * stem - 5 * branch, 60);
+}
+
+/**
+ * @param {number} index - 六十甲子序号
+ * @returns {string}
+ */
+function ganzhiName(index) {
+  return STEMS[index % 10] + BRANCHES[index % 12];
+}
+
+/**
+ * 目标天干相对日主的十神
+ * @param {number} dayStem
+ * @param {number} stem
+ * @returns {string}
+ */
+function tenGod(dayStem, stem) {
+  const relation = mod(Math.floor(stem / 2) - Math.floor(dayStem / 2), 5);
+  return TEN_GODS[relation][dayStem % 2 === stem % 2 ? 0 : 1];
+}
+
+/**
+ * 五行在某月令下的旺相休囚死
+ * @param {number} monthBranch
+ * @param {number} element
+ * @returns {string}
+ */
+function seasonState(monthBranch, element) {
+  return SEASON_STATES[mod(element - BRANCH_ELEMENTS[monthBranch], 5)];
+}
+
+function buildPillar(name, index, dayStem) {
+  const stem = index % 10;
+  const branch = index % 12;
+  const hidden = HIDDEN_STEMS[branch].map((char) => ({
+    stem: char,
+    element: ELEMENTS[Math.floor(STEMS.indexOf(char) / 2)],
+    ten_god: tenGod(dayStem, STEMS.indexOf(char)),
+  }));
+  return {
+    name,
+    index,
+    ganzhi: ganzhiName(index),
+    stem: STEMS[stem],
+    branch: BRANCHES[branch],
+    stem_element: ELEMENTS[Math.floor(stem / 2)],
+    branch_element: ELEMENTS[BRANCH_ELEMENTS[branch]],
+    element: ELEMENTS[Math.floor(stem / 2)] + ELEMENTS[BRANCH_ELEMENTS[branch]],
+    nayin: NAYIN[Math.floor(index / 2)],
+    stem_ten_god: name === 'day' ? '日主' : tenGod(dayStem, stem),
+    branch_ten_god: hidden[0].ten_god,
+    hidden_stems: hidden,
+  };
+}
+
+/**
+ * 某年（立春至次年立春）十二个月的月柱
+ * @param {number} year - 公历年
+ * @returns {Array<{ month: number, ganzhi: string, solar_term: string, start: Date }>}
+ */
+function getMonthPillars(year) {
+  const yearStem = mod(year - 4, 10);
+  return Array.from({ length: 12 }, (_, k) => {
+    const termIndex = 2 + 2 * k;
+    const term =
+      termIndex < 24 ? getSolarTerm(year, termIndex) : getSolarTerm(year + 1, termIndex - 24);
+    const stem = mod((yearStem % 5) * 2 + 2 + k, 10);
+    return {
+      month: k + 1,
+      ganzhi: STEMS[stem] + BRANCHES[(k + 2) % 12],
+      solar_term: term.name,
+      start: term.date,
+    };
+  });
+}
+
+/** 时刻所在的节气（黄经每 15° 一个） */
+function currentSolarTerm(instant) {
+  const longitude = solarLongitudeAt(instant);
+  const termLongitude = Math.floor(longitude / 15) * 15;
+  const index = mod((termLongitude - 285) / 15, 24);
+  const date = findSolarLongitudeTime(
+    termLongitude,
+    new Date(instant.getTime() - ((longitude - termLongitude) * 365.2422 * MS_PER_DAY) / 360),
+  );
+  return { name: SOLAR_TERMS[index], longitude: termLongitude, date };
+}
+
+/** 距出生时刻最近的前一个节与后一个节 */
+function surroundingJie(instant, monthOffset) {
+  const longitude = solarLongitudeAt(instant);
+  const find = (target) =>
+    findSolarLongitudeTime(
+      target,
+      new Date(
+        instant.getTime() -
+          (((longitude - target + 540) % 360) - 180) * ((365.2422 * MS_PER_DAY) / 360),
+      ),
+    );
+  const previous = normalizeDegrees(315 + 30 * monthOffset);
+  const next = normalizeDegrees(previous + 30);
+  const index = (target) => mod((target - 285) / 15, 24);
+  return {
+    previous: { name: SOLAR_TERMS[index(previous)], date: find(previous) },
+    next: { name: SOLAR_TERMS[index(next)], date: find(next) },
+  };
+}
+
+function buildLuck({ instant, birthYear, yearStem, monthIndex, dayStem, gender, timezoneOffset }) {
+  const forward = (yearStem % 2 === 0) === (gender === 'male');
+  const monthOffset = mod((monthIndex % 12) - 2, 12);
+  const jie = surroundingJie(instant, monthOffset);
+  const boundary = forward ? jie.next : jie.previous;
+  const days = Math.abs(boundary.date.getTime() - instant.getTime()) / MS_PER_DAY;
+
+  const startDate = new Date(instant.getTime() + days * LUCK_TIME_SCALE * MS_PER_DAY);
+  const totalMonths = (days / 3) * 12;
+  const startAge = {
+    years: Math.floor(totalMonths / 12),
+    months: Math.floor(totalMonths % 12),
+    days: Math.floor((totalMonths % 1) * 30),
+  };
+  const startYear = new Date(startDate.getTime() + timezoneOffset * 60000).getUTCFullYear();
+
+  const pillars = Array.from({ length: LUCK_PILLAR_COUNT }, (_, i) => {
+    const index = mod(monthIndex + (forward ? i + 1 : -(i + 1)), 60);
+    const fromYear = startYear + 10 * i;
+    return {
+      order: i + 1,
+      ganzhi: ganzhiName(index),
+      stem_ten_god: tenGod(dayStem, index % 10),
+      branch_ten_god: tenGod(dayStem, STEMS.indexOf(HIDDEN_STEMS[index % 12][0])),
+      start_year: fromYear,
+      end_year: fromYear + 9,
+      start_age: fromYear - birthYear,
+      end_age: fromYear - birthYear + 9,
+    };
+  });
+
+  return {
+    forward,
+    direction: forward ? '顺行' : '逆行',
+    boundary_term: boundary.name,
+    boundary_time: formatDateTime(boundary.date, timezoneOffset),
+    days_to_boundary: Math.round(days * 100) / 100,
+    start_age: startAge,
+    start_date: formatDateTime(startDate, timezoneOffset).slice(0, 10),
+    pillars,
+  };
+}
+
+/**
+ * 某年的流年干支（以立春为界，按公历年标注）
+ * @param {number} year
+ * @param {number} dayStem
+ */
+function annualPillar(year, dayStem) {
+  const index = mod(year - 4, 60);
+  return { year, ganzhi: ganzhiName(index), stem_ten_god: tenGod(dayStem, index % 10) };
+}
+
+function countElements(pillars, monthBranch) {
+  const counts = Object.fromEntries(ELEMENTS.map((element) => [element, 0]));
+  const positions = Object.fromEntries(ELEMENTS.map((element) => [element, []]));
+  for (const pillar of pillars) {
+    const label = PILLAR_NAMES[pillar.name];
+    counts[pillar.stem_element] += 1;
+    positions[pillar.stem_element].push(`${label}干${pillar.stem}`);
+    counts[pillar.branch_element] += 1;
+    positions[pillar.branch_element].push(`${label}支${pillar.branch}`);
+  }
+  const states = Object.fromEntries(
+    ELEMENTS.map((element, index) => [element, seasonState(monthBranch, index)]),
+  );
+  // 个数相同时按月令旺衰排序
+  const rank = (element) => counts[element] * 10 - SEASON_STATE_RANK.indexOf(states[element]);
+  const sorted = [...ELEMENTS].sort((a, b) => rank(b) - rank(a));
+  const strength = (element) => {
+    const count = counts[element];
+    let level = '中和';
+    if (count === 0) {
+      level = '缺';
+    } else if (count === 1) {
+      level = '偏弱';
+    } else if (count >= 3) {
+      level = '偏旺';
+    }
+    return `${level}（${states[element]}）`;
+  };
+  return {
+    counts,
+    positions,
+    season_states: states,
+    strength: Object.fromEntries(ELEMENTS.map((element) => [element, strength(element)])),
+    strongest: sorted[0],
+    weakest: sorted[sorted.length - 1],
+    missing: ELEMENTS.filter((element) => counts[element] === 0),
+  };
+}
+
+/**
+ * 排八字
+ *
+ * @param {Object} params
+ * @param {string} params.birthTime - 出生时间描述，见 birth.parseBirthTime
+ * @param {string} [params.gender] - 性别，缺失时不排大运
+ * @param {string} [params.location] - 出生地点，缺失或无法识别时按北京时间、不做真太阳时校正
+ * @param {Date} [params.now] - 当前时间，用于流年与当前大运
+ * @param {number} [params.annualYears=10] - 从当年起排多少个流年
+ * @returns {Object} 结构化命盘
+ */
+function calculateBazi({ birthTime, gender, location, now = new Date(), annualYears = 10 }) {
+  const { parsed, solarDate, hasTime, civil, place, timezone, instant, offsetMinutes } =
+    resolveBirthMoment(birthTime, location);
+  const notes = [];
+  const sex = parseGender(gender);
+  if (!place) {
+    notes.push(
+      location
+        ? `未能识别出生地点「${location}」，按北京时间计算，未做真太阳时校正`
+        : '未提供出生地点，按北京时间计算，未做真太阳时校正',
+    );
+  }
+  if (!hasTime) {
+    notes.push('未提供出生时辰，只排年、月、日三柱，月柱与起运按当日正午估算');
+  }
+
+  // 日、时柱按当地真太阳时划分；无经度时用当地钟面时间
+  let localClock = new Date(
+    Date.UTC(civil.year, civil.month - 1, civil.day, civil.hour, civil.minute),
+  );
+  let solarTime = null;
+  if (place && place.longitude != null) {
+    const { date, equationOfTime } = trueSolarTime(instant, place.longitude);
+    localClock = date;
+    solarTime = {
+      time: formatDateTime(date),
+      correction_minutes: Math.round(((date - instant) / 60000 - offsetMinutes) * 10) / 10,
+      equation_of_time_minutes: Math.round(equationOfTime * 10) / 10,
+    };
+  }
+  let dayNumber = dayNumberFromDate(
+    localClock.getUTCFullYear(),
+    localClock.getUTCMonth() + 1,
+    localClock.getUTCDate(),
+  );
+  const clockHour = localClock.getUTCHours();
+  if (hasTime && clockHour >= 23) {
+    dayNumber += 1;
+    notes.push('出生于晚子时（23 点后），日柱按次日计');
+  }
+
+  // 年柱以立春为界
+  let baziYear = new Date(instant.getTime() + offsetMinutes * 60000).getUTCFullYear();
+  if (instant < getSolarTerm(baziYear, 2).date) {
+    baziYear -= 1;
+  }
+  const yearIndex = mod(baziYear - 4, 60);
+  const yearStem = yearIndex % 10;
+
+  // 月柱以节为界：寅月始于立春（黄经 315°）
+  const monthOffset = Math.floor(normalizeDegrees(solarLongitudeAt(instant) - 315) / 30);
+  const monthIndex = ganzhiIndex(
+    mod((yearStem % 5) * 2 + 2 + monthOffset, 10),
+    (monthOffset + 2) % 12,
+  );
+
+  const dayIndex = mod(dayNumber + 49, 60);
+  const dayStem = dayIndex % 10;
+
+  const pillars = {
+    year: buildPillar('year', yearIndex, dayStem),
+    month: buildPillar('month', monthIndex, dayStem),
+    day: buildPillar('day', dayIndex, dayStem),
+    hour: null,
+  };
+  if (hasTime) {
+    const hourBranch = Math.floor((clockHour + 1) / 2) % 12;
+    const hourIndex = ganzhiIndex(mod((dayStem % 5) * 2 + hourBranch, 10), hourBranch);
+    pillars.hour = {
+      ...buildPillar('hour', hourIndex, dayStem),
+      shichen: `${BRANCHES[hourBranch]}时`,
+    };
+  }
+  const activePillars = Object.values(pillars).filter(Boolean);
+
+  const solarTerm = currentSolarTerm(instant);
+  const lunar = solarToLunar(solarDate.year, solarDate.month, solarDate.day);
+  const birthYear = solarDate.year;
+
+  let luck = null;
+  if (sex) {
+    luck = buildLuck({
+      instant,
+      birthYear,
+      yearStem,
+      monthIndex,
+      dayStem,
+      gender: sex,
+      timezoneOffset: offsetMinutes,
+    });
+  } else {
+    notes.push('未提供性别，无法确定大运顺逆，未排大运');
+  }
+
+  const currentYear = now.getFullYear();
+  const annual = Array.from({ length: annualYears }, (_, i) => {
+    const year = currentYear + i;
+    const current =
+      luck && luck.pillars.find((item) => item.start_year <= year && year <= item.end_year);
+    return {
+      ...annualPillar(year, dayStem),
+      age: year - birthYear,
+      luck_ganzhi: current ? current.ganzhi : null,
+    };
+  });
+
+  return {
+    input: {
+      birth_time: birthTime,
+      calendar: parsed.calendar,
+      gender: sex,
+      location: location || null,
+    },
+    solar_date: `${solarDate.year}-${pad(solarDate.month)}-${pad(solarDate.day)}${
+      hasTime ? ` ${pad(civil.hour)}:${pad(civil.minute)}` : ''
+    }`,
+    lunar_date: {
+      year: lunar.year,
+      month: lunar.month,
+      day: lunar.day,
+      leap: lunar.leap,
+      text: `${ganzhiName(mod(lunar.year - 4, 60))}年${lunar.text.replace(/^.*?年/, '')}`,
+    },
+    timezone,
+    utc_offset_minutes: offsetMinutes,
+    location: place,
+    true_solar_time: solarTime,
+    pillars,
+    day_master: {
+      stem: STEMS[dayStem],
+      element: ELEMENTS[Math.floor(dayStem / 2)],
+      polarity: dayStem % 2 === 0 ? '阳' : '阴',
+      season_state: seasonState(monthIndex % 12, Math.floor(dayStem / 2)),
+    },
+    zodiac: ZODIAC[yearIndex % 12],
+    solar_term: {
+      name: solarTerm.name,
+      time: formatDateTime(solarTerm.date, offsetMinutes),
+    },
+    five_elements: countElements(activePillars, monthIndex % 12),
+    luck,
+    annual,
+    notes,
+  };
+}
+
+const formatAgeRange = (pillar) =>
+  `${pillar.start_age}-${pillar.end_age}岁（${pillar.start_year}-${pillar.end_year}年）`;
+
+function describeLocation(location) {
+  if (!location) {
+    return '未提供，按北京时间计算';
+  }
+  const longitude = `${location.longitude >= 0 ? '东经' : '西经'}${Math.abs(location.longitude)}°`;
+  const latitude =
+    location.latitude == null
+      ? ''
+      : `，${location.latitude >= 0 ? '北纬' : '南纬'}${Math.abs(location.latitude)}°`;
+  const source = location.source === 'gazetteer' ? '内置地名库' : '用户提供的经纬度';
+  return `${source}（${location.name}：${longitude}${latitude}，时区 ${location.timezone}）`;
+}
+
+function describeHourDivision({ true_solar_time: solarTime, pillars }) {
+  if (!pillars.hour) {
+    return '未提供出生时辰';
+  }
+  if (!solarTime) {
+    return `按当地钟面时间划分，属${pillars.hour.shichen}（未做真太阳时校正）`;
+  }
+  return (
+    `真太阳时 ${solarTime.time}（经度与均时差合计校正 ${solarTime.correction_minutes} 分钟），` +
+    `属${pillars.hour.shichen}`
+  );
+}
+
+/** 命盘中出现最多的十神（天干与地支本气，不含日主） */
+function rankTenGods(chart) {
+  const counts = new Map();
+  for (const pillar of Object.values(chart.pillars).filter(Boolean)) {
+    for (const god of [pillar.stem_ten_god, pillar.branch_ten_god]) {
+      if (god !== '日主') {
+        counts.set(god, (counts.get(god) || 0) + 1);
+      }
+    }
+  }
+  const order = TEN_GODS.flat();
+  return [...counts.entries()]
+    .sort((a, b) => b[1] - a[1] || order.indexOf(a[0]) - order.indexOf(b[0]))
+    .map(([god]) => god);
+}
+
+/**
+ * 把命盘转换为结果模板中的占位符取值（键为去掉方括号的占位符名）
+ *
+ * 命盘、分析、预测三类模板中同名占位符含义不同（如「年龄范围1」），按分析类型分别取值；
+ * 无法确定计算的内容（如用神、运势特点）不在此生成。
+ *
+ * @param {Object} chart - calculateBazi 的结果
+ * @param {Object} [options]
+ * @param {string} [options.analysisType='bazi_chart'] - bazi_chart / bazi_analysis / forecast / combined
+ * @param {Date} [options.now] - 当前时间，用于当前大运、流年、流月
+ * @returns {Record<string, string>}
+ */
+function toTemplateVariables(chart, { analysisType = 'bazi_chart', now = new Date() } = {}) {
+  const { pillars, luck, five_elements: elements, day_master: dayMaster } = chart;
+  const variables = {
+    出生日期: `${chart.solar_date}（农历${chart.lunar_date.text}）`,
+    日主天干: `${dayMaster.stem}（${dayMaster.polarity}${dayMaster.element}）`,
+  };
+  if (chart.input.gender) {
+    variables['性别'] = chart.input.gender === 'male' ? '男' : '女';
+  }
+  if (chart.location) {
+    variables['出生地点'] = chart.location.name;
+  }
+  for (const [key, label] of Object.entries(PILLAR_NAMES)) {
+    if (pillars[key]) {
+      variables[`${label}柱`] = pillars[key].ganzhi;
+    }
+  }
+
+  const currentYear = now.getFullYear();
+  const luckPillars = luck ? luck.pillars : [];
+  const currentIndex = luckPillars.findIndex(
+    (pillar) => pillar.start_year <= currentYear && currentYear <= pillar.end_year,
+  );
+  // 尚未起运时从第一步大运开始
+  const upcoming = luckPillars.slice(Math.max(currentIndex, 0));
+
+  if (analysisType === 'bazi_chart') {
+    for (const [key, label] of Object.entries(PILLAR_NAMES)) {
+      const pillar = pillars[key];
+      if (!pillar) {
+        continue;
+      }
+      variables[`${label}柱干支`] = pillar.ganzhi;
+      variables[`${label}柱五行`] = pillar.element;
+      variables[`${label}柱纳音`] = pillar.nayin;
+      variables[`${label}干十神`] = pillar.stem_ten_god;
+      variables[`${label}支十神`] = `${pillar.branch_ten_god}（藏${pillar.hidden_stems
+        .map((item) => item.stem)
+        .join('')}）`;
+    }
+    variables['生肖'] = chart.zodiac;
+    variables['节气'] = `${chart.solar_term.name}（${chart.solar_term.time}）`;
+    if (pillars.hour) {
+      variables['时辰'] = pillars.hour.shichen;
+    }
+    for (const element of ELEMENTS) {
+      variables[`${element}出现次数`] = String(elements.counts[element]);
+      variables[`${element}位置`] = elements.positions[element].join('、') || '无';
+      variables[`${element}强弱`] = elements.strength[element];
+    }
+    variables['最旺五行'] = elements.strongest;
+    variables['最弱五行'] = elements.weakest;
+
+    if (luck) {
+      variables['起运年龄'] = String(luck.start_age.years);
+      variables['起运时间'] =
+        `${luck.start_date}（出生后 ${luck.start_age.years} 年 ${luck.start_age.months} 个月 ${luck.start_age.days} 天）`;
+      variables['顺行/逆行'] = luck.direction;
+      luckPillars.forEach((pillar, i) => {
+        variables[`第${ORDINALS[i]}柱大运干支`] = pillar.ganzhi;
+        variables[`年龄范围${i + 1}`] = formatAgeRange(pillar);
+      });
+      const yangYear = STEMS.indexOf(pillars.year.stem) % 2 === 0;
+      variables['大运计算验证'] =
+        `${yangYear ? '阳' : '阴'}年${variables['性别']}命${luck.direction}，` +
+        `出生距${luck.boundary_term}（${luck.boundary_time}）${luck.days_to_boundary} 天，按三天折一年起运`;
+    }
+
+    variables['农历转换验证'] =
+      `公历 ${chart.solar_date.slice(0, 10)} 为农历${chart.lunar_date.text}`;
+    variables['时辰划分验证'] = describeHourDivision(chart);
+    variables['十神计算验证'] =
+      `以日主${dayMaster.stem}${dayMaster.element}为准推算，地支取本气藏干`;
+    variables['出生时间数据来源'] =
+      chart.input.calendar === 'lunar' ? '用户提供（农历，已换算为公历）' : '用户提供（公历）';
+    variables['地理位置数据来源'] = describeLocation(chart.location);
+    variables['计算方法说明'] =
+      '离线天文算法：按太阳视黄经确定节气（误差约数分钟），按朔日与中气编排农历，' +
+      '年柱以立春、月柱以节为界，日柱、时柱按出生地真太阳时划分';
+  }
+
+  if (analysisType === 'bazi_analysis' || analysisType === 'combined') {
+    rankTenGods(chart)
+      .slice(0, 4)
+      .forEach((god, i) => {
+        variables[`十神${i + 1}`] = god;
+      });
+    upcoming.slice(0, 3).forEach((pillar, i) => {
+      variables[`大运${i + 1}`] = `${pillar.ganzhi} ${formatAgeRange(pillar)}`;
+    });
+  }
+
+  if (analysisType === 'forecast') {
+    const current = currentIndex >= 0 ? luckPillars[currentIndex] : null;
+    if (current) {
+      variables['当前大运干支'] = current.ganzhi;
+      variables['当前大运年龄范围'] = formatAgeRange(current);
+    }
+    variables['当前流年干支'] = annualPillar(currentYear, STEMS.indexOf(dayMaster.stem)).ganzhi;
+    variables['预测年份'] = String(currentYear);
+    [currentYear, currentYear + 1].forEach((year, i) => {
+      variables[`预测年份${i + 1}`] = String(year);
+      variables[`流年干支${i + 1}`] = annualPillar(year, STEMS.indexOf(dayMaster.stem)).ganzhi;
+    });
+    for (const month of getMonthPillars(currentYear)) {
+      variables[`${month.month}月流月干支`] = `${month.ganzhi}（${month.solar_term}起）`;
+    }
+    upcoming.slice(0, 4).forEach((pillar, i) => {
+      variables[`大运${i + 1}`] = `第${ORDINALS[pillar.order - 1]}步大运`;
+      variables[`大运干支${i + 1}`] = pillar.ganzhi;
+      variables[`年龄范围${i + 1}`] = formatAgeRange(pillar);
+    });
+  }
+
+  return variables;
+}
+
+module.exports = {
+  STEMS,
+  BRANCHES,
+  ELEMENTS,
+  ZODIAC,
+  ganzhiIndex,
+  ganzhiName,
+  tenGod,
+  getMonthPillars,
+  annualPillar,
+  calculateBazi,
+  toTemplateVariables,
+};
@@ -0,0 +1,118 @@
+const { renderTemplate } = require('../templates/render');
+const { calculateBazi, tenGod, toTemplateVariables, STEMS } = require('./bazi');
+
+const now = new Date('2026-10-19T12:00:00+08:00');
+const ganzhi = (chart) =>
+  Object.values(chart.pillars)
+    .filter(Boolean)
+    .map((pillar) => pillar.ganzhi);
+
+describe('bazi engine', () => {
+  it('derives ten gods from element relation and polarity', () => {
+    const god = (day, target) => tenGod(STEMS.indexOf(day), STEMS.indexOf(target));
+    expect(god('甲', '甲')).toBe('比肩');
+    expect(god('甲', '丁')).toBe('伤官');
+    expect(god('甲', '己')).toBe('正财');
+    expect(god('甲', '庚')).toBe('七杀');
+    expect(god('乙', '庚')).toBe('正官');
+    expect(god('丁', '甲')).toBe('正印');
+  });
+
+  it('calculates a known chart with true solar time and luck pillars', () => {
+    const chart = calculateBazi({
+      birthTime: '1893-12-26 08:00',
+      gender: '男',
+      location: '湖南长沙',
+      now,
+    });
+
+    expect(ganzhi(chart)).toEqual(['癸巳', '甲子', '丁酉', '甲辰']);
+    expect(chart.zodiac).toBe('蛇');
+    expect(chart.lunar_date.text).toBe('癸巳年冬月十九');
+    expect(chart.true_solar_time.correction_minutes).toBeCloseTo(-35, 0);
+    expect(chart.pillars.hour).toMatchObject({ shichen: '辰时', nayin: '覆灯火' });
+    expect(chart.day_master).toMatchObject({ stem: '丁', element: '火', polarity: '阴' });
+
+    // 阴年男命逆行，大运从月柱甲子倒排
+    expect(chart.luck.direction).toBe('逆行');
+    expect(chart.luck.pillars.slice(0, 3).map((pillar) => pillar.ganzhi)).toEqual([
+      '癸亥',
+      '壬戌',
+      '辛酉',
+    ]);
+    expect(chart.luck.start_age.years).toBe(6);
+    expect(chart.annual[0]).toMatchObject({ year: 2026, ganzhi: '丙午' });
+  });
+
+  it('switches the year pillar at the start of spring, not the new year', () => {
+    const before = calculateBazi({ birthTime: '2024-02-04 15:00', gender: '女', location: '上海' });
+    const after = calculateBazi({ birthTime: '2024-02-04 18:00', gender: '女', location: '上海' });
+
+    expect(ganzhi(before).slice(0, 2)).toEqual(['癸卯', '乙丑']);
+    expect(ganzhi(after).slice(0, 2)).toEqual(['甲辰', '丙寅']);
+    // 农历仍在癸卯年腊月
+    expect(after.lunar_date.text).toBe('癸卯年腊月廿五');
+    expect(after.luck.direction).toBe('逆行');
+  });
+
+  it('moves the day pillar after 23:00 and accepts lunar input', () => {
+    const lateRat = calculateBazi({ birthTime: '2000-01-01 23:40', location: '北京' });
+    expect(ganzhi(lateRat).slice(2)).toEqual(['己未', '甲子']);
+    expect(lateRat.luck).toBeNull();
+    expect(lateRat.notes).toEqual(
+      expect.arrayContaining([expect.stringContaining('晚子时'), expect.stringContaining('性别')]),
+    );
+
+    const lunar = calculateBazi({ birthTime: '农历1990年四月廿六 14:30', gender: '女' });
+    expect(lunar.solar_date).toBe('1990-05-20 14:30');
+    expect(ganzhi(lunar)).toEqual(['庚午', '辛巳', '乙酉', '癸未']);
+    expect(lunar.true_solar_time).toBeNull();
+  });
+
+  it('counts five elements and skips the hour pillar without a birth hour', () => {
+    const chart = calculateBazi({ birthTime: '1949-10-01', gender: '男', location: '北京' });
+
+    expect(ganzhi(chart)).toEqual(['己丑', '癸酉', '甲子']);
+    expect(chart.pillars.hour).toBeNull();
+    expect(chart.five_elements.counts).toEqual({ 木: 1, 火: 0, 土: 2, 金: 1, 水: 2 });
+    expect(chart.five_elements.missing).toEqual(['火']);
+    expect(chart.five_elements.season_states['金']).toBe('旺');
+  });
+
+  it('maps the chart to template placeholders per analysis type', () => {
+    const chart = calculateBazi({
+      birthTime: '1990-05-20 14:30',
+      gender: '女',
+      location: '北京',
+      now,
+    });
+
+    const chartVariables = toTemplateVariables(chart, { now });
+    expect(chartVariables).toMatchObject({
+      年柱干支: '庚午',
+      月柱纳音: '白蜡金',
+      日主天干: '乙（阴木）',
+      时辰: '未时',
+      年干十神: '正官',
+      金出现次数: '3',
+      最旺五行: '金',
+      '顺行/逆行': '逆行',
+      第一柱大运干支: '庚辰',
+      年龄范围1: '5-14岁（1995-2004年）',
+    });
+
+    const forecast = toTemplateVariables(chart, { analysisType: 'forecast', now });
+    expect(forecast).toMatchObject({
+      当前大运干支: '丁丑',
+      当前流年干支: '丙午',
+      流年干支2: '丁未',
+      '1月流月干支': '庚寅（立春起）',
+      大运干支1: '丁丑',
+      年龄范围1: '35-44岁（2025-2034年）',
+    });
+
+    expect(
+      renderTemplate('年柱：`[年柱干支]`，用神：`[用神五行]`', { values: chartVariables }).content,
+    ).toBe('年柱：`庚午`，用神：`[用神五行]`');
+  });
+});
@@ -0,0 +1,178 @@
+/**
+ * 出生信息解析（八字与星盘共用）
+ *
+ * 解析出生时间与性别描述，并结合出生地点的时区换算出生时刻。
+ */
+
+const { lunarToSolar, zonedTimeToUtc } = require('./calendar');
+const { resolveLocation, DEFAULT_TIME_ZONE } = require('./gazetteer');
+
+const CHINESE_MONTHS = {
+  正: 1,
+  一: 1,
+  二: 2,
+  三: 3,
+  四: 4,
+  五: 5,
+  六: 6,
+  七: 7,
+  八: 8,
+  九: 9,
+  十: 10,
+  十一: 11,
+  冬: 11,
+  十二: 12,
+  腊: 12,
+};
+const CHINESE_NUMBERS = '〇一二三四五六七八九';
+
+const SHICHEN = '子丑寅卯辰巳午未申酉戌亥';
+
+/** 中文数字转数字，支持「十一」「廿三」「初五」等农历写法 */
+function parseChineseNumber(text) {
+  let value = text.replace(/^初/, '').replace(/^廿/, '二十');
+  if (/^\d+$/.test(value)) {
+    return Number(value);
+  }
+  if (value === '十') {
+    return 10;
+  }
+  value = value.replace(/^十/, '一十');
+  const [tens, ones] = value.includes('十') ? value.split('十') : ['', value];
+  return CHINESE_NUMBERS.indexOf(tens || '〇') * 10 + (ones ? CHINESE_NUMBERS.indexOf(ones) : 0);
+}
+
+/**
+ * 解析出生时间描述
+ *
+ * 支持「1990-05-20 14:30」「1990年5月20日下午2点」「农历1990年四月廿六 未时」「农历2023年闰二月初三」等写法。
+ *
+ * @param {string} text
+ * @returns {{ calendar: 'solar' | 'lunar', year: number, month: number, day: number, leap: boolean, hour: number | null, minute: number }|null}
+ */
+function parseBirthTime(text) {
+  if (!text || typeof text !== 'string') {
+    return null;
+  }
+  const lunar = /农历|阴历|旧历/.test(text);
+  const numeric = text.match(
+    /(\d{4})\s*[年\-/.]\s*(闰)?\s*(\d{1,2})\s*[月\-/.]\s*(\d{1,2})\s*[日号]?/,
+  );
+  const chinese = lunar
+    ? text.match(
+        /(\d{4})\s*年\s*(闰)?\s*(十一|十二|正|冬|腊|十|[一二三四五六七八九])\s*月\s*(初[一二三四五六七八九十]|十[一二三四五六七八九]?|二十|廿[一二三四五六七八九]|三十|\d{1,2})\s*[日号]?/,
+      )
+    : null;
+  const match = numeric || chinese;
+  if (!match) {
+    return null;
+  }
+
+  const result = {
+    calendar: lunar ? 'lunar' : 'solar',
+    year: Number(match[1]),
+    month: numeric ? Number(match[3]) : CHINESE_MONTHS[match[3]],
+    day: numeric ? Number(match[4]) : parseChineseNumber(match[4]),
+    leap: lunar && Boolean(match[2]),
+    hour: null,
+    minute: 0,
+  };
+
+  const rest = text.slice(match.index + match[0].length);
+  const clock = rest.match(/(\d{1,2})\s*(?:[:：]\s*(\d{1,2})|[时点]\s*(?:(\d{1,2})\s*分?|半)?)/);
+  const shichen = rest.match(/([子丑寅卯辰巳午未申酉戌亥])时/);
+  if (clock) {
+    let hour = Number(clock[1]);
+    if (/(下午|傍晚|晚上|夜里|夜间)\s*$/.test(rest.slice(0, clock.index)) && hour < 12) {
+      hour += 12;
+    }
+    result.hour = hour;
+    result.minute = Number(clock[2] || clock[3] || (/半/.test(clock[0]) ? 30 : 0));
+  } else if (shichen) {
+    // 只给时辰时取该时辰的中点
+    result.hour = SHICHEN.indexOf(shichen[1]) * 2;
+  }
+
+  if (
+    result.month < 1 ||
+    result.month > 12 ||
+    result.day < 1 ||
+    result.day > 31 ||
+    (result.hour != null && (result.hour > 23 || result.minute > 59))
+  ) {
+    return null;
+  }
+  return result;
+}
+
+/**
+ * 解析性别，返回 male / female / null
+ * @param {string} [text]
+ * @returns {'male' | 'female' | null}
+ */
+function parseGender(text) {
+  if (!text || typeof text !== 'string') {
+    return null;
+  }
+  if (/女|坤造|\bfemale\b|\bwoman\b|^f$/i.test(text.trim())) {
+    return 'female';
+  }
+  if (/男|乾造|\bmale\b|\bman\b|^m$/i.test(text.trim())) {
+    return 'male';
+  }
+  return null;
+}
+
+/**
+ * 解析出生时间与地点，换算出生时刻
+ *
+ * 农历日期先换算为公历；未给出时间时按当地正午计算，由调用方决定哪些结果不可用。
+ *
+ * @param {string} birthTime - 出生时间描述
+ * @param {string} [location] - 出生地点
+ * @returns {{
+ *   parsed: ReturnType<typeof parseBirthTime>,
+ *   solarDate: { year: number, month: number, day: number },
+ *   hasTime: boolean,
+ *   civil: { year: number, month: number, day: number, hour: number, minute: number },
+ *   place: ReturnType<typeof resolveLocation>,
+ *   timezone: string,
+ *   instant: Date,
+ *   offsetMinutes: number,
+ * }}
+ */
+function resolveBirthMoment(birthTime, location) {
+  const parsed = parseBirthTime(birthTime);
+  if (!parsed) {
+    throw new Error(`无法识别出生时间: ${birthTime}`);
+  }
+
+  const solarDate =
+    parsed.calendar === 'lunar'
+      ? lunarToSolar(parsed.year, parsed.month, parsed.day, parsed.leap)
+      : parsed;
+  const check = new Date(Date.UTC(solarDate.year, solarDate.month - 1, solarDate.day));
+  if (check.getUTCMonth() !== solarDate.month - 1) {
+    throw new Error(`日期不存在: ${solarDate.year}-${solarDate.month}-${solarDate.day}`);
+  }
+
+  const place = resolveLocation(location);
+  const timezone = place ? place.timezone : DEFAULT_TIME_ZONE;
+  const hasTime = parsed.hour != null;
+  const civil = {
+    year: solarDate.year,
+    month: solarDate.month,
+    day: solarDate.day,
+    hour: hasTime ? parsed.hour : 12,
+    minute: hasTime ? parsed.minute : 0,
+  };
+  const { date: instant, offsetMinutes } = zonedTimeToUtc(civil, timezone);
+
+  return { parsed, solarDate, hasTime, civil, place, timezone, instant, offsetMinutes };
+}
+
+module.exports = {
+  parseBirthTime,
+  parseGender,
+  resolveBirthMoment,
+};
@@ -0,0 +1,45 @@
+const { parseBirthTime, parseGender, resolveBirthMoment } = require('./birth');
+
+describe('birth info', () => {
+  it('parses solar, lunar and colloquial birth times', () => {
+    expect(parseBirthTime('1990-05-20 14:30')).toMatchObject({
+      calendar: 'solar',
+      year: 1990,
+      month: 5,
+      day: 20,
+      hour: 14,
+      minute: 30,
+    });
+    expect(parseBirthTime('1990年5月20日下午2点半')).toMatchObject({ hour: 14, minute: 30 });
+    expect(parseBirthTime('农历2023年闰二月初三 未时')).toMatchObject({
+      calendar: 'lunar',
+      month: 2,
+      day: 3,
+      leap: true,
+      hour: 14,
+    });
+    expect(parseBirthTime('农历1990年四月廿六')).toMatchObject({ month: 4, day: 26, hour: null });
+    expect(parseBirthTime('不记得了')).toBeNull();
+
+    expect(parseGender('坤造')).toBe('female');
+    expect(parseGender('male')).toBe('male');
+    expect(parseGender('some text')).toBeNull();
+  });
+
+  it('resolves the birth moment in the time zone of the birth place', () => {
+    const newYork = resolveBirthMoment('1990-07-04 12:00', '纽约');
+    expect(newYork.timezone).toBe('America/New_York');
+    expect(newYork.instant.toISOString()).toBe('1990-07-04T16:00:00.000Z');
+
+    const lunar = resolveBirthMoment('农历2023年闰二月初一');
+    expect(lunar).toMatchObject({
+      solarDate: { year: 2023, month: 3, day: 22 },
+      hasTime: false,
+      place: null,
+      timezone: 'Asia/Shanghai',
+    });
+
+    expect(() => resolveBirthMoment('1990-02-30 10:00')).toThrow('日期不存在');
+    expect(() => resolveBirthMoment('明天')).toThrow('无法识别出生时间');
+  });
+});
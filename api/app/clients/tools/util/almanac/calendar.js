@@ -0,0 +1,609 @@
+/**
+ * 历法计算（离线，供八字、星盘等命理工具使用）
+ *
+ * - 儒略日与公历互换、ΔT 修正
+ * - 太阳视黄经（Meeus《天文算法》第 25 章低精度算法，误差约 0.01°，即节气时刻误差约 15 分钟）
+ * - 二十四节气时刻、均时差（用于真太阳时）
+ * - 朔日（Meeus 第 49 章）与农历：以冬至所在月为十一月，岁中有 13 个月时第一个无中气的月为闰月，
+ *   日期按北京时间（UTC+8）划分
+ * - IANA 时区下的当地时间与 UTC 互换（含历史夏令时，如 1986-1991 年中国夏令时）
+ */
+
+const DEG = Math.PI / 180;
+const MS_PER_DAY = 86400000;
+const UNIX_EPOCH_JD = 2440587.5;
+const TROPICAL_YEAR = 365.2422;
+const SYNODIC_MONTH = 29.530588861;
+/** 农历日期按北京时间划分 */
+const CHINA_UTC_OFFSET_DAYS = 8 / 24;
+
+/** 二十四节气，从小寒开始（与公历月份对齐），黄经 = 285° + 15° × 序号 */
+const SOLAR_TERMS = [
+  '小寒',
+  '大寒',
+  '立春',
+  '雨水',
+  '惊蛰',
+  '春分',
+  '清明',
+  '谷雨',
+  '立夏',
+  '小满',
+  '芒种',
+  '夏至',
+  '小暑',
+  '大暑',
+  '立秋',
+  '处暑',
+  '白露',
+  '秋分',
+  '寒露',
+  '霜降',
+  '立冬',
+  '小雪',
+  '大雪',
+  '冬至',
+];
+
+const LUNAR_MONTH_NAMES = ['正', '二', '三', '四', '五', '六', '七', '八', '九', '十', '冬', '腊'];
+const LUNAR_DAY_TENS = ['初', '十', '廿', '三'];
+const CHINESE_DIGITS = ['〇', '一', '二', '三', '四', '五', '六', '七', '八', '九'];
+
+function normalizeDegrees(degrees) {
+  return ((degrees % 360) + 360) % 360;
+}
+
+/** 归一化到 (-180, 180] */
+function normalizeDegreesSigned(degrees) {
+  const value = normalizeDegrees(degrees);
+  return value > 180 ? value - 360 : value;
+}
+
+/**
+ * @param {Date} date
+ * @returns {number} 儒略日（UT）
+ */
+function toJulianDay(date) {
+  return date.getTime() / MS_PER_DAY + UNIX_EPOCH_JD;
+}
+
+/**
+ * @param {number} jd - 儒略日（UT）
+ * @returns {Date}
+ */
+function fromJulianDay(jd) {
+  return new Date(Math.round((jd - UNIX_EPOCH_JD) * MS_PER_DAY));
+}
+
+/**
+ * 公历日期的儒略日数（当日正午的整数儒略日）
+ * @param {number} year
+ * @param {number} month - 1-12
+ * @param {number} day
+ * @returns {number}
+ */
+function dayNumberFromDate(year, month, day) {
+  return Math.round(Date.UTC(year, month - 1, day) / MS_PER_DAY + UNIX_EPOCH_JD + 0.5);
+}
+
+/**
+ * @param {number} dayNumber - 儒略日数
+ * @returns {{ year: number, month: number, day: number }}
+ */
+function dateFromDayNumber(dayNumber) {
+  const date = new Date((dayNumber - 0.5 - UNIX_EPOCH_JD) * MS_PER_DAY);
+  return { year: date.getUTCFullYear(), month: date.getUTCMonth() + 1, day: date.getUTCDate() };
+}
+
+/**
+ * 力学时与世界时之差 ΔT（秒），Espenak & Meeus 多项式
+ * @param {number} year - 可带小数
+ * @returns {number}
+ */
+function deltaT(year) {
+  if (year >= 2005 && year < 2050) {
+    const t = year - 2000;
+    return 62.92 + 0.32217 * t + 0.005589 * t * t;
+  }
+  if (year >= 1986 && year < 2005) {
+    const t = year - 2000;
+    return (
+      63.86 +
+      0.3345 * t -
+      0.060374 * t ** 2 +
+      0.0017275 * t ** 3 +
+      0.000651814 * t ** 4 +
+      0.00002373599 * t ** 5
+    );
+  }
+  if (year >= 1961 && year < 1986) {
+    const t = year - 1975;
+    return 45.45 + 1.067 * t - t ** 2 / 260 - t ** 3 / 718;
+  }
+  if (year >= 1941 && year < 1961) {
+    const t = year - 1950;
+    return 29.07 + 0.407 * t - t ** 2 / 233 + t ** 3 / 2547;
+  }
+  if (year >= 1920 && year < 1941) {
+    const t = year - 1920;
+    return 21.2 + 0.84493 * t - 0.0761 * t ** 2 + 0.0020936 * t ** 3;
+  }
+  if (year >= 1900 && year < 1920) {
+    const t = year - 1900;
+    return -2.79 + 1.494119 * t - 0.0598939 * t ** 2 + 0.0061966 * t ** 3 - 0.000197 * t ** 4;
+  }
+  if (year >= 2050 && year < 2150) {
+    return -20 + 32 * ((year - 1820) / 100) ** 2 - 0.5628 * (2150 - year);
+  }
+  return -20 + 32 * ((year - 1820) / 100) ** 2;
+}
+
+/**
+ * @param {number} jd - 儒略日（UT）
+ * @returns {number} 儒略历书日（TT）
+ */
+function toJDE(jd) {
+  const year = 2000 + (jd - 2451545) / 365.25;
+  return jd + deltaT(year) / 86400;
+}
+
+/**
+ * @param {number} jde - 儒略历书日（TT）
+ * @returns {number} 儒略日（UT）
+ */
+function fromJDE(jde) {
+  const year = 2000 + (jde - 2451545) / 365.25;
+  return jde - deltaT(year) / 86400;
+}
+
+/**
+ * 太阳几何平黄经、平近点角等基本参数
+ * @param {number} T - 自 J2000.0 起的儒略世纪数（TT）
+ */
+function sunElements(T) {
+  const L0 = 280.46646 + 36000.76983 * T + 0.0003032 * T * T;
+  const M = 357.52911 + 35999.05029 * T - 0.0001537 * T * T;
+  const e = 0.016708634 - 0.000042037 * T - 0.0000001267 * T * T;
+  const C =
+    (1.914602 - 0.004817 * T - 0.000014 * T * T) * Math.sin(M * DEG) +
+    (0.019993 - 0.000101 * T) * Math.sin(2 * M * DEG) +
+    0.000289 * Math.sin(3 * M * DEG);
+  const omega = 125.04 - 1934.136 * T;
+  return { L0, M, e, C, omega };
+}
+
+/**
+ * 太阳视黄经（度）
+ * @param {number} jde - 儒略历书日（TT）
+ * @returns {number}
+ */
+function sunApparentLongitude(jde) {
+  const T = (jde - 2451545) / 36525;
+  const { L0, C, omega } = sunElements(T);
+  return normalizeDegrees(L0 + C - 0.00569 - 0.00478 * Math.sin(omega * DEG));
+}
+
+/**
+ * 某一时刻的太阳视黄经
+ * @param {Date} date
+ * @returns {number}
+ */
+function solarLongitudeAt(date) {
+  return sunApparentLongitude(toJDE(toJulianDay(date)));
+}
+
+/**
+ * 太阳视黄经到达指定度数的时刻
+ * @param {number} longitude - 目标黄经（度）
+ * @param {Date} approxDate - 估计时刻（前后半年内）
+ * @returns {Date}
+ */
+function findSolarLongitudeTime(longitude, approxDate) {
+  let jde = toJDE(toJulianDay(approxDate));
+  for (let i = 0; i < 50; i++) {
+    const diff = normalizeDegreesSigned(longitude - sunApparentLongitude(jde));
+    jde += (diff * TROPICAL_YEAR) / 360;
+    if (Math.abs(diff) < 1e-7) {
+      break;
+    }
+  }
+  return fromJulianDay(fromJDE(jde));
+}
+
+/**
+ * 某年的第 index 个节气（0 = 小寒 … 23 = 冬至）
+ * @param {number} year - 公历年
+ * @param {number} index
+ * @returns {{ name: string, index: number, longitude: number, date: Date }}
+ */
+function getSolarTerm(year, index) {
+  const longitude = normalizeDegrees(285 + 15 * index);
+  const approxDate = new Date(Date.UTC(year, 0, 6) + index * 15.22 * MS_PER_DAY);
+  return {
+    name: SOLAR_TERMS[index],
+    index,
+    longitude,
+    date: findSolarLongitudeTime(longitude, approxDate),
+  };
+}
+
+/**
+ * 某年的全部二十四节气
+ * @param {number} year
+ * @returns {Array<{ name: string, index: number, longitude: number, date: Date }>}
+ */
+function getSolarTerms(year) {
+  return SOLAR_TERMS.map((_, index) => getSolarTerm(year, index));
+}
+
+/**
+ * 均时差（分钟）：真太阳时 - 平太阳时
+ * @param {Date} date
+ * @returns {number}
+ */
+function equationOfTime(date) {
+  const T = (toJDE(toJulianDay(date)) - 2451545) / 36525;
+  const { L0, M, e } = sunElements(T);
+  const epsilon = 23.4392911 - 0.0130042 * T;
+  const y = Math.tan((epsilon / 2) * DEG) ** 2;
+  const L = L0 * DEG;
+  const m = M * DEG;
+  const E =
+    y * Math.sin(2 * L) -
+    2 * e * Math.sin(m) +
+    4 * e * y * Math.sin(m) * Math.cos(2 * L) -
+    0.5 * y * y * Math.sin(4 * L) -
+    1.25 * e * e * Math.sin(2 * m);
+  return (E / DEG) * 4;
+}
+
+/**
+ * 真太阳时（以 UTC 字段表示当地真太阳时的钟面时间）
+ * @param {Date} instant - 出生时刻
+ * @param {number} longitude - 东经为正
+ * @returns {{ date: Date, equationOfTime: number }}
+ */
+function trueSolarTime(instant, longitude) {
+  const eot = equationOfTime(instant);
+  return {
+    date: new Date(instant.getTime() + (longitude * 4 + eot) * 60000),
+    equationOfTime: eot,
+  };
+}
+
+/**
+ * 第 k 个朔（k = 0 为 2000 年 1 月 6 日）的时刻，Meeus 第 49 章
+ * @param {number} k
+ * @returns {number} 儒略历书日（TT）
+ */
+function newMoonJDE(k) {
+  const T = k / 1236.85;
+  const jde =
+    2451550.09766 +
+    SYNODIC_MONTH * k +
+    0.00015437 * T ** 2 -
+    0.00000015 * T ** 3 +
+    0.00000000073 * T ** 4;
+  const E = 1 - 0.002516 * T - 0.0000074 * T * T;
+  const M = (2.5534 + 29.1053567 * k - 0.0000014 * T ** 2 - 0.00000011 * T ** 3) * DEG;
+  const Mp =
+    (201.5643 +
+      385.81693528 * k +
+      0.0107582 * T ** 2 +
+      0.00001238 * T ** 3 -
+      0.000000058 * T ** 4) *
+    DEG;
+  const F =
+    (160.7108 +
+      390.67050284 * k -
+      0.0016118 * T ** 2 -
+      0.00000227 * T ** 3 +
+      0.000000011 * T ** 4) *
+    DEG;
+  const omega = (124.7746 - 1.56375588 * k + 0.0020672 * T ** 2 + 0.00000215 * T ** 3) * DEG;
+
+  const correction =
+    -0.4072 * Math.sin(Mp) +
+    0.17241 * E * Math.sin(M) +
+    0.01608 * Math.sin(2 * Mp) +
+    0.01039 * Math.sin(2 * F) +
+    0.00739 * E * Math.sin(Mp - M) -
+    0.00514 * E * Math.sin(Mp + M) +
+    0.00208 * E * E * Math.sin(2 * M) -
+    0.00111 * Math.sin(Mp - 2 * F) -
+    0.00057 * Math.sin(Mp + 2 * F) +
+    0.00056 * E * Math.sin(2 * Mp + M) -
+    0.00042 * Math.sin(3 * Mp) +
+    0.00042 * E * Math.sin(M + 2 * F) +
+    0.00038 * E * Math.sin(M - 2 * F) -
+    0.00024 * E * Math.sin(2 * Mp - M) -
+    0.00017 * Math.sin(omega) -
+    0.00007 * Math.sin(Mp + 2 * M) +
+    0.00004 * Math.sin(2 * Mp - 2 * F) +
+    0.00004 * Math.sin(3 * M) +
+    0.00003 * Math.sin(Mp + M - 2 * F) +
+    0.00003 * Math.sin(2 * Mp + 2 * F) -
+    0.00003 * Math.sin(Mp + M + 2 * F) +
+    0.00003 * Math.sin(Mp - M + 2 * F) -
+    0.00002 * Math.sin(Mp - M - 2 * F) -
+    0.00002 * Math.sin(3 * Mp + M) +
+    0.00002 * Math.sin(4 * Mp);
+
+  const planetary = [
+    [0.000325, 299.77 + 0.107408 * k - 0.009173 * T * T],
+    [0.000165, 251.88 + 0.016321 * k],
+    [0.000164, 251.83 + 26.651886 * k],
+    [0.000126, 349.42 + 36.412478 * k],
+    [0.00011, 84.66 + 18.206239 * k],
+    [0.000062, 141.74 + 53.303771 * k],
+    [0.00006, 207.14 + 2.453732 * k],
+    [0.000056, 154.84 + 7.30686 * k],
+    [0.000047, 34.52 + 27.261239 * k],
+    [0.000042, 207.19 + 0.121824 * k],
+    [0.00004, 291.34 + 1.844379 * k],
+    [0.000037, 161.72 + 24.198154 * k],
+    [0.000035, 239.56 + 25.513099 * k],
+    [0.000023, 331.55 + 3.592518 * k],
+  ].reduce((sum, [coefficient, argument]) => sum + coefficient * Math.sin(argument * DEG), 0);
+
+  return jde + correction + planetary;
+}
+
+/**
+ * 某一时刻在北京时间下的儒略日数
+ * @param {number} jd - 儒略日（UT）
+ * @returns {number}
+ */
+function chinaDayNumber(jd) {
+  return Math.floor(jd + CHINA_UTC_OFFSET_DAYS + 0.5);
+}
+
+/** 第 k 个朔所在的北京时间日期（儒略日数） */
+function newMoonDay(k) {
+  return chinaDayNumber(fromJDE(newMoonJDE(k)));
+}
+
+/** 不晚于 dayNumber 的最后一个朔的序号 */
+function newMoonIndexOnOrBefore(dayNumber) {
+  let k = Math.floor((dayNumber - 2451550.1) / SYNODIC_MONTH);
+  while (newMoonDay(k) > dayNumber) {
+    k--;
+  }
+  while (newMoonDay(k + 1) <= dayNumber) {
+    k++;
+  }
+  return k;
+}
+
+/** 北京时间某日零点的太阳视黄经 */
+function solarLongitudeAtDayStart(dayNumber) {
+  return sunApparentLongitude(toJDE(dayNumber - 0.5 - CHINA_UTC_OFFSET_DAYS));
+}
+
+/**
+ * [startDay, endDay) 内是否有中气（黄经为 30° 的整数倍）
+ */
+function hasPrincipalTerm(startDay, endDay) {
+  return (
+    Math.floor(solarLongitudeAtDayStart(startDay) / 30) !==
+    Math.floor(solarLongitudeAtDayStart(endDay) / 30)
+  );
+}
+
+const suiCache = new Map();
+
+/**
+ * 一个岁（从 year-1 年冬至所在月到 year 年冬至所在月之前）的农历月份
+ * @param {number} year - 公历年
+ * @returns {{ end: number, months: Array<{ start: number, end: number, month: number, leap: boolean, lunarYear: number }> }}
+ */
+function getSui(year) {
+  if (suiCache.has(year)) {
+    return suiCache.get(year);
+  }
+  const firstSolstice = chinaDayNumber(toJulianDay(getSolarTerm(year - 1, 23).date));
+  const lastSolstice = chinaDayNumber(toJulianDay(getSolarTerm(year, 23).date));
+  const k1 = newMoonIndexOnOrBefore(firstSolstice);
+  const k2 = newMoonIndexOnOrBefore(lastSolstice);
+  const hasLeapMonth = k2 - k1 === 13;
+
+  const months = [];
+  let month = 11;
+  let leapAssigned = false;
+  let lunarYear = year - 1;
+  for (let k = k1; k < k2; k++) {
+    const start = newMoonDay(k);
+    const end = newMoonDay(k + 1);
+    let leap = false;
+    if (k > k1) {
+      if (hasLeapMonth && !leapAssigned && !hasPrincipalTerm(start, end)) {
+        leap = true;
+        leapAssigned = true;
+      } else {
+        month = (month % 12) + 1;
+        if (month === 1) {
+          lunarYear = year;
+        }
+      }
+    }
+    months.push({ start, end, month, leap, lunarYear });
+  }
+
+  const sui = { end: newMoonDay(k2), months };
+  suiCache.set(year, sui);
+  return sui;
+}
+
+/**
+ * @param {number} day - 1-30
+ * @returns {string} 如 初一、十五、廿三
+ */
+function formatLunarDay(day) {
+  if (day === 10) {
+    return '初十';
+  }
+  if (day === 20) {
+    return '二十';
+  }
+  if (day === 30) {
+    return '三十';
+  }
+  return LUNAR_DAY_TENS[Math.floor(day / 10)] + CHINESE_DIGITS[day % 10];
+}
+
+/**
+ * @param {number} month - 1-12
+ * @param {boolean} [leap]
+ * @returns {string} 如 正月、闰二月
+ */
+function formatLunarMonth(month, leap = false) {
+  return `${leap ? '闰' : ''}${LUNAR_MONTH_NAMES[month - 1]}月`;
+}
+
+/**
+ * 公历转农历
+ * @param {number} year
+ * @param {number} month - 1-12
+ * @param {number} day
+ * @returns {{ year: number, month: number, day: number, leap: boolean, monthDays: number, text: string }}
+ */
+function solarToLunar(year, month, day) {
+  const dayNumber = dayNumberFromDate(year, month, day);
+  let sui = getSui(year);
+  if (dayNumber >= sui.end) {
+    sui = getSui(year + 1);
+  }
+  const entry = sui.months.find((item) => item.start <= dayNumber && dayNumber < item.end);
+  const lunarDay = dayNumber - entry.start + 1;
+  const yearText = String(entry.lunarYear)
+    .split('')
+    .map((digit) => CHINESE_DIGITS[Number(digit)])
+    .join('');
+  return {
+    year: entry.lunarYear,
+    month: entry.month,
+    day: lunarDay,
+    leap: entry.leap,
+    monthDays: entry.end - entry.start,
+    text: `${yearText}年${formatLunarMonth(entry.month, entry.leap)}${formatLunarDay(lunarDay)}`,
+  };
+}
+
+/**
+ * 农历转公历
+ * @param {number} lunarYear
+ * @param {number} lunarMonth - 1-12
+ * @param {number} lunarDay - 1-30
+ * @param {boolean} [leap] - 是否闰月
+ * @returns {{ year: number, month: number, day: number }}
+ */
+function lunarToSolar(lunarYear, lunarMonth, lunarDay, leap = false) {
+  const entry = [...getSui(lunarYear).months, ...getSui(lunarYear + 1).months].find(
+    (item) => item.lunarYear === lunarYear && item.month === lunarMonth && item.leap === leap,
+  );
+  if (!entry) {
+    throw new Error(`农历${lunarYear}年没有${formatLunarMonth(lunarMonth, leap)}`);
+  }
+  if (lunarDay < 1 || lunarDay > entry.end - entry.start) {
+    throw new Error(
+      `农历${lunarYear}年${formatLunarMonth(lunarMonth, leap)}只有 ${entry.end - entry.start} 天`,
+    );
+  }
+  return dateFromDayNumber(entry.start + lunarDay - 1);
+}
+
+const zoneFormatters = new Map();
+
+function getZoneFormatter(timeZone) {
+  if (!zoneFormatters.has(timeZone)) {
+    zoneFormatters.set(
+      timeZone,
+      new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: 'numeric',
+        day: 'numeric',
+        hour: 'numeric',
+        minute: 'numeric',
+        second: 'numeric',
+      }),
+    );
+  }
+  return zoneFormatters.get(timeZone);
+}
+
+/**
+ * 某一时刻在指定时区的 UTC 偏移（分钟）
+ * @param {Date} date
+ * @param {string} timeZone - IANA 时区
+ * @returns {number}
+ */
+function getTimeZoneOffset(date, timeZone) {
+  const parts = {};
+  for (const { type, value } of getZoneFormatter(timeZone).formatToParts(date)) {
+    parts[type] = Number(value);
+  }
+  const asUTC = Date.UTC(
+    parts.year,
+    parts.month - 1,
+    parts.day,
+    parts.hour,
+    parts.minute,
+    parts.second,
+  );
+  return Math.round((asUTC - Math.floor(date.getTime() / 1000) * 1000) / 60000);
+}
+
+/**
+ * 指定时区的当地时间转为时刻
+ * @param {{ year: number, month: number, day: number, hour?: number, minute?: number }} fields
+ * @param {string} timeZone - IANA 时区
+ * @returns {{ date: Date, offsetMinutes: number }}
+ */
+function zonedTimeToUtc({ year, month, day, hour = 0, minute = 0 }, timeZone) {
+  const asUTC = Date.UTC(year, month - 1, day, hour, minute);
+  let offset = getTimeZoneOffset(new Date(asUTC), timeZone);
+  offset = getTimeZoneOffset(new Date(asUTC - offset * 60000), timeZone);
+  return { date: new Date(asUTC - offset * 60000), offsetMinutes: offset };
+}
+
+/**
+ * 以 UTC 字段格式化日期，如 2024-02-04 16:27
+ * @param {Date} date
+ * @param {number} [offsetMinutes] - 先加上的偏移（分钟）
+ * @returns {string}
+ */
+function formatDateTime(date, offsetMinutes = 0) {
+  return new Date(date.getTime() + offsetMinutes * 60000)
+    .toISOString()
+    .slice(0, 16)
+    .replace('T', ' ');
+}
+
+module.exports = {
+  SOLAR_TERMS,
+  normalizeDegrees,
+  toJulianDay,
+  fromJulianDay,
+  toJDE,
+  fromJDE,
+  deltaT,
+  dayNumberFromDate,
+  dateFromDayNumber,
+  sunApparentLongitude,
+  solarLongitudeAt,
+  findSolarLongitudeTime,
+  getSolarTerm,
+  getSolarTerms,
+  equationOfTime,
+  trueSolarTime,
+  newMoonJDE,
+  solarToLunar,
+  lunarToSolar,
+  formatLunarMonth,
+  formatLunarDay,
+  getTimeZoneOffset,
+  zonedTimeToUtc,
+  formatDateTime,
+};
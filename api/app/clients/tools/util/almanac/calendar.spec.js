@@ -0,0 +1,68 @@
+const {
+  getSolarTerm,
+  solarToLunar,
+  lunarToSolar,
+  equationOfTime,
+  zonedTimeToUtc,
+  formatDateTime,
+} = require('./calendar');
+
+/** 北京时间 */
+const beijing = (date) => formatDateTime(date, 480);
+
+describe('almanac calendar', () => {
+  it('finds solar term moments within minutes', () => {
+    const minutesFrom = (date, expected) =>
+      Math.abs(date.getTime() - new Date(`${expected}:00+08:00`).getTime()) / 60000;
+
+    expect(getSolarTerm(2024, 2).name).toBe('立春');
+    expect(minutesFrom(getSolarTerm(2024, 2).date, '2024-02-04T16:27')).toBeLessThan(15);
+    expect(getSolarTerm(2023, 23).name).toBe('冬至');
+    expect(minutesFrom(getSolarTerm(2023, 23).date, '2023-12-22T11:27')).toBeLessThan(15);
+    expect(beijing(getSolarTerm(2024, 5).date).slice(0, 10)).toBe('2024-03-20');
+  });
+
+  it('converts lunar new year dates', () => {
+    expect(lunarToSolar(1990, 1, 1)).toEqual({ year: 1990, month: 1, day: 27 });
+    expect(lunarToSolar(2000, 1, 1)).toEqual({ year: 2000, month: 2, day: 5 });
+    expect(lunarToSolar(2023, 1, 1)).toEqual({ year: 2023, month: 1, day: 22 });
+    expect(lunarToSolar(2024, 1, 1)).toEqual({ year: 2024, month: 2, day: 10 });
+    expect(lunarToSolar(2025, 1, 1)).toEqual({ year: 2025, month: 1, day: 29 });
+    expect(solarToLunar(2024, 2, 9)).toMatchObject({ year: 2023, month: 12, day: 30 });
+  });
+
+  it('places leap months by the no-principal-term rule', () => {
+    expect(solarToLunar(2023, 3, 22)).toMatchObject({ month: 2, day: 1, leap: true });
+    expect(solarToLunar(2020, 5, 23)).toMatchObject({ month: 4, day: 1, leap: true });
+    expect(solarToLunar(2025, 7, 25)).toMatchObject({
+      month: 6,
+      day: 1,
+      leap: true,
+      text: '二〇二五年闰六月初一',
+    });
+    // 2033 年闰十一月（冬月）
+    expect(solarToLunar(2033, 12, 22)).toMatchObject({ month: 11, leap: true });
+
+    expect(lunarToSolar(2023, 2, 1, true)).toEqual({ year: 2023, month: 3, day: 22 });
+    expect(() => lunarToSolar(2024, 2, 1, true)).toThrow('没有闰二月');
+    expect(() => lunarToSolar(2023, 2, 30, true)).toThrow('只有 29 天');
+  });
+
+  it('computes the equation of time', () => {
+    expect(equationOfTime(new Date(Date.UTC(2024, 10, 3)))).toBeCloseTo(16.4, 0);
+    expect(equationOfTime(new Date(Date.UTC(2024, 1, 11)))).toBeCloseTo(-14.2, 0);
+  });
+
+  it('converts local time with historical daylight saving', () => {
+    // 1988 年中国实行夏令时（UTC+9）
+    const summer = zonedTimeToUtc({ year: 1988, month: 6, day: 1, hour: 10 }, 'Asia/Shanghai');
+    expect(summer.offsetMinutes).toBe(540);
+    expect(summer.date.toISOString()).toBe('1988-06-01T01:00:00.000Z');
+
+    const winter = zonedTimeToUtc({ year: 1988, month: 12, day: 1, hour: 10 }, 'Asia/Shanghai');
+    expect(winter.offsetMinutes).toBe(480);
+
+    const newYork = zonedTimeToUtc({ year: 2024, month: 7, day: 4, hour: 12 }, 'America/New_York');
+    expect(newYork.date.toISOString()).toBe('2024-07-04T16:00:00.000Z');
+  });
+});
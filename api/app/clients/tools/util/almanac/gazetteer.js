@@ -0,0 +1,173 @@
+/**
+ * 内置地名库：城市经纬度与 IANA 时区（离线，用于真太阳时与星盘宫位计算）
+ *
+ * 出生地点按最长地名匹配，也支持直接给出经纬度，如「东经116.4 北纬39.9」「116.4E 39.9N」。
+ */
+
+/** [名称, 纬度, 经度, 时区, 别名...] */
+const CITIES = [
+  ['北京', 39.904, 116.407, 'Asia/Shanghai', 'Beijing', 'Peking'],
+  ['上海', 31.23, 121.474, 'Asia/Shanghai', 'Shanghai'],
+  ['天津', 39.084, 117.201, 'Asia/Shanghai', 'Tianjin'],
+  ['重庆', 29.563, 106.551, 'Asia/Shanghai', 'Chongqing'],
+  ['广州', 23.129, 113.264, 'Asia/Shanghai', 'Guangzhou', 'Canton'],
+  ['深圳', 22.543, 114.058, 'Asia/Shanghai', 'Shenzhen'],
+  ['珠海', 22.271, 113.577, 'Asia/Shanghai', 'Zhuhai'],
+  ['东莞', 23.021, 113.752, 'Asia/Shanghai', 'Dongguan'],
+  ['佛山', 23.022, 113.122, 'Asia/Shanghai', 'Foshan'],
+  ['汕头', 23.354, 116.682, 'Asia/Shanghai', 'Shantou'],
+  ['杭州', 30.274, 120.155, 'Asia/Shanghai', 'Hangzhou'],
+  ['宁波', 29.868, 121.544, 'Asia/Shanghai', 'Ningbo'],
+  ['温州', 27.994, 120.699, 'Asia/Shanghai', 'Wenzhou'],
+  ['南京', 32.06, 118.797, 'Asia/Shanghai', 'Nanjing'],
+  ['苏州', 31.299, 120.585, 'Asia/Shanghai', 'Suzhou'],
+  ['无锡', 31.491, 120.312, 'Asia/Shanghai', 'Wuxi'],
+  ['徐州', 34.205, 117.285, 'Asia/Shanghai', 'Xuzhou'],
+  ['合肥', 31.82, 117.227, 'Asia/Shanghai', 'Hefei'],
+  ['福州', 26.074, 119.296, 'Asia/Shanghai', 'Fuzhou'],
+  ['厦门', 24.48, 118.089, 'Asia/Shanghai', 'Xiamen', 'Amoy'],
+  ['泉州', 24.874, 118.676, 'Asia/Shanghai', 'Quanzhou'],
+  ['南昌', 28.683, 115.858, 'Asia/Shanghai', 'Nanchang'],
+  ['济南', 36.651, 117.12, 'Asia/Shanghai', 'Jinan'],
+  ['青岛', 36.067, 120.383, 'Asia/Shanghai', 'Qingdao'],
+  ['烟台', 37.464, 121.448, 'Asia/Shanghai', 'Yantai'],
+  ['郑州', 34.747, 113.625, 'Asia/Shanghai', 'Zhengzhou'],
+  ['洛阳', 34.619, 112.454, 'Asia/Shanghai', 'Luoyang'],
+  ['开封', 34.797, 114.307, 'Asia/Shanghai', 'Kaifeng'],
+  ['武汉', 30.593, 114.305, 'Asia/Shanghai', 'Wuhan'],
+  ['宜昌', 30.692, 111.286, 'Asia/Shanghai', 'Yichang'],
+  ['长沙', 28.228, 112.939, 'Asia/Shanghai', 'Changsha'],
+  ['南宁', 22.817, 108.366, 'Asia/Shanghai', 'Nanning'],
+  ['桂林', 25.274, 110.29, 'Asia/Shanghai', 'Guilin'],
+  ['海口', 20.044, 110.199, 'Asia/Shanghai', 'Haikou'],
+  ['三亚', 18.253, 109.512, 'Asia/Shanghai', 'Sanya'],
+  ['成都', 30.573, 104.066, 'Asia/Shanghai', 'Chengdu'],
+  ['绵阳', 31.468, 104.679, 'Asia/Shanghai', 'Mianyang'],
+  ['贵阳', 26.647, 106.63, 'Asia/Shanghai', 'Guiyang'],
+  ['昆明', 25.038, 102.718, 'Asia/Shanghai', 'Kunming'],
+  ['大理', 25.606, 100.268, 'Asia/Shanghai', 'Dali'],
+  ['拉萨', 29.652, 91.172, 'Asia/Shanghai', 'Lhasa'],
+  ['西安', 34.341, 108.94, 'Asia/Shanghai', "Xi'an", 'Xian'],
+  ['兰州', 36.061, 103.834, 'Asia/Shanghai', 'Lanzhou'],
+  ['西宁', 36.617, 101.778, 'Asia/Shanghai', 'Xining'],
+  ['银川', 38.487, 106.231, 'Asia/Shanghai', 'Yinchuan'],
+  ['乌鲁木齐', 43.825, 87.617, 'Asia/Shanghai', 'Urumqi'],
+  ['喀什', 39.47, 75.99, 'Asia/Shanghai', 'Kashgar'],
+  ['呼和浩特', 40.842, 111.749, 'Asia/Shanghai', 'Hohhot'],
+  ['包头', 40.657, 109.84, 'Asia/Shanghai', 'Baotou'],
+  ['太原', 37.87, 112.549, 'Asia/Shanghai', 'Taiyuan'],
+  ['大同', 40.077, 113.3, 'Asia/Shanghai', 'Datong'],
+  ['石家庄', 38.042, 114.515, 'Asia/Shanghai', 'Shijiazhuang'],
+  ['唐山', 39.631, 118.18, 'Asia/Shanghai', 'Tangshan'],
+  ['保定', 38.874, 115.465, 'Asia/Shanghai', 'Baoding'],
+  ['沈阳', 41.806, 123.432, 'Asia/Shanghai', 'Shenyang'],
+  ['大连', 38.914, 121.615, 'Asia/Shanghai', 'Dalian'],
+  ['长春', 43.817, 125.324, 'Asia/Shanghai', 'Changchun'],
+  ['哈尔滨', 45.803, 126.535, 'Asia/Shanghai', 'Harbin'],
+  ['香港', 22.32, 114.169, 'Asia/Hong_Kong', 'Hong Kong'],
+  ['澳门', 22.199, 113.544, 'Asia/Macau', 'Macau', 'Macao'],
+  ['台北', 25.033, 121.565, 'Asia/Taipei', 'Taipei'],
+  ['高雄', 22.627, 120.301, 'Asia/Taipei', 'Kaohsiung'],
+  ['台中', 24.148, 120.674, 'Asia/Taipei', 'Taichung'],
+  ['新加坡', 1.352, 103.82, 'Asia/Singapore', 'Singapore'],
+  ['吉隆坡', 3.139, 101.687, 'Asia/Kuala_Lumpur', 'Kuala Lumpur'],
+  ['曼谷', 13.756, 100.502, 'Asia/Bangkok', 'Bangkok'],
+  ['雅加达', -6.208, 106.846, 'Asia/Jakarta', 'Jakarta'],
+  ['马尼拉', 14.599, 120.984, 'Asia/Manila', 'Manila'],
+  ['胡志明市', 10.823, 106.63, 'Asia/Ho_Chi_Minh', 'Ho Chi Minh City', 'Saigon'],
+  ['河内', 21.028, 105.834, 'Asia/Bangkok', 'Hanoi'],
+  ['东京', 35.69, 139.692, 'Asia/Tokyo', 'Tokyo'],
+  ['大阪', 34.694, 135.502, 'Asia/Tokyo', 'Osaka'],
+  ['首尔', 37.567, 126.978, 'Asia/Seoul', 'Seoul'],
+  ['新德里', 28.614, 77.209, 'Asia/Kolkata', 'New Delhi', 'Delhi'],
+  ['孟买', 19.076, 72.878, 'Asia/Kolkata', 'Mumbai', 'Bombay'],
+  ['迪拜', 25.205, 55.271, 'Asia/Dubai', 'Dubai'],
+  ['莫斯科', 55.756, 37.617, 'Europe/Moscow', 'Moscow'],
+  ['伦敦', 51.507, -0.128, 'Europe/London', 'London'],
+  ['巴黎', 48.857, 2.352, 'Europe/Paris', 'Paris'],
+  ['柏林', 52.52, 13.405, 'Europe/Berlin', 'Berlin'],
+  ['罗马', 41.903, 12.496, 'Europe/Rome', 'Rome'],
+  ['马德里', 40.417, -3.704, 'Europe/Madrid', 'Madrid'],
+  ['阿姆斯特丹', 52.368, 4.904, 'Europe/Amsterdam', 'Amsterdam'],
+  ['苏黎世', 47.377, 8.542, 'Europe/Zurich', 'Zurich'],
+  ['纽约', 40.713, -74.006, 'America/New_York', 'New York'],
+  ['波士顿', 42.36, -71.059, 'America/New_York', 'Boston'],
+  ['华盛顿', 38.907, -77.037, 'America/New_York', 'Washington'],
+  ['芝加哥', 41.878, -87.63, 'America/Chicago', 'Chicago'],
+  ['休斯顿', 29.76, -95.37, 'America/Chicago', 'Houston'],
+  ['丹佛', 39.739, -104.99, 'America/Denver', 'Denver'],
+  ['洛杉矶', 34.052, -118.244, 'America/Los_Angeles', 'Los Angeles'],
+  ['旧金山', 37.775, -122.419, 'America/Los_Angeles', 'San Francisco'],
+  ['西雅图', 47.606, -122.332, 'America/Los_Angeles', 'Seattle'],
+  ['温哥华', 49.283, -123.121, 'America/Vancouver', 'Vancouver'],
+  ['多伦多', 43.653, -79.383, 'America/Toronto', 'Toronto'],
+  ['墨西哥城', 19.433, -99.133, 'America/Mexico_City', 'Mexico City'],
+  ['圣保罗', -23.551, -46.633, 'America/Sao_Paulo', 'Sao Paulo'],
+  ['悉尼', -33.869, 151.209, 'Australia/Sydney', 'Sydney'],
+  ['墨尔本', -37.814, 144.963, 'Australia/Melbourne', 'Melbourne'],
+  ['奥克兰', -36.848, 174.763, 'Pacific/Auckland', 'Auckland'],
+];
+
+const DEFAULT_TIME_ZONE = 'Asia/Shanghai';
+
+/** 按名称长度倒序，优先匹配更长的地名（如 Dalian 先于 Dali） */
+const ENTRIES = CITIES.flatMap(([name, latitude, longitude, timezone, ...aliases]) =>
+  [name, ...aliases].map((alias) => ({
+    alias: alias.toLowerCase(),
+    city: { name, latitude, longitude, timezone },
+  })),
+).sort((a, b) => b.alias.length - a.alias.length);
+
+const COORDINATE_PATTERNS = {
+  longitude: [/(东经|西经)\s*(\d+(?:\.\d+)?)\s*°?/, /(\d+(?:\.\d+)?)\s*°?\s*([EW])\b/i],
+  latitude: [/(北纬|南纬)\s*(\d+(?:\.\d+)?)\s*°?/, /(\d+(?:\.\d+)?)\s*°?\s*([NS])\b/i],
+};
+
+function parseCoordinate(text, patterns, negativeMarks) {
+  for (const pattern of patterns) {
+    const match = text.match(pattern);
+    if (!match) {
+      continue;
+    }
+    const [mark, value] = /\d/.test(match[1]) ? [match[2], match[1]] : [match[1], match[2]];
+    const number = parseFloat(value);
+    return negativeMarks.includes(mark.toUpperCase()) ? -number : number;
+  }
+  return null;
+}
+
+/**
+ * 解析出生地点
+ * @param {string} [text] - 地名或经纬度描述
+ * @returns {{ name: string, latitude: number | null, longitude: number, timezone: string, source: 'gazetteer' | 'coordinates' } | null}
+ */
+function resolveLocation(text) {
+  if (!text || typeof text !== 'string') {
+    return null;
+  }
+  const normalized = text.trim().toLowerCase();
+  const entry = ENTRIES.find((item) => normalized.includes(item.alias));
+
+  const longitude = parseCoordinate(text, COORDINATE_PATTERNS.longitude, ['西经', 'W']);
+  if (longitude != null) {
+    const latitude = parseCoordinate(text, COORDINATE_PATTERNS.latitude, ['南纬', 'S']);
+    return {
+      name: entry ? entry.city.name : text.trim(),
+      latitude,
+      longitude,
+      timezone: entry ? entry.city.timezone : DEFAULT_TIME_ZONE,
+      source: 'coordinates',
+    };
+  }
+
+  if (!entry) {
+    return null;
+  }
+  return { ...entry.city, source: 'gazetteer' };
+}
+
+module.exports = {
+  CITIES,
+  DEFAULT_TIME_ZONE,
+  resolveLocation,
+};
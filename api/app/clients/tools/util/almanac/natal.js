@@ -0,0 +1,528 @@
+/**
+ * 西洋星盘（本命盘）计算（离线、确定性计算）
+ *
+ * - 太阳：calendar 中的视黄经；月亮：Meeus《天文算法》第 47 章主要周期项（误差约 0.01°）
+ * - 行星：JPL 近似轨道根数（1800-2050 年适用，误差为角分量级），日心坐标换算为地心黄经，
+ *   含光行时修正，并加岁差换算到当天分点（回归黄道）
+ * - 上升点、天顶与宫位：Placidus 分宫制，高纬度（|φ| > 66°）Placidus 无解时改用 Porphyry
+ * - 主要相位：合、六分、四分、三分、对分
+ */
+
+const {
+  toJulianDay,
+  toJDE,
+  sunApparentLongitude,
+  normalizeDegrees,
+  formatDateTime,
+} = require('./calendar');
+const { resolveBirthMoment } = require('./birth');
+
+const DEG = Math.PI / 180;
+/** 光行时：1 AU 约 0.0057755 天 */
+const LIGHT_TIME_DAYS_PER_AU = 0.0057755183;
+const PLACIDUS_MAX_LATITUDE = 66;
+
+/** 星座：名称、符号、象征、元素、模式、阴阳、守护星、太阳星座日期 */
+const SIGNS = [
+  ['白羊座', '♈', '公羊', '火', '基本', '阳', '火星', '3月21日-4月19日'],
+  ['金牛座', '♉', '公牛', '土', '固定', '阴', '金星', '4月20日-5月20日'],
+  ['双子座', '♊', '双子', '风', '变动', '阳', '水星', '5月21日-6月21日'],
+  ['巨蟹座', '♋', '巨蟹', '水', '基本', '阴', '月亮', '6月22日-7月22日'],
+  ['狮子座', '♌', '狮子', '火', '固定', '阳', '太阳', '7月23日-8月22日'],
+  ['处女座', '♍', '处女', '土', '变动', '阴', '水星', '8月23日-9月22日'],
+  ['天秤座', '♎', '天秤', '风', '基本', '阳', '金星', '9月23日-10月23日'],
+  ['天蝎座', '♏', '蝎子', '水', '固定', '阴', '冥王星（古典：火星）', '10月24日-11月22日'],
+  ['射手座', '♐', '人马', '火', '变动', '阳', '木星', '11月23日-12月21日'],
+  ['摩羯座', '♑', '山羊', '土', '基本', '阴', '土星', '12月22日-1月19日'],
+  ['水瓶座', '♒', '水瓶', '风', '固定', '阳', '天王星（古典：土星）', '1月20日-2月18日'],
+  ['双鱼座', '♓', '双鱼', '水', '变动', '阴', '海王星（古典：木星）', '2月19日-3月20日'],
+].map(([name, symbol, emblem, element, modality, polarity, ruler, dateRange], index) => ({
+  index,
+  name,
+  symbol,
+  emblem,
+  element,
+  modality,
+  polarity,
+  ruler,
+  date_range: dateRange,
+}));
+
+/**
+ * JPL 近似轨道根数（J2000 黄道与分点）：[a, e, I, L, 近日点黄经, 升交点黄经] 及每儒略世纪变化率
+ * @see Standish, "Keplerian Elements for Approximate Positions of the Major Planets", Table 1
+ */
+const ORBITAL_ELEMENTS = {
+  mercury: [
+    [0.38709927, 0.20563593, 7.00497902, 252.2503235, 77.45779628, 48.33076593],
+    [0.00000037, 0.00001906, -0.00594749, 149472.67411175, 0.16047689, -0.12534081],
+  ],
+  venus: [
+    [0.72333566, 0.00677672, 3.39467605, 181.9790995, 131.60246718, 76.67984255],
+    [0.0000039, -0.00004107, -0.0007889, 58517.81538729, 0.00268329, -0.27769418],
+  ],
+  earth: [
+    [1.00000261, 0.01671123, -0.00001531, 100.46457166, 102.93768193, 0],
+    [0.00000562, -0.00004392, -0.01294668, 35999.37244981, 0.32327364, 0],
+  ],
+  mars: [
+    [1.52371034, 0.0933941, 1.84969142, -4.55343205, -23.94362959, 49.55953891],
+    [0.00001847, 0.00007882, -0.00813131, 19140.30268499, 0.44441088, -0.29257343],
+  ],
+  jupiter: [
+    [5.202887, 0.04838624, 1.30439695, 34.39644051, 14.72847983, 100.47390909],
+    [-0.00011607, -0.00013253, -0.00183714, 3034.74612775, 0.21252668, 0.20469106],
+  ],
+  saturn: [
+    [9.53667594, 0.05386179, 2.48599187, 49.95424423, 92.59887831, 113.66242448],
+    [-0.0012506, -0.00050991, 0.00193609, 1222.49362201, -0.41897216, -0.28867794],
+  ],
+  uranus: [
+    [19.18916464, 0.04725744, 0.77263783, 313.23810451, 170.9542763, 74.01692503],
+    [-0.00196176, -0.00004397, -0.00242939, 428.48202785, 0.40805281, 0.04240589],
+  ],
+  neptune: [
+    [30.06992276, 0.00859048, 1.77004347, -55.12002969, 44.96476227, 131.78422574],
+    [0.00026291, 0.00005105, 0.00035372, 218.45945325, -0.32241464, -0.00508664],
+  ],
+  pluto: [
+    [39.48211675, 0.2488273, 17.14001206, 238.92903833, 224.06891629, 110.30393684],
+    [-0.00031596, 0.0000517, 0.00004818, 145.20780515, -0.04062942, -0.01183482],
+  ],
+};
+
+const BODIES = [
+  ['sun', '太阳'],
+  ['moon', '月亮'],
+  ['mercury', '水星'],
+  ['venus', '金星'],
+  ['mars', '火星'],
+  ['jupiter', '木星'],
+  ['saturn', '土星'],
+  ['uranus', '天王星'],
+  ['neptune', '海王星'],
+  ['pluto', '冥王星'],
+];
+
+/** 相位：名称、角度、容许度 */
+const ASPECTS = [
+  ['合相', 0, 8],
+  ['六分相', 60, 6],
+  ['四分相', 90, 7],
+  ['三分相', 120, 8],
+  ['对分相', 180, 8],
+];
+
+const ANGLE_KEYS = ['ascendant', 'midheaven'];
+
+/** 月亮黄经周期项：[D, M, M', F, 系数（1e-6 度）] */
+const MOON_LONGITUDE_TERMS = [
+  [0, 0, 1, 0, 6288774],
+  [2, 0, -1, 0, 1274027],
+  [2, 0, 0, 0, 658314],
+  [0, 0, 2, 0, 213618],
+  [0, 1, 0, 0, -185116],
+  [0, 0, 0, 2, -114332],
+  [2, 0, -2, 0, 58793],
+  [2, -1, -1, 0, 57066],
+  [2, 0, 1, 0, 53322],
+  [2, -1, 0, 0, 45758],
+  [0, 1, -1, 0, -40923],
+  [1, 0, 0, 0, -34720],
+  [0, 1, 1, 0, -30383],
+  [2, 0, 0, -2, 15327],
+  [0, 0, 1, 2, -12528],
+  [0, 0, 1, -2, 10980],
+  [4, 0, -1, 0, 10675],
+  [0, 0, 3, 0, 10034],
+  [4, 0, -2, 0, 8548],
+  [2, 1, -1, 0, -7888],
+  [2, 1, 0, 0, -6766],
+  [1, 0, -1, 0, -5163],
+  [1, 1, 0, 0, 4987],
+  [2, -1, 1, 0, 4036],
+  [2, 0, 2, 0, 3994],
+  [4, 0, 0, 0, 3861],
+  [2, 0, -3, 0, 3665],
+  [0, 1, -2, 0, -2689],
+  [2, 0, -1, 2, -2602],
+  [2, -1, -2, 0, 2390],
+  [1, 0, 1, 0, -2348],
+  [2, -2, 0, 0, 2236],
+  [0, 1, 2, 0, -2120],
+  [0, 2, 0, 0, -2069],
+];
+
+const sinDeg = (degrees) => Math.sin(degrees * DEG);
+const cosDeg = (degrees) => Math.cos(degrees * DEG);
+const atan2Deg = (y, x) => normalizeDegrees(Math.atan2(y, x) / DEG);
+
+/** 自 J2000.0 起的儒略世纪数 */
+const centuries = (jde) => (jde - 2451545) / 36525;
+
+/** 黄赤交角（度） */
+function obliquity(T) {
+  return 23.4392911 - 0.0130042 * T;
+}
+
+/**
+ * 月亮视黄经（度）
+ * @param {number} jde
+ * @returns {number}
+ */
+function moonLongitude(jde) {
+  const T = centuries(jde);
+  const Lp = 218.3164477 + 481267.88123421 * T - 0.0015786 * T * T + T ** 3 / 538841;
+  const D = 297.8501921 + 445267.1114034 * T - 0.0018819 * T * T + T ** 3 / 545868;
+  const M = 357.5291092 + 35999.0502909 * T - 0.0001536 * T * T;
+  const Mp = 134.9633964 + 477198.8675055 * T + 0.0087414 * T * T + T ** 3 / 69699;
+  const F = 93.272095 + 483202.0175233 * T - 0.0036539 * T * T - T ** 3 / 3526000;
+  const E = 1 - 0.002516 * T - 0.0000074 * T * T;
+  const A1 = 119.75 + 131.849 * T;
+  const A2 = 53.09 + 479264.29 * T;
+  const omega = 125.04452 - 1934.136261 * T;
+
+  let sum = 3958 * sinDeg(A1) + 1962 * sinDeg(Lp - F) + 318 * sinDeg(A2);
+  for (const [d, m, mp, f, coefficient] of MOON_LONGITUDE_TERMS) {
+    sum += coefficient * E ** Math.abs(m) * sinDeg(d * D + m * M + mp * Mp + f * F);
+  }
+  // 黄经章动主项
+  return normalizeDegrees(Lp + sum / 1e6 - 0.00478 * sinDeg(omega));
+}
+
+/** 行星日心黄道直角坐标（J2000，AU） */
+function heliocentric(planet, T) {
+  const [base, rates] = ORBITAL_ELEMENTS[planet];
+  const [a, e, I, L, perihelion, node] = base.map((value, i) => value + rates[i] * T);
+  const M = normalizeDegrees(L - perihelion) * DEG;
+  let E = M + e * Math.sin(M);
+  for (let i = 0; i < 10; i++) {
+    E -= (E - e * Math.sin(E) - M) / (1 - e * Math.cos(E));
+  }
+  const xp = a * (Math.cos(E) - e);
+  const yp = a * Math.sqrt(1 - e * e) * Math.sin(E);
+  const omega = perihelion - node;
+  const [co, so, cn, sn, ci, si] = [
+    cosDeg(omega),
+    sinDeg(omega),
+    cosDeg(node),
+    sinDeg(node),
+    cosDeg(I),
+    sinDeg(I),
+  ];
+  return {
+    x: (co * cn - so * sn * ci) * xp + (-so * cn - co * sn * ci) * yp,
+    y: (co * sn + so * cn * ci) * xp + (-so * sn + co * cn * ci) * yp,
+    z: so * si * xp + co * si * yp,
+  };
+}
+
+/** 行星地心黄经（当天分点，度） */
+function planetLongitude(planet, jde) {
+  const earth = heliocentric('earth', centuries(jde));
+  let T = centuries(jde);
+  let position;
+  // 光行时迭代两次即可收敛
+  for (let i = 0; i < 2; i++) {
+    const body = heliocentric(planet, T);
+    position = { x: body.x - earth.x, y: body.y - earth.y, z: body.z - earth.z };
+    const distance = Math.hypot(position.x, position.y, position.z);
+    T = centuries(jde - distance * LIGHT_TIME_DAYS_PER_AU);
+  }
+  // J2000 黄经加岁差换算到当天分点
+  const precession = 1.3969713 * centuries(jde);
+  return normalizeDegrees(atan2Deg(position.y, position.x) + precession);
+}
+
+/**
+ * 天体的地心视黄经（度）
+ * @param {string} body - sun / moon / mercury ... pluto
+ * @param {number} jde
+ * @returns {number}
+ */
+function bodyLongitude(body, jde) {
+  if (body === 'sun') {
+    return sunApparentLongitude(jde);
+  }
+  if (body === 'moon') {
+    return moonLongitude(jde);
+  }
+  return planetLongitude(body, jde);
+}
+
+/**
+ * 黄经所在星座与度数
+ * @param {number} longitude
+ */
+function toZodiacPosition(longitude) {
+  const value = normalizeDegrees(longitude);
+  const sign = SIGNS[Math.floor(value / 30)];
+  const degree = value - sign.index * 30;
+  const minutes = Math.floor((degree % 1) * 60);
+  return {
+    longitude: Math.round(value * 1000) / 1000,
+    sign: sign.name,
+    degree: Math.round(degree * 100) / 100,
+    text: `${sign.name} ${Math.floor(degree)}°${String(minutes).padStart(2, '0')}′`,
+  };
+}
+
+/** 格林尼治平恒星时（度），Meeus 式 12.4 */
+function greenwichSiderealTime(jd) {
+  const T = (jd - 2451545) / 36525;
+  return normalizeDegrees(
+    280.46061837 + 360.98564736629 * (jd - 2451545) + 0.000387933 * T * T - T ** 3 / 38710000,
+  );
+}
+
+/** 赤经对应的黄道点黄经 */
+const eclipticFromRightAscension = (ra, epsilon) =>
+  atan2Deg(sinDeg(ra), cosDeg(ra) * cosDeg(epsilon));
+
+/** Placidus 中间宫头：fraction 为所在半弧的比例，below 表示地平线以下 */
+function placidusCusp(ramc, latitude, epsilon, fraction, below) {
+  let longitude = normalizeDegrees(below ? ramc + 180 - 90 * (1 - fraction) : ramc + 90 * fraction);
+  for (let i = 0; i < 30; i++) {
+    const declination = Math.asin(sinDeg(epsilon) * sinDeg(longitude)) / DEG;
+    const ascensional = Math.asin(Math.tan(declination * DEG) * Math.tan(latitude * DEG)) / DEG;
+    const ra = below
+      ? ramc + 180 - (1 - fraction) * (90 - ascensional)
+      : ramc + fraction * (90 + ascensional);
+    const next = eclipticFromRightAscension(ra, epsilon);
+    if (Math.abs(next - longitude) < 1e-7) {
+      return next;
+    }
+    longitude = next;
+  }
+  return longitude;
+}
+
+/**
+ * 上升点、天顶与十二宫宫头
+ * @param {number} jd - 儒略日（UT）
+ * @param {number} latitude
+ * @param {number} longitude - 东经为正
+ * @returns {{ system: string, ascendant: number, midheaven: number, cusps: number[] }}
+ */
+function calculateHouses(jd, latitude, longitude) {
+  const epsilon = obliquity(centuries(toJDE(jd)));
+  const ramc = normalizeDegrees(greenwichSiderealTime(jd) + longitude);
+  const midheaven = eclipticFromRightAscension(ramc, epsilon);
+  const ascendant = atan2Deg(
+    cosDeg(ramc),
+    -(sinDeg(ramc) * cosDeg(epsilon) + Math.tan(latitude * DEG) * sinDeg(epsilon)),
+  );
+
+  let system = 'Placidus';
+  let intermediate;
+  if (Math.abs(latitude) <= PLACIDUS_MAX_LATITUDE) {
+    intermediate = [
+      placidusCusp(ramc, latitude, epsilon, 1 / 3, false),
+      placidusCusp(ramc, latitude, epsilon, 2 / 3, false),
+      placidusCusp(ramc, latitude, epsilon, 1 / 3, true),
+      placidusCusp(ramc, latitude, epsilon, 2 / 3, true),
+    ];
+  } else {
+    // Porphyry：把每个象限三等分
+    system = 'Porphyry';
+    const quadrant = normalizeDegrees(ascendant - midheaven) / 3;
+    const lower = (180 - quadrant * 3) / 3;
+    intermediate = [
+      midheaven + quadrant,
+      midheaven + 2 * quadrant,
+      ascendant + lower,
+      ascendant + 2 * lower,
+    ].map(normalizeDegrees);
+  }
+
+  const [c11, c12, c2, c3] = intermediate;
+  const ic = normalizeDegrees(midheaven + 180);
+  const cusps = [ascendant, c2, c3, ic, c11 + 180, c12 + 180, ascendant + 180, c2 + 180, c3 + 180]
+    .concat([midheaven, c11, c12])
+    .map(normalizeDegrees);
+  return { system, ascendant, midheaven, cusps };
+}
+
+/** 黄经落在第几宫 */
+function houseOf(longitude, cusps) {
+  for (let i = 0; i < 12; i++) {
+    const start = cusps[i];
+    const span = normalizeDegrees(cusps[(i + 1) % 12] - start);
+    if (normalizeDegrees(longitude - start) < span) {
+      return i + 1;
+    }
+  }
+  return null;
+}
+
+/**
+ * 主要相位
+ * @param {Array<{ key: string, name: string, longitude: number }>} points
+ * @returns {Array<{ a: string, b: string, aspect: string, angle: number, orb: number }>}
+ */
+function findAspects(points) {
+  const aspects = [];
+  for (let i = 0; i < points.length; i++) {
+    for (let j = i + 1; j < points.length; j++) {
+      // 上升点与天顶之间的角度只取决于纬度，不算相位
+      if (ANGLE_KEYS.includes(points[i].key) && ANGLE_KEYS.includes(points[j].key)) {
+        continue;
+      }
+      const separation = Math.abs(((points[i].longitude - points[j].longitude + 540) % 360) - 180);
+      for (const [name, angle, orb] of ASPECTS) {
+        const delta = Math.abs(separation - angle);
+        if (delta <= orb) {
+          aspects.push({
+            a: points[i].name,
+            b: points[j].name,
+            aspect: name,
+            angle,
+            orb: Math.round(delta * 100) / 100,
+          });
+        }
+      }
+    }
+  }
+  return aspects.sort((x, y) => x.orb - y.orb);
+}
+
+/**
+ * 排本命星盘
+ *
+ * @param {Object} params
+ * @param {string} params.birthTime - 出生时间描述，见 birth.parseBirthTime
+ * @param {string} [params.location] - 出生地点；需要纬度才能计算上升点与宫位
+ * @returns {Object} 结构化星盘
+ */
+function calculateNatalChart({ birthTime, location }) {
+  const { parsed, solarDate, hasTime, civil, place, timezone, instant, offsetMinutes } =
+    resolveBirthMoment(birthTime, location);
+  const notes = [];
+  if (!hasTime) {
+    notes.push('未提供出生时间，按当地正午计算，月亮位置可能有数度误差，不计算上升点与宫位');
+  }
+  if (!place) {
+    notes.push(
+      location
+        ? `未能识别出生地点「${location}」，按北京时间计算，不计算上升点与宫位`
+        : '未提供出生地点，按北京时间计算，不计算上升点与宫位',
+    );
+  } else if (place.latitude == null) {
+    notes.push('出生地点缺少纬度，不计算上升点与宫位');
+  }
+
+  const jd = toJulianDay(instant);
+  const jde = toJDE(jd);
+  const houses =
+    hasTime && place && place.latitude != null
+      ? calculateHouses(jd, place.latitude, place.longitude)
+      : null;
+  if (houses && houses.system !== 'Placidus') {
+    notes.push(`出生地纬度过高，Placidus 分宫无解，改用 ${houses.system} 分宫`);
+  }
+
+  const planets = BODIES.map(([key, name]) => {
+    const longitude = bodyLongitude(key, jde);
+    // 黄经在前后半天的变化方向判断逆行
+    const motion = normalizeDegrees(bodyLongitude(key, jde + 0.5) - bodyLongitude(key, jde - 0.5));
+    return {
+      key,
+      name,
+      ...toZodiacPosition(longitude),
+      retrograde: motion > 180,
+      house: houses ? houseOf(longitude, houses.cusps) : null,
+    };
+  });
+
+  const angles = houses
+    ? [
+        { key: 'ascendant', name: '上升点', ...toZodiacPosition(houses.ascendant) },
+        { key: 'midheaven', name: '天顶', ...toZodiacPosition(houses.midheaven) },
+      ]
+    : [];
+
+  const elements = { 火: 0, 土: 0, 风: 0, 水: 0 };
+  for (const planet of planets) {
+    elements[SIGNS.find((sign) => sign.name === planet.sign).element] += 1;
+  }
+
+  const sunSign = SIGNS.find((sign) => sign.name === planets[0].sign);
+  const pad = (value) => String(value).padStart(2, '0');
+
+  return {
+    input: { birth_time: birthTime, calendar: parsed.calendar, location: location || null },
+    solar_date: `${solarDate.year}-${pad(solarDate.month)}-${pad(solarDate.day)}${
+      hasTime ? ` ${pad(civil.hour)}:${pad(civil.minute)}` : ''
+    }`,
+    timezone,
+    utc_offset_minutes: offsetMinutes,
+    universal_time: formatDateTime(instant),
+    location: place,
+    sun_sign: sunSign,
+    moon_sign: planets[1].sign,
+    ascendant: angles[0] || null,
+    midheaven: angles[1] || null,
+    planets,
+    houses: houses
+      ? {
+          system: houses.system,
+          cusps: houses.cusps.map((cusp, i) => ({ house: i + 1, ...toZodiacPosition(cusp) })),
+        }
+      : null,
+    aspects: findAspects([...planets, ...angles]),
+    elements,
+    notes,
+  };
+}
+
+/**
+ * 太阳星座配对：同元素（三分）与对宫宜恋爱，六分与同星座宜交友，四分需磨合，列于合作
+ * @param {number} signIndex
+ */
+function signCompatibility(signIndex) {
+  const at = (offset) => SIGNS[(signIndex + offset + 12) % 12].name;
+  return [
+    [at(4), '高（同元素，三分）'],
+    [at(-4), '高（同元素，三分）'],
+    [at(6), '中高（对宫互补）'],
+    [at(2), '较高（元素相生，六分）'],
+    [at(-2), '较高（元素相生，六分）'],
+    [at(0), '中（同星座）'],
+    [at(3), '需磨合（四分，互为激励）'],
+    [at(-3), '需磨合（四分，互为激励）'],
+    [at(5), '一般（十二分之五，需调整）'],
+  ];
+}
+
+/**
+ * 把星盘转换为结果模板中的占位符取值（键为去掉方括号的占位符名）
+ * @param {Object} natal - calculateNatalChart 的结果
+ * @returns {Record<string, string>}
+ */
+function toNatalTemplateVariables(natal) {
+  const sign = natal.sun_sign;
+  const variables = {
+    出生日期: natal.solar_date,
+    星座名称: sign.name,
+    星座日期范围: sign.date_range,
+    守护行星: sign.ruler,
+    元素属性: `${sign.element}象星座（${sign.modality}宫）`,
+    阴阳属性: `${sign.polarity}性星座`,
+    象征符号: `${sign.symbol}（${sign.emblem}）`,
+  };
+  signCompatibility(sign.index).forEach(([name, level], i) => {
+    variables[`星座${i + 1}`] = name;
+    variables[`兼容程度${i + 1}`] = level;
+  });
+  return variables;
+}
+
+module.exports = {
+  SIGNS,
+  moonLongitude,
+  bodyLongitude,
+  calculateHouses,
+  findAspects,
+  calculateNatalChart,
+  toNatalTemplateVariables,
+};
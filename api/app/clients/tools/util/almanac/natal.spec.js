@@ -0,0 +1,88 @@
+const { toJulianDay, toJDE, normalizeDegrees } = require('./calendar');
+const {
+  SIGNS,
+  moonLongitude,
+  bodyLongitude,
+  calculateHouses,
+  calculateNatalChart,
+  toNatalTemplateVariables,
+} = require('./natal');
+
+const DEG = Math.PI / 180;
+
+describe('natal chart', () => {
+  it('matches reference positions from Meeus', () => {
+    // 《天文算法》例 47.a：1992-04-12 0h TD，λ = 133.162655°
+    expect(moonLongitude(2448724.5)).toBeCloseTo(133.1627, 1);
+    // 例 33.a：1992-12-20 0h TD 金星视黄经 313.08°
+    expect(Math.abs(bodyLongitude('venus', 2448976.5) - 313.081)).toBeLessThan(0.05);
+  });
+
+  it('puts the ascendant on the eastern horizon with opposite cusps', () => {
+    const jd = toJulianDay(new Date('2000-01-01T12:00:00Z'));
+    const latitude = 40;
+    const houses = calculateHouses(jd, latitude, 0);
+    expect(houses.system).toBe('Placidus');
+
+    // 上升点换算到赤道坐标后高度为 0 且位于东方
+    const epsilon = 23.4392911 - (0.0130042 * (toJDE(jd) - 2451545)) / 36525;
+    const lambda = houses.ascendant * DEG;
+    const declination = Math.asin(Math.sin(epsilon * DEG) * Math.sin(lambda));
+    const ra = Math.atan2(Math.sin(lambda) * Math.cos(epsilon * DEG), Math.cos(lambda));
+    const gmst = 280.46061837 + 360.98564736629 * (jd - 2451545);
+    const hourAngle = gmst * DEG - ra;
+    const altitude =
+      Math.sin(latitude * DEG) * Math.sin(declination) +
+      Math.cos(latitude * DEG) * Math.cos(declination) * Math.cos(hourAngle);
+    expect(Math.abs(altitude)).toBeLessThan(1e-9);
+    expect(Math.sin(hourAngle)).toBeLessThan(0);
+
+    expect(houses.cusps[9]).toBeCloseTo(houses.midheaven, 9);
+    for (let i = 0; i < 6; i++) {
+      expect(normalizeDegrees(houses.cusps[i + 6] - houses.cusps[i])).toBeCloseTo(180, 9);
+    }
+    expect(calculateHouses(jd, 70, 20).system).toBe('Porphyry');
+  });
+
+  it('calculates planets, houses and aspects for a located birth', () => {
+    // 1990 年夏令时：北京时间 14:30 即 UTC 05:30
+    const natal = calculateNatalChart({ birthTime: '1990-05-20 14:30', location: '北京' });
+
+    expect(natal.universal_time).toBe('1990-05-20 05:30');
+    expect(natal.sun_sign.name).toBe('金牛座');
+    expect(natal.moon_sign).toBe('双鱼座');
+    expect(natal.ascendant.sign).toBe('处女座');
+    expect(natal.houses.cusps).toHaveLength(12);
+    const planet = (key) => natal.planets.find((item) => item.key === key);
+    expect(planet('jupiter').sign).toBe('巨蟹座');
+    expect(planet('saturn')).toMatchObject({ sign: '摩羯座', retrograde: true });
+    expect(planet('mercury').retrograde).toBe(false);
+    expect(natal.aspects[0]).toMatchObject({ a: '太阳', b: '月亮', aspect: '六分相' });
+    expect(natal.aspects.some((item) => item.a === '上升点' && item.b === '天顶')).toBe(false);
+    expect(Object.values(natal.elements).reduce((sum, count) => sum + count, 0)).toBe(10);
+  });
+
+  it('skips angles without a birth hour or location', () => {
+    const natal = calculateNatalChart({ birthTime: '1990-05-20' });
+    expect(natal.ascendant).toBeNull();
+    expect(natal.houses).toBeNull();
+    expect(natal.planets.every((planet) => planet.house === null)).toBe(true);
+    expect(natal.notes).toHaveLength(2);
+  });
+
+  it('maps the sun sign to template placeholders', () => {
+    const natal = calculateNatalChart({ birthTime: '1990-05-20 14:30', location: '北京' });
+    expect(toNatalTemplateVariables(natal)).toMatchObject({
+      星座名称: '金牛座',
+      星座日期范围: '4月20日-5月20日',
+      守护行星: '金星',
+      元素属性: '土象星座（固定宫）',
+      象征符号: '♉（公牛）',
+      星座1: '处女座',
+      星座3: '天蝎座',
+      星座6: '金牛座',
+      星座7: '狮子座',
+    });
+    expect(SIGNS.map((sign) => sign.element).join('')).toBe('火土风水'.repeat(3));
+  });
+});
@@ -41,6 +41,7 @@ const {
   DatabaseSchema,
   WritingAssistant,
   WritingRAGAssistant,
+  TextToSQL,
 } = require('../');
 const { primeFiles: primeCodeFiles } = require('~/server/services/Files/Code/process');
 const { createFileSearchTool, primeFiles: primeSearchFiles } = require('./fileSearch');
@@ -192,6 +193,7 @@ const loadTools = async ({
     bazi_astrology: BaziAstrology,
     writing: WritingAssistant,
     writing_rag: WritingRAGAssistant,
+    text_to_sql: TextToSQL,
   };
 
   const customConstructors = {
@@ -253,22 +255,34 @@ const loadTools = async ({
     flux: imageGenOptions,
     dalle: imageGenOptions,
     'stable-diffusion': imageGenOptions,
-    // 为需要访问模板文件的工具传递正确的项目根目录
+    // 为需要访问模板文件的工具传递正确的项目根目录；
+    // 使用模板库的工具同时传入请求，按当前用户的角色/用户组过滤模板
     bazi_astrology: {
       projectRoot: paths.root,
+      req: options.req,
     },
     social: {
       projectRoot: paths.root,
+      req: options.req,
+      agent,
     },
     speckit: {
       projectRoot: paths.root,
     },
     writing: {
       projectRoot: paths.root,
+      req: options.req,
     },
     writing_rag: {
       projectRoot: paths.root,
     },
+    // 数据库类工具按智能体的 SQL 守卫配置限制可访问的表、返回行数和执行时间
+    database_schema: {
+      sqlGuard: agent?.sql_guard,
+    },
+    text_to_sql: {
+      sqlGuard: agent?.sql_guard,
+    },
   };
 
   /** @type {Record<string, string>} */
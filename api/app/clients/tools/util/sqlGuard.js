@@ -0,0 +1,756 @@
+/**
+ * SQL 安全守卫
+ *
+ * 供执行 SQL 的工具（text_to_sql 等）和读取数据库结构的工具（database_schema）使用：
+ * - 词法解析 SQL（字符串、引号标识符、注释、美元引用），只允许单条 SELECT / WITH 查询。
+ *   各数据库方言存在分歧时按“暴露更多代码”的方式解析（如不把反斜杠视为转义、不把 # 视为注释），
+ *   宁可误拒也不让注释或字符串中藏入第二条语句
+ * - 拒绝 DDL/DML、SELECT INTO、行锁及有副作用的函数
+ * - 按智能体配置的表白名单校验引用的表
+ * - 自动追加或收紧 LIMIT
+ * - 将违规和数据库错误转换为结构化错误，便于智能体修正后重试
+ */
+
+const DEFAULT_MAX_ROWS = parseInt(process.env.SQL_GUARD_MAX_ROWS || '200', 10);
+const DEFAULT_STATEMENT_TIMEOUT = parseInt(process.env.SQL_GUARD_STATEMENT_TIMEOUT || '15000', 10);
+
+const SQLGuardErrorCode = {
+  PARSE_ERROR: 'SQL_PARSE_ERROR',
+  MULTIPLE_STATEMENTS: 'SQL_MULTIPLE_STATEMENTS',
+  FORBIDDEN_STATEMENT: 'SQL_FORBIDDEN_STATEMENT',
+  FORBIDDEN_FUNCTION: 'SQL_FORBIDDEN_FUNCTION',
+  TABLE_NOT_ALLOWED: 'SQL_TABLE_NOT_ALLOWED',
+  TIMEOUT: 'SQL_TIMEOUT',
+  EXECUTION_ERROR: 'SQL_EXECUTION_ERROR',
+  CONTEXT_INVALID: 'SQL_CONTEXT_INVALID',
+};
+
+/** 出现在任意位置即视为写操作或 DDL 的关键字 */
+const FORBIDDEN_KEYWORDS = new Set([
+  'insert',
+  'update',
+  'delete',
+  'merge',
+  'upsert',
+  'replace',
+  'truncate',
+  'create',
+  'alter',
+  'drop',
+  'rename',
+  'grant',
+  'revoke',
+  'into',
+]);
+
+/** 有副作用或可读取服务器资源的函数 */
+const FORBIDDEN_FUNCTIONS = new Set([
+  'pg_sleep',
+  'pg_sleep_for',
+  'pg_sleep_until',
+  'pg_terminate_backend',
+  'pg_cancel_backend',
+  'pg_reload_conf',
+  'pg_rotate_logfile',
+  'pg_read_file',
+  'pg_read_binary_file',
+  'pg_ls_dir',
+  'pg_stat_file',
+  'pg_advisory_lock',
+  'pg_advisory_xact_lock',
+  'lo_import',
+  'lo_export',
+  'dblink',
+  'dblink_exec',
+  'set_config',
+  'nextval',
+  'setval',
+  'sleep',
+  'benchmark',
+  'load_file',
+  'load_extension',
+  'writefile',
+  // 以下 XML 导出函数会执行任意查询字符串或读取整张表，可绕过表白名单
+  'query_to_xml',
+  'query_to_xmlschema',
+  'query_to_xml_and_xmlschema',
+  'table_to_xml',
+  'table_to_xmlschema',
+  'table_to_xml_and_xmlschema',
+  'cursor_to_xml',
+  'cursor_to_xmlschema',
+  'database_to_xml',
+  'database_to_xmlschema',
+  'database_to_xml_and_xmlschema',
+  'schema_to_xml',
+  'schema_to_xmlschema',
+  'schema_to_xml_and_xmlschema',
+]);
+
+/** 系统目录，除非显式加入白名单，否则不允许查询 */
+const SYSTEM_SCHEMAS = new Set([
+  'pg_catalog',
+  'information_schema',
+  'mysql',
+  'performance_schema',
+  'sys',
+]);
+const SYSTEM_TABLE_PREFIXES = ['pg_', 'sqlite_'];
+
+/**
+ * 结构化的 SQL 守卫错误
+ */
+class SQLGuardError extends Error {
+  /**
+   * @param {string} code - 错误码（SQLGuardErrorCode）
+   * @param {string} message - 错误描述
+   * @param {Object} [options]
+   * @param {string} [options.hint] - 给智能体的修正建议
+   * @param {Object} [options.details] - 附加信息（违规的表、关键字等）
+   */
+  constructor(code, message, { hint, details } = {}) {
+    super(message);
+    this.name = 'SQLGuardError';
+    this.code = code;
+    this.hint = hint;
+    this.details = details;
+  }
+
+  /**
+   * 转换为工具返回给智能体的结构
+   * @returns {{ success: false, error: string, error_code: string, hint?: string, details?: Object }}
+   */
+  toToolResult() {
+    return {
+      success: false,
+      error: this.message,
+      error_code: this.code,
+      hint: this.hint,
+      details: this.details,
+    };
+  }
+}
+
+/**
+ * 查找与 start 处引号配对的结束引号，连续两个引号视为转义
+ * @param {string} sql - SQL 文本
+ * @param {number} start - 起始引号下标
+ * @returns {number} 结束引号下标，未闭合时返回 -1
+ */
+function findClosingQuote(sql, start) {
+  const quote = sql[start];
+  let j = start + 1;
+  while (j < sql.length) {
+    if (sql[j] === quote) {
+      if (sql[j + 1] === quote) {
+        j += 2;
+        continue;
+      }
+      return j;
+    }
+    j++;
+  }
+  return -1;
+}
+
+/**
+ * 将 SQL 切分为词元，跳过空白和注释
+ * @param {string} sql - SQL 文本
+ * @returns {Array<{ type: string, value: string, start: number, end: number }>} 词元数组
+ * @throws {SQLGuardError} 字符串、引号标识符或注释未闭合时
+ */
+function tokenizeSQL(sql) {
+  const tokens = [];
+  const length = sql.length;
+  let i = 0;
+
+  const unterminated = (what) =>
+    new SQLGuardError(SQLGuardErrorCode.PARSE_ERROR, `SQL 解析失败: ${what}未闭合`, {
+      hint: '检查引号和注释是否成对出现',
+    });
+
+  while (i < length) {
+    const char = sql[i];
+    const next = sql[i + 1];
+
+    if (/\s/.test(char)) {
+      i++;
+      continue;
+    }
+
+    // 只把 "-- " 视为注释（MySQL 要求 -- 后跟空白）
+    if (char === '-' && next === '-' && (i + 2 >= length || /\s/.test(sql[i + 2]))) {
+      const end = sql.indexOf('\n', i);
+      i = end === -1 ? length : end + 1;
+      continue;
+    }
+
+    if (char === '/' && next === '*') {
+      if (sql[i + 2] === '!') {
+        // MySQL 可执行注释 /*! ... */ 会被数据库执行
+        throw new SQLGuardError(
+          SQLGuardErrorCode.PARSE_ERROR,
+          'SQL 中不允许使用可执行注释 /*! */',
+          {
+            hint: '移除注释后重试',
+          },
+        );
+      }
+      const end = sql.indexOf('*/', i + 2);
+      if (end === -1) {
+        throw unterminated('块注释');
+      }
+      i = end + 2;
+      continue;
+    }
+
+    if (char === "'" || char === '"' || char === '`') {
+      const end = findClosingQuote(sql, i);
+      if (end === -1) {
+        throw unterminated(char === "'" ? '字符串' : '引号标识符');
+      }
+      if (char === "'") {
+        tokens.push({ type: 'string', value: sql.slice(i, end + 1), start: i, end: end + 1 });
+      } else {
+        const value = sql
+          .slice(i + 1, end)
+          .split(char + char)
+          .join(char);
+        tokens.push({ type: 'identifier', value, start: i, end: end + 1 });
+      }
+      i = end + 1;
+      continue;
+    }
+
+    if (char === '$') {
+      const tagMatch = /^\$([A-Za-z_][\w]*)?\$/.exec(sql.slice(i));
+      if (tagMatch) {
+        const tag = tagMatch[0];
+        const end = sql.indexOf(tag, i + tag.length);
+        if (end === -1) {
+          throw unterminated('美元引用字符串');
+        }
+        tokens.push({
+          type: 'string',
+          value: sql.slice(i, end + tag.length),
+          start: i,
+          end: end + tag.length,
+        });
+        i = end + tag.length;
+        continue;
+      }
+      const paramMatch = /^\$\d+/.exec(sql.slice(i));
+      if (paramMatch) {
+        tokens.push({
+          type: 'param',
+          value: paramMatch[0],
+          start: i,
+          end: i + paramMatch[0].length,
+        });
+        i += paramMatch[0].length;
+        continue;
+      }
+    }
+
+    if (/\d/.test(char) || (char === '.' && /\d/.test(next || ''))) {
+      const match = /^(\d+\.?\d*|\.\d+)(e[+-]?\d+)?/i.exec(sql.slice(i));
+      tokens.push({ type: 'number', value: match[0], start: i, end: i + match[0].length });
+      i += match[0].length;
+      continue;
+    }
+
+    if (/[A-Za-z_\u0080-\uffff]/.test(char)) {
+      const match = /^[A-Za-z_\u0080-\uffff][\w$\u0080-\uffff]*/.exec(sql.slice(i));
+      tokens.push({ type: 'word', value: match[0], start: i, end: i + match[0].length });
+      i += match[0].length;
+      continue;
+    }
+
+    tokens.push({ type: 'symbol', value: char, start: i, end: i + 1 });
+    i++;
+  }
+
+  return tokens;
+}
+
+const isWord = (token, value) => token?.type === 'word' && token.value.toLowerCase() === value;
+const isSymbol = (token, value) => token?.type === 'symbol' && token.value === value;
+const isName = (token) => token?.type === 'word' || token?.type === 'identifier';
+
+/**
+ * 从 start（指向左括号）开始找到匹配的右括号位置
+ * @param {Array} tokens - 词元数组
+ * @param {number} start - 左括号下标
+ * @returns {number} 右括号下标
+ */
+function findClosingParen(tokens, start) {
+  let depth = 0;
+  for (let i = start; i < tokens.length; i++) {
+    if (isSymbol(tokens[i], '(')) {
+      depth++;
+    } else if (isSymbol(tokens[i], ')')) {
+      depth--;
+      if (depth === 0) {
+        return i;
+      }
+    }
+  }
+  throw new SQLGuardError(SQLGuardErrorCode.PARSE_ERROR, 'SQL 解析失败: 括号不匹配', {
+    hint: '检查括号是否成对出现',
+  });
+}
+
+/**
+ * 读取限定名（a.b.c），返回名称各段和结束位置
+ * @param {Array} tokens - 词元数组
+ * @param {number} start - 起始下标
+ * @returns {{ parts: string[], next: number }}
+ */
+function readQualifiedName(tokens, start) {
+  const parts = [tokens[start].value];
+  let i = start + 1;
+  while (isSymbol(tokens[i], '.') && isName(tokens[i + 1])) {
+    parts.push(tokens[i + 1].value);
+    i += 2;
+  }
+  return { parts, next: i };
+}
+
+/**
+ * 收集 WITH 子句中定义的 CTE 名称
+ * @param {Array} tokens - 词元数组
+ * @returns {Set<string>} 小写的 CTE 名称
+ */
+function collectCTENames(tokens) {
+  const names = new Set();
+  for (let i = 0; i < tokens.length; i++) {
+    if (!isWord(tokens[i], 'with')) {
+      continue;
+    }
+    let j = i + 1;
+    if (isWord(tokens[j], 'recursive')) {
+      j++;
+    }
+    while (isName(tokens[j])) {
+      names.add(tokens[j].value.toLowerCase());
+      j++;
+      if (isSymbol(tokens[j], '(')) {
+        j = findClosingParen(tokens, j) + 1;
+      }
+      if (!isWord(tokens[j], 'as')) {
+        break;
+      }
+      j++;
+      if (isWord(tokens[j], 'not')) {
+        j++;
+      }
+      if (isWord(tokens[j], 'materialized')) {
+        j++;
+      }
+      if (!isSymbol(tokens[j], '(')) {
+        break;
+      }
+      j = findClosingParen(tokens, j) + 1;
+      if (!isSymbol(tokens[j], ',')) {
+        break;
+      }
+      j++;
+    }
+  }
+  return names;
+}
+
+/** 结束 FROM 子句的关键字（同一括号层级内） */
+const FROM_TERMINATORS = new Set([
+  'where',
+  'group',
+  'having',
+  'order',
+  'limit',
+  'offset',
+  'fetch',
+  'union',
+  'intersect',
+  'except',
+  'window',
+  'for',
+  'returning',
+]);
+
+const JOIN_KEYWORDS = new Set(['join', 'straight_join']);
+
+/** 可紧跟查询开头的关键字：TABLE name 出现在这些位置时等价于 SELECT * FROM name */
+const QUERY_START_KEYWORDS = new Set(['union', 'intersect', 'except', 'all', 'distinct']);
+
+/** 判断 FROM 子句中的括号是否位于表项开头（FROM、JOIN、逗号或外层分组括号之后） */
+const startsFromItem = (previous) =>
+  isSymbol(previous, ',') ||
+  isSymbol(previous, '(') ||
+  isWord(previous, 'from') ||
+  isWord(previous, 'lateral') ||
+  (previous?.type === 'word' && JOIN_KEYWORDS.has(previous.value.toLowerCase()));
+
+/**
+ * 判断 tokens[i] 是否为 PostgreSQL 的 TABLE name 简写查询
+ * （位于语句开头、左括号之后或集合运算符之后）
+ */
+const isTableQuery = (tokens, i) => {
+  if (!isWord(tokens[i], 'table') || !isName(tokens[i + 1])) {
+    return false;
+  }
+  const previous = tokens[i - 1];
+  return (
+    !previous ||
+    isSymbol(previous, '(') ||
+    (previous.type === 'word' && QUERY_START_KEYWORDS.has(previous.value.toLowerCase()))
+  );
+};
+
+/**
+ * 提取 FROM 子句中引用的表（JOIN、逗号分隔的多表、子查询内部），排除 CTE、派生表和表函数
+ *
+ * 按括号层级维护状态：只有以 SELECT / WITH / TABLE 开头的括号（子查询）才会识别 FROM，
+ * 避免把 EXTRACT(YEAR FROM col) 之类函数参数中的列误认为表；`TABLE name` 简写中的 name 同样视为表。
+ * FROM / JOIN / 逗号之后的括号是表分组（如 `FROM (a CROSS JOIN b)`），其中的表同样读取
+ * @param {Array} tokens - 词元数组
+ * @returns {{ tables: string[][], functions: string[] }} 表名分段数组和表函数名
+ */
+function collectTableReferences(tokens) {
+  const cteNames = collectCTENames(tokens);
+  const tables = [];
+  const functions = [];
+  const stack = [{ isQuery: true, inFrom: false }];
+
+  const readTableRef = (start) => {
+    let j = start;
+    while (isWord(tokens[j], 'lateral') || isWord(tokens[j], 'only')) {
+      j++;
+    }
+    if (!isName(tokens[j]) || isWord(tokens[j], 'values')) {
+      // 派生表（子查询）、表分组和 VALUES 列表由括号层级单独处理
+      return;
+    }
+    const { parts, next } = readQualifiedName(tokens, j);
+    if (isSymbol(tokens[next], '(')) {
+      functions.push(parts.join('.').toLowerCase());
+    } else if (!(parts.length === 1 && cteNames.has(parts[0].toLowerCase()))) {
+      tables.push(parts);
+    }
+  };
+
+  for (let i = 0; i < tokens.length; i++) {
+    const token = tokens[i];
+    const level = stack[stack.length - 1];
+
+    if (isSymbol(token, '(')) {
+      const next = tokens[i + 1];
+      if (isWord(next, 'select') || isWord(next, 'with') || isTableQuery(tokens, i + 1)) {
+        stack.push({ isQuery: true, inFrom: false });
+      } else if (level.isQuery && level.inFrom && startsFromItem(tokens[i - 1])) {
+        stack.push({ isQuery: true, inFrom: true });
+        readTableRef(i + 1);
+      } else {
+        stack.push({ isQuery: false, inFrom: false });
+      }
+      continue;
+    }
+    if (isSymbol(token, ')')) {
+      if (stack.length > 1) {
+        stack.pop();
+      }
+      continue;
+    }
+    if (!level.isQuery) {
+      continue;
+    }
+
+    if (token.type === 'word') {
+      const keyword = token.value.toLowerCase();
+      if (isSymbol(tokens[i - 1], '.')) {
+        continue;
+      }
+      if (keyword === 'from' || JOIN_KEYWORDS.has(keyword)) {
+        level.inFrom = true;
+        readTableRef(i + 1);
+      } else if (isTableQuery(tokens, i)) {
+        readTableRef(i + 1);
+      } else if (FROM_TERMINATORS.has(keyword) || keyword === 'values') {
+        level.inFrom = false;
+      }
+    } else if (level.inFrom && isSymbol(token, ',')) {
+      readTableRef(i + 1);
+    }
+  }
+
+  return { tables, functions };
+}
+
+/**
+ * 判断表是否命中白名单（不区分大小写）
+ * 带 schema 前缀的表名必须与白名单项完全一致；不带前缀的表名按最后一段匹配
+ * （白名单 `public.t_order` 可匹配 `t_order`，白名单 `t_order` 不匹配 `other_schema.t_order`）
+ * @param {string|string[]} table - 表名或表名分段
+ * @param {string[]} allowedTables - 白名单
+ * @returns {boolean}
+ */
+function isTableAllowed(table, allowedTables) {
+  const parts = (Array.isArray(table) ? table : String(table).split('.')).map((p) =>
+    p.toLowerCase(),
+  );
+  const name = parts.join('.');
+  return allowedTables.some((entry) => {
+    const entryName = String(entry).toLowerCase();
+    return parts.length > 1 ? entryName === name : entryName.split('.').pop() === name;
+  });
+}
+
+function isSystemTable(parts) {
+  const lowered = parts.map((p) => p.toLowerCase());
+  if (lowered.length > 1 && SYSTEM_SCHEMAS.has(lowered[lowered.length - 2])) {
+    return true;
+  }
+  const name = lowered[lowered.length - 1];
+  return SYSTEM_TABLE_PREFIXES.some((prefix) => name.startsWith(prefix));
+}
+
+/**
+ * 检查语句类型（只允许 SELECT / WITH 开头）以及语句中出现的写操作关键字和被禁止的函数
+ * @param {Array} tokens - 词元数组
+ * @throws {SQLGuardError}
+ */
+function assertReadOnly(tokens) {
+  let index = 0;
+  while (isSymbol(tokens[index], '(')) {
+    index++;
+  }
+  const leading = tokens[index];
+  if (!isWord(leading, 'select') && !isWord(leading, 'with')) {
+    const keyword = leading ? leading.value : '';
+    throw new SQLGuardError(
+      SQLGuardErrorCode.FORBIDDEN_STATEMENT,
+      `只允许执行只读查询（SELECT / WITH），拒绝执行: ${keyword.toUpperCase()}`,
+      {
+        hint: '改写为 SELECT 查询；不要修改数据或表结构',
+        details: { keyword: keyword.toLowerCase() },
+      },
+    );
+  }
+
+  for (let i = 0; i < tokens.length; i++) {
+    const token = tokens[i];
+    if (token.type !== 'word') {
+      continue;
+    }
+    const keyword = token.value.toLowerCase();
+    const previous = tokens[i - 1];
+
+    // 函数可带 schema 前缀调用（如 pg_catalog.query_to_xml），需在跳过限定名之前检查
+    if (FORBIDDEN_FUNCTIONS.has(keyword) && isSymbol(tokens[i + 1], '(')) {
+      throw new SQLGuardError(
+        SQLGuardErrorCode.FORBIDDEN_FUNCTION,
+        `SQL 中调用了被禁止的函数: ${keyword}`,
+        { hint: '移除该函数调用后重试', details: { function: keyword } },
+      );
+    }
+    // 限定名中的分段（如 t.update）不是关键字
+    if (isSymbol(previous, '.')) {
+      continue;
+    }
+
+    if (FORBIDDEN_KEYWORDS.has(keyword) && !isSymbol(tokens[i + 1], '(')) {
+      throw new SQLGuardError(
+        SQLGuardErrorCode.FORBIDDEN_STATEMENT,
+        `SQL 中包含被禁止的关键字: ${keyword.toUpperCase()}`,
+        {
+          hint:
+            keyword === 'into'
+              ? '不要使用 SELECT ... INTO，直接返回查询结果'
+              : keyword === 'update'
+                ? '只读查询不允许 FOR UPDATE 行锁或 UPDATE 语句'
+                : '只允许只读查询，不要修改数据或表结构',
+          details: { keyword },
+        },
+      );
+    }
+  }
+}
+
+/**
+ * 确保最外层查询带有不超过 maxRows 的 LIMIT / FETCH：缺失时追加，超出时收紧
+ * @param {string} sql - 原始 SQL
+ * @param {Array} tokens - 词元数组（已去除结尾分号）
+ * @param {number} maxRows - 最大返回行数
+ * @returns {{ sql: string, limitApplied: boolean }}
+ */
+function applyLimit(sql, tokens, maxRows) {
+  let depth = 0;
+  let countToken = null;
+  let hasLimit = false;
+  for (let i = 0; i < tokens.length; i++) {
+    if (isSymbol(tokens[i], '(')) {
+      depth++;
+    } else if (isSymbol(tokens[i], ')')) {
+      depth--;
+    } else if (depth === 0 && isWord(tokens[i], 'limit')) {
+      hasLimit = true;
+      // MySQL 的 LIMIT offset, count 形式取第二个值
+      countToken = isSymbol(tokens[i + 2], ',') ? tokens[i + 3] : tokens[i + 1];
+    } else if (depth === 0 && isWord(tokens[i], 'fetch')) {
+      hasLimit = true;
+      // FETCH FIRST|NEXT [n] ROW|ROWS ONLY，省略 n 时为 1 行
+      const candidate = tokens[i + 2];
+      countToken = candidate?.type === 'number' || candidate?.type === 'param' ? candidate : null;
+    }
+  }
+
+  const lastToken = tokens[tokens.length - 1];
+  const body = sql.slice(0, lastToken.end);
+
+  if (!hasLimit) {
+    return { sql: `${body}\nLIMIT ${maxRows}`, limitApplied: true };
+  }
+  if (!countToken || (countToken.type === 'number' && Number(countToken.value) <= maxRows)) {
+    return { sql: body, limitApplied: false };
+  }
+  // LIMIT ALL、参数占位符或超出上限的数字统一替换为 maxRows
+  return {
+    sql: `${body.slice(0, countToken.start)}${maxRows}${body.slice(countToken.end)}`,
+    limitApplied: true,
+  };
+}
+
+/**
+ * 校验并改写 SQL
+ * @param {string} sql - 待执行的 SQL
+ * @param {Object} [options]
+ * @param {string[]} [options.allowedTables] - 表白名单，为空时不限制（系统目录仍被拒绝）
+ * @param {number} [options.maxRows] - 最大返回行数
+ * @returns {{ sql: string, tables: string[], limitApplied: boolean }} 改写后的 SQL 及引用的表
+ * @throws {SQLGuardError} 校验失败时
+ */
+function validateSQL(sql, { allowedTables = [], maxRows = DEFAULT_MAX_ROWS } = {}) {
+  if (typeof sql !== 'string' || !sql.trim()) {
+    throw new SQLGuardError(SQLGuardErrorCode.PARSE_ERROR, 'SQL 不能为空', {
+      hint: '提供一条 SELECT 查询',
+    });
+  }
+
+  const tokens = tokenizeSQL(sql);
+  while (tokens.length > 0 && isSymbol(tokens[tokens.length - 1], ';')) {
+    tokens.pop();
+  }
+  if (tokens.length === 0) {
+    throw new SQLGuardError(SQLGuardErrorCode.PARSE_ERROR, 'SQL 不能为空', {
+      hint: '提供一条 SELECT 查询',
+    });
+  }
+  if (tokens.some((token) => isSymbol(token, ';'))) {
+    throw new SQLGuardError(SQLGuardErrorCode.MULTIPLE_STATEMENTS, '只允许执行单条 SQL 语句', {
+      hint: '拆分为多次调用，每次只提交一条 SELECT 查询',
+    });
+  }
+
+  assertReadOnly(tokens);
+
+  const { tables, functions } = collectTableReferences(tokens);
+  const forbiddenFunction = functions.find((name) =>
+    FORBIDDEN_FUNCTIONS.has(name.split('.').pop()),
+  );
+  if (forbiddenFunction) {
+    throw new SQLGuardError(
+      SQLGuardErrorCode.FORBIDDEN_FUNCTION,
+      `SQL 中调用了被禁止的函数: ${forbiddenFunction}`,
+      { hint: '移除该函数调用后重试', details: { function: forbiddenFunction } },
+    );
+  }
+
+  const hasAllowlist = allowedTables.length > 0;
+  // 表函数（含自定义函数）可读取任意数据，启用白名单时只允许白名单中列出的函数
+  const unlistedFunction = hasAllowlist
+    ? functions.find((name) => !isTableAllowed(name, allowedTables))
+    : undefined;
+  if (unlistedFunction) {
+    throw new SQLGuardError(
+      SQLGuardErrorCode.FORBIDDEN_FUNCTION,
+      `FROM 子句中调用了不在白名单中的函数: ${unlistedFunction}`,
+      {
+        hint: `只能查询以下表: ${allowedTables.join(', ')}`,
+        details: { function: unlistedFunction, allowed_tables: allowedTables },
+      },
+    );
+  }
+
+  const disallowed = tables.filter((parts) =>
+    hasAllowlist ? !isTableAllowed(parts, allowedTables) : isSystemTable(parts),
+  );
+  if (disallowed.length > 0) {
+    const names = [...new Set(disallowed.map((parts) => parts.join('.')))];
+    throw new SQLGuardError(
+      SQLGuardErrorCode.TABLE_NOT_ALLOWED,
+      `SQL 引用了不允许访问的表: ${names.join(', ')}`,
+      {
+        hint: hasAllowlist ? `只能查询以下表: ${allowedTables.join(', ')}` : '不允许查询系统目录表',
+        details: { tables: names, allowed_tables: hasAllowlist ? allowedTables : undefined },
+      },
+    );
+  }
+
+  const limited = applyLimit(sql, tokens, maxRows);
+  return {
+    sql: limited.sql,
+    tables: [...new Set(tables.map((parts) => parts.join('.')))],
+    limitApplied: limited.limitApplied,
+  };
+}
+
+/**
+ * 合并智能体的 SQL 守卫配置与默认值
+ * @param {Object} [sqlGuard] - agent.sql_guard
+ * @returns {{ allowedTables: string[], maxRows: number, statementTimeout: number }}
+ */
+function resolveGuardOptions(sqlGuard = {}) {
+  return {
+    allowedTables: Array.isArray(sqlGuard?.allowed_tables) ? sqlGuard.allowed_tables : [],
+    maxRows: sqlGuard?.max_rows > 0 ? sqlGuard.max_rows : DEFAULT_MAX_ROWS,
+    statementTimeout:
+      sqlGuard?.statement_timeout_ms > 0
+        ? sqlGuard.statement_timeout_ms
+        : DEFAULT_STATEMENT_TIMEOUT,
+  };
+}
+
+/**
+ * 将数据库执行错误转换为结构化错误（超时、只读事务拦截等）
+ * @param {Error} error - 数据库驱动抛出的错误
+ * @returns {SQLGuardError}
+ */
+function toGuardError(error) {
+  if (error instanceof SQLGuardError) {
+    return error;
+  }
+  // PostgreSQL: 57014 query_canceled（statement_timeout），25006 read_only_sql_transaction
+  if (error.code === '57014' || /statement timeout/i.test(error.message || '')) {
+    return new SQLGuardError(SQLGuardErrorCode.TIMEOUT, '查询超时，已被取消', {
+      hint: '缩小查询范围（增加过滤条件、减少关联表）后重试',
+    });
+  }
+  if (error.code === '25006') {
+    return new SQLGuardError(SQLGuardErrorCode.FORBIDDEN_STATEMENT, '只读数据源拒绝了写操作', {
+      hint: '只允许只读查询',
+    });
+  }
+  return new SQLGuardError(SQLGuardErrorCode.EXECUTION_ERROR, error.message || 'SQL 执行失败', {
+    hint: '根据错误信息检查表名、字段名和语法后重试',
+    details: error.code ? { db_code: error.code } : undefined,
+  });
+}
+
+module.exports = {
+  SQLGuardError,
+  SQLGuardErrorCode,
+  tokenizeSQL,
+  validateSQL,
+  isTableAllowed,
+  resolveGuardOptions,
+  toGuardError,
+};
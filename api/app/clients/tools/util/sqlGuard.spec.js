@@ -0,0 +1,279 @@
+const {
+  SQLGuardError,
+  SQLGuardErrorCode,
+  tokenizeSQL,
+  validateSQL,
+  isTableAllowed,
+  resolveGuardOptions,
+  toGuardError,
+} = require('./sqlGuard');
+
+const expectGuardError = (fn, code) => {
+  let caught;
+  try {
+    fn();
+  } catch (error) {
+    caught = error;
+  }
+  expect(caught).toBeInstanceOf(SQLGuardError);
+  expect(caught.code).toBe(code);
+  return caught;
+};
+
+describe('sqlGuard', () => {
+  describe('tokenizeSQL', () => {
+    it('skips comments and keeps strings and quoted identifiers intact', () => {
+      const tokens = tokenizeSQL(`SELECT 'a;b', "we""ird" -- trailing; DROP\n/* ; */ FROM t`);
+      expect(tokens.map((t) => t.type)).toEqual([
+        'word',
+        'string',
+        'symbol',
+        'identifier',
+        'word',
+        'word',
+      ]);
+      expect(tokens[3].value).toBe('we"ird');
+    });
+
+    it('does not treat backslashes as escapes', () => {
+      expectGuardError(
+        () => validateSQL("SELECT 'a\\' ; DROP TABLE t; -- '"),
+        SQLGuardErrorCode.MULTIPLE_STATEMENTS,
+      );
+    });
+
+    it('rejects unterminated strings and executable comments', () => {
+      expectGuardError(() => tokenizeSQL("SELECT 'abc"), SQLGuardErrorCode.PARSE_ERROR);
+      expectGuardError(() => tokenizeSQL('SELECT /*! DROP */ 1'), SQLGuardErrorCode.PARSE_ERROR);
+    });
+  });
+
+  describe('validateSQL', () => {
+    it('appends a LIMIT to queries without one', () => {
+      const result = validateSQL('SELECT id FROM t_order;', { maxRows: 50 });
+      expect(result.sql).toBe('SELECT id FROM t_order\nLIMIT 50');
+      expect(result.limitApplied).toBe(true);
+      expect(result.tables).toEqual(['t_order']);
+    });
+
+    it('tightens an oversized LIMIT and keeps a small one', () => {
+      expect(validateSQL('SELECT * FROM t LIMIT 100000', { maxRows: 200 }).sql).toBe(
+        'SELECT * FROM t LIMIT 200',
+      );
+      expect(validateSQL('SELECT * FROM t LIMIT 5, 100000', { maxRows: 200 }).sql).toBe(
+        'SELECT * FROM t LIMIT 5, 200',
+      );
+      expect(validateSQL('SELECT * FROM t LIMIT ALL', { maxRows: 200 }).sql).toBe(
+        'SELECT * FROM t LIMIT 200',
+      );
+      const small = validateSQL('SELECT * FROM t LIMIT 10', { maxRows: 200 });
+      expect(small.sql).toBe('SELECT * FROM t LIMIT 10');
+      expect(small.limitApplied).toBe(false);
+    });
+
+    it('only looks at the outermost LIMIT', () => {
+      const result = validateSQL('SELECT * FROM (SELECT * FROM t LIMIT 5) sub', { maxRows: 20 });
+      expect(result.sql).toBe('SELECT * FROM (SELECT * FROM t LIMIT 5) sub\nLIMIT 20');
+    });
+
+    it.each([
+      ['DELETE FROM t_order'],
+      ['UPDATE t_order SET amount = 0'],
+      ['DROP TABLE t_order'],
+      ['TRUNCATE t_order'],
+      ['COPY t_order TO STDOUT'],
+      ['EXPLAIN ANALYZE SELECT 1'],
+      ['WITH gone AS (DELETE FROM t_order RETURNING *) SELECT * FROM gone'],
+      ['SELECT * INTO backup FROM t_order'],
+      ['SELECT * FROM t_order FOR UPDATE'],
+    ])('rejects non read-only statement: %s', (sql) => {
+      expectGuardError(() => validateSQL(sql), SQLGuardErrorCode.FORBIDDEN_STATEMENT);
+    });
+
+    it('rejects multiple statements', () => {
+      expectGuardError(
+        () => validateSQL('SELECT 1; SELECT 2'),
+        SQLGuardErrorCode.MULTIPLE_STATEMENTS,
+      );
+    });
+
+    it('rejects functions with side effects', () => {
+      expectGuardError(
+        () => validateSQL('SELECT pg_sleep(10)'),
+        SQLGuardErrorCode.FORBIDDEN_FUNCTION,
+      );
+      expectGuardError(
+        () => validateSQL("SELECT * FROM dblink('host=x', 'select 1') AS t(a int)"),
+        SQLGuardErrorCode.FORBIDDEN_FUNCTION,
+      );
+    });
+
+    it('rejects XML export functions that run arbitrary queries', () => {
+      for (const sql of [
+        "SELECT query_to_xml('select * from secrets', true, true, '') FROM orders",
+        "SELECT pg_catalog.query_to_xml_and_xmlschema('select 1', true, true, '')",
+        "SELECT table_to_xml('secrets', true, true, '')",
+        "SELECT cursor_to_xml('c', 10, true, true, '')",
+        "SELECT database_to_xml(true, true, '')",
+        "SELECT schema_to_xmlschema('public', true, true, '')",
+      ]) {
+        expectGuardError(
+          () => validateSQL(sql, { allowedTables: ['orders'] }),
+          SQLGuardErrorCode.FORBIDDEN_FUNCTION,
+        );
+      }
+    });
+
+    it('treats TABLE name queries as table references', () => {
+      for (const sql of [
+        'SELECT * FROM orders WHERE id IN (TABLE secrets)',
+        'SELECT * FROM orders WHERE EXISTS (TABLE secrets)',
+        'SELECT id FROM orders UNION ALL TABLE public.secrets',
+        'WITH s AS (TABLE secrets) SELECT * FROM orders',
+      ]) {
+        const error = expectGuardError(
+          () => validateSQL(sql, { allowedTables: ['orders'] }),
+          SQLGuardErrorCode.TABLE_NOT_ALLOWED,
+        );
+        expect(error.details.tables).toEqual([
+          sql.includes('public.') ? 'public.secrets' : 'secrets',
+        ]);
+      }
+      expect(
+        validateSQL('SELECT * FROM orders WHERE id IN (TABLE refunds)', {
+          allowedTables: ['orders', 'refunds'],
+        }).tables,
+      ).toEqual(['orders', 'refunds']);
+    });
+
+    it('allows keywords used as qualified column names or function names', () => {
+      expect(() => validateSQL("SELECT t.update, replace(t.name, 'a', 'b') FROM t")).not.toThrow();
+    });
+
+    it('does not mistake FROM inside function arguments for a table', () => {
+      const result = validateSQL('SELECT EXTRACT(YEAR FROM created_at) AS y FROM t_order', {
+        allowedTables: ['t_order'],
+      });
+      expect(result.tables).toEqual(['t_order']);
+    });
+
+    it('enforces the table allowlist across joins, comma joins and subqueries', () => {
+      const sql = `WITH recent AS (SELECT * FROM public.t_order)
+        SELECT * FROM recent r
+        JOIN t_customer c ON c.id = r.customer_id, t_region g
+        WHERE r.id IN (SELECT order_id FROM t_refund)`;
+
+      const error = expectGuardError(
+        () => validateSQL(sql, { allowedTables: ['public.t_order', 't_customer', 't_region'] }),
+        SQLGuardErrorCode.TABLE_NOT_ALLOWED,
+      );
+      expect(error.details.tables).toEqual(['t_refund']);
+
+      const result = validateSQL(sql, {
+        allowedTables: ['public.t_order', 't_customer', 't_region', 't_refund'],
+      });
+      expect(result.tables).toEqual(['public.t_order', 't_customer', 't_region', 't_refund']);
+    });
+
+    it('reads tables inside parenthesised FROM and JOIN groups', () => {
+      for (const sql of [
+        'SELECT * FROM (secret)',
+        'SELECT * FROM (orders CROSS JOIN secret)',
+        'SELECT * FROM orders LEFT JOIN (secret) s ON true',
+        'SELECT * FROM orders, ((secret JOIN orders o2 ON true))',
+      ]) {
+        const error = expectGuardError(
+          () => validateSQL(sql, { allowedTables: ['orders'] }),
+          SQLGuardErrorCode.TABLE_NOT_ALLOWED,
+        );
+        expect(error.details.tables).toEqual(['secret']);
+      }
+      expect(
+        validateSQL(
+          "SELECT * FROM (orders o JOIN refunds r ON (o.id = r.order_id)) JOIN (VALUES (1, 'a')) v(id, name) ON v.id = o.id",
+          { allowedTables: ['orders', 'refunds'] },
+        ).tables,
+      ).toEqual(['orders', 'refunds']);
+    });
+
+    it('rejects table functions outside the allowlist', () => {
+      for (const sql of [
+        'SELECT * FROM read_secrets()',
+        'SELECT * FROM orders JOIN public.generate_series(1, 3) g ON true',
+        "SELECT * FROM xmltable('/r' PASSING (SELECT '<r/>'::xml) COLUMNS a text)",
+      ]) {
+        expectGuardError(
+          () => validateSQL(sql, { allowedTables: ['orders'] }),
+          SQLGuardErrorCode.FORBIDDEN_FUNCTION,
+        );
+      }
+      expect(() =>
+        validateSQL('SELECT * FROM generate_series(1, 3) g', {
+          allowedTables: ['orders', 'generate_series'],
+        }),
+      ).not.toThrow();
+      expect(() => validateSQL('SELECT * FROM generate_series(1, 3) g')).not.toThrow();
+    });
+
+    it('rejects system catalogs when no allowlist is configured', () => {
+      expectGuardError(
+        () => validateSQL('SELECT * FROM information_schema.tables'),
+        SQLGuardErrorCode.TABLE_NOT_ALLOWED,
+      );
+      expectGuardError(
+        () => validateSQL('SELECT * FROM pg_user'),
+        SQLGuardErrorCode.TABLE_NOT_ALLOWED,
+      );
+    });
+
+    it('returns a structured tool result', () => {
+      const error = expectGuardError(
+        () => validateSQL('DELETE FROM t'),
+        SQLGuardErrorCode.FORBIDDEN_STATEMENT,
+      );
+      expect(error.toToolResult()).toMatchObject({
+        success: false,
+        error_code: SQLGuardErrorCode.FORBIDDEN_STATEMENT,
+        hint: expect.any(String),
+      });
+    });
+  });
+
+  describe('isTableAllowed', () => {
+    it('requires an exact match for schema-qualified names, case-insensitively', () => {
+      expect(isTableAllowed('public.T_Order', ['public.t_order'])).toBe(true);
+      expect(isTableAllowed('t_order', ['public.t_order'])).toBe(true);
+      expect(isTableAllowed('T_Order', ['t_order'])).toBe(true);
+      expect(isTableAllowed('sales.t_order', ['public.t_order'])).toBe(false);
+      expect(isTableAllowed('other_schema.t_order', ['t_order'])).toBe(false);
+    });
+  });
+
+  describe('resolveGuardOptions', () => {
+    it('uses agent settings and falls back to defaults', () => {
+      expect(
+        resolveGuardOptions({ allowed_tables: ['t'], max_rows: 10, statement_timeout_ms: 500 }),
+      ).toEqual({ allowedTables: ['t'], maxRows: 10, statementTimeout: 500 });
+
+      const defaults = resolveGuardOptions(undefined);
+      expect(defaults.allowedTables).toEqual([]);
+      expect(defaults.maxRows).toBeGreaterThan(0);
+      expect(defaults.statementTimeout).toBeGreaterThan(0);
+    });
+  });
+
+  describe('toGuardError', () => {
+    it('maps statement timeouts and read-only violations', () => {
+      expect(
+        toGuardError({ code: '57014', message: 'canceling statement due to statement timeout' })
+          .code,
+      ).toBe(SQLGuardErrorCode.TIMEOUT);
+      expect(toGuardError({ code: '25006', message: 'read-only' }).code).toBe(
+        SQLGuardErrorCode.FORBIDDEN_STATEMENT,
+      );
+      expect(toGuardError(new Error('column "x" does not exist')).code).toBe(
+        SQLGuardErrorCode.EXECUTION_ERROR,
+      );
+    });
+  });
+});
@@ -0,0 +1,90 @@
+/**
+ * 模板类工具（SocialMedia、WritingAssistant、BaziAstrology、Speckit）共用的模板子系统：
+ * 加载与缓存模板、解析变量参考文档、服务端渲染并返回待澄清的变量，
+ * 以及优先从后台模板库解析模板
+ */
+
+const {
+  resolveProjectRoot,
+  findRepoRoot,
+  loadTemplate,
+  loadVariableReference,
+  clearTemplateCache,
+} = require('./loader');
+const { parseVariableReference, validateValue } = require('./variables');
+const { extractPlaceholders, renderTemplate } = require('./render');
+const {
+  setTemplateSource,
+  findLibraryTemplate,
+  listLibraryTemplates,
+  resolveTemplate,
+} = require('./library');
+
+/**
+ * 加载模板与变量定义并渲染为草稿
+ *
+ * 传入 `tool` 时先查模板库（模板ID → 场景标签 → 内置路径），模板库条目自带的变量定义
+ * 覆盖变量参考文档中的同名定义。
+ *
+ * @param {Object} params
+ * @param {string} params.root - 项目根目录
+ * @param {string} [params.templatePath] - 内置模板路径（相对项目根目录）
+ * @param {string} [params.referencePath] - 变量参考文档路径（相对项目根目录）
+ * @param {string} [params.tool] - 工具名，用于查询模板库
+ * @param {string} [params.templateId] - 模板库条目ID
+ * @param {string} [params.scenario] - 场景标签
+ * @param {Object} [params.user] - 当前用户，用于模板可见范围过滤
+ * @param {Record<string, unknown>} [params.values]
+ * @param {Record<string, string>} [params.errors]
+ * @param {string} [params.argumentsText]
+ * @param {Date} [params.now]
+ * @returns {Promise<ReturnType<typeof renderTemplate> & {
+ *   template_path: string,
+ *   template_source: 'library' | 'file',
+ *   template_id?: string,
+ *   template_version?: number,
+ * }>}
+ */
+async function renderTemplateFile({
+  root,
+  templatePath,
+  referencePath,
+  tool,
+  templateId,
+  scenario,
+  user,
+  ...options
+}) {
+  const [template, references] = await Promise.all([
+    tool
+      ? resolveTemplate({ root, tool, templateId, scenario, templatePath, user })
+      : loadTemplate(root, templatePath),
+    referencePath ? loadVariableReference(root, referencePath) : {},
+  ]);
+  const variables = { ...references, ...template.variables };
+  return {
+    template_path: template.templatePath || templatePath,
+    template_source: template.source || 'file',
+    ...(template.source === 'library'
+      ? { template_id: template.id, template_version: template.version }
+      : {}),
+    ...renderTemplate(template.content, { ...options, variables, syntax: template.syntax }),
+  };
+}
+
+module.exports = {
+  resolveProjectRoot,
+  findRepoRoot,
+  loadTemplate,
+  loadVariableReference,
+  clearTemplateCache,
+  setTemplateSource,
+  findLibraryTemplate,
+  listLibraryTemplates,
+  resolveTemplate,
+  parseVariableReference,
+  validateValue,
+  extractPlaceholders,
+  renderTemplate,
+  renderTemplateFile,
+};
@@ -0,0 +1,148 @@
+/**
+ * 模板库：管理员在后台维护的模板（数据库）优先，未命中时回退到仓库内置的 `specs/*-templates` 文件
+ *
+ * 工具代码不直接依赖数据库，服务启动时通过 `setTemplateSource` 注册数据源；
+ * 未注册（如单元测试、离线脚本）时只使用内置文件。
+ */
+
+const { logger } = require('@aipyq/data-schemas');
+const { loadTemplate } = require('./loader');
+const { detectSyntax, extractPlaceholders } = require('./render');
+
+/**
+ * @typedef {Object} TemplateSource
+ * @property {(query: TemplateQuery) => Promise<Object|null>} findTemplate - 返回可见的模板库条目
+ * @property {(query: { tool: string, user?: Object }) => Promise<Object[]>} listAvailableTemplates - 可见模板摘要
+ */
+
+/**
+ * @typedef {Object} TemplateQuery
+ * @property {string} tool - 工具名：writing / social / bazi_astrology
+ * @property {string} [templateId] - 模板库条目ID
+ * @property {string} [scenario] - 场景标签
+ * @property {string} [templatePath] - 内置模板路径（相对项目根目录）
+ * @property {{ id?: string, _id?: unknown, role?: string }} [user] - 当前用户，用于可见范围过滤
+ */
+
+/** @type {TemplateSource|null} */
+let templateSource = null;
+
+/**
+ * 注册模板库数据源
+ * @param {TemplateSource|null} source
+ */
+function setTemplateSource(source) {
+  templateSource = source;
+}
+
+/**
+ * 在模板库中查找模板；数据源不可用时返回 null，由调用方回退到内置文件
+ * @param {TemplateQuery} query
+ * @returns {Promise<Object|null>}
+ */
+async function findLibraryTemplate(query) {
+  if (!templateSource) {
+    return null;
+  }
+  try {
+    return await templateSource.findTemplate(query);
+  } catch (err) {
+    logger.warn(`[templates] 查询模板库失败，使用内置模板: ${err.message}`);
+    return null;
+  }
+}
+
+/**
+ * 列出当前用户可用的模板库模板，供工具的 templates 命令展示
+ * @param {{ tool: string, user?: Object }} query
+ * @returns {Promise<Array<{ id: string, name: string, description: string, category: string, scenarios: string[] }>>}
+ */
+async function listLibraryTemplates(query) {
+  if (!templateSource) {
+    return [];
+  }
+  try {
+    return await templateSource.listAvailableTemplates(query);
+  } catch (err) {
+    logger.warn(`[templates] 查询模板库失败: ${err.message}`);
+    return [];
+  }
+}
+
+/**
+ * 将模板库中保存的变量列表转换为以占位符名为键的变量定义
+ * @param {Array<import('./variables').VariableDefinition>} [variables]
+ * @param {'mustache'|'bracket'} syntax
+ * @returns {Record<string, import('./variables').VariableDefinition>}
+ */
+function toVariableMap(variables = [], syntax) {
+  const map = {};
+  for (const variable of variables) {
+    if (variable && variable.name) {
+      map[variable.name] = { kind: 'input', type: 'text', section: '', syntax, ...variable };
+    }
+  }
+  return map;
+}
+
+/**
+ * @typedef {import('./loader').ParsedTemplate & {
+ *   source: 'library' | 'file',
+ *   templatePath: string,
+ *   id?: string,
+ *   name?: string,
+ *   version?: number,
+ *   variables: Record<string, import('./variables').VariableDefinition>,
+ * }} ResolvedTemplate
+ */
+
+/**
+ * 解析模板：依次按模板ID、场景标签、内置路径查找模板库，均未命中时加载内置文件
+ *
+ * @param {TemplateQuery & { root: string }} params
+ * @returns {Promise<ResolvedTemplate>}
+ */
+async function resolveTemplate({ root, templatePath, ...query }) {
+  const lookups = [];
+  if (query.templateId) {
+    lookups.push({ tool: query.tool, user: query.user, templateId: query.templateId });
+  }
+  if (query.scenario) {
+    lookups.push({ tool: query.tool, user: query.user, scenario: query.scenario });
+  }
+  if (templatePath) {
+    lookups.push({ tool: query.tool, user: query.user, templatePath });
+  }
+
+  for (const lookup of lookups) {
+    const entry = await findLibraryTemplate(lookup);
+    if (entry && entry.content) {
+      const syntax = detectSyntax(entry.content);
+      return {
+        source: 'library',
+        id: String(entry._id),
+        name: entry.name,
+        version: entry.version,
+        path: entry.path || `library:${entry._id}`,
+        templatePath: entry.path || `library:${entry._id}`,
+        content: entry.content,
+        syntax,
+        placeholders: extractPlaceholders(entry.content, syntax),
+        variables: toVariableMap(entry.variables, syntax),
+      };
+    }
+  }
+
+  if (!templatePath) {
+    throw new Error(`模板库中没有可用的模板: ${query.templateId || query.scenario}`);
+  }
+  const template = await loadTemplate(root, templatePath);
+  return { ...template, source: 'file', templatePath, variables: {} };
+}
+
+module.exports = {
+  setTemplateSource,
+  findLibraryTemplate,
+  listLibraryTemplates,
+  resolveTemplate,
+};
@@ -0,0 +1,107 @@
+jest.mock('@aipyq/data-schemas', () => ({
+  logger: { debug: jest.fn(), warn: jest.fn(), error: jest.fn() },
+}));
+
+const os = require('os');
+const path = require('path');
+const fs = require('fs').promises;
+const {
+  setTemplateSource,
+  resolveTemplate,
+  listLibraryTemplates,
+  clearTemplateCache,
+  renderTemplateFile,
+} = require('./index');
+
+describe('template library', () => {
+  let root;
+  let source;
+
+  beforeEach(async () => {
+    clearTemplateCache();
+    root = await fs.mkdtemp(path.join(os.tmpdir(), 'templates-'));
+    await fs.writeFile(path.join(root, 'notice.md'), '内置：{{topic}}');
+    await fs.writeFile(
+      path.join(root, 'reference.md'),
+      '## 通用变量\n\n| 变量 | 说明 | 必填 |\n|---|---|---|\n| `{{topic}}` | 主题 | 否 |\n',
+    );
+    source = {
+      findTemplate: jest.fn(async () => null),
+      listAvailableTemplates: jest.fn(async () => [{ id: 't1', name: '通知' }]),
+    };
+    setTemplateSource(source);
+  });
+
+  afterEach(async () => {
+    setTemplateSource(null);
+    await fs.rm(root, { recursive: true, force: true });
+  });
+
+  it('falls back to the bundled file when the library has no match', async () => {
+    const template = await resolveTemplate({
+      root,
+      tool: 'writing',
+      scenario: 'notice',
+      templatePath: 'notice.md',
+      user: { id: 'u1', role: 'USER' },
+    });
+
+    expect(template).toMatchObject({ source: 'file', content: '内置：{{topic}}' });
+    expect(source.findTemplate.mock.calls.map(([query]) => query)).toEqual([
+      { tool: 'writing', user: { id: 'u1', role: 'USER' }, scenario: 'notice' },
+      { tool: 'writing', user: { id: 'u1', role: 'USER' }, templatePath: 'notice.md' },
+    ]);
+  });
+
+  it('prefers library templates and their own variable definitions', async () => {
+    source.findTemplate.mockImplementation(async ({ templateId }) =>
+      templateId === 't1'
+        ? {
+            _id: 't1',
+            name: '通知',
+            version: 3,
+            content: '关于{{topic}}的通知，{{deadline}}前完成',
+            variables: [{ name: 'deadline', description: '截止日期', required: true }],
+          }
+        : null,
+    );
+
+    const draft = await renderTemplateFile({
+      root,
+      tool: 'writing',
+      templateId: 't1',
+      templatePath: 'notice.md',
+      referencePath: 'reference.md',
+      values: { topic: '年度考核' },
+    });
+
+    expect(draft).toMatchObject({
+      template_path: 'library:t1',
+      template_source: 'library',
+      template_id: 't1',
+      template_version: 3,
+      content: '关于年度考核的通知，{{deadline}}前完成',
+    });
+    expect(draft.clarifications).toEqual([
+      expect.objectContaining({
+        variable: 'deadline',
+        reason: 'missing',
+        message: '请提供「截止日期」',
+      }),
+    ]);
+  });
+
+  it('uses bundled files only when no source is registered or the source fails', async () => {
+    source.findTemplate.mockRejectedValue(new Error('db down'));
+    await expect(
+      resolveTemplate({ root, tool: 'writing', templatePath: 'notice.md' }),
+    ).resolves.toMatchObject({ source: 'file' });
+    await expect(resolveTemplate({ root, tool: 'writing', templateId: 'missing' })).rejects.toThrow(
+      '模板库中没有可用的模板',
+    );
+
+    expect(await listLibraryTemplates({ tool: 'writing' })).toEqual([{ id: 't1', name: '通知' }]);
+    setTemplateSource(null);
+    expect(await listLibraryTemplates({ tool: 'writing' })).toEqual([]);
+  });
+});
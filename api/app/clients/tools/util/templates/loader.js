@@ -0,0 +1,126 @@
+/**
+ * 模板文件加载：统一的项目根目录解析与按文件修改时间失效的解析缓存
+ */
+
+const path = require('path');
+const fs = require('fs').promises;
+const { logger } = require('@aipyq/data-schemas');
+const { parseVariableReference } = require('./variables');
+const { detectSyntax, extractPlaceholders } = require('./render');
+
+/** 完整路径 → { mtimeMs, value } */
+const cache = new Map();
+
+/**
+ * 模板类工具的项目根目录
+ * 优先使用明确传入的 projectRoot，否则使用环境变量，最后回退到从 __dirname 计算，
+ * 这样确保在容器环境中能正确找到项目根目录
+ * @param {{ projectRoot?: string }} [fields]
+ * @returns {string}
+ */
+function resolveProjectRoot(fields = {}) {
+  return (
+    fields.projectRoot || process.env.PROJECT_ROOT || path.resolve(__dirname, '../../../../../')
+  );
+}
+
+/**
+ * Find repository root by looking for .git or .specify directory
+ * @param {string} startPath
+ * @param {string} [fallback] - 找不到时返回的目录，默认为 startPath
+ * @returns {Promise<string>}
+ */
+async function findRepoRoot(startPath, fallback = startPath) {
+  let currentPath = path.resolve(startPath);
+  const root = path.parse(currentPath).root;
+  const exists = (target) =>
+    fs
+      .access(target)
+      .then(() => true)
+      .catch(() => false);
+
+  while (currentPath !== root) {
+    const [gitExists, specifyExists] = await Promise.all([
+      exists(path.join(currentPath, '.git')),
+      exists(path.join(currentPath, '.specify')),
+    ]);
+    if (gitExists || specifyExists) {
+      return currentPath;
+    }
+    currentPath = path.dirname(currentPath);
+  }
+
+  return fallback;
+}
+
+/** 读取文件并缓存解析结果，文件修改后自动重新解析 */
+async function readCached(fullPath, parse) {
+  const { mtimeMs } = await fs.stat(fullPath);
+  const cached = cache.get(fullPath);
+  if (cached && cached.mtimeMs === mtimeMs) {
+    return cached.value;
+  }
+  const value = parse(await fs.readFile(fullPath, 'utf-8'));
+  cache.set(fullPath, { mtimeMs, value });
+  return value;
+}
+
+/**
+ * @typedef {Object} ParsedTemplate
+ * @property {string} path - 完整路径
+ * @property {string} content
+ * @property {'mustache'|'bracket'} syntax
+ * @property {string[]} placeholders
+ */
+
+/**
+ * 加载模板
+ * @param {string} root - 项目根目录
+ * @param {string} templatePath - 相对于项目根目录的路径，如 specs/social-media-templates/...
+ * @returns {Promise<ParsedTemplate>}
+ */
+async function loadTemplate(root, templatePath) {
+  const fullPath = path.resolve(root, templatePath);
+  try {
+    return await readCached(fullPath, (content) => {
+      const syntax = detectSyntax(content);
+      return {
+        path: fullPath,
+        content,
+        syntax,
+        placeholders: extractPlaceholders(content, syntax),
+      };
+    });
+  } catch (err) {
+    throw new Error(`无法加载模板: ${templatePath} (完整路径: ${fullPath}, 错误: ${err.message})`);
+  }
+}
+
+/**
+ * 加载变量参考文档并解析为变量定义；文档不存在时返回空定义
+ * @param {string} root
+ * @param {string} referencePath
+ * @returns {Promise<Record<string, import('./variables').VariableDefinition>>}
+ */
+async function loadVariableReference(root, referencePath) {
+  const fullPath = path.resolve(root, referencePath);
+  try {
+    return await readCached(fullPath, parseVariableReference);
+  } catch (err) {
+    logger.debug(`[templates] 变量参考文档不可用: ${fullPath} (${err.message})`);
+    return {};
+  }
+}
+
+/** 清空解析缓存（测试或热更新模板目录时使用） */
+function clearTemplateCache() {
+  cache.clear();
+}
+
+module.exports = {
+  resolveProjectRoot,
+  findRepoRoot,
+  loadTemplate,
+  loadVariableReference,
+  clearTemplateCache,
+};
@@ -0,0 +1,70 @@
+jest.mock('@aipyq/data-schemas', () => ({
+  logger: { debug: jest.fn(), warn: jest.fn(), error: jest.fn() },
+}));
+
+const os = require('os');
+const path = require('path');
+const fs = require('fs').promises;
+const {
+  findRepoRoot,
+  loadTemplate,
+  loadVariableReference,
+  clearTemplateCache,
+  renderTemplateFile,
+} = require('./index');
+
+describe('template loader', () => {
+  let root;
+
+  beforeEach(async () => {
+    clearTemplateCache();
+    root = await fs.mkdtemp(path.join(os.tmpdir(), 'templates-'));
+    await fs.mkdir(path.join(root, '.specify', 'nested'), { recursive: true });
+    await fs.writeFile(path.join(root, 'post.md'), '今天在[地点]，{{unused}}');
+    await fs.writeFile(
+      path.join(root, 'reference.md'),
+      '## 通用变量\n\n| 变量 | 说明 | 必填 |\n|---|---|---|\n| `[地点]` | 具体地点 | 是 |\n',
+    );
+  });
+
+  afterEach(() => fs.rm(root, { recursive: true, force: true }));
+
+  it('finds the repository root from a nested directory', async () => {
+    const nested = path.join(root, 'a', 'b');
+    await fs.mkdir(nested, { recursive: true });
+    expect(await findRepoRoot(nested)).toBe(root);
+    expect(await findRepoRoot(path.join(root, '.specify', 'nested'))).toBe(root);
+    expect(await findRepoRoot(os.tmpdir(), '/fallback')).toBe('/fallback');
+  });
+
+  it('caches parsed templates until the file changes', async () => {
+    const first = await loadTemplate(root, 'post.md');
+    expect(first).toMatchObject({ syntax: 'mustache', placeholders: ['unused'] });
+    expect(await loadTemplate(root, 'post.md')).toBe(first);
+
+    const future = new Date(Date.now() + 60000);
+    await fs.writeFile(path.join(root, 'post.md'), '今天在[地点]');
+    await fs.utimes(path.join(root, 'post.md'), future, future);
+    const updated = await loadTemplate(root, 'post.md');
+    expect(updated).not.toBe(first);
+    expect(updated).toMatchObject({ syntax: 'bracket', placeholders: ['地点'] });
+
+    await expect(loadTemplate(root, 'missing.md')).rejects.toThrow('无法加载模板: missing.md');
+    expect(await loadVariableReference(root, 'missing.md')).toEqual({});
+  });
+
+  it('renders a template file against its variable reference', async () => {
+    await fs.writeFile(path.join(root, 'post.md'), '今天在[地点]，[心情]');
+    const draft = await renderTemplateFile({
+      root,
+      templatePath: 'post.md',
+      referencePath: 'reference.md',
+    });
+
+    expect(draft.template_path).toBe('post.md');
+    expect(draft.placeholders.pending).toEqual(['地点', '心情']);
+    expect(draft.clarifications).toEqual([
+      { variable: '地点', reason: 'missing', message: '请提供「具体地点」' },
+    ]);
+  });
+});
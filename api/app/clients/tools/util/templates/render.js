@@ -0,0 +1,199 @@
+/**
+ * 模板渲染：在服务端替换占位符，返回预填好的草稿、仍待补全的占位符与需要向用户澄清的变量
+ *
+ * 支持两种占位符写法：`{{name}}`（公文写作模板）与 `[名称]`（朋友圈、命理、Speckit 模板），
+ * 以及 Speckit 风格的 `$ARGUMENTS`（用户原始描述）。
+ */
+
+const { validateValue } = require('./variables');
+
+const WEEKDAYS = ['星期日', '星期一', '星期二', '星期三', '星期四', '星期五', '星期六'];
+const SEASONS = [
+  '冬季',
+  '冬季',
+  '春季',
+  '春季',
+  '春季',
+  '夏季',
+  '夏季',
+  '夏季',
+  '秋季',
+  '秋季',
+  '秋季',
+  '冬季',
+];
+
+const pad = (value) => String(value).padStart(2, '0');
+const isoDate = (now) => `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}`;
+const chineseDate = (now) =>
+  now.toLocaleDateString('zh-CN', { year: 'numeric', month: 'long', day: 'numeric' });
+
+/** 系统变量：未由调用方提供时按当前时间自动生成 */
+const SYSTEM_VALUES = {
+  date: chineseDate,
+  year: (now) => String(now.getFullYear()),
+  month: (now) => String(now.getMonth() + 1),
+  day: (now) => String(now.getDate()),
+  weekday: (now) => WEEKDAYS[now.getDay()],
+  timestamp: (now) =>
+    `${isoDate(now)} ${pad(now.getHours())}:${pad(now.getMinutes())}:${pad(now.getSeconds())}`,
+  日期: isoDate,
+  时间: (now) => now.toLocaleTimeString('zh-CN', { hour: '2-digit', minute: '2-digit' }),
+  星期: (now) => WEEKDAYS[now.getDay()].replace('星期', '周'),
+  季节: (now) => SEASONS[now.getMonth()],
+  月份: (now) => `${now.getMonth() + 1}月`,
+  年份: (now) => `${now.getFullYear()}年`,
+  分析日期: chineseDate,
+};
+
+const PATTERNS = {
+  mustache: () => /\{\{\s*([\w.-]+)\s*\}\}/g,
+  // 排除 Markdown 链接 `[文字](url)`、任务列表 `[ ]`/`[x]`、脚注数字与 `[!NOTE]` 提示块
+  bracket: () => /\[([^[\]\n]{1,60})\](?!\()/g,
+};
+
+const isPlaceholderName = (syntax, name) =>
+  syntax === 'mustache' || !/^(\s*|\s*[xX]\s*|\d+|!.*)$/.test(name);
+
+/**
+ * 根据内容判断占位符写法
+ * @param {string} content
+ * @returns {'mustache'|'bracket'}
+ */
+function detectSyntax(content) {
+  return /\{\{\s*[\w.-]+\s*\}\}/.test(content) ? 'mustache' : 'bracket';
+}
+
+/**
+ * 按出现顺序列出模板中的占位符（去重）
+ * @param {string} content
+ * @param {'mustache'|'bracket'} [syntax]
+ * @returns {string[]}
+ */
+function extractPlaceholders(content, syntax = detectSyntax(content)) {
+  const names = new Set();
+  for (const match of content.matchAll(PATTERNS[syntax]())) {
+    if (isPlaceholderName(syntax, match[1])) {
+      names.add(match[1]);
+    }
+  }
+  return [...names];
+}
+
+/** 取值未通过校验时的澄清项 */
+const invalidValue = (name, definition, value, error) => ({
+  variable: name,
+  reason: 'invalid',
+  message: `「${(definition && definition.description) || name}」的取值「${value}」无效，${error}`,
+  ...(definition && definition.options ? { options: definition.options } : {}),
+});
+
+/** 只读取自有属性，避免 `{{constructor}}` 之类的占位符取到原型链上的值 */
+const own = (object, key) => (Object.hasOwn(object, key) ? object[key] : undefined);
+
+const isEmpty = (value) =>
+  value == null ||
+  (typeof value === 'string' && !value.trim()) ||
+  (Array.isArray(value) && !value.length);
+
+/**
+ * 渲染模板
+ *
+ * @param {string} content - 模板原文
+ * @param {Object} [options]
+ * @param {Record<string, unknown>} [options.values] - 变量取值，键为占位符名
+ * @param {Record<string, import('./variables').VariableDefinition>} [options.variables] - 变量定义
+ * @param {Record<string, string>} [options.errors] - 调用方已判定无效的变量及原因（如出生日期不存在）
+ * @param {'mustache'|'bracket'} [options.syntax]
+ * @param {string} [options.argumentsText] - 替换 `$ARGUMENTS` 的用户描述
+ * @param {Date} [options.now]
+ * @returns {{
+ *   content: string,
+ *   placeholders: { filled: string[], pending: string[] },
+ *   clarifications: Array<{ variable: string, reason: 'missing'|'invalid', message: string }>,
+ * }}
+ */
+function renderTemplate(content, options = {}) {
+  const {
+    values = {},
+    variables = {},
+    errors = {},
+    syntax = detectSyntax(content),
+    argumentsText,
+    now = new Date(),
+  } = options;
+
+  const resolved = new Map();
+  const pending = [];
+  const clarifications = [];
+
+  for (const name of extractPlaceholders(content, syntax)) {
+    const definition = own(variables, name);
+    const systemValue = own(SYSTEM_VALUES, name);
+    const error = own(errors, name);
+    let value = own(values, name);
+    if (isEmpty(value) && systemValue && (!definition || definition.kind === 'system')) {
+      value = systemValue(now);
+    }
+    const label = definition && definition.description ? definition.description : name;
+
+    if (error) {
+      pending.push(name);
+      clarifications.push({
+        variable: name,
+        reason: 'invalid',
+        message: `「${label}」${error}`,
+      });
+    } else if (isEmpty(value)) {
+      pending.push(name);
+      if (definition && definition.required) {
+        clarifications.push({
+          variable: name,
+          reason: 'missing',
+          message: `请提供「${label}」`,
+          ...(definition.options ? { options: definition.options } : {}),
+          ...(definition.example ? { example: definition.example } : {}),
+        });
+      }
+    } else {
+      const result = validateValue(definition, value);
+      if (result.error) {
+        pending.push(name);
+        clarifications.push(invalidValue(name, definition, value, result.error));
+      } else {
+        resolved.set(name, result.value);
+      }
+    }
+  }
+
+  // 模板中未出现、但有定义的输入（如语气、字数）同样校验，无效时请用户确认
+  for (const [name, value] of Object.entries(values)) {
+    const definition = own(variables, name);
+    if (definition && !isEmpty(value) && !resolved.has(name) && !pending.includes(name)) {
+      const result = validateValue(definition, value);
+      if (result.error) {
+        clarifications.push(invalidValue(name, definition, value, result.error));
+      }
+    }
+  }
+
+  let rendered = content.replace(PATTERNS[syntax](), (placeholder, name) =>
+    resolved.has(name) ? resolved.get(name) : placeholder,
+  );
+  if (!isEmpty(argumentsText)) {
+    rendered = rendered.split('$ARGUMENTS').join(argumentsText);
+  }
+
+  return {
+    content: rendered,
+    placeholders: { filled: [...resolved.keys()], pending },
+    clarifications,
+  };
+}
+
+module.exports = {
+  SYSTEM_VALUES,
+  detectSyntax,
+  extractPlaceholders,
+  renderTemplate,
+};
@@ -0,0 +1,96 @@
+const { extractPlaceholders, renderTemplate } = require('./render');
+
+const now = new Date(2026, 9, 19, 15, 30);
+
+describe('template rendering', () => {
+  it('lists placeholders but skips links, checkboxes and footnotes', () => {
+    const content = [
+      '# [标题]',
+      '- [ ] 待办 [x] 已完成',
+      '见 [文档](https://example.com) 与脚注 [1]',
+      '[标题] 写于 [日期]',
+    ].join('\n');
+
+    expect(extractPlaceholders(content)).toEqual(['标题', '日期']);
+    expect(extractPlaceholders('{{title}} / {{ date }} / [不是占位符]')).toEqual(['title', 'date']);
+  });
+
+  it('fills values and system variables and keeps the rest pending', () => {
+    const result = renderTemplate('[日期] 在[地点]，[心情形容词]！输入："$ARGUMENTS"', {
+      values: { 地点: '北京故宫' },
+      argumentsText: '周末去故宫',
+      now,
+    });
+
+    expect(result.content).toBe('2026-10-19 在北京故宫，[心情形容词]！输入："周末去故宫"');
+    expect(result.placeholders).toEqual({ filled: ['日期', '地点'], pending: ['心情形容词'] });
+    expect(result.clarifications).toEqual([]);
+  });
+
+  it('reports missing required and invalid values as clarifications', () => {
+    const variables = {
+      title: {
+        name: 'title',
+        description: '文书标题',
+        kind: 'input',
+        type: 'text',
+        required: true,
+      },
+      tone: {
+        name: 'tone',
+        description: '语气风格',
+        kind: 'input',
+        type: 'enum',
+        options: ['formal', 'warm'],
+        required: false,
+      },
+      date: {
+        name: 'date',
+        description: '当前日期',
+        kind: 'system',
+        type: 'text',
+        required: false,
+      },
+    };
+    const result = renderTemplate('{{title}}\n{{body}}\n{{date}}', {
+      values: { tone: 'casual' },
+      variables,
+      now,
+    });
+
+    expect(result.content).toBe('{{title}}\n{{body}}\n2026年10月19日');
+    expect(result.placeholders.pending).toEqual(['title', 'body']);
+    expect(result.clarifications).toEqual([
+      { variable: 'title', reason: 'missing', message: '请提供「文书标题」' },
+      {
+        variable: 'tone',
+        reason: 'invalid',
+        message: '「语气风格」的取值「casual」无效，可选值：formal/warm',
+        options: ['formal', 'warm'],
+      },
+    ]);
+  });
+
+  it('keeps placeholders that the caller marked invalid', () => {
+    const result = renderTemplate('出生：[出生日期]', {
+      values: { 出生日期: '1990-02-30' },
+      errors: { 出生日期: '无法排盘：日期不存在' },
+    });
+
+    expect(result.content).toBe('出生：[出生日期]');
+    expect(result.clarifications).toEqual([
+      { variable: '出生日期', reason: 'invalid', message: '「出生日期」无法排盘：日期不存在' },
+    ]);
+  });
+
+  it('ignores inherited object keys used as placeholder names', () => {
+    const result = renderTemplate('a {{constructor}} b {{toString}} {{__proto__}}');
+
+    expect(result.content).toBe('a {{constructor}} b {{toString}} {{__proto__}}');
+    expect(result.placeholders).toEqual({
+      filled: [],
+      pending: ['constructor', 'toString', '__proto__'],
+    });
+    expect(result.clarifications).toEqual([]);
+  });
+});
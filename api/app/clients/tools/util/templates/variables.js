@@ -0,0 +1,176 @@
+/**
+ * 模板变量定义：解析 `variable-system/variable-reference.md` 中的变量表格，得到带类型的变量定义
+ *
+ * 变量表格的列按表头识别（变量/变量名称、说明/描述、类型、必填、取值范围、示例值），
+ * 同一份文档中可以混用 `{{name}}` 与 `[名称]` 两种占位符写法。
+ */
+
+/** 表头 → 字段 */
+const COLUMN_PATTERNS = [
+  ['name', /^变量/],
+  ['description', /^(说明|描述)/],
+  ['category', /^类型/],
+  ['required', /^必填/],
+  ['options', /^取值范围/],
+  ['example', /^示例/],
+];
+
+const NAME_PATTERN = /`(?:\{\{\s*([\w.-]+)\s*\}\}|\[([^[\]\n]+)\])`/;
+
+/**
+ * @typedef {Object} VariableDefinition
+ * @property {string} name - 占位符名（不含括号）
+ * @property {'mustache'|'bracket'} syntax - `{{name}}` 或 `[名称]`
+ * @property {string} description
+ * @property {'system'|'input'|'format'} kind - 系统自动生成 / 用户提供 / 格式控制
+ * @property {'text'|'number'|'enum'|'list'} type
+ * @property {boolean} required
+ * @property {string[]} [options] - 可选值
+ * @property {boolean} [openOptions] - 可选值仅为示例（如「汇报工作/请求批准等」），不做校验
+ * @property {string} [example]
+ * @property {string} section - 所在章节标题
+ */
+
+const splitRow = (line) =>
+  line
+    .trim()
+    .replace(/^\|/, '')
+    .replace(/\|$/, '')
+    .split('|')
+    .map((cell) => cell.trim());
+
+const stripCode = (text) => (text || '').replace(/`/g, '').trim();
+
+const isNumeric = (text) => /^-?\d+(\.\d+)?$/.test(text);
+
+/** 根据取值范围与示例值推断类型 */
+function inferType(definition, rawOptions) {
+  const options = stripCode(rawOptions);
+  const example = stripCode(definition.example);
+  if (/列表/.test(options) || /列表/.test(example)) {
+    return { type: 'list' };
+  }
+  if (options && !/^[（(]/.test(options) && options.includes('/')) {
+    const openOptions = /等$/.test(options);
+    const values = options
+      .replace(/等$/, '')
+      .split('/')
+      .map((value) => value.trim())
+      .filter(Boolean);
+    if (values.every(isNumeric)) {
+      // 数值取值范围只是常用档位，任意数字均可
+      return { type: 'number', options: values, openOptions: true };
+    }
+    return { type: 'enum', options: values, openOptions };
+  }
+  if (example && isNumeric(example)) {
+    return { type: 'number' };
+  }
+  return { type: 'text' };
+}
+
+function inferKind(section, category) {
+  if (/系统变量/.test(section) || category === '动态') {
+    return 'system';
+  }
+  if (category === '格式') {
+    return 'format';
+  }
+  return 'input';
+}
+
+/**
+ * 解析变量参考文档
+ * @param {string} markdown
+ * @returns {Record<string, VariableDefinition>} 以占位符名为键；同名变量以首次出现为准
+ */
+function parseVariableReference(markdown) {
+  const variables = {};
+  const headings = [];
+  let columns = null;
+
+  const lines = markdown.split(/\r?\n/);
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+    const heading = /^(#{2,4})\s+(.+)$/.exec(line);
+    if (heading) {
+      headings.length = heading[1].length - 2;
+      headings.push(heading[2].trim());
+      columns = null;
+    } else if (!line.trim().startsWith('|')) {
+      columns = null;
+    } else if (!columns) {
+      // 表头行后必须紧跟分隔行
+      if (/^\s*\|?\s*:?-{3,}/.test(lines[i + 1] || '')) {
+        columns = splitRow(line).map(
+          (header) => (COLUMN_PATTERNS.find(([, pattern]) => pattern.test(header)) || [null])[0],
+        );
+        i++;
+      }
+    } else {
+      const cells = splitRow(line);
+      const row = {};
+      columns.forEach((field, index) => {
+        if (field) {
+          row[field] = cells[index];
+        }
+      });
+      const match = NAME_PATTERN.exec(row.name || '');
+      if (match) {
+        const name = match[1] || match[2];
+        if (!Object.hasOwn(variables, name)) {
+          const section = headings.join(' / ');
+          const definition = {
+            name,
+            syntax: match[1] ? 'mustache' : 'bracket',
+            description: stripCode(row.description),
+            kind: inferKind(section, stripCode(row.category)),
+            required: stripCode(row.required) === '是',
+            example: stripCode(row.example) || undefined,
+            section,
+          };
+          variables[name] = { ...definition, ...inferType(definition, row.options) };
+        }
+      }
+    }
+  }
+  return variables;
+}
+
+/**
+ * 校验并规范化变量取值
+ * @param {VariableDefinition|undefined} definition - 未声明的变量按文本处理
+ * @param {unknown} value
+ * @returns {{ value: string } | { error: string }}
+ */
+function validateValue(definition, value) {
+  const text = Array.isArray(value)
+    ? value
+        .map((item) => String(item).trim())
+        .filter(Boolean)
+        .join('、')
+    : String(value).trim();
+  if (!definition) {
+    return { value: text };
+  }
+
+  if (definition.type === 'number') {
+    if (!isNumeric(text)) {
+      return { error: '应为数字' };
+    }
+    return { value: text };
+  }
+  if (definition.type === 'enum' && !definition.openOptions) {
+    const option = definition.options.find((item) => item.toLowerCase() === text.toLowerCase());
+    if (!option) {
+      return { error: `可选值：${definition.options.join('/')}` };
+    }
+    return { value: option };
+  }
+  return { value: text };
+}
+
+module.exports = {
+  parseVariableReference,
+  validateValue,
+};
@@ -0,0 +1,65 @@
+const fs = require('fs');
+const path = require('path');
+const { parseVariableReference, validateValue } = require('./variables');
+
+const specsDir = path.resolve(__dirname, '../../../../../../specs');
+const readReference = (relativePath) =>
+  parseVariableReference(fs.readFileSync(path.join(specsDir, relativePath), 'utf-8'));
+
+describe('variable reference', () => {
+  it('types writing variables from the reference tables', () => {
+    const variables = readReference('writing-templates/variable-system/variable-reference.md');
+
+    expect(variables.date).toMatchObject({ syntax: 'mustache', kind: 'system' });
+    expect(variables.title).toMatchObject({ kind: 'input', required: true, type: 'text' });
+    expect(variables.recipient).toMatchObject({ required: false });
+    expect(variables.recipient_type).toMatchObject({
+      type: 'enum',
+      options: ['上级领导', '同级部门', '下级单位', '外部单位'],
+      openOptions: false,
+    });
+    // 以「等」结尾的取值范围只是示例
+    expect(variables.purpose).toMatchObject({ type: 'enum', openOptions: true });
+    expect(variables.word_count).toMatchObject({ type: 'number' });
+    expect(variables.achievements).toMatchObject({
+      type: 'list',
+      section: '场景专用变量 / 报告类（report）',
+    });
+  });
+
+  it('reads bracket variables and their categories', () => {
+    const variables = readReference(
+      'social-media-templates/templates/variable-system/variable-reference.md',
+    );
+
+    expect(variables['日期']).toMatchObject({ syntax: 'bracket', kind: 'system' });
+    expect(variables['地点']).toMatchObject({ kind: 'input', description: '具体地点' });
+    expect(variables['表情符号']).toMatchObject({ kind: 'format' });
+    // 示例小节中的表格不是变量定义
+    expect(Object.keys(variables)).not.toContain('变量名称');
+  });
+
+  it('defines variables named after inherited object keys', () => {
+    const table = [
+      '| 变量 | 说明 | 必填 |',
+      '|---|---|---|',
+      '| `{{constructor}}` | 构造说明 | 是 |',
+    ];
+    const variables = parseVariableReference(table.join('\n'));
+
+    expect(variables.constructor).toMatchObject({ description: '构造说明', required: true });
+  });
+
+  it('validates values against the declared type', () => {
+    const variables = readReference('writing-templates/variable-system/variable-reference.md');
+
+    expect(validateValue(variables.tone, 'FORMAL')).toEqual({ value: 'formal' });
+    expect(validateValue(variables.tone, 'casual')).toEqual({
+      error: '可选值：formal/semi-formal/professional/warm',
+    });
+    expect(validateValue(variables.purpose, '表彰先进')).toEqual({ value: '表彰先进' });
+    expect(validateValue(variables.word_count, 1500)).toEqual({ value: '1500' });
+    expect(validateValue(variables.word_count, '一千')).toEqual({ error: '应为数字' });
+    expect(validateValue(undefined, ['甲', ' 乙 '])).toEqual({ value: '甲、乙' });
+  });
+});
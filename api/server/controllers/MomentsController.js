@@ -0,0 +1,66 @@
+const { logger } = require('@aipyq/data-schemas');
+const { getMomentsService, normalizeKeywords } = require('~/server/services/MomentsService');
+
+/** 单条文本（图片描述、已有文案）进入提示词时的最大长度 */
+const MAX_TEXT_LENGTH = 500;
+
+const toTextList = (value, limit) =>
+  (Array.isArray(value) ? value : [])
+    .filter((item) => typeof item === 'string' && item.trim())
+    .slice(0, limit)
+    .map((item) => item.trim().slice(0, MAX_TEXT_LENGTH));
+
+/**
+ * 重新生成朋友圈文案控制器
+ * POST /api/moments/captions
+ * body: { keywords?, descriptions?, summary?, scenario?, style?, exclude?, vision_model? }
+ * 基于 social 工具合成结果中的图片描述与关键词生成新的三种互动文案，不重新读取图片；
+ * vision_model 为合成时使用的端点与模型，缺省时使用 MOMENTS_VISION_ENDPOINT 指定的端点
+ */
+const regenerateCaptions = async (req, res) => {
+  try {
+    const momentsService = getMomentsService();
+    const { keywords, descriptions, summary, scenario, style, exclude, vision_model } =
+      req.body ?? {};
+    const llm = await momentsService.getLLM({
+      req,
+      endpoint: typeof vision_model?.endpoint === 'string' ? vision_model.endpoint : undefined,
+      model: typeof vision_model?.model === 'string' ? vision_model.model : undefined,
+    });
+    if (!llm) {
+      return res.status(503).json({
+        error: '没有可用的朋友圈文案模型，请在对话中让助手重新生成',
+      });
+    }
+
+    const captions = await momentsService.generateCaptions(llm, {
+      keywords: normalizeKeywords(keywords),
+      descriptions: toTextList(descriptions, 9),
+      summary: typeof summary === 'string' ? summary.slice(0, MAX_TEXT_LENGTH) : undefined,
+      scenario: typeof scenario === 'string' ? scenario : undefined,
+      style: typeof style === 'string' ? style : undefined,
+      exclude: toTextList(exclude, 6),
+    });
+
+    if (captions.length === 0) {
+      return res.status(502).json({
+        error: '文案生成失败，请稍后重试',
+      });
+    }
+
+    res.json({
+      success: true,
+      data: captions,
+    });
+  } catch (error) {
+    logger.error('[MomentsController] 重新生成文案失败:', error);
+    res.status(500).json({
+      error: '重新生成文案失败',
+      message: error.message,
+    });
+  }
+};
+
+module.exports = {
+  regenerateCaptions,
+};
@@ -1,5 +1,18 @@
 const { logger } = require('@aipyq/data-schemas');
-const { RAGService } = require('~/server/services/RAG');
+const { PermissionBits } = require('@aipyq/data-provider');
+const {
+  RAGService,
+  AnswerFeedbackService,
+  KnowledgeDedupService,
+  SharedKnowledgeBaseService,
+} = require('~/server/services/RAG');
+const { SUPPORTED_DIALECTS } = require('~/server/services/RAG/introspection');
+const {
+  EXPORTABLE_TYPES,
+  parseBundle,
+  serializeBundle,
+} = require('~/server/services/RAG/KnowledgeBundleService');
+const { parseEvalSet } = require('~/server/services/RAG/RAGEvaluationService');
 // 从编译后的包中导入，或使用本地 JavaScript 文件
 let KnowledgeType;
 try {
@@ -19,6 +32,38 @@ try {
 }
 
 const ragService = new RAGService();
+const sharedKnowledgeBaseService = new SharedKnowledgeBaseService({
+  knowledgeBaseService: ragService.knowledgeBaseService,
+});
+const answerFeedbackService = new AnswerFeedbackService({
+  knowledgeBaseService: ragService.knowledgeBaseService,
+});
+
+/**
+ * 校验当前用户对共享知识库的权限，无权限时直接返回 403
+ * 未指定知识库时操作的是用户自己的私有条目，不需要校验
+ * @param {ServerRequest} req
+ * @param {ServerResponse} res
+ * @param {string} [knowledgeBaseId] - 知识库ID
+ * @param {number} requiredPermission - 需要的权限位
+ * @returns {Promise<boolean>} 是否允许继续
+ */
+const checkKnowledgeBaseAccess = async (req, res, knowledgeBaseId, requiredPermission) => {
+  if (!knowledgeBaseId) {
+    return true;
+  }
+  const allowed = await sharedKnowledgeBaseService.hasPermission({
+    user: req.user,
+    knowledgeBaseId,
+    requiredPermission,
+  });
+  if (!allowed) {
+    res.status(403).json({
+      error: '无权访问该知识库',
+    });
+  }
+  return allowed;
+};
 
 /**
  * RAG 查询控制器
@@ -35,6 +80,32 @@ const query = async (req, res) => {
       });
     }
 
+    if (options.useLexical !== undefined && typeof options.useLexical !== 'boolean') {
+      return res.status(400).json({
+        error: 'useLexical 必须是布尔值',
+      });
+    }
+
+    if (options.fusion !== undefined && (typeof options.fusion !== 'object' || options.fusion === null || Array.isArray(options.fusion))) {
+      return res.status(400).json({
+        error: 'fusion 必须是对象，支持 vectorWeight、lexicalWeight、k',
+      });
+    }
+
+    if (options.knowledgeBaseIds !== undefined && !Array.isArray(options.knowledgeBaseIds)) {
+      return res.status(400).json({
+        error: 'knowledgeBaseIds 必须是知识库ID数组',
+      });
+    }
+
+    // 只检索用户有查看权限的共享知识库
+    const knowledgeBaseIds = options.knowledgeBaseIds
+      ? await sharedKnowledgeBaseService.filterAccessibleIds({
+          user: req.user,
+          knowledgeBaseIds: options.knowledgeBaseIds,
+        })
+      : undefined;
+
     const result = await ragService.query({
       query,
       userId,
@@ -45,6 +116,9 @@ const query = async (req, res) => {
         topK: options.topK || 10,
         useReranking: options.useReranking !== false, // 默认启用
         enhancedReranking: options.enhancedReranking === true,
+        useLexical: options.useLexical,
+        fusion: options.fusion,
+        knowledgeBaseIds,
       },
     });
 
@@ -63,10 +137,11 @@ const query = async (req, res) => {
 /**
  * 添加知识条目控制器
  * POST /api/rag/knowledge
+ * 指定 knowledgeBaseId 时添加到共享知识库（需要编辑权限）
  */
 const addKnowledge = async (req, res) => {
   try {
-    const { type, data } = req.body;
+    const { type, data, knowledgeBaseId } = req.body;
     const userId = req.user.id;
 
     if (!type || !Object.values(KnowledgeType).includes(type)) {
@@ -82,10 +157,14 @@ const addKnowledge = async (req, res) => {
       });
     }
 
+    if (!(await checkKnowledgeBaseAccess(req, res, knowledgeBaseId, PermissionBits.EDIT))) {
+      return;
+    }
+
     const result = await ragService.addKnowledge({
       userId,
       type,
-      data,
+      data: { ...data, knowledgeBaseId },
     });
 
     res.json({
@@ -104,10 +183,11 @@ const addKnowledge = async (req, res) => {
 /**
  * 批量添加知识条目控制器
  * POST /api/rag/knowledge/batch
+ * 指定 knowledgeBaseId 时全部添加到该共享知识库（需要编辑权限）
  */
 const addKnowledgeBatch = async (req, res) => {
   try {
-    const { entries } = req.body;
+    const { entries, knowledgeBaseId } = req.body;
     const userId = req.user.id;
 
     if (!Array.isArray(entries) || entries.length === 0) {
@@ -116,9 +196,13 @@ const addKnowledgeBatch = async (req, res) => {
       });
     }
 
+    if (!(await checkKnowledgeBaseAccess(req, res, knowledgeBaseId, PermissionBits.EDIT))) {
+      return;
+    }
+
     const results = await ragService.addKnowledgeBatch({
       userId,
-      entries,
+      entries: entries.map((entry) => ({ ...entry, knowledgeBaseId })),
     });
 
     res.json({
@@ -138,7 +222,8 @@ const addKnowledgeBatch = async (req, res) => {
 /**
  * 获取知识条目列表控制器
  * GET /api/rag/knowledge
- * 按用户ID隔离，只返回当前用户的知识条目
+ * 按用户ID隔离，只返回当前用户的私有知识条目；
+ * 指定 knowledgeBaseId 时返回该共享知识库的条目（需要查看权限）
  */
 const getKnowledgeList = async (req, res) => {
   try {
@@ -146,6 +231,7 @@ const getKnowledgeList = async (req, res) => {
     const {
       type,
       entityId,
+      knowledgeBaseId,
       includeChildren = 'false',
       limit = 100,
       skip = 0,
@@ -158,6 +244,12 @@ const getKnowledgeList = async (req, res) => {
     if (entityId) {
       filters.entityId = entityId;
     }
+    if (knowledgeBaseId) {
+      if (!(await checkKnowledgeBaseAccess(req, res, knowledgeBaseId, PermissionBits.VIEW))) {
+        return;
+      }
+      filters.knowledgeBaseId = knowledgeBaseId;
+    }
 
     const results = await ragService.getKnowledgeList({
       userId: userId, // 传递userId，实现用户隔离
@@ -186,11 +278,12 @@ const getKnowledgeList = async (req, res) => {
 /**
  * 更新知识条目控制器
  * PUT /api/rag/knowledge/:id
+ * 共享知识库中的条目需要传入 knowledgeBaseId（需要编辑权限）
  */
 const updateKnowledge = async (req, res) => {
   try {
     const { id } = req.params;
-    const { type, data } = req.body;
+    const { type, data, knowledgeBaseId } = req.body;
     const userId = req.user.id;
 
     if (!id) {
@@ -221,11 +314,16 @@ const updateKnowledge = async (req, res) => {
       });
     }
 
+    if (!(await checkKnowledgeBaseAccess(req, res, knowledgeBaseId, PermissionBits.EDIT))) {
+      return;
+    }
+
     const result = await ragService.updateKnowledge({
       entryId: id,
       userId,
       type,
       data,
+      knowledgeBaseId,
     });
 
     res.json({
@@ -243,11 +341,13 @@ const updateKnowledge = async (req, res) => {
 
 /**
  * 删除知识条目控制器
- * DELETE /api/rag/knowledge/:id
+ * DELETE /api/rag/knowledge/:id?knowledgeBaseId=
+ * 共享知识库中的条目需要传入 knowledgeBaseId（需要编辑权限）
  */
 const deleteKnowledge = async (req, res) => {
   try {
     const { id } = req.params;
+    const { knowledgeBaseId } = req.query;
     const userId = req.user.id;
 
     if (!id) {
@@ -256,9 +356,14 @@ const deleteKnowledge = async (req, res) => {
       });
     }
 
+    if (!(await checkKnowledgeBaseAccess(req, res, knowledgeBaseId, PermissionBits.EDIT))) {
+      return;
+    }
+
     const success = await ragService.deleteKnowledge({
       entryId: id,
       userId,
+      knowledgeBaseId,
     });
 
     if (success) {
@@ -280,6 +385,899 @@ const deleteKnowledge = async (req, res) => {
   }
 };
 
+/**
+ * 获取知识条目版本历史控制器
+ * GET /api/rag/knowledge/:id/versions?knowledgeBaseId=&limit=&skip=
+ * 共享知识库中的条目需要传入 knowledgeBaseId（需要查看权限）
+ */
+const getKnowledgeVersions = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { knowledgeBaseId, limit = 50, skip = 0 } = req.query;
+
+    if (!(await checkKnowledgeBaseAccess(req, res, knowledgeBaseId, PermissionBits.VIEW))) {
+      return;
+    }
+
+    const result = await ragService.getKnowledgeVersions({
+      entryId: id,
+      userId: req.user.id,
+      knowledgeBaseId,
+      limit: Math.min(parseInt(limit, 10) || 50, 200),
+      skip: parseInt(skip, 10) || 0,
+    });
+
+    if (!result) {
+      return res.status(404).json({
+        error: '知识条目不存在或无权访问',
+      });
+    }
+
+    res.json({
+      success: true,
+      total: result.total,
+      data: result.versions,
+    });
+  } catch (error) {
+    logger.error('[RAGController] 获取知识版本历史失败:', error);
+    res.status(500).json({
+      error: '获取知识版本历史失败',
+      message: error.message,
+    });
+  }
+};
+
+/**
+ * 恢复知识条目版本控制器
+ * POST /api/rag/knowledge/:id/versions/:version/restore
+ * 恢复后重新生成向量并同步向量数据库；共享知识库中的条目需要传入 knowledgeBaseId（需要编辑权限）
+ */
+const restoreKnowledgeVersion = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { knowledgeBaseId } = req.body;
+    const version = parseInt(req.params.version, 10);
+
+    if (!Number.isInteger(version) || version < 1) {
+      return res.status(400).json({
+        error: '版本号必须是正整数',
+      });
+    }
+
+    if (!(await checkKnowledgeBaseAccess(req, res, knowledgeBaseId, PermissionBits.EDIT))) {
+      return;
+    }
+
+    const result = await ragService.restoreKnowledgeVersion({
+      entryId: id,
+      version,
+      userId: req.user.id,
+      knowledgeBaseId,
+    });
+
+    if (!result) {
+      return res.status(404).json({
+        error: '知识条目或版本不存在',
+      });
+    }
+
+    res.json({
+      success: true,
+      data: result,
+    });
+  } catch (error) {
+    logger.error('[RAGController] 恢复知识版本失败:', error);
+    res.status(500).json({
+      error: '恢复知识版本失败',
+      message: error.message,
+    });
+  }
+};
+
+/**
+ * 获取知识审核队列控制器（管理员）
+ * GET /api/rag/curation?status=pending&kind=qa|flagged&limit=&skip=
+ */
+const getCurationCandidates = async (req, res) => {
+  try {
+    const { status, kind, limit = 50, skip = 0 } = req.query;
+    const result = await answerFeedbackService.listCandidates({
+      status,
+      kind,
+      limit: Math.min(parseInt(limit, 10) || 50, 200),
+      skip: parseInt(skip, 10) || 0,
+    });
+
+    res.json({
+      success: true,
+      total: result.total,
+      data: result.candidates,
+    });
+  } catch (error) {
+    logger.error('[RAGController] 获取知识审核队列失败:', error);
+    res.status(500).json({
+      error: '获取知识审核队列失败',
+      message: error.message,
+    });
+  }
+};
+
+/**
+ * 编辑待审核的候选 QA 控制器（管理员）
+ * PATCH /api/rag/curation/:id
+ */
+const updateCurationCandidate = async (req, res) => {
+  try {
+    const { question, answer } = req.body;
+
+    if (
+      (question !== undefined && (typeof question !== 'string' || !question.trim())) ||
+      (answer !== undefined && (typeof answer !== 'string' || !answer.trim()))
+    ) {
+      return res.status(400).json({
+        error: '问题和答案不能为空',
+      });
+    }
+
+    const candidate = await answerFeedbackService.updateCandidate(req.params.id, {
+      question: question?.trim(),
+      answer: answer?.trim(),
+    });
+
+    if (!candidate) {
+      return res.status(404).json({
+        error: '条目不存在或已审核',
+      });
+    }
+
+    res.json({
+      success: true,
+      data: candidate,
+    });
+  } catch (error) {
+    logger.error('[RAGController] 编辑审核条目失败:', error);
+    res.status(500).json({
+      error: '编辑审核条目失败',
+      message: error.message,
+    });
+  }
+};
+
+/**
+ * 批量审核控制器（管理员）
+ * POST /api/rag/curation/review
+ * body: { ids: string[], action: 'approve' | 'reject', knowledgeBaseId?: string }
+ */
+const reviewCurationCandidates = async (req, res) => {
+  try {
+    const { ids, action, knowledgeBaseId } = req.body;
+
+    if (!Array.isArray(ids) || ids.length === 0) {
+      return res.status(400).json({
+        error: '审核条目ID数组不能为空',
+      });
+    }
+
+    if (!['approve', 'reject'].includes(action)) {
+      return res.status(400).json({
+        error: 'action 必须是 approve 或 reject',
+      });
+    }
+
+    const results = await answerFeedbackService.reviewCandidates({
+      ids,
+      action,
+      reviewer: req.user,
+      knowledgeBaseId,
+    });
+
+    res.json({
+      success: true,
+      count: results.filter((result) => !result.error).length,
+      data: results,
+    });
+  } catch (error) {
+    logger.error('[RAGController] 批量审核失败:', error);
+    res.status(500).json({
+      error: '批量审核失败',
+      message: error.message,
+    });
+  }
+};
+
+/**
+ * 获取近似重复条目的重复组与扫描状态控制器（管理员）
+ * GET /api/rag/dedup?status=pending&type=&limit=&skip=
+ */
+const getDuplicateClusters = async (req, res) => {
+  try {
+    const { status, type, limit = 50, skip = 0 } = req.query;
+    const dedupService = ragService.knowledgeDedupService;
+    const result = await dedupService.listClusters({
+      status,
+      type,
+      limit: Math.min(parseInt(limit, 10) || 50, 200),
+      skip: parseInt(skip, 10) || 0,
+    });
+
+    res.json({
+      success: true,
+      scan: dedupService.getStatus(),
+      total: result.total,
+      data: result.clusters,
+    });
+  } catch (error) {
+    logger.error('[RAGController] 获取重复组失败:', error);
+    res.status(500).json({
+      error: '获取重复组失败',
+      message: error.message,
+    });
+  }
+};
+
+/**
+ * 启动近似重复扫描控制器（管理员，后台执行）
+ * POST /api/rag/dedup/scan
+ * Body: { types?, embeddingThreshold?, textThreshold? }
+ */
+const startDuplicateScan = async (req, res) => {
+  try {
+    const { types, embeddingThreshold, textThreshold } = req.body || {};
+    const dedupService = ragService.knowledgeDedupService;
+
+    if (
+      types !== undefined &&
+      (!Array.isArray(types) ||
+        types.length === 0 ||
+        types.some((type) => !KnowledgeDedupService.KNOWLEDGE_TYPES.includes(type)))
+    ) {
+      return res.status(400).json({
+        error: `types 必须是以下类型的非空数组: ${KnowledgeDedupService.KNOWLEDGE_TYPES.join(', ')}`,
+      });
+    }
+    for (const [name, value] of Object.entries({ embeddingThreshold, textThreshold })) {
+      if (value !== undefined && (typeof value !== 'number' || value <= 0 || value > 1)) {
+        return res.status(400).json({
+          error: `${name} 必须是 (0, 1] 之间的数字`,
+        });
+      }
+    }
+    if (dedupService.getStatus().running) {
+      return res.status(409).json({
+        error: '已有重复扫描任务进行中',
+      });
+    }
+
+    const status = dedupService.startScan({ types, embeddingThreshold, textThreshold });
+    res.json({
+      success: true,
+      data: status,
+    });
+  } catch (error) {
+    logger.error('[RAGController] 启动重复扫描失败:', error);
+    res.status(500).json({
+      error: '启动重复扫描失败',
+      message: error.message,
+    });
+  }
+};
+
+/**
+ * 合并重复组控制器（管理员）
+ * POST /api/rag/dedup/clusters/:id/merge
+ * Body: { canonicalId? } 保留的条目，默认使用建议的条目
+ */
+const mergeDuplicateCluster = async (req, res) => {
+  try {
+    const { canonicalId } = req.body || {};
+    const dedupService = ragService.knowledgeDedupService;
+
+    const cluster = await dedupService.getCluster(req.params.id);
+    if (!cluster || cluster.status !== KnowledgeDedupService.ClusterStatus.PENDING) {
+      return res.status(404).json({
+        error: '重复组不存在或已处理',
+      });
+    }
+    if (canonicalId && !cluster.members.some((member) => member.entryId === canonicalId)) {
+      return res.status(400).json({
+        error: '保留的条目不在该重复组中',
+      });
+    }
+
+    const result = await dedupService.mergeCluster({
+      clusterId: req.params.id,
+      canonicalId,
+      reviewer: req.user,
+    });
+    if (!result) {
+      return res.status(404).json({
+        error: '重复组不存在或已处理',
+      });
+    }
+
+    res.json({
+      success: true,
+      data: result,
+    });
+  } catch (error) {
+    logger.error('[RAGController] 合并重复组失败:', error);
+    res.status(500).json({
+      error: '合并重复组失败',
+      message: error.message,
+    });
+  }
+};
+
+/**
+ * 忽略重复组控制器（管理员）
+ * POST /api/rag/dedup/clusters/:id/dismiss
+ */
+const dismissDuplicateCluster = async (req, res) => {
+  try {
+    const cluster = await ragService.knowledgeDedupService.dismissCluster(req.params.id, req.user);
+    if (!cluster) {
+      return res.status(404).json({
+        error: '重复组不存在或已处理',
+      });
+    }
+
+    res.json({
+      success: true,
+      data: cluster,
+    });
+  } catch (error) {
+    logger.error('[RAGController] 忽略重复组失败:', error);
+    res.status(500).json({
+      error: '忽略重复组失败',
+      message: error.message,
+    });
+  }
+};
+
+/**
+ * 获取共享知识库列表控制器
+ * GET /api/rag/knowledge-bases
+ * 返回当前用户（含所在群组、公开授权）有查看权限的知识库
+ */
+const getKnowledgeBases = async (req, res) => {
+  try {
+    const knowledgeBases = await sharedKnowledgeBaseService.listKnowledgeBases({ user: req.user });
+
+    res.json({
+      success: true,
+      count: knowledgeBases.length,
+      data: knowledgeBases,
+    });
+  } catch (error) {
+    logger.error('[RAGController] 获取知识库列表失败:', error);
+    res.status(500).json({
+      error: '获取知识库列表失败',
+      message: error.message,
+    });
+  }
+};
+
+/**
+ * 创建共享知识库控制器
+ * POST /api/rag/knowledge-bases
+ * 创建者自动获得所有者权限，可通过 /api/permissions/knowledgeBase/:id 共享给用户和群组
+ */
+const createKnowledgeBase = async (req, res) => {
+  try {
+    const { name, description, entityId } = req.body;
+
+    if (!name || typeof name !== 'string' || !name.trim()) {
+      return res.status(400).json({
+        error: '知识库名称不能为空',
+      });
+    }
+
+    const knowledgeBase = await sharedKnowledgeBaseService.createKnowledgeBase({
+      user: req.user,
+      name: name.trim(),
+      description,
+      entityId,
+    });
+
+    res.status(201).json({
+      success: true,
+      data: knowledgeBase,
+    });
+  } catch (error) {
+    logger.error('[RAGController] 创建知识库失败:', error);
+    res.status(500).json({
+      error: '创建知识库失败',
+      message: error.message,
+    });
+  }
+};
+
+/**
+ * 获取共享知识库详情控制器
+ * GET /api/rag/knowledge-bases/:knowledgeBaseId
+ */
+const getKnowledgeBase = async (req, res) => {
+  res.json({
+    success: true,
+    data: req.resourceAccess?.resourceInfo,
+  });
+};
+
+/**
+ * 更新共享知识库控制器
+ * PATCH /api/rag/knowledge-bases/:knowledgeBaseId
+ */
+const updateKnowledgeBase = async (req, res) => {
+  try {
+    const { knowledgeBaseId } = req.params;
+    const { name, description, entityId } = req.body;
+
+    if (name !== undefined && (typeof name !== 'string' || !name.trim())) {
+      return res.status(400).json({
+        error: '知识库名称不能为空',
+      });
+    }
+
+    const knowledgeBase = await sharedKnowledgeBaseService.updateKnowledgeBase(knowledgeBaseId, {
+      name: name?.trim(),
+      description,
+      entityId,
+    });
+
+    if (!knowledgeBase) {
+      return res.status(404).json({
+        error: '知识库不存在',
+      });
+    }
+
+    res.json({
+      success: true,
+      data: knowledgeBase,
+    });
+  } catch (error) {
+    logger.error('[RAGController] 更新知识库失败:', error);
+    res.status(500).json({
+      error: '更新知识库失败',
+      message: error.message,
+    });
+  }
+};
+
+/**
+ * 删除共享知识库控制器
+ * DELETE /api/rag/knowledge-bases/:knowledgeBaseId
+ * 同时删除知识库中的全部条目及授权记录
+ */
+const deleteKnowledgeBase = async (req, res) => {
+  try {
+    const { knowledgeBaseId } = req.params;
+    const success = await sharedKnowledgeBaseService.deleteKnowledgeBase(knowledgeBaseId);
+
+    if (!success) {
+      return res.status(404).json({
+        error: '知识库不存在',
+      });
+    }
+
+    res.json({
+      success: true,
+      message: '知识库已删除',
+    });
+  } catch (error) {
+    logger.error('[RAGController] 删除知识库失败:', error);
+    res.status(500).json({
+      error: '删除知识库失败',
+      message: error.message,
+    });
+  }
+};
+
+/**
+ * 读取数据源表结构并生成语义模型控制器
+ * POST /api/rag/knowledge/introspect
+ * 重复调用时与已有语义模型比对，只写入新增和变化的表
+ */
+const introspectDatabase = async (req, res) => {
+  try {
+    const {
+      datasource,
+      entityId,
+      title,
+      modelType,
+      tables,
+      prune = false,
+      overwriteManual = false,
+      dryRun = false,
+    } = req.body;
+    const userId = req.user.id;
+
+    if (!datasource || typeof datasource !== 'object') {
+      return res.status(400).json({
+        error: '数据源配置不能为空',
+      });
+    }
+
+    if (!SUPPORTED_DIALECTS.includes(String(datasource.dialect || '').toLowerCase())) {
+      return res.status(400).json({
+        error: '不支持的数据源类型',
+        supportedDialects: SUPPORTED_DIALECTS,
+      });
+    }
+
+    if (tables !== undefined && !Array.isArray(tables)) {
+      return res.status(400).json({
+        error: 'tables 必须是表名数组',
+      });
+    }
+
+    const report = await ragService.syncDatabaseSemanticModels({
+      userId,
+      datasource: { ...datasource, dialect: datasource.dialect.toLowerCase() },
+      entityId,
+      title,
+      modelType,
+      tables,
+      prune: prune === true,
+      overwriteManual: overwriteManual === true,
+      dryRun: dryRun === true,
+    });
+
+    res.json({
+      success: true,
+      data: report,
+    });
+  } catch (error) {
+    logger.error('[RAGController] 同步数据库语义模型失败:', error);
+    res.status(500).json({
+      error: '同步数据库语义模型失败',
+      message: error.message,
+    });
+  }
+};
+
+/**
+ * 导出知识库控制器
+ * GET /api/rag/knowledge/export?format=json|jsonl&types=qa_pair,synonym&entityId=&includeEmbeddings=true
+ */
+const exportKnowledge = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { format = 'json', types, entityId, includeEmbeddings = 'false' } = req.query;
+
+    if (!['json', 'jsonl'].includes(format)) {
+      return res.status(400).json({
+        error: '无效的导出格式',
+        validFormats: ['json', 'jsonl'],
+      });
+    }
+
+    const typeList = types
+      ? String(types)
+          .split(',')
+          .map((type) => type.trim())
+          .filter(Boolean)
+      : EXPORTABLE_TYPES;
+    const invalidTypes = typeList.filter((type) => !EXPORTABLE_TYPES.includes(type));
+    if (typeList.length === 0 || invalidTypes.length > 0) {
+      return res.status(400).json({
+        error: '无效的知识类型',
+        validTypes: EXPORTABLE_TYPES,
+      });
+    }
+
+    const bundle = await ragService.exportKnowledge({
+      userId,
+      types: typeList,
+      entityId,
+      includeEmbeddings: includeEmbeddings === 'true',
+    });
+
+    const date = new Date().toISOString().slice(0, 10);
+    res.setHeader(
+      'Content-Type',
+      format === 'jsonl' ? 'application/x-ndjson; charset=utf-8' : 'application/json; charset=utf-8',
+    );
+    res.setHeader(
+      'Content-Disposition',
+      `attachment; filename="knowledge-${date}.${format}"`,
+    );
+    res.send(serializeBundle(bundle, format));
+  } catch (error) {
+    logger.error('[RAGController] 导出知识库失败:', error);
+    res.status(500).json({
+      error: '导出知识库失败',
+      message: error.message,
+    });
+  }
+};
+
+/**
+ * 导入知识库控制器
+ * POST /api/rag/knowledge/import?entityId=&overwrite=true&reembed=true
+ * 请求体为导出包：application/json（JSON 包），或 text/plain、application/x-ndjson（JSON/JSONL 文本）
+ */
+const importKnowledge = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { entityId, overwrite = 'false', reembed = 'false' } = req.query;
+
+    let bundle;
+    try {
+      bundle = parseBundle(req.body);
+    } catch (parseError) {
+      return res.status(400).json({
+        error: '无效的知识库导出包',
+        message: parseError.message,
+      });
+    }
+
+    const report = await ragService.importKnowledge({
+      userId,
+      bundle,
+      entityId,
+      overwrite: overwrite === 'true',
+      reembed: reembed === 'true',
+    });
+
+    res.json({
+      success: true,
+      data: report,
+    });
+  } catch (error) {
+    logger.error('[RAGController] 导入知识库失败:', error);
+    res.status(500).json({
+      error: '导入知识库失败',
+      message: error.message,
+    });
+  }
+};
+
+/**
+ * 创建评测集（黄金问题集）控制器
+ * POST /api/rag/eval/sets?name=
+ * 请求体为 JSON（{ name, description, entityId, questions }）或 JSONL 文本（每行一个问题）
+ */
+const createEvalSet = async (req, res) => {
+  try {
+    try {
+      parseEvalSet(req.body);
+    } catch (parseError) {
+      return res.status(400).json({
+        error: '无效的评测集',
+        message: parseError.message,
+      });
+    }
+
+    const evalSet = await ragService.evaluationService.createEvalSet({
+      userId: req.user.id,
+      input: req.body,
+      name: req.query.name,
+    });
+
+    res.json({
+      success: true,
+      data: evalSet,
+    });
+  } catch (error) {
+    logger.error('[RAGController] 创建评测集失败:', error);
+    res.status(500).json({
+      error: '创建评测集失败',
+      message: error.message,
+    });
+  }
+};
+
+/**
+ * 获取评测集列表控制器
+ * GET /api/rag/eval/sets
+ */
+const getEvalSets = async (req, res) => {
+  try {
+    const sets = await ragService.evaluationService.listEvalSets({ userId: req.user.id });
+    res.json({
+      success: true,
+      data: sets,
+    });
+  } catch (error) {
+    logger.error('[RAGController] 获取评测集列表失败:', error);
+    res.status(500).json({
+      error: '获取评测集列表失败',
+      message: error.message,
+    });
+  }
+};
+
+/**
+ * 删除评测集控制器（同时删除其评测记录）
+ * DELETE /api/rag/eval/sets/:id
+ */
+const deleteEvalSet = async (req, res) => {
+  try {
+    const deleted = await ragService.evaluationService.deleteEvalSet({
+      userId: req.user.id,
+      evalSetId: req.params.id,
+    });
+    if (!deleted) {
+      return res.status(404).json({
+        error: '评测集不存在',
+      });
+    }
+    res.json({
+      success: true,
+    });
+  } catch (error) {
+    logger.error('[RAGController] 删除评测集失败:', error);
+    res.status(500).json({
+      error: '删除评测集失败',
+      message: error.message,
+    });
+  }
+};
+
+/**
+ * 运行评测控制器
+ * POST /api/rag/eval/sets/:id/runs
+ * 请求体: { configurations: [{ name, options }], ks: [1, 5, 10], label, offline }
+ */
+const runEvaluation = async (req, res) => {
+  try {
+    const { configurations, ks, label, offline = true } = req.body || {};
+    if (configurations !== undefined && !Array.isArray(configurations)) {
+      return res.status(400).json({
+        error: 'configurations 必须是数组',
+      });
+    }
+    if (ks !== undefined && (!Array.isArray(ks) || ks.length === 0)) {
+      return res.status(400).json({
+        error: 'ks 必须是非空数组',
+      });
+    }
+
+    const run = await ragService.runEvaluation({
+      userId: req.user.id,
+      evalSetId: req.params.id,
+      configurations,
+      ks,
+      label,
+      offline: offline !== false,
+    });
+
+    res.json({
+      success: true,
+      data: run,
+    });
+  } catch (error) {
+    logger.error('[RAGController] 运行评测失败:', error);
+    res.status(500).json({
+      error: '运行评测失败',
+      message: error.message,
+    });
+  }
+};
+
+/**
+ * 获取评测记录控制器
+ * GET /api/rag/eval/runs?evalSetId=&limit=
+ * GET /api/rag/eval/runs/:id（包含每个问题的明细）
+ */
+const getEvalRuns = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    if (req.params.id) {
+      const run = await ragService.evaluationService.getRun({ userId, runId: req.params.id });
+      if (!run) {
+        return res.status(404).json({
+          error: '评测记录不存在',
+        });
+      }
+      return res.json({
+        success: true,
+        data: run,
+      });
+    }
+
+    const runs = await ragService.evaluationService.listRuns({
+      userId,
+      evalSetId: req.query.evalSetId,
+      limit: Math.min(parseInt(req.query.limit || '20', 10) || 20, 100),
+    });
+    res.json({
+      success: true,
+      data: runs,
+    });
+  } catch (error) {
+    logger.error('[RAGController] 获取评测记录失败:', error);
+    res.status(500).json({
+      error: '获取评测记录失败',
+      message: error.message,
+    });
+  }
+};
+
+/**
+ * 获取向量模型列表、当前激活模型与迁移进度控制器
+ * GET /api/rag/embedding/models
+ */
+const getEmbeddingModels = async (req, res) => {
+  try {
+    const status = await ragService.getEmbeddingStatus();
+    res.json({
+      success: true,
+      data: status,
+    });
+  } catch (error) {
+    logger.error('[RAGController] 获取向量模型失败:', error);
+    res.status(500).json({
+      error: '获取向量模型失败',
+      message: error.message,
+    });
+  }
+};
+
+/**
+ * 启动向量模型迁移控制器
+ * POST /api/rag/embedding/migration
+ * Body: { targetModelId, dimension?, batchSize? }
+ */
+const startEmbeddingMigration = async (req, res) => {
+  try {
+    const { targetModelId, dimension, batchSize } = req.body || {};
+    if (!targetModelId || typeof targetModelId !== 'string') {
+      return res.status(400).json({
+        error: 'targetModelId 是必需的',
+      });
+    }
+    for (const [name, value] of Object.entries({ dimension, batchSize })) {
+      if (value !== undefined && (!Number.isInteger(value) || value <= 0)) {
+        return res.status(400).json({
+          error: `${name} 必须是正整数`,
+        });
+      }
+    }
+
+    const model = await ragService.startEmbeddingMigration({
+      userId: req.user.id,
+      targetModelId,
+      dimension,
+      batchSize,
+    });
+    res.json({
+      success: true,
+      data: model,
+    });
+  } catch (error) {
+    logger.error('[RAGController] 启动向量模型迁移失败:', error);
+    res.status(500).json({
+      error: '启动向量模型迁移失败',
+      message: error.message,
+    });
+  }
+};
+
+/**
+ * 取消向量模型迁移控制器
+ * DELETE /api/rag/embedding/migration
+ */
+const cancelEmbeddingMigration = async (req, res) => {
+  try {
+    const cancelled = await ragService.embeddingMigrationService.cancelMigration();
+    if (!cancelled) {
+      return res.status(404).json({
+        error: '没有进行中的迁移任务',
+      });
+    }
+    res.json({
+      success: true,
+    });
+  } catch (error) {
+    logger.error('[RAGController] 取消向量模型迁移失败:', error);
+    res.status(500).json({
+      error: '取消向量模型迁移失败',
+      message: error.message,
+    });
+  }
+};
+
 module.exports = {
   query,
   addKnowledge,
@@ -287,5 +1285,30 @@ module.exports = {
   getKnowledgeList,
   updateKnowledge,
   deleteKnowledge,
+  getKnowledgeVersions,
+  restoreKnowledgeVersion,
+  getCurationCandidates,
+  updateCurationCandidate,
+  reviewCurationCandidates,
+  getDuplicateClusters,
+  startDuplicateScan,
+  mergeDuplicateCluster,
+  dismissDuplicateCluster,
+  getKnowledgeBases,
+  createKnowledgeBase,
+  getKnowledgeBase,
+  updateKnowledgeBase,
+  deleteKnowledgeBase,
+  introspectDatabase,
+  exportKnowledge,
+  importKnowledge,
+  createEvalSet,
+  getEvalSets,
+  deleteEvalSet,
+  runEvaluation,
+  getEvalRuns,
+  getEmbeddingModels,
+  startEmbeddingMigration,
+  cancelEmbeddingMigration,
 };
 
@@ -0,0 +1,261 @@
+const { logger } = require('@aipyq/data-schemas');
+const {
+  getTemplateLibraryService,
+  validateTemplateInput,
+} = require('~/server/services/TemplateLibraryService');
+
+const templateLibraryService = getTemplateLibraryService();
+
+/**
+ * 模板列表控制器（管理员）
+ * GET /api/templates?tool=&category=&scenario=&search=&enabled=&limit=&skip=
+ */
+const getTemplates = async (req, res) => {
+  try {
+    const { tool, category, scenario, search, enabled, limit = 50, skip = 0 } = req.query;
+    const result = await templateLibraryService.listTemplates({
+      tool,
+      category,
+      scenario,
+      search,
+      enabled: enabled === undefined ? undefined : enabled === 'true',
+      limit: Math.min(parseInt(limit, 10) || 50, 200),
+      skip: parseInt(skip, 10) || 0,
+    });
+
+    res.json({
+      success: true,
+      total: result.total,
+      data: result.templates,
+    });
+  } catch (error) {
+    logger.error('[TemplateLibraryController] 获取模板列表失败:', error);
+    res.status(500).json({
+      error: '获取模板列表失败',
+      message: error.message,
+    });
+  }
+};
+
+/**
+ * 分类、场景标签与可见范围选项控制器（管理员）
+ * GET /api/templates/options
+ */
+const getTemplateOptions = async (req, res) => {
+  try {
+    const [facets, visibility] = await Promise.all([
+      templateLibraryService.listFacets(),
+      templateLibraryService.listVisibilityOptions(),
+    ]);
+
+    res.json({
+      success: true,
+      data: { ...facets, ...visibility },
+    });
+  } catch (error) {
+    logger.error('[TemplateLibraryController] 获取模板选项失败:', error);
+    res.status(500).json({
+      error: '获取模板选项失败',
+      message: error.message,
+    });
+  }
+};
+
+/**
+ * 模板详情控制器（管理员，含历史版本）
+ * GET /api/templates/:id
+ */
+const getTemplate = async (req, res) => {
+  try {
+    const template = await templateLibraryService.getTemplate(req.params.id);
+    if (!template) {
+      return res.status(404).json({
+        error: '模板不存在',
+      });
+    }
+
+    res.json({
+      success: true,
+      data: template,
+    });
+  } catch (error) {
+    logger.error('[TemplateLibraryController] 获取模板失败:', error);
+    res.status(500).json({
+      error: '获取模板失败',
+      message: error.message,
+    });
+  }
+};
+
+/**
+ * 新建模板控制器（管理员）
+ * POST /api/templates
+ */
+const createTemplate = async (req, res) => {
+  try {
+    const validationError = validateTemplateInput(req.body);
+    if (validationError) {
+      return res.status(400).json({
+        error: validationError,
+      });
+    }
+
+    const template = await templateLibraryService.createTemplate(req.body, req.user.id);
+    res.status(201).json({
+      success: true,
+      data: template,
+    });
+  } catch (error) {
+    if (error?.code === 11000) {
+      return res.status(409).json({
+        error: '该工具已有覆盖同一内置模板路径的模板',
+      });
+    }
+    logger.error('[TemplateLibraryController] 新建模板失败:', error);
+    res.status(500).json({
+      error: '新建模板失败',
+      message: error.message,
+    });
+  }
+};
+
+/**
+ * 更新模板控制器（管理员）；内容或变量变化时生成新版本
+ * PATCH /api/templates/:id
+ * body: 模板字段，以及可选的版本说明 note
+ */
+const updateTemplate = async (req, res) => {
+  try {
+    const { note, ...data } = req.body ?? {};
+    const validationError = validateTemplateInput(data, { partial: true });
+    if (validationError) {
+      return res.status(400).json({
+        error: validationError,
+      });
+    }
+
+    const template = await templateLibraryService.updateTemplate(req.params.id, data, req.user.id, {
+      note,
+    });
+    if (!template) {
+      return res.status(404).json({
+        error: '模板不存在',
+      });
+    }
+
+    res.json({
+      success: true,
+      data: template,
+    });
+  } catch (error) {
+    if (error?.code === 11000) {
+      return res.status(409).json({
+        error: '该工具已有覆盖同一内置模板路径的模板',
+      });
+    }
+    logger.error('[TemplateLibraryController] 更新模板失败:', error);
+    res.status(500).json({
+      error: '更新模板失败',
+      message: error.message,
+    });
+  }
+};
+
+/**
+ * 恢复历史版本控制器（管理员）
+ * POST /api/templates/:id/restore
+ * body: { version: number }
+ */
+const restoreTemplateVersion = async (req, res) => {
+  try {
+    const version = Number(req.body?.version);
+    if (!Number.isInteger(version) || version < 1) {
+      return res.status(400).json({
+        error: '版本号无效',
+      });
+    }
+
+    const template = await templateLibraryService.restoreVersion(
+      req.params.id,
+      version,
+      req.user.id,
+    );
+    if (!template) {
+      return res.status(404).json({
+        error: '模板或版本不存在',
+      });
+    }
+
+    res.json({
+      success: true,
+      data: template,
+    });
+  } catch (error) {
+    logger.error('[TemplateLibraryController] 恢复模板版本失败:', error);
+    res.status(500).json({
+      error: '恢复模板版本失败',
+      message: error.message,
+    });
+  }
+};
+
+/**
+ * 删除模板控制器（管理员）；覆盖内置路径的模板删除后工具回退到内置文件
+ * DELETE /api/templates/:id
+ */
+const deleteTemplate = async (req, res) => {
+  try {
+    const deleted = await templateLibraryService.deleteTemplate(req.params.id);
+    if (!deleted) {
+      return res.status(404).json({
+        error: '模板不存在',
+      });
+    }
+
+    res.json({
+      success: true,
+    });
+  } catch (error) {
+    logger.error('[TemplateLibraryController] 删除模板失败:', error);
+    res.status(500).json({
+      error: '删除模板失败',
+      message: error.message,
+    });
+  }
+};
+
+/**
+ * 一键导入内置模板控制器（管理员）
+ * POST /api/templates/import
+ * body: { overwrite?: boolean } - 覆盖已导入但内容不同的模板（保存为新版本）
+ */
+const importBundledTemplates = async (req, res) => {
+  try {
+    const result = await templateLibraryService.importBundledTemplates({
+      userId: req.user.id,
+      overwrite: req.body?.overwrite === true,
+    });
+
+    res.json({
+      success: true,
+      data: result,
+    });
+  } catch (error) {
+    logger.error('[TemplateLibraryController] 导入内置模板失败:', error);
+    res.status(500).json({
+      error: '导入内置模板失败',
+      message: error.message,
+    });
+  }
+};
+
+module.exports = {
+  getTemplates,
+  getTemplateOptions,
+  getTemplate,
+  createTemplate,
+  updateTemplate,
+  restoreTemplateVersion,
+  deleteTemplate,
+  importBundledTemplates,
+};
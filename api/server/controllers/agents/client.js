@@ -27,6 +27,7 @@ const {
   createMetadataAggregator,
 } = require('@aipyq/agents');
 const {
+  Tools,
   Constants,
   Permissions,
   VisionModes,
@@ -36,6 +37,7 @@ const {
   isAgentsEndpoint,
   AgentCapabilities,
   bedrockInputSchema,
+  parseTextParts,
   removeNullishValues,
 } = require('@aipyq/data-provider');
 const { initializeAgent } = require('~/server/services/Endpoints/agents/agent');
@@ -87,6 +89,21 @@ function createTokenCounter(encoding) {
   };
 }
 
+/**
+ * 提取消息的纯文本，内容分片消息只取文本分片（不含推理过程）
+ * @param {TMessage} message
+ * @returns {string}
+ */
+function getMessageText(message) {
+  if (message.text) {
+    return message.text;
+  }
+  if (Array.isArray(message.content)) {
+    return parseTextParts(message.content, true);
+  }
+  return typeof message.content === 'string' ? message.content : '';
+}
+
 function logToolError(graph, error, toolId) {
   logAxiosError({
     error,
@@ -427,19 +444,21 @@ class AgentClient extends BaseClient {
       const conversationRAGService = new ConversationRAGService();
       
       // 获取用户最新的消息作为查询（需要找到最后一条 user 消息）
-      const latestUserMessage = orderedMessages
-        .filter(m => m.isCreatedByUser === true || m.role === 'user' || m.sender === 'User')
-        .pop();
-      const userQuery = latestUserMessage?.text || latestUserMessage?.content || '';
+      const isUserMessage = (m) => m.isCreatedByUser === true || m.role === 'user' || m.sender === 'User';
+      const latestUserIndex = orderedMessages.findLastIndex(isUserMessage);
+      const latestUserMessage = orderedMessages[latestUserIndex];
+      const userQuery = latestUserMessage ? getMessageText(latestUserMessage) : '';
+
+      // 最新问题之前的对话，供检索规划器改写追问（如“那上个月呢？”）
+      const history = orderedMessages.slice(0, Math.max(latestUserIndex, 0)).map((m) => ({
+        role: isUserMessage(m) ? 'user' : 'assistant',
+        text: getMessageText(m),
+      }));
       
       logger.info(`[AgentClient] RAG检索集成 - 用户问题: "${userQuery.substring(0, 100)}"`);
       logger.info(`[AgentClient] RAG检索集成 - 消息数量: ${orderedMessages.length}, 找到用户消息: ${!!latestUserMessage}`);
       
-      // 检查是否需要进行 RAG 检索
-      const shouldRetrieve = userQuery && conversationRAGService.shouldRetrieve(userQuery);
-      logger.info(`[AgentClient] RAG检索集成 - shouldRetrieve结果: ${shouldRetrieve}`);
-      
-      if (shouldRetrieve) {
+      if (userQuery.trim()) {
         const userId = this.options.req?.user?.id;
         const agentId = this.options.agent?.id;
         
@@ -454,12 +473,15 @@ class AgentClient extends BaseClient {
             `[AgentClient] 开始对话 RAG 检索: "${userQuery.substring(0, 50)}..."`,
           );
           
+          // 是否需要检索由检索规划器判断，闲聊等问题返回 skipped
           const ragResult = await conversationRAGService.retrieveForConversation({
             query: userQuery,
+            history,
             userId,
+            userRole: this.options.req?.user?.role,
             agentId,
             fileIds: ragConfig.fileIds,
-            config: ragConfig,
+            config: { ...ragConfig, encoding: this.getEncoding() },
           });
           
           logger.info(`[AgentClient] RAG检索集成, context长度: ${ragResult.context?.length || 0}`);
@@ -470,6 +492,9 @@ class AgentClient extends BaseClient {
           if (ragResult.context && ragResult.context.length > 0) {
             systemContent = [systemContent, ragResult.context].filter(Boolean).join('\n\n');
             logger.info(`[AgentClient] RAG 检索完成，注入了 ${ragResult.results?.length || 0} 条相关知识`);
+            this.attachKnowledgeSources(ragResult.sources, ragResult.plan);
+          } else if (ragResult.skipped) {
+            logger.info('[AgentClient] RAG检索集成 - 检索规划判断无需检索，跳过');
           } else {
             logger.info('[AgentClient] RAG检索集成 - 未找到相关知识或context为空');
           }
@@ -477,7 +502,7 @@ class AgentClient extends BaseClient {
           logger.info('[AgentClient] RAG检索集成 - ragConfig.enabled为false，跳过检索');
         }
       } else {
-        logger.info('[AgentClient] RAG检索集成 - shouldRetrieve为false，跳过检索');
+        logger.info('[AgentClient] RAG检索集成 - 用户问题为空，跳过检索');
       }
     } catch (ragError) {
       // RAG 检索失败不应阻止对话继续
@@ -526,6 +551,41 @@ class AgentClient extends BaseClient {
     return result;
   }
 
+  /**
+   * 将对话 RAG 注入上下文的知识来源作为附件挂到回复消息上，前端据此渲染引用
+   * 检索计划（改写后的查询）随附件保存，便于排查检索效果
+   * @param {Array<Object> | undefined} sources - ConversationRAGService.buildContext 生成的来源
+   * @param {Object} [plan] - QueryPlannerService 生成的检索计划
+   */
+  attachKnowledgeSources(sources, plan) {
+    if (!sources?.length || !this.artifactPromises) {
+      return;
+    }
+
+    /** @type {TAttachment} */
+    const attachment = {
+      type: Tools.knowledge_base,
+      messageId: this.responseMessageId,
+      toolCallId: 'knowledge_base_context',
+      conversationId: this.conversationId,
+      [Tools.knowledge_base]: {
+        turn: 0,
+        sources,
+        plan: plan && {
+          method: plan.method,
+          rewrittenQuery: plan.rewrittenQuery,
+          queries: plan.queries,
+        },
+      },
+    };
+
+    const res = this.options.res;
+    if (res?.headersSent) {
+      res.write(`event: attachment\ndata: ${JSON.stringify(attachment)}\n\n`);
+    }
+    this.artifactPromises.push(Promise.resolve(attachment));
+  }
+
   /**
    * Creates a promise that resolves with the memory promise result or undefined after a timeout
    * @param {Promise<(TAttachment | null)[] | undefined>} memoryPromise - The memory promise to await
@@ -27,9 +27,13 @@ const configureSocialLogins = require('./socialLogins');
 const { getAppConfig } = require('./services/Config');
 const staticCache = require('./utils/staticCache');
 const noIndex = require('./middleware/noIndex');
+const { BUNDLE_ROUTES, bundleBodyParser } = require('./middleware/bundleBodyParser');
 const { seedDatabase } = require('~/models');
 const routes = require('./routes');
 const VectorDBService = require('./services/RAG/VectorDBService');
+const { getIngestionJobService } = require('./services/RAG/IngestionJobService');
+const { getTemplateLibraryService } = require('./services/TemplateLibraryService');
+const { setTemplateSource } = require('~/app/clients/tools/util/templates');
 
 const { PORT, HOST, ALLOW_SOCIAL_LOGIN, DISABLE_COMPRESSION, TRUST_PROXY } = process.env ?? {};
 
@@ -60,6 +64,9 @@ const startServer = async () => {
   await performStartupChecks(appConfig);
   await updateInterfacePermissions(appConfig);
 
+  // 模板类工具优先使用后台模板库中的模板，未命中时回退到内置模板文件
+  setTemplateSource(getTemplateLibraryService());
+
   // 初始化向量数据库（如果启用）
   if (process.env.USE_VECTOR_DB === 'true' || process.env.VECTOR_DB_HOST) {
     try {
@@ -67,6 +74,8 @@ const startServer = async () => {
       const vectorDBService = new VectorDBService();
       await vectorDBService.initialize();
       logger.info('[Server] 向量数据库初始化成功');
+      // 恢复中断的文件入库任务，并处理到期的重试
+      getIngestionJobService().start();
     } catch (error) {
       logger.warn('[Server] 向量数据库初始化失败（将在首次使用时重试）:', error.message);
       // 不阻止服务器启动，允许后续重试
@@ -99,6 +108,7 @@ const startServer = async () => {
 
   /* Middleware */
   app.use(noIndex);
+  app.post(BUNDLE_ROUTES, bundleBodyParser);
   app.use(express.json({ limit: '3mb' }));
   app.use(express.urlencoded({ extended: true, limit: '3mb' }));
   app.use(mongoSanitize());
@@ -165,6 +175,8 @@ const startServer = async () => {
   app.use('/api/tags', routes.tags);
   app.use('/api/mcp', routes.mcp);
   app.use('/api/rag', routes.rag);
+  app.use('/api/templates', routes.templates);
+  app.use('/api/moments', routes.moments);
 
   app.use(ErrorController);
 
@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+const { ResourceType } = require('@aipyq/data-provider');
+const { canAccessResource } = require('./canAccessResource');
+const { KnowledgeBase } = require('~/db/models');
+
+/**
+ * Knowledge base ID resolver function
+ * Resolves knowledge base ID to MongoDB ObjectId
+ *
+ * @param {string} knowledgeBaseId - Knowledge base ID from route parameter
+ * @returns {Promise<Object|null>} Knowledge base document with _id field, or null if not found
+ */
+const resolveKnowledgeBaseId = async (knowledgeBaseId) => {
+  if (!mongoose.Types.ObjectId.isValid(knowledgeBaseId)) {
+    return null;
+  }
+  return await KnowledgeBase.findById(knowledgeBaseId).lean();
+};
+
+/**
+ * Knowledge base middleware factory that creates middleware to check knowledge base access permissions.
+ * This middleware extends the generic canAccessResource to handle knowledge base ID resolution.
+ *
+ * @param {Object} options - Configuration options
+ * @param {number} options.requiredPermission - The permission bit required (1=view, 2=edit, 4=delete, 8=share)
+ * @param {string} [options.resourceIdParam='knowledgeBaseId'] - The name of the route parameter containing the knowledge base ID
+ * @returns {Function} Express middleware function
+ *
+ * @example
+ * router.patch('/knowledge-bases/:knowledgeBaseId',
+ *   canAccessKnowledgeBaseResource({ requiredPermission: PermissionBits.EDIT }),
+ *   updateKnowledgeBase
+ * );
+ */
+const canAccessKnowledgeBaseResource = (options) => {
+  const { requiredPermission, resourceIdParam = 'knowledgeBaseId' } = options;
+
+  if (!requiredPermission || typeof requiredPermission !== 'number') {
+    throw new Error(
+      'canAccessKnowledgeBaseResource: requiredPermission is required and must be a number',
+    );
+  }
+
+  return canAccessResource({
+    resourceType: ResourceType.KNOWLEDGEBASE,
+    requiredPermission,
+    resourceIdParam,
+    idResolver: resolveKnowledgeBaseId,
+  });
+};
+
+module.exports = {
+  canAccessKnowledgeBaseResource,
+};
@@ -3,6 +3,7 @@ const { canAccessAgentResource } = require('./canAccessAgentResource');
 const { canAccessAgentFromBody } = require('./canAccessAgentFromBody');
 const { canAccessPromptViaGroup } = require('./canAccessPromptViaGroup');
 const { canAccessPromptGroupResource } = require('./canAccessPromptGroupResource');
+const { canAccessKnowledgeBaseResource } = require('./canAccessKnowledgeBaseResource');
 
 module.exports = {
   canAccessResource,
@@ -10,4 +11,5 @@ module.exports = {
   canAccessAgentFromBody,
   canAccessPromptViaGroup,
   canAccessPromptGroupResource,
+  canAccessKnowledgeBaseResource,
 };
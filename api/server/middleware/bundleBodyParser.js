@@ -0,0 +1,24 @@
+const express = require('express');
+
+/** 知识库导入包、评估集可能较大（含向量），单独放宽请求体大小限制 */
+const limit = process.env.RAG_BUNDLE_MAX_SIZE || '50mb';
+
+/**
+ * 接收导入包的路由
+ * 需在全局 express.json（3mb）之前挂载，否则大请求体会先被全局解析器以 413 拒绝
+ */
+const BUNDLE_ROUTES = ['/api/rag/knowledge/import', '/api/rag/eval/sets'];
+
+/**
+ * 导入包请求体解析：JSON 导出文件与 JSONL/文本格式
+ * 已解析过的请求体会被 body-parser 跳过，可在应用级与路由级重复挂载
+ */
+const bundleBodyParser = [
+  express.json({ limit }),
+  express.text({
+    type: ['text/plain', 'application/x-ndjson', 'application/jsonl'],
+    limit,
+  }),
+];
+
+module.exports = { BUNDLE_ROUTES, bundleBodyParser };
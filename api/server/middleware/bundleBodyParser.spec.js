@@ -0,0 +1,49 @@
+const express = require('express');
+const request = require('supertest');
+const { BUNDLE_ROUTES, bundleBodyParser } = require('./bundleBodyParser');
+
+describe('bundleBodyParser', () => {
+  let app;
+
+  beforeEach(() => {
+    // 与 server/index.js 相同的挂载顺序
+    app = express();
+    app.post(BUNDLE_ROUTES, bundleBodyParser);
+    app.use(express.json({ limit: '3mb' }));
+    app.post('*', bundleBodyParser, (req, res) =>
+      res.json({ type: typeof req.body, entries: req.body.entries?.length ?? null }),
+    );
+  });
+
+  /** 约 5mb 的 JSON 导出包，超过全局 3mb 限制 */
+  const largeBundle = () => ({
+    version: 1,
+    entries: Array.from({ length: 2000 }, (_, i) => ({
+      title: `条目 ${i}`,
+      embedding: new Array(300).fill(0.123456),
+    })),
+  });
+
+  it('accepts JSON bundles larger than the global limit on bundle routes', async () => {
+    const bundle = largeBundle();
+    expect(JSON.stringify(bundle).length).toBeGreaterThan(3 * 1024 * 1024);
+
+    for (const route of BUNDLE_ROUTES) {
+      const response = await request(app).post(route).send(bundle).expect(200);
+      expect(response.body).toEqual({ type: 'object', entries: 2000 });
+    }
+  });
+
+  it('parses JSONL bundles as text', async () => {
+    const response = await request(app)
+      .post('/api/rag/knowledge/import')
+      .set('Content-Type', 'application/x-ndjson')
+      .send('{"a":1}\n{"b":2}')
+      .expect(200);
+    expect(response.body.type).toBe('string');
+  });
+
+  it('keeps the global limit for other routes', async () => {
+    await request(app).post('/api/rag/query').send(largeBundle()).expect(413);
+  });
+});
@@ -22,10 +22,12 @@ const limiters = require('./limiters');
 const uaParser = require('./uaParser');
 const checkBan = require('./checkBan');
 const noIndex = require('./noIndex');
+const bundleBodyParser = require('./bundleBodyParser');
 const roles = require('./roles');
 
 module.exports = {
   ...abortMiddleware,
+  ...bundleBodyParser,
   ...validate,
   ...limiters,
   ...roles,
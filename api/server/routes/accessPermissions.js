@@ -63,6 +63,12 @@ router.put(
         requiredPermission: PermissionBits.SHARE,
         resourceIdParam: 'resourceId',
       });
+    } else if (resourceType === ResourceType.KNOWLEDGEBASE) {
+      middleware = canAccessResource({
+        resourceType: ResourceType.KNOWLEDGEBASE,
+        requiredPermission: PermissionBits.SHARE,
+        resourceIdParam: 'resourceId',
+      });
     } else {
       return res.status(400).json({
         error: 'Bad Request',
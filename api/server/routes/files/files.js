@@ -2,6 +2,7 @@ const fs = require('fs').promises;
 const path = require('path');
 const express = require('express');
 const { EnvVar } = require('@aipyq/agents');
+const { sendEvent } = require('@aipyq/api');
 const { logger } = require('@aipyq/data-schemas');
 const {
   Time,
@@ -20,6 +21,7 @@ const {
   processDeleteRequest,
   processAgentFileUpload,
 } = require('~/server/services/Files/process');
+const { setHeaders } = require('~/server/middleware');
 const { fileAccess } = require('~/server/middleware/accessResources/fileAccess');
 const { getStrategyFunctions } = require('~/server/services/Files/strategies');
 const { getOpenAIClient } = require('~/server/controllers/assistants/helpers');
@@ -33,9 +35,43 @@ const { getAssistant } = require('~/models/Assistant');
 const { getAgent } = require('~/models/Agent');
 const { getLogStores } = require('~/cache');
 const { Readable } = require('stream');
+const { DocumentFormat, detectDocumentFormat } = require('~/server/services/RAG/DocumentFormats');
+const { getIngestionJobService } = require('~/server/services/RAG/IngestionJobService');
 
 const router = express.Router();
 
+/** Parsers shared with vector ingestion, keyed by document format */
+const contentParsers = {
+  [DocumentFormat.PDF]: ['PDFParseService', 'parsePDF'],
+  [DocumentFormat.WORD]: ['WordParseService', 'parseWordDocument'],
+  [DocumentFormat.SPREADSHEET]: ['SpreadsheetParseService', 'parseSpreadsheet'],
+  [DocumentFormat.PRESENTATION]: ['PresentationParseService', 'parsePresentation'],
+  [DocumentFormat.HTML]: ['HTMLParseService', 'parseHTML'],
+};
+
+/**
+ * Parses a document with the same parser used for vector ingestion and joins the chunks for preview.
+ * @param {string} format - A `DocumentFormat` with an entry in `contentParsers`.
+ * @param {string|Buffer} pathOrBuffer - File path or file contents.
+ * @returns {Promise<string>} The document text.
+ */
+async function parseDocumentContent(format, pathOrBuffer) {
+  const [serviceName, method] = contentParsers[format];
+  const ParseService = require(`~/server/services/RAG/${serviceName}`);
+  const parseService = new ParseService();
+  await parseService.initialize();
+  const chunks = await parseService[method](pathOrBuffer, {
+    chunkSize: 10000, // 使用较大的 chunk size 以获取完整内容
+    chunkOverlap: 0,
+    maxRowsPerChunk: 500,
+    // 预览只需要原文，不在块前重复章节路径；表格和幻灯片保留工作表名与幻灯片标题
+    includeSectionPath:
+      format === DocumentFormat.SPREADSHEET || format === DocumentFormat.PRESENTATION,
+  });
+  // 合并所有 chunks 的文本
+  return chunks.map((chunk) => chunk.text || chunk).join('\n\n');
+}
+
 router.get('/', async (req, res) => {
   try {
     const appConfig = req.config;
@@ -125,6 +161,62 @@ router.get('/config', async (req, res) => {
   }
 });
 
+/**
+ * List the user's background ingestion (vectorization) jobs
+ * @route GET /files/ingestion
+ * @param {string} [file_ids] - Comma separated file IDs to filter by
+ * @returns {Promise<TIngestionJob[]>}
+ */
+router.get('/ingestion', async (req, res) => {
+  try {
+    const fileIds = req.query.file_ids ? String(req.query.file_ids).split(',') : undefined;
+    const jobs = await getIngestionJobService().listJobs(req.user.id, { fileIds });
+    res.status(200).json(jobs);
+  } catch (error) {
+    logger.error('[/files/ingestion] Error listing ingestion jobs:', error);
+    res.status(500).json({ error: 'Failed to list ingestion jobs', message: error.message });
+  }
+});
+
+/**
+ * Stream ingestion job progress for the current user as Server-Sent Events
+ * @route GET /files/ingestion/stream
+ */
+router.get('/ingestion/stream', setHeaders, (req, res) => {
+  const ingestionJobService = getIngestionJobService();
+  const userId = req.user.id;
+  const onUpdate = (job) => {
+    if (job.user === userId) {
+      sendEvent(res, job);
+    }
+  };
+  ingestionJobService.on('update', onUpdate);
+  // 定期发送注释行，避免代理因空闲断开连接
+  const keepAlive = setInterval(() => res.write(': ping\n\n'), 30000);
+  req.on('close', () => {
+    clearInterval(keepAlive);
+    ingestionJobService.off('update', onUpdate);
+  });
+});
+
+/**
+ * Retry a failed ingestion job from its last checkpoint
+ * @route POST /files/ingestion/:file_id/retry
+ * @returns {Promise<TIngestionJob>}
+ */
+router.post('/ingestion/:file_id/retry', async (req, res) => {
+  try {
+    const job = await getIngestionJobService().retry(req.params.file_id, req.user.id);
+    if (!job) {
+      return res.status(404).json({ error: 'Failed ingestion job not found' });
+    }
+    res.status(200).json(job);
+  } catch (error) {
+    logger.error('[/files/ingestion/:file_id/retry] Error retrying ingestion job:', error);
+    res.status(500).json({ error: 'Failed to retry ingestion job', message: error.message });
+  }
+});
+
 router.delete('/', async (req, res) => {
   try {
     const { files: _files } = req.body;
@@ -301,7 +393,7 @@ router.get('/code/download/:session_id/:fileId', async (req, res) => {
 });
 
 /**
- * Get file content (for text files only)
+ * Get file content (text files, or documents parsed to text)
  * @route GET /files/content/:userId/:file_id
  */
 router.get('/content/:userId/:file_id', fileAccess, async (req, res) => {
@@ -312,22 +404,20 @@ router.get('/content/:userId/:file_id', fileAccess, async (req, res) => {
     // Access already validated by fileAccess middleware
     const file = req.fileAccess.file;
 
-    // 支持的文件类型：文本文件、PDF、Word
-    const textMimeTypes = ['text/plain', 'text/markdown', 'text/html', 'application/json'];
-    const textExtensions = ['.txt', '.md', '.html', '.json', '.js', '.ts', '.jsx', '.tsx', '.css', '.xml'];
-    const pdfExtensions = ['.pdf'];
-    const wordExtensions = ['.doc', '.docx'];
+    // 支持的文件类型：文本文件，以及与向量化共用解析器的 PDF、Word、表格、演示文稿、HTML
+    const textMimeTypes = ['text/plain', 'text/markdown', 'application/json'];
+    const textExtensions = ['.txt', '.md', '.json', '.js', '.ts', '.jsx', '.tsx', '.css', '.xml'];
     const fileExt = require('path').extname(file.filename).toLowerCase();
-    const isTextFile = textMimeTypes.includes(file.type) || textExtensions.includes(fileExt);
-    const isPDF = file.type === 'application/pdf' || pdfExtensions.includes(fileExt);
-    const isWord = file.type === 'application/msword' || 
-                   file.type === 'application/vnd.openxmlformats-officedocument.wordprocessingml.document' ||
-                   wordExtensions.includes(fileExt);
-    
-    if (!isTextFile && !isPDF && !isWord) {
-      return res.status(400).json({ 
+    const format = detectDocumentFormat({ mimeType: file.type, filename: file.filename });
+    const isParsed = Boolean(contentParsers[format]);
+    const isTextFile =
+      !isParsed && (textMimeTypes.includes(file.type) || textExtensions.includes(fileExt));
+
+    if (!isTextFile && !isParsed) {
+      return res.status(400).json({
         error: 'Unsupported file type',
-        message: 'Only text files, PDF, and Word documents can be viewed as content' 
+        message:
+          'Only text, PDF, Word, spreadsheet, presentation and HTML files can be viewed as content',
       });
     }
 
@@ -352,29 +442,9 @@ router.get('/content/:userId/:file_id', fileAccess, async (req, res) => {
         
         let content = '';
         
-        // PDF 文件：解析并显示文本内容
-        if (isPDF) {
-          const PDFParseService = require('~/server/services/RAG/PDFParseService');
-          const pdfParseService = new PDFParseService();
-          await pdfParseService.initialize();
-          const chunks = await pdfParseService.parsePDF(absoluteFilePath, {
-            chunkSize: 10000, // 使用较大的 chunk size 以获取完整内容
-            chunkOverlap: 0,
-          });
-          // 合并所有 chunks 的文本
-          content = chunks.map(chunk => chunk.text || chunk).join('\n\n');
-        }
-        // Word 文件：解析并显示文本内容
-        else if (isWord) {
-          const WordParseService = require('~/server/services/RAG/WordParseService');
-          const wordParseService = new WordParseService();
-          await wordParseService.initialize();
-          const chunks = await wordParseService.parseWordDocument(absoluteFilePath, {
-            chunkSize: 10000, // 使用较大的 chunk size 以获取完整内容
-            chunkOverlap: 0,
-          });
-          // 合并所有 chunks 的文本
-          content = chunks.map(chunk => chunk.text || chunk).join('\n\n');
+        // PDF、Word、表格、演示文稿、HTML：解析并显示文本内容
+        if (isParsed) {
+          content = await parseDocumentContent(format, absoluteFilePath);
         }
         // 文本文件：直接读取
         else {
@@ -432,7 +502,10 @@ router.get('/content/:userId/:file_id', fileAccess, async (req, res) => {
       for await (const chunk of stream) {
         chunks.push(chunk);
       }
-      const content = Buffer.concat(chunks).toString('utf8');
+      const buffer = Buffer.concat(chunks);
+      const content = isParsed
+        ? await parseDocumentContent(format, buffer)
+        : buffer.toString('utf8');
       
       return res.status(200).json({
         content,
@@ -446,7 +519,10 @@ router.get('/content/:userId/:file_id', fileAccess, async (req, res) => {
       for await (const chunk of fileStream) {
         chunks.push(chunk);
       }
-      const content = Buffer.concat(chunks).toString('utf8');
+      const buffer = Buffer.concat(chunks);
+      const content = isParsed
+        ? await parseDocumentContent(format, buffer)
+        : buffer.toString('utf8');
       
       return res.status(200).json({
         content,
@@ -28,6 +28,8 @@ const keys = require('./keys');
 const user = require('./user');
 const mcp = require('./mcp');
 const rag = require('./rag');
+const templates = require('./templates');
+const moments = require('./moments');
 
 module.exports = {
   mcp,
@@ -60,4 +62,6 @@ module.exports = {
   staticRoute,
   accessPermissions,
   rag,
+  templates,
+  moments,
 };
@@ -11,6 +11,7 @@ const {
   deleteMessages,
 } = require('~/models');
 const { findAllArtifacts, replaceArtifactContent } = require('~/server/services/Artifacts/update');
+const AnswerFeedbackService = require('~/server/services/RAG/AnswerFeedbackService');
 const { requireJwtAuth, validateMessageReq } = require('~/server/middleware');
 const { cleanUpPrimaryKeyValue } = require('~/lib/utils/misc');
 const { getConvosQueried } = require('~/models/Conversation');
@@ -20,6 +21,8 @@ const { Message } = require('~/db/models');
 const router = express.Router();
 router.use(requireJwtAuth);
 
+const answerFeedbackService = new AnswerFeedbackService();
+
 router.get('/', async (req, res) => {
   try {
     const user = req.user.id ?? '';
@@ -360,6 +363,11 @@ router.put('/:conversationId/:messageId/feedback', validateMessageReq, async (re
       { context: 'updateFeedback' },
     );
 
+    // Feed rated agent answers into the knowledge curation queue without delaying the response
+    answerFeedbackService
+      .handleFeedback({ userId: req.user.id, conversationId, messageId, feedback: feedback || null })
+      .catch((error) => logger.error('Error queueing feedback for knowledge curation:', error));
+
     res.json({
       messageId,
       conversationId,
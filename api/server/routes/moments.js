@@ -0,0 +1,17 @@
+const express = require('express');
+const { requireJwtAuth, checkBan, configMiddleware } = require('~/server/middleware');
+const momentsController = require('~/server/controllers/MomentsController');
+
+const router = express.Router();
+
+router.use(requireJwtAuth);
+router.use(checkBan);
+router.use(configMiddleware);
+
+/**
+ * POST /api/moments/captions
+ * 基于相同图片描述与关键词重新生成提问式、感叹式、分享式文案
+ */
+router.post('/captions', momentsController.regenerateCaptions);
+
+module.exports = router;
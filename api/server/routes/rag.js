@@ -1,8 +1,12 @@
 const express = require('express');
+const { PermissionBits } = require('@aipyq/data-provider');
 const {
   requireJwtAuth,
   configMiddleware,
   checkBan,
+  checkAdmin,
+  canAccessKnowledgeBaseResource,
+  bundleBodyParser,
 } = require('~/server/middleware');
 const ragController = require('~/server/controllers/RAGController');
 
@@ -32,6 +36,127 @@ router.post('/knowledge', ragController.addKnowledge);
  */
 router.post('/knowledge/batch', ragController.addKnowledgeBatch);
 
+/**
+ * POST /api/rag/knowledge/introspect
+ * 读取数据源表结构，自动生成并同步数据库级别和表级别的语义模型（仅管理员）
+ */
+router.post('/knowledge/introspect', checkAdmin, ragController.introspectDatabase);
+
+/**
+ * GET /api/rag/knowledge/export
+ * 导出知识库为带版本的 JSON/JSONL 包
+ */
+router.get('/knowledge/export', ragController.exportKnowledge);
+
+/**
+ * POST /api/rag/knowledge/import
+ * 从 JSON/JSONL 包导入知识库
+ */
+router.post('/knowledge/import', bundleBodyParser, ragController.importKnowledge);
+
+/**
+ * GET /api/rag/curation
+ * PATCH /api/rag/curation/:id
+ * POST /api/rag/curation/review
+ * 知识审核队列（点赞回答生成的候选 QA、点踩标记的回答），仅管理员可查看、编辑、批量审核
+ */
+router.get('/curation', checkAdmin, ragController.getCurationCandidates);
+router.patch('/curation/:id', checkAdmin, ragController.updateCurationCandidate);
+router.post('/curation/review', checkAdmin, ragController.reviewCurationCandidates);
+
+/**
+ * GET /api/rag/dedup
+ * POST /api/rag/dedup/scan
+ * 查看近似重复条目的重复组与扫描进度 / 启动后台重复扫描（仅管理员）
+ */
+router.get('/dedup', checkAdmin, ragController.getDuplicateClusters);
+router.post('/dedup/scan', checkAdmin, ragController.startDuplicateScan);
+
+/**
+ * POST /api/rag/dedup/clusters/:id/merge
+ * POST /api/rag/dedup/clusters/:id/dismiss
+ * 合并重复组（保留一个条目，其余删除）/ 忽略重复组（仅管理员）
+ */
+router.post('/dedup/clusters/:id/merge', checkAdmin, ragController.mergeDuplicateCluster);
+router.post('/dedup/clusters/:id/dismiss', checkAdmin, ragController.dismissDuplicateCluster);
+
+/**
+ * GET /api/rag/knowledge-bases
+ * POST /api/rag/knowledge-bases
+ * 获取有权限访问的共享知识库 / 创建共享知识库（创建者为所有者）
+ */
+router.get('/knowledge-bases', ragController.getKnowledgeBases);
+router.post('/knowledge-bases', ragController.createKnowledgeBase);
+
+/**
+ * GET /api/rag/knowledge-bases/:knowledgeBaseId
+ * PATCH /api/rag/knowledge-bases/:knowledgeBaseId
+ * DELETE /api/rag/knowledge-bases/:knowledgeBaseId
+ * 查看、编辑、删除共享知识库，分别需要 ACL 查看、编辑、删除权限
+ * 共享设置使用通用权限接口 /api/permissions/knowledgeBase/:knowledgeBaseId
+ */
+router.get(
+  '/knowledge-bases/:knowledgeBaseId',
+  canAccessKnowledgeBaseResource({ requiredPermission: PermissionBits.VIEW }),
+  ragController.getKnowledgeBase,
+);
+router.patch(
+  '/knowledge-bases/:knowledgeBaseId',
+  canAccessKnowledgeBaseResource({ requiredPermission: PermissionBits.EDIT }),
+  ragController.updateKnowledgeBase,
+);
+router.delete(
+  '/knowledge-bases/:knowledgeBaseId',
+  canAccessKnowledgeBaseResource({ requiredPermission: PermissionBits.DELETE }),
+  ragController.deleteKnowledgeBase,
+);
+
+/**
+ * POST /api/rag/eval/sets
+ * 上传评测集（黄金问题集及期望命中的知识条目/文件块，仅管理员）
+ */
+router.post('/eval/sets', checkAdmin, bundleBodyParser, ragController.createEvalSet);
+
+/**
+ * GET /api/rag/eval/sets
+ * 获取评测集列表（仅管理员）
+ */
+router.get('/eval/sets', checkAdmin, ragController.getEvalSets);
+
+/**
+ * DELETE /api/rag/eval/sets/:id
+ * 删除评测集及其评测记录（仅管理员）
+ */
+router.delete('/eval/sets/:id', checkAdmin, ragController.deleteEvalSet);
+
+/**
+ * POST /api/rag/eval/sets/:id/runs
+ * 在多个检索配置下运行评测，返回 recall@k、MRR、nDCG 与延迟（仅管理员）
+ */
+router.post('/eval/sets/:id/runs', checkAdmin, ragController.runEvaluation);
+
+/**
+ * GET /api/rag/eval/runs
+ * GET /api/rag/eval/runs/:id
+ * 获取评测记录（仅管理员）
+ */
+router.get('/eval/runs', checkAdmin, ragController.getEvalRuns);
+router.get('/eval/runs/:id', checkAdmin, ragController.getEvalRuns);
+
+/**
+ * GET /api/rag/embedding/models
+ * 获取向量模型列表、当前激活模型与迁移进度（仅管理员）
+ */
+router.get('/embedding/models', checkAdmin, ragController.getEmbeddingModels);
+
+/**
+ * POST /api/rag/embedding/migration
+ * DELETE /api/rag/embedding/migration
+ * 启动/取消向量模型在线迁移（仅管理员）
+ */
+router.post('/embedding/migration', checkAdmin, ragController.startEmbeddingMigration);
+router.delete('/embedding/migration', checkAdmin, ragController.cancelEmbeddingMigration);
+
 /**
  * GET /api/rag/knowledge
  * 获取知识条目列表
@@ -50,5 +175,17 @@ router.put('/knowledge/:id', ragController.updateKnowledge);
  */
 router.delete('/knowledge/:id', ragController.deleteKnowledge);
 
+/**
+ * GET /api/rag/knowledge/:id/versions
+ * 获取知识条目的版本历史（作者、时间、差异）
+ */
+router.get('/knowledge/:id/versions', ragController.getKnowledgeVersions);
+
+/**
+ * POST /api/rag/knowledge/:id/versions/:version/restore
+ * 将知识条目恢复到指定版本
+ */
+router.post('/knowledge/:id/versions/:version/restore', ragController.restoreKnowledgeVersion);
+
 module.exports = router;
 
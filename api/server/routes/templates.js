@@ -0,0 +1,48 @@
+const express = require('express');
+const { requireJwtAuth, checkBan, checkAdmin } = require('~/server/middleware');
+const templateController = require('~/server/controllers/TemplateLibraryController');
+
+const router = express.Router();
+
+// 模板库由管理员维护，工具在服务端直接读取，不对普通用户开放接口
+router.use(requireJwtAuth);
+router.use(checkBan);
+router.use(checkAdmin);
+
+/**
+ * GET /api/templates
+ * POST /api/templates
+ * 模板列表（按工具、分类、场景标签、关键字筛选）/ 新建模板
+ */
+router.get('/', templateController.getTemplates);
+router.post('/', templateController.createTemplate);
+
+/**
+ * GET /api/templates/options
+ * 已有的分类与场景标签，以及可见范围可选的角色与用户组
+ */
+router.get('/options', templateController.getTemplateOptions);
+
+/**
+ * POST /api/templates/import
+ * 一键导入仓库内置的 specs/*-templates 模板
+ */
+router.post('/import', templateController.importBundledTemplates);
+
+/**
+ * GET /api/templates/:id
+ * PATCH /api/templates/:id
+ * DELETE /api/templates/:id
+ * 模板详情（含历史版本）/ 更新（内容或变量变化时生成新版本）/ 删除
+ */
+router.get('/:id', templateController.getTemplate);
+router.patch('/:id', templateController.updateTemplate);
+router.delete('/:id', templateController.deleteTemplate);
+
+/**
+ * POST /api/templates/:id/restore
+ * 恢复到历史版本（作为新版本保存）
+ */
+router.post('/:id/restore', templateController.restoreTemplateVersion);
+
+module.exports = router;
@@ -0,0 +1,255 @@
+const sharp = require('sharp');
+
+/** 朋友圈多图最多 9 张 */
+const MAX_GRID_IMAGES = 9;
+
+/**
+ * 朋友圈拼图布局
+ * - single：单图
+ * - grid：九宫格（2/4 张两列，其余三列）
+ * - collage：首图通栏大图，其余图片排在下方
+ * - storyboard：竖向长图，逐张通栏排列
+ * - mosaic：左侧大图，右侧纵向排列其余图片
+ */
+const GRID_LAYOUTS = {
+  single: { name: '单图', min: 1, max: 1 },
+  grid: { name: '九宫格', min: 2, max: 9 },
+  collage: { name: '大图拼贴', min: 3, max: 9 },
+  storyboard: { name: '竖版长图', min: 2, max: 6 },
+  mosaic: { name: '主次拼图', min: 3, max: 5 },
+};
+
+/** 拼图配色：背景色、图片间距与圆角 */
+const GRID_THEMES = {
+  white: { name: '简约白', background: '#ffffff', gap: 12, padding: 24, radius: 0 },
+  cream: { name: '暖米色', background: '#f7f1e3', gap: 16, padding: 32, radius: 12 },
+  dark: { name: '夜色黑', background: '#1f1f1f', gap: 12, padding: 24, radius: 8 },
+  mint: { name: '薄荷绿', background: '#e8f5ef', gap: 16, padding: 32, radius: 16 },
+  pink: { name: '樱花粉', background: '#fdecef', gap: 16, padding: 32, radius: 16 },
+};
+
+/** 按场景偏好的布局，图片数量不满足时回退到九宫格 */
+const SCENARIO_LAYOUTS = {
+  travel: 'storyboard',
+  food: 'mosaic',
+  event: 'collage',
+};
+
+/** 按场景偏好的配色 */
+const SCENARIO_THEMES = {
+  food: 'cream',
+  travel: 'white',
+  event: 'pink',
+  achievement: 'dark',
+  daily: 'mint',
+};
+
+const supportsCount = (layout, count) =>
+  Boolean(GRID_LAYOUTS[layout]) &&
+  count >= GRID_LAYOUTS[layout].min &&
+  count <= GRID_LAYOUTS[layout].max;
+
+/**
+ * 根据图片数量与场景推荐布局
+ * @param {number} count - 图片数量
+ * @param {string} [scenario] - 朋友圈场景（food/travel/event/...）
+ * @returns {string}
+ */
+function recommendLayout(count, scenario) {
+  if (count <= 1) {
+    return 'single';
+  }
+  const preferred = SCENARIO_LAYOUTS[scenario];
+  if (preferred && supportsCount(preferred, count)) {
+    return preferred;
+  }
+  return 'grid';
+}
+
+/**
+ * 根据场景推荐配色
+ * @param {string} [scenario]
+ * @returns {string}
+ */
+function recommendTheme(scenario) {
+  return SCENARIO_THEMES[scenario] || 'white';
+}
+
+/** 列出支持指定图片数量的布局 */
+function listLayouts(count) {
+  return Object.entries(GRID_LAYOUTS)
+    .filter(([key]) => supportsCount(key, count))
+    .map(([key, { name }]) => ({ key, name }));
+}
+
+/** 将 count 个等宽单元格按 columns 列排布，返回单元格与占用高度 */
+function placeRows({ count, columns, left, top, width, gap, aspect = 1 }) {
+  const cellWidth = Math.floor((width - gap * (columns - 1)) / columns);
+  const cellHeight = Math.round(cellWidth * aspect);
+  const cells = [];
+  for (let i = 0; i < count; i++) {
+    const row = Math.floor(i / columns);
+    const column = i % columns;
+    cells.push({
+      left: left + column * (cellWidth + gap),
+      top: top + row * (cellHeight + gap),
+      width: cellWidth,
+      height: cellHeight,
+    });
+  }
+  const rows = Math.ceil(count / columns);
+  return { cells, height: rows * cellHeight + (rows - 1) * gap };
+}
+
+/**
+ * 计算拼图画布尺寸与每张图片的位置
+ * @param {string} layout - 布局（见 GRID_LAYOUTS）
+ * @param {number} count - 图片数量
+ * @param {{ width?: number, gap?: number, padding?: number, aspects?: number[] }} [options]
+ *   aspects 为各图片的高宽比，单图与竖版长图按原比例排布
+ * @returns {{ width: number, height: number, cells: Array<{ left: number, top: number, width: number, height: number }> }}
+ */
+function computeGridLayout(
+  layout,
+  count,
+  { width = 1080, gap = 12, padding = 24, aspects = [] } = {},
+) {
+  if (!supportsCount(layout, count)) {
+    throw new Error(`布局 ${layout} 不支持 ${count} 张图片`);
+  }
+
+  const innerWidth = width - padding * 2;
+  /** 限制单图高宽比，避免极端长图或宽图 */
+  const clampAspect = (aspect) => Math.min(Math.max(aspect || 1, 0.5), 1.5);
+  let cells = [];
+  let innerHeight = 0;
+
+  if (layout === 'single') {
+    const height = Math.round(innerWidth * clampAspect(aspects[0]));
+    cells = [{ left: padding, top: padding, width: innerWidth, height }];
+    innerHeight = height;
+  } else if (layout === 'grid') {
+    const columns = count === 2 || count === 4 ? 2 : 3;
+    ({ cells, height: innerHeight } = placeRows({
+      count,
+      columns,
+      left: padding,
+      top: padding,
+      width: innerWidth,
+      gap,
+    }));
+  } else if (layout === 'collage') {
+    const heroHeight = Math.round((innerWidth * 9) / 16);
+    const rest = placeRows({
+      count: count - 1,
+      columns: Math.min(count - 1, 4),
+      left: padding,
+      top: padding + heroHeight + gap,
+      width: innerWidth,
+      gap,
+    });
+    cells = [{ left: padding, top: padding, width: innerWidth, height: heroHeight }, ...rest.cells];
+    innerHeight = heroHeight + gap + rest.height;
+  } else if (layout === 'storyboard') {
+    let top = padding;
+    for (let i = 0; i < count; i++) {
+      const height = Math.round(innerWidth * Math.min(clampAspect(aspects[i]), 0.75));
+      cells.push({ left: padding, top, width: innerWidth, height });
+      top += height + gap;
+    }
+    innerHeight = top - gap - padding;
+  } else if (layout === 'mosaic') {
+    const sideCount = count - 1;
+    const mainWidth = Math.round((innerWidth - gap) * (2 / 3));
+    const sideWidth = innerWidth - gap - mainWidth;
+    const sideHeight = Math.round(sideWidth * (sideCount > 2 ? 1 : 1.25));
+    innerHeight = sideCount * sideHeight + (sideCount - 1) * gap;
+    cells.push({ left: padding, top: padding, width: mainWidth, height: innerHeight });
+    for (let i = 0; i < sideCount; i++) {
+      cells.push({
+        left: padding + mainWidth + gap,
+        top: padding + i * (sideHeight + gap),
+        width: sideWidth,
+        height: sideHeight,
+      });
+    }
+  }
+
+  return { width, height: innerHeight + padding * 2, cells };
+}
+
+/** 将图片裁剪为单元格大小，按需裁出圆角 */
+async function renderCell(buffer, { width, height }, radius) {
+  const image = sharp(buffer)
+    .rotate()
+    .resize(width, height, { fit: 'cover', position: 'attention' });
+  if (!radius) {
+    return image.toBuffer();
+  }
+  const mask = Buffer.from(
+    `<svg width="${width}" height="${height}"><rect width="${width}" height="${height}" rx="${radius}" ry="${radius}"/></svg>`,
+  );
+  return image
+    .composite([{ input: mask, blend: 'dest-in' }])
+    .png()
+    .toBuffer();
+}
+
+/**
+ * 将多张图片合成为一张朋友圈拼图
+ * @param {Buffer[]} buffers - 图片内容，按展示顺序排列
+ * @param {Object} [options]
+ * @param {string} [options.layout] - 布局，缺省时按数量与场景推荐
+ * @param {string} [options.theme] - 配色（见 GRID_THEMES），缺省时按场景推荐
+ * @param {string} [options.scenario] - 朋友圈场景，用于推荐布局与配色
+ * @param {number} [options.width=1080] - 画布宽度
+ * @returns {Promise<{ buffer: Buffer, width: number, height: number, layout: string, theme: string }>}
+ */
+async function composeImageGrid(buffers, { layout, theme, scenario, width = 1080 } = {}) {
+  if (!buffers?.length) {
+    throw new Error('至少需要 1 张图片');
+  }
+  if (buffers.length > MAX_GRID_IMAGES) {
+    throw new Error(`最多支持 ${MAX_GRID_IMAGES} 张图片`);
+  }
+
+  const layoutKey = layout || recommendLayout(buffers.length, scenario);
+  const themeKey = GRID_THEMES[theme] ? theme : recommendTheme(scenario);
+  const { background, gap, padding, radius } = GRID_THEMES[themeKey];
+
+  const aspects = await Promise.all(
+    buffers.map(async (buffer) => {
+      const { width: w, height: h, orientation } = await sharp(buffer).metadata();
+      // EXIF 方向 5-8 表示旋转 90°，宽高互换
+      return orientation >= 5 ? w / h : h / w;
+    }),
+  );
+  const canvas = computeGridLayout(layoutKey, buffers.length, { width, gap, padding, aspects });
+  const cells = await Promise.all(
+    canvas.cells.map(async (cell, i) => ({
+      input: await renderCell(buffers[i], cell, radius),
+      left: cell.left,
+      top: cell.top,
+    })),
+  );
+
+  const buffer = await sharp({
+    create: { width: canvas.width, height: canvas.height, channels: 3, background },
+  })
+    .composite(cells)
+    .jpeg({ quality: 90 })
+    .toBuffer();
+
+  return { buffer, width: canvas.width, height: canvas.height, layout: layoutKey, theme: themeKey };
+}
+
+module.exports = {
+  MAX_GRID_IMAGES,
+  GRID_LAYOUTS,
+  GRID_THEMES,
+  recommendLayout,
+  recommendTheme,
+  listLayouts,
+  computeGridLayout,
+  composeImageGrid,
+};
@@ -0,0 +1,95 @@
+const sharp = require('sharp');
+const { listLayouts, recommendLayout, computeGridLayout, composeImageGrid } = require('./grid');
+
+const solid = (width, height, background) =>
+  sharp({ create: { width, height, channels: 3, background } })
+    .png()
+    .toBuffer();
+
+describe('recommendLayout', () => {
+  it('picks a layout from the image count and scenario', () => {
+    expect(recommendLayout(1)).toBe('single');
+    expect(recommendLayout(4)).toBe('grid');
+    expect(recommendLayout(3, 'travel')).toBe('storyboard');
+    expect(recommendLayout(4, 'food')).toBe('mosaic');
+    expect(recommendLayout(9, 'food')).toBe('grid');
+    expect(recommendLayout(8, 'travel')).toBe('grid');
+  });
+
+  it('lists only layouts that fit the image count', () => {
+    expect(listLayouts(1).map((item) => item.key)).toEqual(['single']);
+    expect(listLayouts(2).map((item) => item.key)).toEqual(['grid', 'storyboard']);
+    expect(listLayouts(9).map((item) => item.key)).toEqual(['grid', 'collage']);
+  });
+});
+
+describe('computeGridLayout', () => {
+  const options = { width: 1000, gap: 10, padding: 20 };
+
+  it('uses two columns for 2 and 4 images and three otherwise', () => {
+    const four = computeGridLayout('grid', 4, options);
+    expect(four.cells[1]).toEqual({ left: 505, top: 20, width: 475, height: 475 });
+    expect(four.height).toBe(20 * 2 + 475 * 2 + 10);
+
+    const five = computeGridLayout('grid', 5, options);
+    expect(five.cells.map((cell) => cell.width)).toEqual([313, 313, 313, 313, 313]);
+    expect(five.cells[4]).toMatchObject({ left: 343, top: 343 });
+  });
+
+  it('places the hero image above the rest in a collage', () => {
+    const { cells } = computeGridLayout('collage', 4, options);
+    expect(cells[0]).toEqual({ left: 20, top: 20, width: 960, height: 540 });
+    expect(cells.slice(1).every((cell) => cell.top === 570)).toBe(true);
+  });
+
+  it('keeps cells inside the canvas for every layout', () => {
+    for (const [layout, count] of [
+      ['single', 1],
+      ['storyboard', 3],
+      ['mosaic', 4],
+      ['collage', 9],
+    ]) {
+      const canvas = computeGridLayout(layout, count, { ...options, aspects: [1.4, 0.6, 1] });
+      expect(canvas.cells).toHaveLength(count);
+      for (const cell of canvas.cells) {
+        expect(cell.left + cell.width).toBeLessThanOrEqual(canvas.width - 20);
+        expect(cell.top + cell.height).toBeLessThanOrEqual(canvas.height - 20);
+      }
+    }
+  });
+
+  it('rejects layouts that do not fit the image count', () => {
+    expect(() => computeGridLayout('single', 3)).toThrow('不支持 3 张图片');
+    expect(() => computeGridLayout('unknown', 3)).toThrow();
+  });
+});
+
+describe('composeImageGrid', () => {
+  it('renders the images onto a themed canvas', async () => {
+    const images = await Promise.all([
+      solid(40, 30, '#ff0000'),
+      solid(30, 40, '#00ff00'),
+      solid(50, 50, '#0000ff'),
+      solid(20, 20, '#ffff00'),
+    ]);
+
+    const result = await composeImageGrid(images, { theme: 'dark', width: 200 });
+    expect(result).toMatchObject({ layout: 'grid', theme: 'dark', width: 200 });
+
+    const { info, data } = await sharp(result.buffer).raw().toBuffer({ resolveWithObject: true });
+    expect(info).toMatchObject({ width: 200, height: result.height });
+    const pixel = (x, y) => Array.from(data.subarray((y * 200 + x) * 3, (y * 200 + x) * 3 + 3));
+    // 左上角为背景色 #1f1f1f，第一个单元格中心为红色
+    expect(pixel(2, 2).every((value) => Math.abs(value - 0x1f) < 8)).toBe(true);
+    const [r, g, b] = pixel(60, 60);
+    expect(r).toBeGreaterThan(200);
+    expect(g + b).toBeLessThan(60);
+  });
+
+  it('limits the number of images', async () => {
+    await expect(composeImageGrid([])).rejects.toThrow('至少需要 1 张图片');
+    await expect(composeImageGrid(new Array(10).fill(Buffer.alloc(0)))).rejects.toThrow(
+      '最多支持 9',
+    );
+  });
+});
@@ -1,11 +1,13 @@
 const avatar = require('./avatar');
 const convert = require('./convert');
 const encode = require('./encode');
+const grid = require('./grid');
 const resize = require('./resize');
 
 module.exports = {
   ...convert,
   ...encode,
+  ...grid,
   ...resize,
   avatar,
 };
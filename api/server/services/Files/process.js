@@ -757,6 +757,13 @@ const processAgentFileUpload = async ({ req, res, metadata }) => {
 
   const result = await createFile(fileInfo, true);
 
+  if (embeddingResult?.ingestion) {
+    // 小文件的入库任务可能在文件记录写入前就已完成
+    const { getIngestionJobService } = require('~/server/services/RAG/IngestionJobService');
+    result.embedded = await getIngestionJobService().syncFile(file_id);
+    result.ingestion = embeddingResult.ingestion;
+  }
+
   res.status(200).json({ message: 'Agent file uploaded and processed successfully', ...result });
 };
 
@@ -0,0 +1,525 @@
+const { v4: uuidv4 } = require('uuid');
+const { logger } = require('@aipyq/data-schemas');
+const { VisionModes, validateVisionModel } = require('@aipyq/data-provider');
+const { parseJSONObject } = require('~/server/utils/llm');
+const {
+  MAX_GRID_IMAGES,
+  GRID_THEMES,
+  listLayouts,
+  composeImageGrid,
+} = require('~/server/services/Files/images/grid');
+
+/** 看图与文案生成 LLM 调用超时 */
+const VISION_TIMEOUT = parseInt(process.env.MOMENTS_VISION_TIMEOUT || '30000', 10);
+/** 多图朋友圈的最少图片数 */
+const MIN_GRID_IMAGES = 2;
+/** 关键词上限（1-5 个） */
+const MAX_KEYWORDS = 5;
+
+/** 三种互动风格的文案 */
+const CAPTION_STYLES = [
+  { type: 'question', label: '提问式', hint: '以提问结尾，引导好友在评论区回答' },
+  { type: 'exclaim', label: '感叹式', hint: '用感叹抒发情绪，短句有感染力' },
+  { type: 'share', label: '分享式', hint: '像向好友推荐一样分享细节和体验' },
+];
+
+/** 场景分类，与 SocialMedia 工具的场景一致 */
+const SCENARIOS = ['food', 'travel', 'event', 'achievement', 'daily', 'general'];
+
+const toText = (value) => (typeof value === 'string' ? value.trim() : '');
+
+/**
+ * 选择看图与文案使用的端点和模型
+ * 优先使用显式指定的端点（重新生成文案时沿用合成时的模型），其次是支持图片输入的智能体模型，
+ * 最后是 MOMENTS_VISION_ENDPOINT / MOMENTS_VISION_MODEL 指定的端点
+ * @param {Object} params
+ * @param {Pick<Agent, 'endpoint' | 'provider' | 'model'>} [params.agent] - 当前智能体
+ * @param {string} [params.endpoint]
+ * @param {string} [params.model]
+ * @returns {{ endpoint: string, model: string } | null}
+ */
+function resolveVisionModel({ agent, endpoint, model } = {}) {
+  if (endpoint && model) {
+    return { endpoint, model };
+  }
+  // 初始化后 agent.provider 可能被改写为底层提供方（自定义端点为 openAI），agent.endpoint 保留端点名称
+  const agentEndpoint = agent?.endpoint ?? agent?.provider;
+  if (agentEndpoint && validateVisionModel({ model: agent.model })) {
+    return { endpoint: agentEndpoint, model: agent.model };
+  }
+  const { MOMENTS_VISION_ENDPOINT, MOMENTS_VISION_MODEL } = process.env;
+  if (MOMENTS_VISION_ENDPOINT && MOMENTS_VISION_MODEL) {
+    return { endpoint: MOMENTS_VISION_ENDPOINT, model: MOMENTS_VISION_MODEL };
+  }
+  return null;
+}
+
+/** 取模型回复中的文本 */
+const contentToText = (content) =>
+  typeof content === 'string'
+    ? content
+    : (content ?? [])
+        .filter((part) => part?.type === 'text')
+        .map((part) => part.text)
+        .join('');
+
+/**
+ * 通过已配置的端点创建看图与文案模型，凭据与参数的解析与对话一致（getProviderConfig）
+ * @param {Object} params
+ * @param {ServerRequest} params.req
+ * @param {string} params.endpoint - 端点名称，如 openAI、anthropic 或自定义端点
+ * @param {string} params.model
+ * @returns {Promise<{ endpoint: string, model: string, complete: (messages: Object[], options?: { temperature?: number }) => Promise<string> }>}
+ */
+async function createVisionLLM({ req, endpoint, model }) {
+  const { Run, Providers } = require('@aipyq/agents');
+  const { EModelEndpoint } = require('@aipyq/data-provider');
+  const { HumanMessage } = require('@langchain/core/messages');
+  const { getProviderConfig } = require('~/server/services/Endpoints');
+
+  const { getOptions, overrideProvider } = getProviderConfig({
+    provider: endpoint,
+    appConfig: req.config,
+  });
+  const options = await getOptions({
+    req,
+    optionsOnly: true,
+    overrideEndpoint: endpoint,
+    overrideModel: model,
+    endpointOption: { model_parameters: { model } },
+  });
+
+  let provider = options.provider ?? overrideProvider;
+  if (
+    endpoint === EModelEndpoint.azureOpenAI &&
+    options.llmConfig?.azureOpenAIApiInstanceName == null
+  ) {
+    provider = Providers.OPENAI;
+  }
+  const llmConfig = { ...options.llmConfig, provider, streaming: false, disableStreaming: true };
+  if (options.configOptions) {
+    llmConfig.configuration = options.configOptions;
+  }
+
+  return {
+    endpoint,
+    model,
+    async complete(messages, { temperature = 0.2 } = {}) {
+      const run = await Run.create({
+        runId: uuidv4(),
+        graphConfig: {
+          type: 'standard',
+          llmConfig: { ...llmConfig, temperature },
+          instructions: messages.find((message) => message.role === 'system')?.content,
+        },
+      });
+      await run.processStream(
+        {
+          messages: messages
+            .filter((message) => message.role === 'user')
+            .map((message) => new HumanMessage({ content: message.content })),
+        },
+        {
+          runName: 'MomentsRun',
+          configurable: { user_id: req.user.id, provider },
+          signal: AbortSignal.timeout(VISION_TIMEOUT),
+          streamMode: 'values',
+          version: 'v2',
+        },
+      );
+      return contentToText(run.getRunMessages()?.at(-1)?.content);
+    },
+  };
+}
+
+/**
+ * 按端点格式编码图片（与智能体对话附图相同，使用 VisionModes.agents）
+ * @param {ServerRequest} req
+ * @param {MongoFile[]} files
+ * @param {string} endpoint
+ * @returns {Promise<MessageContentImageUrl[]>}
+ */
+async function encodeImageFiles(req, files, endpoint) {
+  const { encodeAndFormat } = require('~/server/services/Files/images/encode');
+  const { image_urls } = await encodeAndFormat(
+    req,
+    files,
+    { provider: endpoint, endpoint },
+    VisionModes.agents,
+  );
+  return image_urls;
+}
+
+/**
+ * 解析看图模型输出
+ * @param {string} text
+ * @param {number} count - 图片数量
+ * @returns {{ images: Array<{ index: number, description: string, blurry: boolean }>, summary: string, scenario: string | null, keywords: string[] } | null}
+ */
+function parseVisionResponse(text, count) {
+  const data = parseJSONObject(text);
+  if (!data || !Array.isArray(data.images)) {
+    return null;
+  }
+  const images = data.images.slice(0, count).map((item, index) => ({
+    index: index + 1,
+    description: toText(item?.description),
+    blurry: item?.blurry === true,
+  }));
+  return {
+    images,
+    summary: toText(data.summary),
+    scenario: SCENARIOS.includes(data.scenario) ? data.scenario : null,
+    keywords: Array.isArray(data.keywords)
+      ? data.keywords.map(toText).filter(Boolean).slice(0, MAX_KEYWORDS)
+      : [],
+  };
+}
+
+/**
+ * 解析文案模型输出，按 CAPTION_STYLES 顺序返回存在的文案
+ * @param {string} text
+ * @returns {Array<{ type: string, label: string, text: string }>}
+ */
+function parseCaptionResponse(text) {
+  const data = parseJSONObject(text);
+  if (!data) {
+    return [];
+  }
+  return CAPTION_STYLES.map(({ type, label }) => ({
+    type,
+    label,
+    text: toText(data[type]),
+  })).filter((caption) => caption.text);
+}
+
+/** 统一关键词：接受数组或以逗号、顿号、空格分隔的字符串，最多 5 个 */
+function normalizeKeywords(keywords) {
+  const list = Array.isArray(keywords) ? keywords : String(keywords ?? '').split(/[,，、\s]+/);
+  return [...new Set(list.map(toText).filter(Boolean))].slice(0, MAX_KEYWORDS);
+}
+
+/**
+ * 读取当前用户的图片文件，按 fileIds 顺序返回文件记录与内容
+ * @param {ServerRequest} req
+ * @param {string[]} fileIds
+ * @returns {Promise<Array<{ file: MongoFile, buffer: Buffer }>>}
+ */
+async function loadImageFiles(req, fileIds) {
+  const { getFiles } = require('~/models/File');
+  const { getStrategyFunctions } = require('~/server/services/Files/strategies');
+  const files = await getFiles({ user: req.user.id, file_id: { $in: fileIds } });
+  const byId = new Map(files.map((file) => [file.file_id, file]));
+
+  return Promise.all(
+    fileIds.map(async (fileId) => {
+      const file = byId.get(fileId);
+      if (!file || !file.type?.startsWith('image/')) {
+        throw new Error(`图片不存在或不是图片文件: ${fileId}`);
+      }
+      const { getDownloadStream } = getStrategyFunctions(file.source);
+      if (!getDownloadStream) {
+        throw new Error(`不支持读取该存储来源的图片: ${file.source}`);
+      }
+      const stream = await getDownloadStream(req, file.filepath);
+      const chunks = [];
+      for await (const chunk of stream) {
+        chunks.push(chunk);
+      }
+      return { file, buffer: Buffer.concat(chunks) };
+    }),
+  );
+}
+
+/**
+ * 按当前文件存储策略保存拼图并记录文件
+ * @param {ServerRequest} req
+ * @param {{ buffer: Buffer, width: number, height: number }} image
+ * @returns {Promise<MongoFile>}
+ */
+async function saveComposedImage(req, { buffer, width, height }) {
+  const { FileContext } = require('@aipyq/data-provider');
+  const { uploadImageBuffer } = require('~/server/services/Files/process');
+  const file_id = uuidv4();
+  return uploadImageBuffer({
+    req,
+    context: FileContext.image_generation,
+    resize: false,
+    metadata: {
+      buffer,
+      width,
+      height,
+      bytes: buffer.length,
+      filename: `moments-${file_id}.jpg`,
+      type: 'image/jpeg',
+      file_id,
+    },
+  });
+}
+
+/**
+ * 朋友圈多图合成服务
+ * 1. 读取用户上传的 2-9 张图片，通过看图模型描述图片内容、识别场景并提示模糊图片
+ * 2. 按布局与配色将图片合成为一张拼图并保存
+ * 3. 基于图片描述与关键词生成提问式、感叹式、分享式三种互动文案
+ * 看图模型优先使用支持图片输入的智能体模型，其次是 MOMENTS_VISION_ENDPOINT 指定的端点；
+ * 都不可用时仍合成拼图，图片描述与文案交由对话模型完成
+ */
+class MomentsService {
+  /**
+   * @param {Object} [options]
+   * @param {typeof createVisionLLM} [options.createLLM] - 创建看图与文案模型
+   * @param {typeof encodeImageFiles} [options.encodeImages] - 按端点格式编码图片
+   * @param {typeof loadImageFiles} [options.loadImages] - 读取图片
+   * @param {typeof saveComposedImage} [options.saveImage] - 保存拼图
+   */
+  constructor({
+    createLLM = createVisionLLM,
+    encodeImages = encodeImageFiles,
+    loadImages = loadImageFiles,
+    saveImage = saveComposedImage,
+  } = {}) {
+    this.createLLM = createLLM;
+    this.encodeImages = encodeImages;
+    this.loadImages = loadImages;
+    this.saveImage = saveImage;
+  }
+
+  /**
+   * 获取看图与文案模型
+   * @param {Object} params
+   * @param {ServerRequest} params.req
+   * @param {Pick<Agent, 'provider' | 'model'>} [params.agent] - 当前智能体
+   * @param {string} [params.endpoint] - 指定端点（需同时指定 model）
+   * @param {string} [params.model]
+   * @returns {Promise<Awaited<ReturnType<typeof createVisionLLM>> | null>} 没有可用模型或初始化失败时为 null
+   */
+  async getLLM({ req, agent, endpoint, model }) {
+    const target = resolveVisionModel({ agent, endpoint, model });
+    if (!target) {
+      return null;
+    }
+    try {
+      return await this.createLLM({ req, ...target });
+    } catch (error) {
+      logger.warn(
+        `[Moments] 初始化看图模型失败: ${target.endpoint}/${target.model}: ${error.message}`,
+      );
+      return null;
+    }
+  }
+
+  /**
+   * 描述图片内容
+   * @param {Object} llm - getLLM 返回的模型
+   * @param {Object} params
+   * @param {ServerRequest} params.req
+   * @param {MongoFile[]} params.files - 图片文件，按展示顺序
+   * @param {string[]} [params.keywords]
+   * @returns {Promise<ReturnType<typeof parseVisionResponse>>} 失败时为 null
+   */
+  async describeImages(llm, { req, files, keywords = [] }) {
+    try {
+      const images = await this.encodeImages(req, files, llm.endpoint);
+      const output = await llm.complete([
+        {
+          role: 'system',
+          content:
+            '你是朋友圈配图分析助手。按顺序描述用户上传的每张图片，只输出 JSON：' +
+            '{"images":[{"description":"一句话描述画面主体、场景和氛围","blurry":false}],' +
+            `"summary":"整组图片的主题","scenario":"${SCENARIOS.join('|')}","keywords":["不超过5个关键词"]}。` +
+            'blurry 表示图片明显模糊、过暗或主体不清晰。',
+        },
+        {
+          role: 'user',
+          content: [
+            {
+              type: 'text',
+              text: keywords.length
+                ? `共 ${images.length} 张图片，用户关键词：${keywords.join('、')}`
+                : `共 ${images.length} 张图片`,
+            },
+            ...images,
+          ],
+        },
+      ]);
+
+      const result = parseVisionResponse(output, images.length);
+      if (!result) {
+        logger.warn('[Moments] 看图模型输出无法解析');
+      }
+      return result;
+    } catch (error) {
+      logger.warn(`[Moments] 图片理解失败: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * 生成三种互动风格的文案
+   * @param {Object | null} llm - getLLM 返回的模型
+   * @param {Object} params
+   * @param {string[]} [params.keywords]
+   * @param {string[]} [params.descriptions] - 各图片描述
+   * @param {string} [params.summary] - 整组图片主题
+   * @param {string} [params.scenario]
+   * @param {string} [params.style] - 语气，如 casual、formal
+   * @param {string} [params.template] - 场景模板，作为文案结构参考
+   * @param {string[]} [params.exclude] - 需要避开的已有文案（重新生成时传入）
+   * @returns {Promise<Array<{ type: string, label: string, text: string }>>} 没有模型或失败时为空数组
+   */
+  async generateCaptions(
+    llm,
+    { keywords = [], descriptions = [], summary, scenario, style, template, exclude = [] } = {},
+  ) {
+    if (!llm) {
+      return [];
+    }
+
+    const lines = [
+      keywords.length ? `关键词：${keywords.join('、')}` : null,
+      summary ? `图片主题：${summary}` : null,
+      descriptions.length
+        ? `图片内容：\n${descriptions.map((text, i) => `${i + 1}. ${text}`).join('\n')}`
+        : null,
+      scenario ? `场景：${scenario}` : null,
+      style ? `语气：${style}` : null,
+      template ? `参考模板结构：\n${template.slice(0, 1500)}` : null,
+      exclude.length ? `不要与以下文案重复：\n${exclude.join('\n---\n')}` : null,
+    ].filter(Boolean);
+
+    try {
+      const output = await llm.complete(
+        [
+          {
+            role: 'system',
+            content:
+              '你是朋友圈文案助手。根据图片与关键词写三条风格不同、可直接发布的中文朋友圈文案，' +
+              '每条 30-120 字，可适量使用表情符号和 1-3 个话题标签。' +
+              CAPTION_STYLES.map(({ type, label, hint }) => `${type}（${label}）：${hint}`).join(
+                '；',
+              ) +
+              '。只输出 JSON：{"question":"...","exclaim":"...","share":"..."}',
+          },
+          { role: 'user', content: lines.join('\n\n') || '写一条日常分享' },
+        ],
+        { temperature: 0.9 },
+      );
+      return parseCaptionResponse(output);
+    } catch (error) {
+      logger.warn(`[Moments] 文案生成失败: ${error.message}`);
+      return [];
+    }
+  }
+
+  /**
+   * 合成朋友圈多图内容
+   * @param {Object} params
+   * @param {ServerRequest} params.req
+   * @param {Pick<Agent, 'provider' | 'model'>} [params.agent] - 当前智能体，模型支持图片输入时用于看图与文案
+   * @param {string[]} params.fileIds - 图片文件 ID，按展示顺序
+   * @param {string[] | string} [params.keywords]
+   * @param {string} [params.layout] - 布局，缺省按数量与场景推荐
+   * @param {string} [params.theme] - 配色，缺省按场景推荐
+   * @param {string} [params.scenario] - 场景，缺省使用看图模型识别结果
+   * @param {string} [params.style]
+   * @param {(scenario: string) => Promise<string | null>} [params.getTemplate] - 按场景取文案参考模板
+   */
+  async compose({ req, agent, fileIds, keywords, layout, theme, scenario, style, getTemplate }) {
+    const ids = [...new Set(fileIds ?? [])];
+    if (ids.length === 0) {
+      throw new Error('请先上传要发布的图片');
+    }
+    if (ids.length < MIN_GRID_IMAGES) {
+      throw new Error(`多图朋友圈至少需要 ${MIN_GRID_IMAGES} 张图片，请再上传图片`);
+    }
+    if (ids.length > MAX_GRID_IMAGES) {
+      throw new Error(`最多支持 ${MAX_GRID_IMAGES} 张图片，请选择要使用的图片`);
+    }
+    if (layout && !listLayouts(ids.length).some((item) => item.key === layout)) {
+      const supported = listLayouts(ids.length)
+        .map((item) => `${item.key}（${item.name}）`)
+        .join('、');
+      throw new Error(`${ids.length} 张图片不支持布局 ${layout}，可选：${supported}`);
+    }
+    if (theme && !GRID_THEMES[theme]) {
+      throw new Error(`未知配色: ${theme}，可选：${Object.keys(GRID_THEMES).join('、')}`);
+    }
+
+    const keywordList = normalizeKeywords(keywords);
+    const images = await this.loadImages(req, ids);
+    const buffers = images.map((image) => image.buffer);
+    const llm = await this.getLLM({ req, agent });
+    const vision = llm
+      ? await this.describeImages(llm, {
+          req,
+          files: images.map((image) => image.file),
+          keywords: keywordList,
+        })
+      : null;
+    const finalScenario = scenario || vision?.scenario || 'general';
+
+    const [grid, template] = await Promise.all([
+      composeImageGrid(buffers, { layout, theme, scenario: finalScenario }),
+      getTemplate ? getTemplate(finalScenario).catch(() => null) : null,
+    ]);
+    const file = await this.saveImage(req, grid);
+
+    const descriptions = vision?.images.map((image) => image.description) ?? [];
+    const finalKeywords = keywordList.length ? keywordList : (vision?.keywords ?? []);
+    const captions = await this.generateCaptions(llm, {
+      keywords: finalKeywords,
+      descriptions,
+      summary: vision?.summary,
+      scenario: finalScenario,
+      style,
+      template,
+    });
+
+    return {
+      image: {
+        file_id: file.file_id,
+        filepath: file.filepath,
+        width: grid.width,
+        height: grid.height,
+      },
+      source_file_ids: ids,
+      layout: grid.layout,
+      theme: grid.theme,
+      layouts: listLayouts(ids.length),
+      themes: Object.entries(GRID_THEMES).map(([key, { name }]) => ({ key, name })),
+      scenario: finalScenario,
+      style: style || 'casual',
+      keywords: finalKeywords,
+      summary: vision?.summary || '',
+      descriptions,
+      quality_warnings: (vision?.images ?? [])
+        .filter((image) => image.blurry)
+        .map((image) => `第 ${image.index} 张图片可能模糊或主体不清晰，建议更换`),
+      captions,
+      vision_available: Boolean(llm),
+      vision_model: llm ? { endpoint: llm.endpoint, model: llm.model } : null,
+    };
+  }
+}
+
+let instance = null;
+
+/**
+ * 获取朋友圈多图合成服务单例
+ * @returns {MomentsService}
+ */
+function getMomentsService() {
+  if (!instance) {
+    instance = new MomentsService();
+  }
+  return instance;
+}
+
+module.exports = MomentsService;
+module.exports.CAPTION_STYLES = CAPTION_STYLES;
+module.exports.resolveVisionModel = resolveVisionModel;
+module.exports.normalizeKeywords = normalizeKeywords;
+module.exports.parseVisionResponse = parseVisionResponse;
+module.exports.parseCaptionResponse = parseCaptionResponse;
+module.exports.getMomentsService = getMomentsService;
@@ -0,0 +1,242 @@
+jest.mock('@aipyq/data-schemas', () => ({
+  logger: {
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn(),
+  },
+}));
+
+const sharp = require('sharp');
+const MomentsService = require('./MomentsService');
+const { normalizeKeywords, parseVisionResponse, parseCaptionResponse, resolveVisionModel } =
+  MomentsService;
+
+const solid = (background) =>
+  sharp({ create: { width: 32, height: 24, channels: 3, background } })
+    .png()
+    .toBuffer();
+
+describe('output parsing', () => {
+  it('parses the vision response inside a code block', () => {
+    const text =
+      '```json\n{"images":[{"description":"一碗拉面","blurry":false},{"description":"模糊的店门","blurry":true}],' +
+      '"summary":"探店午餐","scenario":"food","keywords":["拉面"," 午餐 "]}\n```';
+    expect(parseVisionResponse(text, 2)).toEqual({
+      images: [
+        { index: 1, description: '一碗拉面', blurry: false },
+        { index: 2, description: '模糊的店门', blurry: true },
+      ],
+      summary: '探店午餐',
+      scenario: 'food',
+      keywords: ['拉面', '午餐'],
+    });
+    expect(parseVisionResponse('{"scenario":"mars","images":[]}', 1)).toMatchObject({
+      scenario: null,
+    });
+    expect(parseVisionResponse('看不清', 1)).toBeNull();
+  });
+
+  it('keeps caption styles in order and drops empty ones', () => {
+    expect(parseCaptionResponse('{"share":"分享","question":"问？","exclaim":""}')).toEqual([
+      { type: 'question', label: '提问式', text: '问？' },
+      { type: 'share', label: '分享式', text: '分享' },
+    ]);
+    expect(parseCaptionResponse('not json')).toEqual([]);
+  });
+
+  it('normalizes up to five keywords', () => {
+    expect(normalizeKeywords('海边度假，日落、 海边 a b c d')).toEqual([
+      '海边度假',
+      '日落',
+      '海边',
+      'a',
+      'b',
+    ]);
+    expect(normalizeKeywords(undefined)).toEqual([]);
+  });
+});
+
+describe('resolveVisionModel', () => {
+  afterEach(() => {
+    delete process.env.MOMENTS_VISION_ENDPOINT;
+    delete process.env.MOMENTS_VISION_MODEL;
+  });
+
+  it('prefers an explicit model, then a vision-capable agent, then the configured endpoint', () => {
+    const agent = { provider: 'Qwen', model: 'qwen-vl-max' };
+    expect(resolveVisionModel({ agent, endpoint: 'openAI', model: 'gpt-4o' })).toEqual({
+      endpoint: 'openAI',
+      model: 'gpt-4o',
+    });
+    expect(resolveVisionModel({ agent })).toEqual({ endpoint: 'Qwen', model: 'qwen-vl-max' });
+    expect(
+      resolveVisionModel({ agent: { ...agent, endpoint: 'Qwen', provider: 'openAI' } }),
+    ).toEqual({ endpoint: 'Qwen', model: 'qwen-vl-max' });
+
+    const textAgent = { provider: 'deepseek', model: 'deepseek-chat' };
+    expect(resolveVisionModel({ agent: textAgent })).toBeNull();
+    process.env.MOMENTS_VISION_ENDPOINT = 'Qwen';
+    process.env.MOMENTS_VISION_MODEL = 'qwen-vl-plus';
+    expect(resolveVisionModel({ agent: textAgent })).toEqual({
+      endpoint: 'Qwen',
+      model: 'qwen-vl-plus',
+    });
+  });
+});
+
+describe('MomentsService.compose', () => {
+  const req = { user: { id: 'user-1' } };
+  const agent = { provider: 'Qwen', model: 'qwen-vl-max' };
+  let loadImages;
+  let saveImage;
+  let encodeImages;
+
+  beforeEach(async () => {
+    const buffers = await Promise.all([solid('#ff0000'), solid('#00ff00'), solid('#0000ff')]);
+    loadImages = jest.fn(async (_req, ids) =>
+      ids.map((id, i) => ({
+        file: { file_id: id, filename: `${id}.png` },
+        buffer: buffers[i % 3],
+      })),
+    );
+    saveImage = jest.fn(async () => ({ file_id: 'grid-1', filepath: '/images/user-1/grid.jpg' }));
+    encodeImages = jest.fn(async (_req, files) =>
+      files.map((file) => ({ type: 'image_url', image_url: { url: `/images/${file.file_id}` } })),
+    );
+  });
+
+  it('describes the images, composes the grid and writes three caption variants', async () => {
+    const llm = {
+      endpoint: 'Qwen',
+      model: 'qwen-vl-max',
+      complete: jest
+        .fn()
+        .mockResolvedValueOnce(
+          JSON.stringify({
+            images: [
+              { description: '海浪', blurry: false },
+              { description: '沙滩', blurry: true },
+              { description: '日落', blurry: false },
+            ],
+            summary: '海边度假',
+            scenario: 'travel',
+            keywords: ['海边'],
+          }),
+        )
+        .mockResolvedValueOnce('{"question":"你去过吗？","exclaim":"太美了！","share":"推荐这里"}'),
+    };
+    const getTemplate = jest.fn(async () => '# 旅行模板');
+    const createLLM = jest.fn(async () => llm);
+    const service = new MomentsService({ createLLM, encodeImages, loadImages, saveImage });
+
+    const result = await service.compose({
+      req,
+      agent,
+      fileIds: ['a', 'b', 'c', 'a'],
+      keywords: '海边度假',
+      getTemplate,
+    });
+
+    expect(loadImages).toHaveBeenCalledWith(req, ['a', 'b', 'c']);
+    expect(createLLM).toHaveBeenCalledWith({ req, endpoint: 'Qwen', model: 'qwen-vl-max' });
+    expect(encodeImages.mock.calls[0][1].map((file) => file.file_id)).toEqual(['a', 'b', 'c']);
+    expect(encodeImages.mock.calls[0][2]).toBe('Qwen');
+    const [, visionMessages] = llm.complete.mock.calls[0][0];
+    expect(visionMessages.content.filter((part) => part.type === 'image_url')).toHaveLength(3);
+
+    const [savedReq, grid] = saveImage.mock.calls[0];
+    expect(savedReq).toBe(req);
+    expect(grid.buffer.length).toBeGreaterThan(0);
+    expect(getTemplate).toHaveBeenCalledWith('travel');
+    expect(llm.complete.mock.calls[1][0][1].content).toContain('# 旅行模板');
+
+    expect(result).toMatchObject({
+      image: { file_id: 'grid-1', filepath: '/images/user-1/grid.jpg', width: 1080 },
+      layout: 'storyboard',
+      theme: 'white',
+      scenario: 'travel',
+      keywords: ['海边度假'],
+      descriptions: ['海浪', '沙滩', '日落'],
+      quality_warnings: ['第 2 张图片可能模糊或主体不清晰，建议更换'],
+      vision_available: true,
+      vision_model: { endpoint: 'Qwen', model: 'qwen-vl-max' },
+    });
+    expect(result.captions.map((caption) => caption.label)).toEqual(['提问式', '感叹式', '分享式']);
+    expect(result.layouts.map((item) => item.key)).toEqual([
+      'grid',
+      'collage',
+      'storyboard',
+      'mosaic',
+    ]);
+  });
+
+  it('still composes the grid without a vision model', async () => {
+    const createLLM = jest.fn();
+    const service = new MomentsService({ createLLM, encodeImages, loadImages, saveImage });
+    const result = await service.compose({
+      req,
+      agent: { provider: 'deepseek', model: 'deepseek-chat' },
+      fileIds: ['a', 'b'],
+      layout: 'storyboard',
+      theme: 'mint',
+    });
+
+    expect(createLLM).not.toHaveBeenCalled();
+    expect(encodeImages).not.toHaveBeenCalled();
+    expect(result).toMatchObject({
+      layout: 'storyboard',
+      theme: 'mint',
+      scenario: 'general',
+      descriptions: [],
+      captions: [],
+      vision_available: false,
+      vision_model: null,
+    });
+  });
+
+  it('falls back to composing only when the vision endpoint cannot be initialized', async () => {
+    const createLLM = jest.fn(async () => {
+      throw new Error('Qwen API Key not provided.');
+    });
+    const service = new MomentsService({ createLLM, encodeImages, loadImages, saveImage });
+
+    const result = await service.compose({ req, agent, fileIds: ['a', 'b'] });
+    expect(result).toMatchObject({ captions: [], vision_available: false });
+  });
+
+  it('rejects invalid requests before loading images', async () => {
+    const service = new MomentsService({ loadImages, saveImage });
+
+    await expect(service.compose({ req, fileIds: [] })).rejects.toThrow('请先上传');
+    await expect(service.compose({ req, fileIds: ['a', 'a'] })).rejects.toThrow(
+      '至少需要 2 张图片',
+    );
+    await expect(service.compose({ req, fileIds: 'abcdefghij'.split('') })).rejects.toThrow(
+      '最多支持 9 张图片',
+    );
+    await expect(service.compose({ req, fileIds: ['a', 'b'], layout: 'mosaic' })).rejects.toThrow(
+      '可选：grid（九宫格）、storyboard（竖版长图）',
+    );
+    await expect(service.compose({ req, fileIds: ['a', 'b'], theme: 'neon' })).rejects.toThrow(
+      '未知配色',
+    );
+    expect(loadImages).not.toHaveBeenCalled();
+  });
+
+  it('regenerates captions avoiding previous ones and tolerates model failures', async () => {
+    const llm = { complete: jest.fn().mockRejectedValueOnce(new Error('timeout')) };
+    const service = new MomentsService({ loadImages, saveImage });
+
+    expect(await service.generateCaptions(llm, { keywords: ['日落'] })).toEqual([]);
+    expect(await service.generateCaptions(null, { keywords: ['日落'] })).toEqual([]);
+
+    llm.complete.mockResolvedValueOnce('{"question":"新的？","exclaim":"新的！","share":"新的"}');
+    const captions = await service.generateCaptions(llm, {
+      keywords: ['日落'],
+      exclude: ['旧文案'],
+    });
+    expect(captions).toHaveLength(3);
+    expect(llm.complete.mock.calls[1][0][1].content).toContain('不要与以下文案重复：\n旧文案');
+  });
+});
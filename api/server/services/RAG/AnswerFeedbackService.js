@@ -0,0 +1,349 @@
+const { logger } = require('@aipyq/data-schemas');
+const { Tools } = require('@aipyq/data-provider');
+
+/** 审核队列条目类型 */
+const CandidateKind = {
+  /** 点赞的回答，作为候选 QA 对 */
+  QA: 'qa',
+  /** 点踩的回答，连同检索到的知识一起标记 */
+  FLAGGED: 'flagged',
+};
+
+/** 审核状态 */
+const CandidateStatus = {
+  PENDING: 'pending',
+  APPROVED: 'approved',
+  REJECTED: 'rejected',
+  /** 点踩条目已处理 */
+  RESOLVED: 'resolved',
+};
+
+/** 回答中的引用标记（如 turn0kb1）及高亮标记，写入 QA 前去掉 */
+const CITATION_ANCHOR_REGEX = /\s*\\ue202turn\d+[a-z]+\d+/g;
+const CITATION_MARKER_REGEX = /\\ue20[0-6]/g;
+
+/**
+ * 提取消息的纯文本（兼容 text 字段与 content 分段）
+ * @param {Object} [message]
+ * @returns {string}
+ */
+function getMessageText(message) {
+  if (!message) {
+    return '';
+  }
+  let text = message.text || '';
+  if (!text && Array.isArray(message.content)) {
+    text = message.content
+      .filter((part) => part?.type === 'text')
+      .map((part) => (typeof part.text === 'string' ? part.text : part.text?.value || ''))
+      .join('\n');
+  }
+  return text.replace(CITATION_ANCHOR_REGEX, '').replace(CITATION_MARKER_REGEX, '').trim();
+}
+
+/**
+ * 提取回复时注入上下文的知识来源（对话 RAG 以附件形式挂在回复消息上）
+ * @param {Object} message - 回复消息
+ * @returns {Array<Object>}
+ */
+function getRetrievedEntries(message) {
+  return (message.attachments || [])
+    .filter((attachment) => attachment?.type === Tools.knowledge_base)
+    .flatMap((attachment) => attachment[Tools.knowledge_base]?.sources || [])
+    .map((source) => ({
+      entryId: source.entryId,
+      entryType: source.entryType,
+      title: source.title,
+      fileId: source.fileId,
+      score: source.score,
+    }));
+}
+
+/**
+ * 回答反馈闭环服务
+ * 启用对话 RAG 的智能体收到反馈后：点赞的回答作为候选 QA 对进入审核队列（预先检查重复），
+ * 点踩的回答连同当时检索到的知识条目一起标记；管理员批量批准、编辑或驳回
+ */
+class AnswerFeedbackService {
+  /**
+   * @param {Object} [options]
+   * @param {Object} [options.models] - 数据模型（默认从 ~/db/models 加载）
+   * @param {Object} [options.knowledgeBaseService] - 知识库服务（默认新建）
+   */
+  constructor({ models, knowledgeBaseService } = {}) {
+    this.models = models;
+    this.knowledgeBaseService = knowledgeBaseService;
+  }
+
+  getModels() {
+    if (!this.models) {
+      this.models = require('~/db/models');
+    }
+    return this.models;
+  }
+
+  getKnowledgeBaseService() {
+    if (!this.knowledgeBaseService) {
+      const KnowledgeBaseService = require('./KnowledgeBaseService');
+      this.knowledgeBaseService = new KnowledgeBaseService();
+    }
+    return this.knowledgeBaseService;
+  }
+
+  /**
+   * 候选 QA 写入的位置：智能体绑定的第一个共享知识库、唯一绑定的数据源
+   * @param {Object} agent
+   * @returns {{ knowledgeBaseId?: string, entityId?: string }}
+   */
+  getTarget(agent) {
+    const rag = agent.rag || {};
+    const entityIds = (rag.entityIds || []).filter(Boolean);
+    return {
+      knowledgeBaseId: rag.knowledgeBaseIds?.[0],
+      entityId: entityIds.length === 1 ? entityIds[0] : undefined,
+    };
+  }
+
+  /**
+   * 查找与候选问题重复的已有 QA 对
+   * @returns {Promise<{ entryId: string, question?: string, title?: string } | null>}
+   */
+  async findDuplicate({ question, userId, entityId, knowledgeBaseId }) {
+    const duplicate = await this.getKnowledgeBaseService().checkDuplicateQA({
+      question,
+      userId,
+      entityId,
+      knowledgeBaseId,
+    });
+    if (!duplicate) {
+      return null;
+    }
+    return {
+      entryId: duplicate._id.toString(),
+      question: duplicate.metadata?.question,
+      title: duplicate.title,
+    };
+  }
+
+  /**
+   * 处理消息反馈，生成或更新审核队列条目
+   * 取消反馈时删除未审核的条目；已审核的条目不会因为反馈变化而重新打开
+   * @param {Object} params
+   * @param {string} params.userId - 反馈用户ID
+   * @param {string} params.conversationId - 会话ID
+   * @param {string} params.messageId - 被评价的回复消息ID
+   * @param {{ rating: string, tag?: Object, text?: string } | null} params.feedback - 反馈
+   * @returns {Promise<Object|null>} 审核队列条目；不需要进入队列时返回 null
+   */
+  async handleFeedback({ userId, conversationId, messageId, feedback }) {
+    const { KnowledgeCandidate, Message, Conversation, Agent } = this.getModels();
+
+    const existing = await KnowledgeCandidate.findOne({ messageId }).lean();
+    if (existing && existing.status !== CandidateStatus.PENDING) {
+      return existing;
+    }
+    if (!feedback?.rating) {
+      if (existing) {
+        await KnowledgeCandidate.deleteOne({ _id: existing._id });
+      }
+      return null;
+    }
+
+    const message = await Message.findOne({ messageId, user: userId }).lean();
+    if (!message || message.isCreatedByUser) {
+      return null;
+    }
+    const conversation = await Conversation.findOne({ conversationId, user: userId }).lean();
+    const agentId = conversation?.agent_id;
+    if (!agentId) {
+      return null;
+    }
+    const agent = await Agent.findOne({ id: agentId }).lean();
+    if (!agent || agent.rag?.enabled === false) {
+      return null;
+    }
+
+    const parent = message.parentMessageId
+      ? await Message.findOne({ messageId: message.parentMessageId, user: userId }).lean()
+      : null;
+    const question = getMessageText(parent);
+    const answer = getMessageText(message);
+    if (!question || !answer) {
+      return null;
+    }
+
+    const kind = feedback.rating === 'thumbsUp' ? CandidateKind.QA : CandidateKind.FLAGGED;
+    const target = this.getTarget(agent);
+    const duplicate =
+      kind === CandidateKind.QA
+        ? await this.findDuplicate({ question, userId: agent.author, ...target })
+        : null;
+
+    const candidate = await KnowledgeCandidate.findOneAndUpdate(
+      { messageId },
+      {
+        $set: {
+          kind,
+          user: userId,
+          conversationId,
+          agentId,
+          agentAuthor: agent.author ?? null,
+          question,
+          answer,
+          feedback: { rating: feedback.rating, tag: feedback.tag, text: feedback.text },
+          retrievedEntries: getRetrievedEntries(message),
+          duplicate,
+          ...target,
+        },
+        $setOnInsert: { status: CandidateStatus.PENDING },
+      },
+      { upsert: true, new: true },
+    ).lean();
+
+    logger.info(
+      `[AnswerFeedbackService] ${kind === CandidateKind.QA ? '候选QA' : '标记回答'}: ${messageId}${duplicate ? `（与 ${duplicate.entryId} 重复）` : ''}`,
+    );
+    return candidate;
+  }
+
+  /**
+   * 获取审核队列
+   * @param {Object} params
+   * @param {string} [params.status] - 状态，默认待审核
+   * @param {string} [params.kind] - 类型
+   * @param {number} [params.limit] - 返回数量
+   * @param {number} [params.skip] - 跳过数量
+   * @returns {Promise<{ candidates: Object[], total: number }>}
+   */
+  async listCandidates({ status = CandidateStatus.PENDING, kind, limit = 50, skip = 0 } = {}) {
+    const { KnowledgeCandidate } = this.getModels();
+    const query = { status };
+    if (kind) {
+      query.kind = kind;
+    }
+    const [candidates, total] = await Promise.all([
+      KnowledgeCandidate.find(query).sort({ createdAt: -1 }).skip(skip).limit(limit).lean(),
+      KnowledgeCandidate.countDocuments(query),
+    ]);
+    return { candidates, total };
+  }
+
+  /**
+   * 编辑待审核的候选 QA，修改问题后重新检查重复
+   * @param {string} candidateId - 条目ID
+   * @param {{ question?: string, answer?: string }} updates
+   * @returns {Promise<Object|null>} 更新后的条目；不存在或已审核时返回 null
+   */
+  async updateCandidate(candidateId, { question, answer }) {
+    const { KnowledgeCandidate } = this.getModels();
+    const candidate = await KnowledgeCandidate.findOne({
+      _id: candidateId,
+      status: CandidateStatus.PENDING,
+    }).lean();
+    if (!candidate) {
+      return null;
+    }
+
+    const updates = {};
+    if (answer !== undefined) {
+      updates.answer = answer;
+    }
+    if (question !== undefined && question !== candidate.question) {
+      updates.question = question;
+      if (candidate.kind === CandidateKind.QA) {
+        updates.duplicate = await this.findDuplicate({
+          question,
+          userId: candidate.agentAuthor,
+          entityId: candidate.entityId,
+          knowledgeBaseId: candidate.knowledgeBaseId,
+        });
+      }
+    }
+
+    return await KnowledgeCandidate.findOneAndUpdate(
+      { _id: candidateId, status: CandidateStatus.PENDING },
+      { $set: updates },
+      { new: true },
+    ).lean();
+  }
+
+  /**
+   * 批量审核
+   * 批准候选 QA 时写入知识库（与已有 QA 重复时不重复写入，记录重复的条目）；
+   * 批准点踩条目表示已处理；驳回只修改状态
+   * @param {Object} params
+   * @param {string[]} params.ids - 条目ID
+   * @param {'approve'|'reject'} params.action - 审核动作
+   * @param {{ id: string }} params.reviewer - 审核人
+   * @param {string} [params.knowledgeBaseId] - 覆盖候选 QA 写入的共享知识库
+   * @returns {Promise<Array<{ id: string, status?: string, entryId?: string, duplicate?: boolean, error?: string }>>}
+   */
+  async reviewCandidates({ ids, action, reviewer, knowledgeBaseId }) {
+    const { KnowledgeCandidate } = this.getModels();
+    const candidates = await KnowledgeCandidate.find({
+      _id: { $in: ids },
+      status: CandidateStatus.PENDING,
+    }).lean();
+    const byId = new Map(candidates.map((candidate) => [candidate._id.toString(), candidate]));
+
+    const results = [];
+    for (const id of ids) {
+      const candidate = byId.get(String(id));
+      if (!candidate) {
+        results.push({ id, error: '条目不存在或已审核' });
+        continue;
+      }
+      try {
+        const review =
+          action === 'approve'
+            ? await this.approveCandidate(candidate, { reviewer, knowledgeBaseId })
+            : { status: CandidateStatus.REJECTED };
+        await KnowledgeCandidate.updateOne(
+          { _id: candidate._id },
+          {
+            $set: {
+              status: review.status,
+              approvedEntryId: review.entryId,
+              reviewedBy: reviewer.id,
+              reviewedAt: new Date(),
+            },
+          },
+        );
+        results.push({ id, ...review });
+      } catch (error) {
+        logger.error(`[AnswerFeedbackService] 审核失败: ${id}`, error);
+        results.push({ id, error: error.message });
+      }
+    }
+    return results;
+  }
+
+  async approveCandidate(candidate, { reviewer, knowledgeBaseId }) {
+    if (candidate.kind !== CandidateKind.QA) {
+      return { status: CandidateStatus.RESOLVED };
+    }
+
+    const target = {
+      userId: candidate.agentAuthor ?? reviewer.id,
+      entityId: candidate.entityId,
+      knowledgeBaseId: knowledgeBaseId ?? candidate.knowledgeBaseId,
+    };
+    const duplicate = await this.findDuplicate({ question: candidate.question, ...target });
+    if (duplicate) {
+      return { status: CandidateStatus.APPROVED, entryId: duplicate.entryId, duplicate: true };
+    }
+
+    const entry = await this.getKnowledgeBaseService().addQAPair({
+      ...target,
+      question: candidate.question,
+      answer: candidate.answer,
+      skipDuplicateCheck: true,
+    });
+    return { status: CandidateStatus.APPROVED, entryId: entry._id.toString() };
+  }
+}
+
+module.exports = AnswerFeedbackService;
+module.exports.CandidateKind = CandidateKind;
+module.exports.CandidateStatus = CandidateStatus;
+module.exports.getMessageText = getMessageText;
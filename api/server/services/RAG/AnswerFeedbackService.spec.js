@@ -0,0 +1,213 @@
+jest.mock('@aipyq/data-schemas', () => ({
+  logger: {
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn(),
+  },
+}));
+
+const AnswerFeedbackService = require('./AnswerFeedbackService');
+const { getMessageText } = AnswerFeedbackService;
+
+const lean = (value) => ({ lean: async () => value });
+
+const question = { messageId: 'msg-q', isCreatedByUser: true, text: '差旅报销时限是多久？' };
+const answer = {
+  messageId: 'msg-a',
+  parentMessageId: 'msg-q',
+  isCreatedByUser: false,
+  text: '',
+  content: [{ type: 'text', text: '出差结束后30天内提交\\ue202turn0kb0。' }],
+  attachments: [
+    {
+      type: 'knowledge_base',
+      knowledge_base: {
+        turn: 0,
+        sources: [
+          { index: 0, entryId: 'entry-1', entryType: 'file', title: '报销制度', score: 0.8 },
+        ],
+      },
+    },
+  ],
+};
+
+const createService = ({ agent, existing = null, duplicate = null } = {}) => {
+  const messages = { 'msg-q': question, 'msg-a': answer };
+  const models = {
+    Message: { findOne: jest.fn(({ messageId }) => lean(messages[messageId] ?? null)) },
+    Conversation: {
+      findOne: jest.fn(() => lean({ conversationId: 'convo-1', agent_id: 'agent_1' })),
+    },
+    Agent: {
+      findOne: jest.fn(() =>
+        lean(
+          agent ?? {
+            id: 'agent_1',
+            author: 'author-1',
+            rag: { entityIds: ['ds-1'], knowledgeBaseIds: ['kb-1'] },
+          },
+        ),
+      ),
+    },
+    KnowledgeCandidate: {
+      findOne: jest.fn(() => lean(existing)),
+      deleteOne: jest.fn(async () => ({ deletedCount: 1 })),
+      findOneAndUpdate: jest.fn((filter, update) => lean({ ...update.$set, status: 'pending' })),
+      find: jest.fn(() => lean(existing ? [existing] : [])),
+      updateOne: jest.fn(async () => ({})),
+    },
+  };
+  const knowledgeBaseService = {
+    checkDuplicateQA: jest.fn(async () => duplicate),
+    addQAPair: jest.fn(async () => ({ _id: 'entry-new' })),
+  };
+  const service = new AnswerFeedbackService({ models, knowledgeBaseService });
+  return { service, models, knowledgeBaseService };
+};
+
+const feedbackParams = (rating) => ({
+  userId: 'user-1',
+  conversationId: 'convo-1',
+  messageId: 'msg-a',
+  feedback: rating ? { rating, tag: { key: 'accurate_reliable' } } : null,
+});
+
+describe('getMessageText', () => {
+  it('joins text content parts and strips citation anchors', () => {
+    expect(getMessageText(answer)).toBe('出差结束后30天内提交。');
+  });
+});
+
+describe('AnswerFeedbackService.handleFeedback', () => {
+  it('queues a thumbs-up answer as a QA candidate checked for duplicates', async () => {
+    const { service, knowledgeBaseService } = createService({
+      duplicate: { _id: 'qa-9', title: 'QA: 报销时限', metadata: { question: '报销时限' } },
+    });
+
+    const candidate = await service.handleFeedback(feedbackParams('thumbsUp'));
+
+    expect(knowledgeBaseService.checkDuplicateQA).toHaveBeenCalledWith({
+      question: '差旅报销时限是多久？',
+      userId: 'author-1',
+      entityId: 'ds-1',
+      knowledgeBaseId: 'kb-1',
+    });
+    expect(candidate).toMatchObject({
+      kind: 'qa',
+      status: 'pending',
+      question: '差旅报销时限是多久？',
+      answer: '出差结束后30天内提交。',
+      agentAuthor: 'author-1',
+      duplicate: { entryId: 'qa-9', question: '报销时限', title: 'QA: 报销时限' },
+    });
+  });
+
+  it('flags a thumbs-down answer with the retrieved knowledge entries', async () => {
+    const { service, knowledgeBaseService } = createService();
+
+    const candidate = await service.handleFeedback(feedbackParams('thumbsDown'));
+
+    expect(knowledgeBaseService.checkDuplicateQA).not.toHaveBeenCalled();
+    expect(candidate).toMatchObject({
+      kind: 'flagged',
+      duplicate: null,
+      retrievedEntries: [{ entryId: 'entry-1', entryType: 'file', title: '报销制度', score: 0.8 }],
+    });
+  });
+
+  it('ignores agents with conversation RAG disabled', async () => {
+    const { service, models } = createService({
+      agent: { id: 'agent_1', rag: { enabled: false } },
+    });
+
+    await expect(service.handleFeedback(feedbackParams('thumbsUp'))).resolves.toBeNull();
+    expect(models.KnowledgeCandidate.findOneAndUpdate).not.toHaveBeenCalled();
+  });
+
+  it('drops a pending candidate when the feedback is removed but keeps reviewed ones', async () => {
+    const pending = createService({ existing: { _id: 'c-1', status: 'pending' } });
+    await pending.service.handleFeedback(feedbackParams(null));
+    expect(pending.models.KnowledgeCandidate.deleteOne).toHaveBeenCalledWith({ _id: 'c-1' });
+
+    const reviewed = createService({ existing: { _id: 'c-2', status: 'approved' } });
+    await reviewed.service.handleFeedback(feedbackParams('thumbsDown'));
+    expect(reviewed.models.KnowledgeCandidate.deleteOne).not.toHaveBeenCalled();
+    expect(reviewed.models.KnowledgeCandidate.findOneAndUpdate).not.toHaveBeenCalled();
+  });
+});
+
+describe('AnswerFeedbackService.reviewCandidates', () => {
+  const qaCandidate = {
+    _id: 'c-1',
+    kind: 'qa',
+    status: 'pending',
+    question: '报销时限？',
+    answer: '30天',
+    agentAuthor: 'author-1',
+    entityId: 'ds-1',
+    knowledgeBaseId: 'kb-1',
+  };
+
+  it('adds approved QA candidates to the knowledge base', async () => {
+    const { service, models, knowledgeBaseService } = createService({ existing: qaCandidate });
+
+    const results = await service.reviewCandidates({
+      ids: ['c-1', 'c-missing'],
+      action: 'approve',
+      reviewer: { id: 'admin-1' },
+    });
+
+    expect(knowledgeBaseService.addQAPair).toHaveBeenCalledWith({
+      userId: 'author-1',
+      entityId: 'ds-1',
+      knowledgeBaseId: 'kb-1',
+      question: '报销时限？',
+      answer: '30天',
+      skipDuplicateCheck: true,
+    });
+    expect(results).toEqual([
+      { id: 'c-1', status: 'approved', entryId: 'entry-new' },
+      { id: 'c-missing', error: '条目不存在或已审核' },
+    ]);
+    expect(models.KnowledgeCandidate.updateOne).toHaveBeenCalledWith(
+      { _id: 'c-1' },
+      {
+        $set: expect.objectContaining({
+          status: 'approved',
+          approvedEntryId: 'entry-new',
+          reviewedBy: 'admin-1',
+        }),
+      },
+    );
+  });
+
+  it('links approved candidates to an existing duplicate instead of adding them again', async () => {
+    const { service, knowledgeBaseService } = createService({
+      existing: qaCandidate,
+      duplicate: { _id: 'qa-9', metadata: { question: '报销时限' } },
+    });
+
+    const [result] = await service.reviewCandidates({
+      ids: ['c-1'],
+      action: 'approve',
+      reviewer: { id: 'admin-1' },
+    });
+
+    expect(result).toEqual({ id: 'c-1', status: 'approved', entryId: 'qa-9', duplicate: true });
+    expect(knowledgeBaseService.addQAPair).not.toHaveBeenCalled();
+  });
+
+  it('rejects candidates without touching the knowledge base', async () => {
+    const { service, knowledgeBaseService } = createService({ existing: qaCandidate });
+
+    const [result] = await service.reviewCandidates({
+      ids: ['c-1'],
+      action: 'reject',
+      reviewer: { id: 'admin-1' },
+    });
+
+    expect(result).toEqual({ id: 'c-1', status: 'rejected' });
+    expect(knowledgeBaseService.checkDuplicateQA).not.toHaveBeenCalled();
+  });
+});
@@ -6,37 +6,282 @@
 const RAGService = require('./RAGService');
 const EmbeddingService = require('./EmbeddingService');
 const VectorDBService = require('./VectorDBService');
+const QueryPlannerService = require('./QueryPlannerService');
+const SharedKnowledgeBaseService = require('./SharedKnowledgeBaseService');
+const { Tokenizer } = require('@aipyq/api');
 const { logger } = require('~/config');
 
+/** 知识库引用标记的类型名，对应前端引用解析中的 kb 类型 */
+const CITATION_REF_TYPE = 'kb';
+/** 来源摘要的最大长度 */
+const SNIPPET_MAX_LENGTH = 200;
+/** 文件分块的知识类型 */
+const FILE_TYPE = 'file';
+/** 智能体重排模式：none 不重排，standard 重排，enhanced 重排并按类型、时效加权 */
+const RerankingModes = { NONE: 'none', STANDARD: 'standard', ENHANCED: 'enhanced' };
+/** 知识上下文占模型上下文窗口的默认比例 */
+const CONTEXT_WINDOW_RATIO = 0.25;
+/** 无法获知模型上下文窗口时的知识上下文预算（token） */
+const DEFAULT_CONTEXT_TOKENS = 1000;
+/** 计算 token 的默认编码，与 AgentClient.getEncoding 一致 */
+const DEFAULT_ENCODING = 'o200k_base';
+/** 剩余预算低于该值时不再截断写入单条知识 */
+const MIN_TRUNCATED_TOKENS = 100;
+/** 合并相邻分块时检测重叠的最大字符数 */
+const MAX_OVERLAP_CHARS = 500;
+
+/**
+ * 生成第 index 条检索结果的引用标记（字面量 \ue202turn0kb{index}，与网页/文件检索的锚点格式一致）
+ * @param {number} index - 结果序号（从 0 开始）
+ * @returns {string}
+ */
+const citationAnchor = (index) => `\\ue202turn0${CITATION_REF_TYPE}${index}`;
+
+const CONTEXT_HEADER = '【相关知识库内容】\n\n';
+
+const CITATION_INSTRUCTIONS = [
+  '引用要求：回答中用到上述知识时，在相应语句后紧跟该条知识的引用标记（原样输出，不要改写）。',
+  `- 单条引用："报销需在30天内提交。${citationAnchor(0)}"`,
+  `- 多条引用："\\ue200${citationAnchor(0)}${citationAnchor(1)}\\ue201"`,
+  '不要使用 Markdown 链接或脚注，未用到的知识不要引用。',
+].join('\n');
+
+const getContent = (result) => result.content || result.text || result.pageContent || '';
+const getFileId = (result) => result.fileId || result.metadata?.file_id;
+const getChunkIndex = (result) => result.chunkIndex ?? result.metadata?.chunk_index;
+
+/**
+ * 将智能体配置的知识类型拆分为知识条目类型与是否检索文件
+ * @param {string[]} [configTypes] - 智能体 rag.types，为空时检索全部类型
+ * @returns {{ types: string[] | undefined, includeFiles: boolean }}
+ */
+const splitKnowledgeTypes = (configTypes) => {
+  if (!configTypes?.length) {
+    return { types: undefined, includeFiles: true };
+  }
+  return {
+    types: configTypes.filter((type) => type !== FILE_TYPE),
+    includeFiles: configTypes.includes(FILE_TYPE),
+  };
+};
+
+/**
+ * 检索结果的唯一标识：知识条目按条目ID，文件块按文件ID与块序号
+ * @param {Object} result - 检索结果
+ * @returns {string}
+ */
+const resultKey = (result) => {
+  if (result.entryId) {
+    return `entry:${result.entryId}`;
+  }
+  const fileId = result.fileId || result.metadata?.file_id;
+  if (fileId) {
+    return `file:${fileId}:${result.chunkIndex ?? result.metadata?.chunk_index}`;
+  }
+  return `content:${result.content || result.text || ''}`;
+};
+
+/**
+ * 合并多条查询的检索结果：同一条目保留最高分，按分数降序取前 topK 条
+ * @param {Array<Array<Object>>} resultLists - 每条查询的检索结果
+ * @param {number} topK - 保留条数
+ * @returns {Array<Object>}
+ */
+function mergeResults(resultLists, topK) {
+  const merged = new Map();
+  for (const results of resultLists) {
+    for (const result of results || []) {
+      const key = resultKey(result);
+      const existing = merged.get(key);
+      if (!existing || (result.score || 0) > (existing.score || 0)) {
+        merged.set(key, result);
+      }
+    }
+  }
+  return [...merged.values()].sort((a, b) => (b.score || 0) - (a.score || 0)).slice(0, topK);
+}
+
+/**
+ * 去除内容被更高分结果完整包含的结果（如分块重叠、不同分块策略产生的重复片段）
+ * @param {Array<Object>} results - 按优先级降序排列的检索结果
+ * @returns {Array<Object>}
+ */
+function dedupeResults(results) {
+  const kept = [];
+  const keptContents = [];
+  for (const result of results) {
+    const content = getContent(result).replace(/\s+/g, ' ').trim();
+    if (content && keptContents.some((existing) => existing.includes(content))) {
+      continue;
+    }
+    kept.push(result);
+    keptContents.push(content);
+  }
+  return kept;
+}
+
+/**
+ * a 的后缀与 b 的前缀重叠的字符数（分块时相邻块之间保留的重叠部分）
+ * @param {string} a - 前一块
+ * @param {string} b - 后一块
+ * @returns {number}
+ */
+function overlapLength(a, b) {
+  for (let length = Math.min(a.length, b.length, MAX_OVERLAP_CHARS); length > 0; length--) {
+    if (a.endsWith(b.slice(0, length))) {
+      return length;
+    }
+  }
+  return 0;
+}
+
+/**
+ * 将同一文件中块序号连续的分块合并为一条，去掉块间重叠，分数取最高分
+ * 合并后的结果按分数重新排序，同分时保持原有顺序
+ * @param {Array<Object>} results - 按优先级降序排列的检索结果
+ * @returns {Array<Object>}
+ */
+function mergeAdjacentChunks(results) {
+  const groups = new Map();
+  results.forEach((result, order) => {
+    const fileId = getFileId(result);
+    const chunkIndex = getChunkIndex(result);
+    if (result.type === FILE_TYPE && fileId && Number.isInteger(chunkIndex)) {
+      const group = groups.get(fileId) || [];
+      group.push({ result, order, chunkIndex });
+      groups.set(fileId, group);
+    }
+  });
+
+  const merged = [];
+  const consumed = new Set();
+  for (const group of groups.values()) {
+    group.sort((a, b) => a.chunkIndex - b.chunkIndex);
+    let run = [group[0]];
+    const flush = () => {
+      if (run.length > 1) {
+        run.forEach(({ order }) => consumed.add(order));
+        merged.push(mergeRun(run));
+      }
+    };
+    for (const item of group.slice(1)) {
+      const last = run[run.length - 1];
+      if (item.chunkIndex === last.chunkIndex) {
+        continue;
+      }
+      if (item.chunkIndex !== last.chunkIndex + 1) {
+        flush();
+        run = [];
+      }
+      run.push(item);
+    }
+    flush();
+  }
+
+  return [
+    ...results
+      .map((result, order) => ({ result, order }))
+      .filter(({ order }) => !consumed.has(order)),
+    ...merged,
+  ]
+    .sort((a, b) => (b.result.score || 0) - (a.result.score || 0) || a.order - b.order)
+    .map(({ result }) => result);
+}
+
+/**
+ * 合并一组连续分块
+ * @param {Array<{ result: Object, order: number, chunkIndex: number }>} run - 按块序号排列的分块
+ * @returns {{ result: Object, order: number }}
+ */
+function mergeRun(run) {
+  const best = run.reduce((a, b) => ((b.result.score || 0) > (a.result.score || 0) ? b : a));
+  let content = getContent(run[0].result);
+  for (const { result } of run.slice(1)) {
+    const next = getContent(result);
+    const overlap = overlapLength(content, next);
+    content += overlap > 0 ? next.slice(overlap) : `\n${next}`;
+  }
+
+  const pages = run
+    .flatMap(({ result }) => [
+      result.page || result.metadata?.page || result.metadata?.page_start,
+      result.pageEnd || result.metadata?.page_end,
+    ])
+    .filter(Number.isFinite);
+  const first = run[0].result;
+  return {
+    order: Math.min(...run.map(({ order }) => order)),
+    result: {
+      ...best.result,
+      content,
+      chunkIndex: run[0].chunkIndex,
+      chunkIndexEnd: run[run.length - 1].chunkIndex,
+      page: pages.length > 0 ? Math.min(...pages) : undefined,
+      pageEnd: pages.length > 0 ? Math.max(...pages) : undefined,
+      sectionTitle: first.sectionTitle || first.metadata?.section_title,
+    },
+  };
+}
+
+/**
+ * 将文本截断到不超过 maxTokens 个 token（二分查找保留的字符数）
+ * @param {string} text - 文本
+ * @param {number} maxTokens - token 上限
+ * @param {(text: string) => number} countTokens - token 计数函数
+ * @returns {string}
+ */
+function truncateToTokens(text, maxTokens, countTokens) {
+  let low = 0;
+  let high = text.length;
+  while (low < high) {
+    const mid = Math.ceil((low + high) / 2);
+    if (countTokens(text.slice(0, mid)) <= maxTokens) {
+      low = mid;
+    } else {
+      high = mid - 1;
+    }
+  }
+  return text.slice(0, low);
+}
+
 class ConversationRAGService {
   constructor() {
     this.ragService = new RAGService();
     this.embeddingService = new EmbeddingService();
     this.vectorDBService = new VectorDBService();
+    this.queryPlanner = new QueryPlannerService({ embeddingService: this.embeddingService });
+    this.sharedKnowledgeBaseService = new SharedKnowledgeBaseService();
     
     // 默认配置
     this.defaultConfig = {
       enabled: true,
       topK: 5,
       minScore: 0.5,
-      maxContextLength: 2000,
+      maxContextTokens: DEFAULT_CONTEXT_TOKENS,
+      encoding: DEFAULT_ENCODING,
       useReranking: false,
+      enhancedReranking: false,
     };
   }
 
   /**
    * 在对话中检索相关知识
+   * 先由检索规划器结合对话历史改写问题、判断是否需要检索，再对规划出的每条查询分别检索并合并结果
    * @param {Object} params
    * @param {string} params.query - 用户问题
+   * @param {Array<{ role: string, text: string }>} [params.history] - 问题之前的对话，用于改写追问
    * @param {string} params.userId - 用户ID
+   * @param {string} [params.userRole] - 用户角色，用于校验共享知识库权限
    * @param {string} params.agentId - 智能体ID
    * @param {string[]} params.fileIds - 可选的文件ID列表
    * @param {Object} params.config - 可选的配置覆盖
-   * @returns {Promise<Object>} 检索结果
+   * @returns {Promise<Object>} 检索结果，plan 为本次检索计划（改写后的查询等，便于调试）
    */
   async retrieveForConversation({
     query,
+    history = [],
     userId,
+    userRole,
     agentId,
     fileIds,
     config = {},
@@ -44,46 +289,80 @@ class ConversationRAGService {
     const finalConfig = { ...this.defaultConfig, ...config };
     
     if (!finalConfig.enabled) {
-      return { results: [], context: '', enabled: false };
+      return { results: [], context: '', sources: [], enabled: false };
     }
 
     try {
       logger.info(`[ConversationRAG] 开始对话检索: "${query.substring(0, 50)}..."`);
+
+      const knowledgeBaseIds = await this.resolveKnowledgeBaseIds({
+        userId,
+        userRole,
+        knowledgeBaseIds: finalConfig.knowledgeBaseIds,
+      });
+
+      const plan = await this.queryPlanner.plan({ query, history, userId, knowledgeBaseIds });
+      logger.info(
+        `[ConversationRAG] 检索计划(${plan.method}) - 检索: ${plan.shouldRetrieve}, 查询: ${JSON.stringify(plan.queries)}`,
+      );
+      if (!plan.shouldRetrieve) {
+        return { results: [], context: '', sources: [], enabled: true, skipped: true, plan };
+      }
       
       // 使用 RAGService 进行检索
-      // 如果智能体没有关联文件，则不使用 entityId 隔离，检索用户的全局知识库
+      // 智能体绑定了实体ID时按每个实体分别检索；否则有关联文件时按智能体ID隔离，没有时检索用户的全局知识库
       const useEntityId = fileIds && fileIds.length > 0;
-      logger.info(`[ConversationRAG] 检索配置 - userId: ${userId}, agentId: ${agentId}, useEntityId: ${useEntityId}, fileIds: ${fileIds?.length || 0}`);
-      
-      const ragResult = await this.ragService.query({
-        query,
-        userId,
-        options: {
-          entityId: useEntityId ? agentId : undefined,  // 没有关联文件时不使用数据源隔离
-          fileIds,
-          topK: finalConfig.topK,
-          useReranking: finalConfig.useReranking,
-          minScore: finalConfig.minScore,
-        },
-      });
+      const entityIds = finalConfig.entityIds?.length
+        ? finalConfig.entityIds
+        : [useEntityId ? agentId : undefined];
+      const { types, includeFiles } = splitKnowledgeTypes(finalConfig.types);
+      logger.info(`[ConversationRAG] 检索配置 - userId: ${userId}, agentId: ${agentId}, entityIds: ${JSON.stringify(entityIds)}, types: ${JSON.stringify(finalConfig.types || '全部')}, fileIds: ${fileIds?.length || 0}`);
 
-      // 过滤低分结果
-      const filteredResults = ragResult.results.filter(
-        r => (r.score || r.similarity || 0) >= finalConfig.minScore
+      const ragResults = await Promise.all(
+        plan.queries.flatMap(({ text }) =>
+          entityIds.map((entityId) =>
+            this.ragService.query({
+              query: text,
+              userId,
+              options: {
+                entityId,
+                fileIds,
+                types,
+                includeFiles,
+                topK: finalConfig.topK,
+                useReranking: finalConfig.useReranking,
+                enhancedReranking: finalConfig.enhancedReranking,
+                minScore: finalConfig.minScore,
+                knowledgeBaseIds,
+              },
+            }),
+          ),
+        ),
       );
 
-      // 构建上下文
-      const context = this.buildContext(filteredResults, finalConfig.maxContextLength);
+      // 合并多条查询的结果并过滤低分结果
+      const filteredResults = mergeResults(
+        ragResults.map((ragResult) => ragResult.results),
+        finalConfig.topK,
+      ).filter((r) => (r.score || r.similarity || 0) >= finalConfig.minScore);
+
+      // 构建上下文，sources 只包含实际写入上下文的条目
+      const { context, sources } = this.buildContext(filteredResults, {
+        maxTokens: finalConfig.maxContextTokens,
+        encoding: finalConfig.encoding,
+      });
 
       logger.info(`[ConversationRAG] 检索完成: 找到 ${filteredResults.length} 条相关知识`);
 
       return {
         results: filteredResults,
         context,
+        sources,
         enabled: true,
+        plan,
         metadata: {
           query,
-          totalResults: ragResult.total,
+          totalResults: ragResults.reduce((sum, ragResult) => sum + (ragResult.total || 0), 0),
           filteredResults: filteredResults.length,
           config: finalConfig,
         },
@@ -93,12 +372,38 @@ class ConversationRAGService {
       return {
         results: [],
         context: '',
+        sources: [],
         enabled: true,
         error: error.message,
       };
     }
   }
 
+  /**
+   * 按当前用户的 ACL 过滤智能体绑定的共享知识库
+   * 未绑定时返回 undefined（检索私有知识）；绑定了但用户无权查看时返回空数组，不回退到私有知识
+   * @param {Object} params
+   * @param {string} params.userId - 用户ID
+   * @param {string} [params.userRole] - 用户角色
+   * @param {string[]} [params.knowledgeBaseIds] - 智能体绑定的知识库ID
+   * @returns {Promise<string[]|undefined>}
+   */
+  async resolveKnowledgeBaseIds({ userId, userRole, knowledgeBaseIds }) {
+    if (!knowledgeBaseIds?.length) {
+      return undefined;
+    }
+    const accessible = await this.sharedKnowledgeBaseService.filterAccessibleIds({
+      user: { id: userId, role: userRole },
+      knowledgeBaseIds,
+    });
+    if (accessible.length < knowledgeBaseIds.length) {
+      logger.warn(
+        `[ConversationRAG] 用户 ${userId} 无权访问部分绑定的知识库，可用: ${accessible.length}/${knowledgeBaseIds.length}`,
+      );
+    }
+    return accessible;
+  }
+
   /**
    * 快速检索（跳过重排序）
    */
@@ -117,96 +422,161 @@ class ConversationRAGService {
 
   /**
    * 构建上下文字符串
-   * @param {Array} results - 检索结果
-   * @param {number} maxLength - 最大长度
-   * @returns {string} 格式化的上下文
+   * 先去除重复片段、合并同一文件的相邻分块，再按优先级（分数）在 token 预算内装入整条知识；
+   * 放不下的条目跳过，尝试后续较短的条目。每条知识带有引用标记，并附带引用说明
+   * @param {Array} results - 按分数降序排列的检索结果
+   * @param {Object} [options]
+   * @param {number} [options.maxTokens] - 知识上下文的 token 预算（含引用说明）
+   * @param {string} [options.encoding] - token 编码
+   * @returns {{ context: string, sources: Array<Object> }} 格式化的上下文及写入上下文的来源
    */
-  buildContext(results, maxLength = 2000) {
+  buildContext(results, { maxTokens = DEFAULT_CONTEXT_TOKENS, encoding = DEFAULT_ENCODING } = {}) {
     if (!results || results.length === 0) {
-      return '';
+      return { context: '', sources: [] };
     }
 
-    let context = '【相关知识库内容】\n\n';
-    let currentLength = context.length;
-
-    for (let i = 0; i < results.length; i++) {
-      const result = results[i];
-      const content = result.content || result.text || result.pageContent || '';
-      const source = result.source || result.metadata?.source || '未知来源';
-      const score = (result.score || result.similarity || 0).toFixed(2);
+    const countTokens = (text) => Tokenizer.getTokenCount(text, encoding);
+    const candidates = mergeAdjacentChunks(dedupeResults(results));
+    let remaining = maxTokens - countTokens(CONTEXT_HEADER) - countTokens(CITATION_INSTRUCTIONS);
+    const entries = [];
+    const sources = [];
 
-      const entry = `[${i + 1}] (相关度: ${score})\n来源: ${source}\n内容: ${content}\n\n`;
+    for (const result of candidates) {
+      const entry = this.formatEntry(result, sources.length);
+      const tokens = countTokens(entry);
+      if (tokens > remaining) {
+        continue;
+      }
+      entries.push(entry);
+      sources.push(this.buildSource(result, sources.length));
+      remaining -= tokens;
+    }
 
-      if (currentLength + entry.length > maxLength) {
-        // 截断并添加提示
-        const remainingSpace = maxLength - currentLength - 50;
-        if (remainingSpace > 100) {
-          context += entry.substring(0, remainingSpace) + '...(已截断)\n';
-        }
-        break;
+    // 最相关的一条超出整个预算时，截断写入，避免丢掉全部知识
+    if (sources.length === 0 && remaining >= MIN_TRUNCATED_TOKENS) {
+      const [top] = candidates;
+      const suffix = '...(已截断)\n\n';
+      const prefix = this.formatEntry({ ...top, content: '' }, 0).replace(/\n\n$/, '');
+      const budget = remaining - countTokens(prefix) - countTokens(suffix);
+      const content = truncateToTokens(getContent(top), budget, countTokens);
+      if (content) {
+        entries.push(`${prefix}${content}${suffix}`);
+        sources.push(this.buildSource(top, 0));
       }
+    }
 
-      context += entry;
-      currentLength += entry.length;
+    if (sources.length === 0) {
+      return { context: '', sources: [] };
     }
 
-    return context;
+    logger.debug(
+      `[ConversationRAG] 知识上下文: ${sources.length}/${candidates.length} 条，预算 ${maxTokens} tokens，剩余 ${remaining}`,
+    );
+    return { context: CONTEXT_HEADER + entries.join('') + CITATION_INSTRUCTIONS, sources };
   }
 
   /**
-   * 判断是否应该进行 RAG 检索
-   * @param {string} query - 用户问题
-   * @returns {boolean}
+   * 格式化写入上下文的单条知识
+   * @param {Object} result - 检索结果
+   * @param {number} index - 序号，与引用标记一致
+   * @returns {string}
    */
-  shouldRetrieve(query) {
-    if (!query || query.trim().length < 2) {
-      return false;
-    }
-
-    // 过滤一些简单的问候语和确认语
-    const skipPatterns = [
-      /^(你好|您好|hi|hello|hey)[\s!！。.]*$/i,
-      /^(好的|ok|okay|是的|对|嗯|行|可以|明白|了解|知道了|收到)[\s!！。.]*$/i,
-      /^(谢谢|感谢|thanks|thank you)[\s!！。.]*$/i,
-      /^(再见|拜拜|bye|goodbye)[\s!！。.]*$/i,
-      /^暂时没有/i,
-      /^没有了/i,
-      /^继续/i,
-      /^开始/i,
-    ];
-
-    for (const pattern of skipPatterns) {
-      if (pattern.test(query.trim())) {
-        logger.debug(`[ConversationRAG] 跳过简单问候/确认: "${query}"`);
-        return false;
-      }
-    }
+  formatEntry(result, index) {
+    const source = result.source || result.metadata?.source || '未知来源';
+    const score = (result.score || result.similarity || 0).toFixed(2);
+    return `[${index + 1}] (相关度: ${score})\n引用标记: ${citationAnchor(index)}\n来源: ${source}\n内容: ${getContent(result)}\n\n`;
+  }
+
+  /**
+   * 将单条检索结果转换为消息中展示的结构化来源
+   * @param {Object} result - 检索结果（RAGService.formatResults 的输出）
+   * @param {number} index - 结果在上下文中的序号，与引用标记一致
+   * @returns {Object} 来源
+   */
+  buildSource(result, index) {
+    const metadata = result.metadata || {};
+    const content = result.content || result.text || result.pageContent || '';
+    const fileId = result.fileId || metadata.file_id;
+    const fileName = result.filename || metadata.filename;
+    const page = result.page || metadata.page || metadata.page_start;
 
-    return true;
+    return {
+      index,
+      entryType: result.type,
+      entryId: result.entryId,
+      title: result.title || fileName || '未命名',
+      fileId,
+      fileName,
+      page: page || undefined,
+      pageEnd: result.pageEnd || metadata.page_end || undefined,
+      sectionTitle: result.sectionTitle || metadata.section_title,
+      chunkIndex: result.chunkIndex ?? metadata.chunk_index,
+      chunkIndexEnd: result.chunkIndexEnd,
+      score: result.score || result.similarity || 0,
+      snippet:
+        content.length > SNIPPET_MAX_LENGTH ? `${content.slice(0, SNIPPET_MAX_LENGTH)}...` : content,
+      content,
+    };
   }
 
   /**
    * 从智能体配置中提取 RAG 配置
-   * @param {Object} agent - 智能体对象
+   * @param {Object} agent - 智能体对象，rag 字段见 AgentRAGConfig
    * @returns {Object} RAG 配置
    */
   getAgentRAGConfig(agent) {
     // 获取智能体关联的文件
     const fileIds = agent?.file_ids || agent?.fileIds || [];
-    
+    const rag = agent?.rag || {};
+
     // 检查智能体是否显式禁用了 RAG
     // 默认启用 RAG（即使没有关联文件，也可以检索全局知识库）
-    const ragEnabled = agent?.rag?.enabled !== false;
+    const ragEnabled = rag.enabled !== false;
+
+    // 兼容旧的 useReranking 布尔配置
+    const reranking =
+      rag.reranking || (rag.useReranking ? RerankingModes.STANDARD : undefined);
 
     return {
       ...this.defaultConfig,
       enabled: ragEnabled,  // 不再要求必须有关联文件
       fileIds,
-      topK: agent?.rag?.topK || this.defaultConfig.topK,
-      minScore: agent?.rag?.minScore || this.defaultConfig.minScore,
-      useReranking: agent?.rag?.useReranking || this.defaultConfig.useReranking,
+      types: Array.isArray(rag.types) && rag.types.length > 0 ? rag.types : undefined,
+      entityIds: Array.isArray(rag.entityIds) ? rag.entityIds.filter(Boolean) : [],
+      knowledgeBaseIds: Array.isArray(rag.knowledgeBaseIds)
+        ? rag.knowledgeBaseIds.filter(Boolean)
+        : [],
+      topK: rag.topK || this.defaultConfig.topK,
+      minScore: rag.minScore ?? this.defaultConfig.minScore,
+      useReranking: reranking
+        ? reranking !== RerankingModes.NONE
+        : this.defaultConfig.useReranking,
+      enhancedReranking: reranking === RerankingModes.ENHANCED,
+      maxContextTokens: this.getContextBudget(agent),
     };
   }
+
+  /**
+   * 计算知识上下文的 token 预算
+   * 优先使用智能体 rag.maxContextTokens；否则按模型上下文窗口（agent.maxContextTokens）的
+   * rag.contextRatio（默认 CONTEXT_WINDOW_RATIO）计算；两者都没有时使用默认预算
+   * @param {Object} agent - 智能体对象
+   * @returns {number}
+   */
+  getContextBudget(agent) {
+    const rag = agent?.rag || {};
+    if (rag.maxContextTokens > 0) {
+      return Math.floor(rag.maxContextTokens);
+    }
+    if (!(agent?.maxContextTokens > 0)) {
+      return this.defaultConfig.maxContextTokens;
+    }
+    const ratio = rag.contextRatio > 0 && rag.contextRatio < 1 ? rag.contextRatio : CONTEXT_WINDOW_RATIO;
+    return Math.floor(agent.maxContextTokens * ratio);
+  }
 }
 
 module.exports = ConversationRAGService;
+module.exports.mergeResults = mergeResults;
+module.exports.dedupeResults = dedupeResults;
+module.exports.mergeAdjacentChunks = mergeAdjacentChunks;
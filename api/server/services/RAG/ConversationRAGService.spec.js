@@ -0,0 +1,348 @@
+jest.mock('~/config', () => ({
+  logger: {
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn(),
+  },
+}));
+jest.mock('@aipyq/data-schemas', () => ({
+  logger: {
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn(),
+  },
+}));
+// 以字符数作为 token 数，便于计算预算
+jest.mock('@aipyq/api', () => ({
+  Tokenizer: { getTokenCount: jest.fn((text) => text.length) },
+}));
+jest.mock('./RAGService', () => jest.fn());
+jest.mock('./SharedKnowledgeBaseService', () => jest.fn());
+jest.mock('./EmbeddingService', () => jest.fn());
+jest.mock('./VectorDBService', () => jest.fn());
+
+const ConversationRAGService = require('./ConversationRAGService');
+const { dedupeResults, mergeAdjacentChunks } = ConversationRAGService;
+
+const fileChunk = {
+  type: 'file',
+  title: '报销制度.pdf',
+  content: '差旅报销需在出差结束后30天内提交。',
+  score: 0.82,
+  fileId: 'file-1',
+  filename: '报销制度.pdf',
+  page: 3,
+  pageEnd: 4,
+  sectionTitle: '第二章 差旅',
+  chunkIndex: 5,
+  metadata: {},
+};
+
+const qaEntry = {
+  type: 'qa_pair',
+  title: '报销时限',
+  content: '问：报销时限？答：30天。',
+  score: 0.61,
+  entryId: 'entry-1',
+  metadata: {},
+};
+
+describe('ConversationRAGService.buildContext', () => {
+  const service = new ConversationRAGService();
+
+  it('labels each entry with a citation anchor and returns matching sources', () => {
+    const { context, sources } = service.buildContext([fileChunk, qaEntry]);
+
+    expect(context).toContain('引用标记: \\ue202turn0kb0');
+    expect(context).toContain('引用标记: \\ue202turn0kb1');
+    expect(context).toContain('引用要求');
+    expect(sources).toEqual([
+      expect.objectContaining({
+        index: 0,
+        entryType: 'file',
+        title: '报销制度.pdf',
+        fileId: 'file-1',
+        fileName: '报销制度.pdf',
+        page: 3,
+        pageEnd: 4,
+        sectionTitle: '第二章 差旅',
+        chunkIndex: 5,
+        score: 0.82,
+        content: fileChunk.content,
+      }),
+      expect.objectContaining({ index: 1, entryType: 'qa_pair', entryId: 'entry-1' }),
+    ]);
+  });
+
+  it('packs whole entries by priority and skips the ones that exceed the token budget', () => {
+    const long = {
+      ...qaEntry,
+      entryId: 'entry-long',
+      score: 0.7,
+      content: '很长的内容'.repeat(100),
+    };
+    const { context: expected } = service.buildContext([fileChunk, qaEntry]);
+
+    const { context, sources } = service.buildContext([fileChunk, long, qaEntry], {
+      maxTokens: expected.length + 10,
+    });
+
+    expect(context).toBe(expected);
+    expect(context).not.toContain('...(已截断)');
+    expect(sources.map(({ index, entryId }) => [index, entryId])).toEqual([
+      [0, undefined],
+      [1, 'entry-1'],
+    ]);
+  });
+
+  it('truncates the top entry only when no entry fits the budget', () => {
+    const long = { ...qaEntry, content: '很长的内容'.repeat(200) };
+    const { context, sources } = service.buildContext([long], { maxTokens: 600 });
+
+    expect(context).toContain('...(已截断)');
+    expect(context.length).toBeLessThanOrEqual(600);
+    expect(sources).toHaveLength(1);
+    expect(service.buildContext([long], { maxTokens: 250 })).toEqual({ context: '', sources: [] });
+  });
+
+  it('returns an empty context without citation instructions when nothing was retrieved', () => {
+    expect(service.buildContext([])).toEqual({ context: '', sources: [] });
+  });
+});
+
+describe('context deduplication and chunk merging', () => {
+  const chunk = (chunkIndex, content, score, extra = {}) => ({
+    ...fileChunk,
+    chunkIndex,
+    content,
+    score,
+    page: chunkIndex + 1,
+    pageEnd: undefined,
+    ...extra,
+  });
+
+  it('drops results whose content is contained in a higher-ranked result', () => {
+    const results = [
+      chunk(1, '差旅报销需在出差结束后30天内提交，逾期不予报销。', 0.9),
+      { ...qaEntry, content: '差旅报销需在出差结束后30天内提交' },
+      chunk(7, '住宿标准', 0.5),
+    ];
+
+    expect(dedupeResults(results)).toEqual([results[0], results[2]]);
+  });
+
+  it('merges consecutive chunks of the same file and removes their overlap', () => {
+    const results = [
+      chunk(3, '第三块结尾的重叠文本', 0.6),
+      qaEntry,
+      chunk(2, '第二块内容。第三块结尾', 0.8),
+      chunk(4, '第四块', 0.55),
+      chunk(6, '第六块', 0.9),
+      chunk(3, '另一个文件的块', 0.7, { fileId: 'file-2' }),
+    ];
+
+    const merged = mergeAdjacentChunks(results);
+
+    expect(merged.map(({ content }) => content)).toEqual([
+      '第六块',
+      '第二块内容。第三块结尾的重叠文本\n第四块',
+      '另一个文件的块',
+      qaEntry.content,
+    ]);
+    expect(merged[1]).toMatchObject({
+      score: 0.8,
+      chunkIndex: 2,
+      chunkIndexEnd: 4,
+      page: 3,
+      pageEnd: 5,
+    });
+  });
+});
+
+describe('ConversationRAGService.getAgentRAGConfig', () => {
+  const service = new ConversationRAGService();
+
+  it('derives the context token budget from the model context window', () => {
+    expect(service.getAgentRAGConfig({ maxContextTokens: 100000 }).maxContextTokens).toBe(25000);
+    expect(
+      service.getAgentRAGConfig({ maxContextTokens: 100000, rag: { contextRatio: 0.1 } })
+        .maxContextTokens,
+    ).toBe(10000);
+    expect(
+      service.getAgentRAGConfig({ maxContextTokens: 100000, rag: { maxContextTokens: 3000 } })
+        .maxContextTokens,
+    ).toBe(3000);
+    expect(service.getAgentRAGConfig({}).maxContextTokens).toBe(1000);
+  });
+
+  it('maps the agent rag settings to retrieval options', () => {
+    expect(
+      service.getAgentRAGConfig({
+        rag: {
+          enabled: false,
+          types: ['qa_pair', 'file'],
+          entityIds: ['ds-1', ''],
+          knowledgeBaseIds: ['kb-1', null],
+          topK: 8,
+          minScore: 0,
+          reranking: 'enhanced',
+        },
+      }),
+    ).toMatchObject({
+      enabled: false,
+      types: ['qa_pair', 'file'],
+      entityIds: ['ds-1'],
+      knowledgeBaseIds: ['kb-1'],
+      topK: 8,
+      minScore: 0,
+      useReranking: true,
+      enhancedReranking: true,
+    });
+    expect(service.getAgentRAGConfig({ rag: { useReranking: true } })).toMatchObject({
+      types: undefined,
+      entityIds: [],
+      knowledgeBaseIds: [],
+      minScore: 0.5,
+      useReranking: true,
+      enhancedReranking: false,
+    });
+    expect(service.getAgentRAGConfig({ rag: { reranking: 'none' } }).useReranking).toBe(false);
+  });
+});
+
+describe('ConversationRAGService.buildSource', () => {
+  it('falls back to vector metadata and truncates the snippet', () => {
+    const service = new ConversationRAGService();
+    const source = service.buildSource(
+      {
+        type: 'file',
+        content: '内容'.repeat(200),
+        score: 0.7,
+        metadata: { file_id: 'file-2', filename: 'a.docx', page_start: 2, chunk_index: 0 },
+      },
+      0,
+    );
+
+    expect(source).toMatchObject({
+      title: 'a.docx',
+      fileId: 'file-2',
+      fileName: 'a.docx',
+      page: 2,
+      chunkIndex: 0,
+    });
+    expect(source.snippet).toHaveLength(203);
+    expect(source.content).toHaveLength(400);
+  });
+});
+
+describe('ConversationRAGService.retrieveForConversation', () => {
+  const createService = (plan, resultLists) => {
+    const service = new ConversationRAGService();
+    service.queryPlanner = { plan: jest.fn(async () => plan) };
+    service.ragService = {
+      query: jest.fn(async ({ query }) => ({
+        results: resultLists[query] || [],
+        total: (resultLists[query] || []).length,
+      })),
+    };
+    return service;
+  };
+
+  it('queries every planned query and keeps the best score per entry', async () => {
+    const plan = {
+      shouldRetrieve: true,
+      method: 'llm',
+      rewrittenQuery: '差旅报销时限',
+      queries: [
+        { text: '差旅报销时限', kind: 'rewrite' },
+        { text: '出差 报销 截止', kind: 'sub' },
+      ],
+    };
+    const service = createService(plan, {
+      差旅报销时限: [fileChunk, { ...qaEntry, score: 0.55 }],
+      '出差 报销 截止': [
+        { ...fileChunk, score: 0.9 },
+        qaEntry,
+        { ...qaEntry, entryId: 'entry-2', score: 0.3 },
+      ],
+    });
+
+    const result = await service.retrieveForConversation({
+      query: '那报销呢？',
+      history: [{ role: 'user', text: '差旅标准' }],
+      userId: 'user-1',
+      agentId: 'agent-1',
+    });
+
+    expect(service.queryPlanner.plan).toHaveBeenCalledWith({
+      query: '那报销呢？',
+      history: [{ role: 'user', text: '差旅标准' }],
+      userId: 'user-1',
+    });
+    expect(service.ragService.query).toHaveBeenCalledTimes(2);
+    expect(result.results.map(({ score }) => score)).toEqual([0.9, 0.61]);
+    expect(result.plan).toBe(plan);
+    expect(result.metadata.totalResults).toBe(5);
+  });
+
+  it('searches each bound entity with the configured knowledge types', async () => {
+    const plan = {
+      shouldRetrieve: true,
+      method: 'local',
+      queries: [{ text: '报销时限', kind: 'rewrite' }],
+    };
+    const service = createService(plan, { 报销时限: [qaEntry] });
+
+    await service.retrieveForConversation({
+      query: '报销时限',
+      userId: 'user-1',
+      agentId: 'agent-1',
+      config: { entityIds: ['ds-1', 'ds-2'], types: ['file'], enhancedReranking: true },
+    });
+
+    const options = service.ragService.query.mock.calls.map(([{ options }]) => options);
+    expect(options.map(({ entityId }) => entityId)).toEqual(['ds-1', 'ds-2']);
+    expect(options[0]).toMatchObject({ types: [], includeFiles: true, enhancedReranking: true });
+  });
+
+  it('searches only the bound knowledge bases the user can view', async () => {
+    const plan = {
+      shouldRetrieve: true,
+      method: 'local',
+      queries: [{ text: '报销时限', kind: 'rewrite' }],
+    };
+    const service = createService(plan, { 报销时限: [qaEntry] });
+    service.sharedKnowledgeBaseService = {
+      filterAccessibleIds: jest.fn(async ({ knowledgeBaseIds }) => knowledgeBaseIds.slice(0, 1)),
+    };
+
+    await service.retrieveForConversation({
+      query: '报销时限',
+      userId: 'user-1',
+      userRole: 'USER',
+      agentId: 'agent-1',
+      config: { knowledgeBaseIds: ['kb-1', 'kb-2'] },
+    });
+
+    expect(service.sharedKnowledgeBaseService.filterAccessibleIds).toHaveBeenCalledWith({
+      user: { id: 'user-1', role: 'USER' },
+      knowledgeBaseIds: ['kb-1', 'kb-2'],
+    });
+    expect(service.queryPlanner.plan).toHaveBeenCalledWith(
+      expect.objectContaining({ knowledgeBaseIds: ['kb-1'] }),
+    );
+    expect(service.ragService.query.mock.calls[0][0].options.knowledgeBaseIds).toEqual(['kb-1']);
+  });
+
+  it('skips retrieval when the planner decides it is not needed', async () => {
+    const plan = { shouldRetrieve: false, method: 'local', queries: [] };
+    const service = createService(plan, {});
+
+    const result = await service.retrieveForConversation({ query: '谢谢', userId: 'user-1' });
+
+    expect(service.ragService.query).not.toHaveBeenCalled();
+    expect(result).toMatchObject({ results: [], context: '', skipped: true, plan });
+  });
+});
@@ -0,0 +1,81 @@
+/**
+ * 文件向量化与内容预览共用的文档格式识别
+ * 按 MIME 类型或扩展名判断（浏览器上传 CSV 时 MIME 类型经常不准确，扩展名优先兜底）
+ */
+const path = require('path');
+
+/** 文档格式 */
+const DocumentFormat = {
+  PDF: 'pdf',
+  WORD: 'word',
+  SPREADSHEET: 'spreadsheet',
+  PRESENTATION: 'presentation',
+  HTML: 'html',
+  TEXT: 'text',
+};
+
+const FORMATS = [
+  {
+    format: DocumentFormat.PDF,
+    mimeTypes: ['application/pdf'],
+    extensions: ['.pdf'],
+  },
+  {
+    format: DocumentFormat.WORD,
+    mimeTypes: [
+      'application/msword',
+      'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+    ],
+    extensions: ['.doc', '.docx'],
+  },
+  {
+    format: DocumentFormat.SPREADSHEET,
+    mimeTypes: [
+      'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+      'text/csv',
+      'application/csv',
+      'text/tab-separated-values',
+    ],
+    extensions: ['.xlsx', '.csv', '.tsv'],
+  },
+  {
+    format: DocumentFormat.PRESENTATION,
+    mimeTypes: ['application/vnd.openxmlformats-officedocument.presentationml.presentation'],
+    extensions: ['.pptx'],
+  },
+  {
+    format: DocumentFormat.HTML,
+    mimeTypes: ['text/html', 'application/xhtml+xml'],
+    extensions: ['.html', '.htm', '.xhtml'],
+  },
+  {
+    format: DocumentFormat.TEXT,
+    mimeTypes: ['text/plain', 'text/markdown'],
+    extensions: ['.txt', '.md'],
+  },
+];
+
+/**
+ * 识别文档格式
+ * @param {Object} params
+ * @param {string} [params.mimeType] - MIME 类型
+ * @param {string} [params.filename] - 文件名
+ * @returns {string|null} DocumentFormat 中的值；不支持时返回 null
+ */
+function detectDocumentFormat({ mimeType, filename }) {
+  const extension = path.extname(filename || '').toLowerCase();
+  const byExtension = FORMATS.find(({ extensions }) => extensions.includes(extension));
+  if (byExtension) {
+    return byExtension.format;
+  }
+  const type = String(mimeType || '')
+    .split(';')[0]
+    .trim()
+    .toLowerCase();
+  return FORMATS.find(({ mimeTypes }) => mimeTypes.includes(type))?.format ?? null;
+}
+
+module.exports = {
+  DocumentFormat,
+  detectDocumentFormat,
+};
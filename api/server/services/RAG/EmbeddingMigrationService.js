@@ -0,0 +1,495 @@
+const { logger } = require('@aipyq/data-schemas');
+const EmbeddingService = require('./EmbeddingService');
+const VectorDBService = require('./VectorDBService');
+const EmbeddingModelRegistry = require('./EmbeddingModelRegistry');
+const { KNOWN_MODELS, parseModelId } = EmbeddingModelRegistry;
+const { getEntryEmbeddingText } = require('./KnowledgeBaseService');
+
+/** 迁移期间新模型向量写入的影子表 */
+const SHADOW_TABLE = 'file_vectors_next';
+/** file_vectors 上需要随表切换重命名的索引（不含主键） */
+const INDEX_SUFFIXES = ['file_id', 'embedding_hnsw', 'search_tokens', 'embedding_model'];
+/** pgvector HNSW 索引支持的最大维度，超过时只能顺序扫描 */
+const HNSW_MAX_DIMENSION = 2000;
+/** 每批重新向量化的记录数 */
+const DEFAULT_BATCH_SIZE = parseInt(process.env.EMBEDDING_MIGRATION_BATCH_SIZE || '64', 10);
+/** 启动迁移前用于验证目标模型可用性与维度的探测文本 */
+const PROBE_TEXT = '向量模型迁移探测';
+
+/**
+ * 向量模型迁移服务
+ * 在线将文件向量和知识条目向量重新生成到新模型，迁移期间检索继续使用原模型：
+ * 1. files：文件向量按 id 顺序重新向量化，写入影子表 file_vectors_next（相同 id，新维度）
+ * 2. knowledge：知识条目的新向量暂存到 staged_embedding
+ * 3. catchup：补齐迁移期间新增/修改的记录
+ * 4. cutover：锁表补齐剩余记录后在同一事务内交换表，随后激活新模型并替换知识条目向量
+ * 原表保留为 file_vectors_retired_<时间戳>，确认无误后可手动删除
+ */
+class EmbeddingMigrationService {
+  /**
+   * @param {Object} [options]
+   * @param {EmbeddingService} [options.embeddingService] - 复用已有的向量化服务实例
+   * @param {VectorDBService} [options.vectorDBService] - 复用已有的向量数据库服务实例
+   * @param {EmbeddingModelRegistry} [options.modelRegistry] - 模型注册表
+   * @param {Object} [options.models] - 数据模型（测试时注入 KnowledgeEntry）
+   */
+  constructor({ embeddingService, vectorDBService, modelRegistry, models } = {}) {
+    this.embeddingService = embeddingService || new EmbeddingService();
+    this.vectorDBService = vectorDBService || new VectorDBService();
+    this.modelRegistry = modelRegistry || this.embeddingService.modelRegistry;
+    this.models = models;
+    this.job = null; // 本实例正在运行的迁移任务
+  }
+
+  getKnowledgeEntryModel() {
+    if (this.models?.KnowledgeEntry) {
+      return this.models.KnowledgeEntry;
+    }
+    const mongoose = require('mongoose');
+    if (!mongoose.models.KnowledgeEntry) {
+      throw new Error('KnowledgeEntry 模型未初始化');
+    }
+    return mongoose.models.KnowledgeEntry;
+  }
+
+  /**
+   * 获取模型列表与迁移状态
+   * @returns {Promise<{ active: Object, migrating: Object|null, models: Object[], known: Object[] }>}
+   */
+  async getStatus() {
+    const [active, migrating, models] = await Promise.all([
+      this.modelRegistry.getActiveModel({ refresh: true }),
+      this.modelRegistry.getMigratingModel(),
+      this.modelRegistry.listModels(),
+    ]);
+    return {
+      active,
+      migrating: migrating ? { ...migrating, runningHere: !!this.job } : null,
+      models,
+      known: KNOWN_MODELS,
+    };
+  }
+
+  /**
+   * 启动迁移任务
+   * 先用探测文本验证目标模型可用且维度正确，然后在后台执行迁移，立即返回迁移记录
+   * @param {Object} params
+   * @param {string} params.userId - 发起迁移的管理员ID（用于调用向量化服务）
+   * @param {string} params.targetModelId - 目标模型ID，如 openai:text-embedding-3-small
+   * @param {number} [params.dimension] - 目标维度（未知模型时以探测结果为准）
+   * @param {number} [params.batchSize] - 每批重新向量化的记录数
+   * @returns {Promise<Object>} 迁移中的模型记录
+   */
+  async startMigration({ userId, targetModelId, dimension, batchSize = DEFAULT_BATCH_SIZE }) {
+    if (!parseModelId(targetModelId)) {
+      throw new Error(`无法识别的向量模型: ${targetModelId}`);
+    }
+    const migrating = await this.modelRegistry.getMigratingModel();
+    if (this.job || migrating) {
+      throw new Error(`已有迁移任务进行中: ${migrating?.modelId || targetModelId}`);
+    }
+    const active = await this.modelRegistry.getActiveModel({ refresh: true });
+    if (active.modelId === targetModelId) {
+      throw new Error(`目标模型已是当前激活模型: ${targetModelId}`);
+    }
+
+    const [probe] = await this.embeddingService.embedWithModel([PROBE_TEXT], userId, {
+      modelId: targetModelId,
+    });
+    if (!probe) {
+      throw new Error(`目标模型不可用: ${targetModelId}`);
+    }
+    const known = KNOWN_MODELS.find((model) => model.modelId === targetModelId);
+    const expectedDimension = dimension || known?.dimension || probe.length;
+    if (probe.length !== expectedDimension) {
+      throw new Error(`目标模型输出维度 ${probe.length} 与预期维度 ${expectedDimension} 不一致`);
+    }
+
+    await this.vectorDBService.initialize();
+    const pool = this.vectorDBService.getPool();
+    const fileCount = await pool.query('SELECT COUNT(*)::int AS count FROM file_vectors');
+    const entryCount = await this.getKnowledgeEntryModel().countDocuments({
+      'embedding.0': { $exists: true },
+    });
+
+    const target = { modelId: targetModelId, dimension: expectedDimension };
+    const record = await this.modelRegistry.beginMigration({
+      ...target,
+      fromModelId: active.modelId,
+      total: fileCount.rows[0].count + entryCount,
+    });
+    logger.info(
+      `[EmbeddingMigrationService] 开始迁移向量模型: ${active.modelId} -> ${targetModelId} (维度: ${expectedDimension})`,
+    );
+
+    this.job = { target, cancelled: false, processed: 0, total: record.migration.total };
+    this.job.promise = this.runMigration({ userId, target, batchSize }).finally(() => {
+      this.job = null;
+    });
+    return record;
+  }
+
+  /**
+   * 取消迁移
+   * 本实例运行中的任务在当前批次完成后停止；任务已不在运行（如服务重启）时直接标记失败并清理
+   * @returns {Promise<boolean>} 是否存在可取消的迁移
+   */
+  async cancelMigration() {
+    if (this.job) {
+      this.job.cancelled = true;
+      await this.job.promise;
+      return true;
+    }
+    const migrating = await this.modelRegistry.getMigratingModel();
+    if (!migrating) {
+      return false;
+    }
+    await this.modelRegistry.failMigration(migrating.modelId, '迁移已取消');
+    await this.cleanup(migrating.modelId);
+    return true;
+  }
+
+  /**
+   * 执行迁移（后台任务）
+   * @param {Object} params
+   * @param {string} params.userId - 管理员ID
+   * @param {{ modelId: string, dimension: number }} params.target - 目标模型
+   * @param {number} params.batchSize - 每批记录数
+   */
+  async runMigration({ userId, target, batchSize }) {
+    const { modelId } = target;
+    const context = { userId, target, batchSize };
+
+    try {
+      await this.createShadowTable(target.dimension);
+      let lastId = await this.copyFileVectors({ ...context, afterId: 0 });
+      await this.createShadowIndexes(target.dimension);
+
+      await this.modelRegistry.updateMigration(modelId, { phase: 'knowledge' });
+      await this.stageKnowledgeEntries(context);
+
+      // 补齐迁移期间新增的文件向量和新增/修改的知识条目（修改时会清除暂存向量）
+      await this.modelRegistry.updateMigration(modelId, { phase: 'catchup' });
+      lastId = await this.copyFileVectors({ ...context, afterId: lastId });
+      await this.stageKnowledgeEntries(context);
+
+      await this.modelRegistry.updateMigration(modelId, { phase: 'cutover' });
+      const retiredTable = await this.swapTables({ ...context, afterId: lastId });
+      this.job.switched = true;
+
+      await this.modelRegistry.activate(modelId, {
+        phase: 'completed',
+        processed: this.job.processed,
+        finishedAt: new Date(),
+        retiredTable,
+      });
+      await this.vectorDBService.refreshEmbeddingDimension();
+      this.vectorDBService.lexicalStatsCache.clear();
+
+      // 激活后检索已读取暂存向量，替换为正式向量后补齐切换前最后时刻修改的条目
+      await this.promoteKnowledgeEntries(context);
+      logger.info(
+        `[EmbeddingMigrationService] 向量模型迁移完成: ${modelId}，原文件向量表保留为 ${retiredTable}`,
+      );
+    } catch (error) {
+      if (this.job.switched) {
+        // 文件向量表已切换，不能再回滚；记录错误供管理员处理（重新激活或补齐知识条目向量）
+        logger.error('[EmbeddingMigrationService] 文件向量表已切换，后续步骤失败:', error);
+        await this.modelRegistry.updateMigration(modelId, { error: error.message });
+        return;
+      }
+      logger.error(`[EmbeddingMigrationService] 向量模型迁移失败: ${modelId}`, error);
+      await this.modelRegistry.failMigration(modelId, error.message);
+      await this.cleanup(modelId);
+    }
+  }
+
+  /**
+   * 记录迁移进度，并在取消时中止任务
+   * @param {string} modelId - 模型ID
+   * @param {number} count - 本批处理的记录数
+   */
+  async reportProgress(modelId, count) {
+    this.job.processed += count;
+    this.job.total = Math.max(this.job.total, this.job.processed);
+    await this.modelRegistry.updateMigration(modelId, {
+      processed: this.job.processed,
+      total: this.job.total,
+    });
+    // 表切换后不再响应取消，继续完成知识条目向量替换
+    if (this.job.cancelled && !this.job.switched) {
+      throw new Error('迁移已取消');
+    }
+  }
+
+  /**
+   * 创建影子表：结构与 file_vectors 相同，向量列为目标维度
+   * @param {number} dimension - 目标维度
+   */
+  async createShadowTable(dimension) {
+    const pool = this.vectorDBService.getPool();
+    await pool.query(`DROP TABLE IF EXISTS ${SHADOW_TABLE}`);
+    await pool.query(`CREATE TABLE ${SHADOW_TABLE} (LIKE file_vectors INCLUDING DEFAULTS)`);
+    await pool.query(
+      `ALTER TABLE ${SHADOW_TABLE} ALTER COLUMN embedding TYPE vector(${dimension})`,
+    );
+    await pool.query(`ALTER TABLE ${SHADOW_TABLE} ADD PRIMARY KEY (id)`);
+  }
+
+  /**
+   * 批量复制完成后再为影子表建索引，避免逐行维护 HNSW 索引
+   * @param {number} dimension - 目标维度
+   */
+  async createShadowIndexes(dimension) {
+    const pool = this.vectorDBService.getPool();
+    await pool.query(
+      `CREATE INDEX IF NOT EXISTS idx_${SHADOW_TABLE}_file_id ON ${SHADOW_TABLE}(file_id)`,
+    );
+    await pool.query(
+      `CREATE INDEX IF NOT EXISTS idx_${SHADOW_TABLE}_search_tokens ON ${SHADOW_TABLE} USING gin (search_tokens)`,
+    );
+    await pool.query(
+      `CREATE INDEX IF NOT EXISTS idx_${SHADOW_TABLE}_embedding_model ON ${SHADOW_TABLE}(embedding_model)`,
+    );
+    if (dimension > HNSW_MAX_DIMENSION) {
+      logger.warn(
+        `[EmbeddingMigrationService] 维度 ${dimension} 超过 HNSW 索引上限 ${HNSW_MAX_DIMENSION}，向量检索将使用顺序扫描`,
+      );
+      return;
+    }
+    await pool.query(`
+      CREATE INDEX IF NOT EXISTS idx_${SHADOW_TABLE}_embedding_hnsw
+      ON ${SHADOW_TABLE}
+      USING hnsw (embedding vector_cosine_ops)
+      WITH (m = 16, ef_construction = 64)
+    `);
+  }
+
+  /**
+   * 将 id 大于 afterId 的文件向量用目标模型重新向量化并写入影子表
+   * @param {Object} params
+   * @param {Object} [params.db] - 查询客户端（切换事务内传入事务连接）
+   * @param {number} params.afterId - 起始 id（不含）
+   * @returns {Promise<number>} 已复制的最大 id
+   */
+  async copyFileVectors({ db, userId, target, batchSize, afterId }) {
+    const client = db || this.vectorDBService.getPool();
+    let lastId = afterId;
+
+    for (;;) {
+      const { rows } = await client.query(
+        `SELECT id, file_id, user_id, entity_id, chunk_index, content, metadata, created_at,
+                search_tokens, search_length
+         FROM file_vectors
+         WHERE id > $1
+         ORDER BY id
+         LIMIT $2`,
+        [lastId, batchSize],
+      );
+      if (rows.length === 0) {
+        return lastId;
+      }
+
+      const embeddings = await this.embeddingService.embedWithModel(
+        rows.map((row) => row.content),
+        userId,
+        target,
+        { batchSize },
+      );
+      if (embeddings.some((embedding) => !embedding)) {
+        throw new Error(`文件向量重新向量化失败 (id ${rows[0].id}-${rows[rows.length - 1].id})`);
+      }
+
+      const values = [];
+      const params = [];
+      rows.forEach((row, i) => {
+        const base = i * 12;
+        values.push(
+          `($${base + 1}, $${base + 2}, $${base + 3}, $${base + 4}, $${base + 5}, $${base + 6}, ` +
+            `$${base + 7}::vector, $${base + 8}::jsonb, $${base + 9}, $${base + 10}::text[], $${base + 11}, $${base + 12})`,
+        );
+        params.push(
+          row.id,
+          row.file_id,
+          row.user_id,
+          row.entity_id,
+          row.chunk_index,
+          row.content,
+          `[${embeddings[i].join(',')}]`,
+          JSON.stringify(row.metadata || {}),
+          row.created_at,
+          row.search_tokens,
+          row.search_length,
+          target.modelId,
+        );
+      });
+      await client.query(
+        `INSERT INTO ${SHADOW_TABLE}
+         (id, file_id, user_id, entity_id, chunk_index, content, embedding, metadata, created_at,
+          search_tokens, search_length, embedding_model)
+         VALUES ${values.join(', ')}
+         ON CONFLICT (id) DO NOTHING`,
+        params,
+      );
+
+      lastId = rows[rows.length - 1].id;
+      await this.reportProgress(target.modelId, rows.length);
+    }
+  }
+
+  /**
+   * 切换文件向量表
+   * 在一个事务内锁住原表（允许读，阻塞写入），补齐剩余记录、删除已被删除的记录后交换表名，
+   * 并把 id 序列的归属转移到新表，保证原表删除后序列仍然可用
+   * @returns {Promise<string>} 原表重命名后的表名
+   */
+  async swapTables({ userId, target, batchSize, afterId }) {
+    const retiredTable = `file_vectors_retired_${Date.now()}`;
+    const client = await this.vectorDBService.getPool().connect();
+
+    try {
+      await client.query('BEGIN');
+      await client.query('LOCK TABLE file_vectors IN SHARE ROW EXCLUSIVE MODE');
+      await this.copyFileVectors({ db: client, userId, target, batchSize, afterId });
+      await client.query(
+        `DELETE FROM ${SHADOW_TABLE} s WHERE NOT EXISTS (SELECT 1 FROM file_vectors f WHERE f.id = s.id)`,
+      );
+
+      const sequence = await client.query(
+        "SELECT pg_get_serial_sequence('file_vectors', 'id') AS name",
+      );
+      await client.query(`ALTER TABLE file_vectors RENAME TO ${retiredTable}`);
+      await client.query(`ALTER INDEX IF EXISTS file_vectors_pkey RENAME TO ${retiredTable}_pkey`);
+      for (const suffix of INDEX_SUFFIXES) {
+        await client.query(
+          `ALTER INDEX IF EXISTS idx_file_vectors_${suffix} RENAME TO idx_${retiredTable}_${suffix}`,
+        );
+      }
+
+      await client.query(`ALTER TABLE ${SHADOW_TABLE} RENAME TO file_vectors`);
+      await client.query(`ALTER INDEX ${SHADOW_TABLE}_pkey RENAME TO file_vectors_pkey`);
+      for (const suffix of INDEX_SUFFIXES) {
+        await client.query(
+          `ALTER INDEX IF EXISTS idx_${SHADOW_TABLE}_${suffix} RENAME TO idx_file_vectors_${suffix}`,
+        );
+      }
+      if (sequence.rows[0]?.name) {
+        await client.query(`ALTER SEQUENCE ${sequence.rows[0].name} OWNED BY file_vectors.id`);
+      }
+
+      await client.query('COMMIT');
+      return retiredTable;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * 为尚未暂存目标模型向量的知识条目生成新向量，写入 staged_embedding
+   * 以 updatedAt 作为写入条件，期间被修改的条目留给下一轮补齐
+   */
+  async stageKnowledgeEntries({ userId, target, batchSize }) {
+    const KnowledgeEntry = this.getKnowledgeEntryModel();
+    const query = {
+      'embedding.0': { $exists: true },
+      staged_embedding_model: { $ne: target.modelId },
+    };
+
+    await this.reembedKnowledgeEntries(
+      { KnowledgeEntry, query, userId, target, batchSize },
+      (entry, embedding) => ({
+        filter: { _id: entry._id, updatedAt: entry.updatedAt },
+        update: { $set: { staged_embedding: embedding, staged_embedding_model: target.modelId } },
+      }),
+    );
+  }
+
+  /**
+   * 模型激活后用暂存向量替换正式向量，并直接重新向量化仍不属于新模型的条目
+   */
+  async promoteKnowledgeEntries({ userId, target, batchSize }) {
+    const KnowledgeEntry = this.getKnowledgeEntryModel();
+    await KnowledgeEntry.updateMany(
+      { staged_embedding_model: target.modelId },
+      [
+        { $set: { embedding: '$staged_embedding', embedding_model: '$staged_embedding_model' } },
+        { $unset: ['staged_embedding', 'staged_embedding_model'] },
+      ],
+      { timestamps: false },
+    );
+
+    const query = { 'embedding.0': { $exists: true }, embedding_model: { $ne: target.modelId } };
+    await this.reembedKnowledgeEntries(
+      { KnowledgeEntry, query, userId, target, batchSize },
+      (entry, embedding) => ({
+        filter: { _id: entry._id, updatedAt: entry.updatedAt },
+        update: {
+          $set: { embedding, embedding_model: target.modelId },
+          $unset: { staged_embedding: '', staged_embedding_model: '' },
+        },
+      }),
+    );
+  }
+
+  /**
+   * 按 _id 分批重新向量化匹配的知识条目
+   * @param {Object} params
+   * @param {Function} buildUpdate - (entry, embedding) => { filter, update }
+   */
+  async reembedKnowledgeEntries({ KnowledgeEntry, query, userId, target, batchSize }, buildUpdate) {
+    let lastId = null;
+
+    for (;;) {
+      const entries = await KnowledgeEntry.find(lastId ? { ...query, _id: { $gt: lastId } } : query)
+        .select('type content metadata updatedAt')
+        .sort({ _id: 1 })
+        .limit(batchSize)
+        .lean();
+      if (entries.length === 0) {
+        return;
+      }
+
+      const embeddings = await this.embeddingService.embedWithModel(
+        entries.map((entry) => getEntryEmbeddingText(entry)),
+        userId,
+        target,
+        { batchSize },
+      );
+      if (embeddings.some((embedding) => !embedding)) {
+        throw new Error(`知识条目重新向量化失败 (起始条目: ${entries[0]._id})`);
+      }
+
+      await KnowledgeEntry.bulkWrite(
+        entries.map((entry, i) => ({
+          updateOne: { ...buildUpdate(entry, embeddings[i]), timestamps: false },
+        })),
+      );
+
+      lastId = entries[entries.length - 1]._id;
+      await this.reportProgress(target.modelId, entries.length);
+    }
+  }
+
+  /**
+   * 清理失败/取消的迁移：删除影子表和暂存向量
+   * @param {string} modelId - 目标模型ID
+   */
+  async cleanup(modelId) {
+    try {
+      await this.vectorDBService.initialize();
+      await this.vectorDBService.getPool().query(`DROP TABLE IF EXISTS ${SHADOW_TABLE}`);
+      await this.getKnowledgeEntryModel().updateMany(
+        { staged_embedding_model: modelId },
+        { $unset: { staged_embedding: '', staged_embedding_model: '' } },
+        { timestamps: false },
+      );
+    } catch (error) {
+      logger.warn('[EmbeddingMigrationService] 清理迁移数据失败:', error.message);
+    }
+  }
+}
+
+module.exports = EmbeddingMigrationService;
@@ -0,0 +1,220 @@
+jest.mock('@aipyq/data-schemas', () => ({
+  logger: {
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn(),
+  },
+  createModels: jest.fn(() => ({})),
+}));
+
+jest.mock('~/db/models', () => ({
+  KnowledgeEntry: {},
+}));
+
+const EmbeddingMigrationService = require('./EmbeddingMigrationService');
+const { belongsToModel, parseModelId } = require('./EmbeddingModelRegistry');
+
+describe('model provenance helpers', () => {
+  it('parses model IDs into providers', () => {
+    expect(parseModelId('openai:text-embedding-3-small')).toEqual({
+      provider: 'local',
+      name: 'text-embedding-3-small',
+    });
+    expect(parseModelId('onnx:bge-small-zh-v1.5')).toMatchObject({ provider: 'onnx' });
+    expect(parseModelId('onnx:other')).toBeNull();
+    expect(parseModelId('text-embedding-3-small')).toBeNull();
+  });
+
+  it('attributes unlabelled vectors to the legacy model only', () => {
+    expect(belongsToModel(null, { modelId: 'onnx:bge-small-zh-v1.5', legacy: true })).toBe(true);
+    expect(belongsToModel(undefined, { modelId: 'openai:text-embedding-3-small' })).toBe(false);
+    expect(belongsToModel('onnx:bge-small-zh-v1.5', { modelId: 'openai:x', legacy: true })).toBe(
+      false,
+    );
+  });
+});
+
+describe('EmbeddingMigrationService', () => {
+  const active = { modelId: 'onnx:bge-small-zh-v1.5', dimension: 512, legacy: true };
+  const target = 'rag_api:bge-m3';
+
+  let fileRows;
+  let queries;
+  let client;
+  let vectorDBService;
+  let embeddingService;
+  let modelRegistry;
+  let KnowledgeEntry;
+  let entries;
+
+  /** 按 SQL 模拟 file_vectors 读取，其余语句只记录 */
+  const runQuery = jest.fn(async (sql, params = []) => {
+    queries.push(sql.replace(/\s+/g, ' ').trim());
+    if (sql.includes('COUNT(*)')) {
+      return { rows: [{ count: fileRows.length }] };
+    }
+    if (sql.includes('FROM file_vectors') && sql.includes('WHERE id >')) {
+      const [afterId, limit] = params;
+      return { rows: fileRows.filter((row) => row.id > afterId).slice(0, limit) };
+    }
+    if (sql.includes('pg_get_serial_sequence')) {
+      return { rows: [{ name: 'public.file_vectors_id_seq' }] };
+    }
+    return { rows: [] };
+  });
+
+  const chain = (value) => ({
+    select: () => chain(value),
+    sort: () => chain(value),
+    limit: () => chain(value),
+    lean: async () => value,
+  });
+
+  beforeEach(() => {
+    queries = [];
+    runQuery.mockClear();
+    fileRows = [
+      { id: 1, file_id: 'f1', content: 'a', metadata: {}, search_tokens: ['a'], search_length: 1 },
+      { id: 2, file_id: 'f1', content: 'bb', metadata: {}, search_tokens: ['b'], search_length: 1 },
+    ];
+    entries = [
+      { _id: 'e1', type: 'qa_pair', content: 'x', metadata: { question: '销售额' }, updatedAt: 1 },
+    ];
+
+    client = { query: runQuery, release: jest.fn() };
+    vectorDBService = {
+      initialize: jest.fn(),
+      refreshEmbeddingDimension: jest.fn(),
+      lexicalStatsCache: new Map([['file_vectors', {}]]),
+      getPool: () => ({ query: runQuery, connect: async () => client }),
+    };
+    embeddingService = {
+      embedWithModel: jest.fn(async (texts) => texts.map((text) => [text.length, 0, 0])),
+    };
+    modelRegistry = {
+      getActiveModel: jest.fn(async () => active),
+      getMigratingModel: jest.fn(async () => null),
+      listModels: jest.fn(async () => []),
+      beginMigration: jest.fn(async ({ total }) => ({ modelId: target, migration: { total } })),
+      updateMigration: jest.fn(),
+      failMigration: jest.fn(),
+      activate: jest.fn(),
+    };
+
+    let staged = false;
+    KnowledgeEntry = {
+      countDocuments: jest.fn(async () => entries.length),
+      // 每轮分批读取只返回一次数据，模拟处理后不再匹配查询条件
+      find: jest.fn((query) => {
+        if (query._id || (query.staged_embedding_model && staged)) {
+          return chain([]);
+        }
+        staged = staged || !!query.staged_embedding_model;
+        return chain(query.embedding_model ? [] : entries);
+      }),
+      bulkWrite: jest.fn(),
+      updateMany: jest.fn(),
+    };
+  });
+
+  const createService = () =>
+    new EmbeddingMigrationService({
+      embeddingService,
+      vectorDBService,
+      modelRegistry,
+      models: { KnowledgeEntry },
+    });
+
+  it('re-embeds into a shadow table, swaps it atomically and activates the new model', async () => {
+    const service = createService();
+    const record = await service.startMigration({ userId: 'admin', targetModelId: target });
+    await service.job.promise;
+
+    expect(record.migration.total).toBe(3);
+    expect(modelRegistry.beginMigration).toHaveBeenCalledWith(
+      expect.objectContaining({ modelId: target, dimension: 3, fromModelId: active.modelId }),
+    );
+
+    const insert = runQuery.mock.calls.find(([sql]) =>
+      sql.includes('INSERT INTO file_vectors_next'),
+    );
+    expect(insert[1]).toEqual(expect.arrayContaining([1, 'f1', '[1,0,0]', target]));
+
+    const swap = queries.slice(queries.indexOf('BEGIN'));
+    expect(swap[1]).toBe('LOCK TABLE file_vectors IN SHARE ROW EXCLUSIVE MODE');
+    expect(swap).toEqual(
+      expect.arrayContaining([
+        expect.stringMatching(/^ALTER TABLE file_vectors RENAME TO file_vectors_retired_\d+$/),
+        'ALTER TABLE file_vectors_next RENAME TO file_vectors',
+        'ALTER SEQUENCE public.file_vectors_id_seq OWNED BY file_vectors.id',
+        'COMMIT',
+      ]),
+    );
+
+    const [[stageOps]] = KnowledgeEntry.bulkWrite.mock.calls;
+    expect(stageOps[0].updateOne).toMatchObject({
+      filter: { _id: 'e1', updatedAt: 1 },
+      update: { $set: { staged_embedding: [3, 0, 0], staged_embedding_model: target } },
+      timestamps: false,
+    });
+    expect(embeddingService.embedWithModel).toHaveBeenCalledWith(
+      ['销售额'],
+      'admin',
+      { modelId: target, dimension: 3 },
+      { batchSize: 64 },
+    );
+
+    expect(modelRegistry.activate).toHaveBeenCalledWith(
+      target,
+      expect.objectContaining({ phase: 'completed', processed: 3 }),
+    );
+    expect(KnowledgeEntry.updateMany).toHaveBeenCalledWith(
+      { staged_embedding_model: target },
+      expect.any(Array),
+      { timestamps: false },
+    );
+    expect(vectorDBService.lexicalStatsCache.size).toBe(0);
+    expect(service.job).toBeNull();
+  });
+
+  it('refuses to start when the target is active, busy or has the wrong dimension', async () => {
+    const service = createService();
+    await expect(
+      service.startMigration({ userId: 'admin', targetModelId: active.modelId }),
+    ).rejects.toThrow('已是当前激活模型');
+    await expect(service.startMigration({ userId: 'admin', targetModelId: 'foo' })).rejects.toThrow(
+      '无法识别',
+    );
+
+    await expect(
+      service.startMigration({ userId: 'admin', targetModelId: target, dimension: 768 }),
+    ).rejects.toThrow('不一致');
+
+    modelRegistry.getMigratingModel.mockResolvedValueOnce({ modelId: 'openai:other' });
+    await expect(
+      service.startMigration({ userId: 'admin', targetModelId: target }),
+    ).rejects.toThrow('已有迁移任务');
+    expect(modelRegistry.beginMigration).not.toHaveBeenCalled();
+  });
+
+  it('aborts before cutover when a batch cannot be embedded and cleans up', async () => {
+    const service = createService();
+    await service.startMigration({ userId: 'admin', targetModelId: target });
+    embeddingService.embedWithModel.mockResolvedValueOnce([null, [1, 0, 0]]);
+    await service.job.promise;
+
+    expect(modelRegistry.failMigration).toHaveBeenCalledWith(
+      target,
+      expect.stringContaining('重新向量化失败'),
+    );
+    expect(queries).not.toContain('BEGIN');
+    expect(queries).toContain('DROP TABLE IF EXISTS file_vectors_next');
+    expect(modelRegistry.activate).not.toHaveBeenCalled();
+    expect(KnowledgeEntry.updateMany).toHaveBeenCalledWith(
+      { staged_embedding_model: target },
+      { $unset: { staged_embedding: '', staged_embedding_model: '' } },
+      { timestamps: false },
+    );
+  });
+});
@@ -0,0 +1,286 @@
+const { logger } = require('@aipyq/data-schemas');
+
+/** 向量化提供方 */
+const EmbeddingProvider = {
+  ONNX: 'onnx',
+  RAG_API: 'rag_api',
+  LOCAL: 'local',
+};
+
+/**
+ * 已知的向量模型
+ * 模型ID格式为 "<来源>:<模型名>"，写入每条向量的 embedding_model，用于区分不同模型产生的向量
+ */
+const KNOWN_MODELS = [
+  {
+    modelId: 'onnx:bge-small-zh-v1.5',
+    provider: EmbeddingProvider.ONNX,
+    dimension: 512,
+    description: '本地 ONNX bge-small-zh-v1.5（默认，离线可用）',
+  },
+  {
+    modelId: 'openai:text-embedding-ada-002',
+    provider: EmbeddingProvider.LOCAL,
+    dimension: 1536,
+    description: 'OpenAI text-embedding-ada-002',
+  },
+  {
+    modelId: 'openai:text-embedding-3-small',
+    provider: EmbeddingProvider.LOCAL,
+    dimension: 1536,
+    description: 'OpenAI text-embedding-3-small',
+  },
+  {
+    modelId: 'openai:text-embedding-3-large',
+    provider: EmbeddingProvider.LOCAL,
+    dimension: 3072,
+    description: 'OpenAI text-embedding-3-large',
+  },
+];
+
+/** 激活模型缓存时间，多实例部署时切换后最长在该时间内生效 */
+const ACTIVE_MODEL_TTL = 10 * 1000;
+
+let activeModelCache = null;
+
+/**
+ * 获取提供方在当前环境配置下产生向量的模型ID
+ * @param {string} provider - 提供方
+ * @returns {string} 模型ID
+ */
+function resolveProviderModelId(provider) {
+  switch (provider) {
+    case EmbeddingProvider.ONNX:
+      return KNOWN_MODELS[0].modelId;
+    case EmbeddingProvider.RAG_API:
+      return `rag_api:${process.env.RAG_API_EMBEDDING_MODEL || 'default'}`;
+    default:
+      return `openai:${process.env.OPENAI_EMBEDDING_MODEL || 'text-embedding-ada-002'}`;
+  }
+}
+
+/**
+ * 解析模型ID
+ * @param {string} modelId - 模型ID
+ * @returns {{ provider: string, name: string }|null} 无法识别时返回 null
+ */
+function parseModelId(modelId) {
+  const [source, ...rest] = String(modelId || '').split(':');
+  const name = rest.join(':');
+  if (!name) {
+    return null;
+  }
+  const providers = {
+    onnx: EmbeddingProvider.ONNX,
+    rag_api: EmbeddingProvider.RAG_API,
+    openai: EmbeddingProvider.LOCAL,
+  };
+  const provider = providers[source];
+  if (!provider || (provider === EmbeddingProvider.ONNX && modelId !== KNOWN_MODELS[0].modelId)) {
+    return null;
+  }
+  return { provider, name };
+}
+
+/**
+ * 判断一条向量是否属于指定模型
+ * 记录模型来源之前写入的向量（embedding_model 为空）属于 legacy 模型
+ * @param {string|null|undefined} vectorModelId - 向量记录的模型ID
+ * @param {{ modelId: string, legacy?: boolean }} model - 模型
+ * @returns {boolean}
+ */
+function belongsToModel(vectorModelId, model) {
+  if (!vectorModelId) {
+    return !!model.legacy;
+  }
+  return vectorModelId === model.modelId;
+}
+
+/**
+ * 向量模型注册表
+ * 在 MongoDB 中记录已注册的向量模型及当前激活的模型；查询与写入都以激活模型为准，
+ * 切换模型只需更新激活记录（见 EmbeddingMigrationService）
+ */
+class EmbeddingModelRegistry {
+  /**
+   * @param {Object} [options]
+   * @param {Object} [options.models] - 数据模型（默认从 ~/db/models 加载）
+   */
+  constructor({ models } = {}) {
+    this.models = models;
+  }
+
+  getModel() {
+    if (!this.models) {
+      this.models = require('~/db/models');
+    }
+    return this.models.EmbeddingModel;
+  }
+
+  /**
+   * 首次使用时根据环境变量登记默认激活模型
+   * ONNX 启用时为本地模型，否则为 RAG API 或 OpenAI 模型；维度取 EMBEDDING_DIMENSION
+   * @returns {Object} 默认模型定义
+   */
+  getBootstrapModel() {
+    let provider = EmbeddingProvider.LOCAL;
+    if (process.env.USE_ONNX_EMBEDDING !== 'false') {
+      provider = EmbeddingProvider.ONNX;
+    } else if (process.env.RAG_API_URL) {
+      provider = EmbeddingProvider.RAG_API;
+    }
+    return {
+      modelId: resolveProviderModelId(provider),
+      provider,
+      dimension: parseInt(process.env.EMBEDDING_DIMENSION || '512', 10),
+    };
+  }
+
+  /**
+   * 获取当前激活的模型（带缓存）
+   * @param {Object} [options]
+   * @param {boolean} [options.refresh] - 是否忽略缓存
+   * @returns {Promise<{ modelId: string, provider: string, dimension: number, legacy: boolean }>}
+   */
+  async getActiveModel({ refresh = false } = {}) {
+    if (!refresh && activeModelCache && Date.now() - activeModelCache.loadedAt < ACTIVE_MODEL_TTL) {
+      return activeModelCache.model;
+    }
+
+    const EmbeddingModel = this.getModel();
+    // 切换过程中可能短暂存在两个激活记录，以最新激活的为准
+    let active = await EmbeddingModel.findOne({ status: 'active' })
+      .sort({ activatedAt: -1 })
+      .lean();
+    if (!active) {
+      const bootstrap = this.getBootstrapModel();
+      active = await EmbeddingModel.findOneAndUpdate(
+        { modelId: bootstrap.modelId },
+        {
+          $set: { status: 'active', activatedAt: new Date() },
+          $setOnInsert: {
+            provider: bootstrap.provider,
+            dimension: bootstrap.dimension,
+            legacy: true,
+          },
+        },
+        { upsert: true, new: true },
+      ).lean();
+      logger.info(
+        `[EmbeddingModelRegistry] 登记默认向量模型: ${active.modelId} (维度: ${active.dimension})`,
+      );
+    }
+
+    const model = {
+      modelId: active.modelId,
+      provider: active.provider,
+      dimension: active.dimension,
+      legacy: !!active.legacy,
+    };
+    activeModelCache = { model, loadedAt: Date.now() };
+    return model;
+  }
+
+  /** 清除激活模型缓存 */
+  invalidate() {
+    activeModelCache = null;
+  }
+
+  async listModels() {
+    const EmbeddingModel = this.getModel();
+    return await EmbeddingModel.find({}).sort({ createdAt: 1 }).lean();
+  }
+
+  async getMigratingModel() {
+    const EmbeddingModel = this.getModel();
+    return await EmbeddingModel.findOne({ status: 'migrating' }).lean();
+  }
+
+  /**
+   * 登记迁移目标模型，并标记为迁移中
+   * @param {Object} params
+   * @param {string} params.modelId - 模型ID
+   * @param {number} params.dimension - 向量维度
+   * @param {string} params.fromModelId - 当前激活模型ID
+   * @param {number} params.total - 需要重新向量化的记录数
+   * @returns {Promise<Object>} 模型记录
+   */
+  async beginMigration({ modelId, dimension, fromModelId, total }) {
+    const EmbeddingModel = this.getModel();
+    const now = new Date();
+    return await EmbeddingModel.findOneAndUpdate(
+      { modelId },
+      {
+        $set: {
+          provider: parseModelId(modelId).provider,
+          dimension,
+          status: 'migrating',
+          migration: {
+            phase: 'files',
+            total,
+            processed: 0,
+            startedAt: now,
+            heartbeatAt: now,
+            fromModelId,
+          },
+        },
+      },
+      { upsert: true, new: true },
+    ).lean();
+  }
+
+  /**
+   * 更新迁移进度
+   * @param {string} modelId - 模型ID
+   * @param {Object} progress - 要更新的 migration 字段
+   */
+  async updateMigration(modelId, progress) {
+    const EmbeddingModel = this.getModel();
+    const update = { 'migration.heartbeatAt': new Date() };
+    for (const [key, value] of Object.entries(progress)) {
+      update[`migration.${key}`] = value;
+    }
+    await EmbeddingModel.updateOne({ modelId }, { $set: update });
+  }
+
+  async failMigration(modelId, error) {
+    const EmbeddingModel = this.getModel();
+    await EmbeddingModel.updateOne(
+      { modelId, status: 'migrating' },
+      {
+        $set: {
+          status: 'failed',
+          'migration.error': error,
+          'migration.finishedAt': new Date(),
+        },
+      },
+    );
+  }
+
+  /**
+   * 激活模型：原激活模型标记为 retired，目标模型标记为 active
+   * @param {string} modelId - 模型ID
+   * @param {Object} [migration] - 要合并写入的迁移信息
+   */
+  async activate(modelId, migration = {}) {
+    const EmbeddingModel = this.getModel();
+    const update = { status: 'active', activatedAt: new Date() };
+    for (const [key, value] of Object.entries(migration)) {
+      update[`migration.${key}`] = value;
+    }
+    // 先激活目标模型再停用原模型，任何时刻都至少有一个激活模型
+    await EmbeddingModel.updateOne({ modelId }, { $set: update });
+    await EmbeddingModel.updateMany(
+      { status: 'active', modelId: { $ne: modelId } },
+      { $set: { status: 'retired' } },
+    );
+    this.invalidate();
+  }
+}
+
+module.exports = EmbeddingModelRegistry;
+module.exports.EmbeddingProvider = EmbeddingProvider;
+module.exports.KNOWN_MODELS = KNOWN_MODELS;
+module.exports.resolveProviderModelId = resolveProviderModelId;
+module.exports.parseModelId = parseModelId;
+module.exports.belongsToModel = belongsToModel;
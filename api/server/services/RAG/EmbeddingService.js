@@ -1,5 +1,7 @@
 const { logger } = require('@aipyq/data-schemas');
 const ONNXEmbeddingService = require('./ONNXEmbeddingService');
+const EmbeddingModelRegistry = require('./EmbeddingModelRegistry');
+const { EmbeddingProvider, parseModelId } = EmbeddingModelRegistry;
 
 /**
  * 向量化服务
@@ -12,6 +14,7 @@ class EmbeddingService {
     this.embeddingModel = process.env.EMBEDDING_MODEL || 'onnx'; // 默认使用 ONNX
     this.onnxEmbeddingService = new ONNXEmbeddingService();
     this.useONNX = process.env.USE_ONNX_EMBEDDING !== 'false'; // 默认启用 ONNX
+    this.modelRegistry = new EmbeddingModelRegistry();
   }
 
   /**
@@ -101,20 +104,21 @@ class EmbeddingService {
    * 3. 其他本地嵌入模型（可扩展）
    * 
    * @param {string} text - 要向量化的文本
+   * @param {string} [modelName] - OpenAI 嵌入模型名（默认 OPENAI_EMBEDDING_MODEL）
    * @returns {Promise<number[]>} 向量嵌入数组
    */
-  async embedTextLocal(text) {
+  async embedTextLocal(text, modelName) {
     try {
       // 优先使用配置的嵌入模型
       const embeddingModel = process.env.EMBEDDING_MODEL || 'openai';
       
       switch (embeddingModel.toLowerCase()) {
         case 'openai':
-          return await this.embedWithOpenAI(text);
+          return await this.embedWithOpenAI(text, modelName);
         
         case 'openai-sdk':
           // 直接使用 OpenAI SDK（不依赖 @langchain/openai）
-          return await this.embedWithOpenAISDK(text);
+          return await this.embedWithOpenAISDK(text, modelName);
         
         // 可以扩展其他模型，例如：
         // case 'bge':
@@ -124,7 +128,7 @@ class EmbeddingService {
         
         default:
           // 默认尝试 OpenAI
-          return await this.embedWithOpenAI(text);
+          return await this.embedWithOpenAI(text, modelName);
       }
     } catch (error) {
       logger.error('Error in local embedding:', error);
@@ -140,9 +144,10 @@ class EmbeddingService {
   /**
    * 使用 LangChain OpenAI Embeddings
    * @param {string} text - 要向量化的文本
+   * @param {string} [modelName] - 嵌入模型名（默认 OPENAI_EMBEDDING_MODEL）
    * @returns {Promise<number[]>} 向量嵌入数组
    */
-  async embedWithOpenAI(text) {
+  async embedWithOpenAI(text, modelName) {
     if (!process.env.OPENAI_API_KEY) {
       // 如果没有配置 API Key，且允许无 embedding，返回 null
       if (process.env.ALLOW_NO_EMBEDDING === 'true') {
@@ -157,7 +162,7 @@ class EmbeddingService {
       const { OpenAIEmbeddings } = require('@langchain/openai');
       const embeddings = new OpenAIEmbeddings({
         openAIApiKey: process.env.OPENAI_API_KEY,
-        modelName: process.env.OPENAI_EMBEDDING_MODEL || 'text-embedding-ada-002',
+        modelName: modelName || process.env.OPENAI_EMBEDDING_MODEL || 'text-embedding-ada-002',
         timeout: 30000, // 30秒超时
       });
 
@@ -169,7 +174,7 @@ class EmbeddingService {
       // 如果 @langchain/openai 不可用，回退到 OpenAI SDK
       if (langchainError.code === 'MODULE_NOT_FOUND') {
         logger.warn('@langchain/openai not found, falling back to OpenAI SDK');
-        return await this.embedWithOpenAISDK(text);
+        return await this.embedWithOpenAISDK(text, modelName);
       }
       // 如果是 401 错误（认证失败），且允许无 embedding，返回 null
       if (process.env.ALLOW_NO_EMBEDDING === 'true' && (langchainError.status === 401 || langchainError.message?.includes('401'))) {
@@ -189,9 +194,10 @@ class EmbeddingService {
    * 直接使用 OpenAI SDK 进行嵌入
    * 不需要 @langchain/openai 依赖
    * @param {string} text - 要向量化的文本
+   * @param {string} [modelName] - 嵌入模型名（默认 OPENAI_EMBEDDING_MODEL）
    * @returns {Promise<number[]>} 向量嵌入数组
    */
-  async embedWithOpenAISDK(text) {
+  async embedWithOpenAISDK(text, modelName) {
     if (!process.env.OPENAI_API_KEY) {
       // 如果没有配置 API Key，且允许无 embedding，返回 null
       if (process.env.ALLOW_NO_EMBEDDING === 'true') {
@@ -208,7 +214,7 @@ class EmbeddingService {
         timeout: 30000,
       });
 
-      const model = process.env.OPENAI_EMBEDDING_MODEL || 'text-embedding-ada-002';
+      const model = modelName || process.env.OPENAI_EMBEDDING_MODEL || 'text-embedding-ada-002';
       
       const response = await openai.embeddings.create({
         model: model,
@@ -274,35 +280,181 @@ class EmbeddingService {
   }
 
   /**
-   * 批量向量化文本
-   * @param {string[]} texts - 要向量化的文本数组
+   * 获取批量向量化时依次尝试的提供方
+   * @param {string} [userId] - 用户ID（RAG API 需要）
+   * @returns {string[]} 提供方列表
+   */
+  getProviderChain(userId) {
+    const providers = [];
+    if (this.useONNX) {
+      providers.push(EmbeddingProvider.ONNX);
+    }
+    if (this.ragApiUrl && userId) {
+      providers.push(EmbeddingProvider.RAG_API);
+    }
+    providers.push(EmbeddingProvider.LOCAL);
+    return providers;
+  }
+
+  /**
+   * 使用指定提供方向量化一批文本，任一文本失败则整批失败
+   * @param {string} provider - 提供方
+   * @param {string[]} texts - 文本数组
    * @param {string} userId - 用户ID
+   * @param {Object} options - 批量参数（batchSize 见 ONNXEmbeddingService.embedTexts；modelName 为 OpenAI 模型名）
    * @returns {Promise<number[][]>} 向量嵌入数组的数组
    */
-  async embedTexts(texts, userId) {
-    if (!Array.isArray(texts) || texts.length === 0) {
-      throw new Error('Texts must be a non-empty array');
+  async embedBatchWith(provider, texts, userId, options) {
+    if (provider === EmbeddingProvider.ONNX) {
+      return await this.onnxEmbeddingService.embedTexts(texts, options);
     }
 
-    try {
-      // 批量处理，避免一次性处理太多
-      const batchSize = 10;
-      const results = [];
-
-      for (let i = 0; i < texts.length; i += batchSize) {
-        const batch = texts.slice(i, i + batchSize);
-        const batchPromises = batch.map(text => this.embedText(text, userId));
-        const batchResults = await Promise.all(batchPromises);
-        results.push(...batchResults);
+    const embeddings = [];
+    for (const text of texts) {
+      let embedding = null;
+      if (provider === EmbeddingProvider.RAG_API) {
+        const axios = require('axios');
+        const { generateShortLivedToken } = require('@aipyq/api');
+        const response = await axios.post(
+          `${this.ragApiUrl}/embed/text`,
+          { text },
+          {
+            headers: {
+              Authorization: `Bearer ${generateShortLivedToken(userId)}`,
+              'Content-Type': 'application/json',
+            },
+            timeout: 30000,
+          }
+        );
+        embedding = response.data?.embedding;
+      } else {
+        embedding = await this.embedTextLocal(text, options.modelName);
       }
 
-      return results;
-    } catch (error) {
-      logger.error('Error embedding texts:', error);
-      throw error;
+      if (!Array.isArray(embedding) || embedding.length === 0) {
+        throw new Error(`${provider} returned no embedding`);
+      }
+      embeddings.push(embedding);
     }
+    return embeddings;
+  }
+
+  /**
+   * 批量向量化文本，并返回实际使用的提供方
+   * 整批文本作为一个整体在提供方之间回退：只有某个提供方成功向量化全部文本时才采用其结果，
+   * 保证同一批文本（例如同一个文件的所有 chunk）不会混用不同模型、不同维度的向量。
+   * 调用方分多次提交同一文件时，应将首次返回的 provider 传回，固定使用同一提供方。
+   *
+   * @param {string[]} texts - 要向量化的文本数组
+   * @param {string} userId - 用户ID
+   * @param {Object} [options]
+   * @param {string} [options.provider] - 固定使用的提供方（onnx、rag_api、local），不再回退
+   * @param {number} [options.batchSize] - ONNX 每批推理的文本数
+   * @param {string} [options.modelName] - OpenAI 嵌入模型名（仅 local 提供方）
+   * @returns {Promise<{ embeddings: Array<number[]|null>, provider: string|null }>}
+   *   所有提供方都失败时 provider 为 null，embeddings 全部为 null
+   */
+  async embedBatch(texts, userId, { provider, batchSize, modelName } = {}) {
+    const providers = provider ? [provider] : this.getProviderChain(userId);
+
+    for (const candidate of providers) {
+      try {
+        const embeddings = await this.embedBatchWith(candidate, texts, userId, {
+          batchSize,
+          modelName,
+        });
+        const dimension = embeddings[0].length;
+        if (embeddings.some((embedding) => embedding.length !== dimension)) {
+          throw new Error('inconsistent embedding dimensions in batch');
+        }
+        logger.info(
+          `[EmbeddingService] 批量向量化完成: ${texts.length} 条文本，提供方 ${candidate} (维度: ${dimension})`
+        );
+        return { embeddings, provider: candidate };
+      } catch (error) {
+        logger.warn(`[EmbeddingService] 提供方 ${candidate} 批量向量化失败:`, error.message);
+      }
+    }
+
+    logger.warn(`[EmbeddingService] 所有向量化提供方均失败，${texts.length} 条文本将不带向量`);
+    return { embeddings: texts.map(() => null), provider: null };
+  }
+
+  /**
+   * 使用指定模型批量向量化文本（不回退到其他模型）
+   * @param {string[]} texts - 要向量化的文本数组
+   * @param {string} userId - 用户ID
+   * @param {{ modelId: string, dimension?: number }} model - 目标模型
+   * @param {Object} [options]
+   * @param {number} [options.batchSize] - ONNX 每批推理的文本数
+   * @returns {Promise<Array<number[]|null>>} 失败或维度不符时全部为 null
+   */
+  async embedWithModel(texts, userId, model, { batchSize } = {}) {
+    const parsed = parseModelId(model.modelId);
+    if (!parsed) {
+      throw new Error(`未知的向量模型: ${model.modelId}`);
+    }
+
+    const { embeddings, provider } = await this.embedBatch(texts, userId, {
+      provider: parsed.provider,
+      batchSize,
+      modelName: parsed.provider === EmbeddingProvider.LOCAL ? parsed.name : undefined,
+    });
+    if (provider && model.dimension && embeddings[0].length !== model.dimension) {
+      logger.warn(
+        `[EmbeddingService] 模型 ${model.modelId} 输出维度 ${embeddings[0].length} 与登记维度 ${model.dimension} 不一致`
+      );
+      return texts.map(() => null);
+    }
+    return embeddings;
+  }
+
+  /**
+   * 使用当前激活模型批量向量化文本
+   * 写入向量库与检索时都应使用该方法，保证向量与激活模型一致
+   * @param {string[]} texts - 要向量化的文本数组
+   * @param {string} userId - 用户ID
+   * @param {Object} [options] - 见 embedWithModel
+   * @returns {Promise<{ embeddings: Array<number[]|null>, model: Object }>}
+   */
+  async embedForActiveModel(texts, userId, options) {
+    const model = await this.modelRegistry.getActiveModel();
+    const embeddings = await this.embedWithModel(texts, userId, model, options);
+    return { embeddings, model };
+  }
+
+  /**
+   * 使用当前激活模型向量化单条文本
+   * @param {string} text - 要向量化的文本
+   * @param {string} userId - 用户ID
+   * @returns {Promise<{ embedding: number[]|null, embeddingModel: string|null, model: Object }>}
+   */
+  async embedTextForActiveModel(text, userId) {
+    const { embeddings, model } = await this.embedForActiveModel([text], userId);
+    return {
+      embedding: embeddings[0],
+      embeddingModel: embeddings[0] ? model.modelId : null,
+      model,
+    };
+  }
+
+  /**
+   * 批量向量化文本
+   * @param {string[]} texts - 要向量化的文本数组
+   * @param {string} userId - 用户ID
+   * @param {Object} [options] - 见 embedBatch
+   * @returns {Promise<Array<number[]|null>>} 向量嵌入数组的数组
+   */
+  async embedTexts(texts, userId, options) {
+    if (!Array.isArray(texts) || texts.length === 0) {
+      throw new Error('Texts must be a non-empty array');
+    }
+
+    const { embeddings } = await this.embedBatch(texts, userId, options);
+    return embeddings;
   }
 }
 
 module.exports = EmbeddingService;
+module.exports.EmbeddingProvider = EmbeddingProvider;
 
@@ -0,0 +1,119 @@
+jest.mock('@aipyq/data-schemas', () => ({
+  logger: {
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn(),
+  },
+}));
+
+const EmbeddingService = require('./EmbeddingService');
+const ONNXEmbeddingService = require('./ONNXEmbeddingService');
+const { EmbeddingProvider } = EmbeddingService;
+
+/** 模拟 feature-extraction pipeline：每个文本输出 [长度, 1] 的二维向量 */
+const fakePipeline = jest.fn(async (texts) => {
+  const data = new Float32Array(texts.flatMap((text) => [text.length, 1]));
+  return { data, dims: [texts.length, 2], dispose: jest.fn() };
+});
+
+describe('ONNXEmbeddingService batching', () => {
+  let service;
+
+  beforeEach(() => {
+    fakePipeline.mockClear();
+    service = new ONNXEmbeddingService();
+    service.initialized = true;
+    service.pipeline = fakePipeline;
+  });
+
+  it('groups texts of similar length and respects the padded size budget', () => {
+    const texts = ['a'.repeat(100), 'b', 'c'.repeat(90), 'd'.repeat(2)];
+    expect(service.planBatches(texts, { batchSize: 2, maxBatchChars: 1000 })).toEqual([
+      [0, 2],
+      [3, 1],
+    ]);
+    expect(service.planBatches(texts, { batchSize: 4, maxBatchChars: 150 })).toEqual([
+      [0],
+      [2],
+      [3, 1],
+    ]);
+  });
+
+  it('runs one inference per batch and returns embeddings in input order', async () => {
+    const texts = ['aaa', 'b', 'cc'];
+    const embeddings = await service.embedTexts(texts, { batchSize: 2 });
+
+    expect(fakePipeline).toHaveBeenCalledTimes(2);
+    expect(fakePipeline.mock.calls[0][0]).toEqual(['aaa', 'cc']);
+    expect(embeddings).toEqual([
+      [3, 1],
+      [1, 1],
+      [2, 1],
+    ]);
+  });
+
+  it('fails the whole call when a batch output is malformed', async () => {
+    fakePipeline.mockResolvedValueOnce({ data: new Float32Array(2), dims: [2, 2] });
+    await expect(service.embedTexts(['a', 'b'])).rejects.toThrow('ONNX batch embedding failed');
+  });
+});
+
+describe('EmbeddingService.embedBatch', () => {
+  let service;
+
+  beforeEach(() => {
+    service = new EmbeddingService();
+    service.useONNX = true;
+    service.ragApiUrl = undefined;
+    service.onnxEmbeddingService = { embedTexts: jest.fn() };
+    service.embedTextLocal = jest.fn(async () => [0.1, 0.2, 0.3]);
+  });
+
+  it('uses ONNX for the whole batch when it succeeds', async () => {
+    service.onnxEmbeddingService.embedTexts.mockResolvedValue([
+      [1, 2],
+      [3, 4],
+    ]);
+    const result = await service.embedBatch(['a', 'b'], 'u1', { batchSize: 8 });
+
+    expect(result.provider).toBe(EmbeddingProvider.ONNX);
+    expect(service.onnxEmbeddingService.embedTexts).toHaveBeenCalledWith(['a', 'b'], {
+      batchSize: 8,
+    });
+    expect(service.embedTextLocal).not.toHaveBeenCalled();
+  });
+
+  it('falls back as a unit so the batch never mixes providers', async () => {
+    service.onnxEmbeddingService.embedTexts.mockRejectedValue(new Error('model missing'));
+    const result = await service.embedBatch(['a', 'b'], 'u1');
+
+    expect(result.provider).toBe(EmbeddingProvider.LOCAL);
+    expect(result.embeddings).toEqual([
+      [0.1, 0.2, 0.3],
+      [0.1, 0.2, 0.3],
+    ]);
+  });
+
+  it('treats a partial fallback result as a failure of that provider', async () => {
+    service.onnxEmbeddingService.embedTexts.mockRejectedValue(new Error('model missing'));
+    service.embedTextLocal.mockResolvedValueOnce([0.1, 0.2, 0.3]).mockResolvedValueOnce(null);
+    const result = await service.embedBatch(['a', 'b'], 'u1');
+
+    expect(result).toEqual({ embeddings: [null, null], provider: null });
+  });
+
+  it('does not fall back when the provider is pinned', async () => {
+    service.onnxEmbeddingService.embedTexts.mockRejectedValue(new Error('oom'));
+    const result = await service.embedBatch(['a'], 'u1', { provider: EmbeddingProvider.ONNX });
+
+    expect(result).toEqual({ embeddings: [null], provider: null });
+    expect(service.embedTextLocal).not.toHaveBeenCalled();
+  });
+
+  it('keeps embedTexts returning plain embedding arrays', async () => {
+    service.onnxEmbeddingService.embedTexts.mockResolvedValue([[1, 2]]);
+    await expect(service.embedTexts(['a'], 'u1')).resolves.toEqual([[1, 2]]);
+    await expect(service.embedTexts([], 'u1')).rejects.toThrow('non-empty');
+  });
+});
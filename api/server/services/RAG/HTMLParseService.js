@@ -0,0 +1,291 @@
+const fs = require('fs');
+const { logger } = require('@aipyq/data-schemas');
+const StructuredChunker = require('./StructuredChunker');
+const { BlockType } = StructuredChunker;
+
+/** 不包含正文的元素 */
+const SKIPPED_TAGS = new Set([
+  'head',
+  'script',
+  'style',
+  'noscript',
+  'template',
+  'svg',
+  'canvas',
+  'iframe',
+  'object',
+  'button',
+  'select',
+]);
+
+/** 块级元素：开始和结束处断开段落 */
+const BLOCK_TAGS = new Set([
+  'address',
+  'article',
+  'aside',
+  'blockquote',
+  'dd',
+  'details',
+  'div',
+  'dl',
+  'dt',
+  'fieldset',
+  'figcaption',
+  'figure',
+  'footer',
+  'form',
+  'header',
+  'hr',
+  'li',
+  'main',
+  'nav',
+  'ol',
+  'p',
+  'pre',
+  'section',
+  'summary',
+  'ul',
+]);
+
+const HEADING_TAG = /^h([1-6])$/;
+
+class HTMLParseService {
+  constructor() {
+    this.htmlparser2 = null;
+    this.initialized = false;
+  }
+
+  /**
+   * 初始化 HTML 解析库（纯 JS，离线可用）
+   */
+  async initialize() {
+    if (this.initialized) {
+      return;
+    }
+
+    try {
+      this.htmlparser2 = require('htmlparser2');
+      this.initialized = true;
+    } catch {
+      throw new Error("HTML解析库未安装。请运行 'npm install htmlparser2' 来安装该依赖。");
+    }
+  }
+
+  /**
+   * 元素内的文本（合并空白，br 换行）
+   */
+  inlineText(node) {
+    const parts = [];
+    const walk = (current) => {
+      for (const child of current.children || []) {
+        if (child.type === 'text') {
+          parts.push(child.data);
+        } else if (child.type === 'tag' && !SKIPPED_TAGS.has(child.name)) {
+          if (child.name === 'br') {
+            parts.push('\n');
+          } else {
+            walk(child);
+          }
+        }
+      }
+    };
+    walk(node);
+    return parts
+      .join('')
+      .split('\n')
+      .map((line) => line.replace(/\s+/g, ' ').trim())
+      .filter(Boolean)
+      .join('\n');
+  }
+
+  /**
+   * 表格行：th/td 文本，忽略嵌套表格的行
+   */
+  tableRows(table) {
+    const rows = [];
+    const collect = (node) => {
+      for (const child of node.children || []) {
+        if (child.type !== 'tag' || child.name === 'table') {
+          continue;
+        }
+        if (child.name === 'tr') {
+          rows.push(child);
+        } else {
+          collect(child);
+        }
+      }
+    };
+    collect(table);
+    return rows
+      .map((row) =>
+        row.children
+          .filter((cell) => cell.type === 'tag' && (cell.name === 'th' || cell.name === 'td'))
+          .map((cell) => this.inlineText(cell).replace(/\n/g, ' ')),
+      )
+      .filter((cells) => cells.some(Boolean));
+  }
+
+  /**
+   * 将 HTML 转为文档块：h1-h6 为标题，表格整体输出，块级元素断开段落
+   * @param {string} html - HTML 文本
+   * @returns {{ title: string, blocks: Object[] }}
+   */
+  extractBlocks(html) {
+    const { parseDocument, DomUtils } = this.htmlparser2;
+    const document = parseDocument(html, { decodeEntities: true });
+    const titleElement = DomUtils.findOne((node) => node.name === 'title', document.children);
+    const title = titleElement ? this.inlineText(titleElement) : '';
+
+    const blocks = [];
+    let inline = [];
+
+    const flushParagraph = () => {
+      const text = inline
+        .join('')
+        .split('\n')
+        .map((line) => line.replace(/\s+/g, ' ').trim())
+        .filter(Boolean)
+        .join('\n');
+      inline = [];
+      if (text) {
+        blocks.push({ type: BlockType.PARAGRAPH, text });
+      }
+    };
+
+    const walk = (node) => {
+      for (const child of node.children || []) {
+        if (child.type === 'text') {
+          inline.push(child.data);
+          continue;
+        }
+        if (child.type !== 'tag' || SKIPPED_TAGS.has(child.name)) {
+          continue;
+        }
+
+        const heading = child.name.match(HEADING_TAG);
+        if (heading) {
+          flushParagraph();
+          const text = this.inlineText(child).replace(/\n/g, ' ');
+          if (text) {
+            blocks.push({ type: BlockType.HEADING, level: Number(heading[1]), text });
+          }
+        } else if (child.name === 'table') {
+          flushParagraph();
+          const rows = this.tableRows(child);
+          if (rows.length >= 2) {
+            blocks.push({ type: BlockType.TABLE, rows });
+          } else if (rows.length === 1) {
+            blocks.push({ type: BlockType.PARAGRAPH, text: rows[0].filter(Boolean).join(' ') });
+          }
+        } else if (child.name === 'pre') {
+          flushParagraph();
+          const text = DomUtils.textContent(child).replace(/^\n+|\s+$/g, '');
+          if (text) {
+            blocks.push({ type: BlockType.PARAGRAPH, text });
+          }
+        } else if (child.name === 'br') {
+          inline.push('\n');
+        } else if (BLOCK_TAGS.has(child.name)) {
+          flushParagraph();
+          if (child.name === 'li') {
+            inline.push('- ');
+          }
+          walk(child);
+          flushParagraph();
+        } else {
+          walk(child);
+        }
+      }
+    };
+
+    walk(document);
+    flushParagraph();
+    return { title, blocks };
+  }
+
+  /**
+   * 流式分块HTML文件：按标题（h1-h6）划分章节，表格整体输出
+   * 生成器结束时返回 { chunks }
+   *
+   * @param {string|Buffer} pathOrBuffer - HTML文件路径或Buffer
+   * @param {Object} options - 解析选项
+   * @param {number} [options.chunkSize=1000] - 块大小
+   * @param {number} [options.chunkOverlap=150] - 块重叠
+   * @param {boolean} [options.includeSectionPath=true] - 块文本前是否加上章节路径
+   * @param {number} [options.maxChunks] - 最大分块数（默认 RAG_MAX_FILE_CHUNKS，0 为不限制），超过时报错
+   * @param {Object} [options.fileMetadata] - 写入每个块的文件元数据
+   * @returns {AsyncGenerator<{text: string, metadata: Object}>}
+   */
+  async *streamChunks(pathOrBuffer, options = {}) {
+    const {
+      chunkSize = 1000,
+      chunkOverlap = 150,
+      includeSectionPath = true,
+      maxChunks = parseInt(process.env.RAG_MAX_FILE_CHUNKS || '0', 10),
+      fileMetadata = {},
+    } = options;
+
+    if (!this.initialized) {
+      await this.initialize();
+    }
+
+    const html = Buffer.isBuffer(pathOrBuffer)
+      ? pathOrBuffer.toString('utf8')
+      : fs.readFileSync(pathOrBuffer, 'utf8');
+    const { title, blocks } = this.extractBlocks(html);
+
+    const chunker = new StructuredChunker({ chunkSize, chunkOverlap, includeSectionPath });
+    let count = 0;
+
+    const withMetadata = (chunk) => {
+      count++;
+      if (maxChunks > 0 && count > maxChunks) {
+        throw new Error(`HTML分块数超过上限 ${maxChunks}，请拆分文件或调大 RAG_MAX_FILE_CHUNKS`);
+      }
+      return {
+        text: chunk.text,
+        metadata: {
+          ...fileMetadata,
+          ...chunk.metadata,
+          document_title: title || null,
+          source: 'html',
+        },
+      };
+    };
+
+    for (const block of blocks) {
+      for (const chunk of chunker.push(block)) {
+        yield withMetadata(chunk);
+      }
+    }
+    for (const chunk of chunker.flush()) {
+      yield withMetadata(chunk);
+    }
+
+    return { chunks: count };
+  }
+
+  /**
+   * 解析HTML文件（主入口）
+   *
+   * @param {string|Buffer} pathOrBuffer - HTML文件路径或Buffer
+   * @param {Object} options - 解析选项，见 streamChunks
+   * @returns {Promise<Array<{text: string, metadata: Object}>>} 文本块数组
+   */
+  async parseHTML(pathOrBuffer, options = {}) {
+    try {
+      const chunks = [];
+      for await (const chunk of this.streamChunks(pathOrBuffer, options)) {
+        chunks.push(chunk);
+      }
+
+      logger.info(`[HTMLParseService] HTML解析完成: ${chunks.length} 个块`);
+      return chunks;
+    } catch (error) {
+      logger.error('[HTMLParseService] HTML解析失败:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = HTMLParseService;
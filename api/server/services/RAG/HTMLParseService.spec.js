@@ -0,0 +1,66 @@
+jest.mock('@aipyq/data-schemas', () => ({
+  logger: {
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn(),
+  },
+}));
+
+const HTMLParseService = require('./HTMLParseService');
+
+const html = `<!DOCTYPE html>
+<html>
+  <head><title>员工手册</title><style>p { color: red; }</style></head>
+  <body>
+    <nav><a href="/">首页</a></nav>
+    <h1>差旅制度</h1>
+    <p>出差前需在 <b>OA</b> 系统提交申请。<br>经部门负责人审批后生效。</p>
+    <h2>报销标准</h2>
+    <table>
+      <thead><tr><th>城市</th><th>住宿上限</th></tr></thead>
+      <tbody><tr><td>北京</td><td>600&nbsp;元</td></tr></tbody>
+    </table>
+    <ul><li>保留发票</li><li>30 天内提交</li></ul>
+    <script>track('view');</script>
+    <h2>交通</h2>
+    <div>优先选择<span>高铁</span>二等座</div>
+  </body>
+</html>`;
+
+describe('HTMLParseService', () => {
+  it('chunks HTML by heading sections and skips non-content elements', async () => {
+    const service = new HTMLParseService();
+    const chunks = await service.parseHTML(Buffer.from(html), {
+      fileMetadata: { file_id: 'file-1' },
+    });
+
+    expect(chunks.map((chunk) => chunk.text)).toEqual([
+      '首页',
+      '差旅制度\n出差前需在 OA 系统提交申请。\n经部门负责人审批后生效。',
+      '差旅制度 > 报销标准\n| 城市 | 住宿上限 |\n| --- | --- |\n| 北京 | 600 元 |',
+      '差旅制度 > 报销标准\n- 保留发票\n- 30 天内提交',
+      '差旅制度 > 交通\n优先选择高铁二等座',
+    ]);
+    expect(chunks[2].metadata).toMatchObject({
+      file_id: 'file-1',
+      section_path: ['差旅制度', '报销标准'],
+      content_type: 'table',
+      document_title: '员工手册',
+      source: 'html',
+    });
+    expect(chunks.map((chunk) => chunk.metadata.chunk_index)).toEqual([0, 1, 2, 3, 4]);
+  });
+
+  it('keeps preformatted text as-is', async () => {
+    const service = new HTMLParseService();
+    const chunks = await service.parseHTML(
+      Buffer.from('<h3>示例</h3><pre>\nSELECT *\n  FROM orders;\n</pre>'),
+      { includeSectionPath: false },
+    );
+
+    expect(chunks).toHaveLength(1);
+    expect(chunks[0].text).toBe('SELECT *\n  FROM orders;');
+    expect(chunks[0].metadata.section_title).toBe('示例');
+  });
+});
@@ -0,0 +1,627 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { EventEmitter } = require('events');
+const { logger } = require('@aipyq/data-schemas');
+const EmbeddingService = require('./EmbeddingService');
+const VectorDBService = require('./VectorDBService');
+
+/** 入库任务状态 */
+const IngestionJobStatus = {
+  QUEUED: 'queued',
+  RUNNING: 'running',
+  COMPLETED: 'completed',
+  FAILED: 'failed',
+};
+
+/** 失败后的最大尝试次数（含首次） */
+const DEFAULT_MAX_ATTEMPTS = parseInt(process.env.INGESTION_MAX_ATTEMPTS || '3', 10);
+/** 首次重试的等待时间，之后每次翻倍 */
+const DEFAULT_RETRY_DELAY_MS = parseInt(process.env.INGESTION_RETRY_DELAY_MS || '30000', 10);
+/** 运行中的任务超过该时间没有心跳，视为所在进程已中断，重新排队从检查点继续 */
+const DEFAULT_STALE_AFTER_MS = parseInt(process.env.INGESTION_STALE_AFTER_MS || '300000', 10);
+/** 轮询到期重试和中断任务的间隔 */
+const DEFAULT_POLL_INTERVAL_MS = parseInt(process.env.INGESTION_POLL_INTERVAL_MS || '30000', 10);
+
+/**
+ * 入库任务被取消（文件或知识条目已删除）
+ */
+class IngestionCancelledError extends Error {
+  constructor(fileId) {
+    super(`入库任务已取消: fileId=${fileId}`);
+    this.name = 'IngestionCancelledError';
+  }
+}
+
+/**
+ * 按文件大小和分块数量选择每批向量化的分块数
+ * 即使文件很小，分块很多时也使用小批次，避免向量化时的内存峰值
+ * @param {number} bytes - 文件大小（字节）
+ * @param {number} chunkCount - 分块数量
+ * @returns {number}
+ */
+function getBatchSize(bytes, chunkCount) {
+  const MB = 1024 * 1024;
+  if (bytes > 50 * MB || chunkCount > 500) {
+    return 10;
+  }
+  if (bytes > 20 * MB || chunkCount > 300) {
+    return 15;
+  }
+  if (bytes > 10 * MB || chunkCount > 200) {
+    return 20;
+  }
+  return chunkCount > 100 ? 30 : 50;
+}
+
+/**
+ * 返回给客户端的任务视图
+ * @param {Object} job - IngestionJob 文档
+ * @returns {Object}
+ */
+function toJobView(job) {
+  return {
+    file_id: job.file_id,
+    user: job.user?.toString(),
+    filename: job.filename,
+    status: job.status,
+    totalChunks: job.totalChunks ?? 0,
+    processedChunks: job.processedChunks ?? 0,
+    failedChunks: job.failedChunks ?? 0,
+    attempts: job.attempts ?? 0,
+    maxAttempts: job.maxAttempts,
+    nextRunAt: job.nextRunAt ?? null,
+    lastError: job.lastError ?? null,
+    startedAt: job.startedAt ?? null,
+    completedAt: job.completedAt ?? null,
+    createdAt: job.createdAt,
+    updatedAt: job.updatedAt,
+  };
+}
+
+/**
+ * 文件向量化入库任务服务
+ * 上传时只把文件暂存并登记任务，后台逐个执行：解析分块 → 分批向量化 → 写入 file_vectors
+ * - 检查点：每批写入后把 processedChunks 更新为下一个分块序号；分块序号固定为解析结果中的位置，
+ *   中断后重新解析文件，删除检查点之后可能残留的半批向量，从检查点继续
+ * - 重试：失败后按指数退避重新排队，超过 maxAttempts 标记为失败，可手动重试
+ * - 心跳：执行期间定时写入 heartbeatAt，心跳超时的任务视为所在进程已中断；中断同样计入尝试次数
+ * - 进度：每次状态或进度变化触发 'update' 事件（参数为任务视图），供 SSE 推送
+ * 任务通过 MongoDB 原子认领，多个实例可以同时运行
+ */
+class IngestionJobService extends EventEmitter {
+  /**
+   * @param {Object} [options]
+   * @param {Object} [options.models] - 数据模型（默认从 ~/db/models 加载）
+   * @param {EmbeddingService} [options.embeddingService] - 复用已有的向量化服务实例
+   * @param {VectorDBService} [options.vectorDBService] - 复用已有的向量数据库服务实例
+   * @param {Function} [options.parseChunks] - 文件解析分块函数（默认使用 VectorDB/crud 的 parseFileChunks）
+   * @param {string} [options.stagingDir] - 待处理文件的暂存目录
+   * @param {number} [options.maxAttempts] - 最大尝试次数
+   * @param {number} [options.retryDelayMs] - 首次重试等待时间
+   * @param {number} [options.staleAfterMs] - 心跳超时时间
+   * @param {number} [options.heartbeatIntervalMs] - 心跳写入间隔（默认为心跳超时时间的 1/3）
+   * @param {number} [options.pollIntervalMs] - 轮询间隔
+   */
+  constructor({
+    models,
+    embeddingService,
+    vectorDBService,
+    parseChunks,
+    stagingDir,
+    maxAttempts = DEFAULT_MAX_ATTEMPTS,
+    retryDelayMs = DEFAULT_RETRY_DELAY_MS,
+    staleAfterMs = DEFAULT_STALE_AFTER_MS,
+    heartbeatIntervalMs,
+    pollIntervalMs = DEFAULT_POLL_INTERVAL_MS,
+  } = {}) {
+    super();
+    this.setMaxListeners(0); // 每个 SSE 连接一个监听器
+    this.models = models;
+    this.embeddingService = embeddingService || new EmbeddingService();
+    this.vectorDBService = vectorDBService || new VectorDBService();
+    this.parseChunks = parseChunks;
+    this.stagingDir = stagingDir;
+    this.maxAttempts = maxAttempts;
+    this.retryDelayMs = retryDelayMs;
+    this.staleAfterMs = staleAfterMs;
+    this.heartbeatIntervalMs = heartbeatIntervalMs ?? Math.floor(staleAfterMs / 3);
+    this.pollIntervalMs = pollIntervalMs;
+    this.worker = null; // 正在执行的任务循环
+    this.timer = null;
+    this.heldJobs = new Set(); // 本实例正在执行的任务 file_id
+  }
+
+  getModels() {
+    if (!this.models) {
+      this.models = require('~/db/models');
+    }
+    return this.models;
+  }
+
+  getStagingDir() {
+    if (!this.stagingDir) {
+      this.stagingDir = path.join(require('~/config/paths').uploads, 'ingestion');
+    }
+    return this.stagingDir;
+  }
+
+  async parse(job) {
+    if (!this.parseChunks) {
+      this.parseChunks = require('~/server/services/Files/VectorDB/crud').parseFileChunks;
+    }
+    return await this.parseChunks({
+      filePath: job.sourcePath,
+      mimeType: job.mimeType,
+      filename: job.filename,
+      file_id: job.file_id,
+      bytes: job.bytes,
+    });
+  }
+
+  notify(job) {
+    if (job) {
+      this.emit('update', toJobView(job));
+    }
+  }
+
+  /**
+   * 启动后台处理：恢复中断的任务并定期检查到期的重试
+   */
+  start() {
+    if (this.timer) {
+      return;
+    }
+    this.timer = setInterval(() => {
+      this.recoverStaleJobs()
+        .then(() => this.schedule())
+        .catch((error) => logger.error('[IngestionJobService] 轮询入库任务失败:', error));
+    }, this.pollIntervalMs);
+    this.timer.unref?.();
+    this.recoverStaleJobs()
+      .then(() => this.schedule())
+      .catch((error) => logger.error('[IngestionJobService] 恢复入库任务失败:', error));
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * 暂存上传文件并登记入库任务，立即返回任务视图
+   * 同一文件重复登记时从头开始
+   * @param {Object} params
+   * @param {Express.Multer.File} params.file - 上传的文件（path 为临时文件，请求结束后会被删除）
+   * @param {string} params.file_id - 文件ID
+   * @param {string} params.userId - 用户ID
+   * @param {string} [params.entity_id] - 实体ID
+   * @param {string} params.filename - 修复编码后的文件名
+   * @returns {Promise<Object>}
+   */
+  async enqueue({ file, file_id, userId, entity_id, filename }) {
+    const { IngestionJob } = this.getModels();
+    const stagingDir = this.getStagingDir();
+    const sourcePath = path.join(stagingDir, `${file_id}${path.extname(filename)}`);
+    await fs.mkdir(stagingDir, { recursive: true });
+    await fs.copyFile(file.path, sourcePath);
+
+    const job = await IngestionJob.findOneAndUpdate(
+      { file_id },
+      {
+        $set: {
+          user: userId,
+          entity_id: entity_id || null,
+          filename,
+          mimeType: file.mimetype,
+          bytes: file.size,
+          sourcePath,
+          status: IngestionJobStatus.QUEUED,
+          totalChunks: 0,
+          processedChunks: 0,
+          failedChunks: 0,
+          embeddingModel: null,
+          attempts: 0,
+          maxAttempts: this.maxAttempts,
+          nextRunAt: null,
+          heartbeatAt: null,
+          lastError: null,
+          startedAt: null,
+          completedAt: null,
+        },
+      },
+      { upsert: true, new: true },
+    ).lean();
+
+    logger.info(`[IngestionJobService] 登记入库任务: fileId=${file_id}, filename=${filename}`);
+    this.notify(job);
+    this.schedule();
+    return toJobView(job);
+  }
+
+  /**
+   * 手动重试失败的任务（从检查点继续）
+   * @param {string} fileId - 文件ID
+   * @param {string} userId - 用户ID
+   * @returns {Promise<Object|null>} 任务视图，任务不存在或不是失败状态时返回 null
+   */
+  async retry(fileId, userId) {
+    const { IngestionJob } = this.getModels();
+    const job = await IngestionJob.findOneAndUpdate(
+      { file_id: fileId, user: userId, status: IngestionJobStatus.FAILED },
+      {
+        $set: {
+          status: IngestionJobStatus.QUEUED,
+          attempts: 0,
+          nextRunAt: null,
+          lastError: null,
+        },
+      },
+      { new: true },
+    ).lean();
+    if (!job) {
+      return null;
+    }
+    this.notify(job);
+    this.schedule();
+    return toJobView(job);
+  }
+
+  /**
+   * 取消并删除文件的入库任务；正在执行的任务会在下一批写入后停止并清理已写入的向量
+   * @param {string} fileId - 文件ID
+   * @returns {Promise<Object|null>} 被删除的任务
+   */
+  async cancel(fileId) {
+    const { IngestionJob } = this.getModels();
+    const job = await IngestionJob.findOneAndDelete({ file_id: fileId }).lean();
+    if (!job) {
+      return null;
+    }
+    if (job.status !== IngestionJobStatus.COMPLETED) {
+      logger.info(`[IngestionJobService] 取消入库任务: fileId=${fileId}`);
+    }
+    await this.removeSource(job);
+    this.emit('update', { ...toJobView(job), deleted: true });
+    return job;
+  }
+
+  /**
+   * 获取用户的入库任务
+   * @param {string} userId - 用户ID
+   * @param {Object} [params]
+   * @param {string[]} [params.fileIds] - 只返回这些文件的任务
+   * @returns {Promise<Object[]>}
+   */
+  async listJobs(userId, { fileIds } = {}) {
+    const { IngestionJob } = this.getModels();
+    const query = { user: userId };
+    if (fileIds) {
+      query.file_id = { $in: fileIds };
+    }
+    const jobs = await IngestionJob.find(query).sort({ createdAt: -1 }).limit(200).lean();
+    return jobs.map(toJobView);
+  }
+
+  /**
+   * 文件记录创建后同步向量化状态
+   * 小文件可能在文件记录写入前就已完成，此时完成步骤没有可更新的文件记录
+   * @param {string} fileId - 文件ID
+   * @returns {Promise<boolean>} 是否已向量化
+   */
+  async syncFile(fileId) {
+    const { IngestionJob, File } = this.getModels();
+    const job = await IngestionJob.findOne({ file_id: fileId }).select('status').lean();
+    if (job?.status !== IngestionJobStatus.COMPLETED) {
+      return false;
+    }
+    await File.updateOne({ file_id: fileId }, { $set: { embedded: true } });
+    return true;
+  }
+
+  /**
+   * 运行中但心跳超时的任务重新排队，下次执行时从检查点继续
+   * 跳过本实例正在执行的任务；尝试次数已用完的任务标记为失败，不再排队
+   * @returns {Promise<number>} 恢复的任务数
+   */
+  async recoverStaleJobs() {
+    const { IngestionJob } = this.getModels();
+    const stale = {
+      status: IngestionJobStatus.RUNNING,
+      heartbeatAt: { $lt: new Date(Date.now() - this.staleAfterMs) },
+      file_id: { $nin: [...this.heldJobs] },
+    };
+    const exhausted = await IngestionJob.updateMany(
+      { ...stale, $expr: { $gte: ['$attempts', '$maxAttempts'] } },
+      {
+        $set: {
+          status: IngestionJobStatus.FAILED,
+          nextRunAt: null,
+          lastError: '任务执行中断，已达到最大尝试次数',
+        },
+      },
+    );
+    if (exhausted.modifiedCount > 0) {
+      logger.warn(
+        `[IngestionJobService] ${exhausted.modifiedCount} 个中断的入库任务已达到最大尝试次数，标记为失败`,
+      );
+    }
+
+    const result = await IngestionJob.updateMany(stale, {
+      $set: { status: IngestionJobStatus.QUEUED, nextRunAt: null },
+    });
+    if (result.modifiedCount > 0) {
+      logger.info(`[IngestionJobService] 恢复 ${result.modifiedCount} 个中断的入库任务`);
+    }
+    return result.modifiedCount;
+  }
+
+  /**
+   * 启动任务循环（已在运行时不重复启动）
+   * @returns {Promise<void>}
+   */
+  schedule() {
+    if (!this.worker) {
+      this.worker = this.drain().finally(() => {
+        this.worker = null;
+      });
+    }
+    return this.worker;
+  }
+
+  async drain() {
+    try {
+      let job;
+      while ((job = await this.claimNext())) {
+        await this.runJob(job);
+      }
+    } catch (error) {
+      logger.error('[IngestionJobService] 入库任务循环异常:', error);
+    }
+  }
+
+  /**
+   * 原子认领最早的到期任务
+   * @returns {Promise<Object|null>}
+   */
+  async claimNext() {
+    const { IngestionJob } = this.getModels();
+    const now = new Date();
+    const job = await IngestionJob.findOneAndUpdate(
+      {
+        status: IngestionJobStatus.QUEUED,
+        $or: [{ nextRunAt: null }, { nextRunAt: { $lte: now } }],
+      },
+      {
+        $set: { status: IngestionJobStatus.RUNNING, heartbeatAt: now, startedAt: now },
+        $inc: { attempts: 1 },
+      },
+      { sort: { createdAt: 1 }, new: true },
+    ).lean();
+    this.notify(job);
+    return job;
+  }
+
+  /**
+   * 执行任务并记录结果；失败时按退避时间重新排队或标记为失败
+   * @param {Object} job - 已认领的任务
+   */
+  async runJob(job) {
+    const { IngestionJob } = this.getModels();
+    this.heldJobs.add(job.file_id);
+    const stopHeartbeat = this.startHeartbeat(job);
+    try {
+      await this.ingest(job);
+    } catch (error) {
+      if (error instanceof IngestionCancelledError) {
+        logger.info(`[IngestionJobService] ${error.message}`);
+        await this.releaseCancelled(job);
+        return;
+      }
+
+      const exhausted = error.retryable === false || job.attempts >= job.maxAttempts;
+      const update = exhausted
+        ? { status: IngestionJobStatus.FAILED, nextRunAt: null }
+        : {
+            status: IngestionJobStatus.QUEUED,
+            nextRunAt: new Date(Date.now() + this.retryDelayMs * 2 ** (job.attempts - 1)),
+          };
+      logger.error(
+        `[IngestionJobService] 入库任务失败: fileId=${job.file_id}, 第 ${job.attempts} 次尝试，${exhausted ? '不再重试' : '稍后重试'}:`,
+        error,
+      );
+      const updated = await IngestionJob.findOneAndUpdate(
+        { file_id: job.file_id, status: IngestionJobStatus.RUNNING },
+        { $set: { ...update, lastError: error.message } },
+        { new: true },
+      ).lean();
+      if (!updated) {
+        await this.releaseCancelled(job);
+      }
+      this.notify(updated);
+    } finally {
+      stopHeartbeat();
+      this.heldJobs.delete(job.file_id);
+    }
+  }
+
+  /**
+   * 执行期间定时写入心跳，解析或向量化耗时超过心跳超时时间时任务不会被判定为中断
+   * @param {Object} job - 已认领的任务
+   * @returns {() => void} 停止心跳
+   */
+  startHeartbeat(job) {
+    const { IngestionJob } = this.getModels();
+    const timer = setInterval(() => {
+      IngestionJob.updateOne(
+        { file_id: job.file_id, status: IngestionJobStatus.RUNNING },
+        { $set: { heartbeatAt: new Date() } },
+      ).catch((error) =>
+        logger.warn(`[IngestionJobService] 写入心跳失败: fileId=${job.file_id}`, error.message),
+      );
+    }, this.heartbeatIntervalMs);
+    timer.unref?.();
+    return () => clearInterval(timer);
+  }
+
+  /**
+   * 任务不再由本次执行持有时停止执行
+   * 任务已删除（被取消）时清理已写入的向量；任务仍存在说明已重新排队，保留向量供下次执行从检查点继续
+   * @param {Object} job - 任务
+   */
+  async releaseCancelled(job) {
+    const { IngestionJob } = this.getModels();
+    if (await IngestionJob.exists({ file_id: job.file_id })) {
+      logger.warn(`[IngestionJobService] 入库任务已重新排队，本次执行停止: fileId=${job.file_id}`);
+      return;
+    }
+    await this.vectorDBService.deleteFileVectors(job.file_id).catch(() => {});
+  }
+
+  /**
+   * 更新运行中任务的进度；任务已被删除或不再由本次执行持有时视为取消
+   * @param {Object} job - 任务
+   * @param {Object} fields - 要更新的字段
+   * @returns {Promise<Object>} 更新后的任务
+   */
+  async checkpoint(job, fields) {
+    const { IngestionJob } = this.getModels();
+    const updated = await IngestionJob.findOneAndUpdate(
+      { file_id: job.file_id, status: IngestionJobStatus.RUNNING },
+      { $set: { ...fields, heartbeatAt: new Date() } },
+      { new: true },
+    ).lean();
+    if (!updated) {
+      throw new IngestionCancelledError(job.file_id);
+    }
+    this.notify(updated);
+    return updated;
+  }
+
+  /**
+   * 解析文件并从检查点开始分批向量化、写入向量库
+   * @param {Object} job - 已认领的任务
+   */
+  async ingest(job) {
+    const { File } = this.getModels();
+    if (!this.vectorDBService.initialized) {
+      await this.vectorDBService.initialize();
+    }
+
+    const chunks = await this.parse(job);
+    if (chunks.length === 0) {
+      const error = new Error('文件解析后没有文本内容');
+      error.retryable = false;
+      throw error;
+    }
+
+    // 整个文件固定使用同一模型；激活模型或分块结果与检查点不一致时从头开始
+    const model = await this.embeddingService.modelRegistry.getActiveModel();
+    let start = job.processedChunks;
+    let failedChunks = job.failedChunks;
+    const resumable =
+      start > 0 && job.embeddingModel === model.modelId && job.totalChunks === chunks.length;
+    if (resumable) {
+      // 中断时可能已写入检查点之后的半批向量
+      await this.vectorDBService.deleteFileVectorsFrom(job.file_id, start);
+      logger.info(
+        `[IngestionJobService] 从检查点继续: fileId=${job.file_id}, ${start}/${chunks.length}`,
+      );
+    } else {
+      start = 0;
+      failedChunks = 0;
+      await this.vectorDBService.deleteFileVectors(job.file_id);
+    }
+
+    job = await this.checkpoint(job, {
+      totalChunks: chunks.length,
+      processedChunks: start,
+      failedChunks,
+      embeddingModel: model.modelId,
+    });
+
+    const userId = job.user.toString();
+    const batchSize = getBatchSize(job.bytes, chunks.length);
+    for (let batchStart = start; batchStart < chunks.length; batchStart += batchSize) {
+      const batch = chunks.slice(batchStart, batchStart + batchSize);
+      const embeddings = await this.embeddingService.embedWithModel(
+        batch.map((chunk) => chunk.text),
+        userId,
+        model,
+      );
+      const failed = batch.filter((_, i) => !Array.isArray(embeddings[i])).length;
+      if (failed < batch.length) {
+        // 向量化失败的分块由 storeFileVectorsIncremental 跳过，分块序号保持为解析结果中的位置
+        await this.vectorDBService.storeFileVectorsIncremental({
+          fileId: job.file_id,
+          userId,
+          entityId: job.entity_id || null,
+          chunks: batch.map((chunk) => ({
+            text: chunk.text,
+            metadata: {
+              ...(chunk.metadata || {}),
+              file_id: job.file_id,
+              filename: job.filename,
+              entity_id: job.entity_id || null,
+            },
+          })),
+          embeddings,
+          embeddingModel: model.modelId,
+          startChunkIndex: batchStart,
+        });
+      }
+      if (failed > 0) {
+        logger.warn(`[IngestionJobService] 批次中 ${failed} 个文本块向量化失败，已跳过`);
+      }
+      failedChunks += failed;
+      job = await this.checkpoint(job, {
+        processedChunks: batchStart + batch.length,
+        failedChunks,
+      });
+    }
+
+    if (failedChunks === chunks.length) {
+      throw new Error('所有文本块向量化失败');
+    }
+
+    job = await this.checkpoint(job, {
+      status: IngestionJobStatus.COMPLETED,
+      completedAt: new Date(),
+      lastError: null,
+    });
+    await File.updateOne({ file_id: job.file_id }, { $set: { embedded: true } });
+    await this.removeSource(job);
+    logger.info(
+      `[IngestionJobService] 文件向量化完成: fileId=${job.file_id}, ${chunks.length - failedChunks} 个分块，失败 ${failedChunks} 个`,
+    );
+  }
+
+  async removeSource(job) {
+    try {
+      await fs.unlink(job.sourcePath);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.warn(`[IngestionJobService] 删除暂存文件失败: ${job.sourcePath}`, error.message);
+      }
+    }
+  }
+}
+
+let instance = null;
+
+/**
+ * 进程内共享的入库任务服务（上传、SSE 推送和后台处理使用同一实例）
+ * @returns {IngestionJobService}
+ */
+function getIngestionJobService() {
+  if (!instance) {
+    instance = new IngestionJobService();
+  }
+  return instance;
+}
+
+module.exports = IngestionJobService;
+module.exports.IngestionJobStatus = IngestionJobStatus;
+module.exports.IngestionCancelledError = IngestionCancelledError;
+module.exports.getBatchSize = getBatchSize;
+module.exports.toJobView = toJobView;
+module.exports.getIngestionJobService = getIngestionJobService;
@@ -0,0 +1,293 @@
+jest.mock('@aipyq/data-schemas', () => ({
+  logger: {
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn(),
+  },
+  createModels: jest.fn(() => ({})),
+}));
+
+jest.mock('~/db/models', () => ({}));
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const IngestionJobService = require('./IngestionJobService');
+const { IngestionJobStatus } = IngestionJobService;
+
+/** 只支持服务用到的查询条件的内存版 IngestionJob 模型 */
+const createJobModel = (docs) => {
+  const field = (doc, value) =>
+    typeof value === 'string' && value.startsWith('$') ? doc[value.slice(1)] : value;
+  const matches = (doc, filter) =>
+    Object.entries(filter).every(([key, condition]) => {
+      if (key === '$or') {
+        return condition.some((sub) => matches(doc, sub));
+      }
+      if (key === '$expr') {
+        const [left, right] = condition.$gte.map((value) => field(doc, value));
+        return left >= right;
+      }
+      const value = doc[key] ?? null;
+      if (condition && typeof condition === 'object' && !(condition instanceof Date)) {
+        if (condition.$nin) {
+          return !condition.$nin.includes(value);
+        }
+        if (condition.$lt) {
+          return value != null && value < condition.$lt;
+        }
+        return value != null && value <= condition.$lte;
+      }
+      return value === (condition ?? null);
+    });
+  const result = (doc) => ({ lean: async () => (doc ? { ...doc } : null) });
+
+  return {
+    docs,
+    findOneAndUpdate: jest.fn((filter, update) => {
+      const doc = docs.find((item) => matches(item, filter));
+      if (doc) {
+        Object.assign(doc, update.$set);
+        for (const [key, amount] of Object.entries(update.$inc || {})) {
+          doc[key] = (doc[key] ?? 0) + amount;
+        }
+      }
+      return result(doc);
+    }),
+    updateOne: jest.fn(async (filter, update) => {
+      const doc = docs.find((item) => matches(item, filter));
+      if (doc) {
+        Object.assign(doc, update.$set);
+      }
+      return { modifiedCount: doc ? 1 : 0 };
+    }),
+    updateMany: jest.fn(async (filter, update) => {
+      const matched = docs.filter((item) => matches(item, filter));
+      matched.forEach((doc) => Object.assign(doc, update.$set));
+      return { modifiedCount: matched.length };
+    }),
+    exists: jest.fn(async (filter) => (docs.some((item) => matches(item, filter)) ? {} : null)),
+    findOneAndDelete: jest.fn((filter) => {
+      const index = docs.findIndex((item) => matches(item, filter));
+      return result(index >= 0 ? docs.splice(index, 1)[0] : null);
+    }),
+  };
+};
+
+const chunks = Array.from({ length: 6 }, (_, i) => ({
+  text: `分块 ${i}`,
+  metadata: { chunk_index: i },
+}));
+
+describe('IngestionJobService', () => {
+  let stagingDir;
+
+  beforeEach(() => {
+    stagingDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ingestion-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(stagingDir, { recursive: true, force: true });
+  });
+
+  const createService = ({ job, embed, parse, maxAttempts = 3, ...options }) => {
+    const sourcePath = path.join(stagingDir, 'file-1.txt');
+    fs.writeFileSync(sourcePath, 'content');
+    const IngestionJob = createJobModel([
+      {
+        file_id: 'file-1',
+        user: 'user-1',
+        entity_id: null,
+        filename: 'a.txt',
+        mimeType: 'text/plain',
+        bytes: 100,
+        sourcePath,
+        status: IngestionJobStatus.QUEUED,
+        totalChunks: 0,
+        processedChunks: 0,
+        failedChunks: 0,
+        embeddingModel: null,
+        attempts: 0,
+        maxAttempts,
+        nextRunAt: null,
+        ...job,
+      },
+    ]);
+    const File = { updateOne: jest.fn(async () => ({})) };
+    const vectorDBService = {
+      initialized: true,
+      deleteFileVectors: jest.fn(async () => true),
+      deleteFileVectorsFrom: jest.fn(async () => 0),
+      storeFileVectorsIncremental: jest.fn(async () => true),
+    };
+    const embeddingService = {
+      modelRegistry: { getActiveModel: jest.fn(async () => ({ modelId: 'model-1' })) },
+      embedWithModel: jest.fn(embed || (async (texts) => texts.map(() => [0.1, 0.2]))),
+    };
+    const service = new IngestionJobService({
+      models: { IngestionJob, File },
+      vectorDBService,
+      embeddingService,
+      parseChunks: jest.fn(parse || (async () => chunks)),
+      stagingDir,
+      retryDelayMs: 0,
+      ...options,
+    });
+    return { service, IngestionJob, File, vectorDBService, embeddingService, sourcePath };
+  };
+
+  it('resumes from the checkpoint after an interruption', async () => {
+    const { service, IngestionJob, File, vectorDBService, embeddingService, sourcePath } =
+      createService({
+        job: { totalChunks: 6, processedChunks: 4, embeddingModel: 'model-1', attempts: 1 },
+      });
+    const updates = [];
+    service.on('update', (job) => updates.push(job));
+
+    await service.schedule();
+
+    // 清理检查点之后残留的半批向量，只处理剩余分块
+    expect(vectorDBService.deleteFileVectorsFrom).toHaveBeenCalledWith('file-1', 4);
+    expect(vectorDBService.deleteFileVectors).not.toHaveBeenCalled();
+    expect(embeddingService.embedWithModel).toHaveBeenCalledTimes(1);
+    expect(embeddingService.embedWithModel.mock.calls[0][0]).toEqual(['分块 4', '分块 5']);
+    expect(vectorDBService.storeFileVectorsIncremental).toHaveBeenCalledWith(
+      expect.objectContaining({ fileId: 'file-1', startChunkIndex: 4, embeddingModel: 'model-1' }),
+    );
+
+    expect(IngestionJob.docs[0]).toMatchObject({
+      status: IngestionJobStatus.COMPLETED,
+      processedChunks: 6,
+      attempts: 2,
+    });
+    expect(File.updateOne).toHaveBeenCalledWith(
+      { file_id: 'file-1' },
+      { $set: { embedded: true } },
+    );
+    expect(fs.existsSync(sourcePath)).toBe(false);
+    expect(updates.map((job) => job.status)).toEqual([
+      IngestionJobStatus.RUNNING,
+      IngestionJobStatus.RUNNING,
+      IngestionJobStatus.RUNNING,
+      IngestionJobStatus.COMPLETED,
+    ]);
+    expect(updates[0].user).toBe('user-1');
+  });
+
+  it('starts over when the active embedding model changed', async () => {
+    const { service, vectorDBService, embeddingService } = createService({
+      job: { totalChunks: 6, processedChunks: 4, embeddingModel: 'model-0' },
+    });
+
+    await service.schedule();
+
+    expect(vectorDBService.deleteFileVectors).toHaveBeenCalledWith('file-1');
+    expect(vectorDBService.deleteFileVectorsFrom).not.toHaveBeenCalled();
+    expect(embeddingService.embedWithModel.mock.calls[0][0]).toHaveLength(6);
+  });
+
+  it('retries failed attempts and marks the job failed when they run out', async () => {
+    const { service, IngestionJob, File } = createService({
+      maxAttempts: 2,
+      embed: async () => {
+        throw new Error('embedding service unavailable');
+      },
+    });
+
+    await service.schedule();
+
+    expect(IngestionJob.docs[0]).toMatchObject({
+      status: IngestionJobStatus.FAILED,
+      attempts: 2,
+      lastError: 'embedding service unavailable',
+    });
+    expect(File.updateOne).not.toHaveBeenCalled();
+
+    const retried = await service.retry('file-1', 'user-1');
+    expect(retried).toMatchObject({ status: IngestionJobStatus.QUEUED, attempts: 0 });
+    await service.worker;
+  });
+
+  it('stops and removes written vectors when the job is cancelled mid-run', async () => {
+    let service;
+    const setup = createService({
+      embed: async (texts) => {
+        await service.cancel('file-1');
+        return texts.map(() => [0.1]);
+      },
+    });
+    service = setup.service;
+
+    await service.schedule();
+
+    expect(setup.IngestionJob.docs).toHaveLength(0);
+    expect(setup.vectorDBService.deleteFileVectors).toHaveBeenLastCalledWith('file-1');
+    expect(setup.File.updateOne).not.toHaveBeenCalled();
+    expect(fs.existsSync(setup.sourcePath)).toBe(false);
+  });
+
+  it('keeps the heartbeat alive during a slow parse and does not recover its own job', async () => {
+    let service;
+    let recovered;
+    const setup = createService({
+      staleAfterMs: 0,
+      heartbeatIntervalMs: 5,
+      parse: async () => {
+        await new Promise((resolve) => setTimeout(resolve, 30));
+        recovered = await service.recoverStaleJobs();
+        return chunks;
+      },
+    });
+    service = setup.service;
+
+    await service.schedule();
+
+    expect(setup.IngestionJob.updateOne).toHaveBeenCalledWith(
+      { file_id: 'file-1', status: IngestionJobStatus.RUNNING },
+      { $set: { heartbeatAt: expect.any(Date) } },
+    );
+    expect(recovered).toBe(0);
+    expect(setup.IngestionJob.docs[0]).toMatchObject({
+      status: IngestionJobStatus.COMPLETED,
+      attempts: 1,
+    });
+    expect(service.heldJobs.size).toBe(0);
+  });
+
+  it('fails interrupted jobs that used up their attempts instead of requeueing them', async () => {
+    const heartbeatAt = new Date(Date.now() - 60000);
+    const { service, IngestionJob } = createService({
+      staleAfterMs: 1000,
+      job: { status: IngestionJobStatus.RUNNING, heartbeatAt, attempts: 3 },
+    });
+    IngestionJob.docs.push({
+      ...IngestionJob.docs[0],
+      file_id: 'file-2',
+      attempts: 1,
+    });
+
+    await expect(service.recoverStaleJobs()).resolves.toBe(1);
+
+    expect(IngestionJob.docs[0]).toMatchObject({
+      status: IngestionJobStatus.FAILED,
+      lastError: '任务执行中断，已达到最大尝试次数',
+    });
+    expect(IngestionJob.docs[1]).toMatchObject({ status: IngestionJobStatus.QUEUED });
+  });
+
+  it('keeps written vectors when the job was requeued while running', async () => {
+    const setup = createService({
+      embed: async (texts) => {
+        setup.IngestionJob.docs[0].status = IngestionJobStatus.QUEUED;
+        return texts.map(() => [0.1]);
+      },
+    });
+    const { service } = setup;
+
+    await service.runJob(await service.claimNext());
+
+    expect(setup.vectorDBService.deleteFileVectors).toHaveBeenCalledTimes(1); // 从头开始时的清理
+    expect(setup.IngestionJob.docs[0].status).toBe(IngestionJobStatus.QUEUED);
+  });
+});
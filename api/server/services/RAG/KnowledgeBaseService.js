@@ -1,6 +1,7 @@
 const { logger } = require('@aipyq/data-schemas');
 const mongoose = require('mongoose');
 const { createModels } = require('@aipyq/data-schemas');
+const { applySearchTokens } = require('./KnowledgeLexicalIndex');
 
 /**
  * 语义角色定义
@@ -713,8 +714,50 @@ function inferEntityType(modelDesc, context) {
   return '实体';
 }
 
+/**
+ * 知识条目的向量化文本，与写入时保持一致（QA对只向量化问题）
+ * 导入与向量模型迁移重新向量化时使用
+ * @param {{ type: string, content: string, metadata?: Object }} entry - 知识条目
+ * @returns {string}
+ */
+function getEntryEmbeddingText(entry) {
+  if (entry.type === KnowledgeType.QA_PAIR && entry.metadata?.question) {
+    return entry.metadata.question;
+  }
+  return entry.content;
+}
 
 
+/**
+ * 知识条目的归属范围查询条件
+ * 共享知识库中的条目按 metadata.knowledge_base_id 归属（权限由 ACL 控制），
+ * 其余条目为作者私有，仅按 user 归属
+ * @param {Object} params
+ * @param {string} [params.userId] - 用户ID（私有条目）
+ * @param {string} [params.knowledgeBaseId] - 知识库ID（共享条目）
+ * @returns {Object} MongoDB 查询条件
+ */
+function getEntryScope({ userId, knowledgeBaseId }) {
+  if (knowledgeBaseId) {
+    return { 'metadata.knowledge_base_id': String(knowledgeBaseId) };
+  }
+  return { user: userId, 'metadata.knowledge_base_id': null };
+}
+
+/**
+ * 检索时的知识库范围查询条件
+ * 传入知识库ID数组时只检索这些知识库（调用方需先按 ACL 过滤）；
+ * 未传入时只检索不属于任何共享知识库的条目，避免绕过授权读取共享内容
+ * @param {string[]} [knowledgeBaseIds] - 已授权的知识库ID数组
+ * @returns {Object} MongoDB 查询条件
+ */
+function getKnowledgeBaseScope(knowledgeBaseIds) {
+  if (Array.isArray(knowledgeBaseIds)) {
+    return { 'metadata.knowledge_base_id': { $in: knowledgeBaseIds.map(String) } };
+  }
+  return { 'metadata.knowledge_base_id': null };
+}
+
 // 确保模型已创建（如果还没有）
 // 注意：模型需要在 MongoDB 连接后才能使用，但可以在连接前创建
 let KnowledgeEntry;
@@ -759,6 +802,8 @@ try {
 }
 const EmbeddingService = require('./EmbeddingService');
 const VectorDBService = require('./VectorDBService');
+const KnowledgeVersionService = require('./KnowledgeVersionService');
+const { VersionAction, snapshotEntry } = KnowledgeVersionService;
 
 /**
  * 知识库管理服务
@@ -768,9 +813,64 @@ class KnowledgeBaseService {
   constructor() {
     this.embeddingService = new EmbeddingService();
     this.vectorDBService = new VectorDBService();
+    this.versionService = new KnowledgeVersionService();
     this.useVectorDB = process.env.USE_VECTOR_DB !== 'false'; // 默认启用向量数据库
   }
 
+  /**
+   * 记录知识条目版本（审计历史）
+   * 记录失败只告警，不影响条目本身的修改
+   * @param {Object} params - 见 KnowledgeVersionService.recordVersion
+   * @param {string} [params.userId] - 操作用户ID
+   */
+  async recordEntryVersion({ entry, action, userId, before, restoredFrom }) {
+    try {
+      await this.versionService.recordVersion({
+        entry,
+        action,
+        authorId: userId,
+        before,
+        restoredFrom,
+      });
+    } catch (versionError) {
+      logger.warn(`[KnowledgeBaseService] 记录知识条目版本失败: ${entry._id}`, versionError.message);
+    }
+  }
+
+  /**
+   * 向量数据库中保存的条目元数据
+   * 语义模型只保存检索所需的字段（semantic_description 等展示字段不参与向量检索）
+   * @param {Object} entry - 知识条目
+   * @returns {Object}
+   */
+  getVectorMetadata(entry) {
+    if (entry.type !== KnowledgeType.SEMANTIC_MODEL) {
+      return entry.metadata;
+    }
+    return {
+      semantic_model_id: entry.metadata?.semantic_model_id,
+      database_name: entry.metadata?.database_name,
+      table_name: entry.metadata?.table_name,
+      entity_id: entry.metadata?.entity_id,
+      is_database_level: entry.metadata?.is_database_level,
+      parent_id: entry.parent_id ? entry.parent_id.toString() : null,
+    };
+  }
+
+  /**
+   * 写入知识条目的向量及模型来源
+   * 同时清除迁移暂存的新模型向量（内容已变化，由迁移任务重新生成）
+   * @param {Object} entry - 知识条目文档
+   * @param {number[]|null} embedding - 向量
+   * @param {string|null} embeddingModel - 模型ID
+   */
+  setEntryEmbedding(entry, embedding, embeddingModel) {
+    entry.embedding = embedding;
+    entry.embedding_model = embeddingModel;
+    entry.staged_embedding = undefined;
+    entry.staged_embedding_model = undefined;
+  }
+
   /**
    * 添加语义模型到知识库
    * @param {Object} params
@@ -782,9 +882,10 @@ class KnowledgeBaseService {
    * @param {string} [params.entityId] - 实体ID
    * @param {string} [params.parentId] - 父级知识条目ID（用于层级结构）
    * @param {boolean} [params.isDatabaseLevel] - 是否为数据库级别的语义模型
+   * @param {string} [params.knowledgeBaseId] - 所属共享知识库ID
    * @returns {Promise<Object>} 创建的知识条目
    */
-  async addSemanticModel({ userId, semanticModelId, databaseName, tableName, content, entityId, parentId, isDatabaseLevel = false, semanticDescription = null, title: customTitle = null, modelType = null }) {
+  async addSemanticModel({ userId, semanticModelId, databaseName, tableName, content, entityId, parentId, isDatabaseLevel = false, semanticDescription = null, title: customTitle = null, modelType = null, knowledgeBaseId }) {
     try {
       // 如果提供了自定义标题，使用自定义标题；否则使用默认标题
       const title = customTitle || (isDatabaseLevel 
@@ -793,8 +894,9 @@ class KnowledgeBaseService {
       
       // 生成向量嵌入（如果失败，允许没有 embedding）
       let embedding = null;
+      let embeddingModel = null;
       try {
-        embedding = await this.embeddingService.embedText(content, userId);
+        ({ embedding, embeddingModel } = await this.embeddingService.embedTextForActiveModel(content, userId));
         logger.debug(`[KnowledgeBaseService] Generated embedding for semantic model: ${semanticModelId}`);
       } catch (embeddingError) {
         logger.warn(`[KnowledgeBaseService] Failed to generate embedding for semantic model ${semanticModelId}, continuing without embedding:`, embeddingError.message);
@@ -828,6 +930,7 @@ class KnowledgeBaseService {
         title,
         content,
         embedding,
+        embedding_model: embeddingModel,
         parent_id: parentIdValue,
         metadata: {
           semantic_model_id: semanticModelId,
@@ -839,10 +942,12 @@ class KnowledgeBaseService {
           semantic_description: semanticDescription || null,
           // 模型类型（如果提供）
           model_type: modelType || null,
+          knowledge_base_id: knowledgeBaseId ? String(knowledgeBaseId) : null,
         },
       });
 
       await knowledgeEntry.save();
+      await this.recordEntryVersion({ entry: knowledgeEntry, action: VersionAction.CREATE, userId });
       
       // 验证 parent_id 是否正确保存
       const savedEntry = await KnowledgeEntry.findById(knowledgeEntry._id).lean();
@@ -862,6 +967,7 @@ class KnowledgeBaseService {
             type: KnowledgeType.SEMANTIC_MODEL,
             content,
             embedding,
+            embeddingModel,
             metadata: {
               semantic_model_id: semanticModelId,
               database_name: databaseName,
@@ -902,9 +1008,10 @@ class KnowledgeBaseService {
    * @param {Array} params.semanticModels - 表级别的语义模型数组
    * @param {string} params.databaseContent - 数据库级别的完整内容（JSON字符串）
    * @param {Object} [params.metadata] - 数据库级别的元数据
+   * @param {string} [params.knowledgeBaseId] - 所属共享知识库ID
    * @returns {Promise<Object>} 包含父级和子级的结果
    */
-  async addDatabaseSemanticModel({ userId, databaseName, semanticModels, databaseContent, metadata = {} }) {
+  async addDatabaseSemanticModel({ userId, databaseName, semanticModels, databaseContent, metadata = {}, knowledgeBaseId }) {
     try {
       // 生成语义模型说明（仅用于展示，不参与向量检索）
       const semanticDescription = generateSemanticModelDescription({
@@ -926,6 +1033,7 @@ class KnowledgeBaseService {
         semanticDescription, // 传递说明文本
         title: parentTitle, // 使用metadata中的title
         modelType: metadata.model_type, // 使用metadata中的model_type
+        knowledgeBaseId,
       });
 
       // 确保 parentId 是正确的 ObjectId 或字符串格式
@@ -956,6 +1064,7 @@ class KnowledgeBaseService {
           parentId: parentId, // 使用字符串格式的 parentId
           isDatabaseLevel: false,
           entityId: metadata.entity_id,
+          knowledgeBaseId,
         });
         childEntries.push(childEntry);
         logger.info(`[KnowledgeBaseService] 创建子级模型: ${model.name || model.model}, parentId: ${parentId}, childEntry.parent_id: ${childEntry.parent_id || 'null'}, childEntry._id: ${childEntry._id}`);
@@ -980,14 +1089,18 @@ class KnowledgeBaseService {
    * @param {string} userId - 用户ID
    * @param {string} [entityId] - 实体ID（数据源ID）
    * @param {number} [minScore=0.85] - 最小相似度阈值
+   * @param {string} [knowledgeBaseId] - 共享知识库ID（只在同一知识库内去重）
    * @returns {Promise<Object|null>} 如果存在重复则返回已存在的QA对，否则返回null
    */
-  async checkDuplicateQA({ question, userId, entityId, minScore = 0.85 }) {
+  async checkDuplicateQA({ question, userId, entityId, minScore = 0.85, knowledgeBaseId }) {
     try {
+      const scope = getKnowledgeBaseScope(knowledgeBaseId ? [knowledgeBaseId] : undefined);
+
       // 先尝试在MongoDB中直接查找相同的问题（精确匹配）
       const query = {
         type: KnowledgeType.QA_PAIR,
         'metadata.question': question.trim(),
+        ...scope,
       };
       
       // 如果指定了entityId，在同一数据源内检查；否则检查所有数据源
@@ -1004,7 +1117,8 @@ class KnowledgeBaseService {
       // 如果没有精确匹配，使用向量相似度搜索（如果启用了向量数据库）
       if (this.useVectorDB) {
         try {
-          const questionEmbedding = await this.embeddingService.embedText(question, userId);
+          const { embedding: questionEmbedding } =
+            await this.embeddingService.embedTextForActiveModel(question, userId);
           if (questionEmbedding) {
             const similarResults = await this.vectorDBService.searchSimilar({
               queryEmbedding: questionEmbedding,
@@ -1018,8 +1132,11 @@ class KnowledgeBaseService {
               const topResult = similarResults[0];
               if (topResult.score >= minScore) {
                 logger.debug(`[KnowledgeBaseService] 发现相似的QA对（相似度: ${topResult.score.toFixed(3)}）`);
-                // 从MongoDB获取完整信息
-                const existingEntry = await KnowledgeEntry.findById(topResult.knowledgeEntryId);
+                // 从MongoDB获取完整信息（其他知识库中的相似问题不算重复）
+                const existingEntry = await KnowledgeEntry.findOne({
+                  _id: topResult.knowledgeEntryId,
+                  ...scope,
+                });
                 if (existingEntry) {
                   return existingEntry.toObject();
                 }
@@ -1046,13 +1163,14 @@ class KnowledgeBaseService {
    * @param {string} params.answer - 答案
    * @param {string} [params.entityId] - 实体ID（数据源ID）
    * @param {boolean} [params.skipDuplicateCheck=false] - 是否跳过去重检查
+   * @param {string} [params.knowledgeBaseId] - 所属共享知识库ID
    * @returns {Promise<Object>} 创建的知识条目（如果已存在则返回已存在的条目）
    */
-  async addQAPair({ userId, question, answer, entityId, skipDuplicateCheck = false }) {
+  async addQAPair({ userId, question, answer, entityId, skipDuplicateCheck = false, knowledgeBaseId }) {
     try {
       // 去重检查（除非明确跳过）
       if (!skipDuplicateCheck) {
-        const duplicate = await this.checkDuplicateQA({ question, userId, entityId });
+        const duplicate = await this.checkDuplicateQA({ question, userId, entityId, knowledgeBaseId });
         if (duplicate) {
           logger.info(`[KnowledgeBaseService] QA对已存在，跳过添加: ${question.substring(0, 30)}...`);
           return duplicate;
@@ -1065,8 +1183,9 @@ class KnowledgeBaseService {
 
       // 生成向量嵌入（使用问题作为主要向量化内容，如果失败则允许没有 embedding）
       let embedding = null;
+      let embeddingModel = null;
       try {
-        embedding = await this.embeddingService.embedText(question, userId);
+        ({ embedding, embeddingModel } = await this.embeddingService.embedTextForActiveModel(question, userId));
         logger.debug(`[KnowledgeBaseService] Generated embedding for QA pair`);
       } catch (embeddingError) {
         logger.warn(`[KnowledgeBaseService] Failed to generate embedding for QA pair, continuing without embedding:`, embeddingError.message);
@@ -1078,14 +1197,17 @@ class KnowledgeBaseService {
         title,
         content,
         embedding,
+        embedding_model: embeddingModel,
         metadata: {
           question,
           answer,
           entity_id: entityId,
+          knowledge_base_id: knowledgeBaseId ? String(knowledgeBaseId) : null,
         },
       });
 
       await knowledgeEntry.save();
+      await this.recordEntryVersion({ entry: knowledgeEntry, action: VersionAction.CREATE, userId });
 
       // 同时存储到向量数据库（如果启用且有 embedding）
       if (this.useVectorDB && embedding) {
@@ -1096,6 +1218,7 @@ class KnowledgeBaseService {
             type: KnowledgeType.QA_PAIR,
             content,
             embedding,
+            embeddingModel,
             metadata: {
               question,
               answer,
@@ -1123,9 +1246,10 @@ class KnowledgeBaseService {
    * @param {string} params.noun - 名词
    * @param {string[]} params.synonyms - 同义词数组
    * @param {string} [params.entityId] - 实体ID
+   * @param {string} [params.knowledgeBaseId] - 所属共享知识库ID
    * @returns {Promise<Object>} 创建的知识条目
    */
-  async addSynonym({ userId, noun, synonyms, entityId }) {
+  async addSynonym({ userId, noun, synonyms, entityId, knowledgeBaseId }) {
     try {
       const synonymsText = synonyms.join(', ');
       const content = `名词: ${noun}\n同义词: ${synonymsText}`;
@@ -1133,8 +1257,9 @@ class KnowledgeBaseService {
 
       // 生成向量嵌入（使用名词和同义词组合，如果失败则允许没有 embedding）
       let embedding = null;
+      let embeddingModel = null;
       try {
-        embedding = await this.embeddingService.embedText(content, userId);
+        ({ embedding, embeddingModel } = await this.embeddingService.embedTextForActiveModel(content, userId));
         logger.debug(`[KnowledgeBaseService] Generated embedding for synonym`);
       } catch (embeddingError) {
         logger.warn(`[KnowledgeBaseService] Failed to generate embedding for synonym, continuing without embedding:`, embeddingError.message);
@@ -1146,14 +1271,17 @@ class KnowledgeBaseService {
         title,
         content,
         embedding,
+        embedding_model: embeddingModel,
         metadata: {
           noun,
           synonyms,
           entity_id: entityId,
+          knowledge_base_id: knowledgeBaseId ? String(knowledgeBaseId) : null,
         },
       });
 
       await knowledgeEntry.save();
+      await this.recordEntryVersion({ entry: knowledgeEntry, action: VersionAction.CREATE, userId });
 
       // 同时存储到向量数据库（如果启用且有 embedding）
       if (this.useVectorDB && embedding) {
@@ -1164,6 +1292,7 @@ class KnowledgeBaseService {
             type: KnowledgeType.SYNONYM,
             content,
             embedding,
+            embeddingModel,
             metadata: {
               noun,
               synonyms,
@@ -1193,9 +1322,10 @@ class KnowledgeBaseService {
    * @param {string} [params.category] - 分类
    * @param {string[]} [params.tags] - 标签
    * @param {string} [params.entityId] - 实体ID
+   * @param {string} [params.knowledgeBaseId] - 所属共享知识库ID
    * @returns {Promise<Object>} 创建的知识条目
    */
-  async addBusinessKnowledge({ userId, title, content, category, tags, entityId, fileId, filename }) {
+  async addBusinessKnowledge({ userId, title, content, category, tags, entityId, fileId, filename, knowledgeBaseId }) {
     try {
       // 修复文件名编码问题（multer 可能将 UTF-8 文件名错误地按 Latin1 解码）
       const { fixFilenameEncoding } = require('~/server/utils/files');
@@ -1210,9 +1340,10 @@ class KnowledgeBaseService {
       // 如果有关联的文件，文件已经通过上传 API 向量化，不需要再次生成 embedding
       // 否则，为文本内容生成向量嵌入
       let embedding = null;
+      let embeddingModel = null;
       if (!fileId && content) {
         try {
-          embedding = await this.embeddingService.embedText(content, userId);
+          ({ embedding, embeddingModel } = await this.embeddingService.embedTextForActiveModel(content, userId));
           logger.debug(`[KnowledgeBaseService] Generated embedding for business knowledge`);
         } catch (embeddingError) {
           logger.warn(`[KnowledgeBaseService] Failed to generate embedding for business knowledge, continuing without embedding:`, embeddingError.message);
@@ -1239,6 +1370,7 @@ class KnowledgeBaseService {
         title: decodedTitle,
         content: content || (fileId ? `文档: ${decodedFilename || '已上传文档'}` : ''),
         embedding,
+        embedding_model: embeddingModel,
         parent_id: null, // 明确设置为 null，确保是父级条目
         metadata: {
           category,
@@ -1246,10 +1378,12 @@ class KnowledgeBaseService {
           entity_id: entityId,
           file_id: fileId, // 关联的文件ID
           filename: decodedFilename, // 文件名（已解码）
+          knowledge_base_id: knowledgeBaseId ? String(knowledgeBaseId) : null,
         },
       });
 
       await knowledgeEntry.save();
+      await this.recordEntryVersion({ entry: knowledgeEntry, action: VersionAction.CREATE, userId });
 
       // 同时存储到向量数据库（如果启用且有 embedding）
       // 注意：如果有关联的文件，文件已经通过上传 API 向量化，不需要再次存储
@@ -1261,6 +1395,7 @@ class KnowledgeBaseService {
             type: KnowledgeType.BUSINESS_KNOWLEDGE,
             content,
             embedding,
+            embeddingModel,
             metadata: {
               category,
               tags: tags || [],
@@ -1299,29 +1434,36 @@ class KnowledgeBaseService {
    * @param {string} params.userId - 用户ID
    * @param {string} params.question - 问题
    * @param {string} params.answer - 答案
+   * @param {string} [params.knowledgeBaseId] - 条目所属共享知识库ID（共享条目按知识库归属校验）
+   * @param {string} [params.authorId] - 版本记录中的操作人，默认为 userId（审核人代为修改他人条目时传入）
    * @returns {Promise<Object>} 更新后的知识条目
    */
-  async updateQAPair({ entryId, userId, question, answer }) {
+  async updateQAPair({ entryId, userId, question, answer, knowledgeBaseId, authorId }) {
     try {
-      const entry = await KnowledgeEntry.findOne({ _id: entryId, user: userId });
+      const entry = await KnowledgeEntry.findOne({
+        _id: entryId,
+        ...getEntryScope({ userId, knowledgeBaseId }),
+      });
       if (!entry) {
         throw new Error('知识条目不存在或无权修改');
       }
+      const before = snapshotEntry(entry);
 
       const content = `问题: ${question}\n答案: ${answer}`;
       const title = `QA: ${question.substring(0, 50)}${question.length > 50 ? '...' : ''}`;
 
       // 重新生成向量嵌入
       let embedding = null;
+      let embeddingModel = null;
       try {
-        embedding = await this.embeddingService.embedText(question, userId);
+        ({ embedding, embeddingModel } = await this.embeddingService.embedTextForActiveModel(question, userId));
       } catch (embeddingError) {
         logger.warn(`[KnowledgeBaseService] Failed to regenerate embedding for QA pair, continuing without embedding:`, embeddingError.message);
       }
 
       entry.title = title;
       entry.content = content;
-      entry.embedding = embedding;
+      this.setEntryEmbedding(entry, embedding, embeddingModel);
       entry.metadata = {
         ...entry.metadata,
         question,
@@ -1330,6 +1472,7 @@ class KnowledgeBaseService {
       entry.updatedAt = new Date();
 
       await entry.save();
+      await this.recordEntryVersion({ entry, action: VersionAction.UPDATE, userId: authorId || userId, before });
 
       // 更新向量数据库
       if (this.useVectorDB && embedding) {
@@ -1340,6 +1483,7 @@ class KnowledgeBaseService {
             type: KnowledgeType.QA_PAIR,
             content,
             embedding,
+            embeddingModel,
             metadata: entry.metadata,
           });
         } catch (vectorError) {
@@ -1362,14 +1506,20 @@ class KnowledgeBaseService {
    * @param {string} params.userId - 用户ID
    * @param {string} params.noun - 名词
    * @param {string[]} params.synonyms - 同义词数组
+   * @param {string} [params.knowledgeBaseId] - 条目所属共享知识库ID（共享条目按知识库归属校验）
+   * @param {string} [params.authorId] - 版本记录中的操作人，默认为 userId（审核人代为修改他人条目时传入）
    * @returns {Promise<Object>} 更新后的知识条目
    */
-  async updateSynonym({ entryId, userId, noun, synonyms }) {
+  async updateSynonym({ entryId, userId, noun, synonyms, knowledgeBaseId, authorId }) {
     try {
-      const entry = await KnowledgeEntry.findOne({ _id: entryId, user: userId });
+      const entry = await KnowledgeEntry.findOne({
+        _id: entryId,
+        ...getEntryScope({ userId, knowledgeBaseId }),
+      });
       if (!entry) {
         throw new Error('知识条目不存在或无权修改');
       }
+      const before = snapshotEntry(entry);
 
       const synonymsText = synonyms.join(', ');
       const content = `名词: ${noun}\n同义词: ${synonymsText}`;
@@ -1377,15 +1527,16 @@ class KnowledgeBaseService {
 
       // 重新生成向量嵌入
       let embedding = null;
+      let embeddingModel = null;
       try {
-        embedding = await this.embeddingService.embedText(content, userId);
+        ({ embedding, embeddingModel } = await this.embeddingService.embedTextForActiveModel(content, userId));
       } catch (embeddingError) {
         logger.warn(`[KnowledgeBaseService] Failed to regenerate embedding for synonym, continuing without embedding:`, embeddingError.message);
       }
 
       entry.title = title;
       entry.content = content;
-      entry.embedding = embedding;
+      this.setEntryEmbedding(entry, embedding, embeddingModel);
       entry.metadata = {
         ...entry.metadata,
         noun,
@@ -1394,6 +1545,7 @@ class KnowledgeBaseService {
       entry.updatedAt = new Date();
 
       await entry.save();
+      await this.recordEntryVersion({ entry, action: VersionAction.UPDATE, userId: authorId || userId, before });
 
       // 更新向量数据库
       if (this.useVectorDB && embedding) {
@@ -1404,6 +1556,7 @@ class KnowledgeBaseService {
             type: KnowledgeType.SYNONYM,
             content,
             embedding,
+            embeddingModel,
             metadata: entry.metadata,
           });
         } catch (vectorError) {
@@ -1428,24 +1581,31 @@ class KnowledgeBaseService {
    * @param {string} params.content - 内容
    * @param {string} [params.category] - 分类
    * @param {string[]} [params.tags] - 标签
+   * @param {string} [params.knowledgeBaseId] - 条目所属共享知识库ID（共享条目按知识库归属校验）
+   * @param {string} [params.authorId] - 版本记录中的操作人，默认为 userId（审核人代为修改他人条目时传入）
    * @returns {Promise<Object>} 更新后的知识条目
    */
-  async updateBusinessKnowledge({ entryId, userId, title, content, category, tags }) {
+  async updateBusinessKnowledge({ entryId, userId, title, content, category, tags, knowledgeBaseId, authorId }) {
     try {
-      const entry = await KnowledgeEntry.findOne({ _id: entryId, user: userId });
+      const entry = await KnowledgeEntry.findOne({
+        _id: entryId,
+        ...getEntryScope({ userId, knowledgeBaseId }),
+      });
       if (!entry) {
         throw new Error('知识条目不存在或无权修改');
       }
+      const before = snapshotEntry(entry);
 
       // 如果有关联的文件，不需要重新生成 embedding
       const fileId = entry.metadata?.file_id;
       let embedding = entry.embedding; // 保留原有 embedding
+      let embeddingModel = entry.embedding_model;
 
       // 只在提供了 content 且没有关联文件时才重新生成 embedding
       if (!fileId && content !== undefined && content !== null) {
         // 重新生成向量嵌入
         try {
-          embedding = await this.embeddingService.embedText(content, userId);
+          ({ embedding, embeddingModel } = await this.embeddingService.embedTextForActiveModel(content, userId));
         } catch (embeddingError) {
           logger.warn(`[KnowledgeBaseService] Failed to regenerate embedding for business knowledge, continuing without embedding:`, embeddingError.message);
         }
@@ -1459,7 +1619,7 @@ class KnowledgeBaseService {
         entry.content = content;
       }
       if (embedding) {
-        entry.embedding = embedding;
+        this.setEntryEmbedding(entry, embedding, embeddingModel);
       }
       
       // 更新 metadata，只更新提供的字段
@@ -1474,6 +1634,7 @@ class KnowledgeBaseService {
       entry.updatedAt = new Date();
 
       await entry.save();
+      await this.recordEntryVersion({ entry, action: VersionAction.UPDATE, userId: authorId || userId, before });
 
       // 更新向量数据库（如果有关联文件，文件已经向量化，不需要更新）
       if (this.useVectorDB && embedding && !fileId) {
@@ -1484,6 +1645,7 @@ class KnowledgeBaseService {
             type: KnowledgeType.BUSINESS_KNOWLEDGE,
             content: entry.content,
             embedding,
+            embeddingModel,
             metadata: entry.metadata,
           });
         } catch (vectorError) {
@@ -1499,6 +1661,342 @@ class KnowledgeBaseService {
     }
   }
 
+  /**
+   * 查找数据库级别的语义模型及其表级子模型
+   * @param {Object} params
+   * @param {string} params.userId - 用户ID
+   * @param {string} params.databaseName - 数据库名称
+   * @param {string} [params.entityId] - 实体ID（数据源ID）
+   * @returns {Promise<{ parent: Object, children: Object[] } | null>} 不存在时返回 null
+   */
+  async findDatabaseSemanticModel({ userId, databaseName, entityId }) {
+    try {
+      const query = {
+        user: userId,
+        type: KnowledgeType.SEMANTIC_MODEL,
+        parent_id: null,
+        'metadata.is_database_level': true,
+        'metadata.database_name': databaseName,
+      };
+      if (entityId) {
+        query['metadata.entity_id'] = entityId;
+      }
+
+      const parent = await KnowledgeEntry.findOne(query).sort({ createdAt: -1 }).lean();
+      if (!parent) {
+        return null;
+      }
+
+      const children = await KnowledgeEntry.find({
+        parent_id: parent._id,
+        user: userId,
+      }).lean();
+
+      return { parent, children };
+    } catch (error) {
+      logger.error('[KnowledgeBaseService] 查找数据库语义模型失败:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * 更新语义模型
+   * @param {Object} params
+   * @param {string} params.entryId - 知识条目ID
+   * @param {string} params.userId - 用户ID
+   * @param {string} params.content - 语义模型内容（JSON字符串或文本）
+   * @param {string} [params.title] - 标题
+   * @param {string} [params.semanticDescription] - 语义模型说明（仅用于展示）
+   * @returns {Promise<Object>} 更新后的知识条目
+   */
+  async updateSemanticModel({ entryId, userId, content, title, semanticDescription }) {
+    try {
+      const entry = await KnowledgeEntry.findOne({ _id: entryId, user: userId });
+      if (!entry) {
+        throw new Error('知识条目不存在或无权修改');
+      }
+      const before = snapshotEntry(entry);
+
+      // 重新生成向量嵌入
+      let embedding = null;
+      let embeddingModel = null;
+      try {
+        ({ embedding, embeddingModel } = await this.embeddingService.embedTextForActiveModel(content, userId));
+      } catch (embeddingError) {
+        logger.warn(`[KnowledgeBaseService] Failed to regenerate embedding for semantic model, continuing without embedding:`, embeddingError.message);
+      }
+
+      if (title) {
+        entry.title = title;
+      }
+      entry.content = content;
+      this.setEntryEmbedding(entry, embedding, embeddingModel);
+      if (semanticDescription !== undefined) {
+        entry.metadata = {
+          ...entry.metadata,
+          semantic_description: semanticDescription,
+        };
+      }
+      entry.updatedAt = new Date();
+
+      await entry.save();
+      await this.recordEntryVersion({ entry, action: VersionAction.UPDATE, userId, before });
+
+      // 更新向量数据库（semantic_description 不参与向量检索）
+      if (this.useVectorDB && embedding) {
+        try {
+          await this.vectorDBService.updateKnowledgeVector({
+            knowledgeEntryId: entry._id.toString(),
+            userId: userId.toString(),
+            type: KnowledgeType.SEMANTIC_MODEL,
+            content,
+            embedding,
+            embeddingModel,
+            metadata: this.getVectorMetadata(entry),
+          });
+        } catch (vectorError) {
+          logger.warn('[KnowledgeBaseService] Failed to update vector in VectorDB:', vectorError.message);
+        }
+      }
+
+      logger.info(`[KnowledgeBaseService] 更新语义模型: ${entryId}`);
+      return entry.toObject();
+    } catch (error) {
+      logger.error('[KnowledgeBaseService] 更新语义模型失败:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * 获取知识条目的版本历史（新版本在前）
+   * @param {Object} params
+   * @param {string} params.entryId - 知识条目ID
+   * @param {string} params.userId - 用户ID
+   * @param {string} [params.knowledgeBaseId] - 条目所属共享知识库ID（共享条目按知识库归属校验）
+   * @param {number} [params.limit] - 返回数量
+   * @param {number} [params.skip] - 跳过数量
+   * @returns {Promise<{ versions: Object[], total: number }|null>} 条目不存在或无权访问时返回 null
+   */
+  async getEntryVersions({ entryId, userId, knowledgeBaseId, limit, skip }) {
+    const entry = await KnowledgeEntry.findOne({
+      _id: entryId,
+      ...getEntryScope({ userId, knowledgeBaseId }),
+    })
+      .select('_id')
+      .lean();
+    if (!entry) {
+      return null;
+    }
+    return await this.versionService.listVersions({ entryId, limit, skip });
+  }
+
+  /**
+   * 将知识条目恢复到指定版本
+   * 恢复后重新生成向量并同步向量数据库，向量生成失败时不修改条目，避免检索内容与条目不一致
+   * @param {Object} params
+   * @param {string} params.entryId - 知识条目ID
+   * @param {number} params.version - 要恢复的版本号
+   * @param {string} params.userId - 用户ID
+   * @param {string} [params.knowledgeBaseId] - 条目所属共享知识库ID（共享条目按知识库归属校验）
+   * @returns {Promise<Object|null>} 恢复后的知识条目；条目或版本不存在时返回 null
+   */
+  async restoreEntryVersion({ entryId, version, userId, knowledgeBaseId }) {
+    try {
+      const entry = await KnowledgeEntry.findOne({
+        _id: entryId,
+        ...getEntryScope({ userId, knowledgeBaseId }),
+      });
+      const target = entry ? await this.versionService.getVersion({ entryId, version }) : null;
+      if (!target) {
+        return null;
+      }
+      const before = snapshotEntry(entry);
+
+      entry.title = target.snapshot.title;
+      entry.content = target.snapshot.content;
+      // 条目归属的知识库以当前为准，恢复不改变条目所在的知识库
+      entry.metadata = {
+        ...target.snapshot.metadata,
+        knowledge_base_id: entry.metadata?.knowledge_base_id,
+      };
+
+      // 关联文件的条目由文件向量负责检索，不需要重新生成条目向量
+      const fileId = entry.metadata?.file_id;
+      let embedding = null;
+      if (!fileId) {
+        const result = await this.embeddingService.embedTextForActiveModel(
+          getEntryEmbeddingText(entry),
+          userId,
+        );
+        embedding = result.embedding;
+        this.setEntryEmbedding(entry, embedding, result.embeddingModel);
+      }
+      entry.updatedAt = new Date();
+
+      await entry.save();
+      await this.recordEntryVersion({
+        entry,
+        action: VersionAction.RESTORE,
+        userId,
+        before,
+        restoredFrom: target.version,
+      });
+
+      if (this.useVectorDB && embedding) {
+        await this.vectorDBService.updateKnowledgeVector({
+          knowledgeEntryId: entry._id.toString(),
+          userId: entry.user.toString(),
+          type: entry.type,
+          content: entry.content,
+          embedding,
+          embeddingModel: entry.embedding_model,
+          metadata: this.getVectorMetadata(entry),
+        });
+      }
+
+      logger.info(`[KnowledgeBaseService] 恢复知识条目 ${entryId} 到版本 ${version}`);
+      return entry.toObject();
+    } catch (error) {
+      logger.error('[KnowledgeBaseService] 恢复知识条目版本失败:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * 获取待导出的知识条目
+   * 子项所属的父级条目即使不在过滤范围内也会一并返回，结果中父级排在子项之前
+   * @param {Object} params
+   * @param {string} params.userId - 用户ID
+   * @param {string[]} params.types - 知识类型
+   * @param {string} [params.entityId] - 实体ID过滤
+   * @returns {Promise<Object[]>} 知识条目数组（lean）
+   */
+  async getEntriesForExport({ userId, types, entityId }) {
+    try {
+      const query = { user: userId, type: { $in: types } };
+      if (entityId) {
+        query['metadata.entity_id'] = entityId;
+      }
+
+      const entries = await KnowledgeEntry.find(query).sort({ createdAt: 1 }).lean();
+      const ids = new Set(entries.map((entry) => entry._id.toString()));
+      const missingParentIds = [
+        ...new Set(
+          entries
+            .filter((entry) => entry.parent_id && !ids.has(entry.parent_id.toString()))
+            .map((entry) => entry.parent_id.toString()),
+        ),
+      ];
+      if (missingParentIds.length > 0) {
+        const parents = await KnowledgeEntry.find({
+          _id: { $in: missingParentIds },
+          user: userId,
+        }).lean();
+        entries.push(...parents);
+      }
+
+      return [
+        ...entries.filter((entry) => !entry.parent_id),
+        ...entries.filter((entry) => entry.parent_id),
+      ];
+    } catch (error) {
+      logger.error('[KnowledgeBaseService] 获取导出知识条目失败:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * 按导入标识查找已存在的知识条目
+   * 导入的条目在 metadata.bundle_key 中记录来源条目ID；同一部署内导入时直接匹配 _id
+   * @param {Object} params
+   * @param {string} params.userId - 用户ID
+   * @param {string} params.type - 知识类型
+   * @param {string} params.bundleKey - 导出包中的条目ID
+   * @returns {Promise<Object|null>} 知识条目文档
+   */
+  async findEntryByBundleKey({ userId, type, bundleKey }) {
+    const conditions = [{ 'metadata.bundle_key': bundleKey }];
+    if (mongoose.isValidObjectId(bundleKey)) {
+      conditions.push({ _id: bundleKey });
+    }
+    return await KnowledgeEntry.findOne({ user: userId, type, $or: conditions });
+  }
+
+  /**
+   * 写入导入的知识条目（新建，或覆盖已存在的条目），并同步向量数据库
+   * 向量由调用方提供（复用导出包中的向量或重新生成），这里不再重新向量化
+   * @param {Object} params
+   * @param {string} params.userId - 用户ID
+   * @param {Object} [params.existing] - 已存在的知识条目文档（覆盖时传入）
+   * @param {string} params.bundleKey - 导出包中的条目ID
+   * @param {string} params.type - 知识类型
+   * @param {string} params.title - 标题
+   * @param {string} params.content - 内容
+   * @param {Object} [params.metadata] - 元数据
+   * @param {string} [params.parentId] - 父级知识条目ID
+   * @param {number[]} [params.embedding] - 向量嵌入
+   * @param {string} [params.embeddingModel] - 向量的模型ID
+   * @returns {Promise<Object>} 写入后的知识条目
+   */
+  async saveImportedEntry({ userId, existing, bundleKey, type, title, content, metadata = {}, parentId = null, embedding = null, embeddingModel = null }) {
+    try {
+      const fields = {
+        title,
+        content,
+        embedding,
+        embedding_model: embeddingModel,
+        staged_embedding: undefined,
+        staged_embedding_model: undefined,
+        parent_id: parentId ? new mongoose.Types.ObjectId(parentId) : null,
+        metadata: {
+          ...metadata,
+          bundle_key: bundleKey,
+        },
+      };
+
+      let entry;
+      const before = existing ? snapshotEntry(existing) : null;
+      if (existing) {
+        entry = existing;
+        Object.assign(entry, fields);
+        entry.updatedAt = new Date();
+      } else {
+        entry = new KnowledgeEntry({ user: userId, type, ...fields });
+      }
+      await entry.save();
+      await this.recordEntryVersion({
+        entry,
+        action: existing ? VersionAction.UPDATE : VersionAction.CREATE,
+        userId,
+        before,
+      });
+
+      if (this.useVectorDB && embedding) {
+        try {
+          await this.vectorDBService.storeKnowledgeVector({
+            knowledgeEntryId: entry._id.toString(),
+            userId: userId.toString(),
+            type,
+            content,
+            embedding,
+            embeddingModel,
+            metadata: {
+              ...entry.metadata,
+              parent_id: parentId || null,
+            },
+          });
+        } catch (vectorError) {
+          logger.warn('[KnowledgeBaseService] Failed to store imported vector in VectorDB:', vectorError.message);
+        }
+      }
+
+      return entry.toObject();
+    } catch (error) {
+      logger.error('[KnowledgeBaseService] 写入导入知识条目失败:', error);
+      throw error;
+    }
+  }
+
   /**
    * 批量添加知识条目
    * @param {Object} params
@@ -1543,12 +2041,17 @@ class KnowledgeBaseService {
    * @param {Object} params
    * @param {string} params.entryId - 知识条目ID
    * @param {string} params.userId - 用户ID（用于权限验证）
+   * @param {string} [params.knowledgeBaseId] - 条目所属共享知识库ID（共享条目按知识库归属校验）
+   * @param {boolean} [params.keepFileVectors=false] - 保留关联的文件向量（合并重复条目时，保留的条目引用同一文件）
+   * @param {string} [params.authorId] - 版本记录中的操作人，默认为 userId（审核人代为修改他人条目时传入）
    * @returns {Promise<boolean>} 是否删除成功
    */
-  async deleteKnowledgeEntry({ entryId, userId }) {
+  async deleteKnowledgeEntry({ entryId, userId, knowledgeBaseId, keepFileVectors = false, authorId }) {
     try {
+      const scope = getEntryScope({ userId, knowledgeBaseId });
+
       // 先获取条目信息，检查是否有子项
-      const entry = await KnowledgeEntry.findOne({ _id: entryId, user: userId }).lean();
+      const entry = await KnowledgeEntry.findOne({ _id: entryId, ...scope }).lean();
       if (!entry) {
         logger.warn(`[KnowledgeBaseService] 删除失败：未找到知识条目 ${entryId}`);
         return false;
@@ -1558,7 +2061,7 @@ class KnowledgeBaseService {
       if (!entry.parent_id) {
         const children = await KnowledgeEntry.find({
           parent_id: entryId,
-          user: userId,
+          ...scope,
         }).lean();
 
         logger.info(`[KnowledgeBaseService] 删除父级条目 ${entryId}，同时删除 ${children.length} 个子项`);
@@ -1589,18 +2092,23 @@ class KnowledgeBaseService {
         // 删除所有子项
         const childrenDeleteResult = await KnowledgeEntry.deleteMany({
           parent_id: entryId,
-          user: userId,
+          ...scope,
         });
         logger.info(`[KnowledgeBaseService] 已删除 ${childrenDeleteResult.deletedCount} 个子项`);
+        for (const child of children) {
+          await this.recordEntryVersion({ entry: child, action: VersionAction.DELETE, userId: authorId || userId });
+        }
       }
 
       // 删除主条目
       const result = await KnowledgeEntry.deleteOne({
         _id: entryId,
-        user: userId,
+        ...scope,
       });
 
       if (result.deletedCount > 0) {
+        await this.recordEntryVersion({ entry, action: VersionAction.DELETE, userId: authorId || userId });
+
         // 同时从向量数据库删除（如果启用）
         if (this.useVectorDB) {
           try {
@@ -1609,8 +2117,11 @@ class KnowledgeBaseService {
             
             // 如果知识条目关联了文件，同时删除文件向量（file_vectors 表）
             const fileId = entry.metadata?.file_id;
-            if (fileId) {
+            if (fileId && !keepFileVectors) {
               try {
+                // 先取消未完成的入库任务，避免删除后继续写入向量
+                const { getIngestionJobService } = require('./IngestionJobService');
+                await getIngestionJobService().cancel(fileId);
                 await this.vectorDBService.deleteFileVectors(fileId);
                 logger.info(`[KnowledgeBaseService] 已删除关联的文件向量: fileId=${fileId}`);
               } catch (fileVectorError) {
@@ -1633,11 +2144,55 @@ class KnowledgeBaseService {
     }
   }
 
+  /**
+   * 删除共享知识库中的全部条目（含向量），删除知识库时调用
+   * @param {string} knowledgeBaseId - 知识库ID
+   * @returns {Promise<number>} 删除的条目数
+   */
+  async deleteKnowledgeBaseEntries(knowledgeBaseId) {
+    try {
+      const scope = getEntryScope({ knowledgeBaseId });
+      const parents = await KnowledgeEntry.find({ ...scope, parent_id: null })
+        .select('_id')
+        .lean();
+
+      let deleted = 0;
+      for (const parent of parents) {
+        if (await this.deleteKnowledgeEntry({ entryId: parent._id, knowledgeBaseId })) {
+          deleted++;
+        }
+      }
+
+      // 父级已不在知识库中的子项没有被级联删除，单独清理
+      const orphans = await KnowledgeEntry.find(scope).select('_id type').lean();
+      for (const orphan of orphans) {
+        if (this.useVectorDB) {
+          try {
+            await this.vectorDBService.deleteKnowledgeVector(orphan._id.toString(), orphan.type);
+          } catch (vectorError) {
+            logger.warn(`[KnowledgeBaseService] Failed to delete orphan vector from VectorDB: ${orphan._id}`, vectorError.message);
+          }
+        }
+      }
+      if (orphans.length > 0) {
+        const result = await KnowledgeEntry.deleteMany(scope);
+        deleted += result.deletedCount;
+      }
+
+      logger.info(`[KnowledgeBaseService] 删除知识库 ${knowledgeBaseId} 的 ${deleted} 个顶层/孤立条目`);
+      return deleted;
+    } catch (error) {
+      logger.error('[KnowledgeBaseService] 删除知识库条目失败:', error);
+      throw error;
+    }
+  }
+
   /**
    * 获取知识条目列表
    * 
    * @param {Object} params
-   * @param {string} [params.userId] - 用户ID（可选，用于过滤特定用户创建的知识）
+   * @param {string} [params.userId] - 用户ID（可选，用于过滤特定用户创建的私有知识）
+   * @param {string} [params.knowledgeBaseId] - 共享知识库ID（提供时返回该知识库的条目，忽略 userId）
    * @param {string} [params.type] - 知识类型过滤
    * @param {string} [params.entityId] - 实体ID过滤
    * @param {boolean} [params.includeChildren] - 是否包含子项（默认只返回父级）
@@ -1645,7 +2200,7 @@ class KnowledgeBaseService {
    * @param {number} [params.skip] - 跳过数量
    * @returns {Promise<Object[]>} 知识条目数组
    */
-  async getKnowledgeEntries({ userId, type, entityId, includeChildren = false, limit = 100, skip = 0 }) {
+  async getKnowledgeEntries({ userId, knowledgeBaseId, type, entityId, includeChildren = false, limit = 100, skip = 0 }) {
     try {
       // 确保 KnowledgeEntry 模型已初始化
       if (!KnowledgeEntry) {
@@ -1691,6 +2246,17 @@ class KnowledgeBaseService {
             embedding: {
               type: [Number],
             },
+            embedding_model: {
+              type: String,
+              index: true,
+            },
+            staged_embedding: {
+              type: [Number],
+              default: undefined,
+            },
+            staged_embedding_model: {
+              type: String,
+            },
             parent_id: {
               type: mongoose.Schema.Types.ObjectId,
               ref: 'KnowledgeEntry',
@@ -1705,6 +2271,7 @@ class KnowledgeBaseService {
             timestamps: true,
             collection: 'knowledge_entries',
           });
+          applySearchTokens(KnowledgeEntrySchema);
 
           if (!mongoose.models.KnowledgeEntry) {
             KnowledgeEntry = mongoose.model('KnowledgeEntry', KnowledgeEntrySchema);
@@ -1722,9 +2289,13 @@ class KnowledgeBaseService {
 
       const query = {};
 
-      // userId改为可选，如果提供则过滤，否则查询所有
+      // 共享知识库的条目按知识库归属查询，访问权限由调用方通过 ACL 校验
+      // userId改为可选，如果提供则只返回该用户的私有条目，否则查询所有
       // 确保 userId 转换为 ObjectId 格式（如果 MongoDB 已连接）
-      if (userId) {
+      if (knowledgeBaseId) {
+        Object.assign(query, getEntryScope({ knowledgeBaseId }));
+      } else if (userId) {
+        query['metadata.knowledge_base_id'] = null;
         const mongoose = require('mongoose');
         // 如果 userId 是字符串且 MongoDB 已连接，转换为 ObjectId
         if (typeof userId === 'string' && mongoose.connection.readyState === 1) {
@@ -1803,7 +2374,9 @@ class KnowledgeBaseService {
           };
           
           // userId改为可选
-          if (userId) {
+          if (knowledgeBaseId) {
+            Object.assign(childrenQuery, getEntryScope({ knowledgeBaseId }));
+          } else if (userId) {
             childrenQuery.user = userId;
           }
           
@@ -1862,4 +2435,8 @@ class KnowledgeBaseService {
 }
 
 module.exports = KnowledgeBaseService;
-
+module.exports.SemanticRole = SemanticRole;
+module.exports.generateSemanticModelDescription = generateSemanticModelDescription;
+module.exports.getEntryEmbeddingText = getEntryEmbeddingText;
+module.exports.getEntryScope = getEntryScope;
+module.exports.getKnowledgeBaseScope = getKnowledgeBaseScope;
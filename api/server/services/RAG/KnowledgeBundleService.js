@@ -0,0 +1,394 @@
+const { logger } = require('@aipyq/data-schemas');
+const EmbeddingService = require('./EmbeddingService');
+const { belongsToModel, parseModelId } = require('./EmbeddingModelRegistry');
+const KnowledgeBaseService = require('./KnowledgeBaseService');
+const { getEntryEmbeddingText } = KnowledgeBaseService;
+
+let KnowledgeType;
+try {
+  KnowledgeType = require('@aipyq/data-schemas/schema/knowledgeBase').KnowledgeType;
+} catch (e) {
+  try {
+    KnowledgeType =
+      require('../../../../packages/data-schemas/src/schema/knowledgeBase').KnowledgeType;
+  } catch (e2) {
+    KnowledgeType = {
+      SEMANTIC_MODEL: 'semantic_model',
+      QA_PAIR: 'qa_pair',
+      SYNONYM: 'synonym',
+      BUSINESS_KNOWLEDGE: 'business_knowledge',
+      FILE: 'file',
+    };
+  }
+}
+
+/** 导出包格式标识 */
+const BUNDLE_FORMAT = 'aipyq-knowledge-bundle';
+/** 当前导出包版本，导入时接受不高于该版本的包 */
+const BUNDLE_VERSION = 1;
+/** 可导出的知识类型（文件向量随文件走，不在导出范围内） */
+const EXPORTABLE_TYPES = [
+  KnowledgeType.SEMANTIC_MODEL,
+  KnowledgeType.QA_PAIR,
+  KnowledgeType.SYNONYM,
+  KnowledgeType.BUSINESS_KNOWLEDGE,
+];
+/** 导出时不保留的元数据字段：entity_id 提升为 entityId，file_id 只在源部署有效 */
+const OMITTED_METADATA = ['entity_id', 'bundle_key', 'file_id'];
+
+/**
+ * 将知识条目转换为导出包条目
+ * 条目ID优先使用 metadata.bundle_key，使“导出 → 导入 → 再导出”后的ID保持不变
+ * @param {Object} entry - 知识条目（lean）
+ * @param {boolean} includeEmbedding - 是否包含向量
+ * @returns {Object} 导出包条目
+ */
+function toBundleEntry(entry, includeEmbedding) {
+  const metadata = { ...(entry.metadata || {}) };
+  for (const key of OMITTED_METADATA) {
+    delete metadata[key];
+  }
+
+  const bundleEntry = {
+    id: entry.metadata?.bundle_key || entry._id.toString(),
+    parentId: null,
+    entityId: entry.metadata?.entity_id || null,
+    type: entry.type,
+    title: entry.title,
+    content: entry.content || '',
+    metadata,
+    createdAt: entry.createdAt,
+    updatedAt: entry.updatedAt,
+  };
+  if (includeEmbedding && Array.isArray(entry.embedding) && entry.embedding.length > 0) {
+    bundleEntry.embedding = entry.embedding;
+  }
+  return bundleEntry;
+}
+
+/**
+ * 序列化导出包
+ * - json: 单个 JSON 对象，条目在 entries 数组中
+ * - jsonl: 第一行为包头，其后每行一个条目，适合大批量数据
+ * @param {{ header: Object, entries: Object[] }} bundle
+ * @param {'json'|'jsonl'} [format='json']
+ * @returns {string}
+ */
+function serializeBundle({ header, entries }, format = 'json') {
+  if (format === 'jsonl') {
+    return [header, ...entries].map((line) => JSON.stringify(line)).join('\n') + '\n';
+  }
+  return JSON.stringify({ ...header, entries }, null, 2);
+}
+
+/**
+ * 解析并校验导出包（JSON 对象、JSON 文本或 JSONL 文本）
+ * @param {Object|string} input
+ * @returns {{ header: Object, entries: Object[] }}
+ * @throws {Error} 格式或版本不正确时抛出
+ */
+function parseBundle(input) {
+  let header;
+  let entries;
+
+  if (typeof input === 'string') {
+    const text = input.trim();
+    if (!text) {
+      throw new Error('导出包内容为空');
+    }
+    let whole = null;
+    try {
+      whole = JSON.parse(text);
+    } catch (error) {
+      // 不是单个 JSON 对象，按 JSONL 解析
+    }
+    if (whole && Array.isArray(whole.entries)) {
+      ({ entries, ...header } = whole);
+    } else {
+      const lines = text.split(/\r?\n/).filter((line) => line.trim());
+      try {
+        [header, ...entries] = lines.map((line) => JSON.parse(line));
+      } catch (error) {
+        throw new Error(`导出包不是有效的 JSON/JSONL: ${error.message}`);
+      }
+    }
+  } else if (input && typeof input === 'object') {
+    ({ entries, ...header } = input);
+  } else {
+    throw new Error('导出包内容为空');
+  }
+
+  if (!header || header.format !== BUNDLE_FORMAT) {
+    throw new Error(`无法识别的导出包格式，需要 format 为 ${BUNDLE_FORMAT}`);
+  }
+  if (!Number.isInteger(header.version) || header.version < 1 || header.version > BUNDLE_VERSION) {
+    throw new Error(`不支持的导出包版本: ${header.version}，当前支持 1-${BUNDLE_VERSION}`);
+  }
+  if (!Array.isArray(entries)) {
+    throw new Error('导出包缺少 entries');
+  }
+
+  entries.forEach((entry, index) => {
+    if (!entry || typeof entry !== 'object' || !entry.id) {
+      throw new Error(`第 ${index + 1} 个条目缺少 id`);
+    }
+    if (!EXPORTABLE_TYPES.includes(entry.type)) {
+      throw new Error(`第 ${index + 1} 个条目的类型无效: ${entry.type}`);
+    }
+    if (!entry.title || typeof entry.content !== 'string') {
+      throw new Error(`第 ${index + 1} 个条目缺少 title 或 content`);
+    }
+  });
+
+  return { header, entries };
+}
+
+/**
+ * 按父子层级排序：父级条目先于子项，保证导入子项时父级ID已确定
+ * 父级不在导出包中的子项排在最后，导入时会被报告为失败
+ * @param {Object[]} entries
+ * @returns {Object[]}
+ */
+function orderByHierarchy(entries) {
+  const ids = new Set(entries.map((entry) => entry.id));
+  const ordered = [];
+  const placed = new Set();
+  let pending = entries;
+
+  while (pending.length > 0) {
+    const next = [];
+    for (const entry of pending) {
+      if (!entry.parentId || placed.has(entry.parentId) || !ids.has(entry.parentId)) {
+        ordered.push(entry);
+        placed.add(entry.id);
+      } else {
+        next.push(entry);
+      }
+    }
+    if (next.length === pending.length) {
+      // 循环引用，剩余条目原样追加
+      ordered.push(...next);
+      break;
+    }
+    pending = next;
+  }
+
+  return ordered;
+}
+
+/**
+ * 知识库导入导出服务
+ * 将语义模型、QA对、同义词、业务知识导出为带版本的 JSON/JSONL 包（保留父子层级和实体ID），
+ * 并在另一个部署中导入。向量可选：目标部署的向量维度与导出包一致时直接复用，否则重新向量化。
+ */
+class KnowledgeBundleService {
+  /**
+   * @param {Object} [options]
+   * @param {KnowledgeBaseService} [options.knowledgeBaseService] - 复用已有的知识库服务实例
+   * @param {EmbeddingService} [options.embeddingService] - 复用已有的向量化服务实例
+   */
+  constructor({ knowledgeBaseService, embeddingService } = {}) {
+    this.knowledgeBaseService = knowledgeBaseService || new KnowledgeBaseService();
+    this.embeddingService = embeddingService || new EmbeddingService();
+  }
+
+  /**
+   * 判断导出包中的向量能否直接复用
+   * 只有与当前激活模型相同的模型产生的向量才可复用；早期导出包未记录模型ID，
+   * 仅在当前仍为 legacy 模型且维度一致时复用
+   * @param {Object} header - 导出包头
+   * @param {{ modelId: string, dimension: number, legacy?: boolean }} activeModel - 激活模型
+   * @returns {boolean}
+   */
+  canReuseEmbeddings(header, activeModel) {
+    const bundleEmbedding = header.embedding;
+    if (!bundleEmbedding || bundleEmbedding.dimension !== activeModel.dimension) {
+      return false;
+    }
+    if (parseModelId(bundleEmbedding.model)) {
+      return bundleEmbedding.model === activeModel.modelId;
+    }
+    return !!activeModel.legacy;
+  }
+
+  /**
+   * 条目的向量化文本，与 KnowledgeBaseService 写入时保持一致（QA对只向量化问题）
+   * @param {Object} entry - 导出包条目
+   * @returns {string}
+   */
+  getEmbeddingText(entry) {
+    return getEntryEmbeddingText(entry);
+  }
+
+  /**
+   * 导出知识库
+   * @param {Object} params
+   * @param {string} params.userId - 用户ID
+   * @param {string[]} [params.types] - 导出的知识类型，默认全部可导出类型
+   * @param {string} [params.entityId] - 只导出指定实体的知识
+   * @param {boolean} [params.includeEmbeddings=false] - 是否包含向量
+   * @returns {Promise<{ header: Object, entries: Object[] }>}
+   */
+  async exportBundle({ userId, types = EXPORTABLE_TYPES, entityId, includeEmbeddings = false }) {
+    try {
+      const entries = await this.knowledgeBaseService.getEntriesForExport({
+        userId,
+        types,
+        entityId,
+      });
+      const activeModel = await this.embeddingService.modelRegistry.getActiveModel();
+
+      const bundleIds = new Map(
+        entries.map((entry) => [
+          entry._id.toString(),
+          entry.metadata?.bundle_key || entry._id.toString(),
+        ]),
+      );
+      const bundleEntries = entries.map((entry) => {
+        // 只导出当前激活模型产生的向量，其他条目导入时重新向量化
+        const bundleEntry = toBundleEntry(
+          entry,
+          includeEmbeddings && belongsToModel(entry.embedding_model, activeModel),
+        );
+        if (entry.parent_id) {
+          bundleEntry.parentId = bundleIds.get(entry.parent_id.toString()) || null;
+        }
+        return bundleEntry;
+      });
+
+      const header = {
+        format: BUNDLE_FORMAT,
+        version: BUNDLE_VERSION,
+        exportedAt: new Date().toISOString(),
+        types,
+        entityId: entityId || null,
+        count: bundleEntries.length,
+        embedding: includeEmbeddings
+          ? {
+              model: activeModel.modelId,
+              dimension: activeModel.dimension,
+            }
+          : null,
+      };
+
+      logger.info(
+        `[KnowledgeBundleService] 导出知识库: ${bundleEntries.length} 条${includeEmbeddings ? '（含向量）' : ''}`,
+      );
+      return { header, entries: bundleEntries };
+    } catch (error) {
+      logger.error('[KnowledgeBundleService] 导出知识库失败:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * 导入知识库
+   * 已导入过的条目（按条目ID匹配）默认跳过，overwrite 时覆盖内容和向量
+   * @param {Object} params
+   * @param {string} params.userId - 用户ID
+   * @param {{ header: Object, entries: Object[] }} params.bundle - 已通过 parseBundle 校验的导出包
+   * @param {string} [params.entityId] - 覆盖条目的实体ID（导入到另一个数据源）
+   * @param {boolean} [params.overwrite=false] - 覆盖已存在的条目
+   * @param {boolean} [params.reembed=false] - 忽略导出包中的向量，全部重新向量化
+   * @returns {Promise<Object>} 导入报告
+   */
+  async importBundle({ userId, bundle, entityId, overwrite = false, reembed = false }) {
+    const { header, entries } = bundle;
+    const activeModel = await this.embeddingService.modelRegistry.getActiveModel();
+    const targetDimension = activeModel.dimension;
+    const reuseEmbeddings = !reembed && this.canReuseEmbeddings(header, activeModel);
+
+    if (header.embedding && !reuseEmbeddings && !reembed) {
+      logger.info(
+        `[KnowledgeBundleService] 导出包向量模型 ${header.embedding.model} (维度: ${header.embedding.dimension}) 与当前 ${activeModel.modelId} (维度: ${targetDimension}) 不一致，将重新向量化`,
+      );
+    }
+
+    const report = {
+      total: entries.length,
+      created: 0,
+      updated: 0,
+      skipped: 0,
+      reembedded: 0,
+      failed: [],
+    };
+    // 导出包条目ID -> 当前部署的知识条目ID
+    const idMap = new Map();
+
+    for (const entry of orderByHierarchy(entries)) {
+      try {
+        let parentId = null;
+        if (entry.parentId) {
+          parentId = idMap.get(entry.parentId);
+          if (!parentId) {
+            throw new Error(`父级条目 ${entry.parentId} 不在导出包中或导入失败`);
+          }
+        }
+
+        const existing = await this.knowledgeBaseService.findEntryByBundleKey({
+          userId,
+          type: entry.type,
+          bundleKey: entry.id,
+        });
+        if (existing && !overwrite) {
+          idMap.set(entry.id, existing._id.toString());
+          report.skipped++;
+          continue;
+        }
+
+        let embedding =
+          reuseEmbeddings &&
+          Array.isArray(entry.embedding) &&
+          entry.embedding.length === targetDimension
+            ? entry.embedding
+            : null;
+        if (!embedding) {
+          ({ embedding } = await this.embeddingService.embedTextForActiveModel(
+            this.getEmbeddingText(entry),
+            userId,
+          ));
+          if (embedding) {
+            report.reembedded++;
+          }
+        }
+
+        const saved = await this.knowledgeBaseService.saveImportedEntry({
+          userId,
+          existing,
+          bundleKey: entry.id,
+          type: entry.type,
+          title: entry.title,
+          content: entry.content,
+          metadata: {
+            ...(entry.metadata || {}),
+            entity_id: entityId || entry.entityId || undefined,
+          },
+          parentId,
+          embedding,
+          embeddingModel: embedding ? activeModel.modelId : null,
+        });
+        idMap.set(entry.id, saved._id.toString());
+        if (existing) {
+          report.updated++;
+        } else {
+          report.created++;
+        }
+      } catch (error) {
+        logger.warn(`[KnowledgeBundleService] 导入条目 ${entry.id} 失败:`, error.message);
+        report.failed.push({ id: entry.id, type: entry.type, error: error.message });
+      }
+    }
+
+    logger.info(
+      `[KnowledgeBundleService] 导入知识库: 新增 ${report.created}, 覆盖 ${report.updated}, 跳过 ${report.skipped}, 重新向量化 ${report.reembedded}, 失败 ${report.failed.length}`,
+    );
+    return report;
+  }
+}
+
+module.exports = KnowledgeBundleService;
+module.exports.BUNDLE_FORMAT = BUNDLE_FORMAT;
+module.exports.BUNDLE_VERSION = BUNDLE_VERSION;
+module.exports.EXPORTABLE_TYPES = EXPORTABLE_TYPES;
+module.exports.parseBundle = parseBundle;
+module.exports.serializeBundle = serializeBundle;
@@ -0,0 +1,257 @@
+jest.mock('@aipyq/data-schemas', () => ({
+  logger: {
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn(),
+  },
+  createModels: jest.fn(() => ({})),
+}));
+
+jest.mock('~/db/models', () => ({
+  KnowledgeEntry: {},
+}));
+
+const KnowledgeBundleService = require('./KnowledgeBundleService');
+const { BUNDLE_FORMAT, parseBundle, serializeBundle } = KnowledgeBundleService;
+
+const header = { format: BUNDLE_FORMAT, version: 1, embedding: { model: 'onnx', dimension: 3 } };
+const parentEntry = {
+  id: 'p1',
+  parentId: null,
+  entityId: 'ds1',
+  type: 'semantic_model',
+  title: 'shop',
+  content: '{"database":"shop"}',
+  metadata: { is_database_level: true },
+  embedding: [0.1, 0.2, 0.3],
+};
+const childEntry = {
+  id: 'c1',
+  parentId: 'p1',
+  entityId: 'ds1',
+  type: 'semantic_model',
+  title: '语义模型: shop.t_order',
+  content: '{"name":"t_order"}',
+  metadata: { table_name: 't_order' },
+  embedding: [0.4, 0.5, 0.6],
+};
+const qaEntry = {
+  id: 'q1',
+  parentId: null,
+  entityId: null,
+  type: 'qa_pair',
+  title: 'QA: 上月销售额',
+  content: '问题: 上月销售额\n答案: SELECT 1',
+  metadata: { question: '上月销售额', answer: 'SELECT 1' },
+};
+
+describe('parseBundle / serializeBundle', () => {
+  const bundle = { header, entries: [parentEntry, childEntry] };
+
+  it.each(['json', 'jsonl'])('round-trips the %s format', (format) => {
+    const parsed = parseBundle(serializeBundle(bundle, format));
+    expect(parsed.header).toEqual(header);
+    expect(parsed.entries).toEqual(bundle.entries);
+  });
+
+  it('accepts an already parsed JSON body', () => {
+    expect(parseBundle({ ...header, entries: [qaEntry] }).entries).toEqual([qaEntry]);
+  });
+
+  it('rejects unknown formats, newer versions and invalid entries', () => {
+    expect(() => parseBundle({ format: 'other', version: 1, entries: [] })).toThrow('format');
+    expect(() => parseBundle({ ...header, version: 2, entries: [] })).toThrow('版本');
+    expect(() => parseBundle({ ...header, entries: [{ ...qaEntry, type: 'file' }] })).toThrow(
+      '类型无效',
+    );
+    expect(() => parseBundle('{"format":')).toThrow('JSON/JSONL');
+  });
+});
+
+describe('KnowledgeBundleService', () => {
+  let service;
+  let knowledgeBaseService;
+  let embeddingService;
+  let activeModel;
+
+  beforeEach(() => {
+    activeModel = { modelId: 'onnx:bge-small-zh-v1.5', dimension: 3, legacy: true };
+    knowledgeBaseService = {
+      vectorDBService: { config: { embeddingDimension: 3 } },
+      getEntriesForExport: jest.fn(),
+      findEntryByBundleKey: jest.fn().mockResolvedValue(null),
+      saveImportedEntry: jest.fn(async ({ bundleKey }) => ({ _id: `new-${bundleKey}` })),
+    };
+    embeddingService = {
+      modelRegistry: { getActiveModel: jest.fn(async () => activeModel) },
+      embedTextForActiveModel: jest.fn(async () => ({ embedding: [9, 9, 9] })),
+    };
+    service = new KnowledgeBundleService({ knowledgeBaseService, embeddingService });
+  });
+
+  describe('exportBundle', () => {
+    it('keeps the hierarchy, entity IDs and optional embeddings', async () => {
+      knowledgeBaseService.getEntriesForExport.mockResolvedValue([
+        {
+          _id: 'm-parent',
+          type: 'semantic_model',
+          title: 'shop',
+          content: '{}',
+          parent_id: null,
+          embedding: [1, 2, 3],
+          metadata: { entity_id: 'ds1', bundle_key: 'p1', is_database_level: true },
+        },
+        {
+          _id: 'm-child',
+          type: 'semantic_model',
+          title: 't_order',
+          content: '{}',
+          parent_id: 'm-parent',
+          embedding: [4, 5, 6],
+          metadata: { entity_id: 'ds1', file_id: 'f1', table_name: 't_order' },
+        },
+      ]);
+
+      const { header: exported, entries } = await service.exportBundle({
+        userId: 'u1',
+        includeEmbeddings: true,
+      });
+
+      expect(exported).toMatchObject({
+        format: BUNDLE_FORMAT,
+        version: 1,
+        count: 2,
+        embedding: { model: 'onnx:bge-small-zh-v1.5', dimension: 3 },
+      });
+      expect(entries[0]).toMatchObject({ id: 'p1', parentId: null, entityId: 'ds1' });
+      expect(entries[1]).toMatchObject({
+        id: 'm-child',
+        parentId: 'p1',
+        metadata: { table_name: 't_order' },
+        embedding: [4, 5, 6],
+      });
+      expect(entries[1].metadata).not.toHaveProperty('file_id');
+    });
+
+    it('only exports embeddings produced by the active model', async () => {
+      activeModel = { modelId: 'openai:text-embedding-3-small', dimension: 3, legacy: false };
+      knowledgeBaseService.getEntriesForExport.mockResolvedValue([
+        { _id: 'a', type: 'synonym', title: 'a', content: 'a', embedding: [1, 2, 3], metadata: {} },
+        {
+          _id: 'b',
+          type: 'synonym',
+          title: 'b',
+          content: 'b',
+          embedding: [4, 5, 6],
+          embedding_model: 'openai:text-embedding-3-small',
+          metadata: {},
+        },
+      ]);
+      const { header: exported, entries } = await service.exportBundle({
+        userId: 'u1',
+        includeEmbeddings: true,
+      });
+      expect(exported.embedding).toEqual({ model: 'openai:text-embedding-3-small', dimension: 3 });
+      expect(entries[0]).not.toHaveProperty('embedding');
+      expect(entries[1].embedding).toEqual([4, 5, 6]);
+    });
+
+    it('omits embeddings unless requested', async () => {
+      knowledgeBaseService.getEntriesForExport.mockResolvedValue([
+        { _id: 'x', type: 'synonym', title: 's', content: 'c', embedding: [1], metadata: {} },
+      ]);
+      const bundle = await service.exportBundle({ userId: 'u1' });
+      expect(bundle.header.embedding).toBeNull();
+      expect(bundle.entries[0]).not.toHaveProperty('embedding');
+    });
+  });
+
+  describe('importBundle', () => {
+    it('imports parents before children and reuses matching embeddings', async () => {
+      const report = await service.importBundle({
+        userId: 'u1',
+        bundle: { header, entries: [childEntry, parentEntry] },
+      });
+
+      const calls = knowledgeBaseService.saveImportedEntry.mock.calls.map(([args]) => args);
+      expect(calls.map((args) => args.bundleKey)).toEqual(['p1', 'c1']);
+      expect(calls[1]).toMatchObject({
+        parentId: 'new-p1',
+        embedding: [0.4, 0.5, 0.6],
+        metadata: { table_name: 't_order', entity_id: 'ds1' },
+      });
+      expect(embeddingService.embedTextForActiveModel).not.toHaveBeenCalled();
+      expect(report).toMatchObject({ total: 2, created: 2, reembedded: 0, failed: [] });
+    });
+
+    it('re-embeds when the target dimension differs', async () => {
+      activeModel = { ...activeModel, dimension: 512 };
+
+      const report = await service.importBundle({
+        userId: 'u1',
+        bundle: { header, entries: [parentEntry, qaEntry] },
+        entityId: 'ds2',
+      });
+
+      expect(embeddingService.embedTextForActiveModel).toHaveBeenCalledWith('上月销售额', 'u1');
+      expect(report.reembedded).toBe(2);
+      expect(knowledgeBaseService.saveImportedEntry.mock.calls[0][0].metadata.entity_id).toBe(
+        'ds2',
+      );
+    });
+
+    it('re-embeds bundles produced by a different model of the same dimension', async () => {
+      const report = await service.importBundle({
+        userId: 'u1',
+        bundle: {
+          header: { ...header, embedding: { model: 'openai:text-embedding-3-small', dimension: 3 } },
+          entries: [parentEntry],
+        },
+      });
+
+      expect(report.reembedded).toBe(1);
+      expect(knowledgeBaseService.saveImportedEntry.mock.calls[0][0]).toMatchObject({
+        embedding: [9, 9, 9],
+        embeddingModel: 'onnx:bge-small-zh-v1.5',
+      });
+    });
+
+    it('skips entries that were already imported unless overwrite is set', async () => {
+      const existing = { _id: 'old-p1' };
+      knowledgeBaseService.findEntryByBundleKey.mockImplementation(async ({ bundleKey }) =>
+        bundleKey === 'p1' ? existing : null,
+      );
+
+      const report = await service.importBundle({
+        userId: 'u1',
+        bundle: { header, entries: [parentEntry, childEntry] },
+      });
+      expect(report).toMatchObject({ skipped: 1, created: 1 });
+      expect(knowledgeBaseService.saveImportedEntry).toHaveBeenCalledWith(
+        expect.objectContaining({ bundleKey: 'c1', parentId: 'old-p1' }),
+      );
+
+      knowledgeBaseService.saveImportedEntry.mockClear();
+      const overwritten = await service.importBundle({
+        userId: 'u1',
+        bundle: { header, entries: [parentEntry] },
+        overwrite: true,
+      });
+      expect(overwritten.updated).toBe(1);
+      expect(knowledgeBaseService.saveImportedEntry).toHaveBeenCalledWith(
+        expect.objectContaining({ existing, bundleKey: 'p1' }),
+      );
+    });
+
+    it('reports children whose parent is missing from the bundle', async () => {
+      const report = await service.importBundle({
+        userId: 'u1',
+        bundle: { header, entries: [childEntry] },
+      });
+      expect(report.failed).toEqual([
+        expect.objectContaining({ id: 'c1', error: expect.stringContaining('p1') }),
+      ]);
+    });
+  });
+});
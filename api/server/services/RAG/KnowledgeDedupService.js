@@ -0,0 +1,561 @@
+const { logger } = require('@aipyq/data-schemas');
+const { cosineSimilarity } = require('~/server/utils/llm');
+const { tokenize } = require('./TextTokenizer');
+const { getEntryEmbeddingText } = require('./KnowledgeBaseService');
+
+/** 重复组审核状态 */
+const ClusterStatus = {
+  PENDING: 'pending',
+  MERGED: 'merged',
+  DISMISSED: 'dismissed',
+};
+
+/** 向量余弦相似度达到该值视为重复 */
+const DEFAULT_EMBEDDING_THRESHOLD = parseFloat(
+  process.env.KNOWLEDGE_DEDUP_EMBEDDING_THRESHOLD || '0.92',
+);
+/** 词元 Jaccard 重合度达到该值视为重复（没有可比较的向量时也能发现重复） */
+const DEFAULT_TEXT_THRESHOLD = parseFloat(process.env.KNOWLEDGE_DEDUP_TEXT_THRESHOLD || '0.8');
+/** 每比较多少对让出一次事件循环，避免长时间阻塞请求 */
+const YIELD_EVERY = 2000;
+
+const KNOWLEDGE_TYPES = ['semantic_model', 'qa_pair', 'synonym', 'business_knowledge', 'file'];
+
+/**
+ * 比较用的归一化文本（全角转半角、忽略大小写和首尾空白）
+ * @param {*} value
+ * @returns {string}
+ */
+function normalizeText(value) {
+  return typeof value === 'string' ? value.normalize('NFKC').trim().toLowerCase() : '';
+}
+
+/**
+ * 条目的身份键：身份键相同的条目直接视为重复（相似度 1）
+ * 语义模型按数据库（沿用 cleanupDuplicateKnowledge 的分组规则），QA 按问题，同义词按名词，文件按文件ID
+ * @param {Object} entry - 知识条目
+ * @returns {string|null}
+ */
+function getIdentityKey(entry) {
+  const metadata = entry.metadata || {};
+  switch (entry.type) {
+    case 'semantic_model':
+      return metadata.database_name
+        ? `db:${metadata.database_name}:${!!metadata.is_database_level}:${metadata.table_name || ''}`
+        : null;
+    case 'qa_pair':
+      return metadata.question ? `q:${normalizeText(metadata.question)}` : null;
+    case 'synonym':
+      return metadata.noun ? `n:${normalizeText(metadata.noun)}` : null;
+    default:
+      return metadata.file_id ? `f:${metadata.file_id}` : null;
+  }
+}
+
+/**
+ * 条目的分组键：只在同一类型、同一归属（共享知识库或私有用户）、同一数据源内查找重复，
+ * 合并不会把条目移到其他用户或知识库
+ * @param {Object} entry - 知识条目
+ * @returns {string}
+ */
+function getGroupKey(entry) {
+  const metadata = entry.metadata || {};
+  const owner = metadata.knowledge_base_id
+    ? `kb:${metadata.knowledge_base_id}`
+    : `user:${entry.user}`;
+  return `${entry.type}|${owner}|${metadata.entity_id || ''}`;
+}
+
+/**
+ * @param {Set<string>} a
+ * @param {Set<string>} b
+ * @returns {number}
+ */
+function jaccardSimilarity(a, b) {
+  if (a.size === 0 || b.size === 0) {
+    return 0;
+  }
+  let intersection = 0;
+  for (const token of a) {
+    if (b.has(token)) {
+      intersection++;
+    }
+  }
+  return intersection / (a.size + b.size - intersection);
+}
+
+/**
+ * 两个条目的相似度；未达到任一阈值时返回 0
+ * 向量只在同一模型生成、维度相同时比较
+ * @param {Object} a - 预处理后的条目（entry、identity、tokens）
+ * @param {Object} b
+ * @param {{ embeddingThreshold: number, textThreshold: number }} thresholds
+ * @returns {number}
+ */
+function scorePair(a, b, { embeddingThreshold, textThreshold }) {
+  if (a.identity && a.identity === b.identity) {
+    return 1;
+  }
+  let score = 0;
+  const embeddingA = a.entry.embedding;
+  const embeddingB = b.entry.embedding;
+  if (
+    embeddingA?.length > 0 &&
+    embeddingA.length === embeddingB?.length &&
+    a.entry.embedding_model === b.entry.embedding_model
+  ) {
+    const cosine = cosineSimilarity(embeddingA, embeddingB);
+    if (cosine >= embeddingThreshold) {
+      score = cosine;
+    }
+  }
+  const overlap = jaccardSimilarity(a.tokens, b.tokens);
+  if (overlap >= textThreshold) {
+    score = Math.max(score, overlap);
+  }
+  return score;
+}
+
+/**
+ * 在一组条目中查找重复，按相似关系的连通分量聚类
+ * @param {Object[]} entries - 同一分组的知识条目
+ * @param {{ embeddingThreshold: number, textThreshold: number }} thresholds
+ * @param {Function} [onProgress] - 每比较 YIELD_EVERY 对调用一次（可返回 Promise）
+ * @returns {Promise<Array<Array<{ entry: Object, similarity: number }>>>} 至少两个成员的重复组
+ */
+async function clusterEntries(entries, thresholds, onProgress) {
+  const items = entries.map((entry) => ({
+    entry,
+    identity: getIdentityKey(entry),
+    tokens: new Set(tokenize(getEntryEmbeddingText(entry) || entry.title || '')),
+  }));
+  const parent = items.map((_, i) => i);
+  const best = items.map(() => 0);
+  const find = (i) => {
+    while (parent[i] !== i) {
+      parent[i] = parent[parent[i]];
+      i = parent[i];
+    }
+    return i;
+  };
+
+  let compared = 0;
+  for (let i = 0; i < items.length; i++) {
+    for (let j = i + 1; j < items.length; j++) {
+      const score = scorePair(items[i], items[j], thresholds);
+      if (score > 0) {
+        parent[find(j)] = find(i);
+        best[i] = Math.max(best[i], score);
+        best[j] = Math.max(best[j], score);
+      }
+      if (++compared % YIELD_EVERY === 0 && onProgress) {
+        await onProgress();
+      }
+    }
+  }
+
+  const clusters = new Map();
+  items.forEach((item, i) => {
+    const root = find(i);
+    if (!clusters.has(root)) {
+      clusters.set(root, []);
+    }
+    clusters.get(root).push({ entry: item.entry, similarity: best[i] });
+  });
+  return [...clusters.values()].filter((members) => members.length > 1);
+}
+
+/**
+ * 建议保留的条目：最近更新的条目（与 cleanupDuplicateKnowledge 保留最新记录一致）
+ * @param {Object[]} entries
+ * @returns {Object}
+ */
+function pickCanonical(entries) {
+  const time = (entry) => new Date(entry.updatedAt || entry.createdAt || 0).getTime();
+  return entries.reduce((latest, entry) => (time(entry) > time(latest) ? entry : latest));
+}
+
+/**
+ * 合并字符串列表并去重（保持首次出现的顺序）
+ * @param {Array<string|undefined>} values
+ * @returns {string[]}
+ */
+function uniqueStrings(values) {
+  const seen = new Set();
+  const result = [];
+  for (const value of values) {
+    const text = typeof value === 'string' ? value.trim() : '';
+    const key = normalizeText(text);
+    if (text && !seen.has(key)) {
+      seen.add(key);
+      result.push(text);
+    }
+  }
+  return result;
+}
+
+/**
+ * 知识库近似重复检测与合并服务
+ * 后台任务按向量相似度和文本重合度对各类型的顶层知识条目聚类，结果保存为待审核的重复组；
+ * 管理员选择保留的条目后合并：同义词、答案、标签并入保留条目，其余条目从 MongoDB 和对应的向量表中删除
+ * 子条目（如语义模型的表级子项）随父级一起保留或删除，不单独参与比较
+ */
+class KnowledgeDedupService {
+  /**
+   * @param {Object} [options]
+   * @param {Object} [options.models] - 数据模型（默认从 ~/db/models 加载，KnowledgeEntry 从 mongoose 获取）
+   * @param {Object} [options.knowledgeBaseService] - 知识库服务（默认新建）
+   */
+  constructor({ models, knowledgeBaseService } = {}) {
+    this.models = models;
+    this.knowledgeBaseService = knowledgeBaseService;
+    this.job = null; // 本实例正在运行的扫描任务
+    this.lastScan = null; // 本实例最近一次扫描的结果
+  }
+
+  getModels() {
+    if (!this.models) {
+      this.models = require('~/db/models');
+    }
+    return this.models;
+  }
+
+  getKnowledgeEntryModel() {
+    if (this.getModels().KnowledgeEntry) {
+      return this.models.KnowledgeEntry;
+    }
+    const mongoose = require('mongoose');
+    if (!mongoose.models.KnowledgeEntry) {
+      throw new Error('KnowledgeEntry 模型未初始化');
+    }
+    return mongoose.models.KnowledgeEntry;
+  }
+
+  getKnowledgeBaseService() {
+    if (!this.knowledgeBaseService) {
+      const KnowledgeBaseService = require('./KnowledgeBaseService');
+      this.knowledgeBaseService = new KnowledgeBaseService();
+    }
+    return this.knowledgeBaseService;
+  }
+
+  /**
+   * @returns {{ running: boolean, job: Object|null, lastScan: Object|null }}
+   */
+  getStatus() {
+    const job = this.job && {
+      types: this.job.types,
+      processed: this.job.processed,
+      total: this.job.total,
+      startedAt: this.job.startedAt,
+    };
+    return { running: !!this.job, job, lastScan: this.lastScan };
+  }
+
+  /**
+   * 启动重复扫描（后台任务），立即返回任务状态
+   * 扫描完成后替换所有待审核的重复组；已忽略的重复组不会再次出现
+   * @param {Object} [params]
+   * @param {string[]} [params.types] - 扫描的知识类型，默认全部
+   * @param {number} [params.embeddingThreshold] - 向量相似度阈值
+   * @param {number} [params.textThreshold] - 文本重合度阈值
+   * @returns {Object} 任务状态
+   */
+  startScan({
+    types = KNOWLEDGE_TYPES,
+    embeddingThreshold = DEFAULT_EMBEDDING_THRESHOLD,
+    textThreshold = DEFAULT_TEXT_THRESHOLD,
+  } = {}) {
+    if (this.job) {
+      throw new Error('已有重复扫描任务进行中');
+    }
+    const unknown = types.filter((type) => !KNOWLEDGE_TYPES.includes(type));
+    if (unknown.length > 0) {
+      throw new Error(`不支持的知识类型: ${unknown.join(', ')}`);
+    }
+
+    this.job = { types, processed: 0, total: 0, startedAt: new Date() };
+    this.job.promise = this.runScan({ types, embeddingThreshold, textThreshold }).finally(() => {
+      this.job = null;
+    });
+    return this.getStatus();
+  }
+
+  /**
+   * 执行重复扫描（后台任务）
+   */
+  async runScan({ types, embeddingThreshold, textThreshold }) {
+    const { KnowledgeDuplicateCluster } = this.getModels();
+    const KnowledgeEntry = this.getKnowledgeEntryModel();
+    const { startedAt } = this.job;
+
+    try {
+      const found = [];
+      for (const type of types) {
+        const entries = await KnowledgeEntry.find({ type, parent_id: null })
+          .select('type user title content metadata embedding embedding_model createdAt updatedAt')
+          .lean();
+        this.job.total += entries.length;
+
+        const groups = new Map();
+        for (const entry of entries) {
+          const key = getGroupKey(entry);
+          if (!groups.has(key)) {
+            groups.set(key, []);
+          }
+          groups.get(key).push(entry);
+        }
+
+        for (const group of groups.values()) {
+          const clusters = await clusterEntries(
+            group,
+            { embeddingThreshold, textThreshold },
+            () => new Promise((resolve) => setImmediate(resolve)),
+          );
+          found.push(...clusters.map((members) => this.buildCluster(type, members)));
+          this.job.processed += group.length;
+        }
+      }
+
+      const dismissed = await KnowledgeDuplicateCluster.find({
+        status: ClusterStatus.DISMISSED,
+        signature: { $in: found.map((cluster) => cluster.signature) },
+      })
+        .select('signature')
+        .lean();
+      const dismissedSignatures = new Set(dismissed.map((cluster) => cluster.signature));
+      const clusters = found.filter((cluster) => !dismissedSignatures.has(cluster.signature));
+
+      await KnowledgeDuplicateCluster.deleteMany({ status: ClusterStatus.PENDING });
+      if (clusters.length > 0) {
+        await KnowledgeDuplicateCluster.insertMany(clusters);
+      }
+
+      this.lastScan = {
+        startedAt,
+        finishedAt: new Date(),
+        scanned: this.job.total,
+        clusters: clusters.length,
+      };
+      logger.info(
+        `[KnowledgeDedupService] 重复扫描完成: ${this.job.total} 条条目，${clusters.length} 个重复组`,
+      );
+    } catch (error) {
+      logger.error('[KnowledgeDedupService] 重复扫描失败:', error);
+      this.lastScan = { startedAt, finishedAt: new Date(), error: error.message };
+    }
+  }
+
+  buildCluster(type, members) {
+    const entries = members.map(({ entry }) => entry);
+    const first = entries[0];
+    const knowledgeBaseId = first.metadata?.knowledge_base_id ?? null;
+    return {
+      type,
+      status: ClusterStatus.PENDING,
+      user: knowledgeBaseId ? null : first.user,
+      knowledgeBaseId,
+      entityId: first.metadata?.entity_id ?? null,
+      signature: entries
+        .map((entry) => entry._id.toString())
+        .sort()
+        .join(','),
+      members: members.map(({ entry, similarity }) => ({
+        entryId: entry._id.toString(),
+        title: entry.title,
+        similarity,
+        createdAt: entry.createdAt,
+      })),
+      canonicalId: pickCanonical(entries)._id.toString(),
+    };
+  }
+
+  /**
+   * 获取重复组列表
+   * @param {Object} params
+   * @param {string} [params.status] - 状态，默认待审核
+   * @param {string} [params.type] - 知识类型
+   * @param {number} [params.limit] - 返回数量
+   * @param {number} [params.skip] - 跳过数量
+   * @returns {Promise<{ clusters: Object[], total: number }>}
+   */
+  async listClusters({ status = ClusterStatus.PENDING, type, limit = 50, skip = 0 } = {}) {
+    const { KnowledgeDuplicateCluster } = this.getModels();
+    const query = { status };
+    if (type) {
+      query.type = type;
+    }
+    const [clusters, total] = await Promise.all([
+      KnowledgeDuplicateCluster.find(query).sort({ createdAt: -1 }).skip(skip).limit(limit).lean(),
+      KnowledgeDuplicateCluster.countDocuments(query),
+    ]);
+    return { clusters, total };
+  }
+
+  /**
+   * @param {string} clusterId - 重复组ID
+   * @returns {Promise<Object|null>}
+   */
+  async getCluster(clusterId) {
+    const { KnowledgeDuplicateCluster } = this.getModels();
+    return await KnowledgeDuplicateCluster.findById(clusterId).lean();
+  }
+
+  /**
+   * 忽略重复组（之后扫描到相同成员的重复组不再提示）
+   * @param {string} clusterId - 重复组ID
+   * @param {{ id: string }} reviewer - 审核人
+   * @returns {Promise<Object|null>} 更新后的重复组；不存在或已审核时返回 null
+   */
+  async dismissCluster(clusterId, reviewer) {
+    const { KnowledgeDuplicateCluster } = this.getModels();
+    return await KnowledgeDuplicateCluster.findOneAndUpdate(
+      { _id: clusterId, status: ClusterStatus.PENDING },
+      {
+        $set: {
+          status: ClusterStatus.DISMISSED,
+          reviewedBy: reviewer.id,
+          reviewedAt: new Date(),
+        },
+      },
+      { new: true },
+    ).lean();
+  }
+
+  /**
+   * 合并重复组
+   * 将其余条目的同义词（含名词）、答案、标签并入保留条目，再删除其余条目及其向量
+   * @param {Object} params
+   * @param {string} params.clusterId - 重复组ID
+   * @param {string} [params.canonicalId] - 保留的条目ID，默认使用建议的条目
+   * @param {{ id: string }} params.reviewer - 审核人
+   * @returns {Promise<{ cluster: Object, entry: Object, deleted: string[] } | null>} 重复组不存在或已审核时返回 null
+   */
+  async mergeCluster({ clusterId, canonicalId, reviewer }) {
+    const { KnowledgeDuplicateCluster } = this.getModels();
+    const cluster = await KnowledgeDuplicateCluster.findOne({
+      _id: clusterId,
+      status: ClusterStatus.PENDING,
+    }).lean();
+    if (!cluster) {
+      return null;
+    }
+
+    const keepId = canonicalId || cluster.canonicalId;
+    const memberIds = cluster.members.map((member) => member.entryId);
+    if (!memberIds.includes(keepId)) {
+      throw new Error('保留的条目不在该重复组中');
+    }
+
+    const entries = await this.getKnowledgeEntryModel()
+      .find({ _id: { $in: memberIds } })
+      .lean();
+    const canonical = entries.find((entry) => entry._id.toString() === keepId);
+    if (!canonical) {
+      throw new Error('保留的条目已不存在，请重新扫描');
+    }
+    const duplicates = entries.filter((entry) => entry !== canonical);
+
+    const merged = await this.foldIntoCanonical(canonical, duplicates, reviewer);
+
+    const knowledgeBaseService = this.getKnowledgeBaseService();
+    const canonicalFileId = canonical.metadata?.file_id;
+    const deleted = [];
+    for (const duplicate of duplicates) {
+      const removed = await knowledgeBaseService.deleteKnowledgeEntry({
+        entryId: duplicate._id,
+        userId: duplicate.user,
+        authorId: reviewer.id,
+        knowledgeBaseId: duplicate.metadata?.knowledge_base_id,
+        keepFileVectors: !!canonicalFileId && duplicate.metadata?.file_id === canonicalFileId,
+      });
+      if (removed) {
+        deleted.push(duplicate._id.toString());
+      }
+    }
+
+    const updated = await KnowledgeDuplicateCluster.findOneAndUpdate(
+      { _id: cluster._id },
+      {
+        $set: {
+          status: ClusterStatus.MERGED,
+          canonicalId: keepId,
+          reviewedBy: reviewer.id,
+          reviewedAt: new Date(),
+        },
+      },
+      { new: true },
+    ).lean();
+
+    logger.info(
+      `[KnowledgeDedupService] 合并重复组 ${clusterId}: 保留 ${keepId}，删除 ${deleted.length} 条`,
+    );
+    return { cluster: updated, entry: merged, deleted };
+  }
+
+  /**
+   * 将重复条目的内容并入保留条目
+   * - QA对：不同的答案依次追加
+   * - 同义词：合并同义词，其余条目的名词也作为同义词
+   * - 业务知识：合并标签
+   * 语义模型和文件不合并内容，只保留选中的条目
+   * 条目归属（userId）只用于权限范围，版本历史记录审核人为操作人
+   * @param {Object} canonical - 保留的条目
+   * @param {Object[]} duplicates - 待并入的条目
+   * @param {{ id: string }} reviewer - 审核人
+   * @returns {Promise<Object>} 合并后的保留条目
+   */
+  async foldIntoCanonical(canonical, duplicates, reviewer) {
+    const knowledgeBaseService = this.getKnowledgeBaseService();
+    const metadata = canonical.metadata || {};
+    const scope = {
+      entryId: canonical._id,
+      userId: canonical.user,
+      authorId: reviewer.id,
+      knowledgeBaseId: metadata.knowledge_base_id,
+    };
+
+    if (canonical.type === 'qa_pair') {
+      const answers = uniqueStrings([
+        metadata.answer,
+        ...duplicates.map((entry) => entry.metadata?.answer),
+      ]);
+      if (answers.length > 1) {
+        return await knowledgeBaseService.updateQAPair({
+          ...scope,
+          question: metadata.question,
+          answer: answers.join('\n\n'),
+        });
+      }
+    } else if (canonical.type === 'synonym') {
+      const synonyms = uniqueStrings([
+        ...(metadata.synonyms || []),
+        ...duplicates.flatMap((entry) => [
+          entry.metadata?.noun,
+          ...(entry.metadata?.synonyms || []),
+        ]),
+      ]).filter((synonym) => normalizeText(synonym) !== normalizeText(metadata.noun));
+      if (synonyms.length > (metadata.synonyms || []).length) {
+        return await knowledgeBaseService.updateSynonym({
+          ...scope,
+          noun: metadata.noun,
+          synonyms,
+        });
+      }
+    } else if (canonical.type === 'business_knowledge') {
+      const tags = uniqueStrings([
+        ...(metadata.tags || []),
+        ...duplicates.flatMap((entry) => entry.metadata?.tags || []),
+      ]);
+      if (tags.length > (metadata.tags || []).length) {
+        return await knowledgeBaseService.updateBusinessKnowledge({ ...scope, tags });
+      }
+    }
+    return canonical;
+  }
+}
+
+module.exports = KnowledgeDedupService;
+module.exports.ClusterStatus = ClusterStatus;
+module.exports.clusterEntries = clusterEntries;
+module.exports.KNOWLEDGE_TYPES = KNOWLEDGE_TYPES;
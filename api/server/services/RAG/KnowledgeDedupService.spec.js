@@ -0,0 +1,230 @@
+jest.mock('@aipyq/data-schemas', () => ({
+  logger: {
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn(),
+  },
+  createModels: jest.fn(() => ({})),
+}));
+
+jest.mock('~/db/models', () => ({
+  KnowledgeEntry: {},
+}));
+
+const KnowledgeDedupService = require('./KnowledgeDedupService');
+const { clusterEntries } = KnowledgeDedupService;
+
+const thresholds = { embeddingThreshold: 0.9, textThreshold: 0.8 };
+
+const qa = (id, question, overrides = {}) => ({
+  _id: id,
+  type: 'qa_pair',
+  user: 'user-1',
+  title: `QA: ${question}`,
+  content: `问题: ${question}\n答案: ${overrides.answer ?? '答案'}`,
+  metadata: { question, answer: overrides.answer ?? '答案', entity_id: 'ds-1' },
+  ...overrides,
+});
+
+const memberIds = (clusters) =>
+  clusters.map((members) => members.map(({ entry }) => entry._id).sort());
+
+describe('clusterEntries', () => {
+  it('links entries by embedding similarity, text overlap or identical keys', async () => {
+    const entries = [
+      qa('a', '差旅报销时限是多久', { embedding: [1, 0, 0], embedding_model: 'm' }),
+      qa('b', '出差后多久内要报销', { embedding: [0.99, 0.1, 0], embedding_model: 'm' }),
+      qa('c', '年假有几天', { embedding: [0, 1, 0], embedding_model: 'm' }),
+      qa('d', '年假有几天？'),
+      qa('e', '加班费如何计算', { embedding: [0, 0, 1], embedding_model: 'm' }),
+      qa('f', '加班工资怎么算', { embedding: [0, 0, 1], embedding_model: 'other' }),
+    ];
+
+    const clusters = await clusterEntries(entries, thresholds);
+
+    // e/f 的向量来自不同模型，不做比较
+    expect(memberIds(clusters)).toEqual([
+      ['a', 'b'],
+      ['c', 'd'],
+    ]);
+    expect(clusters[1].map(({ similarity }) => similarity)).toEqual([1, 1]);
+  });
+});
+
+describe('KnowledgeDedupService', () => {
+  const createService = ({ entries = [], dismissed = [], cluster = null } = {}) => {
+    const KnowledgeEntry = {
+      find: jest.fn((query) => {
+        const matches = entries.filter((entry) =>
+          query.type ? entry.type === query.type : query._id.$in.includes(entry._id),
+        );
+        const chain = { select: () => chain, lean: async () => matches };
+        return chain;
+      }),
+    };
+    const KnowledgeDuplicateCluster = {
+      find: jest.fn(() => ({ select: () => ({ lean: async () => dismissed }) })),
+      deleteMany: jest.fn(async () => ({})),
+      insertMany: jest.fn(async (docs) => docs),
+      findOne: jest.fn(() => ({ lean: async () => cluster })),
+      findOneAndUpdate: jest.fn((filter, update) => ({
+        lean: async () => ({ ...cluster, ...update.$set }),
+      })),
+    };
+    const knowledgeBaseService = {
+      deleteKnowledgeEntry: jest.fn(async () => true),
+      updateSynonym: jest.fn(async (params) => ({ _id: params.entryId, metadata: params })),
+      updateQAPair: jest.fn(async (params) => ({ _id: params.entryId, metadata: params })),
+    };
+    const service = new KnowledgeDedupService({
+      models: { KnowledgeEntry, KnowledgeDuplicateCluster },
+      knowledgeBaseService,
+    });
+    return { service, KnowledgeDuplicateCluster, knowledgeBaseService };
+  };
+
+  it('scans in the background and replaces pending clusters, skipping dismissed ones', async () => {
+    const { service, KnowledgeDuplicateCluster } = createService({
+      entries: [
+        qa('a', '年假有几天', { updatedAt: '2026-01-01' }),
+        qa('b', '年假有几天', { updatedAt: '2026-03-01' }),
+        // 其他用户的相同问题不属于同一归属，不合并
+        qa('c', '年假有几天', { user: 'user-2' }),
+        qa('d', '加班费如何计算', {
+          metadata: { question: '加班费如何计算', knowledge_base_id: 'kb-1' },
+        }),
+        qa('e', '加班费如何计算', {
+          metadata: { question: '加班费如何计算', knowledge_base_id: 'kb-1' },
+        }),
+      ],
+      dismissed: [{ signature: 'd,e' }],
+    });
+
+    const status = service.startScan({ types: ['qa_pair'] });
+    expect(status.running).toBe(true);
+    expect(() => service.startScan()).toThrow('已有重复扫描任务进行中');
+    await service.job.promise;
+
+    expect(KnowledgeDuplicateCluster.deleteMany).toHaveBeenCalledWith({ status: 'pending' });
+    expect(KnowledgeDuplicateCluster.insertMany).toHaveBeenCalledWith([
+      expect.objectContaining({
+        type: 'qa_pair',
+        user: 'user-1',
+        knowledgeBaseId: null,
+        entityId: 'ds-1',
+        signature: 'a,b',
+        canonicalId: 'b',
+        members: [
+          expect.objectContaining({ entryId: 'a', similarity: 1 }),
+          expect.objectContaining({ entryId: 'b', similarity: 1 }),
+        ],
+      }),
+    ]);
+    expect(service.getStatus()).toMatchObject({
+      running: false,
+      lastScan: { scanned: 5, clusters: 1 },
+    });
+  });
+
+  it('rejects unknown knowledge types', () => {
+    const { service } = createService();
+    expect(() => service.startScan({ types: ['qa_pair', 'faq'] })).toThrow('不支持的知识类型: faq');
+  });
+
+  it('folds synonyms into the canonical entry and deletes the rest', async () => {
+    const synonym = (id, noun, synonyms, fileId) => ({
+      _id: id,
+      type: 'synonym',
+      user: 'user-1',
+      metadata: { noun, synonyms, file_id: fileId },
+    });
+    const { service, knowledgeBaseService, KnowledgeDuplicateCluster } = createService({
+      entries: [
+        synonym('a', '营收', ['收入']),
+        synonym('b', '营业收入', ['营收', '销售额']),
+        synonym('c', '收入', ['Revenue']),
+      ],
+      cluster: {
+        _id: 'cl-1',
+        status: 'pending',
+        canonicalId: 'b',
+        members: [{ entryId: 'a' }, { entryId: 'b' }, { entryId: 'c' }],
+      },
+    });
+
+    const result = await service.mergeCluster({
+      clusterId: 'cl-1',
+      canonicalId: 'a',
+      reviewer: { id: 'admin-1' },
+    });
+
+    expect(knowledgeBaseService.updateSynonym).toHaveBeenCalledWith({
+      entryId: 'a',
+      userId: 'user-1',
+      authorId: 'admin-1',
+      knowledgeBaseId: undefined,
+      noun: '营收',
+      synonyms: ['收入', '营业收入', '销售额', 'Revenue'],
+    });
+    expect(knowledgeBaseService.deleteKnowledgeEntry.mock.calls.map(([params]) => params)).toEqual([
+      ...['b', 'c'].map((entryId) => ({
+        entryId,
+        userId: 'user-1',
+        authorId: 'admin-1',
+        knowledgeBaseId: undefined,
+        keepFileVectors: false,
+      })),
+    ]);
+    expect(result.deleted).toEqual(['b', 'c']);
+    expect(KnowledgeDuplicateCluster.findOneAndUpdate).toHaveBeenCalledWith(
+      { _id: 'cl-1' },
+      {
+        $set: expect.objectContaining({
+          status: 'merged',
+          canonicalId: 'a',
+          reviewedBy: 'admin-1',
+        }),
+      },
+      { new: true },
+    );
+  });
+
+  it('appends distinct answers when merging QA pairs', async () => {
+    const { service, knowledgeBaseService } = createService({
+      entries: [
+        qa('a', '报销时限', { answer: '30天内' }),
+        qa('b', '报销时限？', { answer: '30天内 ' }),
+        qa('c', '报销期限', { answer: '特殊情况可延长至60天' }),
+      ],
+      cluster: {
+        _id: 'cl-1',
+        status: 'pending',
+        canonicalId: 'a',
+        members: [{ entryId: 'a' }, { entryId: 'b' }, { entryId: 'c' }],
+      },
+    });
+
+    await service.mergeCluster({ clusterId: 'cl-1', reviewer: { id: 'admin-1' } });
+
+    expect(knowledgeBaseService.updateQAPair).toHaveBeenCalledWith(
+      expect.objectContaining({
+        entryId: 'a',
+        authorId: 'admin-1',
+        question: '报销时限',
+        answer: '30天内\n\n特殊情况可延长至60天',
+      }),
+    );
+  });
+
+  it('refuses to keep an entry outside the cluster', async () => {
+    const { service, knowledgeBaseService } = createService({
+      cluster: { _id: 'cl-1', status: 'pending', canonicalId: 'a', members: [{ entryId: 'a' }] },
+    });
+
+    await expect(
+      service.mergeCluster({ clusterId: 'cl-1', canonicalId: 'x', reviewer: { id: 'admin-1' } }),
+    ).rejects.toThrow('保留的条目不在该重复组中');
+    expect(knowledgeBaseService.deleteKnowledgeEntry).not.toHaveBeenCalled();
+  });
+});
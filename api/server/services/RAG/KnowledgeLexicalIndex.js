@@ -0,0 +1,136 @@
+const { logger } = require('@aipyq/data-schemas');
+const { uniqueTerms } = require('./TextTokenizer');
+
+/**
+ * 知识条目词法倒排索引
+ * 与 file_vectors.search_tokens 相同：保存应用层分词后的去重词元，
+ * MongoDB 多键索引负责按查询词元筛选候选，BM25 精排仍在应用层完成
+ */
+
+/**
+ * 提取知识条目用于词法检索的文本
+ * 除标题和内容外，同时纳入问题、名词、同义词、表名等结构化字段
+ * @param {Object} entry - 知识条目
+ * @returns {string} 检索文本
+ */
+function getKnowledgeLexicalText(entry) {
+  const metadata = entry.metadata || {};
+  const synonyms = Array.isArray(metadata.synonyms) ? metadata.synonyms.join(' ') : '';
+  return [
+    entry.title,
+    entry.content,
+    metadata.question,
+    metadata.noun,
+    synonyms,
+    metadata.database_name,
+    metadata.table_name,
+  ]
+    .filter(Boolean)
+    .join('\n');
+}
+
+/**
+ * 计算知识条目的 search_tokens
+ * @param {Object} entry - 知识条目
+ * @returns {string[]} 去重后的词元
+ */
+function buildSearchTokens(entry) {
+  return uniqueTerms(getKnowledgeLexicalText(entry));
+}
+
+/**
+ * 为 KnowledgeEntry schema 添加 search_tokens 字段、多键索引和保存前钩子
+ * 条目的所有写入都经过 document.save()，标题、内容或元数据变化时随之重算
+ * @param {import('mongoose').Schema} schema
+ */
+function applySearchTokens(schema) {
+  schema.add({
+    search_tokens: { type: [String], default: undefined, select: false },
+  });
+  schema.index({ search_tokens: 1 });
+  schema.pre('save', function () {
+    if (
+      this.isNew ||
+      this.isModified('title') ||
+      this.isModified('content') ||
+      this.isModified('metadata')
+    ) {
+      this.search_tokens = buildSearchTokens(this);
+    }
+  });
+}
+
+/**
+ * 构建词法候选聚合管道
+ * 命中查询词元的条目按命中数降序、_id 升序排列，结果在截断时保持稳定；
+ * 尚未回填 search_tokens 的历史条目一并作为候选（排在最后）
+ * @param {Object} params
+ * @param {Object} params.conditions - 范围过滤条件（知识库、类型、实体）
+ * @param {string[]} params.terms - 查询词元
+ * @param {number} params.limit - 候选上限
+ * @returns {Object[]} 聚合管道
+ */
+function buildCandidatePipeline({ conditions, terms, limit }) {
+  return [
+    {
+      $match: {
+        ...conditions,
+        $or: [{ search_tokens: { $in: terms } }, { search_tokens: { $exists: false } }],
+      },
+    },
+    {
+      $addFields: {
+        matched_terms: {
+          $size: { $setIntersection: [{ $ifNull: ['$search_tokens', []] }, terms] },
+        },
+      },
+    },
+    { $sort: { matched_terms: -1, _id: 1 } },
+    { $limit: limit },
+    { $project: { type: 1, title: 1, content: 1, metadata: 1, user: 1 } },
+  ];
+}
+
+/**
+ * 为缺少 search_tokens 的历史条目回填词元
+ * @param {import('mongoose').Model} KnowledgeEntry - 知识条目模型
+ * @param {Object} [options]
+ * @param {number} [options.batchSize=500] - 每批处理数量
+ * @returns {Promise<number>} 回填的条目数
+ */
+async function backfillSearchTokens(KnowledgeEntry, { batchSize = 500 } = {}) {
+  let total = 0;
+  for (;;) {
+    const entries = await KnowledgeEntry.find({ search_tokens: { $exists: false } })
+      .select('title content metadata')
+      .sort({ _id: 1 })
+      .limit(batchSize)
+      .lean();
+    if (entries.length === 0) {
+      break;
+    }
+
+    await KnowledgeEntry.bulkWrite(
+      entries.map((entry) => ({
+        updateOne: {
+          filter: { _id: entry._id },
+          update: { $set: { search_tokens: buildSearchTokens(entry) } },
+        },
+      })),
+    );
+    total += entries.length;
+  }
+
+  if (total > 0) {
+    logger.info(`[KnowledgeLexicalIndex] 已为 ${total} 条知识条目回填 search_tokens`);
+  }
+  return total;
+}
+
+module.exports = {
+  getKnowledgeLexicalText,
+  buildSearchTokens,
+  applySearchTokens,
+  buildCandidatePipeline,
+  backfillSearchTokens,
+};
@@ -0,0 +1,196 @@
+const isEqual = require('lodash/isEqual');
+const { logger } = require('@aipyq/data-schemas');
+
+/** 版本动作 */
+const VersionAction = {
+  /** 版本记录功能上线前已存在的条目，首次修改时补记的原始内容 */
+  BASELINE: 'baseline',
+  CREATE: 'create',
+  UPDATE: 'update',
+  RESTORE: 'restore',
+  DELETE: 'delete',
+};
+
+/** 参与比较的顶层字段，metadata 按键逐项比较 */
+const SNAPSHOT_FIELDS = ['title', 'content'];
+
+/** 并发写入时版本号冲突的重试次数 */
+const MAX_VERSION_RETRIES = 3;
+
+/**
+ * 提取知识条目中用于版本记录的字段（向量等派生数据不记录，恢复时重新生成）
+ * @param {Object} entry - 知识条目（文档或 lean 对象）
+ * @returns {{ title: string, content: string, metadata: Object, parent_id: Object|null }}
+ */
+function snapshotEntry(entry) {
+  const source = typeof entry.toObject === 'function' ? entry.toObject() : entry;
+  return {
+    title: source.title ?? '',
+    content: source.content ?? '',
+    metadata: source.metadata ? JSON.parse(JSON.stringify(source.metadata)) : {},
+    parent_id: source.parent_id ?? null,
+  };
+}
+
+/**
+ * 比较两个快照，返回变化的字段
+ * @param {Object|null} before - 修改前的快照（新建时为 null）
+ * @param {Object} after - 修改后的快照
+ * @returns {Array<{ field: string, before?: *, after?: * }>}
+ */
+function diffSnapshots(before, after) {
+  const changes = [];
+  for (const field of SNAPSHOT_FIELDS) {
+    if ((before?.[field] ?? '') !== (after[field] ?? '')) {
+      changes.push({ field, before: before?.[field], after: after[field] });
+    }
+  }
+
+  const beforeMetadata = before?.metadata || {};
+  const afterMetadata = after.metadata || {};
+  const keys = new Set([...Object.keys(beforeMetadata), ...Object.keys(afterMetadata)]);
+  for (const key of [...keys].sort()) {
+    if (!isEqual(beforeMetadata[key], afterMetadata[key])) {
+      changes.push({
+        field: `metadata.${key}`,
+        before: beforeMetadata[key],
+        after: afterMetadata[key],
+      });
+    }
+  }
+  return changes;
+}
+
+/**
+ * 知识条目版本服务
+ * 每次新建、修改、恢复、删除知识条目都追加一条版本记录（作者、时间、快照、差异），
+ * 版本记录只追加不修改，条目删除后仍保留，作为审计历史
+ */
+class KnowledgeVersionService {
+  /**
+   * @param {Object} [options]
+   * @param {Object} [options.models] - 数据模型（默认从 ~/db/models 加载）
+   */
+  constructor({ models } = {}) {
+    this.models = models;
+  }
+
+  getVersionModel() {
+    if (!this.models) {
+      this.models = require('~/db/models');
+    }
+    return this.models.KnowledgeEntryVersion;
+  }
+
+  /**
+   * @param {string} entryId - 知识条目ID
+   * @returns {Promise<Object|null>} 最新版本
+   */
+  async getLatestVersion(entryId) {
+    return await this.getVersionModel().findOne({ entryId }).sort({ version: -1 }).lean();
+  }
+
+  /**
+   * 记录一个版本
+   * 没有历史版本的存量条目首次修改时，先用修改前的内容补记基线版本，保证可以恢复到原始状态
+   * @param {Object} params
+   * @param {Object} params.entry - 修改后的知识条目（删除时为删除前的条目）
+   * @param {string} params.action - 版本动作（VersionAction）
+   * @param {string} [params.authorId] - 操作用户ID
+   * @param {Object} [params.before] - 修改前的快照（snapshotEntry）
+   * @param {number} [params.restoredFrom] - 恢复来源版本号
+   * @returns {Promise<Object|null>} 新版本；内容未变化的修改返回 null
+   */
+  async recordVersion({ entry, action, authorId, before, restoredFrom }) {
+    const snapshot = snapshotEntry(entry);
+
+    for (let attempt = 1; ; attempt++) {
+      let latest = await this.getLatestVersion(entry._id);
+      if (!latest && before && action !== VersionAction.CREATE) {
+        latest = await this.insertVersion({
+          entry,
+          version: 1,
+          action: VersionAction.BASELINE,
+          snapshot: before,
+          changes: [],
+        });
+      }
+
+      const base = action === VersionAction.CREATE ? null : (before ?? latest?.snapshot ?? null);
+      const changes = action === VersionAction.DELETE ? [] : diffSnapshots(base, snapshot);
+      if (action === VersionAction.UPDATE && changes.length === 0) {
+        return null;
+      }
+
+      try {
+        return await this.insertVersion({
+          entry,
+          version: (latest?.version ?? 0) + 1,
+          action,
+          authorId,
+          snapshot,
+          changes,
+          restoredFrom,
+        });
+      } catch (error) {
+        if (error?.code !== 11000 || attempt >= MAX_VERSION_RETRIES) {
+          throw error;
+        }
+        logger.debug(`[KnowledgeVersionService] 版本号冲突，重试: ${entry._id}`);
+      }
+    }
+  }
+
+  async insertVersion({ entry, version, action, authorId, snapshot, changes, restoredFrom }) {
+    const created = await this.getVersionModel().create({
+      entryId: entry._id,
+      version,
+      action,
+      type: entry.type,
+      user: entry.user,
+      knowledgeBaseId: entry.metadata?.knowledge_base_id ?? null,
+      author: authorId ?? null,
+      snapshot,
+      changes,
+      restoredFrom,
+    });
+    return typeof created.toObject === 'function' ? created.toObject() : created;
+  }
+
+  /**
+   * 获取知识条目的版本列表（新版本在前）
+   * @param {Object} params
+   * @param {string} params.entryId - 知识条目ID
+   * @param {number} [params.limit] - 返回数量
+   * @param {number} [params.skip] - 跳过数量
+   * @returns {Promise<{ versions: Object[], total: number }>}
+   */
+  async listVersions({ entryId, limit = 50, skip = 0 }) {
+    const Version = this.getVersionModel();
+    const [versions, total] = await Promise.all([
+      Version.find({ entryId })
+        .sort({ version: -1 })
+        .skip(skip)
+        .limit(limit)
+        .populate('author', 'name username')
+        .lean(),
+      Version.countDocuments({ entryId }),
+    ]);
+    return { versions, total };
+  }
+
+  /**
+   * @param {Object} params
+   * @param {string} params.entryId - 知识条目ID
+   * @param {number} params.version - 版本号
+   * @returns {Promise<Object|null>}
+   */
+  async getVersion({ entryId, version }) {
+    return await this.getVersionModel().findOne({ entryId, version }).lean();
+  }
+}
+
+module.exports = KnowledgeVersionService;
+module.exports.VersionAction = VersionAction;
+module.exports.snapshotEntry = snapshotEntry;
+module.exports.diffSnapshots = diffSnapshots;
@@ -0,0 +1,141 @@
+jest.mock('@aipyq/data-schemas', () => ({
+  logger: {
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn(),
+  },
+}));
+
+const KnowledgeVersionService = require('./KnowledgeVersionService');
+const { VersionAction, snapshotEntry, diffSnapshots } = KnowledgeVersionService;
+
+/** 内存中的版本集合，模拟 findOne().sort().lean() 与 create */
+const createVersionModel = () => {
+  const versions = [];
+  return {
+    versions,
+    findOne: jest.fn(({ entryId, version }) => {
+      const matches = versions.filter(
+        (v) => v.entryId === entryId && (version === undefined || v.version === version),
+      );
+      const latest = matches.sort((a, b) => b.version - a.version)[0] ?? null;
+      return { sort: () => ({ lean: async () => latest }), lean: async () => latest };
+    }),
+    create: jest.fn(async (doc) => {
+      if (versions.some((v) => v.entryId === doc.entryId && v.version === doc.version)) {
+        throw Object.assign(new Error('E11000 duplicate key'), { code: 11000 });
+      }
+      versions.push(doc);
+      return doc;
+    }),
+  };
+};
+
+const entry = (overrides = {}) => ({
+  _id: 'entry-1',
+  type: 'qa_pair',
+  user: 'owner-1',
+  title: 'QA: 报销时限',
+  content: '问题: 报销时限\n答案: 30天',
+  metadata: { question: '报销时限', answer: '30天', knowledge_base_id: 'kb-1' },
+  ...overrides,
+});
+
+describe('diffSnapshots', () => {
+  it('reports changed top-level fields and metadata keys', () => {
+    const before = snapshotEntry(entry());
+    const after = snapshotEntry(
+      entry({
+        content: '问题: 报销时限\n答案: 60天',
+        metadata: { question: '报销时限', answer: '60天', tags: ['财务'] },
+      }),
+    );
+
+    expect(diffSnapshots(before, after)).toEqual([
+      { field: 'content', before: before.content, after: after.content },
+      { field: 'metadata.answer', before: '30天', after: '60天' },
+      { field: 'metadata.knowledge_base_id', before: 'kb-1', after: undefined },
+      { field: 'metadata.tags', before: undefined, after: ['财务'] },
+    ]);
+  });
+
+  it('lists every field for a new entry', () => {
+    const changes = diffSnapshots(null, snapshotEntry(entry({ metadata: {} })));
+
+    expect(changes.map(({ field }) => field)).toEqual(['title', 'content']);
+  });
+});
+
+describe('KnowledgeVersionService.recordVersion', () => {
+  const createService = () => {
+    const KnowledgeEntryVersion = createVersionModel();
+    const service = new KnowledgeVersionService({ models: { KnowledgeEntryVersion } });
+    return { service, KnowledgeEntryVersion };
+  };
+
+  it('numbers versions per entry and stores the author and scope', async () => {
+    const { service, KnowledgeEntryVersion } = createService();
+
+    await service.recordVersion({ entry: entry(), action: VersionAction.CREATE, authorId: 'u-1' });
+    const updated = await service.recordVersion({
+      entry: entry({ title: 'QA: 报销期限' }),
+      action: VersionAction.UPDATE,
+      authorId: 'u-2',
+      before: snapshotEntry(entry()),
+    });
+
+    expect(KnowledgeEntryVersion.versions).toHaveLength(2);
+    expect(updated).toMatchObject({
+      version: 2,
+      action: 'update',
+      author: 'u-2',
+      user: 'owner-1',
+      knowledgeBaseId: 'kb-1',
+      changes: [{ field: 'title', before: 'QA: 报销时限', after: 'QA: 报销期限' }],
+    });
+  });
+
+  it('records a baseline before the first change to an entry without history', async () => {
+    const { service, KnowledgeEntryVersion } = createService();
+
+    await service.recordVersion({
+      entry: entry({ title: 'QA: 报销期限' }),
+      action: VersionAction.UPDATE,
+      authorId: 'u-2',
+      before: snapshotEntry(entry()),
+    });
+
+    expect(KnowledgeEntryVersion.versions.map(({ version, action }) => [version, action])).toEqual([
+      [1, 'baseline'],
+      [2, 'update'],
+    ]);
+    expect(KnowledgeEntryVersion.versions[0].snapshot.title).toBe('QA: 报销时限');
+  });
+
+  it('skips updates that did not change the entry', async () => {
+    const { service, KnowledgeEntryVersion } = createService();
+    await service.recordVersion({ entry: entry(), action: VersionAction.CREATE });
+
+    const result = await service.recordVersion({
+      entry: entry(),
+      action: VersionAction.UPDATE,
+      before: snapshotEntry(entry()),
+    });
+
+    expect(result).toBeNull();
+    expect(KnowledgeEntryVersion.versions).toHaveLength(1);
+  });
+
+  it('retries with the next version number when another write wins the race', async () => {
+    const { service, KnowledgeEntryVersion } = createService();
+    await service.recordVersion({ entry: entry(), action: VersionAction.CREATE });
+    const { findOne } = KnowledgeEntryVersion;
+    // 第一次读取到过期的最新版本，模拟并发写入
+    findOne.mockImplementationOnce(() => ({ sort: () => ({ lean: async () => null }) }));
+
+    const result = await service.recordVersion({ entry: entry(), action: VersionAction.DELETE });
+
+    expect(result).toMatchObject({ version: 2, action: 'delete', changes: [] });
+  });
+});
@@ -0,0 +1,158 @@
+const { logger } = require('@aipyq/data-schemas');
+const VectorDBService = require('./VectorDBService');
+const { tokenize, countTerms, uniqueTerms } = require('./TextTokenizer');
+
+/**
+ * 词法检索服务
+ * 使用中文感知分词 + BM25 打分，补充向量检索对精确词元（中文表名、字段编码、SKU 等）的召回
+ */
+class LexicalSearchService {
+  constructor() {
+    this.vectorDBService = new VectorDBService();
+    this.k1 = parseFloat(process.env.RAG_BM25_K1 || '1.2');
+    this.b = parseFloat(process.env.RAG_BM25_B || '0.75');
+    // 候选集放大倍数：SQL 先按命中词元数取候选，再在应用层做 BM25 精排
+    this.candidateMultiplier = 5;
+  }
+
+  /**
+   * 计算单个文档的 BM25 分数
+   * @param {Object} params
+   * @param {string[]} params.queryTerms - 查询词元（已去重）
+   * @param {Map<string, number>} params.termFreqs - 文档词频
+   * @param {number} params.docLength - 文档长度（词元数）
+   * @param {Object} params.stats - 语料统计
+   * @param {number} params.stats.totalDocs - 文档总数
+   * @param {number} params.stats.avgLength - 平均文档长度
+   * @param {Map<string, number>} params.stats.docFreqs - 词元文档频率
+   * @returns {number} BM25 分数
+   */
+  scoreBM25({ queryTerms, termFreqs, docLength, stats }) {
+    const { totalDocs, avgLength, docFreqs } = stats;
+    const lengthNorm = avgLength > 0 ? docLength / avgLength : 1;
+    let score = 0;
+
+    for (const term of queryTerms) {
+      const tf = termFreqs.get(term) || 0;
+      if (tf === 0) {
+        continue;
+      }
+      const df = docFreqs.get(term) || 0;
+      const idf = Math.log(1 + (totalDocs - df + 0.5) / (df + 0.5));
+      score += (idf * tf * (this.k1 + 1)) / (tf + this.k1 * (1 - this.b + this.b * lengthNorm));
+    }
+
+    return score;
+  }
+
+  /**
+   * 对内存中的文档集合做 BM25 排序（词元文档频率和平均长度取自该集合本身）
+   * 用于知识条目等候选已在数据库中按词元筛选、由应用层精排的数据源
+   * @param {Object} params
+   * @param {string} params.query - 查询文本
+   * @param {Array} params.documents - 文档数组
+   * @param {(doc: Object) => string} params.getText - 提取文档文本的函数
+   * @param {number} [params.topK] - 返回前K个结果
+   * @param {number} [params.totalDocs] - 语料文档总数（候选只是语料子集时传入，默认取 documents 数量）
+   * @returns {Array<{ document: Object, bm25: number, lexicalScore: number }>} 排序后的结果
+   */
+  rankDocuments({ query, documents, getText, topK = 10, totalDocs }) {
+    const queryTerms = uniqueTerms(query);
+    if (queryTerms.length === 0 || !documents || documents.length === 0) {
+      return [];
+    }
+
+    const tokenized = documents.map(document => {
+      const tokens = tokenize(getText(document));
+      return { document, termFreqs: countTerms(tokens), docLength: tokens.length };
+    });
+
+    const docFreqs = new Map();
+    for (const term of queryTerms) {
+      docFreqs.set(term, tokenized.filter(doc => doc.termFreqs.has(term)).length);
+    }
+    const totalLength = tokenized.reduce((sum, doc) => sum + doc.docLength, 0);
+    const stats = {
+      totalDocs: Math.max(totalDocs || 0, tokenized.length),
+      avgLength: totalLength / tokenized.length,
+      docFreqs,
+    };
+
+    const scored = tokenized
+      .map(doc => ({
+        document: doc.document,
+        bm25: this.scoreBM25({ queryTerms, termFreqs: doc.termFreqs, docLength: doc.docLength, stats }),
+      }))
+      .filter(result => result.bm25 > 0)
+      .sort((a, b) => b.bm25 - a.bm25)
+      .slice(0, topK);
+
+    return this.normalizeScores(scored);
+  }
+
+  /**
+   * 将 BM25 分数归一化到 0-1（除以本次结果中的最高分），便于与向量相似度并列展示和过滤
+   * @param {Array<{ bm25: number }>} results - 已排序的结果
+   * @returns {Array} 附加 lexicalScore 的结果
+   */
+  normalizeScores(results) {
+    const maxScore = results.length > 0 ? results[0].bm25 : 0;
+    return results.map(result => ({
+      ...result,
+      lexicalScore: maxScore > 0 ? result.bm25 / maxScore : 0,
+    }));
+  }
+
+  /**
+   * 在 file_vectors 中进行词法检索
+   * @param {Object} params
+   * @param {string} params.query - 查询文本
+   * @param {string[]} [params.fileIds] - 文件ID过滤（可选）
+   * @param {string} [params.entityId] - 实体ID（数据源隔离，可选）
+   * @param {number} [params.topK] - 返回前K个结果
+   * @param {Object} [params.embeddingModel] - 激活的向量模型，只检索该模型写入的chunk
+   * @returns {Promise<Array>} 检索结果数组（包含 bm25 原始分数和归一化的 lexicalScore）
+   */
+  async searchFiles({ query, fileIds, entityId, topK = 10, embeddingModel }) {
+    const queryTerms = uniqueTerms(query);
+    if (queryTerms.length === 0) {
+      return [];
+    }
+
+    const candidates = await this.vectorDBService.searchFileVectorsLexical({
+      terms: queryTerms,
+      fileIds,
+      entityId,
+      limit: topK * this.candidateMultiplier,
+      embeddingModel,
+    });
+
+    if (candidates.length === 0) {
+      return [];
+    }
+
+    const stats = await this.vectorDBService.getFileLexicalStats(queryTerms);
+
+    const scored = candidates
+      .map(candidate => {
+        const tokens = tokenize(candidate.content);
+        return {
+          ...candidate,
+          bm25: this.scoreBM25({
+            queryTerms,
+            termFreqs: countTerms(tokens),
+            docLength: candidate.docLength || tokens.length,
+            stats,
+          }),
+        };
+      })
+      .filter(result => result.bm25 > 0)
+      .sort((a, b) => b.bm25 - a.bm25)
+      .slice(0, topK);
+
+    logger.info(`[LexicalSearchService] 文件词法检索: 查询词元 ${queryTerms.length} 个，候选 ${candidates.length} 个，返回 ${scored.length} 个`);
+    return this.normalizeScores(scored);
+  }
+}
+
+module.exports = LexicalSearchService;
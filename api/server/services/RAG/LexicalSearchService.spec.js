@@ -0,0 +1,281 @@
+jest.mock('@aipyq/data-schemas', () => ({
+  logger: {
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn(),
+  },
+  createModels: jest.fn(() => ({})),
+}));
+
+jest.mock('~/db/models', () => ({
+  KnowledgeEntry: {},
+}));
+
+const mongoose = require('mongoose');
+const { logger } = require('@aipyq/data-schemas');
+const { KnowledgeEntry } = require('~/db/models');
+const { tokenize, uniqueTerms } = require('./TextTokenizer');
+const LexicalSearchService = require('./LexicalSearchService');
+const RetrievalService = require('./RetrievalService');
+const {
+  applySearchTokens,
+  backfillSearchTokens,
+  buildCandidatePipeline,
+  buildSearchTokens,
+} = require('./KnowledgeLexicalIndex');
+
+describe('TextTokenizer', () => {
+  it('splits Chinese runs into bigrams', () => {
+    expect(tokenize('订单明细')).toEqual(['订单', '单明', '明细']);
+  });
+
+  it('keeps a single Chinese character as a token', () => {
+    expect(tokenize('表')).toEqual(['表']);
+  });
+
+  it('keeps SKU-like codes whole and also emits their parts', () => {
+    expect(tokenize('SKU-00123')).toEqual(['sku-00123', 'sku', '00123']);
+  });
+
+  it('normalizes full-width characters and case', () => {
+    expect(uniqueTerms('ＯＲＤＥＲ_ID 订单')).toEqual(['order_id', 'order', 'id', '订单']);
+  });
+
+  it('returns an empty array for empty input', () => {
+    expect(tokenize('')).toEqual([]);
+    expect(tokenize(null)).toEqual([]);
+  });
+});
+
+describe('LexicalSearchService.rankDocuments', () => {
+  const service = new LexicalSearchService();
+  const documents = [
+    { id: 'a', text: '客户表 customer 存储客户基本信息' },
+    { id: 'b', text: '订单明细表 t_order_detail 记录每个订单的商品 SKU-00123' },
+    { id: 'c', text: '库存快照表，按日记录库存数量' },
+  ];
+
+  it('ranks the document containing the exact code first', () => {
+    const results = service.rankDocuments({
+      query: 'SKU-00123 在哪个表',
+      documents,
+      getText: doc => doc.text,
+    });
+
+    expect(results[0].document.id).toBe('b');
+    expect(results[0].lexicalScore).toBe(1);
+  });
+
+  it('drops documents without any matching term', () => {
+    const results = service.rankDocuments({
+      query: '订单明细',
+      documents,
+      getText: doc => doc.text,
+    });
+
+    expect(results.map(r => r.document.id)).toEqual(['b']);
+  });
+
+  it('respects topK', () => {
+    const results = service.rankDocuments({
+      query: '记录',
+      documents,
+      getText: doc => doc.text,
+      topK: 1,
+    });
+
+    expect(results).toHaveLength(1);
+  });
+
+  it('uses the corpus size for idf when ranking a candidate subset', () => {
+    const subset = service.rankDocuments({ query: '客户', documents, getText: doc => doc.text });
+    const corpus = service.rankDocuments({
+      query: '客户',
+      documents,
+      getText: doc => doc.text,
+      totalDocs: 1000,
+    });
+
+    expect(corpus[0].bm25).toBeGreaterThan(subset[0].bm25);
+  });
+});
+
+describe('KnowledgeLexicalIndex', () => {
+  const entry = {
+    title: '订单明细',
+    content: '记录 SKU-00123',
+    metadata: { synonyms: ['下单'], table_name: 't_order_detail' },
+  };
+
+  it('indexes title, content and structured metadata terms', () => {
+    expect(buildSearchTokens(entry)).toEqual(
+      expect.arrayContaining(['订单', '明细', 'sku-00123', '下单', 't_order_detail', 'order']),
+    );
+  });
+
+  it('adds a hidden, indexed search_tokens path to the schema', () => {
+    const schema = new mongoose.Schema({ title: String, content: String });
+    applySearchTokens(schema);
+
+    expect(schema.path('search_tokens').options.select).toBe(false);
+    expect(schema.indexes()).toContainEqual([{ search_tokens: 1 }, expect.any(Object)]);
+  });
+
+  it('selects candidates through the token index in a stable order', () => {
+    const pipeline = buildCandidatePipeline({
+      conditions: { type: { $in: ['qa_pair'] } },
+      terms: ['订单'],
+      limit: 50,
+    });
+
+    expect(pipeline[0].$match).toEqual({
+      type: { $in: ['qa_pair'] },
+      $or: [{ search_tokens: { $in: ['订单'] } }, { search_tokens: { $exists: false } }],
+    });
+    expect(pipeline).toContainEqual({ $sort: { matched_terms: -1, _id: 1 } });
+    expect(pipeline).toContainEqual({ $limit: 50 });
+  });
+
+  it('backfills entries without tokens in batches', async () => {
+    const batches = [[{ _id: 'e1', ...entry }], []];
+    const Model = {
+      find: jest.fn(() => ({
+        select: () => ({ sort: () => ({ limit: () => ({ lean: async () => batches.shift() }) }) }),
+      })),
+      bulkWrite: jest.fn(),
+    };
+
+    await expect(backfillSearchTokens(Model)).resolves.toBe(1);
+    expect(Model.find).toHaveBeenCalledWith({ search_tokens: { $exists: false } });
+    expect(Model.bulkWrite.mock.calls[0][0][0].updateOne).toEqual({
+      filter: { _id: 'e1' },
+      update: { $set: { search_tokens: buildSearchTokens(entry) } },
+    });
+  });
+});
+
+describe('RetrievalService.retrieveFromKnowledgeBaseLexical', () => {
+  const service = new RetrievalService();
+  service.lexicalScanLimit = 2;
+
+  beforeEach(() => {
+    KnowledgeEntry.aggregate = jest.fn().mockResolvedValue([
+      { _id: 'e1', type: 'qa_pair', title: '订单明细表', content: '订单商品明细' },
+      { _id: 'e2', type: 'qa_pair', title: '客户表', content: '客户订单' },
+    ]);
+    KnowledgeEntry.countDocuments = jest.fn().mockResolvedValue(500);
+    KnowledgeEntry.find = jest.fn(() => ({
+      select: () => ({ sort: () => ({ limit: () => ({ lean: async () => [] }) }) }),
+    }));
+    KnowledgeEntry.bulkWrite = jest.fn();
+  });
+
+  it('queries indexed candidates within the scope and ranks them', async () => {
+    const results = await service.retrieveFromKnowledgeBaseLexical({
+      query: '订单明细',
+      types: ['qa_pair'],
+      topK: 5,
+    });
+
+    const [pipeline] = KnowledgeEntry.aggregate.mock.calls[0];
+    expect(pipeline[0].$match).toMatchObject({
+      'metadata.knowledge_base_id': null,
+      type: { $in: ['qa_pair'] },
+    });
+    expect(pipeline).toContainEqual({ $limit: 2 });
+    expect(KnowledgeEntry.countDocuments).toHaveBeenCalledWith({
+      'metadata.knowledge_base_id': null,
+      type: { $in: ['qa_pair'] },
+    });
+    expect(logger.warn).toHaveBeenCalledWith(expect.stringContaining('候选达到上限 2（范围内共 500 条）'));
+    expect(results.map(r => r._id)).toEqual(['e1', 'e2']);
+    expect(results[0].lexicalScore).toBe(1);
+  });
+
+  it('skips the database for queries without terms', async () => {
+    expect(await service.retrieveFromKnowledgeBaseLexical({ query: '  ' })).toEqual([]);
+    expect(KnowledgeEntry.aggregate).not.toHaveBeenCalled();
+  });
+});
+
+describe('RetrievalService.fuseWithRRF', () => {
+  const service = new RetrievalService();
+
+  it('merges the same entry across lists and sums weighted reciprocal ranks', () => {
+    const vector = [
+      { _id: 'e1', type: 'qa_pair', score: 0.9 },
+      { _id: 'e2', type: 'qa_pair', score: 0.8 },
+    ];
+    const lexical = [
+      { _id: 'e2', type: 'qa_pair', score: 1, bm25: 4.2, lexicalScore: 1 },
+      { type: 'file', metadata: { file_id: 'f1', chunk_index: 3 }, score: 0.5, bm25: 2.1, lexicalScore: 0.5 },
+    ];
+
+    const fused = service.fuseWithRRF(
+      [
+        { source: 'vector', results: vector, weight: 1 },
+        { source: 'lexical', results: lexical, weight: 1 },
+      ],
+      60,
+    );
+
+    expect(fused[0]._id).toBe('e2');
+    expect(fused[0].fusionScore).toBeCloseTo(1 / 62 + 1 / 61);
+    expect(fused[0].ranks).toEqual({ vector: 2, lexical: 1 });
+    expect(fused[0].score).toBe(0.8);
+    expect(fused[0].bm25).toBe(4.2);
+    expect(fused).toHaveLength(3);
+  });
+
+  it('ranks knowledge and file lexical hits within their own corpus', () => {
+    const knowledge = [
+      { _id: 'e1', type: 'qa_pair', bm25: 2.5 },
+      { _id: 'e2', type: 'qa_pair', bm25: 1.5 },
+    ];
+    const files = [
+      { type: 'file', metadata: { file_id: 'f1', chunk_index: 0 }, bm25: 12 },
+      { type: 'file', metadata: { file_id: 'f1', chunk_index: 1 }, bm25: 9 },
+    ];
+
+    const lists = service.toLexicalRankedLists(
+      [
+        { status: 'fulfilled', value: [knowledge[1], knowledge[0]] },
+        { status: 'fulfilled', value: files },
+      ],
+      1,
+    );
+    expect(lists.map(list => list.results.length)).toEqual([2, 2]);
+
+    const fused = service.fuseWithRRF(lists, 60);
+    // 文件分块的 BM25 原始分数更高，但不会把知识条目挤到后面
+    expect(fused[0].fusionScore).toBeCloseTo(1 / 61);
+    expect(fused[1].fusionScore).toBeCloseTo(1 / 61);
+    expect(fused.slice(0, 2).map(r => r._id || r.metadata.chunk_index).sort()).toEqual([0, 'e1']);
+    expect(fused.find(r => r._id === 'e1').ranks).toEqual({ lexical: 1 });
+
+    expect(
+      service.toLexicalRankedLists([{ status: 'rejected', reason: new Error('boom') }], 1)[0].results,
+    ).toEqual([]);
+  });
+
+  it('ignores lists with zero weight', () => {
+    const fused = service.fuseWithRRF(
+      [
+        { source: 'vector', results: [{ _id: 'e1', type: 'qa_pair' }], weight: 1 },
+        { source: 'lexical', results: [{ _id: 'e2', type: 'qa_pair' }], weight: 0 },
+      ],
+      60,
+    );
+
+    expect(fused.map(r => r._id)).toEqual(['e1']);
+  });
+
+  it('falls back to defaults for invalid fusion options', () => {
+    expect(service.normalizeFusionOptions({ vectorWeight: -1, lexicalWeight: '2', k: 0 })).toEqual({
+      vectorWeight: 1,
+      lexicalWeight: 2,
+      k: 60,
+    });
+  });
+});
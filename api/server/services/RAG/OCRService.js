@@ -0,0 +1,407 @@
+const path = require('path');
+const fs = require('fs');
+const { logger } = require('@aipyq/data-schemas');
+
+/**
+ * 本地 OCR 服务
+ * 使用 PaddleOCR 的 ONNX 模型（文本检测 + 文本识别）在 CPU 上离线识别图片中的文字，
+ * 用于扫描版 PDF 与图文混排 PDF 中的图片页面
+ *
+ * 模型文件目录: onnx/ocr/resources/（见该目录下 README）
+ * - det.onnx: 文本检测模型（DBNet）
+ * - rec.onnx: 文本识别模型（CTC）
+ * - ppocr_keys.txt: 识别模型字典，每行一个字符
+ */
+
+/** 检测模型输入归一化参数（PaddleOCR 按 BGR 通道顺序） */
+const DET_MEAN = [0.485, 0.456, 0.406];
+const DET_STD = [0.229, 0.224, 0.225];
+/** 识别模型输入高度 */
+const REC_HEIGHT = 48;
+/** 识别模型输入最大宽度（过长的文本行会被压缩） */
+const REC_MAX_WIDTH = 1280;
+
+/**
+ * 将 pdf.js 解码出的图片统一转换为 RGB 像素
+ * pdf.js 图片类型: 1 = 1 位灰度（按位打包，置位为白色），2 = RGB，3 = RGBA
+ * @param {{ width: number, height: number, kind: number, data: Uint8Array|Uint8ClampedArray }} image
+ * @returns {{ width: number, height: number, data: Buffer }}
+ */
+function toRGB({ width, height, kind, data }) {
+  const rgb = Buffer.alloc(width * height * 3);
+  if (kind === 2) {
+    rgb.set(data.subarray(0, rgb.length));
+  } else if (kind === 3) {
+    for (let i = 0, j = 0; j < rgb.length; i += 4, j += 3) {
+      rgb[j] = data[i];
+      rgb[j + 1] = data[i + 1];
+      rgb[j + 2] = data[i + 2];
+    }
+  } else if (kind === 1) {
+    const rowBytes = Math.ceil(width / 8);
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        const bit = data[y * rowBytes + (x >> 3)] & (0x80 >> (x & 7));
+        rgb.fill(bit ? 255 : 0, (y * width + x) * 3, (y * width + x) * 3 + 3);
+      }
+    }
+  } else {
+    throw new Error(`不支持的图片格式: kind=${kind}`);
+  }
+  return { width, height, data: rgb };
+}
+
+/**
+ * 从检测模型输出的概率图中提取文本框
+ * 对二值化后的概率图做连通域分析，按平均概率过滤，并按 DBNet 的 unclip 规则外扩
+ * @param {Float32Array} probMap - 概率图（height * width）
+ * @param {number} width - 概率图宽度
+ * @param {number} height - 概率图高度
+ * @param {Object} [options]
+ * @param {number} [options.threshold=0.3] - 二值化阈值
+ * @param {number} [options.boxThreshold=0.6] - 文本框平均概率阈值
+ * @param {number} [options.unclipRatio=1.5] - 外扩比例
+ * @param {number} [options.minSize=3] - 文本框最小边长
+ * @returns {Array<{ x0: number, y0: number, x1: number, y1: number, score: number }>}
+ */
+function findTextBoxes(
+  probMap,
+  width,
+  height,
+  { threshold = 0.3, boxThreshold = 0.6, unclipRatio = 1.5, minSize = 3 } = {},
+) {
+  const visited = new Uint8Array(width * height);
+  const stack = new Int32Array(width * height);
+  const boxes = [];
+
+  for (let start = 0; start < probMap.length; start++) {
+    if (visited[start] || probMap[start] <= threshold) {
+      continue;
+    }
+    let top = 0;
+    stack[top++] = start;
+    visited[start] = 1;
+    let x0 = width;
+    let y0 = height;
+    let x1 = 0;
+    let y1 = 0;
+    let sum = 0;
+    let count = 0;
+
+    while (top > 0) {
+      const index = stack[--top];
+      const x = index % width;
+      const y = (index - x) / width;
+      sum += probMap[index];
+      count++;
+      x0 = Math.min(x0, x);
+      y0 = Math.min(y0, y);
+      x1 = Math.max(x1, x);
+      y1 = Math.max(y1, y);
+
+      const neighbors = [
+        x > 0 ? index - 1 : -1,
+        x < width - 1 ? index + 1 : -1,
+        y > 0 ? index - width : -1,
+        y < height - 1 ? index + width : -1,
+      ];
+      for (const next of neighbors) {
+        if (next >= 0 && !visited[next] && probMap[next] > threshold) {
+          visited[next] = 1;
+          stack[top++] = next;
+        }
+      }
+    }
+
+    const boxWidth = x1 - x0 + 1;
+    const boxHeight = y1 - y0 + 1;
+    const score = sum / count;
+    if (Math.min(boxWidth, boxHeight) < minSize || score < boxThreshold) {
+      continue;
+    }
+    const distance = (boxWidth * boxHeight * unclipRatio) / (2 * (boxWidth + boxHeight));
+    boxes.push({
+      x0: Math.max(0, x0 - distance),
+      y0: Math.max(0, y0 - distance),
+      x1: Math.min(width, x1 + 1 + distance),
+      y1: Math.min(height, y1 + 1 + distance),
+      score,
+    });
+  }
+  return boxes;
+}
+
+/**
+ * CTC 贪心解码
+ * 下标 0 为空白符，1..N 对应字典字符，N+1 为空格
+ * @param {Float32Array} probs - 识别模型输出（steps * classes）
+ * @param {number} steps - 时间步数
+ * @param {number} classes - 类别数
+ * @param {string[]} dictionary - 字典
+ * @returns {{ text: string, confidence: number }}
+ */
+function ctcDecode(probs, steps, classes, dictionary) {
+  let text = '';
+  let scoreSum = 0;
+  let kept = 0;
+  let previous = 0;
+
+  for (let t = 0; t < steps; t++) {
+    let best = 0;
+    let bestScore = -Infinity;
+    for (let c = 0; c < classes; c++) {
+      const score = probs[t * classes + c];
+      if (score > bestScore) {
+        best = c;
+        bestScore = score;
+      }
+    }
+    if (best !== 0 && best !== previous) {
+      text += best <= dictionary.length ? dictionary[best - 1] : ' ';
+      scoreSum += bestScore;
+      kept++;
+    }
+    previous = best;
+  }
+  return { text: text.trim(), confidence: kept > 0 ? scoreSum / kept : 0 };
+}
+
+/**
+ * 将识别出的文本框按阅读顺序组织为文本
+ * 垂直方向重叠过半的文本框为同一行；同一行内间距较大的文本框以制表符分隔（便于识别表格），
+ * 行距明显变大处分段
+ * @param {Array<{ x0: number, y0: number, x1: number, y1: number, text: string, confidence: number }>} lines
+ * @returns {{ text: string, confidence: number }} 文本与按字符数加权的平均置信度
+ */
+function groupLines(lines) {
+  const rows = [];
+  const sorted = lines
+    .filter((line) => line.text)
+    .sort((a, b) => (a.y0 + a.y1) / 2 - (b.y0 + b.y1) / 2);
+
+  for (const line of sorted) {
+    const row = rows[rows.length - 1];
+    const overlap = row ? Math.min(row.y1, line.y1) - Math.max(row.y0, line.y0) : 0;
+    if (row && overlap > Math.min(row.y1 - row.y0, line.y1 - line.y0) * 0.5) {
+      row.items.push(line);
+      row.y0 = Math.min(row.y0, line.y0);
+      row.y1 = Math.max(row.y1, line.y1);
+    } else {
+      rows.push({ y0: line.y0, y1: line.y1, items: [line] });
+    }
+  }
+
+  const output = [];
+  let chars = 0;
+  let weighted = 0;
+  let previous = null;
+  for (const row of rows) {
+    const height = row.y1 - row.y0;
+    if (previous && row.y0 - previous.y1 > height * 1.5) {
+      output.push('');
+    }
+    let text = '';
+    let lastEnd = null;
+    for (const item of row.items.sort((a, b) => a.x0 - b.x0)) {
+      if (lastEnd != null) {
+        text += item.x0 - lastEnd > height * 2 ? '\t' : ' ';
+      }
+      text += item.text;
+      lastEnd = item.x1;
+      chars += item.text.length;
+      weighted += item.text.length * item.confidence;
+    }
+    output.push(text);
+    previous = row;
+  }
+  return { text: output.join('\n'), confidence: chars > 0 ? weighted / chars : 0 };
+}
+
+class OCRService {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.resourcesPath] - 模型目录
+   */
+  constructor({ resourcesPath } = {}) {
+    this.resourcesPath = resourcesPath || path.join(__dirname, 'onnx', 'ocr', 'resources');
+    this.detModelPath = path.join(this.resourcesPath, 'det.onnx');
+    this.recModelPath = path.join(this.resourcesPath, 'rec.onnx');
+    this.dictionaryPath = path.join(this.resourcesPath, 'ppocr_keys.txt');
+    this.enabled = process.env.USE_LOCAL_OCR !== 'false';
+    // 检测模型输入最长边，越大越准确但越慢
+    this.maxSide = parseInt(process.env.OCR_MAX_SIDE || '960', 10);
+    // 低于该置信度的文本行直接丢弃
+    this.minConfidence = parseFloat(process.env.OCR_MIN_CONFIDENCE || '0.5');
+    this.detSession = null;
+    this.recSession = null;
+    this.dictionary = null;
+    this.initialized = false;
+    this.initPromise = null;
+  }
+
+  /**
+   * OCR 是否可用：未被禁用且模型文件齐全
+   * @returns {boolean}
+   */
+  isAvailable() {
+    if (!this.enabled) {
+      return false;
+    }
+    if (this.available === undefined) {
+      this.available = [this.detModelPath, this.recModelPath, this.dictionaryPath].every((file) =>
+        fs.existsSync(file),
+      );
+      if (!this.available) {
+        logger.warn(`[OCRService] 未找到 OCR 模型文件（${this.resourcesPath}），扫描件将无法识别`);
+      }
+    }
+    return this.available;
+  }
+
+  async initialize() {
+    if (this.initialized) {
+      return;
+    }
+    if (!this.initPromise) {
+      this.initPromise = this._doInitialize().catch((error) => {
+        this.initPromise = null;
+        throw error;
+      });
+    }
+    await this.initPromise;
+  }
+
+  async _doInitialize() {
+    if (!this.isAvailable()) {
+      throw new Error(`OCR 模型文件不存在: ${this.resourcesPath}`);
+    }
+
+    let ort;
+    try {
+      // onnxruntime-node 随 @xenova/transformers 一同安装
+      ort = require('onnxruntime-node');
+    } catch (error) {
+      throw new Error(`加载 onnxruntime-node 失败: ${error.message}`);
+    }
+
+    const sessionOptions = {
+      executionProviders: ['cpu'],
+      intraOpNumThreads: parseInt(process.env.OCR_NUM_THREADS || '1', 10),
+    };
+    this.ort = ort;
+    this.detSession = await ort.InferenceSession.create(this.detModelPath, sessionOptions);
+    this.recSession = await ort.InferenceSession.create(this.recModelPath, sessionOptions);
+    this.dictionary = fs
+      .readFileSync(this.dictionaryPath, 'utf8')
+      .replace(/\r?\n$/, '')
+      .split(/\r?\n/);
+    this.initialized = true;
+    logger.info(`[OCRService] OCR 模型加载完成，字典大小: ${this.dictionary.length}`);
+  }
+
+  /**
+   * 识别图片中的文字
+   * @param {Object} image - pdf.js 解码出的图片 { width, height, kind, data }
+   * @returns {Promise<{ text: string, confidence: number, lines: Array }>}
+   */
+  async recognize(image) {
+    if (!this.initialized) {
+      await this.initialize();
+    }
+
+    const rgb = toRGB(image);
+    const boxes = await this.detect(rgb);
+    const lines = [];
+    for (const box of boxes) {
+      const result = await this.recognizeBox(rgb, box);
+      if (result.text && result.confidence >= this.minConfidence) {
+        lines.push({ ...box, ...result });
+      }
+    }
+    const { text, confidence } = groupLines(lines);
+    return { text, confidence, lines };
+  }
+
+  /**
+   * 文本检测：返回原图坐标系下的文本框
+   */
+  async detect(rgb) {
+    const sharp = require('sharp');
+    const scale = Math.min(1, this.maxSide / Math.max(rgb.width, rgb.height));
+    const width = Math.max(32, Math.round((rgb.width * scale) / 32) * 32);
+    const height = Math.max(32, Math.round((rgb.height * scale) / 32) * 32);
+
+    const resized = await sharp(rgb.data, {
+      raw: { width: rgb.width, height: rgb.height, channels: 3 },
+    })
+      .resize(width, height, { fit: 'fill' })
+      .raw()
+      .toBuffer();
+
+    const plane = width * height;
+    const input = new Float32Array(plane * 3);
+    for (let i = 0; i < plane; i++) {
+      for (let c = 0; c < 3; c++) {
+        // RGB -> BGR
+        input[c * plane + i] = (resized[i * 3 + (2 - c)] / 255 - DET_MEAN[c]) / DET_STD[c];
+      }
+    }
+
+    const tensor = new this.ort.Tensor('float32', input, [1, 3, height, width]);
+    const outputs = await this.detSession.run({ [this.detSession.inputNames[0]]: tensor });
+    const probMap = outputs[this.detSession.outputNames[0]].data;
+
+    const scaleX = rgb.width / width;
+    const scaleY = rgb.height / height;
+    return findTextBoxes(probMap, width, height).map((box) => ({
+      x0: Math.floor(box.x0 * scaleX),
+      y0: Math.floor(box.y0 * scaleY),
+      x1: Math.min(rgb.width, Math.ceil(box.x1 * scaleX)),
+      y1: Math.min(rgb.height, Math.ceil(box.y1 * scaleY)),
+    }));
+  }
+
+  /**
+   * 文本识别：裁剪文本框并缩放到识别模型输入高度
+   */
+  async recognizeBox(rgb, box) {
+    const sharp = require('sharp');
+    const boxWidth = box.x1 - box.x0;
+    const boxHeight = box.y1 - box.y0;
+    if (boxWidth < 2 || boxHeight < 2) {
+      return { text: '', confidence: 0 };
+    }
+    const width = Math.min(
+      REC_MAX_WIDTH,
+      Math.max(8, Math.ceil((REC_HEIGHT * boxWidth) / boxHeight)),
+    );
+
+    const crop = await sharp(rgb.data, {
+      raw: { width: rgb.width, height: rgb.height, channels: 3 },
+    })
+      .extract({ left: box.x0, top: box.y0, width: boxWidth, height: boxHeight })
+      .resize(width, REC_HEIGHT, { fit: 'fill' })
+      .raw()
+      .toBuffer();
+
+    const plane = width * REC_HEIGHT;
+    const input = new Float32Array(plane * 3);
+    for (let i = 0; i < plane; i++) {
+      for (let c = 0; c < 3; c++) {
+        input[c * plane + i] = (crop[i * 3 + (2 - c)] / 255 - 0.5) / 0.5;
+      }
+    }
+
+    const tensor = new this.ort.Tensor('float32', input, [1, 3, REC_HEIGHT, width]);
+    const outputs = await this.recSession.run({ [this.recSession.inputNames[0]]: tensor });
+    const output = outputs[this.recSession.outputNames[0]];
+    const [, steps, classes] = output.dims;
+    return ctcDecode(output.data, steps, classes, this.dictionary);
+  }
+}
+
+module.exports = OCRService;
+module.exports.toRGB = toRGB;
+module.exports.findTextBoxes = findTextBoxes;
+module.exports.ctcDecode = ctcDecode;
+module.exports.groupLines = groupLines;
@@ -0,0 +1,142 @@
+jest.mock('@aipyq/data-schemas', () => ({
+  logger: {
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn(),
+  },
+}));
+
+const OCRService = require('./OCRService');
+const { BlockType } = require('./StructuredChunker');
+const { classifyPage, mergeOCRBlocks } = require('./PDFParseService');
+const { ctcDecode, findTextBoxes, groupLines, toRGB } = OCRService;
+
+/** 构造 steps * classes 的概率矩阵，每个时间步在指定类别上取 score */
+const makeProbs = (indices, classes, score = 0.9) => {
+  const probs = new Float32Array(indices.length * classes).fill((1 - score) / (classes - 1));
+  indices.forEach((index, t) => {
+    probs[t * classes + index] = score;
+  });
+  return probs;
+};
+
+describe('OCR helpers', () => {
+  it('decodes CTC output by dropping blanks and repeats', () => {
+    const dictionary = ['销', '售', '额'];
+    const probs = makeProbs([0, 1, 1, 0, 2, 0, 2, 3, 4], 5);
+
+    expect(ctcDecode(probs, 9, 5, dictionary)).toEqual({
+      text: '销售售额',
+      confidence: expect.closeTo(0.9, 5),
+    });
+  });
+
+  it('extracts and unclips connected text regions above the box threshold', () => {
+    const width = 20;
+    const height = 10;
+    const probMap = new Float32Array(width * height);
+    for (let y = 2; y < 6; y++) {
+      for (let x = 2; x < 12; x++) {
+        probMap[y * width + x] = 0.9;
+      }
+    }
+    // 平均概率不足的噪点区域被过滤
+    for (let y = 7; y < 10; y++) {
+      for (let x = 15; x < 19; x++) {
+        probMap[y * width + x] = 0.4;
+      }
+    }
+
+    const boxes = findTextBoxes(probMap, width, height);
+    expect(boxes).toHaveLength(1);
+    // 10x4 区域外扩 10*4*1.5/(2*14) ≈ 2.14
+    expect(boxes[0]).toMatchObject({ x0: 0, y0: 0, score: expect.closeTo(0.9, 5) });
+    expect(boxes[0].x1).toBeCloseTo(14.142857, 5);
+    expect(boxes[0].y1).toBeCloseTo(8.142857, 5);
+  });
+
+  it('orders boxes into lines and separates distant columns with tabs', () => {
+    const result = groupLines([
+      { x0: 300, y0: 0, x1: 340, y1: 20, text: '100', confidence: 0.8 },
+      { x0: 0, y0: 2, x1: 40, y1: 22, text: '差旅', confidence: 1 },
+      { x0: 0, y0: 100, x1: 80, y1: 120, text: '备注', confidence: 0.5 },
+    ]);
+
+    expect(result.text).toBe('差旅\t100\n\n备注');
+    expect(result.confidence).toBeCloseTo((2 * 1 + 3 * 0.8 + 2 * 0.5) / 7, 5);
+  });
+
+  it('expands 1-bit and RGBA images to RGB', () => {
+    expect([...toRGB({ width: 2, height: 1, kind: 1, data: new Uint8Array([0x80]) }).data]).toEqual(
+      [255, 255, 255, 0, 0, 0],
+    );
+    expect([
+      ...toRGB({ width: 1, height: 1, kind: 3, data: new Uint8Array([1, 2, 3, 4]) }).data,
+    ]).toEqual([1, 2, 3]);
+  });
+});
+
+describe('OCRService.recognize', () => {
+  it('detects text boxes, recognizes each crop and returns the merged text', async () => {
+    const service = new OCRService({ resourcesPath: '/nonexistent' });
+    service.initialized = true;
+    service.dictionary = ['你', '好'];
+    service.ort = {
+      Tensor: class {
+        constructor(type, data, dims) {
+          Object.assign(this, { type, data, dims });
+        }
+      },
+    };
+    service.detSession = {
+      inputNames: ['x'],
+      outputNames: ['prob'],
+      run: jest.fn(async ({ x }) => {
+        const [, , height, width] = x.dims;
+        const data = new Float32Array(width * height);
+        for (let y = 8; y < 16; y++) {
+          for (let col = 8; col < 40; col++) {
+            data[y * width + col] = 0.95;
+          }
+        }
+        return { prob: { data, dims: [1, 1, height, width] } };
+      }),
+    };
+    service.recSession = {
+      inputNames: ['x'],
+      outputNames: ['probs'],
+      run: jest.fn(async ({ x }) => {
+        expect(x.dims.slice(0, 3)).toEqual([1, 3, 48]);
+        return { probs: { data: makeProbs([1, 0, 2], 4, 0.8), dims: [1, 3, 4] } };
+      }),
+    };
+
+    const image = { width: 64, height: 32, kind: 2, data: new Uint8Array(64 * 32 * 3).fill(255) };
+    const result = await service.recognize(image);
+
+    expect(service.recSession.run).toHaveBeenCalledTimes(1);
+    expect(result.text).toBe('你好');
+    expect(result.confidence).toBeCloseTo(0.8, 5);
+  });
+});
+
+describe('PDF page OCR merging', () => {
+  it('classifies pages by extractable text and image coverage', () => {
+    expect(classifyPage({ letters: 500, coverage: 0 })).toBe('text');
+    expect(classifyPage({ letters: 10, coverage: 0.9 })).toBe('image');
+    expect(classifyPage({ letters: 500, coverage: 0.5 })).toBe('hybrid');
+    expect(classifyPage({ letters: 500, coverage: 0.1 })).toBe('text');
+  });
+
+  it('only adds OCR paragraphs that are missing from the extracted text on hybrid pages', () => {
+    const blocks = [{ type: BlockType.PARAGRAPH, text: '图 1 销售 趋势', page: 1 }];
+    const ocrBlocks = [
+      { type: BlockType.PARAGRAPH, text: '图1 销售趋势', page: 1, ocrConfidence: 0.9 },
+      { type: BlockType.PARAGRAPH, text: '华东 120 万', page: 1, ocrConfidence: 0.7 },
+    ];
+
+    expect(mergeOCRBlocks(blocks, ocrBlocks, 'hybrid')).toEqual([blocks[0], ocrBlocks[1]]);
+    expect(mergeOCRBlocks(blocks, ocrBlocks, 'image')).toHaveLength(3);
+  });
+});
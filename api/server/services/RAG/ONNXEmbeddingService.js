@@ -17,6 +17,9 @@ class ONNXEmbeddingService {
     this.initialized = false;
     this.initializing = false; // 添加初始化锁，防止并发初始化
     this.initPromise = null; // 保存初始化 Promise，供并发调用共享
+    // 批量推理参数：每批最多文本数，以及每批 padding 后的最大总字符数（控制内存峰值）
+    this.batchSize = parseInt(process.env.ONNX_EMBEDDING_BATCH_SIZE || '16', 10);
+    this.maxBatchChars = parseInt(process.env.ONNX_EMBEDDING_BATCH_MAX_CHARS || '16384', 10);
   }
 
   /**
@@ -293,17 +296,99 @@ class ONNXEmbeddingService {
     }
   }
 
+  /**
+   * 按长度分组，生成批次
+   * 同一批次内的文本会被 padding 到最长文本的长度，按长度排序后分组可减少无效的 padding 计算；
+   * 同时限制每批的 padding 后总长度，避免长文本批次占用过多内存
+   * @param {string[]} texts - 文本数组
+   * @param {Object} [options]
+   * @param {number} [options.batchSize] - 每批最多文本数
+   * @param {number} [options.maxBatchChars] - 每批 padding 后的最大总字符数
+   * @returns {number[][]} 每个批次包含的原始下标
+   */
+  planBatches(texts, { batchSize = this.batchSize, maxBatchChars = this.maxBatchChars } = {}) {
+    const order = texts
+      .map((text, index) => ({ index, length: text.length }))
+      .sort((a, b) => b.length - a.length);
+
+    const batches = [];
+    let current = [];
+    let longest = 0;
+    for (const item of order) {
+      const paddedLength = Math.max(longest, item.length) * (current.length + 1);
+      if (current.length > 0 && (current.length >= batchSize || paddedLength > maxBatchChars)) {
+        batches.push(current);
+        current = [];
+        longest = 0;
+      }
+      current.push(item.index);
+      longest = Math.max(longest, item.length);
+    }
+    if (current.length > 0) {
+      batches.push(current);
+    }
+    return batches;
+  }
+
   /**
    * 批量向量化文本
+   * 每个批次只执行一次 ONNX 推理，结果按输入顺序返回；任一批次失败则整体抛出错误，
+   * 由调用方决定是否整体回退，避免同一批文本混用不同模型的向量
    * @param {string[]} texts - 要向量化的文本数组
+   * @param {Object} [options]
+   * @param {number} [options.batchSize] - 每批最多文本数（默认 ONNX_EMBEDDING_BATCH_SIZE 或 16）
    * @returns {Promise<number[][]>} 向量嵌入数组的数组
    */
-  async embedTexts(texts) {
-    const results = [];
-    for (const text of texts) {
-      const embedding = await this.embedText(text);
-      results.push(embedding);
+  async embedTexts(texts, options = {}) {
+    if (!this.initialized) {
+      await this.initialize();
+    }
+
+    const results = new Array(texts.length);
+    const batches = this.planBatches(texts, options);
+
+    for (const batch of batches) {
+      let output = null;
+      try {
+        output = await this.pipeline(
+          batch.map((index) => texts[index]),
+          {
+            pooling: 'mean', // mean pooling 会根据 attention mask 忽略 padding
+            normalize: true,
+          },
+        );
+
+        if (!output || !output.data || !Array.isArray(output.dims)) {
+          throw new Error('Unexpected output format from embedding model');
+        }
+        const dimension = output.dims[output.dims.length - 1];
+        if (output.data.length !== dimension * batch.length) {
+          throw new Error(
+            `Unexpected batch output size: ${output.data.length} for ${batch.length} texts`,
+          );
+        }
+
+        batch.forEach((index, row) => {
+          results[index] = Array.from(output.data.subarray(row * dimension, (row + 1) * dimension));
+        });
+      } catch (error) {
+        logger.error('[ONNXEmbeddingService] Error embedding batch:', error);
+        throw new Error(`ONNX batch embedding failed: ${error.message}`);
+      } finally {
+        if (output && typeof output.dispose === 'function') {
+          output.dispose();
+        }
+        output = null;
+      }
+
+      if (global.gc) {
+        global.gc();
+      }
     }
+
+    logger.debug(
+      `[ONNXEmbeddingService] Generated ${texts.length} embeddings in ${batches.length} batches`,
+    );
     return results;
   }
 }
@@ -0,0 +1,158 @@
+/**
+ * Office Open XML（xlsx/pptx）读取工具
+ * OOXML 文件是 zip 包，内容为 XML 部件，部件之间通过 _rels 关系文件关联；
+ * 这里只做离线解析需要的最小功能：读取 zip 条目、解析 XML、解析关系目标路径
+ */
+const path = require('path');
+const yauzl = require('yauzl');
+const { parseDocument, DomUtils } = require('htmlparser2');
+
+/** zip 文件头（PK\x03\x04） */
+const ZIP_SIGNATURE = Buffer.from([0x50, 0x4b, 0x03, 0x04]);
+
+/**
+ * 判断 Buffer 是否为 zip 包
+ * @param {Buffer} buffer
+ * @returns {boolean}
+ */
+function isZipBuffer(buffer) {
+  return Buffer.isBuffer(buffer) && buffer.subarray(0, 4).equals(ZIP_SIGNATURE);
+}
+
+function openZip(pathOrBuffer) {
+  return new Promise((resolve, reject) => {
+    const callback = (error, zipfile) => (error ? reject(error) : resolve(zipfile));
+    if (Buffer.isBuffer(pathOrBuffer)) {
+      yauzl.fromBuffer(pathOrBuffer, { lazyEntries: true }, callback);
+    } else {
+      yauzl.open(pathOrBuffer, { lazyEntries: true }, callback);
+    }
+  });
+}
+
+function readEntry(zipfile, entry) {
+  return new Promise((resolve, reject) => {
+    zipfile.openReadStream(entry, (error, stream) => {
+      if (error) {
+        reject(error);
+        return;
+      }
+      const buffers = [];
+      stream.on('data', (data) => buffers.push(data));
+      stream.on('end', () => resolve(Buffer.concat(buffers).toString('utf8')));
+      stream.on('error', reject);
+    });
+  });
+}
+
+/**
+ * 读取 zip 包中的 XML 部件
+ * @param {string|Buffer} pathOrBuffer - 文件路径或Buffer
+ * @param {(name: string) => boolean} [filter] - 只读取返回 true 的条目（默认读取全部 .xml/.rels）
+ * @returns {Promise<Map<string, string>>} 条目路径 -> 文本内容
+ */
+async function readZipEntries(pathOrBuffer, filter = (name) => /\.(xml|rels)$/.test(name)) {
+  const zipfile = await openZip(pathOrBuffer);
+  const entries = new Map();
+  try {
+    await new Promise((resolve, reject) => {
+      zipfile.on('entry', (entry) => {
+        if (/\/$/.test(entry.fileName) || !filter(entry.fileName)) {
+          zipfile.readEntry();
+          return;
+        }
+        readEntry(zipfile, entry)
+          .then((content) => {
+            entries.set(entry.fileName, content);
+            zipfile.readEntry();
+          })
+          .catch(reject);
+      });
+      zipfile.on('end', resolve);
+      zipfile.on('error', reject);
+      zipfile.readEntry();
+    });
+  } finally {
+    zipfile.close();
+  }
+  return entries;
+}
+
+/**
+ * 解析 XML 文本
+ * @param {string} [xml]
+ * @returns {Object|null} DOM 文档；内容为空时返回 null
+ */
+function parseXml(xml) {
+  if (!xml) {
+    return null;
+  }
+  return parseDocument(xml, { xmlMode: true, decodeEntities: true });
+}
+
+/**
+ * 查找所有指定标签的元素（按文档顺序）
+ * @param {Object|Object[]} nodes - 起始节点
+ * @param {string} name - 带命名空间前缀的标签名，如 a:t
+ * @returns {Object[]}
+ */
+function findElements(nodes, name) {
+  return DomUtils.getElementsByTagName(name, nodes, true);
+}
+
+/**
+ * 查找直接子元素
+ * @param {Object} node
+ * @param {string} name
+ * @returns {Object[]}
+ */
+function childElements(node, name) {
+  return (node?.children || []).filter((child) => child.type === 'tag' && child.name === name);
+}
+
+/**
+ * 获取元素内所有文本
+ * @param {Object} node
+ * @returns {string}
+ */
+function textContent(node) {
+  return node ? DomUtils.textContent(node) : '';
+}
+
+/**
+ * 读取部件的关系文件，返回关系ID -> { type, target }
+ * target 已解析为包内的绝对路径（不含开头的 /）
+ * @param {Map<string, string>} entries - readZipEntries 的结果
+ * @param {string} partName - 部件路径，如 ppt/slides/slide1.xml
+ * @returns {Map<string, { type: string, target: string }>}
+ */
+function readRelationships(entries, partName) {
+  const dir = path.posix.dirname(partName);
+  const relsName = path.posix.join(dir, '_rels', `${path.posix.basename(partName)}.rels`);
+  const relationships = new Map();
+  const document = parseXml(entries.get(relsName));
+  if (!document) {
+    return relationships;
+  }
+  for (const element of findElements(document, 'Relationship')) {
+    const { Id, Type = '', Target = '', TargetMode } = element.attribs;
+    if (TargetMode === 'External') {
+      continue;
+    }
+    const target = Target.startsWith('/')
+      ? Target.slice(1)
+      : path.posix.normalize(path.posix.join(dir, Target));
+    relationships.set(Id, { type: Type, target });
+  }
+  return relationships;
+}
+
+module.exports = {
+  isZipBuffer,
+  readZipEntries,
+  parseXml,
+  findElements,
+  childElements,
+  textContent,
+  readRelationships,
+};
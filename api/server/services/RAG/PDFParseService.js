@@ -1,90 +1,270 @@
 const fs = require("fs");
 const { logger } = require("@aipyq/data-schemas");
+const StructuredChunker = require("./StructuredChunker");
+const OCRService = require("./OCRService");
+const { BlockType, detectHeading, parseTextBlocks } = StructuredChunker;
+
+/** pdf-parse 内置的 pdf.js 版本（与 pdf-parse 默认版本一致） */
+const PDFJS_BUILD = "pdf-parse/lib/pdf.js/v1.10.100/build/pdf.js";
+/** 同一行内两段文字的间距超过字号的该倍数时，视为表格的不同列 */
+const COLUMN_GAP_RATIO = 2;
+/** 行字号超过正文字号的该倍数时视为标题 */
+const HEADING_SIZE_RATIO = 1.15;
+/** 页码、页眉等需要丢弃的整行 */
+const PAGE_NUMBER_LINE = /^(第\s*\d+\s*页|page\s+\d+(\s*(of|\/)\s*\d+)?|-?\s*\d+\s*-?)$/i;
+/** 页面中可提取文字少于该数量且含有图片时，视为扫描页 */
+const IMAGE_PAGE_MAX_LETTERS = 50;
+/** 图片覆盖页面面积超过该比例时，视为图文混排页 */
+const HYBRID_MIN_COVERAGE = 0.3;
+/** 覆盖面积小于该比例的图片（图标、logo 等）不做 OCR */
+const MIN_IMAGE_COVERAGE = 0.05;
 
 /**
- * 通用文本分块工具
+ * 将 pdf.js 文本项按基线合并为行，并按列间距拆分单元格
+ * @param {Array} items - getTextContent() 返回的文本项
+ * @returns {Array<{ y: number, size: number, text: string, cells: string[] }>}
  */
-class TextChunker {
-  /**
-   * 安全的文本分块方法
-   * @param {string} text - 要分块的文本
-   * @param {number} chunkSize - 块大小
-   * @param {number} chunkOverlap - 重叠大小
-   * @param {number} maxChunks - 最大分块数
-   * @returns {Array<{start: number, end: number, text: string}>} 分块结果
-   */
-  static chunk(text, chunkSize = 1000, chunkOverlap = 150, maxChunks = 500) {
-    if (!text || text.length === 0) {
-      return [];
+function buildLines(items) {
+  const lines = [];
+  let current = null;
+
+  for (const item of items) {
+    if (!item.str || !item.str.trim()) {
+      continue;
     }
+    const [, , c, d, x, y] = item.transform;
+    const size = Math.round(Math.hypot(c, d) * 10) / 10 || item.height || 10;
+    if (!current || Math.abs(y - current.y) > Math.max(size, current.size) * 0.5) {
+      current = { y, size, items: [] };
+      lines.push(current);
+    }
+    current.items.push({ x, width: item.width || 0, str: item.str, size });
+    current.size = Math.max(current.size, size);
+  }
 
-    const textLength = text.length;
-    const effectiveStep = Math.max(1, chunkSize - chunkOverlap); // 确保至少前进1个字符
+  return lines.map((line) => {
+    const cells = [];
+    let lastEnd = null;
+    for (const item of line.items.sort((a, b) => a.x - b.x)) {
+      const gap = lastEnd == null ? 0 : item.x - lastEnd;
+      if (lastEnd == null || gap > item.size * COLUMN_GAP_RATIO) {
+        cells.push(item.str);
+      } else {
+        cells[cells.length - 1] += (gap > item.size * 0.1 ? " " : "") + item.str;
+      }
+      lastEnd = item.x + item.width;
+    }
+    const trimmed = cells.map((cell) => cell.trim());
+    return { y: line.y, size: line.size, text: trimmed.join(" "), cells: trimmed };
+  });
+}
 
-    // 预计算最大可能的分块数量
-    const estimatedChunks = Math.ceil(textLength / effectiveStep);
-    const safeMaxChunks = Math.min(estimatedChunks, maxChunks);
+/**
+ * 页内正文字号：按文字数量加权的众数
+ * @param {Array<{ size: number, text: string }>} lines
+ * @returns {number}
+ */
+function bodyFontSize(lines) {
+  const weights = new Map();
+  for (const line of lines) {
+    const size = Math.round(line.size * 2) / 2;
+    weights.set(size, (weights.get(size) || 0) + line.text.length);
+  }
+  let best = 0;
+  let bestWeight = -1;
+  for (const [size, weight] of weights) {
+    if (weight > bestWeight) {
+      best = size;
+      bestWeight = weight;
+    }
+  }
+  return best;
+}
 
-    const chunks = [];
+/**
+ * 根据版面信息识别一页中的文档块
+ * - 字号明显大于正文的短行为标题，层级按全文出现过的标题字号从大到小排列
+ * - 连续两行及以上、每行有多列的区域为表格
+ * - 行距明显变大处分段
+ * @param {Array} lines - buildLines 的结果
+ * @param {number} page - 页码
+ * @param {{ headingSizes: number[] }} state - 跨页共享的标题字号
+ * @returns {Array<Object>} 文档块
+ */
+function layoutBlocks(lines, page, state) {
+  const blocks = [];
+  const bodySize = bodyFontSize(lines);
+  let paragraph = [];
+  let tableRows = [];
+  let lastY = null;
+
+  const flushParagraph = () => {
+    if (paragraph.length > 0) {
+      blocks.push({ type: BlockType.PARAGRAPH, text: paragraph.join("\n"), page });
+      paragraph = [];
+    }
+  };
+  const flushTable = () => {
+    if (tableRows.length >= 2) {
+      blocks.push({ type: BlockType.TABLE, rows: tableRows, page });
+    } else if (tableRows.length === 1) {
+      paragraph.push(tableRows[0].join(" "));
+    }
+    tableRows = [];
+  };
 
-    for (let i = 0; i < safeMaxChunks; i++) {
-      const start = i * effectiveStep;
+  for (const line of lines) {
+    const text = line.text.trim();
+    if (!text || PAGE_NUMBER_LINE.test(text)) {
+      continue;
+    }
+    const gap = lastY == null ? 0 : Math.abs(lastY - line.y);
+    lastY = line.y;
 
-      // 边界检查
-      if (start >= textLength) {
-        break;
+    if (line.cells.length >= 2) {
+      if (tableRows.length === 0) {
+        flushParagraph();
       }
+      tableRows.push(line.cells);
+      continue;
+    }
+    flushTable();
 
-      let end = Math.min(start + chunkSize, textLength);
-
-      // 尝试在分隔符处断开（只在非最后一块时）
-      if (end < textLength) {
-        const adjustedEnd = TextChunker.findBreakPoint(text, start, end);
-        if (adjustedEnd > start) {
-          end = adjustedEnd;
+    let heading = null;
+    if (bodySize > 0 && line.size >= bodySize * HEADING_SIZE_RATIO) {
+      heading = detectHeading(text);
+      if (!heading && text.length <= 60 && !/[。；;，,：:！!？?]$/.test(text)) {
+        heading = { text };
+      }
+      if (heading) {
+        const size = Math.round(line.size * 2) / 2;
+        if (!state.headingSizes.includes(size)) {
+          state.headingSizes.push(size);
+          state.headingSizes.sort((a, b) => b - a);
         }
+        heading.level = state.headingSizes.indexOf(size) + 1;
       }
+    } else {
+      heading = detectHeading(text);
+    }
 
-      const chunkText = text.substring(start, end).trim();
-
-      if (chunkText.length > 0) {
-        chunks.push({
-          start,
-          end,
-          text: chunkText,
-        });
-      }
+    if (heading) {
+      flushParagraph();
+      blocks.push({ type: BlockType.HEADING, level: heading.level, text: heading.text, page });
+      continue;
     }
+    if (gap > line.size * 1.8) {
+      flushParagraph();
+    }
+    paragraph.push(text);
+  }
+  flushTable();
+  flushParagraph();
+  return blocks;
+}
+
+/**
+ * 统计文字中的字母与数字个数
+ * @param {string} text
+ * @returns {number}
+ */
+function countLetters(text) {
+  return (String(text || "").match(/[\p{L}\p{N}]/gu) || []).length;
+}
+
+/**
+ * 文档块的纯文本
+ */
+function blockText(block) {
+  return block.type === BlockType.TABLE
+    ? block.rows.map((row) => row.join(" ")).join("\n")
+    : block.text;
+}
 
-    return chunks;
+/**
+ * 判断页面类型
+ * @param {{ letters: number, coverage: number }} stats - 可提取文字数与图片覆盖比例
+ * @returns {"text"|"hybrid"|"image"}
+ */
+function classifyPage({ letters, coverage }) {
+  if (coverage < MIN_IMAGE_COVERAGE) {
+    return "text";
+  }
+  if (letters < IMAGE_PAGE_MAX_LETTERS) {
+    return "image";
   }
+  return coverage >= HYBRID_MIN_COVERAGE ? "hybrid" : "text";
+}
 
-  /**
-   * 查找合适的断点位置
-   * @param {string} text - 完整文本
-   * @param {number} start - 开始位置
-   * @param {number} end - 结束位置
-   * @returns {number} 调整后的结束位置
-   */
-  static findBreakPoint(text, start, end) {
-    const searchStart = start + Math.floor((end - start) * 0.5); // 从中间开始搜索
-    const separators = ["\n\n", "\n", "。", ". ", "！", "？", "；", "，", " "];
-
-    // 从 end 向 searchStart 查找分隔符
-    for (const sep of separators) {
-      const lastPos = text.lastIndexOf(sep, end - 1);
-      if (lastPos >= searchStart) {
-        return lastPos + sep.length;
-      }
+/**
+ * 收集页面中绘制的图片及其覆盖比例
+ * 根据绘制指令跟踪变换矩阵，图片绘制在单位正方形上，覆盖面积即变换矩阵的行列式
+ * @param {Object} page - pdf.js 页面
+ * @param {Object} pdfjs - pdf.js 模块
+ * @returns {Promise<Array<{ image: Object, coverage: number, top: number }>>} 按从上到下排序
+ */
+async function collectPageImages(page, pdfjs) {
+  const { OPS } = pdfjs;
+  const { Util } = pdfjs.PDFJS;
+  const operatorList = await page.getOperatorList();
+  const [x0, y0, x1, y1] = page.view;
+  const pageArea = Math.abs((x1 - x0) * (y1 - y0)) || 1;
+
+  const stack = [];
+  let ctm = [1, 0, 0, 1, 0, 0];
+  const pending = [];
+  operatorList.fnArray.forEach((fn, i) => {
+    const args = operatorList.argsArray[i];
+    if (fn === OPS.save) {
+      stack.push(ctm);
+    } else if (fn === OPS.restore) {
+      ctm = stack.pop() || ctm;
+    } else if (fn === OPS.transform) {
+      ctm = Util.transform(ctm, args);
+    } else if (fn === OPS.paintImageXObject || fn === OPS.paintInlineImageXObject) {
+      const coverage = Math.min(1, Math.abs(ctm[0] * ctm[3] - ctm[1] * ctm[2]) / pageArea);
+      const top = ctm[5] + Math.max(ctm[3], 0);
+      const image =
+        fn === OPS.paintInlineImageXObject
+          ? Promise.resolve(args[0])
+          : new Promise((resolve) => page.objs.get(args[0], resolve));
+      pending.push(image.then((data) => ({ image: data, coverage, top })));
     }
+  });
+
+  const images = await Promise.all(pending);
+  return images.filter((item) => item.image && item.image.data).sort((a, b) => b.top - a.top);
+}
 
-    return end; // 未找到分隔符，使用原始结束位置
+/**
+ * 合并页面的提取文本与 OCR 文本
+ * 扫描页直接追加 OCR 结果；图文混排页只追加提取文本中没有的 OCR 段落
+ * @param {Array<Object>} blocks - 提取文本的文档块
+ * @param {Array<Object>} ocrBlocks - OCR 文本的文档块
+ * @param {"hybrid"|"image"} pageType - 页面类型
+ * @returns {Array<Object>}
+ */
+function mergeOCRBlocks(blocks, ocrBlocks, pageType) {
+  if (pageType !== "hybrid") {
+    return [...blocks, ...ocrBlocks];
   }
+  const normalize = (text) => text.replace(/\s+/g, "");
+  const extracted = normalize(blocks.map(blockText).join(""));
+  return [
+    ...blocks,
+    ...ocrBlocks.filter((block) => !extracted.includes(normalize(blockText(block)))),
+  ];
 }
 
 class PDFParseService {
-  constructor() {
+  /**
+   * @param {Object} [options]
+   * @param {OCRService} [options.ocrService] - 扫描页使用的 OCR 服务
+   */
+  constructor({ ocrService } = {}) {
+    this.ocrService = ocrService || new OCRService();
     this.pdfParse = null;
+    this.pdfjs = null;
     this.PDFLoader = null;
     this.useLangChain = false;
     this.initialized = false;
@@ -98,9 +278,11 @@ class PDFParseService {
       return;
     }
 
-    // 优先使用 pdf-parse
+    // 优先使用 pdf-parse（逐页读取版面信息使用其内置的 pdf.js）
     try {
       this.pdfParse = require("pdf-parse");
+      this.pdfjs = require(PDFJS_BUILD);
+      this.pdfjs.disableWorker = true;
       this.useLangChain = false;
       this.initialized = true;
       logger.info("[PDFParseService] pdf-parse 作为主解析器");
@@ -138,35 +320,35 @@ class PDFParseService {
 
   /**
    * 检测PDF类型
+   * @param {{ letters: number, length: number }} stats - 全文字母数字个数与非空白字符数
    */
-  detectPDFType(text) {
-    if (!text) return "image";
-    const trimmed = text.trim();
-    if (!trimmed || trimmed.startsWith("%PDF")) return "image";
-    const letters = (trimmed.match(/[\p{L}\p{N}]/gu) || []).length;
-    if (letters < 200) return "image";
-    if (letters / trimmed.length < 0.1) return "hybrid";
+  detectPDFType({ letters, length }) {
+    if (!length || letters < 200) return "image";
+    if (letters / length < 0.1) return "hybrid";
     return "text";
   }
 
   /**
-   * 解析PDF文本
+   * 逐页读取PDF，产出每页的文档块
+   * @param {string|Buffer} pdfPathOrBuffer - PDF文件路径或Buffer
+   * @returns {AsyncGenerator<{ page: number, pages: number, blocks: Array, parseMethod: string }>}
    */
-  async parseTextPDF(pdfPathOrBuffer) {
+  async *readPages(pdfPathOrBuffer) {
     if (!this.initialized) {
       await this.initialize();
     }
 
     if (this.useLangChain && this.PDFLoader) {
-      return await this.parseWithLangChain(pdfPathOrBuffer);
+      yield* this.readPagesWithLangChain(pdfPathOrBuffer);
+      return;
     }
-    return await this.parseWithPdfParse(pdfPathOrBuffer);
+    yield* this.readPagesWithPdfjs(pdfPathOrBuffer);
   }
 
   /**
-   * 使用 LangChain PDFLoader 解析
+   * 使用 LangChain PDFLoader 解析（只有纯文本，按文本规则识别标题与表格，不支持 OCR）
    */
-  async parseWithLangChain(pdfPathOrBuffer) {
+  async *readPagesWithLangChain(pdfPathOrBuffer) {
     const path = require("path");
     const os = require("os");
     let pdfPath;
@@ -181,21 +363,22 @@ class PDFParseService {
     }
 
     try {
-      const loader = new this.PDFLoader(pdfPath);
+      const loader = new this.PDFLoader(pdfPath, { splitPages: true });
       const documents = await loader.load();
 
       if (!documents || documents.length === 0) {
         throw new Error("PDFLoader 返回空文档");
       }
 
-      const texts = documents.map((doc) => doc.pageContent || "");
-      const fullText = texts.join("\n\n");
-
-      return {
-        text: fullText,
-        pages: documents.length,
-        metadata: { parse_method: "langchain-pdfloader", pdf_type: "text" },
-      };
+      for (let i = 0; i < documents.length; i++) {
+        const page = documents[i].metadata?.loc?.pageNumber || i + 1;
+        yield {
+          page,
+          pages: documents.length,
+          blocks: [...parseTextBlocks(documents[i].pageContent || "", { page })],
+          parseMethod: "langchain-pdfloader",
+        };
+      }
     } finally {
       if (isTemp && fs.existsSync(pdfPath)) {
         try {
@@ -208,23 +391,93 @@ class PDFParseService {
   }
 
   /**
-   * 使用 pdf-parse 解析
+   * 使用 pdf.js 逐页解析，根据字号与坐标识别标题、段落与表格
+   * 扫描页与图文混排页在 OCR 可用时识别图片文字并合并
+   * 每页处理完即释放页面资源，内存占用与页数无关
    */
-  async parseWithPdfParse(pdfPathOrBuffer) {
-    let buffer;
-    if (Buffer.isBuffer(pdfPathOrBuffer)) {
-      buffer = pdfPathOrBuffer;
-    } else {
-      buffer = fs.readFileSync(pdfPathOrBuffer);
+  async *readPagesWithPdfjs(pdfPathOrBuffer) {
+    const buffer = Buffer.isBuffer(pdfPathOrBuffer)
+      ? pdfPathOrBuffer
+      : fs.readFileSync(pdfPathOrBuffer);
+
+    const useOCR = this.ocrService.isAvailable();
+    const doc = await this.pdfjs.getDocument({
+      data: new Uint8Array(buffer),
+      // OCR 需要原始像素，由 pdf.js 自行解码 JPEG
+      nativeImageDecoderSupport: useOCR ? "none" : "decode",
+    });
+    const state = { headingSizes: [] };
+    try {
+      for (let i = 1; i <= doc.numPages; i++) {
+        const page = await doc.getPage(i);
+        const content = await page.getTextContent({
+          normalizeWhitespace: false,
+          disableCombineTextItems: false,
+        });
+        let blocks = layoutBlocks(buildLines(content.items), i, state);
+        let ocr = null;
+        if (useOCR) {
+          ocr = await this.ocrPage(page, blocks, i);
+          if (ocr) {
+            blocks = mergeOCRBlocks(blocks, ocr.blocks, ocr.pageType);
+          }
+        }
+        page.cleanup();
+        yield { page: i, pages: doc.numPages, blocks, ocr, parseMethod: "pdf-parse" };
+      }
+    } finally {
+      doc.destroy();
     }
+  }
 
-    const data = await this.pdfParse(buffer);
+  /**
+   * 对扫描页、图文混排页中的图片做 OCR
+   * @param {Object} page - pdf.js 页面
+   * @param {Array<Object>} blocks - 页面提取文本的文档块
+   * @param {number} pageNumber - 页码
+   * @returns {Promise<{ pageType: string, blocks: Array<Object>, confidence: number }|null>}
+   *          不需要 OCR 或识别失败时返回 null
+   */
+  async ocrPage(page, blocks, pageNumber) {
+    try {
+      const letters = blocks.reduce((sum, block) => sum + countLetters(blockText(block)), 0);
+      const images = await collectPageImages(page, this.pdfjs);
+      const coverage = Math.min(
+        1,
+        images.reduce((sum, item) => sum + item.coverage, 0),
+      );
+      const pageType = classifyPage({ letters, coverage });
+      if (pageType === "text") {
+        return null;
+      }
 
-    return {
-      text: data.text || "",
-      pages: data.numpages || 1,
-      metadata: { parse_method: "pdf-parse", pdf_type: "text" },
-    };
+      const ocrBlocks = [];
+      let chars = 0;
+      let weighted = 0;
+      for (const { image, coverage: imageCoverage } of images) {
+        if (imageCoverage < MIN_IMAGE_COVERAGE) {
+          continue;
+        }
+        const result = await this.ocrService.recognize(image);
+        if (!result.text) {
+          continue;
+        }
+        chars += result.text.length;
+        weighted += result.text.length * result.confidence;
+        for (const block of parseTextBlocks(this.sanitizeText(result.text), { page: pageNumber })) {
+          ocrBlocks.push({ ...block, ocrConfidence: result.confidence });
+        }
+      }
+
+      const confidence = chars > 0 ? weighted / chars : 0;
+      logger.info(
+        `[PDFParseService] 第 ${pageNumber} 页 OCR 完成: 类型=${pageType}, 字符=${chars}, 置信度=${confidence.toFixed(3)}`,
+      );
+      return { pageType, blocks: ocrBlocks, confidence };
+    } catch (error) {
+      logger.warn(`[PDFParseService] 第 ${pageNumber} 页 OCR 失败: ${error.message}`);
+      return null;
+    }
   }
 
   /**
@@ -243,93 +496,141 @@ class PDFParseService {
   }
 
   /**
-   * 解析PDF文件（主入口）
+   * 清理文档块：段落做语义级清理，标题和表格单元格只移除危险字符
+   */
+  cleanBlock(block) {
+    if (block.type === BlockType.TABLE) {
+      return {
+        ...block,
+        rows: block.rows.map((row) => row.map((cell) => this.sanitizeText(cell))),
+      };
+    }
+    if (block.type === BlockType.HEADING) {
+      return { ...block, text: this.sanitizeText(block.text).trim() };
+    }
+    return { ...block, text: this.cleanText(this.sanitizeText(block.text)) };
+  }
+
+  /**
+   * 流式解析PDF：逐页解析并产出结构化分块，不截断大文档
+   * 生成器结束时返回 { pages, pdfType, parseMethod, ocrPages, chunks }
    *
    * @param {string|Buffer} pdfPathOrBuffer - PDF文件路径或Buffer
    * @param {Object} options - 解析选项
-   * @returns {Promise<Array<{text: string, metadata: Object}>>} 文本块数组
+   * @param {number} [options.chunkSize=1000] - 块大小
+   * @param {number} [options.chunkOverlap=150] - 块重叠
+   * @param {boolean} [options.includeSectionPath=true] - 块文本前是否加上章节路径
+   * @param {number} [options.maxChunks] - 最大分块数（默认 RAG_MAX_FILE_CHUNKS，0 为不限制），超过时报错
+   * @param {Object} [options.fileMetadata] - 写入每个块的文件元数据
+   * @returns {AsyncGenerator<{text: string, metadata: Object}>}
    */
-  async parsePDF(pdfPathOrBuffer, options = {}) {
-    if (!this.initialized) {
-      await this.initialize();
+  async *streamChunks(pdfPathOrBuffer, options = {}) {
+    const {
+      chunkSize = 1000,
+      chunkOverlap = 150,
+      includeSectionPath = true,
+      maxChunks = parseInt(process.env.RAG_MAX_FILE_CHUNKS || "0", 10),
+      fileMetadata = {},
+    } = options;
+
+    const chunker = new StructuredChunker({
+      chunkSize,
+      chunkOverlap,
+      includeSectionPath,
+    });
+    const stats = { letters: 0, length: 0 };
+    let ocrPages = 0;
+    let pages = 0;
+    let parseMethod = null;
+    let count = 0;
+
+    const withMetadata = (chunk) => {
+      count++;
+      if (maxChunks > 0 && count > maxChunks) {
+        throw new Error(
+          `PDF分块数超过上限 ${maxChunks}（已解析到第 ${pages} 页），请拆分文件或调大 RAG_MAX_FILE_CHUNKS`,
+        );
+      }
+      return {
+        text: chunk.text,
+        metadata: {
+          ...fileMetadata,
+          ...chunk.metadata,
+          pages,
+          source: "pdf",
+          parse_method: parseMethod,
+        },
+      };
+    };
+
+    for await (const result of this.readPages(pdfPathOrBuffer)) {
+      pages = result.pages;
+      parseMethod = result.parseMethod;
+      if (result.ocr && result.ocr.blocks.length > 0) {
+        ocrPages++;
+      }
+      for (const rawBlock of result.blocks) {
+        const block = this.cleanBlock(rawBlock);
+        // PDF 类型按原始可提取文本判断，不计入 OCR 文本
+        if (block.ocrConfidence == null) {
+          const text = blockText(block);
+          stats.letters += countLetters(text);
+          stats.length += text.replace(/\s/g, "").length;
+        }
+        for (const chunk of chunker.push(block)) {
+          yield withMetadata(chunk);
+        }
+      }
+    }
+    for (const chunk of chunker.flush()) {
+      yield withMetadata(chunk);
     }
 
-    // 配置参数
-    const MAX_TEXT_SIZE = 5 * 1024 * 1024; // 5MB 文本上限
-    const MAX_CHUNKS = 300; // 最大分块数
-    const { chunkSize = 1000, chunkOverlap = 150, fileMetadata = {} } = options;
+    return {
+      pages,
+      pdfType: this.detectPDFType(stats),
+      parseMethod,
+      ocrPages,
+      chunks: count,
+    };
+  }
 
-    try {
-      // 1. 解析PDF
-      logger.info("[PDFParseService] 开始解析PDF文件");
-      const parseResult = await this.parseTextPDF(pdfPathOrBuffer);
+  /**
+   * 解析PDF文件（主入口）
+   *
+   * @param {string|Buffer} pdfPathOrBuffer - PDF文件路径或Buffer
+   * @param {Object} options - 解析选项，见 streamChunks
+   * @returns {Promise<Array<{text: string, metadata: Object}>>} 文本块数组
+   */
+  async parsePDF(pdfPathOrBuffer, options = {}) {
+    const { chunkSize = 1000, chunkOverlap = 150 } = options;
 
-      // 2. 记录原始大小
-      const rawSize = parseResult.text ? parseResult.text.length : 0;
+    try {
       logger.info(
-        `[PDFParseService] 原始文本大小: ${rawSize} 字符 (${(rawSize / 1024 / 1024).toFixed(2)} MB)`,
+        `[PDFParseService] 开始解析PDF文件: chunkSize=${chunkSize}, chunkOverlap=${chunkOverlap}`,
       );
+      const chunks = [];
+      const iterator = this.streamChunks(pdfPathOrBuffer, options);
+      let result = await iterator.next();
+      while (!result.done) {
+        chunks.push(result.value);
+        result = await iterator.next();
+      }
 
-      // 3. 截断过大的文本
-      let text = parseResult.text || "";
-      if (text.length > MAX_TEXT_SIZE) {
+      const { pages, pdfType, ocrPages } = result.value;
+      for (const chunk of chunks) {
+        chunk.metadata.pdf_type = pdfType;
+      }
+      logger.info(`[PDFParseService] PDF类型: ${pdfType}, OCR 页数: ${ocrPages}`);
+      if (pdfType !== "text" && ocrPages === 0) {
         logger.warn(
-          `[PDFParseService] 文本过大，截断到 ${MAX_TEXT_SIZE / 1024 / 1024} MB`,
+          "[PDFParseService] PDF几乎没有可提取的文本，可能是扫描件，且未能进行 OCR（检查 OCR 模型文件）",
         );
-        text = text.substring(0, MAX_TEXT_SIZE);
       }
 
-      // 4. 清理文本
-      logger.info("[PDFParseService] 清理文本");
-      text = this.sanitizeText(text);
-      text = this.cleanText(text);
-      logger.info(`[PDFParseService] 清理后文本大小: ${text.length} 字符`);
-
-      // 5. 检测类型
-      const pdfType = this.detectPDFType(text);
-      logger.info(`[PDFParseService] PDF类型: ${pdfType}`);
-
-      // 6. 使用安全的分块方法
       logger.info(
-        `[PDFParseService] 开始分块: chunkSize=${chunkSize}, chunkOverlap=${chunkOverlap}`,
+        `[PDFParseService] PDF解析完成: ${pages} 页, ${chunks.length} 个块`,
       );
-      const rawChunks = TextChunker.chunk(
-        text,
-        chunkSize,
-        chunkOverlap,
-        MAX_CHUNKS,
-      );
-
-      // 7. 构建最终结果
-      const chunks = [];
-      const totalPages = parseResult.pages || 1;
-      const textLength = text.length;
-
-      for (let i = 0; i < rawChunks.length; i++) {
-        const chunk = rawChunks[i];
-        const cleanedText = this.sanitizeText(chunk.text);
-
-        if (cleanedText.length > 0) {
-          const estimatedPage =
-            Math.floor(chunk.start / (textLength / totalPages)) + 1;
-
-          chunks.push({
-            text: cleanedText,
-            metadata: {
-              ...fileMetadata,
-              chunk_index: chunks.length,
-              page_start: estimatedPage,
-              page_end: estimatedPage,
-              pages: totalPages,
-              pdf_type: pdfType,
-              source: "pdf",
-              parse_method: parseResult.metadata.parse_method,
-            },
-          });
-        }
-      }
-
-      logger.info(`[PDFParseService] PDF解析完成: ${chunks.length} 个块`);
       return chunks;
     } catch (error) {
       logger.error("[PDFParseService] PDF解析失败:", error);
@@ -339,3 +640,7 @@ class PDFParseService {
 }
 
 module.exports = PDFParseService;
+module.exports.buildLines = buildLines;
+module.exports.layoutBlocks = layoutBlocks;
+module.exports.classifyPage = classifyPage;
+module.exports.mergeOCRBlocks = mergeOCRBlocks;
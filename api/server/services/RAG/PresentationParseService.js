@@ -0,0 +1,269 @@
+const fs = require('fs');
+const { logger } = require('@aipyq/data-schemas');
+const StructuredChunker = require('./StructuredChunker');
+const { BlockType, toMarkdownTable } = StructuredChunker;
+
+/** 标题占位符类型 */
+const TITLE_PLACEHOLDERS = new Set(['title', 'ctrTitle']);
+/** 关系类型后缀 */
+const RELATIONSHIP_SLIDE = '/slide';
+const RELATIONSHIP_NOTES = '/notesSlide';
+
+class PresentationParseService {
+  constructor() {
+    this.ooxml = null;
+    this.initialized = false;
+  }
+
+  /**
+   * 初始化 pptx 解析依赖（zip 与 XML 解析均为纯 JS，离线可用）
+   */
+  async initialize() {
+    if (this.initialized) {
+      return;
+    }
+
+    try {
+      this.ooxml = require('./OOXMLPackage');
+      this.initialized = true;
+    } catch {
+      throw new Error(
+        "演示文稿解析库未安装。请运行 'npm install yauzl htmlparser2' 来安装该依赖。",
+      );
+    }
+  }
+
+  /**
+   * 段落文本：拼接文本段，a:br 换行
+   */
+  paragraphText(paragraph) {
+    const { textContent } = this.ooxml;
+    const parts = [];
+    const walk = (node) => {
+      for (const child of node.children || []) {
+        if (child.type !== 'tag') {
+          continue;
+        }
+        if (child.name === 'a:t') {
+          parts.push(textContent(child));
+        } else if (child.name === 'a:br') {
+          parts.push('\n');
+        } else {
+          walk(child);
+        }
+      }
+    };
+    walk(paragraph);
+    return parts.join('').trim();
+  }
+
+  /**
+   * 提取幻灯片或备注页中的文本块
+   * 按文档顺序遍历形状，标题占位符单独返回；表格转为 Markdown 文本，与幻灯片正文放在同一块
+   * @param {Object} document - XML 文档
+   * @param {Object} [options]
+   * @param {(placeholderType?: string) => boolean} [options.includeShape] - 是否包含该占位符类型的形状
+   * @returns {{ title: string, blocks: Object[] }}
+   */
+  extractBlocks(document, { includeShape = () => true } = {}) {
+    const { findElements, childElements } = this.ooxml;
+    const titles = [];
+    const blocks = [];
+
+    const placeholderType = (shape) => {
+      const placeholder = findElements(shape, 'p:ph')[0];
+      return placeholder ? placeholder.attribs.type || 'body' : undefined;
+    };
+
+    const walk = (node, shapeType) => {
+      for (const child of node.children || []) {
+        if (child.type !== 'tag') {
+          continue;
+        }
+        if (child.name === 'p:sp') {
+          const type = placeholderType(child);
+          if (includeShape(type)) {
+            walk(child, type);
+          }
+        } else if (child.name === 'a:tbl') {
+          const rows = childElements(child, 'a:tr').map((row) =>
+            childElements(row, 'a:tc').map((cell) =>
+              findElements(cell, 'a:p')
+                .map((paragraph) => this.paragraphText(paragraph))
+                .filter(Boolean)
+                .join(' '),
+            ),
+          );
+          if (rows.length >= 2) {
+            blocks.push({ type: BlockType.PARAGRAPH, text: toMarkdownTable(rows) });
+          } else if (rows.length === 1) {
+            blocks.push({ type: BlockType.PARAGRAPH, text: rows[0].filter(Boolean).join(' ') });
+          }
+        } else if (child.name === 'a:p') {
+          const text = this.paragraphText(child);
+          if (!text) {
+            continue;
+          }
+          if (TITLE_PLACEHOLDERS.has(shapeType)) {
+            titles.push(text);
+          } else {
+            blocks.push({ type: BlockType.PARAGRAPH, text });
+          }
+        } else {
+          walk(child, shapeType);
+        }
+      }
+    };
+
+    if (document) {
+      walk(document);
+    }
+    return { title: titles.join(' ').replace(/\s+/g, ' ').trim(), blocks };
+  }
+
+  /**
+   * 按演示顺序读取幻灯片及其演讲者备注
+   * @param {string|Buffer} pathOrBuffer - 文件路径或Buffer
+   * @returns {Promise<Array<{ number: number, title: string, blocks: Object[], notes: string }>>}
+   */
+  async readSlides(pathOrBuffer) {
+    if (!this.initialized) {
+      await this.initialize();
+    }
+
+    const { readZipEntries, parseXml, findElements, readRelationships } = this.ooxml;
+    const buffer = Buffer.isBuffer(pathOrBuffer) ? pathOrBuffer : fs.readFileSync(pathOrBuffer);
+    const entries = await readZipEntries(buffer);
+    const presentation = parseXml(entries.get('ppt/presentation.xml'));
+    if (!presentation) {
+      throw new Error('无效的 pptx 文件：缺少 ppt/presentation.xml');
+    }
+
+    const relationships = readRelationships(entries, 'ppt/presentation.xml');
+    const slideParts = findElements(presentation, 'p:sldId')
+      .map((slide) => relationships.get(slide.attribs['r:id']))
+      .filter((relationship) => relationship?.type.endsWith(RELATIONSHIP_SLIDE))
+      .map((relationship) => relationship.target)
+      .filter((part) => entries.has(part));
+
+    return slideParts.map((part, index) => {
+      const slide = this.extractBlocks(parseXml(entries.get(part)));
+      const notesPart = [...readRelationships(entries, part).values()].find((relationship) =>
+        relationship.type.endsWith(RELATIONSHIP_NOTES),
+      )?.target;
+      // 备注页只取正文占位符，跳过幻灯片缩略图、页码、页眉页脚
+      const notes = notesPart
+        ? this.extractBlocks(parseXml(entries.get(notesPart)), {
+            includeShape: (type) => type === 'body',
+          })
+            .blocks.map((block) => block.text)
+            .filter(Boolean)
+            .join('\n')
+        : '';
+      return { number: index + 1, title: slide.title, blocks: slide.blocks, notes };
+    });
+  }
+
+  /**
+   * 流式分块演示文稿：每张幻灯片（含演讲者备注）单独成块，内容过长时在幻灯片内继续拆分
+   * 生成器结束时返回 { chunks }
+   *
+   * @param {string|Buffer} pathOrBuffer - pptx 文件路径或Buffer
+   * @param {Object} options - 解析选项
+   * @param {number} [options.chunkSize=1000] - 块大小
+   * @param {number} [options.chunkOverlap=150] - 同一幻灯片内拆分时的块重叠
+   * @param {boolean} [options.includeSectionPath=true] - 块文本前是否加上幻灯片标题
+   * @param {number} [options.maxChunks] - 最大分块数（默认 RAG_MAX_FILE_CHUNKS，0 为不限制），超过时报错
+   * @param {Object} [options.fileMetadata] - 写入每个块的文件元数据
+   * @returns {AsyncGenerator<{text: string, metadata: Object}>}
+   */
+  async *streamChunks(pathOrBuffer, options = {}) {
+    const {
+      chunkSize = 1000,
+      chunkOverlap = 150,
+      includeSectionPath = true,
+      maxChunks = parseInt(process.env.RAG_MAX_FILE_CHUNKS || '0', 10),
+      fileMetadata = {},
+    } = options;
+
+    const slides = await this.readSlides(pathOrBuffer);
+    logger.info(`[PresentationParseService] 幻灯片数量: ${slides.length}`);
+
+    const chunker = new StructuredChunker({ chunkSize, chunkOverlap, includeSectionPath });
+    let count = 0;
+
+    const withMetadata = (chunk, slide) => {
+      count++;
+      if (maxChunks > 0 && count > maxChunks) {
+        throw new Error(
+          `演示文稿分块数超过上限 ${maxChunks}，请拆分文件或调大 RAG_MAX_FILE_CHUNKS`,
+        );
+      }
+      return {
+        text: chunk.text,
+        metadata: {
+          ...fileMetadata,
+          ...chunk.metadata,
+          slide_number: slide.number,
+          slide_title: slide.title || null,
+          has_notes: Boolean(slide.notes),
+          source: 'presentation',
+        },
+      };
+    };
+
+    for (const slide of slides) {
+      const blocks = [...slide.blocks];
+      if (slide.notes) {
+        blocks.push({ type: BlockType.PARAGRAPH, text: `演讲者备注：\n${slide.notes}` });
+      }
+      if (blocks.length === 0 && !slide.title) {
+        continue;
+      }
+
+      const heading = slide.title
+        ? `幻灯片 ${slide.number}：${slide.title}`
+        : `幻灯片 ${slide.number}`;
+      for (const chunk of chunker.push({ type: BlockType.HEADING, level: 1, text: heading })) {
+        yield withMetadata(chunk, slide);
+      }
+      if (blocks.length === 0) {
+        blocks.push({ type: BlockType.PARAGRAPH, text: slide.title });
+      }
+      for (const block of blocks) {
+        for (const chunk of chunker.push({ ...block, page: slide.number })) {
+          yield withMetadata(chunk, slide);
+        }
+      }
+      for (const chunk of chunker.flush()) {
+        yield withMetadata(chunk, slide);
+      }
+    }
+
+    return { chunks: count };
+  }
+
+  /**
+   * 解析演示文稿（主入口）
+   *
+   * @param {string|Buffer} pathOrBuffer - pptx 文件路径或Buffer
+   * @param {Object} options - 解析选项，见 streamChunks
+   * @returns {Promise<Array<{text: string, metadata: Object}>>} 文本块数组
+   */
+  async parsePresentation(pathOrBuffer, options = {}) {
+    try {
+      const chunks = [];
+      for await (const chunk of this.streamChunks(pathOrBuffer, options)) {
+        chunks.push(chunk);
+      }
+
+      logger.info(`[PresentationParseService] 演示文稿解析完成: ${chunks.length} 个块`);
+      return chunks;
+    } catch (error) {
+      logger.error('[PresentationParseService] 演示文稿解析失败:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = PresentationParseService;
@@ -0,0 +1,132 @@
+jest.mock('@aipyq/data-schemas', () => ({
+  logger: {
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn(),
+  },
+}));
+
+const { createZip } = require('~/test/utils/zip');
+const PresentationParseService = require('./PresentationParseService');
+
+const REL = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+const NS = 'xmlns:a="a" xmlns:p="p" xmlns:r="r"';
+
+const shape = (placeholder, paragraphs) =>
+  '<p:sp><p:nvSpPr><p:nvPr>' +
+  (placeholder ? `<p:ph type="${placeholder}"/>` : '') +
+  '</p:nvPr></p:nvSpPr><p:txBody>' +
+  paragraphs.map((text) => `<a:p><a:r><a:t>${text}</a:t></a:r></a:p>`).join('') +
+  '</p:txBody></p:sp>';
+
+const slide = (...shapes) =>
+  `<p:sld ${NS}><p:cSld><p:spTree>${shapes.join('')}</p:spTree></p:cSld></p:sld>`;
+
+const table = (rows) =>
+  '<p:graphicFrame><a:graphic><a:graphicData><a:tbl>' +
+  rows
+    .map(
+      (cells) =>
+        `<a:tr>${cells.map((cell) => `<a:tc><a:txBody><a:p><a:r><a:t>${cell}</a:t></a:r></a:p></a:txBody></a:tc>`).join('')}</a:tr>`,
+    )
+    .join('') +
+  '</a:tbl></a:graphicData></a:graphic></p:graphicFrame>';
+
+const createDeck = () =>
+  createZip({
+    'ppt/presentation.xml': `<p:presentation ${NS}><p:sldIdLst><p:sldId id="257" r:id="rId3"/><p:sldId id="256" r:id="rId2"/></p:sldIdLst></p:presentation>`,
+    'ppt/_rels/presentation.xml.rels':
+      '<Relationships>' +
+      `<Relationship Id="rId2" Type="${REL}/slide" Target="slides/slide1.xml"/>` +
+      `<Relationship Id="rId3" Type="${REL}/slide" Target="slides/slide2.xml"/>` +
+      `<Relationship Id="rId9" Type="${REL}/slideMaster" Target="slideMasters/slideMaster1.xml"/>` +
+      '</Relationships>',
+    // 演示顺序中 slide2.xml 在前
+    'ppt/slides/slide2.xml': slide(
+      shape('ctrTitle', ['年度经营回顾']),
+      shape('subTitle', ['2026 财年']),
+    ),
+    'ppt/slides/slide1.xml': slide(
+      shape('title', ['区域业绩']),
+      shape(null, ['华东增长最快', '华南持平']),
+      table([
+        ['区域', '增长'],
+        ['华东', '18%'],
+      ]),
+    ),
+    'ppt/slides/_rels/slide1.xml.rels':
+      '<Relationships>' +
+      `<Relationship Id="rId1" Type="${REL}/slideLayout" Target="../slideLayouts/slideLayout2.xml"/>` +
+      `<Relationship Id="rId2" Type="${REL}/notesSlide" Target="../notesSlides/notesSlide1.xml"/>` +
+      '</Relationships>',
+    'ppt/notesSlides/notesSlide1.xml': slide(
+      shape('sldImg', []),
+      shape('body', ['强调华东渠道调整的效果']),
+      shape('sldNum', ['2']),
+    ),
+  });
+
+describe('PresentationParseService', () => {
+  it('chunks each slide in presentation order with speaker notes', async () => {
+    const service = new PresentationParseService();
+    const chunks = await service.parsePresentation(createDeck(), {
+      fileMetadata: { file_id: 'file-1' },
+    });
+
+    expect(chunks.map((chunk) => chunk.text)).toEqual([
+      '幻灯片 1：年度经营回顾\n2026 财年',
+      [
+        '幻灯片 2：区域业绩',
+        '华东增长最快',
+        '华南持平',
+        '| 区域 | 增长 |\n| --- | --- |\n| 华东 | 18% |',
+        '演讲者备注：\n强调华东渠道调整的效果',
+      ].join('\n'),
+    ]);
+    expect(chunks[0].metadata).toMatchObject({
+      file_id: 'file-1',
+      chunk_index: 0,
+      slide_number: 1,
+      slide_title: '年度经营回顾',
+      has_notes: false,
+      page_start: 1,
+      source: 'presentation',
+    });
+    expect(chunks[1].metadata).toMatchObject({
+      chunk_index: 1,
+      slide_number: 2,
+      has_notes: true,
+      section_title: '幻灯片 2：区域业绩',
+    });
+  });
+
+  it('splits long slides within the slide and falls back to the slide number', async () => {
+    const service = new PresentationParseService();
+    const deck = createZip({
+      'ppt/presentation.xml': `<p:presentation ${NS}><p:sldIdLst><p:sldId id="256" r:id="rId1"/></p:sldIdLst></p:presentation>`,
+      'ppt/_rels/presentation.xml.rels': `<Relationships><Relationship Id="rId1" Type="${REL}/slide" Target="/ppt/slides/slide1.xml"/></Relationships>`,
+      'ppt/slides/slide1.xml': slide(shape(null, ['无标题内容'.repeat(8), '第二段'.repeat(8)])),
+      'ppt/slides/_rels/slide1.xml.rels': `<Relationships><Relationship Id="rId1" Type="${REL}/notesSlide" Target="../notesSlides/notesSlide1.xml"/></Relationships>`,
+      'ppt/notesSlides/notesSlide1.xml': slide(shape('body', ['备注'])),
+    });
+
+    const chunks = await service.parsePresentation(deck, {
+      chunkSize: 50,
+      chunkOverlap: 0,
+      includeSectionPath: false,
+    });
+
+    expect(chunks.map((chunk) => chunk.text)).toEqual([
+      '无标题内容'.repeat(8),
+      `${'第二段'.repeat(8)}\n演讲者备注：\n备注`,
+    ]);
+    for (const chunk of chunks) {
+      expect(chunk.metadata).toMatchObject({
+        slide_number: 1,
+        slide_title: null,
+        section_title: '幻灯片 1',
+      });
+    }
+  });
+});
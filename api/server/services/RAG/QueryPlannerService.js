@@ -0,0 +1,419 @@
+const { logger } = require('@aipyq/data-schemas');
+const { cosineSimilarity, createEnvLLM, parseJSONObject } = require('~/server/utils/llm');
+const EmbeddingService = require('./EmbeddingService');
+
+/** 参与改写的最近历史消息条数 */
+const HISTORY_MESSAGES = parseInt(process.env.RAG_PLANNER_HISTORY_MESSAGES || '6', 10);
+/** 单条历史消息进入改写提示词时的最大长度 */
+const HISTORY_MESSAGE_MAX_LENGTH = 300;
+/** 除改写后的主查询外，最多生成的子查询数 */
+const MAX_SUB_QUERIES = parseInt(process.env.RAG_PLANNER_MAX_QUERIES || '3', 10);
+/** 检索规划 LLM 调用超时 */
+const PLANNER_TIMEOUT = parseInt(process.env.RAG_PLANNER_TIMEOUT || '8000', 10);
+/** 分类器判定为需要检索的最小分差（检索类得分 - 闲聊类得分） */
+const CLASSIFIER_MARGIN = parseFloat(process.env.RAG_PLANNER_CLASSIFIER_MARGIN || '0');
+/** 分类时每类取相似度最高的样本数 */
+const CLASSIFIER_TOP_K = 3;
+/** 同义词缓存时间 */
+const SYNONYM_CACHE_TTL = 60 * 1000;
+/** 不超过该长度的问题在有历史对话时视为追问，拼接上一轮问题 */
+const FOLLOW_UP_MAX_LENGTH = 12;
+/** 以指代、承接词开头的问题视为追问 */
+const FOLLOW_UP_PREFIX = /^(那|那么|还有|另外|同样|其中|它|他|她|这|该|此|上述|以上)/;
+
+/**
+ * 检索意图分类器的原型样本，按最近邻相似度判断问题更接近哪一类
+ * skip：闲聊、确认、与知识库无关的任务；retrieve：需要查询业务知识的问题
+ */
+const CLASSIFIER_EXAMPLES = {
+  skip: [
+    '你好',
+    '您好，在吗',
+    'hello',
+    '谢谢',
+    '感谢你的帮助',
+    '好的',
+    '收到，明白了',
+    '嗯嗯',
+    '再见',
+    '继续',
+    '开始吧',
+    '没有了',
+    '暂时没有其他问题',
+    '哈哈哈',
+    '你是谁',
+    '帮我把这段话润色一下',
+  ],
+  retrieve: [
+    '报销流程是什么',
+    '上个月的销售额是多少',
+    '年假怎么申请',
+    '合同审批需要哪些材料',
+    '华东区今年的业绩怎么样',
+    '这个指标的统计口径是什么',
+    '出差住宿标准是多少',
+    '产品的退货政策',
+    '采购由哪个部门负责',
+    '按月统计新增客户数量',
+    '订单表里的状态字段是什么意思',
+    '公司的考勤制度',
+  ],
+};
+
+const PLANNER_PROMPT = `你是知识库检索规划器。根据对话历史和用户的最新问题，判断是否需要检索企业知识库，并生成检索语句。
+规则：
+1. 闲聊、问候、致谢、确认，或不依赖企业知识的任务（如润色、翻译给定文本），retrieve 为 false。
+2. query 为改写后的独立问题：补全最新问题中省略或指代的主体、时间、指标等，使其脱离对话也能理解；不需要改写时原样返回。
+3. sub_queries 为从不同角度检索的补充语句（最多 {maxQueries} 条），问题简单时返回空数组。
+{hyde}只输出 JSON，不要输出其他内容：
+{"retrieve": true, "query": "...", "sub_queries": ["..."]{hydeField}}`;
+
+const HYDE_RULE =
+  '4. hypothetical_answer 为一段假设性的回答（100字以内），用于语义检索，内容可以不准确但应贴近知识库的表述方式。\n';
+
+/**
+ * 截取最近的历史消息，过滤空消息
+ * @param {Array<{ role: string, text: string }>} history - 按时间顺序的历史消息（不含最新问题）
+ * @returns {Array<{ role: string, text: string }>}
+ */
+function normalizeHistory(history = []) {
+  return history
+    .filter((message) => message && typeof message.text === 'string' && message.text.trim())
+    .slice(-HISTORY_MESSAGES)
+    .map((message) => ({
+      role: message.role === 'user' ? 'user' : 'assistant',
+      text: message.text.trim().slice(0, HISTORY_MESSAGE_MAX_LENGTH),
+    }));
+}
+
+/**
+ * 无 LLM 时的改写：追问拼接上一轮用户问题，补全省略的主体
+ * @param {string} query - 最新问题
+ * @param {Array<{ role: string, text: string }>} history - 历史消息
+ * @returns {string}
+ */
+function rewriteWithHistory(query, history = []) {
+  const previous = [...history].reverse().find((message) => message.role === 'user');
+  if (!previous) {
+    return query;
+  }
+  if (query.length > FOLLOW_UP_MAX_LENGTH && !FOLLOW_UP_PREFIX.test(query)) {
+    return query;
+  }
+  return `${previous.text} ${query}`;
+}
+
+/**
+ * 用同义词条目扩展查询：问题中出现某个词时，追加该组的其他说法
+ * @param {string} query - 查询
+ * @param {Array<{ noun: string, synonyms: string[] }>} synonymEntries - 同义词条目
+ * @returns {{ query: string, applied: Array<{ term: string, alternates: string[] }> }}
+ */
+function expandWithSynonyms(query, synonymEntries = []) {
+  const applied = [];
+  const additions = new Set();
+  const lowerQuery = query.toLowerCase();
+
+  for (const { noun, synonyms = [] } of synonymEntries) {
+    const terms = [noun, ...synonyms].filter((term) => typeof term === 'string' && term.trim());
+    const term = terms.find((candidate) => lowerQuery.includes(candidate.toLowerCase()));
+    if (!term) {
+      continue;
+    }
+    const alternates = terms.filter(
+      (candidate) => !lowerQuery.includes(candidate.toLowerCase()) && !additions.has(candidate),
+    );
+    if (alternates.length === 0) {
+      continue;
+    }
+    alternates.forEach((alternate) => additions.add(alternate));
+    applied.push({ term, alternates });
+  }
+
+  return {
+    query: additions.size > 0 ? `${query} ${[...additions].join(' ')}` : query,
+    applied,
+  };
+}
+
+/**
+ * 解析规划 LLM 的输出，容忍代码块包裹和前后多余文本
+ * @param {string} text - LLM 输出
+ * @returns {{ retrieve: boolean, query: string, subQueries: string[], hypotheticalAnswer?: string } | null}
+ */
+function parsePlannerResponse(text) {
+  const data = parseJSONObject(text);
+  if (typeof data?.retrieve !== 'boolean') {
+    return null;
+  }
+
+  const toText = (value) => (typeof value === 'string' ? value.trim() : '');
+  return {
+    retrieve: data.retrieve,
+    query: toText(data.query),
+    subQueries: Array.isArray(data.sub_queries) ? data.sub_queries.map(toText).filter(Boolean) : [],
+    hypotheticalAnswer: toText(data.hypothetical_answer) || undefined,
+  };
+}
+
+/** 取与查询最相似的 k 个样本的平均相似度 */
+const classScore = (embedding, examples) => {
+  const scores = examples.map((example) => cosineSimilarity(embedding, example)).sort((a, b) => b - a);
+  const top = scores.slice(0, CLASSIFIER_TOP_K);
+  return top.reduce((sum, score) => sum + score, 0) / top.length;
+};
+
+/**
+ * 根据环境变量（RAG_PLANNER_MODEL 等）创建规划用的 LLM，未配置时返回 null，使用本地规划
+ * @returns {{ model: string, complete: (messages: Object[]) => Promise<string> } | null}
+ */
+function createPlannerLLM() {
+  return createEnvLLM({ prefix: 'RAG_PLANNER', timeout: PLANNER_TIMEOUT, label: 'QueryPlanner' });
+}
+
+/**
+ * 对话检索规划服务
+ * 1. 结合最近的对话改写最新问题，使追问（如“那上个月呢？”）成为可独立检索的问题
+ * 2. 判断是否需要检索：配置了规划 LLM 时由 LLM 判断，否则使用基于向量相似度的意图分类器
+ * 3. 生成多条检索语句：改写后的主查询、LLM 子查询、同义词扩展查询、HyDE 假设性回答
+ * 规划 LLM 不可用或输出无法解析时回退到本地规划，不影响对话
+ */
+class QueryPlannerService {
+  /**
+   * @param {Object} [options]
+   * @param {EmbeddingService} [options.embeddingService] - 复用已有的向量化服务实例
+   * @param {{ complete: Function } | null} [options.llm] - 规划 LLM（默认按环境变量创建）
+   * @param {Object} [options.models] - 数据模型（测试时注入 KnowledgeEntry）
+   * @param {boolean} [options.useHyDE] - 是否生成 HyDE 假设性回答（需要规划 LLM）
+   */
+  constructor({ embeddingService, llm, models, useHyDE } = {}) {
+    this.embeddingService = embeddingService || new EmbeddingService();
+    this.llm = llm !== undefined ? llm : createPlannerLLM();
+    this.models = models;
+    this.useHyDE = useHyDE ?? process.env.RAG_PLANNER_HYDE === 'true';
+    this.classifierCache = null; // { modelId, skip: number[][], retrieve: number[][] }
+    this.synonymCache = new Map(); // userId 或 kb:知识库ID -> { expiresAt, entries }
+  }
+
+  getKnowledgeEntryModel() {
+    if (this.models?.KnowledgeEntry) {
+      return this.models.KnowledgeEntry;
+    }
+    const mongoose = require('mongoose');
+    if (!mongoose.models.KnowledgeEntry) {
+      throw new Error('KnowledgeEntry 模型未初始化');
+    }
+    return mongoose.models.KnowledgeEntry;
+  }
+
+  /**
+   * 生成检索计划
+   * @param {Object} params
+   * @param {string} params.query - 用户最新问题
+   * @param {Array<{ role: string, text: string }>} [params.history] - 最新问题之前的对话
+   * @param {string} [params.userId] - 用户ID，用于加载同义词
+   * @param {string[]} [params.knowledgeBaseIds] - 已授权的共享知识库ID，提供时从这些知识库加载同义词
+   * @returns {Promise<{
+   *   originalQuery: string,
+   *   rewrittenQuery: string,
+   *   shouldRetrieve: boolean,
+   *   method: 'llm' | 'local',
+   *   queries: Array<{ text: string, kind: 'rewrite' | 'sub' | 'synonym' | 'hyde' }>,
+   *   synonyms: Array<{ term: string, alternates: string[] }>,
+   *   classifier?: Object,
+   * }>}
+   */
+  async plan({ query, history = [], userId, knowledgeBaseIds }) {
+    const originalQuery = (query || '').trim();
+    const plan = {
+      originalQuery,
+      rewrittenQuery: originalQuery,
+      shouldRetrieve: false,
+      method: 'local',
+      queries: [],
+      synonyms: [],
+    };
+    if (!originalQuery) {
+      return plan;
+    }
+
+    const recent = normalizeHistory(history);
+    const llmPlan = await this.planWithLLM(originalQuery, recent);
+    let subQueries = [];
+    let hypotheticalAnswer;
+
+    if (llmPlan) {
+      plan.method = 'llm';
+      plan.shouldRetrieve = llmPlan.retrieve;
+      plan.rewrittenQuery = llmPlan.query || originalQuery;
+      subQueries = llmPlan.subQueries.slice(0, MAX_SUB_QUERIES);
+      hypotheticalAnswer = this.useHyDE ? llmPlan.hypotheticalAnswer : undefined;
+    } else {
+      plan.rewrittenQuery = rewriteWithHistory(originalQuery, recent);
+      plan.classifier = await this.classify(plan.rewrittenQuery, userId);
+      plan.shouldRetrieve = plan.classifier.retrieve;
+    }
+
+    if (!plan.shouldRetrieve) {
+      return plan;
+    }
+
+    const queries = [{ text: plan.rewrittenQuery, kind: 'rewrite' }];
+    subQueries.forEach((text) => queries.push({ text, kind: 'sub' }));
+
+    const expanded = expandWithSynonyms(
+      plan.rewrittenQuery,
+      await this.loadSynonyms(userId, knowledgeBaseIds),
+    );
+    if (expanded.applied.length > 0) {
+      plan.synonyms = expanded.applied;
+      queries.push({ text: expanded.query, kind: 'synonym' });
+    }
+    if (hypotheticalAnswer) {
+      queries.push({ text: hypotheticalAnswer, kind: 'hyde' });
+    }
+
+    const seen = new Set();
+    plan.queries = queries.filter(({ text }) => !seen.has(text) && seen.add(text));
+    return plan;
+  }
+
+  /**
+   * 使用规划 LLM 改写问题并生成子查询
+   * @param {string} query - 最新问题
+   * @param {Array<{ role: string, text: string }>} history - 历史消息
+   * @returns {Promise<Object|null>} 解析后的规划，LLM 未配置或失败时为 null
+   */
+  async planWithLLM(query, history) {
+    if (!this.llm) {
+      return null;
+    }
+
+    const system = PLANNER_PROMPT.replace('{maxQueries}', String(MAX_SUB_QUERIES))
+      .replace('{hyde}', this.useHyDE ? HYDE_RULE : '')
+      .replace('{hydeField}', this.useHyDE ? ', "hypothetical_answer": "..."' : '');
+    const transcript = history
+      .map((message) => `${message.role === 'user' ? '用户' : '助手'}: ${message.text}`)
+      .join('\n');
+    const user = `${transcript ? `对话历史：\n${transcript}\n\n` : ''}最新问题：${query}`;
+
+    try {
+      const output = await this.llm.complete([
+        { role: 'system', content: system },
+        { role: 'user', content: user },
+      ]);
+      const parsed = parsePlannerResponse(output);
+      if (!parsed) {
+        logger.warn(
+          `[QueryPlanner] 无法解析规划结果，使用本地规划: ${String(output).slice(0, 200)}`,
+        );
+      }
+      return parsed;
+    } catch (error) {
+      logger.warn(`[QueryPlanner] 规划 LLM 调用失败，使用本地规划: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * 判断问题是否需要检索知识库
+   * 与两类原型样本分别计算最相似的若干样本的平均相似度，检索类得分超出闲聊类 CLASSIFIER_MARGIN 即检索；
+   * 向量化不可用时默认检索
+   * @param {string} query - 问题
+   * @param {string} [userId] - 用户ID
+   * @returns {Promise<{ retrieve: boolean, method: string, retrieveScore?: number, skipScore?: number }>}
+   */
+  async classify(query, userId) {
+    try {
+      const examples = await this.getClassifierExamples(userId);
+      const { embeddings } = await this.embeddingService.embedForActiveModel([query], userId);
+      if (!examples || !embeddings[0]) {
+        return { retrieve: true, method: 'default' };
+      }
+
+      const retrieveScore = classScore(embeddings[0], examples.retrieve);
+      const skipScore = classScore(embeddings[0], examples.skip);
+      return {
+        retrieve: retrieveScore - skipScore >= CLASSIFIER_MARGIN,
+        method: 'embedding',
+        retrieveScore,
+        skipScore,
+      };
+    } catch (error) {
+      logger.warn(`[QueryPlanner] 检索意图分类失败，默认检索: ${error.message}`);
+      return { retrieve: true, method: 'default' };
+    }
+  }
+
+  /**
+   * 获取原型样本的向量，按激活模型缓存（模型切换后重新生成）
+   * @param {string} [userId] - 用户ID
+   * @returns {Promise<{ skip: number[][], retrieve: number[][] } | null>}
+   */
+  async getClassifierExamples(userId) {
+    const texts = [...CLASSIFIER_EXAMPLES.skip, ...CLASSIFIER_EXAMPLES.retrieve];
+    const activeModel = await this.embeddingService.modelRegistry?.getActiveModel();
+    if (this.classifierCache && this.classifierCache.modelId === activeModel?.modelId) {
+      return this.classifierCache;
+    }
+
+    const { embeddings, model } = await this.embeddingService.embedForActiveModel(texts, userId);
+    if (embeddings.some((embedding) => !embedding)) {
+      return null;
+    }
+    const skipCount = CLASSIFIER_EXAMPLES.skip.length;
+    this.classifierCache = {
+      modelId: model?.modelId,
+      skip: embeddings.slice(0, skipCount),
+      retrieve: embeddings.slice(skipCount),
+    };
+    return this.classifierCache;
+  }
+
+  /**
+   * 加载同义词条目（短时缓存）
+   * 智能体绑定了共享知识库时使用知识库中的同义词，否则使用用户自己的同义词
+   * @param {string} [userId] - 用户ID
+   * @param {string[]} [knowledgeBaseIds] - 已授权的共享知识库ID
+   * @returns {Promise<Array<{ noun: string, synonyms: string[] }>>}
+   */
+  async loadSynonyms(userId, knowledgeBaseIds) {
+    const useKnowledgeBases = Array.isArray(knowledgeBaseIds);
+    if (useKnowledgeBases ? knowledgeBaseIds.length === 0 : !userId) {
+      return [];
+    }
+    const cacheKey = useKnowledgeBases ? `kb:${[...knowledgeBaseIds].sort().join(',')}` : userId;
+    const cached = this.synonymCache.get(cacheKey);
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.entries;
+    }
+
+    const query = useKnowledgeBases
+      ? { type: 'synonym', 'metadata.knowledge_base_id': { $in: knowledgeBaseIds.map(String) } }
+      : { user: userId, type: 'synonym' };
+
+    try {
+      const entries = await this.getKnowledgeEntryModel()
+        .find(query)
+        .select('metadata.noun metadata.synonyms')
+        .lean();
+      const synonyms = entries
+        .map((entry) => ({ noun: entry.metadata?.noun, synonyms: entry.metadata?.synonyms || [] }))
+        .filter((entry) => entry.noun);
+      this.synonymCache.set(cacheKey, {
+        expiresAt: Date.now() + SYNONYM_CACHE_TTL,
+        entries: synonyms,
+      });
+      return synonyms;
+    } catch (error) {
+      logger.warn(`[QueryPlanner] 加载同义词失败: ${error.message}`);
+      return [];
+    }
+  }
+}
+
+module.exports = QueryPlannerService;
+module.exports.normalizeHistory = normalizeHistory;
+module.exports.rewriteWithHistory = rewriteWithHistory;
+module.exports.expandWithSynonyms = expandWithSynonyms;
+module.exports.parsePlannerResponse = parsePlannerResponse;
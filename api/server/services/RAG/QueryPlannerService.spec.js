@@ -0,0 +1,190 @@
+jest.mock('@aipyq/data-schemas', () => ({
+  logger: {
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn(),
+  },
+}));
+jest.mock('./EmbeddingService', () => jest.fn());
+
+const QueryPlannerService = require('./QueryPlannerService');
+const { expandWithSynonyms, normalizeHistory, parsePlannerResponse, rewriteWithHistory } =
+  QueryPlannerService;
+
+/** 按文本中的关键字生成二维向量：闲聊类指向 x 轴，其余指向 y 轴 */
+const CHITCHAT = /你好|您好|hello|谢谢|感谢|好的|收到|嗯|再见|继续|开始|没有|哈|你是谁|润色/;
+const fakeEmbed = (text) => (CHITCHAT.test(text) ? [1, 0.1] : [0.1, 1]);
+
+const createEmbeddingService = () => ({
+  modelRegistry: { getActiveModel: jest.fn(async () => ({ modelId: 'bge-small-zh' })) },
+  embedForActiveModel: jest.fn(async (texts) => ({
+    embeddings: texts.map(fakeEmbed),
+    model: { modelId: 'bge-small-zh' },
+  })),
+});
+
+const createSynonymModel = (entries) => {
+  const lean = jest.fn(async () => entries);
+  const find = jest.fn(() => ({ select: () => ({ lean }) }));
+  return { find, lean };
+};
+
+describe('query planner helpers', () => {
+  it('keeps the most recent non-empty history messages', () => {
+    const history = [
+      { role: 'user', text: '第一轮' },
+      { role: 'assistant', text: '  ' },
+      ...Array.from({ length: 6 }, (_, i) => ({ role: 'assistant', text: `回答${i}` })),
+    ];
+
+    expect(normalizeHistory(history)).toHaveLength(6);
+    expect(normalizeHistory(history)[0]).toEqual({ role: 'assistant', text: '回答0' });
+  });
+
+  it('prefixes follow-up questions with the previous user question', () => {
+    const history = [
+      { role: 'user', text: '华东区本月销售额是多少' },
+      { role: 'assistant', text: '本月销售额为 120 万。' },
+    ];
+
+    expect(rewriteWithHistory('那上个月呢？', history)).toBe('华东区本月销售额是多少 那上个月呢？');
+    expect(rewriteWithHistory('公司的差旅报销标准和审批流程分别是什么', history)).toBe(
+      '公司的差旅报销标准和审批流程分别是什么',
+    );
+    expect(rewriteWithHistory('那上个月呢？', [])).toBe('那上个月呢？');
+  });
+
+  it('appends the other terms of each matched synonym group once', () => {
+    const result = expandWithSynonyms('GMV 环比变化', [
+      { noun: '成交总额', synonyms: ['GMV', '交易额'] },
+      { noun: '交易额', synonyms: ['成交额'] },
+      { noun: '客单价', synonyms: ['ARPU'] },
+    ]);
+
+    expect(result.query).toBe('GMV 环比变化 成交总额 交易额');
+    expect(result.applied).toEqual([{ term: 'GMV', alternates: ['成交总额', '交易额'] }]);
+  });
+
+  it('parses planner output wrapped in a code block and rejects malformed output', () => {
+    const output =
+      '```json\n{"retrieve": true, "query": " 上个月华东区销售额 ", "sub_queries": ["华东区 月度 销售", ""]}\n```';
+
+    expect(parsePlannerResponse(output)).toEqual({
+      retrieve: true,
+      query: '上个月华东区销售额',
+      subQueries: ['华东区 月度 销售'],
+      hypotheticalAnswer: undefined,
+    });
+    expect(parsePlannerResponse('{"query": "缺少 retrieve"}')).toBeNull();
+    expect(parsePlannerResponse('无法回答')).toBeNull();
+  });
+});
+
+describe('QueryPlannerService.classify', () => {
+  it('separates chit-chat from knowledge questions and caches example embeddings', async () => {
+    const embeddingService = createEmbeddingService();
+    const planner = new QueryPlannerService({ embeddingService, llm: null });
+
+    expect(await planner.classify('谢谢你')).toMatchObject({
+      retrieve: false,
+      method: 'embedding',
+    });
+    expect(await planner.classify('报销需要哪些发票')).toMatchObject({
+      retrieve: true,
+      method: 'embedding',
+    });
+    // 两次分类只生成一次样本向量
+    expect(embeddingService.embedForActiveModel).toHaveBeenCalledTimes(3);
+  });
+
+  it('defaults to retrieving when embedding fails', async () => {
+    const embeddingService = createEmbeddingService();
+    embeddingService.embedForActiveModel.mockRejectedValue(new Error('模型未加载'));
+    const planner = new QueryPlannerService({ embeddingService, llm: null });
+
+    expect(await planner.classify('报销流程')).toEqual({ retrieve: true, method: 'default' });
+  });
+});
+
+describe('QueryPlannerService.plan', () => {
+  const history = [
+    { role: 'user', text: '华东区本月销售额是多少' },
+    { role: 'assistant', text: '本月销售额为 120 万。' },
+  ];
+
+  it('uses the planner LLM for rewriting, sub-queries and HyDE, then expands synonyms', async () => {
+    const llm = {
+      complete: jest.fn(async () =>
+        JSON.stringify({
+          retrieve: true,
+          query: '华东区上个月销售额是多少',
+          sub_queries: ['华东区 月度销售报表'],
+          hypothetical_answer: '华东区上个月销售额为 100 万元。',
+        }),
+      ),
+    };
+    const { find } = createSynonymModel([
+      { metadata: { noun: '销售额', synonyms: ['GMV'] } },
+      { metadata: { synonyms: ['无名词'] } },
+    ]);
+    const planner = new QueryPlannerService({
+      embeddingService: createEmbeddingService(),
+      llm,
+      models: { KnowledgeEntry: { find } },
+      useHyDE: true,
+    });
+
+    const plan = await planner.plan({ query: '那上个月呢？', history, userId: 'user-1' });
+
+    const [messages] = llm.complete.mock.calls[0];
+    expect(messages[0].content).toContain('hypothetical_answer');
+    expect(messages[1].content).toContain('用户: 华东区本月销售额是多少');
+    expect(find).toHaveBeenCalledWith({ user: 'user-1', type: 'synonym' });
+    expect(plan).toMatchObject({
+      originalQuery: '那上个月呢？',
+      rewrittenQuery: '华东区上个月销售额是多少',
+      shouldRetrieve: true,
+      method: 'llm',
+      synonyms: [{ term: '销售额', alternates: ['GMV'] }],
+    });
+    expect(plan.queries).toEqual([
+      { text: '华东区上个月销售额是多少', kind: 'rewrite' },
+      { text: '华东区 月度销售报表', kind: 'sub' },
+      { text: '华东区上个月销售额是多少 GMV', kind: 'synonym' },
+      { text: '华东区上个月销售额为 100 万元。', kind: 'hyde' },
+    ]);
+  });
+
+  it('falls back to local rewriting and classification when the LLM output is invalid', async () => {
+    const planner = new QueryPlannerService({
+      embeddingService: createEmbeddingService(),
+      llm: { complete: jest.fn(async () => '抱歉') },
+      models: { KnowledgeEntry: createSynonymModel([]) },
+    });
+
+    const plan = await planner.plan({ query: '那上个月呢？', history, userId: 'user-1' });
+
+    expect(plan).toMatchObject({
+      rewrittenQuery: '华东区本月销售额是多少 那上个月呢？',
+      shouldRetrieve: true,
+      method: 'local',
+      classifier: { method: 'embedding', retrieve: true },
+      queries: [{ text: '华东区本月销售额是多少 那上个月呢？', kind: 'rewrite' }],
+    });
+  });
+
+  it('skips retrieval without building queries for chit-chat', async () => {
+    const synonymModel = createSynonymModel([]);
+    const planner = new QueryPlannerService({
+      embeddingService: createEmbeddingService(),
+      llm: null,
+      models: { KnowledgeEntry: synonymModel },
+    });
+
+    const plan = await planner.plan({ query: '好的，谢谢', userId: 'user-1' });
+
+    expect(plan).toMatchObject({ shouldRetrieve: false, queries: [] });
+    expect(synonymModel.find).not.toHaveBeenCalled();
+  });
+});
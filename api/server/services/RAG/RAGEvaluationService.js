@@ -0,0 +1,638 @@
+const { logger } = require('@aipyq/data-schemas');
+const { EmbeddingProvider, parseModelId } = require('./EmbeddingModelRegistry');
+
+/** 默认计算的 recall@k 截断位置 */
+const DEFAULT_KS = [1, 3, 5, 10];
+/** 离线评测允许的重排器类型（均在本地运行） */
+const OFFLINE_RERANKERS = ['onnx', 'none'];
+/** 回归判定阈值：指标较上次下降超过该值即视为回归 */
+const REGRESSION_THRESHOLD = parseFloat(process.env.RAG_EVAL_REGRESSION_THRESHOLD || '0.05');
+
+/**
+ * 未指定配置时使用的对比配置：纯向量、向量+词法、向量+词法+ONNX重排
+ */
+const DEFAULT_CONFIGURATIONS = [
+  { name: 'vector', options: { useLexical: false, useReranking: false } },
+  { name: 'hybrid', options: { useLexical: true, useReranking: false } },
+  { name: 'hybrid-rerank', options: { useLexical: true, useReranking: true, reranker: 'onnx' } },
+];
+
+/** 允许透传给 RAGService.query 的配置项 */
+const QUERY_OPTION_KEYS = [
+  'topK',
+  'minScore',
+  'useReranking',
+  'enhancedReranking',
+  'reranker',
+  'rerankWeights',
+  'useLexical',
+  'fusion',
+];
+
+/**
+ * 解析评测集（黄金问题集）
+ * - JSON: { name, description, entityId, questions: [...] } 或直接为问题数组
+ * - JSONL: 每行一个问题
+ * 问题格式: { qid, query, expectedEntryIds: [], expectedChunks: [{ fileId, chunkIndex }], entityId, types, fileIds }
+ * @param {string|Object|Array} input - 请求体
+ * @returns {{ name?: string, description?: string, entityId?: string, questions: Object[] }}
+ */
+function parseEvalSet(input) {
+  let data = input;
+  if (typeof input === 'string') {
+    const text = input.trim();
+    try {
+      data = JSON.parse(text);
+    } catch (e) {
+      try {
+        data = text
+          .split('\n')
+          .map((line) => line.trim())
+          .filter(Boolean)
+          .map((line) => JSON.parse(line));
+      } catch (lineError) {
+        throw new Error('评测集不是有效的 JSON/JSONL');
+      }
+    }
+  }
+
+  const evalSet = Array.isArray(data) ? { questions: data } : { ...(data || {}) };
+  if (!Array.isArray(evalSet.questions) || evalSet.questions.length === 0) {
+    throw new Error('评测集至少需要包含一个问题');
+  }
+
+  const seen = new Set();
+  evalSet.questions = evalSet.questions.map((question, index) => {
+    if (!question || typeof question.query !== 'string' || !question.query.trim()) {
+      throw new Error(`第 ${index + 1} 个问题缺少 query`);
+    }
+    const expectedEntryIds = (question.expectedEntryIds || []).map(String);
+    const expectedChunks = (question.expectedChunks || []).map((chunk) => {
+      if (!chunk || !chunk.fileId) {
+        throw new Error(`第 ${index + 1} 个问题的 expectedChunks 缺少 fileId`);
+      }
+      return {
+        fileId: String(chunk.fileId),
+        chunkIndex:
+          chunk.chunkIndex === undefined || chunk.chunkIndex === null
+            ? undefined
+            : Number(chunk.chunkIndex),
+      };
+    });
+    if (expectedEntryIds.length === 0 && expectedChunks.length === 0) {
+      throw new Error(`第 ${index + 1} 个问题需要 expectedEntryIds 或 expectedChunks`);
+    }
+
+    const qid = String(question.qid || question.id || `q${index + 1}`);
+    if (seen.has(qid)) {
+      throw new Error(`问题ID重复: ${qid}`);
+    }
+    seen.add(qid);
+
+    return {
+      qid,
+      query: question.query.trim(),
+      expectedEntryIds,
+      expectedChunks,
+      entityId: question.entityId,
+      types: question.types,
+      fileIds: question.fileIds,
+    };
+  });
+
+  return evalSet;
+}
+
+/**
+ * 生成检索结果的可读标识，用于在评测结果中记录检索到了什么
+ * @param {Object} result - RAGService.query 返回的格式化结果
+ * @returns {string}
+ */
+function resultKey(result) {
+  if (result.entryId) {
+    return `entry:${result.entryId}`;
+  }
+  if (result.fileId) {
+    return `chunk:${result.fileId}:${result.chunkIndex ?? '?'}`;
+  }
+  return `${result.type}:${result.title}`;
+}
+
+/**
+ * 找出检索结果命中的期望项
+ * 文件块期望未指定 chunkIndex 时，命中该文件的任意块即可
+ * @param {Object} result - 格式化后的检索结果
+ * @param {Object} question - 评测问题
+ * @returns {string|null} 命中的期望项标识
+ */
+function matchExpected(result, question) {
+  if (result.entryId && (question.expectedEntryIds || []).includes(result.entryId)) {
+    return `entry:${result.entryId}`;
+  }
+  if (result.fileId) {
+    for (const chunk of question.expectedChunks || []) {
+      if (chunk.fileId !== String(result.fileId)) {
+        continue;
+      }
+      if (chunk.chunkIndex === undefined || chunk.chunkIndex === null) {
+        return `file:${chunk.fileId}`;
+      }
+      if (Number(result.chunkIndex) === chunk.chunkIndex) {
+        return `chunk:${chunk.fileId}:${chunk.chunkIndex}`;
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * 计算每个检索位置是否相关（同一期望项只计一次）
+ * @param {Object[]} results - 按排名排列的检索结果
+ * @param {Object} question - 评测问题
+ * @returns {boolean[]} 相关性数组
+ */
+function judgeRelevance(results, question) {
+  const matched = new Set();
+  return results.map((result) => {
+    const key = matchExpected(result, question);
+    if (!key || matched.has(key)) {
+      return false;
+    }
+    matched.add(key);
+    return true;
+  });
+}
+
+/**
+ * recall@k：前k个结果命中的期望项数 / 期望项总数
+ * @param {boolean[]} relevance - 相关性数组
+ * @param {number} expectedCount - 期望项数量
+ * @param {number} k
+ * @returns {number}
+ */
+function recallAtK(relevance, expectedCount, k) {
+  if (expectedCount === 0) {
+    return 0;
+  }
+  const hits = relevance.slice(0, k).filter(Boolean).length;
+  return Math.min(hits / expectedCount, 1);
+}
+
+/**
+ * 倒数排名：第一个相关结果排名的倒数，未命中为0
+ * @param {boolean[]} relevance - 相关性数组
+ * @returns {number}
+ */
+function reciprocalRank(relevance) {
+  const index = relevance.indexOf(true);
+  return index === -1 ? 0 : 1 / (index + 1);
+}
+
+/**
+ * nDCG@k（二元相关性）
+ * @param {boolean[]} relevance - 相关性数组
+ * @param {number} expectedCount - 期望项数量
+ * @param {number} k
+ * @returns {number}
+ */
+function ndcgAtK(relevance, expectedCount, k) {
+  const gain = (rank) => 1 / Math.log2(rank + 1);
+  let dcg = 0;
+  relevance.slice(0, k).forEach((relevant, index) => {
+    if (relevant) {
+      dcg += gain(index + 1);
+    }
+  });
+  let idcg = 0;
+  for (let rank = 1; rank <= Math.min(expectedCount, k); rank++) {
+    idcg += gain(rank);
+  }
+  return idcg === 0 ? 0 : dcg / idcg;
+}
+
+/**
+ * 百分位数（最近秩法）
+ * @param {number[]} values
+ * @param {number} p - 0~100
+ * @returns {number}
+ */
+function percentile(values, p) {
+  if (values.length === 0) {
+    return 0;
+  }
+  const sorted = [...values].sort((a, b) => a - b);
+  const rank = Math.ceil((p / 100) * sorted.length);
+  return sorted[Math.min(Math.max(rank, 1), sorted.length) - 1];
+}
+
+/**
+ * 汇总单个配置下所有问题的指标
+ * @param {Object[]} questionResults - 每个问题的评测结果
+ * @param {number[]} ks - recall@k 截断位置
+ * @returns {Object} 指标
+ */
+function aggregateMetrics(questionResults, ks) {
+  const scored = questionResults.filter((result) => !result.error);
+  const mean = (values) =>
+    values.length === 0 ? 0 : values.reduce((sum, value) => sum + value, 0) / values.length;
+  const round = (value) => Math.round(value * 10000) / 10000;
+
+  const recall = {};
+  for (const k of ks) {
+    recall[k] = round(mean(scored.map((result) => result.recall[k])));
+  }
+  const latencies = questionResults.map((result) => result.latencyMs);
+
+  return {
+    recall,
+    mrr: round(mean(scored.map((result) => result.reciprocalRank))),
+    ndcg: round(mean(scored.map((result) => result.ndcg))),
+    hitRate: round(mean(scored.map((result) => (result.firstRelevantRank ? 1 : 0)))),
+    latency: {
+      mean: Math.round(mean(latencies)),
+      p50: percentile(latencies, 50),
+      p95: percentile(latencies, 95),
+      max: latencies.length > 0 ? Math.max(...latencies) : 0,
+    },
+    errors: questionResults.length - scored.length,
+  };
+}
+
+/**
+ * 与上一次评测对比，计算指标差值并找出回归项
+ * @param {Object} metrics - 本次指标
+ * @param {Object} previous - 上次指标
+ * @param {number} [threshold] - 回归阈值
+ * @returns {{ delta: Object, regressions: string[] }}
+ */
+function compareMetrics(metrics, previous, threshold = REGRESSION_THRESHOLD) {
+  const delta = {};
+  const regressions = [];
+  const round = (value) => Math.round(value * 10000) / 10000;
+
+  for (const key of ['mrr', 'ndcg', 'hitRate']) {
+    if (typeof previous?.[key] !== 'number') {
+      continue;
+    }
+    delta[key] = round(metrics[key] - previous[key]);
+    if (delta[key] < -threshold) {
+      regressions.push(key);
+    }
+  }
+  for (const [k, value] of Object.entries(metrics.recall || {})) {
+    const before = previous?.recall?.[k];
+    if (typeof before !== 'number') {
+      continue;
+    }
+    delta[`recall@${k}`] = round(value - before);
+    if (delta[`recall@${k}`] < -threshold) {
+      regressions.push(`recall@${k}`);
+    }
+  }
+  if (typeof previous?.latency?.p50 === 'number') {
+    delta.latencyP50 = metrics.latency.p50 - previous.latency.p50;
+  }
+
+  return { delta, regressions };
+}
+
+/**
+ * RAG 评测服务
+ * 使用黄金问题集在不同检索配置下运行 RAGService.query，
+ * 计算 recall@k、MRR、nDCG 与延迟，并保存结果以便重建索引或更换模型后发现回归
+ */
+class RAGEvaluationService {
+  /**
+   * @param {Object} options
+   * @param {import('./RAGService')} options.ragService - RAG 服务实例
+   * @param {Object} [options.models] - 数据模型（默认从 ~/db/models 加载）
+   */
+  constructor({ ragService, models } = {}) {
+    this.ragService = ragService;
+    this.models = models;
+  }
+
+  getModels() {
+    if (!this.models) {
+      this.models = require('~/db/models');
+    }
+    return this.models;
+  }
+
+  /**
+   * 创建评测集
+   * @param {Object} params
+   * @param {string} params.userId - 用户ID
+   * @param {string|Object|Array} params.input - 评测集内容（JSON/JSONL）
+   * @param {string} [params.name] - 评测集名称（覆盖内容中的名称）
+   * @returns {Promise<Object>} 评测集
+   */
+  async createEvalSet({ userId, input, name }) {
+    const parsed = parseEvalSet(input);
+    const setName = name || parsed.name;
+    if (!setName) {
+      throw new Error('评测集缺少 name');
+    }
+
+    const { RagEvalSet } = this.getModels();
+    const evalSet = await RagEvalSet.create({
+      user: userId,
+      name: setName,
+      description: parsed.description,
+      entityId: parsed.entityId,
+      questions: parsed.questions,
+    });
+    logger.info(
+      `[RAGEvaluationService] 创建评测集 "${setName}"，共 ${parsed.questions.length} 个问题`,
+    );
+    return evalSet.toObject();
+  }
+
+  async listEvalSets({ userId }) {
+    const { RagEvalSet } = this.getModels();
+    const sets = await RagEvalSet.find({ user: userId })
+      .select('name description entityId questions.qid createdAt updatedAt')
+      .sort({ updatedAt: -1 })
+      .lean();
+    return sets.map(({ questions, ...set }) => ({ ...set, questionCount: questions.length }));
+  }
+
+  async getEvalSet({ userId, evalSetId }) {
+    const { RagEvalSet } = this.getModels();
+    return await RagEvalSet.findOne({ _id: evalSetId, user: userId }).lean();
+  }
+
+  /**
+   * 删除评测集及其全部评测记录
+   * @returns {Promise<boolean>} 是否删除成功
+   */
+  async deleteEvalSet({ userId, evalSetId }) {
+    const { RagEvalSet, RagEvalRun } = this.getModels();
+    const result = await RagEvalSet.deleteOne({ _id: evalSetId, user: userId });
+    if (result.deletedCount === 0) {
+      return false;
+    }
+    await RagEvalRun.deleteMany({ evalSet: evalSetId, user: userId });
+    return true;
+  }
+
+  async listRuns({ userId, evalSetId, limit = 20 }) {
+    const { RagEvalRun } = this.getModels();
+    const filter = { user: userId };
+    if (evalSetId) {
+      filter.evalSet = evalSetId;
+    }
+    return await RagEvalRun.find(filter)
+      .select('-configurations.questions')
+      .sort({ createdAt: -1 })
+      .limit(limit)
+      .lean();
+  }
+
+  async getRun({ userId, runId }) {
+    const { RagEvalRun } = this.getModels();
+    return await RagEvalRun.findOne({ _id: runId, user: userId }).lean();
+  }
+
+  /**
+   * 校验并规范化评测配置
+   * 离线模式下只允许本地 ONNX 向量化与本地重排器，保证评测结果不依赖外部服务
+   * @param {Object[]} [configurations]
+   * @param {boolean} offline
+   * @returns {Object[]}
+   */
+  normalizeConfigurations(configurations, offline) {
+    const list =
+      Array.isArray(configurations) && configurations.length > 0
+        ? configurations
+        : DEFAULT_CONFIGURATIONS;
+
+    const names = new Set();
+    return list.map((configuration, index) => {
+      const name = configuration.name || `config-${index + 1}`;
+      if (names.has(name)) {
+        throw new Error(`评测配置名称重复: ${name}`);
+      }
+      names.add(name);
+
+      const options = {};
+      for (const key of QUERY_OPTION_KEYS) {
+        if (configuration.options?.[key] !== undefined) {
+          options[key] = configuration.options[key];
+        }
+      }
+      if (offline && options.useReranking !== false) {
+        const reranker = options.reranker || this.ragService.rerankingService.rerankerType;
+        if (!OFFLINE_RERANKERS.includes(reranker)) {
+          throw new Error(`离线评测不支持重排器 "${reranker}"（配置: ${name}）`);
+        }
+      }
+      return { name, options };
+    });
+  }
+
+  /**
+   * 离线评测只允许本地 ONNX 向量模型：检索按激活模型向量化查询，
+   * 因此要求激活模型为 ONNX，并先试算一次，不可用时直接失败而不是回退到远程提供方
+   * @param {Object} params
+   * @param {string} params.userId - 用户ID
+   * @param {string} [params.probe] - 试算用的文本
+   * @returns {Promise<Object>} 激活的 ONNX 模型
+   * @throws {Error} 激活模型不是 ONNX 或 ONNX 向量化失败时
+   */
+  async assertOfflineEmbedding({ userId, probe }) {
+    const embeddingService = this.ragService.embeddingService;
+    const model = await embeddingService.modelRegistry.getActiveModel();
+    if (parseModelId(model?.modelId)?.provider !== EmbeddingProvider.ONNX) {
+      throw new Error(
+        `离线评测需要激活本地 ONNX 向量模型（当前: ${model?.modelId || '未知'}），或改用在线评测`,
+      );
+    }
+    const [embedding] = await embeddingService.embedWithModel([probe || '离线评测'], userId, model);
+    if (!embedding) {
+      throw new Error('本地 ONNX 向量化不可用，离线评测已终止');
+    }
+    return model;
+  }
+
+  /**
+   * 在单个配置下运行全部问题
+   * @param {Object} params
+   * @param {Object} params.evalSet - 评测集
+   * @param {string} params.userId - 用户ID
+   * @param {{ name: string, options: Object }} params.configuration - 检索配置
+   * @param {number[]} params.ks - recall@k 截断位置
+   * @returns {Promise<Object>} 配置评测结果
+   */
+  async evaluateConfiguration({ evalSet, userId, configuration, ks }) {
+    const topK = Math.max(configuration.options.topK || 10, ...ks);
+    const questionResults = [];
+
+    for (const question of evalSet.questions) {
+      const expectedCount =
+        (question.expectedEntryIds?.length || 0) + (question.expectedChunks?.length || 0);
+      // 只使用问题显式指定的文件范围；按期望文件块推断范围会泄露标准答案
+      const fileIds = question.fileIds || [];
+
+      const started = Date.now();
+      try {
+        const response = await this.ragService.query({
+          query: question.query,
+          userId,
+          options: {
+            ...configuration.options,
+            topK,
+            types: question.types && question.types.length > 0 ? question.types : undefined,
+            fileIds: fileIds.length > 0 ? fileIds : undefined,
+            entityId: question.entityId || evalSet.entityId,
+          },
+        });
+        const latencyMs = Date.now() - started;
+        const results = response.results || [];
+        const relevance = judgeRelevance(results, question);
+        const firstIndex = relevance.indexOf(true);
+
+        const recall = {};
+        for (const k of ks) {
+          recall[k] = recallAtK(relevance, expectedCount, k);
+        }
+        questionResults.push({
+          qid: question.qid,
+          latencyMs,
+          firstRelevantRank: firstIndex === -1 ? null : firstIndex + 1,
+          recall,
+          reciprocalRank: reciprocalRank(relevance),
+          ndcg: ndcgAtK(relevance, expectedCount, Math.max(...ks)),
+          retrieved: results.map(resultKey),
+        });
+      } catch (error) {
+        logger.warn(
+          `[RAGEvaluationService] 问题 ${question.qid} 在配置 ${configuration.name} 下查询失败:`,
+          error.message,
+        );
+        questionResults.push({
+          qid: question.qid,
+          latencyMs: Date.now() - started,
+          firstRelevantRank: null,
+          retrieved: [],
+          error: error.message,
+        });
+      }
+    }
+
+    return {
+      name: configuration.name,
+      options: configuration.options,
+      metrics: aggregateMetrics(questionResults, ks),
+      questions: questionResults,
+    };
+  }
+
+  /**
+   * 运行评测并保存结果
+   * 每个配置会与同一评测集最近一次成功评测中的同名配置对比，标记回归指标
+   * @param {Object} params
+   * @param {string} params.userId - 用户ID
+   * @param {string} params.evalSetId - 评测集ID
+   * @param {Object[]} [params.configurations] - 检索配置列表 [{ name, options }]
+   * @param {number[]} [params.ks] - recall@k 截断位置
+   * @param {string} [params.label] - 本次评测的备注（如 "重建索引后"）
+   * @param {boolean} [params.offline=true] - 是否限制为本地模型
+   * @returns {Promise<Object>} 评测记录
+   */
+  async runEvaluation({
+    userId,
+    evalSetId,
+    configurations,
+    ks = DEFAULT_KS,
+    label,
+    offline = true,
+  }) {
+    const { RagEvalRun } = this.getModels();
+    const evalSet = await this.getEvalSet({ userId, evalSetId });
+    if (!evalSet) {
+      throw new Error('评测集不存在');
+    }
+
+    const embeddingService = this.ragService.embeddingService;
+    const normalizedConfigurations = this.normalizeConfigurations(configurations, offline);
+    const offlineModel = offline
+      ? await this.assertOfflineEmbedding({ userId, probe: evalSet.questions[0]?.query })
+      : null;
+    const cutoffs = [...new Set(ks.map(Number).filter((k) => k > 0))].sort((a, b) => a - b);
+    if (cutoffs.length === 0) {
+      throw new Error('ks 至少需要一个正整数');
+    }
+
+    const baseline = await RagEvalRun.findOne({
+      evalSet: evalSet._id,
+      user: userId,
+      status: 'completed',
+    })
+      .sort({ createdAt: -1 })
+      .select('-configurations.questions')
+      .lean();
+
+    const run = await RagEvalRun.create({
+      user: userId,
+      evalSet: evalSet._id,
+      setName: evalSet.name,
+      questionCount: evalSet.questions.length,
+      status: 'running',
+      environment: {
+        embeddingModel: offlineModel?.modelId || embeddingService.embeddingModel,
+        embeddingDimension:
+          this.ragService.knowledgeBaseService?.vectorDBService?.config?.embeddingDimension,
+        defaultReranker: this.ragService.rerankingService.rerankerType,
+        label,
+      },
+      baselineRun: baseline?._id || null,
+    });
+
+    logger.info(
+      `[RAGEvaluationService] 开始评测 "${evalSet.name}"：${evalSet.questions.length} 个问题，${normalizedConfigurations.length} 个配置`,
+    );
+
+    try {
+      const results = [];
+      for (const configuration of normalizedConfigurations) {
+        const result = await this.evaluateConfiguration({
+          evalSet,
+          userId,
+          configuration,
+          ks: cutoffs,
+        });
+        const previous = baseline?.configurations?.find((item) => item.name === result.name);
+        if (previous) {
+          Object.assign(result, compareMetrics(result.metrics, previous.metrics));
+        }
+        results.push(result);
+        logger.info(
+          `[RAGEvaluationService] 配置 ${result.name}: MRR=${result.metrics.mrr}, nDCG=${result.metrics.ndcg}, p50=${result.metrics.latency.p50}ms`,
+        );
+      }
+
+      run.configurations = results;
+      run.status = 'completed';
+      await run.save();
+      return run.toObject();
+    } catch (error) {
+      logger.error('[RAGEvaluationService] 评测失败:', error);
+      run.status = 'failed';
+      run.error = error.message;
+      await run.save();
+      throw error;
+    }
+  }
+}
+
+module.exports = RAGEvaluationService;
+module.exports.DEFAULT_CONFIGURATIONS = DEFAULT_CONFIGURATIONS;
+module.exports.parseEvalSet = parseEvalSet;
+module.exports.judgeRelevance = judgeRelevance;
+module.exports.recallAtK = recallAtK;
+module.exports.reciprocalRank = reciprocalRank;
+module.exports.ndcgAtK = ndcgAtK;
+module.exports.percentile = percentile;
+module.exports.aggregateMetrics = aggregateMetrics;
+module.exports.compareMetrics = compareMetrics;
@@ -0,0 +1,267 @@
+jest.mock('@aipyq/data-schemas', () => ({
+  logger: {
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn(),
+  },
+  createModels: jest.fn(() => ({})),
+}));
+
+jest.mock('~/db/models', () => ({
+  KnowledgeEntry: {},
+}));
+
+const RAGEvaluationService = require('./RAGEvaluationService');
+const {
+  parseEvalSet,
+  judgeRelevance,
+  recallAtK,
+  reciprocalRank,
+  ndcgAtK,
+  percentile,
+  compareMetrics,
+} = RAGEvaluationService;
+
+describe('parseEvalSet', () => {
+  it('parses JSON sets and JSONL question lines', () => {
+    const json = parseEvalSet({
+      name: 'golden',
+      questions: [{ query: ' 上月销售额 ', expectedEntryIds: ['e1'] }],
+    });
+    expect(json).toMatchObject({
+      name: 'golden',
+      questions: [{ qid: 'q1', query: '上月销售额', expectedEntryIds: ['e1'], expectedChunks: [] }],
+    });
+
+    const jsonl = parseEvalSet(
+      '{"qid":"a","query":"退款政策","expectedChunks":[{"fileId":"f1","chunkIndex":"2"}]}\n' +
+        '{"qid":"b","query":"订单表","expectedEntryIds":["e2"]}\n',
+    );
+    expect(jsonl.questions.map((question) => question.qid)).toEqual(['a', 'b']);
+    expect(jsonl.questions[0].expectedChunks).toEqual([{ fileId: 'f1', chunkIndex: 2 }]);
+  });
+
+  it('rejects questions without expectations and duplicate IDs', () => {
+    expect(() => parseEvalSet([{ query: 'x' }])).toThrow('expectedEntryIds');
+    expect(() =>
+      parseEvalSet([
+        { qid: 'a', query: 'x', expectedEntryIds: ['e1'] },
+        { qid: 'a', query: 'y', expectedEntryIds: ['e2'] },
+      ]),
+    ).toThrow('重复');
+    expect(() => parseEvalSet('not json')).toThrow('JSON/JSONL');
+  });
+});
+
+describe('retrieval metrics', () => {
+  const question = {
+    expectedEntryIds: ['e1'],
+    expectedChunks: [{ fileId: 'f1', chunkIndex: 3 }, { fileId: 'f2' }],
+  };
+
+  it('matches entries, exact chunks and whole files once each', () => {
+    const relevance = judgeRelevance(
+      [
+        { entryId: 'x' },
+        { fileId: 'f2', chunkIndex: 0 },
+        { fileId: 'f1', chunkIndex: 2 },
+        { entryId: 'e1' },
+        { fileId: 'f2', chunkIndex: 5 },
+        { fileId: 'f1', chunkIndex: 3 },
+      ],
+      question,
+    );
+    expect(relevance).toEqual([false, true, false, true, false, true]);
+  });
+
+  it('computes recall@k, reciprocal rank and nDCG', () => {
+    const relevance = [false, true, false, true];
+    expect(recallAtK(relevance, 3, 1)).toBe(0);
+    expect(recallAtK(relevance, 3, 4)).toBeCloseTo(2 / 3);
+    expect(reciprocalRank(relevance)).toBe(0.5);
+    expect(reciprocalRank([false, false])).toBe(0);
+
+    const dcg = 1 / Math.log2(3) + 1 / Math.log2(5);
+    const idcg = 1 + 1 / Math.log2(3);
+    expect(ndcgAtK(relevance, 2, 10)).toBeCloseTo(dcg / idcg);
+    expect(ndcgAtK([true, true], 2, 10)).toBe(1);
+  });
+
+  it('computes nearest-rank percentiles', () => {
+    expect(percentile([40, 10, 30, 20], 50)).toBe(20);
+    expect(percentile([40, 10, 30, 20], 95)).toBe(40);
+    expect(percentile([], 50)).toBe(0);
+  });
+
+  it('flags metrics that dropped beyond the threshold', () => {
+    const previous = { mrr: 0.8, ndcg: 0.7, hitRate: 1, recall: { 5: 0.9 }, latency: { p50: 100 } };
+    const current = { mrr: 0.6, ndcg: 0.68, hitRate: 1, recall: { 5: 0.9 }, latency: { p50: 120 } };
+    const { delta, regressions } = compareMetrics(current, previous, 0.05);
+    expect(regressions).toEqual(['mrr']);
+    expect(delta).toMatchObject({ mrr: -0.2, ndcg: -0.02, 'recall@5': 0, latencyP50: 20 });
+  });
+});
+
+describe('RAGEvaluationService', () => {
+  const evalSet = {
+    _id: 'set1',
+    name: 'golden',
+    entityId: 'ds1',
+    questions: [
+      { qid: 'q1', query: '上月销售额', expectedEntryIds: ['e1'], expectedChunks: [] },
+      { qid: 'q2', query: '退款政策', expectedEntryIds: [], expectedChunks: [{ fileId: 'f1' }] },
+    ],
+  };
+
+  let ragService;
+  let models;
+  let savedRun;
+
+  beforeEach(() => {
+    ragService = {
+      embeddingService: {
+        useONNX: true,
+        embeddingModel: 'onnx',
+        modelRegistry: {
+          getActiveModel: jest.fn(async () => ({ modelId: 'onnx:bge-small-zh-v1.5' })),
+        },
+        embedWithModel: jest.fn(async (texts) => texts.map(() => [0.1, 0.2])),
+      },
+      rerankingService: { rerankerType: 'onnx' },
+      knowledgeBaseService: { vectorDBService: { config: { embeddingDimension: 512 } } },
+      query: jest.fn(async ({ query }) => ({
+        results:
+          query === '上月销售额'
+            ? [{ entryId: 'e9' }, { entryId: 'e1' }]
+            : [{ fileId: 'f1', chunkIndex: 0 }],
+      })),
+    };
+    const chain = (value) => ({
+      sort: () => chain(value),
+      select: () => chain(value),
+      lean: async () => value,
+    });
+    models = {
+      RagEvalSet: { findOne: jest.fn(() => chain(evalSet)) },
+      RagEvalRun: {
+        findOne: jest.fn(() =>
+          chain({
+            _id: 'run0',
+            configurations: [
+              { name: 'vector', metrics: { mrr: 1, ndcg: 1, hitRate: 1, recall: { 1: 1 } } },
+            ],
+          }),
+        ),
+        create: jest.fn(async (doc) => {
+          savedRun = {
+            ...doc,
+            save: jest.fn(),
+            toObject() {
+              const { save, toObject, ...rest } = this;
+              return rest;
+            },
+          };
+          return savedRun;
+        }),
+      },
+    };
+  });
+
+  it('runs every configuration, stores metrics and compares with the last run', async () => {
+    const service = new RAGEvaluationService({ ragService, models });
+    const run = await service.runEvaluation({
+      userId: 'u1',
+      evalSetId: 'set1',
+      ks: [1, 2],
+      configurations: [{ name: 'vector', options: { useLexical: false, bogus: true } }],
+    });
+
+    expect(ragService.query).toHaveBeenCalledWith({
+      query: '退款政策',
+      userId: 'u1',
+      options: { useLexical: false, topK: 10, entityId: 'ds1' },
+    });
+    expect(ragService.query.mock.calls.every(([{ options }]) => !options.fileIds)).toBe(true);
+    expect(run.status).toBe('completed');
+    expect(run.baselineRun).toBe('run0');
+    expect(run.environment).toMatchObject({
+      embeddingModel: 'onnx:bge-small-zh-v1.5',
+      embeddingDimension: 512,
+    });
+
+    const [config] = run.configurations;
+    expect(config.metrics).toMatchObject({ recall: { 1: 0.5, 2: 1 }, mrr: 0.75, hitRate: 1 });
+    expect(config.questions[0]).toMatchObject({ qid: 'q1', firstRelevantRank: 2 });
+    expect(config.regressions).toEqual(expect.arrayContaining(['mrr', 'recall@1']));
+    expect(savedRun.save).toHaveBeenCalled();
+  });
+
+  it('records per-question failures without aborting the run', async () => {
+    ragService.query.mockRejectedValueOnce(new Error('boom'));
+    const service = new RAGEvaluationService({ ragService, models });
+    const run = await service.runEvaluation({
+      userId: 'u1',
+      evalSetId: 'set1',
+      configurations: [{ name: 'hybrid', options: { useLexical: true } }],
+    });
+
+    const [config] = run.configurations;
+    expect(config.metrics.errors).toBe(1);
+    expect(config.questions[0]).toMatchObject({ qid: 'q1', error: 'boom' });
+    expect(config.delta).toBeUndefined();
+  });
+
+  it('only scopes retrieval to files the question names explicitly', async () => {
+    const scoped = {
+      ...evalSet,
+      questions: [{ ...evalSet.questions[1], fileIds: ['f1', 'f2'] }],
+    };
+    models.RagEvalSet.findOne.mockReturnValue({ lean: async () => scoped });
+    const service = new RAGEvaluationService({ ragService, models });
+    await service.runEvaluation({
+      userId: 'u1',
+      evalSetId: 'set1',
+      configurations: [{ name: 'vector', options: {} }],
+    });
+
+    expect(ragService.query.mock.calls[0][0].options.fileIds).toEqual(['f1', 'f2']);
+  });
+
+  it('requires the ONNX model in offline mode instead of falling back', async () => {
+    const service = new RAGEvaluationService({ ragService, models });
+    const run = () =>
+      service.runEvaluation({
+        userId: 'u1',
+        evalSetId: 'set1',
+        configurations: [{ name: 'vector', options: {} }],
+      });
+
+    ragService.embeddingService.modelRegistry.getActiveModel.mockResolvedValueOnce({
+      modelId: 'openai:text-embedding-3-small',
+    });
+    await expect(run()).rejects.toThrow('离线评测需要激活本地 ONNX 向量模型');
+
+    ragService.embeddingService.embedWithModel.mockResolvedValueOnce([null]);
+    await expect(run()).rejects.toThrow('本地 ONNX 向量化不可用');
+    expect(ragService.embeddingService.embedWithModel).toHaveBeenCalledWith(
+      ['上月销售额'],
+      'u1',
+      { modelId: 'onnx:bge-small-zh-v1.5' },
+    );
+    expect(ragService.query).not.toHaveBeenCalled();
+    expect(models.RagEvalRun.create).not.toHaveBeenCalled();
+  });
+
+  it('refuses remote rerankers in offline mode', async () => {
+    const service = new RAGEvaluationService({ ragService, models });
+    await expect(
+      service.runEvaluation({
+        userId: 'u1',
+        evalSetId: 'set1',
+        configurations: [{ name: 'cohere', options: { reranker: 'cohere' } }],
+      }),
+    ).rejects.toThrow('离线评测');
+    expect(models.RagEvalRun.create).not.toHaveBeenCalled();
+  });
+});
@@ -3,6 +3,11 @@ const EmbeddingService = require('./EmbeddingService');
 const KnowledgeBaseService = require('./KnowledgeBaseService');
 const RetrievalService = require('./RetrievalService');
 const RerankingService = require('./RerankingService');
+const SchemaIntrospectionService = require('./SchemaIntrospectionService');
+const KnowledgeBundleService = require('./KnowledgeBundleService');
+const RAGEvaluationService = require('./RAGEvaluationService');
+const EmbeddingMigrationService = require('./EmbeddingMigrationService');
+const KnowledgeDedupService = require('./KnowledgeDedupService');
 // 从编译后的包中导入，或使用本地 JavaScript 文件
 let KnowledgeType;
 try {
@@ -31,6 +36,22 @@ class RAGService {
     this.knowledgeBaseService = new KnowledgeBaseService();
     this.retrievalService = new RetrievalService();
     this.rerankingService = new RerankingService();
+    this.rerankingServices = new Map(); // 按重排器类型缓存的额外重排服务
+    this.schemaIntrospectionService = new SchemaIntrospectionService({
+      knowledgeBaseService: this.knowledgeBaseService,
+    });
+    this.knowledgeBundleService = new KnowledgeBundleService({
+      knowledgeBaseService: this.knowledgeBaseService,
+      embeddingService: this.embeddingService,
+    });
+    this.evaluationService = new RAGEvaluationService({ ragService: this });
+    this.embeddingMigrationService = new EmbeddingMigrationService({
+      embeddingService: this.embeddingService,
+      vectorDBService: this.knowledgeBaseService.vectorDBService,
+    });
+    this.knowledgeDedupService = new KnowledgeDedupService({
+      knowledgeBaseService: this.knowledgeBaseService,
+    });
   }
 
   /**
@@ -45,8 +66,15 @@ class RAGService {
    * @param {string[]} [params.options.fileIds] - 文件ID数组
    * @param {string} [params.options.entityId] - 实体ID
    * @param {number} [params.options.topK] - 返回数量
+   * @param {boolean} [params.options.includeFiles] - 是否检索文件分块（默认 true）
    * @param {boolean} [params.options.useReranking] - 是否使用重排
    * @param {boolean} [params.options.enhancedReranking] - 是否使用增强重排
+   * @param {boolean} [params.options.useLexical] - 是否启用词法检索（BM25）通道
+   * @param {Object} [params.options.fusion] - 向量/词法结果的 RRF 融合参数（vectorWeight、lexicalWeight、k）
+   * @param {number} [params.options.minScore] - 向量检索的最小相似度分数（默认0.5）
+   * @param {string} [params.options.reranker] - 本次查询使用的重排器类型（onnx、none 等），默认跟随 RERANKER_TYPE
+   * @param {Object} [params.options.rerankWeights] - 增强重排权重（similarityWeight、typeWeight、recencyWeight）
+   * @param {string[]} [params.options.knowledgeBaseIds] - 已授权的共享知识库ID（调用方负责 ACL 校验）
    * @returns {Promise<Object>} RAG查询结果
    */
   async query({
@@ -60,8 +88,15 @@ class RAGService {
         fileIds,
         entityId,
         topK = 10,
+        includeFiles,
         useReranking = true,
         enhancedReranking = false,
+        useLexical,
+        fusion,
+        minScore,
+        reranker,
+        rerankWeights,
+        knowledgeBaseIds,
       } = options;
 
       logger.info(`[RAGService] 开始RAG查询: "${query.substring(0, 50)}..."`);
@@ -80,6 +115,11 @@ class RAGService {
         ],
         entityId,
         topK: useReranking ? topK * 2 : topK, // 如果使用重排，检索更多结果
+        includeFiles,
+        useLexical,
+        fusion,
+        minScore,
+        knowledgeBaseIds,
       });
 
       logger.info(`[RAGService] 检索到 ${retrievalResults.length} 个结果`);
@@ -87,14 +127,16 @@ class RAGService {
       // 步骤3: 重排优化
       let finalResults = retrievalResults;
       if (useReranking && retrievalResults.length > 0) {
+        const rerankingService = this.getRerankingService(reranker);
         if (enhancedReranking) {
-          finalResults = await this.rerankingService.enhancedRerank({
+          finalResults = await rerankingService.enhancedRerank({
             query,
             results: retrievalResults,
             topK,
+            weights: rerankWeights,
           });
         } else {
-          finalResults = await this.rerankingService.rerank({
+          finalResults = await rerankingService.rerank({
             query,
             results: retrievalResults,
             topK,
@@ -114,6 +156,8 @@ class RAGService {
           retrievalCount: retrievalResults.length,
           reranked: useReranking,
           enhancedReranking,
+          reranker: useReranking ? this.getRerankingService(reranker).rerankerType : null,
+          lexical: useLexical !== undefined ? useLexical : this.retrievalService.useLexical,
         },
       };
     } catch (error) {
@@ -122,6 +166,22 @@ class RAGService {
     }
   }
 
+  /**
+   * 获取指定类型的重排服务，未指定时使用默认重排服务
+   * 不同类型的重排服务按需创建并缓存，便于评测时对比不同重排器
+   * @param {string} [rerankerType] - 重排器类型
+   * @returns {RerankingService}
+   */
+  getRerankingService(rerankerType) {
+    if (!rerankerType || rerankerType === this.rerankingService.rerankerType) {
+      return this.rerankingService;
+    }
+    if (!this.rerankingServices.has(rerankerType)) {
+      this.rerankingServices.set(rerankerType, new RerankingService({ rerankerType }));
+    }
+    return this.rerankingServices.get(rerankerType);
+  }
+
   /**
    * 格式化检索结果
    * @param {Array} results - 原始结果数组
@@ -138,6 +198,18 @@ class RAGService {
         metadata: result.metadata || {},
       };
 
+      // 知识条目附带条目ID，便于调用方追溯使用了哪些知识
+      if (result._id) {
+        formatted.entryId = result._id.toString();
+      }
+
+      // 经过向量/词法融合的结果，附带融合分数和各通道排名，便于调试权重
+      if (result.fusionScore !== undefined) {
+        formatted.fusionScore = result.fusionScore;
+        formatted.ranks = result.ranks;
+        formatted.lexicalScore = result.lexicalScore;
+      }
+
       // 根据类型添加特定信息
       switch (result.type) {
         case KnowledgeType.SEMANTIC_MODEL:
@@ -161,6 +233,9 @@ class RAGService {
           formatted.fileId = result.metadata?.file_id;
           formatted.filename = result.metadata?.filename;
           formatted.page = result.metadata?.page;
+          formatted.pageEnd = result.metadata?.page_end;
+          formatted.sectionTitle = result.metadata?.section_title;
+          formatted.chunkIndex = result.metadata?.chunk_index;
           break;
       }
 
@@ -188,6 +263,7 @@ class RAGService {
               semanticModels: data.semanticModels,
               databaseContent: data.databaseContent,
               metadata: data.metadata || {},
+              knowledgeBaseId: data.knowledgeBaseId,
             });
           }
           return await this.knowledgeBaseService.addSemanticModel({
@@ -239,28 +315,32 @@ class RAGService {
    * @param {string} params.userId - 用户ID
    * @param {string} params.type - 知识类型
    * @param {Object} params.data - 更新数据
+   * @param {string} [params.knowledgeBaseId] - 条目所属共享知识库ID
    * @returns {Promise<Object>} 更新后的知识条目
    */
-  async updateKnowledge({ entryId, userId, type, data }) {
+  async updateKnowledge({ entryId, userId, type, data, knowledgeBaseId }) {
     try {
       switch (type) {
         case KnowledgeType.QA_PAIR:
           return await this.knowledgeBaseService.updateQAPair({
+            ...data,
             entryId,
             userId,
-            ...data,
+            knowledgeBaseId,
           });
         case KnowledgeType.SYNONYM:
           return await this.knowledgeBaseService.updateSynonym({
+            ...data,
             entryId,
             userId,
-            ...data,
+            knowledgeBaseId,
           });
         case KnowledgeType.BUSINESS_KNOWLEDGE:
           return await this.knowledgeBaseService.updateBusinessKnowledge({
+            ...data,
             entryId,
             userId,
-            ...data,
+            knowledgeBaseId,
           });
         default:
           throw new Error(`不支持更新类型: ${type}`);
@@ -276,15 +356,35 @@ class RAGService {
    * @param {Object} params
    * @param {string} params.entryId - 知识条目ID
    * @param {string} params.userId - 用户ID
+   * @param {string} [params.knowledgeBaseId] - 条目所属共享知识库ID
    * @returns {Promise<boolean>} 是否删除成功
    */
-  async deleteKnowledge({ entryId, userId }) {
+  async deleteKnowledge({ entryId, userId, knowledgeBaseId }) {
     return await this.knowledgeBaseService.deleteKnowledgeEntry({
       entryId,
       userId,
+      knowledgeBaseId,
     });
   }
 
+  /**
+   * 获取知识条目的版本历史
+   * @param {Object} params - 见 KnowledgeBaseService.getEntryVersions
+   * @returns {Promise<{ versions: Object[], total: number }|null>}
+   */
+  async getKnowledgeVersions(params) {
+    return await this.knowledgeBaseService.getEntryVersions(params);
+  }
+
+  /**
+   * 将知识条目恢复到指定版本（同时同步向量数据库）
+   * @param {Object} params - 见 KnowledgeBaseService.restoreEntryVersion
+   * @returns {Promise<Object|null>} 恢复后的知识条目
+   */
+  async restoreKnowledgeVersion(params) {
+    return await this.knowledgeBaseService.restoreEntryVersion(params);
+  }
+
   /**
    * 获取知识条目列表
    * @param {Object} params
@@ -298,6 +398,59 @@ class RAGService {
       ...filters,
     });
   }
+
+  /**
+   * 读取数据源表结构并同步语义模型
+   * @param {Object} params - 见 SchemaIntrospectionService.syncDatabase
+   * @returns {Promise<Object>} 同步报告
+   */
+  async syncDatabaseSemanticModels(params) {
+    return await this.schemaIntrospectionService.syncDatabase(params);
+  }
+
+  /**
+   * 导出知识库
+   * @param {Object} params - 见 KnowledgeBundleService.exportBundle
+   * @returns {Promise<{ header: Object, entries: Object[] }>} 导出包
+   */
+  async exportKnowledge(params) {
+    return await this.knowledgeBundleService.exportBundle(params);
+  }
+
+  /**
+   * 导入知识库
+   * @param {Object} params - 见 KnowledgeBundleService.importBundle
+   * @returns {Promise<Object>} 导入报告
+   */
+  async importKnowledge(params) {
+    return await this.knowledgeBundleService.importBundle(params);
+  }
+
+  /**
+   * 使用黄金问题集评测检索效果
+   * @param {Object} params - 见 RAGEvaluationService.runEvaluation
+   * @returns {Promise<Object>} 评测记录
+   */
+  async runEvaluation(params) {
+    return await this.evaluationService.runEvaluation(params);
+  }
+
+  /**
+   * 启动向量模型迁移（后台执行，进度见 getEmbeddingStatus）
+   * @param {Object} params - 见 EmbeddingMigrationService.startMigration
+   * @returns {Promise<Object>} 迁移中的模型记录
+   */
+  async startEmbeddingMigration(params) {
+    return await this.embeddingMigrationService.startMigration(params);
+  }
+
+  /**
+   * 获取向量模型列表与迁移进度
+   * @returns {Promise<Object>}
+   */
+  async getEmbeddingStatus() {
+    return await this.embeddingMigrationService.getStatus();
+  }
 }
 
 module.exports = RAGService;
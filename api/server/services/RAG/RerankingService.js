@@ -7,8 +7,12 @@ const ONNXRerankingService = require('./ONNXRerankingService');
  * 优先使用本地 ONNX 模型
  */
 class RerankingService {
-  constructor() {
-    this.rerankerType = process.env.RERANKER_TYPE || 'onnx'; // 默认使用 ONNX
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.rerankerType] - 重排器类型（onnx、none 或外部重排器），默认读取 RERANKER_TYPE
+   */
+  constructor({ rerankerType } = {}) {
+    this.rerankerType = rerankerType || process.env.RERANKER_TYPE || 'onnx'; // 默认使用 ONNX
     this.useONNX = process.env.USE_ONNX_RERANKER !== 'false'; // 默认启用 ONNX
     this.onnxRerankingService = new ONNXRerankingService();
     this.reranker = this.createReranker();
@@ -195,13 +199,13 @@ class RerankingService {
         return rerankedResults;
       }
 
-      // 默认重排：按分数排序
+      // 默认重排：按分数排序（经过 RRF 融合的结果按融合分数排序）
       const sortedResults = results
         .map(result => ({
           ...result,
           reranked: false,
         }))
-        .sort((a, b) => (b.score || 0) - (a.score || 0))
+        .sort((a, b) => (b.fusionScore ?? b.score ?? 0) - (a.fusionScore ?? a.score ?? 0))
         .slice(0, topK);
 
       logger.info(`[RerankingService] 使用默认排序，返回 ${sortedResults.length} 个结果`);
@@ -2,6 +2,13 @@ const { logger } = require('@aipyq/data-schemas');
 const mongoose = require('mongoose');
 const { createModels } = require('@aipyq/data-schemas');
 const VectorDBService = require('./VectorDBService');
+const { getKnowledgeBaseScope } = require('./KnowledgeBaseService');
+const {
+  applySearchTokens,
+  buildCandidatePipeline,
+  backfillSearchTokens,
+  getKnowledgeLexicalText,
+} = require('./KnowledgeLexicalIndex');
 
 // 确保模型已创建（如果还没有）
 let KnowledgeEntry;
@@ -58,6 +65,17 @@ function ensureKnowledgeEntryModel() {
         embedding: {
           type: [Number],
         },
+        embedding_model: {
+          type: String,
+          index: true,
+        },
+        staged_embedding: {
+          type: [Number],
+          default: undefined,
+        },
+        staged_embedding_model: {
+          type: String,
+        },
         parent_id: {
           type: mongoose.Schema.Types.ObjectId,
           ref: 'KnowledgeEntry',
@@ -73,6 +91,7 @@ function ensureKnowledgeEntryModel() {
       
       KnowledgeEntrySchema.index({ user: 1, type: 1 });
       KnowledgeEntrySchema.index({ 'metadata.entity_id': 1 });
+      applySearchTokens(KnowledgeEntrySchema);
       
       KnowledgeEntry = mongoose.models.KnowledgeEntry || mongoose.model('KnowledgeEntry', KnowledgeEntrySchema);
       logger.debug('[RetrievalService] KnowledgeEntry model created directly from schema');
@@ -105,6 +124,23 @@ try {
   }
 }
 const EmbeddingService = require('./EmbeddingService');
+const { belongsToModel } = require('./EmbeddingModelRegistry');
+const LexicalSearchService = require('./LexicalSearchService');
+const { cosineSimilarity } = require('~/server/utils/llm');
+const { uniqueTerms } = require('./TextTokenizer');
+
+/** 知识条目 search_tokens 回填任务（每个进程只运行一次） */
+let searchTokensBackfill = null;
+
+/**
+ * 倒数排名融合（RRF）默认参数
+ * k 越大，排名靠后的结果与靠前结果的分差越小
+ */
+const DEFAULT_FUSION = {
+  vectorWeight: 1,
+  lexicalWeight: 1,
+  k: 60,
+};
 
 /**
  * 向量检索服务
@@ -116,35 +152,38 @@ class RetrievalService {
     this.vectorDBService = new VectorDBService();
     this.ragApiUrl = process.env.RAG_API_URL; // 可选，仅用于文件检索
     this.useVectorDB = process.env.USE_VECTOR_DB !== 'false'; // 默认启用向量数据库
+    this.lexicalSearchService = new LexicalSearchService();
+    this.useLexical = process.env.RAG_LEXICAL_SEARCH !== 'false'; // 默认启用词法检索（BM25）
+    this.lexicalScanLimit = parseInt(process.env.RAG_LEXICAL_SCAN_LIMIT || '5000', 10);
   }
 
   /**
-   * 计算余弦相似度
-   * @param {number[]} vec1 - 向量1
-   * @param {number[]} vec2 - 向量2
-   * @returns {number} 相似度分数（0-1）
+   * 使用当前激活的向量模型向量化查询文本
+   * 检索只匹配同一模型生成的向量，避免不同模型/维度的向量混用
+   * @param {string} query - 查询文本
+   * @param {string} userId - 用户ID
+   * @returns {Promise<{ queryEmbedding: number[]|null, embeddingModel: Object }>}
    */
-  cosineSimilarity(vec1, vec2) {
-    if (vec1.length !== vec2.length) {
-      throw new Error('Vectors must have the same length');
-    }
-
-    let dotProduct = 0;
-    let norm1 = 0;
-    let norm2 = 0;
+  async embedQuery(query, userId) {
+    const { embedding, model } = await this.embeddingService.embedTextForActiveModel(query, userId);
+    return { queryEmbedding: embedding, embeddingModel: model };
+  }
 
-    for (let i = 0; i < vec1.length; i++) {
-      dotProduct += vec1[i] * vec2[i];
-      norm1 += vec1[i] * vec1[i];
-      norm2 += vec2[i] * vec2[i];
+  /**
+   * 获取知识条目在指定模型下的向量
+   * 模型迁移期间，新模型的向量暂存在 staged_embedding 中，切换后再替换 embedding
+   * @param {Object} entry - 知识条目
+   * @param {{ modelId: string, legacy?: boolean }} model - 激活模型
+   * @returns {number[]|null}
+   */
+  getEntryEmbedding(entry, model) {
+    if (entry.embedding && entry.embedding.length > 0 && belongsToModel(entry.embedding_model, model)) {
+      return entry.embedding;
     }
-
-    const denominator = Math.sqrt(norm1) * Math.sqrt(norm2);
-    if (denominator === 0) {
-      return 0;
+    if (entry.staged_embedding_model === model.modelId && entry.staged_embedding?.length > 0) {
+      return entry.staged_embedding;
     }
-
-    return dotProduct / denominator;
+    return null;
   }
 
   /**
@@ -156,9 +195,10 @@ class RetrievalService {
    * @param {string} [params.entityId] - 实体ID过滤
    * @param {number} [params.topK] - 返回前K个结果
    * @param {number} [params.minScore] - 最小相似度分数
+   * @param {string[]} [params.knowledgeBaseIds] - 已授权的共享知识库ID（未提供时只检索非共享条目）
    * @returns {Promise<Array>} 检索结果数组
    */
-  async retrieveFromKnowledgeBase({ query, userId, types, entityId, topK = 10, minScore = 0.5 }) {
+  async retrieveFromKnowledgeBase({ query, userId, types, entityId, topK = 10, minScore = 0.5, knowledgeBaseIds }) {
     try {
       // 确保 KnowledgeEntry 模型已初始化
       const EntryModel = ensureKnowledgeEntryModel();
@@ -169,7 +209,7 @@ class RetrievalService {
 
       // 1. 将查询文本向量化
       logger.info(`[RetrievalService] 开始向量化查询文本: "${query.substring(0, 50)}${query.length > 50 ? '...' : ''}"`);
-      const queryEmbedding = await this.embeddingService.embedText(query, userId);
+      const { queryEmbedding, embeddingModel } = await this.embedQuery(query, userId);
       
       if (!queryEmbedding) {
         logger.warn('[RetrievalService] 查询文本向量化失败，无法进行检索');
@@ -190,6 +230,7 @@ class RetrievalService {
             entityId, 
             topK: topK * 2, // 检索更多结果以便后续过滤
             minScore,
+            embeddingModel,
           });
 
           // 从 MongoDB 获取完整信息
@@ -200,9 +241,11 @@ class RetrievalService {
               return [];
             }
             
+            // 向量库不区分知识库归属，在回查 MongoDB 时按知识库范围过滤
             const knowledgeEntryIds = vectorResults.map(r => r.knowledgeEntryId);
             const knowledgeEntries = await KEModel.find({
               _id: { $in: knowledgeEntryIds },
+              ...getKnowledgeBaseScope(knowledgeBaseIds),
             })
               .select('type title content embedding metadata user')
               .lean();
@@ -251,7 +294,7 @@ class RetrievalService {
         return [];
       }
       
-      const queryConditions = {};
+      const queryConditions = getKnowledgeBaseScope(knowledgeBaseIds);
 
       if (types && types.length > 0) {
         queryConditions.type = { $in: types };
@@ -262,7 +305,7 @@ class RetrievalService {
       }
 
       const knowledgeEntries = await KEModel.find(queryConditions)
-        .select('type title content embedding metadata user')
+        .select('type title content embedding embedding_model staged_embedding staged_embedding_model metadata user')
         .lean();
 
       if (knowledgeEntries.length === 0) {
@@ -272,14 +315,20 @@ class RetrievalService {
 
       // 4. 计算相似度并排序
       const scoredResults = knowledgeEntries
-        .map(entry => {
-          if (!entry.embedding || entry.embedding.length === 0) {
+        .map(({ staged_embedding, staged_embedding_model, ...entry }) => {
+          // 只与当前激活模型生成的向量比较
+          const embedding = this.getEntryEmbedding(
+            { ...entry, staged_embedding, staged_embedding_model },
+            embeddingModel,
+          );
+          if (!embedding) {
             return null;
           }
 
-          const score = this.cosineSimilarity(queryEmbedding, entry.embedding);
+          const score = cosineSimilarity(queryEmbedding, embedding);
           return {
             ...entry,
+            embedding,
             score,
             similarity: score,
           };
@@ -309,16 +358,17 @@ class RetrievalService {
    * @param {string} params.userId - 用户ID
    * @param {string} [params.entityId] - 实体ID（数据源隔离，可选）
    * @param {number} [params.k] - 返回前K个结果
+   * @param {number} [params.minScore] - 最小相似度分数
    * @returns {Promise<Array>} 检索结果数组
    */
-  async retrieveFromFiles({ query, fileId, userId, entityId, k = 4 }) {
+  async retrieveFromFiles({ query, fileId, userId, entityId, k = 4, minScore = 0.5 }) {
     // 优先使用本地向量数据库
     if (this.useVectorDB) {
       try {
         logger.info(`[RetrievalService] 使用本地向量数据库检索文件: fileId=${fileId}`);
         
         // 1. 将查询文本向量化
-        const queryEmbedding = await this.embeddingService.embedText(query, userId);
+        const { queryEmbedding, embeddingModel } = await this.embedQuery(query, userId);
         
         if (!queryEmbedding) {
           logger.warn('[RetrievalService] 查询文本向量化失败，无法进行文件检索');
@@ -332,7 +382,8 @@ class RetrievalService {
           fileId, // 指定file_id，只检索该文件的chunk
           entityId, // 数据源隔离
           topK: k,
-          minScore: 0.5,
+          minScore,
+          embeddingModel,
         });
 
         // 3. 转换格式以统一返回
@@ -346,7 +397,9 @@ class RetrievalService {
             file_id: result.fileId,
             filename: result.metadata?.filename || result.metadata?.source?.split('/').pop(),
             chunk_index: result.chunkIndex,
-            page: result.metadata?.page || null,
+            page: result.metadata?.page || result.metadata?.page_start || null,
+            page_end: result.metadata?.page_end || null,
+            section_title: result.metadata?.section_title,
             entity_id: result.metadata?.entity_id || entityId,
           },
         }));
@@ -421,6 +474,227 @@ class RetrievalService {
     }
   }
 
+  /**
+   * 提取知识条目用于词法检索的文本
+   * 除标题和内容外，同时纳入问题、名词、同义词、表名等结构化字段
+   * @param {Object} entry - 知识条目
+   * @returns {string} 检索文本
+   */
+  getLexicalText(entry) {
+    return getKnowledgeLexicalText(entry);
+  }
+
+  /**
+   * 从知识库中进行词法检索（BM25）
+   * 通过 search_tokens 多键索引筛选命中查询词元的候选，再在应用层做 BM25 精排；
+   * 文档总数取自整个检索范围，候选超过 RAG_LEXICAL_SCAN_LIMIT 时按命中词元数截断
+   * @param {Object} params
+   * @param {string} params.query - 查询文本
+   * @param {string[]} [params.types] - 要检索的知识类型数组
+   * @param {string} [params.entityId] - 实体ID过滤
+   * @param {number} [params.topK] - 返回前K个结果
+   * @param {string[]} [params.knowledgeBaseIds] - 已授权的共享知识库ID（未提供时只检索非共享条目）
+   * @returns {Promise<Array>} 检索结果数组
+   */
+  async retrieveFromKnowledgeBaseLexical({ query, types, entityId, topK = 10, knowledgeBaseIds }) {
+    const KEModel = ensureKnowledgeEntryModel();
+    if (!KEModel) {
+      logger.warn('[RetrievalService] KnowledgeEntry model not available, skipping lexical retrieval');
+      return [];
+    }
+
+    const terms = uniqueTerms(query);
+    if (terms.length === 0) {
+      return [];
+    }
+
+    // 历史条目没有 search_tokens，进程内首次检索时在后台回填
+    if (!searchTokensBackfill) {
+      searchTokensBackfill = backfillSearchTokens(KEModel).catch(error => {
+        logger.warn('[RetrievalService] 回填知识条目 search_tokens 失败:', error.message);
+        searchTokensBackfill = null;
+      });
+    }
+
+    const queryConditions = getKnowledgeBaseScope(knowledgeBaseIds);
+    if (types && types.length > 0) {
+      queryConditions.type = { $in: types };
+    }
+    if (entityId) {
+      queryConditions['metadata.entity_id'] = entityId;
+    }
+
+    const [knowledgeEntries, totalDocs] = await Promise.all([
+      KEModel.aggregate(
+        buildCandidatePipeline({ conditions: queryConditions, terms, limit: this.lexicalScanLimit }),
+      ),
+      KEModel.countDocuments(queryConditions),
+    ]);
+
+    if (knowledgeEntries.length >= this.lexicalScanLimit) {
+      logger.warn(
+        `[RetrievalService] 知识库词法候选达到上限 ${this.lexicalScanLimit}（范围内共 ${totalDocs} 条），已按命中词元数截断`,
+      );
+    }
+
+    const ranked = this.lexicalSearchService.rankDocuments({
+      query,
+      documents: knowledgeEntries,
+      getText: entry => this.getLexicalText(entry),
+      topK,
+      totalDocs,
+    });
+
+    logger.info(`[RetrievalService] 知识库词法检索: 候选 ${knowledgeEntries.length} 条，返回 ${ranked.length} 条`);
+
+    return ranked.map(({ document, bm25, lexicalScore }) => ({
+      ...document,
+      score: lexicalScore,
+      similarity: lexicalScore,
+      bm25,
+      lexicalScore,
+    }));
+  }
+
+  /**
+   * 从文件向量库中进行词法检索（BM25）
+   * @param {Object} params
+   * @param {string} params.query - 查询文本
+   * @param {string[]} [params.fileIds] - 文件ID数组（可选）
+   * @param {string} [params.entityId] - 实体ID（数据源隔离，可选）
+   * @param {number} [params.topK] - 返回前K个结果
+   * @returns {Promise<Array>} 检索结果数组
+   */
+  async retrieveFromFilesLexical({ query, fileIds, entityId, topK = 4 }) {
+    if (!this.useVectorDB) {
+      return [];
+    }
+
+    const embeddingModel = await this.embeddingService.modelRegistry.getActiveModel();
+    const results = await this.lexicalSearchService.searchFiles({
+      query,
+      fileIds,
+      entityId,
+      topK,
+      embeddingModel,
+    });
+
+    return results.map(result => ({
+      type: KnowledgeType.FILE,
+      title: result.metadata?.filename || result.metadata?.source?.split('/').pop() || '文件',
+      content: result.content,
+      score: result.lexicalScore,
+      similarity: result.lexicalScore,
+      bm25: result.bm25,
+      lexicalScore: result.lexicalScore,
+      metadata: {
+        file_id: result.fileId,
+        filename: result.metadata?.filename || result.metadata?.source?.split('/').pop(),
+        chunk_index: result.chunkIndex,
+        page: result.metadata?.page || result.metadata?.page_start || null,
+        page_end: result.metadata?.page_end || null,
+        section_title: result.metadata?.section_title,
+        entity_id: result.metadata?.entity_id || entityId,
+      },
+    }));
+  }
+
+  /**
+   * 获取检索结果的唯一标识，用于跨检索通道合并同一条目
+   * @param {Object} result - 检索结果
+   * @returns {string} 唯一标识
+   */
+  getResultKey(result) {
+    if (result.type === KnowledgeType.FILE) {
+      return `file:${result.metadata?.file_id}:${result.metadata?.chunk_index}`;
+    }
+    return `entry:${result._id?.toString() || result.knowledgeEntryId}`;
+  }
+
+  /**
+   * 规范化融合参数（过滤非法值，回退到默认值）
+   * @param {Object} [fusion] - 融合参数
+   * @param {number} [fusion.vectorWeight] - 向量检索通道权重
+   * @param {number} [fusion.lexicalWeight] - 词法检索通道权重
+   * @param {number} [fusion.k] - RRF 平滑常数
+   * @returns {{ vectorWeight: number, lexicalWeight: number, k: number }}
+   */
+  normalizeFusionOptions(fusion = {}) {
+    const pick = (value, fallback, min) => {
+      const number = Number(value);
+      return value !== undefined && value !== null && Number.isFinite(number) && number >= min ? number : fallback;
+    };
+
+    return {
+      vectorWeight: pick(fusion.vectorWeight, DEFAULT_FUSION.vectorWeight, 0),
+      lexicalWeight: pick(fusion.lexicalWeight, DEFAULT_FUSION.lexicalWeight, 0),
+      k: pick(fusion.k, DEFAULT_FUSION.k, 1),
+    };
+  }
+
+  /**
+   * 将知识条目与文件分块的词法检索结果转换为 RRF 的有序列表
+   * 两个语料的文档数、文档频率和平均长度不同，BM25 原始分数不可比较，因此各自单独排名，不合并排序
+   * @param {PromiseSettledResult<Array>[]} lexicalSettled - [知识库, 文件] 词法检索结果
+   * @param {number} weight - 词法通道权重
+   * @returns {Array<{ source: string, results: Array, weight: number }>}
+   */
+  toLexicalRankedLists(lexicalSettled, weight) {
+    return lexicalSettled.map((settled, index) => {
+      if (settled.status !== 'fulfilled') {
+        logger.warn(`[RetrievalService] 词法检索失败 (${index === 0 ? '知识库' : '文件'}):`, settled.reason?.message);
+        return { source: 'lexical', results: [], weight };
+      }
+      const results = [...(settled.value || [])].sort((a, b) => b.bm25 - a.bm25);
+      return { source: 'lexical', results, weight };
+    });
+  }
+
+  /**
+   * 倒数排名融合（Reciprocal Rank Fusion）
+   * fusionScore = Σ weight / (k + rank)，rank 从 1 开始
+   * 同一通道可以有多个列表（如知识库和文件的词法结果），rank 为条目在所在列表中的名次
+   * 同一条目在多个通道中出现时合并为一条，优先保留向量通道的结果（score 为余弦相似度），
+   * 仅词法命中的结果 score 为归一化后的 BM25 分数
+   * @param {Array<{ source: string, results: Array, weight: number }>} rankedLists - 各通道的有序结果
+   * @param {number} k - RRF 平滑常数
+   * @returns {Array} 按 fusionScore 降序排列的结果
+   */
+  fuseWithRRF(rankedLists, k = DEFAULT_FUSION.k) {
+    const fused = new Map();
+
+    for (const { source, results, weight } of rankedLists) {
+      if (!weight || !results) {
+        continue;
+      }
+
+      results.forEach((result, index) => {
+        const key = this.getResultKey(result);
+        const rank = index + 1;
+        const contribution = weight / (k + rank);
+        const existing = fused.get(key);
+
+        if (!existing) {
+          fused.set(key, {
+            ...result,
+            fusionScore: contribution,
+            ranks: { [source]: rank },
+          });
+          return;
+        }
+
+        existing.fusionScore += contribution;
+        existing.ranks[source] = rank;
+        if (source === 'lexical') {
+          existing.bm25 = result.bm25;
+          existing.lexicalScore = result.lexicalScore;
+        }
+      });
+    }
+
+    return Array.from(fused.values()).sort((a, b) => b.fusionScore - a.fusionScore);
+  }
+
   /**
    * 混合检索：从知识库和文件中检索
    * 智能文件检索策略：
@@ -431,12 +705,17 @@ class RetrievalService {
    * @param {string} params.query - 查询文本
    * @param {string} params.userId - 用户ID
    * @param {string[]} [params.fileIds] - 文件ID数组（可选，如果提供则优先检索指定文件）
-   * @param {string[]} [params.types] - 知识类型数组
+   * @param {string[]} [params.types] - 知识类型数组（空数组表示不检索知识条目，只检索文件）
    * @param {string} [params.entityId] - 实体ID
    * @param {number} [params.topK] - 总返回数量
+   * @param {boolean} [params.includeFiles] - 是否检索文件分块，默认 true
+   * @param {boolean} [params.useLexical] - 是否启用词法检索通道（BM25），默认跟随 RAG_LEXICAL_SEARCH
+   * @param {Object} [params.fusion] - 向量/词法结果的 RRF 融合参数（vectorWeight、lexicalWeight、k）
+   * @param {number} [params.minScore] - 向量检索的最小相似度分数
+   * @param {string[]} [params.knowledgeBaseIds] - 已授权的共享知识库ID（未提供时只检索非共享条目）
    * @returns {Promise<Array>} 混合检索结果
    */
-  async hybridRetrieve({ query, userId, fileIds, types, entityId, topK = 10 }) {
+  async hybridRetrieve({ query, userId, fileIds, types, entityId, topK = 10, includeFiles = true, useLexical = this.useLexical, fusion, minScore = 0.5, knowledgeBaseIds }) {
     try {
       // 确保 KnowledgeEntry 模型已初始化
       const KEModel = ensureKnowledgeEntryModel();
@@ -446,26 +725,58 @@ class RetrievalService {
       }
 
       const promises = [];
+      const fusionOptions = this.normalizeFusionOptions(fusion);
+      const lexicalEnabled = useLexical && fusionOptions.lexicalWeight > 0;
+      const includeKnowledge = !Array.isArray(types) || types.length > 0;
+
+      // 0. 词法检索通道（BM25），与向量检索并行执行
+      const lexicalPromise = lexicalEnabled
+        ? Promise.allSettled([
+            includeKnowledge
+              ? this.retrieveFromKnowledgeBaseLexical({
+                  query,
+                  types,
+                  entityId,
+                  topK: Math.ceil(topK * 0.7),
+                  knowledgeBaseIds,
+                })
+              : [],
+            includeFiles
+              ? this.retrieveFromFilesLexical({
+                  query,
+                  fileIds,
+                  entityId,
+                  topK: Math.ceil(topK * 0.3),
+                })
+              : [],
+          ])
+        : null;
 
-      // 1. 从知识库检索
+      // 1. 从知识库检索（types 为空数组时跳过，只检索文件）
       promises.push(
-        this.retrieveFromKnowledgeBase({
-          query,
-          userId,
-          types,
-          entityId,
-          topK: Math.ceil(topK * 0.7), // 70% 来自知识库
-        }).catch(error => {
-          logger.error('[RetrievalService] retrieveFromKnowledgeBase failed:', error);
-          return []; // 返回空数组而不是抛出错误
-        })
+        includeKnowledge
+          ? this.retrieveFromKnowledgeBase({
+              query,
+              userId,
+              types,
+              entityId,
+              topK: Math.ceil(topK * 0.7), // 70% 来自知识库
+              minScore,
+              knowledgeBaseIds,
+            }).catch(error => {
+              logger.error('[RetrievalService] retrieveFromKnowledgeBase failed:', error);
+              return []; // 返回空数组而不是抛出错误
+            })
+          : Promise.resolve([])
       );
 
       // 2. 智能文件检索策略
       let fileResults = [];
       const fileTopK = Math.ceil(topK * 0.3); // 30% 来自文件
 
-      if (fileIds && fileIds.length > 0) {
+      if (!includeFiles) {
+        logger.info('[RetrievalService] 未包含文件类型，跳过文件检索');
+      } else if (fileIds && fileIds.length > 0) {
         // 策略1：如果指定了fileIds，先尝试用file_id检索（只检索指定文件的chunk）
         logger.info(`[RetrievalService] 使用file_id检索模式，检索 ${fileIds.length} 个指定文件`);
         
@@ -476,6 +787,7 @@ class RetrievalService {
             userId,
             entityId,
             k: Math.ceil(fileTopK / fileIds.length),
+            minScore,
           })
         );
         
@@ -489,7 +801,7 @@ class RetrievalService {
           // 策略2：跨文件相似度检索（不指定file_id，检索所有文件的chunk）
           if (this.useVectorDB) {
             try {
-              const queryEmbedding = await this.embeddingService.embedText(query, userId);
+              const { queryEmbedding, embeddingModel } = await this.embedQuery(query, userId);
               if (queryEmbedding) {
                 const crossFileResults = await this.vectorDBService.searchFileVectors({
                   queryEmbedding,
@@ -497,7 +809,8 @@ class RetrievalService {
                   fileId: null,
                   entityId,
                   topK: fileTopK,
-                  minScore: 0.5,
+                  minScore,
+                  embeddingModel,
                 });
 
                 // 转换格式
@@ -541,14 +854,15 @@ class RetrievalService {
         
         if (this.useVectorDB) {
           try {
-            const queryEmbedding = await this.embeddingService.embedText(query, userId);
+            const { queryEmbedding, embeddingModel } = await this.embedQuery(query, userId);
             if (queryEmbedding) {
               const crossFileResults = await this.vectorDBService.searchFileVectors({
                 queryEmbedding,
                 fileId: null, // 不指定fileId，检索所有文件
                 entityId,
                 topK: fileTopK,
-                minScore: 0.5,
+                minScore,
+                embeddingModel,
               });
 
               // 转换格式
@@ -584,11 +898,28 @@ class RetrievalService {
         logger.error('[RetrievalService] Error stack:', allResults[0].reason?.stack);
       }
 
-      const combinedResults = [...knowledgeResults, ...fileResults]
-        .sort((a, b) => (b.score || b.similarity || 0) - (a.score || a.similarity || 0))
-        .slice(0, topK);
+      const vectorResults = [...knowledgeResults, ...fileResults]
+        .sort((a, b) => (b.score || b.similarity || 0) - (a.score || a.similarity || 0));
+
+      if (!lexicalPromise) {
+        const combinedResults = vectorResults.slice(0, topK);
+        logger.info(`[RetrievalService] 混合检索完成: 知识库 ${knowledgeResults.length} 条，文件 ${fileResults.length} 条，总计 ${combinedResults.length} 条`);
+        return combinedResults;
+      }
+
+      // 4. 知识库和文件的词法结果各自作为一个有序列表，与向量检索结果进行 RRF 融合
+      const lexicalLists = this.toLexicalRankedLists(await lexicalPromise, fusionOptions.lexicalWeight);
+      const lexicalCount = lexicalLists.reduce((sum, list) => sum + list.results.length, 0);
+
+      const combinedResults = this.fuseWithRRF(
+        [
+          { source: 'vector', results: vectorResults, weight: fusionOptions.vectorWeight },
+          ...lexicalLists,
+        ],
+        fusionOptions.k,
+      ).slice(0, topK);
 
-      logger.info(`[RetrievalService] 混合检索完成: 知识库 ${knowledgeResults.length} 条，文件 ${fileResults.length} 条，总计 ${combinedResults.length} 条`);
+      logger.info(`[RetrievalService] 混合检索完成: 知识库 ${knowledgeResults.length} 条，文件 ${fileResults.length} 条，词法 ${lexicalCount} 条，RRF融合后 ${combinedResults.length} 条 (权重 向量:${fusionOptions.vectorWeight} 词法:${fusionOptions.lexicalWeight}, k=${fusionOptions.k})`);
       return combinedResults;
     } catch (error) {
       logger.error('[RetrievalService] 混合检索失败:', error);
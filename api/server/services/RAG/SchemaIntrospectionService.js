@@ -0,0 +1,683 @@
+const crypto = require('crypto');
+const { logger } = require('@aipyq/data-schemas');
+const KnowledgeBaseService = require('./KnowledgeBaseService');
+const { getIntrospector, SUPPORTED_DIALECTS } = require('./introspection');
+
+const { SemanticRole, generateSemanticModelDescription } = KnowledgeBaseService;
+
+// 同分时的角色优先级：快照、事件的特征更具体，实体作为兜底
+const ROLE_PRIORITY = [
+  SemanticRole.SNAPSHOT,
+  SemanticRole.EVENT,
+  SemanticRole.FACT,
+  SemanticRole.ENTITY,
+];
+
+const NUMERIC_TYPE_PATTERN = /(int|decimal|numeric|float|double|real|money|number)/;
+const DECIMAL_TYPE_PATTERN = /(decimal|numeric|float|double|real|money)/;
+const TEMPORAL_TYPE_PATTERN = /(date|time)/;
+const TEXT_TYPE_PATTERN = /(char|text|enum|bool|string)/;
+const ID_COLUMN_PATTERN = /(^id$|_id$|_no$|_code$)/;
+const FLAG_COLUMN_PATTERN = /(^is_|^has_|status|state|type|flag|level|category|sort|order_num)/;
+const MEASURE_NAME_PATTERN =
+  /(amount|amt|price|qty|quantity|total|fee|cost|revenue|sales|count|num|balance|stock|score|discount|tax|weight|duration)/;
+const MONEY_NAME_PATTERN = /(amount|amt|price|qty|quantity|total|fee|cost|revenue|discount|tax)/;
+const IDENTIFIABLE_NAME_PATTERN = /(name|title|code|email|phone|mobile|tel)/;
+
+const SNAPSHOT_NAME_TOKENS = [
+  'snapshot',
+  'snap',
+  'inventory',
+  'stock',
+  'balance',
+  'daily',
+  'monthly',
+  'stat',
+];
+const SNAPSHOT_DATE_PATTERN =
+  /^((snapshot|stat|as_of|biz|report|record)_?(date|dt|day|time)|dt|ds)$/;
+const SNAPSHOT_MEASURE_PATTERN = /(balance|stock|inventory|on_hand|remaining)/;
+const EVENT_NAME_TOKENS = [
+  'log',
+  'logs',
+  'event',
+  'events',
+  'behavior',
+  'behaviour',
+  'track',
+  'tracking',
+  'click',
+  'visit',
+  'audit',
+  'history',
+  'trace',
+  'action',
+];
+const EVENT_TYPE_PATTERN = /^((event|action|operation|op)_?(type|name)|event|action)$/;
+const EVENT_CONTEXT_PATTERN = /(^ip$|_ip$|user_agent|session_id|device|url|referer|referrer)/;
+const EVENT_TIME_PATTERN = /^(occurred|happened|event|log|trigger|action)_?(at|time)$/;
+const FACT_NAME_TOKENS = [
+  'fact',
+  'fct',
+  'order',
+  'orders',
+  'payment',
+  'pay',
+  'transaction',
+  'trade',
+  'sale',
+  'sales',
+  'invoice',
+  'refund',
+  'detail',
+  'item',
+  'items',
+  'bill',
+  'settlement',
+];
+const ENTITY_NAME_TOKENS = [
+  'dim',
+  'user',
+  'users',
+  'customer',
+  'member',
+  'product',
+  'goods',
+  'sku',
+  'dept',
+  'department',
+  'employee',
+  'staff',
+  'store',
+  'shop',
+  'supplier',
+  'category',
+  'region',
+  'account',
+  'doctor',
+  'patient',
+];
+
+/**
+ * 表名分词（按下划线、点、连字符和驼峰拆分）
+ * @param {string} name
+ * @returns {string[]}
+ */
+function splitName(name) {
+  return String(name || '')
+    .replace(/([a-z0-9])([A-Z])/g, '$1_$2')
+    .toLowerCase()
+    .split(/[._\-\s]+/)
+    .filter(Boolean);
+}
+
+function hash(value) {
+  return crypto.createHash('sha256').update(JSON.stringify(value)).digest('hex').slice(0, 16);
+}
+
+/**
+ * 数据库表结构读取与语义模型生成服务
+ * 连接 Postgres/MySQL/SQLite 数据源，读取表、列、注释和外键，
+ * 按主键/外键和列特征把每张表归类为 SemanticRole，
+ * 然后批量写入数据库级别和表级别的语义模型（带向量嵌入）。
+ *
+ * 重复同步时按表名与已有条目比对：结构哈希（schema_hash）未变化的表不重复写入，
+ * 变化的表原地更新，数据源中已不存在的表只报告，指定 prune 时才删除。
+ */
+class SchemaIntrospectionService {
+  /**
+   * @param {Object} [options]
+   * @param {KnowledgeBaseService} [options.knowledgeBaseService] - 复用已有的知识库服务实例
+   */
+  constructor({ knowledgeBaseService } = {}) {
+    this.knowledgeBaseService = knowledgeBaseService || new KnowledgeBaseService();
+  }
+
+  /**
+   * 读取数据源表结构
+   * @param {Object} datasource - 数据源配置，dialect 为 postgres/mysql/sqlite
+   * @returns {Promise<{ dialect: string, databaseName: string, tables: Array }>}
+   */
+  async introspect(datasource) {
+    const introspector = getIntrospector(datasource?.dialect);
+    if (!introspector) {
+      throw new Error(
+        `不支持的数据源类型: ${datasource?.dialect}，支持: ${SUPPORTED_DIALECTS.join(', ')}`,
+      );
+    }
+    const schema = await introspector.introspect(datasource);
+    logger.info(
+      `[SchemaIntrospectionService] 读取表结构: ${schema.databaseName} (${schema.dialect}), ${schema.tables.length} 张表`,
+    );
+    return schema;
+  }
+
+  /**
+   * 判断列是否为度量（可聚合的数值列）
+   * @param {Object} column - 列信息
+   * @param {Set<string>} keyColumns - 主键和外键列
+   * @returns {boolean}
+   */
+  isMeasureColumn(column, keyColumns) {
+    const name = column.name.toLowerCase();
+    const type = (column.type || '').toLowerCase();
+    if (keyColumns.has(column.name) || !NUMERIC_TYPE_PATTERN.test(type)) {
+      return false;
+    }
+    if (ID_COLUMN_PATTERN.test(name) || FLAG_COLUMN_PATTERN.test(name)) {
+      return false;
+    }
+    return DECIMAL_TYPE_PATTERN.test(type) || MEASURE_NAME_PATTERN.test(name);
+  }
+
+  /**
+   * 判断列是否为维度（时间、枚举、状态等可分组的列）
+   * @param {Object} column - 列信息
+   * @param {Set<string>} keyColumns - 主键和外键列
+   * @returns {'time'|'categorical'|null}
+   */
+  getDimensionType(column, keyColumns) {
+    const name = column.name.toLowerCase();
+    const type = (column.type || '').toLowerCase();
+    if (keyColumns.has(column.name)) {
+      return null;
+    }
+    if (TEMPORAL_TYPE_PATTERN.test(type)) {
+      return 'time';
+    }
+    if (
+      FLAG_COLUMN_PATTERN.test(name) ||
+      (TEXT_TYPE_PATTERN.test(type) && !/(text|json)/.test(type))
+    ) {
+      return 'categorical';
+    }
+    return null;
+  }
+
+  /**
+   * 按键和列特征对表进行语义角色分类
+   * 每个角色按命中的特征累计得分，取最高分；同分按 快照 > 事件 > 事实 > 实体 的优先级
+   * @param {Object} table - 表结构（见 introspection/TableCollector）
+   * @param {Object} [options]
+   * @param {number} [options.inboundReferences] - 被其他表外键引用的次数
+   * @returns {{ role: string, scores: Object, reasons: string[] }}
+   */
+  classifySemanticRole(table, { inboundReferences = 0 } = {}) {
+    const scores = {
+      [SemanticRole.ENTITY]: 0,
+      [SemanticRole.FACT]: 0,
+      [SemanticRole.SNAPSHOT]: 0,
+      [SemanticRole.EVENT]: 0,
+    };
+    const reasons = Object.fromEntries(Object.keys(scores).map((role) => [role, []]));
+    const hit = (role, points, reason) => {
+      scores[role] += points;
+      reasons[role].push(reason);
+    };
+
+    const tokens = splitName(table.name);
+    const columns = table.columns || [];
+    const columnNames = columns.map((col) => col.name.toLowerCase());
+    const keyColumns = new Set([
+      ...(table.primaryKey || []),
+      ...(table.foreignKeys || []).flatMap((fk) => fk.columns),
+    ]);
+    const measures = columns.filter((col) => this.isMeasureColumn(col, keyColumns));
+    const foreignKeyCount = (table.foreignKeys || []).length;
+    const hasToken = (list) => tokens.some((token) => list.includes(token));
+
+    // 快照：按时间点记录状态
+    if (hasToken(SNAPSHOT_NAME_TOKENS)) {
+      hit(SemanticRole.SNAPSHOT, 2, '表名包含快照类关键词');
+    }
+    if (columnNames.some((name) => SNAPSHOT_DATE_PATTERN.test(name))) {
+      hit(SemanticRole.SNAPSHOT, 2, '包含快照日期列');
+    }
+    const primaryKeyColumns = columns.filter((col) => (table.primaryKey || []).includes(col.name));
+    if (
+      primaryKeyColumns.length > 1 &&
+      primaryKeyColumns.some((col) => TEMPORAL_TYPE_PATTERN.test((col.type || '').toLowerCase()))
+    ) {
+      hit(SemanticRole.SNAPSHOT, 2, '联合主键包含日期列');
+    }
+    if (measures.some((col) => SNAPSHOT_MEASURE_PATTERN.test(col.name.toLowerCase()))) {
+      hit(SemanticRole.SNAPSHOT, 1, '包含余额/库存类状态度量');
+    }
+
+    // 事件：行为、日志、变更流水
+    if (hasToken(EVENT_NAME_TOKENS)) {
+      hit(SemanticRole.EVENT, 2, '表名包含日志/事件类关键词');
+    }
+    if (columnNames.some((name) => EVENT_TYPE_PATTERN.test(name))) {
+      hit(SemanticRole.EVENT, 2, '包含事件/动作类型列');
+    }
+    if (columnNames.some((name) => EVENT_CONTEXT_PATTERN.test(name))) {
+      hit(SemanticRole.EVENT, 1, '包含 IP/设备/会话等上下文列');
+    }
+    if (columnNames.some((name) => EVENT_TIME_PATTERN.test(name))) {
+      hit(SemanticRole.EVENT, 1, '包含事件发生时间列');
+    }
+    if (scores[SemanticRole.EVENT] > 0 && measures.length === 0) {
+      hit(SemanticRole.EVENT, 1, '没有可聚合的度量列');
+    }
+
+    // 事实：可聚合的业务交易
+    if (hasToken(FACT_NAME_TOKENS)) {
+      hit(SemanticRole.FACT, 2, '表名包含交易/订单类关键词');
+    }
+    if (foreignKeyCount >= 2) {
+      hit(SemanticRole.FACT, 2, `引用了 ${foreignKeyCount} 个其他表`);
+    } else if (foreignKeyCount === 1) {
+      hit(SemanticRole.FACT, 1, '引用了 1 个其他表');
+    }
+    if (measures.some((col) => MONEY_NAME_PATTERN.test(col.name.toLowerCase()))) {
+      hit(SemanticRole.FACT, 2, '包含金额/数量类度量');
+    }
+
+    // 实体：被引用的、可识别的对象
+    if (hasToken(ENTITY_NAME_TOKENS)) {
+      hit(SemanticRole.ENTITY, 2, '表名包含实体类关键词');
+    }
+    if (inboundReferences > 0) {
+      hit(SemanticRole.ENTITY, 2, `被 ${inboundReferences} 个外键引用`);
+    }
+    if ((table.primaryKey || []).length === 1) {
+      hit(SemanticRole.ENTITY, 1, '单列主键');
+    }
+    if (
+      columnNames.some(
+        (name) => IDENTIFIABLE_NAME_PATTERN.test(name) && !ID_COLUMN_PATTERN.test(name),
+      )
+    ) {
+      hit(SemanticRole.ENTITY, 1, '包含名称/编码/联系方式等可识别字段');
+    }
+
+    let role = SemanticRole.ENTITY;
+    let best = 0;
+    for (const candidate of ROLE_PRIORITY) {
+      if (scores[candidate] > best) {
+        role = candidate;
+        best = scores[candidate];
+      }
+    }
+
+    return {
+      role,
+      scores,
+      reasons: best > 0 ? reasons[role] : ['没有明显特征，默认作为实体'],
+    };
+  }
+
+  /**
+   * 计算表结构哈希，用于重复同步时判断表是否变化
+   * @param {Object} table - 表结构
+   * @returns {string}
+   */
+  computeSchemaHash(table) {
+    return hash({
+      name: table.fullName || table.name,
+      type: table.type,
+      comment: table.comment || '',
+      columns: (table.columns || []).map((col) => [
+        col.name,
+        col.type,
+        col.nullable,
+        col.key,
+        col.comment || '',
+      ]),
+      primaryKey: table.primaryKey || [],
+      foreignKeys: (table.foreignKeys || []).map((fk) => [
+        fk.columns,
+        fk.referencedTable,
+        fk.referencedColumns,
+      ]),
+    });
+  }
+
+  /**
+   * 将表结构转换为语义模型（与 DatabaseSchema 工具输出的语义模型结构一致）
+   * @param {Object} table - 表结构
+   * @param {Object} [options]
+   * @param {number} [options.inboundReferences] - 被其他表外键引用的次数
+   * @returns {{ model: Object, classification: Object }}
+   */
+  buildSemanticModel(table, { inboundReferences = 0 } = {}) {
+    const tableName = table.fullName || table.name;
+    const classification = this.classifySemanticRole(table, { inboundReferences });
+    const keyColumns = new Set([
+      ...(table.primaryKey || []),
+      ...(table.foreignKeys || []).flatMap((fk) => fk.columns),
+    ]);
+
+    const entities = [];
+    if ((table.primaryKey || []).length > 0) {
+      entities.push({ name: tableName, type: 'primary', expr: table.primaryKey.join(', ') });
+    }
+    for (const fk of table.foreignKeys || []) {
+      entities.push({ name: fk.referencedTable, type: 'foreign', expr: fk.columns.join(', ') });
+    }
+
+    const dimensions = [];
+    const measures = [];
+    for (const column of table.columns || []) {
+      if (this.isMeasureColumn(column, keyColumns)) {
+        measures.push({ name: column.name, expr: column.name, description: column.comment || '' });
+        continue;
+      }
+      const dimensionType = this.getDimensionType(column, keyColumns);
+      if (dimensionType) {
+        dimensions.push({
+          name: column.name,
+          expr: column.name,
+          type: dimensionType,
+          description: column.comment || '',
+        });
+      }
+    }
+
+    const model = {
+      name: tableName,
+      model: tableName,
+      description: table.comment || `数据库表: ${tableName}`,
+      semantic_role: classification.role,
+      columns: (table.columns || []).map((col) => ({
+        name: col.name,
+        type: col.type,
+        nullable: col.nullable,
+        key: col.key,
+        comment: col.comment || '',
+        default: col.default,
+      })),
+      entities,
+      dimensions,
+      measures,
+      schema_hash: this.computeSchemaHash(table),
+    };
+    if (table.type === 'view') {
+      model.is_view = true;
+    }
+
+    return { model, classification };
+  }
+
+  /**
+   * 为所有表生成语义模型（统计表之间的外键引用，辅助实体识别）
+   * @param {Array} tables - 表结构数组
+   * @returns {Array<{ table: Object, model: Object, classification: Object }>}
+   */
+  buildSemanticModels(tables) {
+    const inbound = new Map();
+    for (const table of tables) {
+      for (const fk of table.foreignKeys || []) {
+        if (fk.referencedTable !== (table.fullName || table.name)) {
+          inbound.set(fk.referencedTable, (inbound.get(fk.referencedTable) || 0) + 1);
+        }
+      }
+    }
+    return tables.map((table) => ({
+      table,
+      ...this.buildSemanticModel(table, {
+        inboundReferences: inbound.get(table.fullName || table.name) || 0,
+      }),
+    }));
+  }
+
+  /**
+   * 生成数据库级别语义模型内容（表清单和外键关系）
+   * @param {Object} params
+   * @param {string} params.databaseName - 数据库名称
+   * @param {string} params.dialect - 数据源方言
+   * @param {Array} params.models - 表级语义模型
+   * @param {Array} params.tables - 表结构
+   * @returns {string} JSON 字符串
+   */
+  buildDatabaseContent({ databaseName, dialect, models, tables }) {
+    const relationships = [];
+    for (const table of tables) {
+      for (const fk of table.foreignKeys || []) {
+        relationships.push({
+          from: `${table.fullName || table.name}(${fk.columns.join(', ')})`,
+          to: `${fk.referencedTable}(${fk.referencedColumns.join(', ')})`,
+        });
+      }
+    }
+    return JSON.stringify(
+      {
+        database: databaseName,
+        dialect,
+        tables: models.map((model) => ({
+          name: model.name,
+          description: model.description,
+          semantic_role: model.semantic_role,
+        })),
+        relationships,
+        schema_hash: hash(models.map((model) => model.schema_hash)),
+      },
+      null,
+      2,
+    );
+  }
+
+  /**
+   * 解析已有语义模型条目内容
+   * @param {Object} entry - 知识条目
+   * @returns {Object|null}
+   */
+  parseModel(entry) {
+    try {
+      const model = JSON.parse(entry.content);
+      return model && typeof model === 'object' ? model : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * 读取数据源并同步语义模型到知识库
+   * 首次同步批量创建数据库级别和表级别条目；再次同步时与已有条目比对，只写入新增和变化的表。
+   * 没有 schema_hash 的表级条目视为人工维护，默认不覆盖。
+   *
+   * @param {Object} params
+   * @param {string} params.userId - 用户ID
+   * @param {Object} params.datasource - 数据源配置（dialect + 连接信息）
+   * @param {string} [params.entityId] - 实体ID（数据源ID）
+   * @param {string} [params.title] - 数据库级别条目标题
+   * @param {string} [params.modelType] - 模型类型
+   * @param {string[]} [params.tables] - 只同步指定的表
+   * @param {boolean} [params.prune=false] - 删除数据源中已不存在的表对应的条目（指定 tables 时只处理这些表）
+   * @param {boolean} [params.overwriteManual=false] - 覆盖人工维护的表级条目
+   * @param {boolean} [params.dryRun=false] - 只返回比对结果，不写入
+   * @returns {Promise<Object>} 同步报告
+   */
+  async syncDatabase({
+    userId,
+    datasource,
+    entityId,
+    title,
+    modelType,
+    tables: includeTables,
+    prune = false,
+    overwriteManual = false,
+    dryRun = false,
+  }) {
+    try {
+      const schema = await this.introspect(datasource);
+      const { databaseName, dialect } = schema;
+
+      let tables = schema.tables;
+      /** 表是否在本次同步范围内：未指定 tables 时为全部，否则按完整名或不带 schema 的表名匹配 */
+      let isSelected = () => true;
+      if (Array.isArray(includeTables) && includeTables.length > 0) {
+        const wanted = new Set(includeTables.map((name) => String(name).toLowerCase()));
+        isSelected = (fullName) => {
+          const lowered = String(fullName || '').toLowerCase();
+          return wanted.has(lowered) || wanted.has(lowered.split('.').pop());
+        };
+        tables = tables.filter((table) => isSelected(table.fullName));
+      }
+
+      const built = this.buildSemanticModels(tables);
+      const describe = ({ model, classification }) => ({
+        table: model.name,
+        semantic_role: classification.role,
+        reasons: classification.reasons,
+      });
+      const report = {
+        databaseName,
+        dialect,
+        dryRun,
+        parentId: null,
+        created: [],
+        updated: [],
+        unchanged: [],
+        skipped: [],
+        stale: [],
+        removed: [],
+      };
+
+      const existing = await this.knowledgeBaseService.findDatabaseSemanticModel({
+        userId,
+        databaseName,
+        entityId,
+      });
+
+      if (!existing) {
+        report.created = built.map(describe);
+        if (!dryRun) {
+          const result = await this.knowledgeBaseService.addDatabaseSemanticModel({
+            userId,
+            databaseName,
+            semanticModels: built.map(({ model }) => model),
+            databaseContent: this.buildDatabaseContent({
+              databaseName,
+              dialect,
+              models: built.map(({ model }) => model),
+              tables,
+            }),
+            metadata: { entity_id: entityId, title, model_type: modelType },
+          });
+          report.parentId = result.parent._id.toString();
+        }
+        logger.info(
+          `[SchemaIntrospectionService] 首次同步 ${databaseName}: 创建 ${report.created.length} 个表级语义模型`,
+        );
+        return report;
+      }
+
+      const { parent, children } = existing;
+      const parentId = parent._id.toString();
+      report.parentId = parentId;
+      const childrenByTable = new Map(
+        children.map((child) => [String(child.metadata?.table_name || '').toLowerCase(), child]),
+      );
+      const finalModels = [];
+
+      for (const item of built) {
+        const { model } = item;
+        const key = model.name.toLowerCase();
+        const child = childrenByTable.get(key);
+        childrenByTable.delete(key);
+
+        if (!child) {
+          report.created.push(describe(item));
+          finalModels.push(model);
+          if (!dryRun) {
+            await this.knowledgeBaseService.addSemanticModel({
+              userId,
+              semanticModelId: model.name,
+              databaseName,
+              tableName: model.name,
+              content: JSON.stringify(model),
+              parentId,
+              isDatabaseLevel: false,
+              entityId: entityId || parent.metadata?.entity_id,
+            });
+          }
+          continue;
+        }
+
+        const current = this.parseModel(child);
+        if (current?.schema_hash === model.schema_hash) {
+          report.unchanged.push(model.name);
+          finalModels.push(current);
+          continue;
+        }
+        if (!current?.schema_hash && !overwriteManual) {
+          report.skipped.push(model.name);
+          finalModels.push(current || model);
+          continue;
+        }
+
+        // 数据库没有表注释时保留已有的人工描述
+        if (!item.table.comment && current?.description) {
+          model.description = current.description;
+        }
+        report.updated.push(describe(item));
+        finalModels.push(model);
+        if (!dryRun) {
+          await this.knowledgeBaseService.updateSemanticModel({
+            entryId: child._id.toString(),
+            userId,
+            content: JSON.stringify(model),
+          });
+        }
+      }
+
+      for (const child of childrenByTable.values()) {
+        const tableName = child.metadata?.table_name;
+        // 部分同步时，范围外的表保持原样，不参与过期标记与清理
+        if (!isSelected(tableName)) {
+          const current = this.parseModel(child);
+          if (current) {
+            finalModels.push(current);
+          }
+          continue;
+        }
+        if (!prune) {
+          report.stale.push(tableName);
+          const current = this.parseModel(child);
+          if (current) {
+            finalModels.push(current);
+          }
+          continue;
+        }
+        report.removed.push(tableName);
+        if (!dryRun) {
+          await this.knowledgeBaseService.deleteKnowledgeEntry({
+            entryId: child._id.toString(),
+            userId,
+          });
+        }
+      }
+
+      const changed = report.created.length + report.updated.length + report.removed.length > 0;
+      if (changed && !dryRun) {
+        await this.knowledgeBaseService.updateSemanticModel({
+          entryId: parentId,
+          userId,
+          title,
+          content: this.buildDatabaseContent({
+            databaseName,
+            dialect,
+            models: finalModels,
+            tables,
+          }),
+          semanticDescription: generateSemanticModelDescription({
+            databaseName,
+            semanticModels: finalModels,
+          }),
+        });
+      }
+
+      logger.info(
+        `[SchemaIntrospectionService] 同步 ${databaseName}: 新增 ${report.created.length}, 更新 ${report.updated.length}, 未变化 ${report.unchanged.length}, 跳过 ${report.skipped.length}, 已失效 ${report.stale.length}, 删除 ${report.removed.length}${dryRun ? ' (dry run)' : ''}`,
+      );
+      return report;
+    } catch (error) {
+      logger.error('[SchemaIntrospectionService] 同步数据库语义模型失败:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = SchemaIntrospectionService;
@@ -0,0 +1,318 @@
+jest.mock('@aipyq/data-schemas', () => ({
+  logger: {
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn(),
+  },
+  createModels: jest.fn(() => ({})),
+}));
+
+jest.mock('~/db/models', () => ({
+  KnowledgeEntry: {},
+}));
+
+const TableCollector = require('./introspection/TableCollector');
+const loadDriver = require('./introspection/loadDriver');
+const { SUPPORTED_DIALECTS, getIntrospector } = require('./introspection');
+const SchemaIntrospectionService = require('./SchemaIntrospectionService');
+
+const buildTables = () => {
+  const collector = new TableCollector({ defaultSchema: 'public' });
+
+  collector.addTable({ name: 't_customer', schema: 'public', comment: '客户表' });
+  collector.addColumn('t_customer', 'public', { name: 'id', type: 'bigint', nullable: false });
+  collector.addColumn('t_customer', 'public', { name: 'customer_name', type: 'varchar(64)' });
+  collector.addColumn('t_customer', 'public', { name: 'mobile', type: 'varchar(20)' });
+  collector.setPrimaryKey('t_customer', 'public', ['id']);
+
+  collector.addTable({ name: 't_order', schema: 'public', comment: '订单表' });
+  collector.addColumn('t_order', 'public', { name: 'id', type: 'bigint', nullable: false });
+  collector.addColumn('t_order', 'public', { name: 'customer_id', type: 'bigint' });
+  collector.addColumn('t_order', 'public', { name: 'store_id', type: 'bigint' });
+  collector.addColumn('t_order', 'public', { name: 'pay_amount', type: 'numeric(12,2)' });
+  collector.addColumn('t_order', 'public', { name: 'status', type: 'varchar(16)' });
+  collector.addColumn('t_order', 'public', { name: 'created_at', type: 'timestamp' });
+  collector.setPrimaryKey('t_order', 'public', ['id']);
+  collector.addForeignKey('t_order', 'public', {
+    columns: ['customer_id'],
+    referencedTable: 't_customer',
+    referencedSchema: 'public',
+    referencedColumns: ['id'],
+  });
+  collector.addForeignKey('t_order', 'public', {
+    columns: ['store_id'],
+    referencedTable: 't_store',
+    referencedSchema: 'sales',
+    referencedColumns: ['id'],
+  });
+
+  collector.addTable({ name: 't_stock_daily', schema: 'public' });
+  collector.addColumn('t_stock_daily', 'public', { name: 'sku_id', type: 'bigint' });
+  collector.addColumn('t_stock_daily', 'public', { name: 'stat_date', type: 'date' });
+  collector.addColumn('t_stock_daily', 'public', { name: 'stock_qty', type: 'integer' });
+  collector.setPrimaryKey('t_stock_daily', 'public', ['sku_id', 'stat_date']);
+
+  collector.addTable({ name: 'user_behavior_log', schema: 'public' });
+  collector.addColumn('user_behavior_log', 'public', { name: 'id', type: 'bigint' });
+  collector.addColumn('user_behavior_log', 'public', { name: 'user_id', type: 'bigint' });
+  collector.addColumn('user_behavior_log', 'public', { name: 'action_type', type: 'varchar(32)' });
+  collector.addColumn('user_behavior_log', 'public', { name: 'ip', type: 'varchar(64)' });
+  collector.addColumn('user_behavior_log', 'public', { name: 'occurred_at', type: 'timestamp' });
+  collector.setPrimaryKey('user_behavior_log', 'public', ['id']);
+
+  return collector.build();
+};
+
+const findTable = (tables, name) => tables.find((table) => table.fullName === name);
+
+describe('TableCollector', () => {
+  it('qualifies non-default schemas and marks key columns', () => {
+    const tables = buildTables();
+    const order = findTable(tables, 't_order');
+
+    expect(order.foreignKeys[1].referencedTable).toBe('sales.t_store');
+    expect(order.columns.find((col) => col.name === 'id').key).toBe('PRI');
+    expect(order.columns.find((col) => col.name === 'customer_id').key).toBe('MUL');
+    expect(order.columns.find((col) => col.name === 'pay_amount').key).toBe('');
+  });
+});
+
+describe('introspection drivers', () => {
+  it('accepts postgresql as an alias of postgres', () => {
+    expect(SUPPORTED_DIALECTS).toEqual(expect.arrayContaining(['postgres', 'postgresql']));
+    expect(getIntrospector('PostgreSQL')).toBe(getIntrospector('postgres'));
+  });
+
+  it('explains how to install a missing optional driver', () => {
+    expect(() =>
+      loadDriver('aipyq-missing-driver/promise', {
+        packageName: 'aipyq-missing-driver',
+        label: 'MySQL',
+      }),
+    ).toThrow('读取 MySQL 数据源需要 aipyq-missing-driver 包（可选依赖，当前未安装）');
+  });
+});
+
+describe('SchemaIntrospectionService', () => {
+  let service;
+  let knowledgeBaseService;
+
+  beforeEach(() => {
+    knowledgeBaseService = {
+      findDatabaseSemanticModel: jest.fn(),
+      addDatabaseSemanticModel: jest.fn(),
+      addSemanticModel: jest.fn(),
+      updateSemanticModel: jest.fn(),
+      deleteKnowledgeEntry: jest.fn(),
+    };
+    service = new SchemaIntrospectionService({ knowledgeBaseService });
+  });
+
+  describe('classifySemanticRole', () => {
+    const tables = buildTables();
+
+    it.each([
+      ['t_customer', 'entity', 1],
+      ['t_order', 'fact', 0],
+      ['t_stock_daily', 'snapshot', 0],
+      ['user_behavior_log', 'event', 0],
+    ])('classifies %s as %s', (name, role, inboundReferences) => {
+      const result = service.classifySemanticRole(findTable(tables, name), { inboundReferences });
+      expect(result.role).toBe(role);
+      expect(result.reasons.length).toBeGreaterThan(0);
+    });
+
+    it('defaults to entity when nothing matches', () => {
+      const result = service.classifySemanticRole({ name: 'misc', columns: [] });
+      expect(result.role).toBe('entity');
+    });
+  });
+
+  describe('buildSemanticModel', () => {
+    it('derives entities, dimensions and measures from keys and columns', () => {
+      const { model } = service.buildSemanticModel(findTable(buildTables(), 't_order'));
+
+      expect(model).toMatchObject({
+        name: 't_order',
+        model: 't_order',
+        description: '订单表',
+        semantic_role: 'fact',
+      });
+      expect(model.entities).toEqual([
+        { name: 't_order', type: 'primary', expr: 'id' },
+        { name: 't_customer', type: 'foreign', expr: 'customer_id' },
+        { name: 'sales.t_store', type: 'foreign', expr: 'store_id' },
+      ]);
+      expect(model.measures.map((m) => m.name)).toEqual(['pay_amount']);
+      expect(model.dimensions.map((d) => [d.name, d.type])).toEqual([
+        ['status', 'categorical'],
+        ['created_at', 'time'],
+      ]);
+      expect(model.schema_hash).toHaveLength(16);
+    });
+
+    it('changes the schema hash only when the structure changes', () => {
+      const table = findTable(buildTables(), 't_customer');
+      const before = service.computeSchemaHash(table);
+
+      expect(service.computeSchemaHash({ ...table })).toBe(before);
+      expect(
+        service.computeSchemaHash({
+          ...table,
+          columns: [...table.columns, { name: 'email', type: 'varchar(64)' }],
+        }),
+      ).not.toBe(before);
+    });
+  });
+
+  describe('syncDatabase', () => {
+    const datasource = { dialect: 'postgres', connectionString: 'postgres://localhost/shop' };
+
+    beforeEach(() => {
+      service.introspect = jest.fn().mockResolvedValue({
+        dialect: 'postgres',
+        databaseName: 'shop',
+        tables: buildTables(),
+      });
+    });
+
+    it('bulk-creates database and table level entries on first sync', async () => {
+      knowledgeBaseService.findDatabaseSemanticModel.mockResolvedValue(null);
+      knowledgeBaseService.addDatabaseSemanticModel.mockResolvedValue({
+        parent: { _id: 'parent1' },
+        children: [],
+      });
+
+      const report = await service.syncDatabase({ userId: 'u1', datasource, entityId: 'ds1' });
+
+      const call = knowledgeBaseService.addDatabaseSemanticModel.mock.calls[0][0];
+      expect(call.databaseName).toBe('shop');
+      expect(call.semanticModels.map((m) => m.semantic_role)).toEqual([
+        'entity',
+        'fact',
+        'snapshot',
+        'event',
+      ]);
+      expect(JSON.parse(call.databaseContent).relationships).toContainEqual({
+        from: 't_order(customer_id)',
+        to: 't_customer(id)',
+      });
+      expect(call.metadata.entity_id).toBe('ds1');
+      expect(report.parentId).toBe('parent1');
+      expect(report.created).toHaveLength(4);
+    });
+
+    it('diffs against existing entries instead of duplicating them', async () => {
+      const tables = buildTables();
+      const { model: customer } = service.buildSemanticModel(findTable(tables, 't_customer'), {
+        inboundReferences: 1,
+      });
+      const { model: staleOrder } = service.buildSemanticModel(findTable(tables, 't_order'));
+      staleOrder.schema_hash = 'outdated';
+
+      knowledgeBaseService.findDatabaseSemanticModel.mockResolvedValue({
+        parent: { _id: 'parent1', metadata: { entity_id: 'ds1' } },
+        children: [
+          { _id: 'c1', content: JSON.stringify(customer), metadata: { table_name: 't_customer' } },
+          { _id: 'c2', content: JSON.stringify(staleOrder), metadata: { table_name: 't_order' } },
+          {
+            _id: 'c3',
+            content: JSON.stringify({ name: 't_stock_daily', description: '人工维护的库存快照' }),
+            metadata: { table_name: 't_stock_daily' },
+          },
+          { _id: 'c4', content: '{}', metadata: { table_name: 't_dropped' } },
+        ],
+      });
+
+      const report = await service.syncDatabase({ userId: 'u1', datasource });
+
+      expect(report.unchanged).toEqual(['t_customer']);
+      expect(report.updated.map((item) => item.table)).toEqual(['t_order']);
+      expect(report.skipped).toEqual(['t_stock_daily']);
+      expect(report.created.map((item) => item.table)).toEqual(['user_behavior_log']);
+      expect(report.stale).toEqual(['t_dropped']);
+
+      expect(knowledgeBaseService.addDatabaseSemanticModel).not.toHaveBeenCalled();
+      expect(knowledgeBaseService.addSemanticModel).toHaveBeenCalledTimes(1);
+      expect(knowledgeBaseService.addSemanticModel).toHaveBeenCalledWith(
+        expect.objectContaining({
+          tableName: 'user_behavior_log',
+          parentId: 'parent1',
+          entityId: 'ds1',
+        }),
+      );
+      expect(knowledgeBaseService.updateSemanticModel).toHaveBeenCalledWith(
+        expect.objectContaining({ entryId: 'c2' }),
+      );
+      expect(knowledgeBaseService.updateSemanticModel).toHaveBeenCalledWith(
+        expect.objectContaining({ entryId: 'parent1', semanticDescription: expect.any(String) }),
+      );
+      expect(knowledgeBaseService.deleteKnowledgeEntry).not.toHaveBeenCalled();
+    });
+
+    it('removes stale tables when prune is set and writes nothing on dry run', async () => {
+      knowledgeBaseService.findDatabaseSemanticModel.mockResolvedValue({
+        parent: { _id: 'parent1', metadata: {} },
+        children: [{ _id: 'c4', content: '{}', metadata: { table_name: 't_dropped' } }],
+      });
+
+      const dryRun = await service.syncDatabase({
+        userId: 'u1',
+        datasource,
+        prune: true,
+        dryRun: true,
+      });
+      expect(dryRun.removed).toEqual(['t_dropped']);
+      expect(dryRun.created).toHaveLength(4);
+      expect(knowledgeBaseService.addSemanticModel).not.toHaveBeenCalled();
+      expect(knowledgeBaseService.deleteKnowledgeEntry).not.toHaveBeenCalled();
+
+      await service.syncDatabase({ userId: 'u1', datasource, prune: true });
+      expect(knowledgeBaseService.deleteKnowledgeEntry).toHaveBeenCalledWith({
+        entryId: 'c4',
+        userId: 'u1',
+      });
+    });
+
+    it('only prunes the selected tables on a partial sync', async () => {
+      const tables = buildTables();
+      const { model: customer } = service.buildSemanticModel(findTable(tables, 't_customer'), {
+        inboundReferences: 1,
+      });
+      const { model: order } = service.buildSemanticModel(findTable(tables, 't_order'));
+      order.schema_hash = 'outdated';
+
+      knowledgeBaseService.findDatabaseSemanticModel.mockResolvedValue({
+        parent: { _id: 'parent1', metadata: {} },
+        children: [
+          { _id: 'c1', content: JSON.stringify(customer), metadata: { table_name: 't_customer' } },
+          { _id: 'c2', content: JSON.stringify(order), metadata: { table_name: 't_order' } },
+          { _id: 'c4', content: '{}', metadata: { table_name: 't_dropped' } },
+        ],
+      });
+
+      const report = await service.syncDatabase({
+        userId: 'u1',
+        datasource,
+        tables: ['t_order', 't_dropped'],
+        prune: true,
+      });
+
+      expect(report.updated.map((item) => item.table)).toEqual(['t_order']);
+      expect(report.created).toEqual([]);
+      expect(report.stale).toEqual([]);
+      expect(report.removed).toEqual(['t_dropped']);
+      expect(knowledgeBaseService.deleteKnowledgeEntry).toHaveBeenCalledTimes(1);
+      expect(knowledgeBaseService.deleteKnowledgeEntry).toHaveBeenCalledWith({
+        entryId: 'c4',
+        userId: 'u1',
+      });
+
+      const parentUpdate = knowledgeBaseService.updateSemanticModel.mock.calls.find(
+        ([params]) => params.entryId === 'parent1',
+      )[0];
+      expect(parentUpdate.semanticDescription).toContain('t_customer');
+    });
+  });
+});
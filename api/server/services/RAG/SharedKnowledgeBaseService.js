@@ -0,0 +1,213 @@
+const mongoose = require('mongoose');
+const { logger } = require('@aipyq/data-schemas');
+const {
+  SystemRoles,
+  ResourceType,
+  PrincipalType,
+  AccessRoleIds,
+  PermissionBits,
+} = require('@aipyq/data-provider');
+const KnowledgeBaseService = require('./KnowledgeBaseService');
+
+/**
+ * 共享知识库服务
+ * 知识库是可共享的知识条目集合：条目通过 metadata.knowledge_base_id 归属于知识库，
+ * 访问权限复用通用 ACL（ResourceType.KNOWLEDGEBASE，viewer/editor/owner 角色），
+ * 智能体可以绑定共享知识库，检索时只使用当前用户有查看权限的知识库
+ */
+class SharedKnowledgeBaseService {
+  /**
+   * @param {Object} [options]
+   * @param {Object} [options.models] - 数据模型（测试时注入 KnowledgeBase）
+   * @param {Object} [options.permissionService] - 权限服务（默认 ~/server/services/PermissionService）
+   * @param {KnowledgeBaseService} [options.knowledgeBaseService] - 复用已有的知识库服务实例
+   */
+  constructor({ models, permissionService, knowledgeBaseService } = {}) {
+    this.models = models;
+    this.permissionService = permissionService;
+    this.knowledgeBaseService = knowledgeBaseService;
+  }
+
+  getKnowledgeBaseModel() {
+    if (this.models?.KnowledgeBase) {
+      return this.models.KnowledgeBase;
+    }
+    if (!mongoose.models.KnowledgeBase) {
+      throw new Error('KnowledgeBase 模型未初始化');
+    }
+    return mongoose.models.KnowledgeBase;
+  }
+
+  getPermissionService() {
+    if (!this.permissionService) {
+      this.permissionService = require('~/server/services/PermissionService');
+    }
+    return this.permissionService;
+  }
+
+  getKnowledgeBaseService() {
+    if (!this.knowledgeBaseService) {
+      this.knowledgeBaseService = new KnowledgeBaseService();
+    }
+    return this.knowledgeBaseService;
+  }
+
+  /**
+   * 创建知识库，并授予创建者所有者权限
+   * 授权失败时回滚创建，避免产生无人可管理的知识库
+   * @param {Object} params
+   * @param {{ id: string, name?: string }} params.user - 创建者
+   * @param {string} params.name - 名称
+   * @param {string} [params.description] - 描述
+   * @param {string} [params.entityId] - 关联的数据源ID
+   * @returns {Promise<Object>} 创建的知识库
+   */
+  async createKnowledgeBase({ user, name, description, entityId }) {
+    const KnowledgeBase = this.getKnowledgeBaseModel();
+    const knowledgeBase = await KnowledgeBase.create({
+      name,
+      description,
+      entityId,
+      author: user.id,
+      authorName: user.name,
+    });
+
+    try {
+      await this.getPermissionService().grantPermission({
+        principalType: PrincipalType.USER,
+        principalId: user.id,
+        resourceType: ResourceType.KNOWLEDGEBASE,
+        resourceId: knowledgeBase._id,
+        accessRoleId: AccessRoleIds.KNOWLEDGEBASE_OWNER,
+        grantedBy: user.id,
+      });
+    } catch (error) {
+      await KnowledgeBase.deleteOne({ _id: knowledgeBase._id });
+      throw error;
+    }
+
+    logger.info(`[SharedKnowledgeBaseService] 创建知识库: ${name} (${knowledgeBase._id})`);
+    return knowledgeBase.toObject();
+  }
+
+  /**
+   * 获取用户有权限访问的知识库列表
+   * @param {Object} params
+   * @param {{ id: string, role?: string }} params.user - 当前用户
+   * @param {number} [params.requiredPermissions] - 需要的权限位，默认查看
+   * @returns {Promise<Object[]>}
+   */
+  async listKnowledgeBases({ user, requiredPermissions = PermissionBits.VIEW }) {
+    const accessibleIds = await this.getPermissionService().findAccessibleResources({
+      userId: user.id,
+      role: user.role,
+      resourceType: ResourceType.KNOWLEDGEBASE,
+      requiredPermissions,
+    });
+    if (accessibleIds.length === 0) {
+      return [];
+    }
+    return await this.getKnowledgeBaseModel()
+      .find({ _id: { $in: accessibleIds } })
+      .sort({ updatedAt: -1 })
+      .lean();
+  }
+
+  /**
+   * @param {string} knowledgeBaseId - 知识库ID
+   * @returns {Promise<Object|null>}
+   */
+  async getKnowledgeBase(knowledgeBaseId) {
+    if (!mongoose.Types.ObjectId.isValid(knowledgeBaseId)) {
+      return null;
+    }
+    return await this.getKnowledgeBaseModel().findById(knowledgeBaseId).lean();
+  }
+
+  /**
+   * 更新知识库名称、描述或关联数据源（权限由路由中间件校验）
+   * @param {string} knowledgeBaseId - 知识库ID
+   * @param {{ name?: string, description?: string, entityId?: string }} updates
+   * @returns {Promise<Object|null>} 更新后的知识库
+   */
+  async updateKnowledgeBase(knowledgeBaseId, { name, description, entityId }) {
+    const updates = Object.fromEntries(
+      Object.entries({ name, description, entityId }).filter(([, value]) => value !== undefined),
+    );
+    return await this.getKnowledgeBaseModel()
+      .findByIdAndUpdate(knowledgeBaseId, { $set: updates }, { new: true })
+      .lean();
+  }
+
+  /**
+   * 删除知识库：先删除其全部条目与向量，再清理授权记录
+   * @param {string} knowledgeBaseId - 知识库ID
+   * @returns {Promise<boolean>} 是否删除成功
+   */
+  async deleteKnowledgeBase(knowledgeBaseId) {
+    const deletedEntries =
+      await this.getKnowledgeBaseService().deleteKnowledgeBaseEntries(knowledgeBaseId);
+    const result = await this.getKnowledgeBaseModel().deleteOne({ _id: knowledgeBaseId });
+    await this.getPermissionService().removeAllPermissions({
+      resourceType: ResourceType.KNOWLEDGEBASE,
+      resourceId: knowledgeBaseId,
+    });
+
+    logger.info(
+      `[SharedKnowledgeBaseService] 删除知识库 ${knowledgeBaseId}，清理 ${deletedEntries} 个条目`,
+    );
+    return result.deletedCount > 0;
+  }
+
+  /**
+   * 检查用户对知识库的权限
+   * @param {Object} params
+   * @param {{ id: string, role?: string }} params.user - 当前用户
+   * @param {string} params.knowledgeBaseId - 知识库ID
+   * @param {number} params.requiredPermission - 需要的权限位
+   * @returns {Promise<boolean>}
+   */
+  async hasPermission({ user, knowledgeBaseId, requiredPermission }) {
+    if (!mongoose.Types.ObjectId.isValid(knowledgeBaseId)) {
+      return false;
+    }
+    if (user.role === SystemRoles.ADMIN) {
+      return true;
+    }
+    return await this.getPermissionService().checkPermission({
+      userId: user.id,
+      role: user.role,
+      resourceType: ResourceType.KNOWLEDGEBASE,
+      resourceId: knowledgeBaseId,
+      requiredPermission,
+    });
+  }
+
+  /**
+   * 按 ACL 过滤知识库ID，只保留用户有权限的知识库（保持原有顺序）
+   * @param {Object} params
+   * @param {{ id: string, role?: string }} params.user - 当前用户
+   * @param {string[]} params.knowledgeBaseIds - 待过滤的知识库ID
+   * @param {number} [params.requiredPermissions] - 需要的权限位，默认查看
+   * @returns {Promise<string[]>}
+   */
+  async filterAccessibleIds({ user, knowledgeBaseIds, requiredPermissions = PermissionBits.VIEW }) {
+    const ids = [...new Set(knowledgeBaseIds.map(String))].filter((id) =>
+      mongoose.Types.ObjectId.isValid(id),
+    );
+    if (ids.length === 0 || user.role === SystemRoles.ADMIN) {
+      return ids;
+    }
+
+    const accessibleIds = await this.getPermissionService().findAccessibleResources({
+      userId: user.id,
+      role: user.role,
+      resourceType: ResourceType.KNOWLEDGEBASE,
+      requiredPermissions,
+    });
+    const accessible = new Set(accessibleIds.map(String));
+    return ids.filter((id) => accessible.has(id));
+  }
+}
+
+module.exports = SharedKnowledgeBaseService;
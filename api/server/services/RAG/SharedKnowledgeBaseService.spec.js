@@ -0,0 +1,131 @@
+jest.mock('@aipyq/data-schemas', () => ({
+  logger: {
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn(),
+  },
+}));
+jest.mock('./KnowledgeBaseService', () => jest.fn());
+
+const { ResourceType, AccessRoleIds, PermissionBits } = require('@aipyq/data-provider');
+const SharedKnowledgeBaseService = require('./SharedKnowledgeBaseService');
+
+const KB_1 = '6650f0c2a1b2c3d4e5f60711';
+const KB_2 = '6650f0c2a1b2c3d4e5f60722';
+const KB_3 = '6650f0c2a1b2c3d4e5f60733';
+
+const createService = ({ accessibleIds = [], grantPermission } = {}) => {
+  const created = {
+    _id: KB_1,
+    name: '财务制度',
+    toObject: () => ({ _id: KB_1, name: '财务制度' }),
+  };
+  const KnowledgeBase = {
+    create: jest.fn(async () => created),
+    deleteOne: jest.fn(async () => ({ deletedCount: 1 })),
+    find: jest.fn(() => ({
+      sort: () => ({ lean: async () => accessibleIds.map((_id) => ({ _id })) }),
+    })),
+  };
+  const permissionService = {
+    grantPermission: grantPermission || jest.fn(async () => ({})),
+    findAccessibleResources: jest.fn(async () => accessibleIds),
+    checkPermission: jest.fn(async () => true),
+    removeAllPermissions: jest.fn(async () => ({})),
+  };
+  const knowledgeBaseService = { deleteKnowledgeBaseEntries: jest.fn(async () => 3) };
+  const service = new SharedKnowledgeBaseService({
+    models: { KnowledgeBase },
+    permissionService,
+    knowledgeBaseService,
+  });
+  return { service, KnowledgeBase, permissionService, knowledgeBaseService };
+};
+
+const user = { id: 'user-1', name: '张三', role: 'USER' };
+
+describe('SharedKnowledgeBaseService', () => {
+  it('grants the creator the owner role', async () => {
+    const { service, KnowledgeBase, permissionService } = createService();
+
+    const knowledgeBase = await service.createKnowledgeBase({ user, name: '财务制度' });
+
+    expect(knowledgeBase).toEqual({ _id: KB_1, name: '财务制度' });
+    expect(KnowledgeBase.create).toHaveBeenCalledWith(
+      expect.objectContaining({ name: '财务制度', author: 'user-1', authorName: '张三' }),
+    );
+    expect(permissionService.grantPermission).toHaveBeenCalledWith(
+      expect.objectContaining({
+        principalId: 'user-1',
+        resourceType: ResourceType.KNOWLEDGEBASE,
+        resourceId: KB_1,
+        accessRoleId: AccessRoleIds.KNOWLEDGEBASE_OWNER,
+      }),
+    );
+  });
+
+  it('removes the knowledge base when granting ownership fails', async () => {
+    const { service, KnowledgeBase } = createService({
+      grantPermission: jest.fn(async () => {
+        throw new Error('acl unavailable');
+      }),
+    });
+
+    await expect(service.createKnowledgeBase({ user, name: '财务制度' })).rejects.toThrow(
+      'acl unavailable',
+    );
+    expect(KnowledgeBase.deleteOne).toHaveBeenCalledWith({ _id: KB_1 });
+  });
+
+  it('lists only the knowledge bases the user can view', async () => {
+    const { service, KnowledgeBase, permissionService } = createService({
+      accessibleIds: [KB_2],
+    });
+
+    const knowledgeBases = await service.listKnowledgeBases({ user });
+
+    expect(permissionService.findAccessibleResources).toHaveBeenCalledWith({
+      userId: 'user-1',
+      role: 'USER',
+      resourceType: ResourceType.KNOWLEDGEBASE,
+      requiredPermissions: PermissionBits.VIEW,
+    });
+    expect(KnowledgeBase.find).toHaveBeenCalledWith({ _id: { $in: [KB_2] } });
+    expect(knowledgeBases).toEqual([{ _id: KB_2 }]);
+  });
+
+  it('filters bound ids by ACL, dropping duplicates and malformed ids', async () => {
+    const { service } = createService({ accessibleIds: [KB_3, KB_1] });
+
+    const ids = await service.filterAccessibleIds({
+      user,
+      knowledgeBaseIds: [KB_1, KB_2, KB_1, 'team-kb', KB_3],
+    });
+
+    expect(ids).toEqual([KB_1, KB_3]);
+  });
+
+  it('lets admins use every bound knowledge base', async () => {
+    const { service, permissionService } = createService();
+
+    const ids = await service.filterAccessibleIds({
+      user: { id: 'admin-1', role: 'ADMIN' },
+      knowledgeBaseIds: [KB_1, KB_2],
+    });
+
+    expect(ids).toEqual([KB_1, KB_2]);
+    expect(permissionService.findAccessibleResources).not.toHaveBeenCalled();
+  });
+
+  it('deletes entries and permissions together with the knowledge base', async () => {
+    const { service, knowledgeBaseService, permissionService } = createService();
+
+    await expect(service.deleteKnowledgeBase(KB_1)).resolves.toBe(true);
+    expect(knowledgeBaseService.deleteKnowledgeBaseEntries).toHaveBeenCalledWith(KB_1);
+    expect(permissionService.removeAllPermissions).toHaveBeenCalledWith({
+      resourceType: ResourceType.KNOWLEDGEBASE,
+      resourceId: KB_1,
+    });
+  });
+});
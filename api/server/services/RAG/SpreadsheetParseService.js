@@ -0,0 +1,399 @@
+const fs = require('fs');
+const { logger } = require('@aipyq/data-schemas');
+const { toMarkdownTable } = require('./StructuredChunker');
+
+/** Excel 内置的日期/时间数字格式 ID */
+const BUILTIN_DATE_FORMATS = new Set([14, 15, 16, 17, 18, 19, 20, 21, 22, 45, 46, 47]);
+/** CSV 候选分隔符 */
+const CSV_DELIMITERS = [',', '\t', ';', '|'];
+
+/**
+ * 解析 CSV 文本（RFC 4180：双引号包裹的字段可以包含分隔符、换行和转义的双引号）
+ * @param {string} text - CSV 文本
+ * @param {string} [delimiter] - 分隔符，默认根据首行自动识别
+ * @returns {string[][]} 行数组
+ */
+function parseCSV(text, delimiter) {
+  const source = String(text || '').replace(/^\uFEFF/, '');
+  const separator = delimiter || detectDelimiter(source);
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+    if (quoted) {
+      if (char === '"' && source[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === separator) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && source[i + 1] === '\n') {
+        i++;
+      }
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows;
+}
+
+/**
+ * 根据首行中（引号外）出现次数最多的候选字符识别分隔符
+ * @param {string} text
+ * @returns {string}
+ */
+function detectDelimiter(text) {
+  const counts = new Map(CSV_DELIMITERS.map((delimiter) => [delimiter, 0]));
+  let quoted = false;
+  for (const char of text) {
+    if (char === '"') {
+      quoted = !quoted;
+    } else if (!quoted && (char === '\n' || char === '\r')) {
+      break;
+    } else if (!quoted && counts.has(char)) {
+      counts.set(char, counts.get(char) + 1);
+    }
+  }
+  let best = ',';
+  for (const [delimiter, count] of counts) {
+    if (count > counts.get(best)) {
+      best = delimiter;
+    }
+  }
+  return best;
+}
+
+/**
+ * 单元格引用的列号（A -> 0，AA -> 26）
+ * @param {string} reference - 如 B12
+ * @returns {number}
+ */
+function columnIndex(reference) {
+  const letters =
+    String(reference || '')
+      .match(/^[A-Z]+/i)?.[0]
+      .toUpperCase() || '';
+  let index = 0;
+  for (const letter of letters) {
+    index = index * 26 + (letter.charCodeAt(0) - 64);
+  }
+  return index - 1;
+}
+
+/**
+ * 判断自定义数字格式是否为日期/时间格式（忽略引号内文本、颜色和条件段）
+ * @param {string} formatCode
+ * @returns {boolean}
+ */
+function isDateFormatCode(formatCode) {
+  const code = String(formatCode || '')
+    .replace(/"[^"]*"/g, '')
+    .replace(/\[[^\]]*\]/g, '')
+    .replace(/\\./g, '');
+  return /[ymdhs]/i.test(code) && !/^general$/i.test(code.trim());
+}
+
+/**
+ * Excel 日期序列号转为 ISO 字符串（1900 日期系统）
+ * @param {number} serial
+ * @returns {string}
+ */
+function excelSerialToISO(serial) {
+  const date = new Date(Math.round((serial - 25569) * 86400000));
+  if (Number.isNaN(date.getTime())) {
+    return String(serial);
+  }
+  const iso = date.toISOString();
+  return serial % 1 === 0 ? iso.slice(0, 10) : iso.slice(0, 19).replace('T', ' ');
+}
+
+class SpreadsheetParseService {
+  constructor() {
+    this.ooxml = null;
+    this.initialized = false;
+  }
+
+  /**
+   * 初始化 xlsx 解析依赖（zip 与 XML 解析均为纯 JS，离线可用）
+   */
+  async initialize() {
+    if (this.initialized) {
+      return;
+    }
+
+    try {
+      this.ooxml = require('./OOXMLPackage');
+      this.initialized = true;
+    } catch {
+      throw new Error("表格解析库未安装。请运行 'npm install yauzl htmlparser2' 来安装该依赖。");
+    }
+  }
+
+  /**
+   * 读取 xlsx 的共享字符串表
+   */
+  readSharedStrings(entries) {
+    const { parseXml, findElements, childElements, textContent } = this.ooxml;
+    const document = parseXml(entries.get('xl/sharedStrings.xml'));
+    if (!document) {
+      return [];
+    }
+    // 富文本字符串由多个 r/t 组成；注音（rPh）不属于单元格文本
+    return findElements(document, 'si').map((item) =>
+      item.children
+        .filter((child) => child.type === 'tag' && child.name !== 'rPh')
+        .map((child) =>
+          child.name === 't'
+            ? textContent(child)
+            : childElements(child, 't').map(textContent).join(''),
+        )
+        .join(''),
+    );
+  }
+
+  /**
+   * 读取单元格样式中属于日期格式的样式索引
+   */
+  readDateStyles(entries) {
+    const { parseXml, findElements, childElements } = this.ooxml;
+    const document = parseXml(entries.get('xl/styles.xml'));
+    const dateStyles = new Set();
+    if (!document) {
+      return dateStyles;
+    }
+    const customDateFormats = new Set(
+      findElements(document, 'numFmt')
+        .filter((format) => isDateFormatCode(format.attribs.formatCode))
+        .map((format) => Number(format.attribs.numFmtId)),
+    );
+    const cellXfs = findElements(document, 'cellXfs')[0];
+    childElements(cellXfs, 'xf').forEach((xf, index) => {
+      const formatId = Number(xf.attribs.numFmtId);
+      if (BUILTIN_DATE_FORMATS.has(formatId) || customDateFormats.has(formatId)) {
+        dateStyles.add(index);
+      }
+    });
+    return dateStyles;
+  }
+
+  /**
+   * 按工作簿顺序列出工作表（隐藏的工作表也会读取）
+   */
+  listSheets(entries) {
+    const { parseXml, findElements, readRelationships } = this.ooxml;
+    const workbook = parseXml(entries.get('xl/workbook.xml'));
+    if (!workbook) {
+      throw new Error('无效的 xlsx 文件：缺少 xl/workbook.xml');
+    }
+    const relationships = readRelationships(entries, 'xl/workbook.xml');
+    return findElements(workbook, 'sheet')
+      .map((sheet) => ({
+        name: sheet.attribs.name,
+        part: relationships.get(sheet.attribs['r:id'])?.target,
+      }))
+      .filter((sheet) => sheet.part && entries.has(sheet.part));
+  }
+
+  /**
+   * 读取工作表的行，返回 { number, cells }，number 为表格中的行号（从 1 开始）
+   */
+  readSheetRows(xml, { sharedStrings, dateStyles }) {
+    const { parseXml, findElements, childElements, textContent } = this.ooxml;
+    const document = parseXml(xml);
+    const rows = [];
+    if (!document) {
+      return rows;
+    }
+
+    for (const row of findElements(document, 'row')) {
+      const cells = [];
+      for (const cell of childElements(row, 'c')) {
+        const index = cell.attribs.r ? columnIndex(cell.attribs.r) : cells.length;
+        const type = cell.attribs.t;
+        const value = textContent(childElements(cell, 'v')[0]);
+        let text;
+        if (type === 's') {
+          text = sharedStrings[Number(value)] ?? '';
+        } else if (type === 'inlineStr') {
+          text = findElements(cell, 't').map(textContent).join('');
+        } else if (type === 'b') {
+          text = value === '1' ? 'TRUE' : 'FALSE';
+        } else if (value !== '' && !type && dateStyles.has(Number(cell.attribs.s))) {
+          text = excelSerialToISO(Number(value));
+        } else {
+          text = value;
+        }
+        cells[index] = text;
+      }
+      rows.push({
+        number: Number(row.attribs.r) || rows.length + 1,
+        cells: Array.from(cells, (cell) => cell ?? ''),
+      });
+    }
+    return rows;
+  }
+
+  /**
+   * 读取表格文件：xlsx 返回所有工作表，CSV 作为单个无名工作表
+   * @param {string|Buffer} pathOrBuffer - 文件路径或Buffer
+   * @returns {Promise<Array<{ name: string|null, rows: Array<{ number: number, cells: string[] }> }>>}
+   */
+  async readSheets(pathOrBuffer) {
+    if (!this.initialized) {
+      await this.initialize();
+    }
+
+    const buffer = Buffer.isBuffer(pathOrBuffer) ? pathOrBuffer : fs.readFileSync(pathOrBuffer);
+    if (!this.ooxml.isZipBuffer(buffer)) {
+      const rows = parseCSV(buffer.toString('utf8')).map((cells, index) => ({
+        number: index + 1,
+        cells,
+      }));
+      return [{ name: null, rows }];
+    }
+
+    const entries = await this.ooxml.readZipEntries(buffer);
+    const context = {
+      sharedStrings: this.readSharedStrings(entries),
+      dateStyles: this.readDateStyles(entries),
+    };
+    return this.listSheets(entries).map((sheet) => ({
+      name: sheet.name,
+      rows: this.readSheetRows(entries.get(sheet.part), context),
+    }));
+  }
+
+  /**
+   * 流式分块表格文件：每个工作表的第一行非空行作为表头，其余行按组分块，每块重复表头
+   * 生成器结束时返回 { chunks }
+   *
+   * @param {string|Buffer} pathOrBuffer - 表格文件路径或Buffer（xlsx 或 CSV）
+   * @param {Object} options - 解析选项
+   * @param {number} [options.chunkSize=1000] - 块大小（单行超过块大小时单独成块）
+   * @param {number} [options.maxRowsPerChunk=50] - 每块最多的数据行数
+   * @param {boolean} [options.includeSectionPath=true] - 块文本前是否加上工作表名
+   * @param {number} [options.maxChunks] - 最大分块数（默认 RAG_MAX_FILE_CHUNKS，0 为不限制），超过时报错
+   * @param {Object} [options.fileMetadata] - 写入每个块的文件元数据
+   * @returns {AsyncGenerator<{text: string, metadata: Object}>}
+   */
+  async *streamChunks(pathOrBuffer, options = {}) {
+    const {
+      chunkSize = 1000,
+      maxRowsPerChunk = 50,
+      includeSectionPath = true,
+      maxChunks = parseInt(process.env.RAG_MAX_FILE_CHUNKS || '0', 10),
+      fileMetadata = {},
+    } = options;
+
+    const sheets = await this.readSheets(pathOrBuffer);
+    let count = 0;
+
+    const buildChunk = (sheet, headerRow, group) => {
+      count++;
+      if (maxChunks > 0 && count > maxChunks) {
+        throw new Error(`表格分块数超过上限 ${maxChunks}，请拆分文件或调大 RAG_MAX_FILE_CHUNKS`);
+      }
+      // 只有表头行的工作表直接输出表头
+      const table = toMarkdownTable([headerRow.cells, ...group.map((row) => row.cells)]);
+      const range = group.length > 0 ? group : [headerRow];
+      const sectionPath = sheet.name ? [sheet.name] : [];
+      return {
+        text: includeSectionPath && sheet.name ? `${sheet.name}\n${table}` : table,
+        metadata: {
+          ...fileMetadata,
+          chunk_index: count - 1,
+          section_path: sectionPath,
+          section_title: sheet.name,
+          sheet_name: sheet.name,
+          row_start: range[0].number,
+          row_end: range[range.length - 1].number,
+          table_rows: group.length,
+          content_type: 'table',
+          source: 'spreadsheet',
+        },
+      };
+    };
+
+    for (const sheet of sheets) {
+      const rows = sheet.rows
+        .map((row) => ({ ...row, cells: row.cells.map((cell) => String(cell).trim()) }))
+        .filter((row) => row.cells.some(Boolean));
+      if (rows.length === 0) {
+        continue;
+      }
+
+      // 去掉所有行都为空的尾部列
+      const width = Math.max(
+        ...rows.map((row) => row.cells.reduce((last, cell, i) => (cell ? i + 1 : last), 0)),
+      );
+      const [headerRow, ...body] = rows.map((row) => ({
+        ...row,
+        cells: Array.from({ length: width }, (_, i) => row.cells[i] ?? ''),
+      }));
+      const headerLength = toMarkdownTable([headerRow.cells]).length + (sheet.name?.length ?? 0);
+      let group = [];
+      let groupLength = headerLength;
+      for (const row of body) {
+        const rowLength = toMarkdownTable([row.cells]).split('\n')[0].length + 1;
+        if (
+          group.length > 0 &&
+          (groupLength + rowLength > chunkSize || group.length >= maxRowsPerChunk)
+        ) {
+          yield buildChunk(sheet, headerRow, group);
+          group = [];
+          groupLength = headerLength;
+        }
+        group.push(row);
+        groupLength += rowLength;
+      }
+      yield buildChunk(sheet, headerRow, group);
+    }
+
+    return { chunks: count };
+  }
+
+  /**
+   * 解析表格文件（主入口）
+   *
+   * @param {string|Buffer} pathOrBuffer - 表格文件路径或Buffer
+   * @param {Object} options - 解析选项，见 streamChunks
+   * @returns {Promise<Array<{text: string, metadata: Object}>>} 文本块数组
+   */
+  async parseSpreadsheet(pathOrBuffer, options = {}) {
+    try {
+      const chunks = [];
+      for await (const chunk of this.streamChunks(pathOrBuffer, options)) {
+        chunks.push(chunk);
+      }
+
+      logger.info(`[SpreadsheetParseService] 表格解析完成: ${chunks.length} 个块`);
+      return chunks;
+    } catch (error) {
+      logger.error('[SpreadsheetParseService] 表格解析失败:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = SpreadsheetParseService;
+module.exports.parseCSV = parseCSV;
+module.exports.excelSerialToISO = excelSerialToISO;
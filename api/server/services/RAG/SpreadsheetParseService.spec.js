@@ -0,0 +1,133 @@
+jest.mock('@aipyq/data-schemas', () => ({
+  logger: {
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn(),
+  },
+}));
+
+const { createZip } = require('~/test/utils/zip');
+const SpreadsheetParseService = require('./SpreadsheetParseService');
+const { parseCSV, excelSerialToISO } = SpreadsheetParseService;
+
+const xml = (body) => `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>${body}`;
+
+const createWorkbook = () =>
+  createZip({
+    'xl/workbook.xml': xml(
+      '<workbook xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">' +
+        '<sheets><sheet name="销售" sheetId="1" r:id="rId1"/><sheet name="空表" sheetId="2" r:id="rId2"/></sheets>' +
+        '</workbook>',
+    ),
+    'xl/_rels/workbook.xml.rels': xml(
+      '<Relationships>' +
+        '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>' +
+        '<Relationship Id="rId2" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="/xl/worksheets/sheet2.xml"/>' +
+        '</Relationships>',
+    ),
+    'xl/sharedStrings.xml': xml(
+      '<sst><si><t>日期</t></si><si><t>地区</t></si><si><t>金额</t></si>' +
+        '<si><r><t>华</t></r><r><t>东</t></r><rPh><t>ka</t></rPh></si></sst>',
+    ),
+    'xl/styles.xml': xml(
+      '<styleSheet><numFmts><numFmt numFmtId="164" formatCode="yyyy/mm/dd"/></numFmts>' +
+        '<cellXfs><xf numFmtId="0"/><xf numFmtId="164"/></cellXfs></styleSheet>',
+    ),
+    'xl/worksheets/sheet1.xml': xml(
+      '<worksheet><sheetData>' +
+        '<row r="1"><c r="A1" t="s"><v>0</v></c><c r="B1" t="s"><v>1</v></c><c r="C1" t="s"><v>2</v></c></row>' +
+        '<row r="3"><c r="A3" s="1"><v>46023</v></c><c r="B3" t="s"><v>3</v></c><c r="C3"><v>1200.5</v></c></row>' +
+        '<row r="4"><c r="A4" s="1"><v>46024</v></c><c r="C4"><v>80</v></c></row>' +
+        '<row r="5"><c r="B5" t="inlineStr"><is><t>华南</t></is></c><c r="C5" t="b"><v>1</v></c></row>' +
+        '</sheetData></worksheet>',
+    ),
+    'xl/worksheets/sheet2.xml': xml('<worksheet><sheetData/></worksheet>'),
+  });
+
+describe('parseCSV', () => {
+  it('handles quoted fields, escaped quotes, newlines and a BOM', () => {
+    const csv = '\uFEFF名称,备注\r\n"A,B","说""明"\n"多\n行",x';
+    expect(parseCSV(csv)).toEqual([
+      ['名称', '备注'],
+      ['A,B', '说"明'],
+      ['多\n行', 'x'],
+    ]);
+  });
+
+  it('detects tab and semicolon delimiters from the header row', () => {
+    expect(parseCSV('a\tb\n1\t2')).toEqual([
+      ['a', 'b'],
+      ['1', '2'],
+    ]);
+    expect(parseCSV('a;b;c\n1;2,5;3')).toEqual([
+      ['a', 'b', 'c'],
+      ['1', '2,5', '3'],
+    ]);
+  });
+});
+
+describe('excelSerialToISO', () => {
+  it('converts date and date-time serials', () => {
+    expect(excelSerialToISO(46023)).toBe('2026-01-01');
+    expect(excelSerialToISO(46023.5)).toBe('2026-01-01 12:00:00');
+  });
+});
+
+describe('SpreadsheetParseService', () => {
+  it('chunks xlsx sheets by row groups and repeats the header row', async () => {
+    const service = new SpreadsheetParseService();
+    const chunks = await service.parseSpreadsheet(createWorkbook(), {
+      maxRowsPerChunk: 2,
+      fileMetadata: { file_id: 'file-1' },
+    });
+
+    expect(chunks.map((chunk) => chunk.text)).toEqual([
+      [
+        '销售',
+        '| 日期 | 地区 | 金额 |',
+        '| --- | --- | --- |',
+        '| 2026-01-01 | 华东 | 1200.5 |',
+        '| 2026-01-02 |  | 80 |',
+      ].join('\n'),
+      ['销售', '| 日期 | 地区 | 金额 |', '| --- | --- | --- |', '|  | 华南 | TRUE |'].join('\n'),
+    ]);
+    expect(chunks[0].metadata).toMatchObject({
+      file_id: 'file-1',
+      chunk_index: 0,
+      sheet_name: '销售',
+      section_path: ['销售'],
+      row_start: 3,
+      row_end: 4,
+      table_rows: 2,
+      content_type: 'table',
+      source: 'spreadsheet',
+    });
+    expect(chunks[1].metadata).toMatchObject({ chunk_index: 1, row_start: 5, row_end: 5 });
+  });
+
+  it('splits groups by chunk size and parses CSV files', async () => {
+    const service = new SpreadsheetParseService();
+    const rows = Array.from({ length: 6 }, (_, i) => `城市${i},${'备注'.repeat(10)}`);
+    const csv = Buffer.from(['城市,说明', ...rows].join('\n'));
+
+    const chunks = await service.parseSpreadsheet(csv, { chunkSize: 120 });
+
+    expect(chunks.length).toBeGreaterThan(1);
+    for (const chunk of chunks) {
+      expect(chunk.text.startsWith('| 城市 | 说明 |\n| --- | --- |\n')).toBe(true);
+      expect(chunk.metadata.sheet_name).toBeNull();
+    }
+    expect(chunks[0].metadata.row_start).toBe(2);
+    expect(chunks[chunks.length - 1].metadata.row_end).toBe(7);
+  });
+
+  it('enforces the chunk limit', async () => {
+    const service = new SpreadsheetParseService();
+    const csv = Buffer.from('a\n1\n2\n3');
+
+    await expect(
+      service.parseSpreadsheet(csv, { maxRowsPerChunk: 1, maxChunks: 2 }),
+    ).rejects.toThrow('表格分块数超过上限 2');
+  });
+});
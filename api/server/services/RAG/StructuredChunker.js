@@ -0,0 +1,414 @@
+/**
+ * 结构感知分块器
+ * 按文档结构（标题层级、段落、表格）分块，替代按固定长度切分全文：
+ * 1. 标题处强制断块，每个块记录所属章节路径（section_path）与页码范围
+ * 2. 表格作为整体输出为 Markdown；超大表格按行拆分并在每块重复表头
+ * 3. 同一章节内的长文本按分隔符断开，相邻块之间保留重叠
+ * 4. 以生成器方式逐块产出，调用方可以边解析边处理，不需要一次性持有全文
+ * 5. 来自 OCR 的文档块（带 ocrConfidence）在块元数据中记录 ocr_confidence
+ */
+
+/** 文档块类型 */
+const BlockType = {
+  HEADING: 'heading',
+  PARAGRAPH: 'paragraph',
+  TABLE: 'table',
+};
+
+/** 断块时优先使用的分隔符（从大到小） */
+const SEPARATORS = ['\n\n', '\n', '。', '. ', '！', '? ', '？', '；', '; ', '，', ', ', ' '];
+
+const CN_NUMBER = '[一二三四五六七八九十百零〇两\\d]+';
+
+/**
+ * 纯文本标题规则，按层级从高到低排列
+ * level 为固定层级，数字编号标题按段数递增（1.1 -> 5，1.1.1 -> 6）
+ */
+const HEADING_RULES = [
+  { pattern: /^(#{1,6})\s+\S/, level: (match) => match[1].length },
+  { pattern: new RegExp(`^第${CN_NUMBER}[章篇部](\\s|$)`), level: () => 1 },
+  { pattern: new RegExp(`^第${CN_NUMBER}节(\\s|$)`), level: () => 2 },
+  { pattern: /^[一二三四五六七八九十]+[、．.]\s*\S/, level: () => 3 },
+  { pattern: /^[（(][一二三四五六七八九十]+[）)]\s*\S/, level: () => 4 },
+  { pattern: /^(\d+(?:\.\d+)+)\.?\s+\S/, level: (match) => 3 + match[1].split('.').length },
+];
+
+/** 标题最大长度，超过视为正文 */
+const MAX_HEADING_LENGTH = 60;
+/** 以这些标点结尾的行视为正文而不是标题 */
+const SENTENCE_END = /[。；;，,：:！!？?、]$/;
+
+/**
+ * 判断一行纯文本是否为标题
+ * @param {string} line - 单行文本
+ * @returns {{ level: number, text: string }|null} 标题层级与去掉 Markdown 标记后的文本
+ */
+function detectHeading(line) {
+  const text = line.trim();
+  if (!text || text.length > MAX_HEADING_LENGTH || SENTENCE_END.test(text)) {
+    return null;
+  }
+  for (const rule of HEADING_RULES) {
+    const match = text.match(rule.pattern);
+    if (match) {
+      return { level: rule.level(match), text: text.replace(/^#{1,6}\s+/, '') };
+    }
+  }
+  return null;
+}
+
+/**
+ * 将一行拆分为表格单元格
+ * 支持制表符分隔（Word 表格行以制表符分隔单元格）和 Markdown 管道表格
+ * @param {string} line - 单行文本
+ * @returns {string[]|null} 单元格数组，不是表格行时返回 null
+ */
+function splitTableRow(line) {
+  const trimmed = line.trim();
+  if (/^\|.*\|$/.test(trimmed)) {
+    if (/^\|[\s:|-]+\|$/.test(trimmed)) {
+      return []; // Markdown 表头分隔行
+    }
+    return trimmed
+      .slice(1, -1)
+      .split('|')
+      .map((cell) => cell.trim());
+  }
+  if (line.includes('\t')) {
+    const cells = line.replace(/\t+$/, '').split('\t');
+    if (cells.length >= 2) {
+      return cells.map((cell) => cell.trim());
+    }
+  }
+  return null;
+}
+
+/**
+ * 从纯文本中识别文档块（标题、段落、表格）
+ * 连续两行及以上的表格行组成一个表格；空行分隔段落
+ * @param {string} text - 纯文本（制表符需保留）
+ * @param {Object} [options]
+ * @param {number} [options.page] - 文本所在页码
+ * @returns {Generator<Object>} 文档块
+ */
+function* parseTextBlocks(text, { page } = {}) {
+  const lines = String(text || '').split(/\r?\n/);
+  let paragraph = [];
+  let tableRows = [];
+
+  function* flushParagraph() {
+    const content = paragraph.join('\n').trim();
+    paragraph = [];
+    if (content) {
+      yield { type: BlockType.PARAGRAPH, text: content, page };
+    }
+  }
+
+  function* flushTable() {
+    const rows = tableRows.filter((row) => row.length > 0);
+    tableRows = [];
+    if (rows.length >= 2) {
+      yield { type: BlockType.TABLE, rows, page };
+    } else if (rows.length === 1) {
+      paragraph.push(rows[0].join(' '));
+    }
+  }
+
+  for (const line of lines) {
+    const cells = splitTableRow(line);
+    if (cells) {
+      if (tableRows.length === 0) {
+        yield* flushParagraph();
+      }
+      tableRows.push(cells);
+      continue;
+    }
+    yield* flushTable();
+
+    const heading = detectHeading(line);
+    if (heading) {
+      yield* flushParagraph();
+      yield { type: BlockType.HEADING, level: heading.level, text: heading.text, page };
+    } else if (!line.trim()) {
+      yield* flushParagraph();
+    } else {
+      paragraph.push(line.trim());
+    }
+  }
+  yield* flushTable();
+  yield* flushParagraph();
+}
+
+/**
+ * 将表格行序列化为 Markdown 表格，第一行作为表头
+ * @param {string[][]} rows - 表格行
+ * @returns {string}
+ */
+function toMarkdownTable(rows) {
+  const width = Math.max(...rows.map((row) => row.length));
+  const format = (row) => {
+    const cells = Array.from({ length: width }, (_, i) =>
+      String(row[i] ?? '')
+        .replace(/\s*\n\s*/g, ' ')
+        .replace(/\|/g, '\\|')
+        .trim(),
+    );
+    return `| ${cells.join(' | ')} |`;
+  };
+  const [header, ...body] = rows;
+  return [format(header), `| ${Array(width).fill('---').join(' | ')} |`, ...body.map(format)].join(
+    '\n',
+  );
+}
+
+/**
+ * 在 maxLength 以内查找断点，优先在靠后的分隔符处断开
+ * @param {string} text - 文本
+ * @param {number} maxLength - 最大长度
+ * @returns {number} 断点位置
+ */
+function findBreakPoint(text, maxLength) {
+  if (text.length <= maxLength) {
+    return text.length;
+  }
+  const minLength = Math.floor(maxLength * 0.5);
+  for (const separator of SEPARATORS) {
+    const position = text.lastIndexOf(separator, maxLength - separator.length);
+    if (position >= minLength) {
+      return position + separator.length;
+    }
+  }
+  return maxLength;
+}
+
+class StructuredChunker {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.chunkSize=1000] - 块大小（字符）
+   * @param {number} [options.chunkOverlap=150] - 同一章节内相邻块的重叠大小
+   * @param {number} [options.maxTableSize] - 表格整体输出的最大长度，超过按行拆分（默认 chunkSize 的 3 倍）
+   * @param {boolean} [options.includeSectionPath=true] - 块文本前是否加上章节路径
+   */
+  constructor({
+    chunkSize = 1000,
+    chunkOverlap = 150,
+    maxTableSize,
+    includeSectionPath = true,
+  } = {}) {
+    this.chunkSize = Math.max(1, chunkSize);
+    this.chunkOverlap = Math.max(0, Math.min(chunkOverlap, Math.floor(this.chunkSize / 2)));
+    this.maxTableSize = maxTableSize || this.chunkSize * 3;
+    this.includeSectionPath = includeSectionPath;
+
+    this.headings = []; // 当前章节路径 [{ level, text }]
+    this.parts = []; // 当前块的文本片段
+    this.length = 0;
+    this.overlapLength = 0; // 当前块开头来自上一块的重叠长度
+    this.pageStart = null;
+    this.pageEnd = null;
+    this.ocr = { chars: 0, weighted: 0 }; // 当前块中 OCR 文本的字符数与置信度加权和
+    this.chunkIndex = 0;
+  }
+
+  get sectionPath() {
+    return this.headings.map((heading) => heading.text);
+  }
+
+  /**
+   * 处理一个文档块
+   * @param {Object} block - parseTextBlocks 或版面分析产出的文档块
+   * @returns {Generator<{ text: string, metadata: Object }>} 已完成的块
+   */
+  *push(block) {
+    if (block.type === BlockType.HEADING) {
+      yield* this.flush();
+      while (
+        this.headings.length > 0 &&
+        this.headings[this.headings.length - 1].level >= block.level
+      ) {
+        this.headings.pop();
+      }
+      this.headings.push({ level: block.level, text: block.text.trim() });
+      return;
+    }
+    if (block.type === BlockType.TABLE) {
+      yield* this.flush();
+      yield* this.emitTable(block.rows, block.page, block.ocrConfidence);
+      return;
+    }
+    yield* this.addText(block.text, block.page, block.ocrConfidence);
+  }
+
+  /**
+   * 输出当前缓冲的文本块（不保留重叠）
+   * @returns {Generator<{ text: string, metadata: Object }>}
+   */
+  *flush() {
+    if (this.length > this.overlapLength) {
+      yield this.buildChunk(
+        this.parts.join('\n'),
+        'text',
+        this.pageStart,
+        this.pageEnd,
+        this.ocrMetadata(),
+      );
+    }
+    this.reset();
+  }
+
+  reset(parts = []) {
+    this.parts = parts;
+    this.length = parts.reduce((sum, part) => sum + part.length + 1, 0);
+    this.overlapLength = this.length;
+    this.pageStart = null;
+    this.pageEnd = null;
+    this.ocr = { chars: 0, weighted: 0 };
+  }
+
+  /**
+   * 块中含有 OCR 文本时，记录按字符数加权的平均识别置信度
+   */
+  ocrMetadata() {
+    if (this.ocr.chars === 0) {
+      return {};
+    }
+    return { ocr_confidence: Math.round((this.ocr.weighted / this.ocr.chars) * 10000) / 10000 };
+  }
+
+  *addText(text, page, ocrConfidence) {
+    let remaining = String(text || '').trim();
+    while (remaining) {
+      const available = this.chunkSize - this.length;
+      if (remaining.length + 1 <= available) {
+        this.append(remaining, page, ocrConfidence);
+        return;
+      }
+
+      // 当前块已有正文时先输出，剩余文本从带重叠的新块开始
+      if (this.length > this.overlapLength) {
+        yield* this.flushWithOverlap(page);
+        continue;
+      }
+
+      const end = findBreakPoint(remaining, Math.max(1, available - 1));
+      this.append(remaining.slice(0, end).trim(), page, ocrConfidence);
+      remaining = remaining.slice(end).trim();
+      if (remaining) {
+        yield* this.flushWithOverlap(page);
+      }
+    }
+  }
+
+  append(text, page, ocrConfidence) {
+    if (!text) {
+      return;
+    }
+    this.parts.push(text);
+    this.length += text.length + 1;
+    if (ocrConfidence != null) {
+      this.ocr.chars += text.length;
+      this.ocr.weighted += text.length * ocrConfidence;
+    }
+    if (page != null) {
+      this.pageStart = this.pageStart == null ? page : Math.min(this.pageStart, page);
+      this.pageEnd = this.pageEnd == null ? page : Math.max(this.pageEnd, page);
+    }
+  }
+
+  /**
+   * 输出当前块，并以其末尾（在分隔符处对齐）作为下一块的开头
+   */
+  *flushWithOverlap(page) {
+    const text = this.parts.join('\n');
+    const pageEnd = this.pageEnd;
+    const ocr = this.ocrMetadata();
+    yield this.buildChunk(text, 'text', this.pageStart, pageEnd, ocr);
+
+    let overlap = '';
+    if (this.chunkOverlap > 0) {
+      const start = text.length - this.chunkOverlap;
+      const tail = text.slice(Math.max(0, start));
+      const boundary = SEPARATORS.map((separator) => {
+        const position = tail.indexOf(separator);
+        return position >= 0 ? position + separator.length : -1;
+      }).find((position) => position > 0 && position < tail.length);
+      overlap = (boundary ? tail.slice(boundary) : tail).trim();
+    }
+    this.reset(overlap ? [overlap] : []);
+    const overlapPage = pageEnd ?? page;
+    if (overlap && overlapPage != null) {
+      this.pageStart = overlapPage;
+      this.pageEnd = overlapPage;
+    }
+    // 重叠部分沿用上一块的 OCR 置信度
+    if (overlap && ocr.ocr_confidence != null) {
+      this.ocr = { chars: overlap.length, weighted: overlap.length * ocr.ocr_confidence };
+    }
+  }
+
+  /**
+   * 输出表格：整体不超过 maxTableSize 时作为一个块，否则按行拆分并重复表头
+   */
+  *emitTable(rows, page, ocrConfidence) {
+    const ocr =
+      ocrConfidence != null ? { ocr_confidence: Math.round(ocrConfidence * 10000) / 10000 } : {};
+    const markdown = toMarkdownTable(rows);
+    if (markdown.length <= this.maxTableSize) {
+      yield this.buildChunk(markdown, 'table', page, page, {
+        table_rows: rows.length - 1,
+        ...ocr,
+      });
+      return;
+    }
+
+    const [header, ...body] = rows;
+    let group = [];
+    let groupLength = toMarkdownTable([header]).length;
+    for (const row of body) {
+      const rowLength = toMarkdownTable([row]).split('\n')[0].length + 1;
+      if (group.length > 0 && groupLength + rowLength > this.chunkSize) {
+        yield this.buildChunk(toMarkdownTable([header, ...group]), 'table', page, page, {
+          table_rows: group.length,
+          ...ocr,
+        });
+        group = [];
+        groupLength = toMarkdownTable([header]).length;
+      }
+      group.push(row);
+      groupLength += rowLength;
+    }
+    if (group.length > 0) {
+      yield this.buildChunk(toMarkdownTable([header, ...group]), 'table', page, page, {
+        table_rows: group.length,
+        ...ocr,
+      });
+    }
+  }
+
+  buildChunk(body, contentType, pageStart, pageEnd, extra = {}) {
+    const sectionPath = this.sectionPath;
+    const text =
+      this.includeSectionPath && sectionPath.length > 0
+        ? `${sectionPath.join(' > ')}\n${body}`
+        : body;
+    return {
+      text,
+      metadata: {
+        chunk_index: this.chunkIndex++,
+        section_path: sectionPath,
+        section_title: sectionPath[sectionPath.length - 1] || null,
+        page_start: pageStart ?? null,
+        page_end: pageEnd ?? null,
+        content_type: contentType,
+        ...extra,
+      },
+    };
+  }
+}
+
+module.exports = StructuredChunker;
+module.exports.BlockType = BlockType;
+module.exports.detectHeading = detectHeading;
+module.exports.splitTableRow = splitTableRow;
+module.exports.parseTextBlocks = parseTextBlocks;
+module.exports.toMarkdownTable = toMarkdownTable;
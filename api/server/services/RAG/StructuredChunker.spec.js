@@ -0,0 +1,147 @@
+const StructuredChunker = require('./StructuredChunker');
+const { BlockType, detectHeading, parseTextBlocks } = StructuredChunker;
+
+/** 用给定块序列驱动分块器，收集全部输出 */
+const chunkBlocks = (blocks, options) => {
+  const chunker = new StructuredChunker(options);
+  const chunks = [];
+  for (const block of blocks) {
+    chunks.push(...chunker.push(block));
+  }
+  chunks.push(...chunker.flush());
+  return chunks;
+};
+
+describe('detectHeading', () => {
+  it('recognizes numbered and markdown headings with their levels', () => {
+    expect(detectHeading('第一章 总则')).toEqual({ level: 1, text: '第一章 总则' });
+    expect(detectHeading('第三节 适用范围')).toMatchObject({ level: 2 });
+    expect(detectHeading('二、职责分工')).toMatchObject({ level: 3 });
+    expect(detectHeading('（一）审批流程')).toMatchObject({ level: 4 });
+    expect(detectHeading('2.1 数据来源')).toMatchObject({ level: 5 });
+    expect(detectHeading('## 概述')).toEqual({ level: 2, text: '概述' });
+  });
+
+  it('treats sentences and long lines as body text', () => {
+    expect(detectHeading('一、本制度适用于全体员工。')).toBeNull();
+    expect(detectHeading(`1.1 ${'很长的正文'.repeat(20)}`)).toBeNull();
+    expect(detectHeading('普通段落')).toBeNull();
+  });
+});
+
+describe('parseTextBlocks', () => {
+  it('splits headings, paragraphs and tab separated tables', () => {
+    const text = ['第一章 总则', '本制度说明。', '', '项目\t金额\t', '差旅\t100\t', '说明'].join(
+      '\n',
+    );
+    const blocks = [...parseTextBlocks(text, { page: 2 })];
+
+    expect(blocks.map((block) => block.type)).toEqual([
+      BlockType.HEADING,
+      BlockType.PARAGRAPH,
+      BlockType.TABLE,
+      BlockType.PARAGRAPH,
+    ]);
+    expect(blocks[2]).toEqual({
+      type: BlockType.TABLE,
+      rows: [
+        ['项目', '金额'],
+        ['差旅', '100'],
+      ],
+      page: 2,
+    });
+  });
+});
+
+describe('StructuredChunker', () => {
+  it('breaks at headings and records the section path and pages', () => {
+    const chunks = chunkBlocks([
+      { type: BlockType.HEADING, level: 1, text: '第一章 总则', page: 1 },
+      { type: BlockType.PARAGRAPH, text: '总则内容', page: 1 },
+      { type: BlockType.HEADING, level: 2, text: '第一节 目的', page: 1 },
+      { type: BlockType.PARAGRAPH, text: '目的内容', page: 2 },
+      { type: BlockType.HEADING, level: 1, text: '第二章 细则', page: 3 },
+      { type: BlockType.PARAGRAPH, text: '细则内容', page: 3 },
+    ]);
+
+    expect(chunks.map((chunk) => chunk.text)).toEqual([
+      '第一章 总则\n总则内容',
+      '第一章 总则 > 第一节 目的\n目的内容',
+      '第二章 细则\n细则内容',
+    ]);
+    expect(chunks[1].metadata).toEqual({
+      chunk_index: 1,
+      section_path: ['第一章 总则', '第一节 目的'],
+      section_title: '第一节 目的',
+      page_start: 2,
+      page_end: 2,
+      content_type: 'text',
+    });
+  });
+
+  it('keeps a table together as one markdown chunk', () => {
+    const rows = [
+      ['项目', '金额'],
+      ['差旅', '100'],
+      ['餐费', '50'],
+    ];
+    const [chunk] = chunkBlocks([{ type: BlockType.TABLE, rows, page: 4 }], {
+      includeSectionPath: false,
+    });
+
+    expect(chunk.text).toBe('| 项目 | 金额 |\n| --- | --- |\n| 差旅 | 100 |\n| 餐费 | 50 |');
+    expect(chunk.metadata).toMatchObject({ content_type: 'table', table_rows: 2, page_start: 4 });
+  });
+
+  it('splits an oversized table by rows and repeats the header', () => {
+    const rows = [['名称', '说明']];
+    for (let i = 0; i < 20; i++) {
+      rows.push([`项目${i}`, '说明'.repeat(10)]);
+    }
+    const chunks = chunkBlocks([{ type: BlockType.TABLE, rows }], {
+      chunkSize: 200,
+      maxTableSize: 300,
+      includeSectionPath: false,
+    });
+
+    expect(chunks.length).toBeGreaterThan(1);
+    for (const chunk of chunks) {
+      expect(chunk.text.startsWith('| 名称 | 说明 |\n| --- | --- |\n')).toBe(true);
+      expect(chunk.text.length).toBeLessThanOrEqual(200);
+    }
+    expect(chunks.reduce((sum, chunk) => sum + chunk.metadata.table_rows, 0)).toBe(20);
+  });
+
+  it('splits long sections at separators with overlap and never truncates', () => {
+    const sentences = Array.from({ length: 40 }, (_, i) => `第${i}句内容。`);
+    const chunks = chunkBlocks([{ type: BlockType.PARAGRAPH, text: sentences.join(''), page: 1 }], {
+      chunkSize: 60,
+      chunkOverlap: 20,
+      includeSectionPath: false,
+    });
+
+    expect(chunks.length).toBeGreaterThan(1);
+    for (const chunk of chunks) {
+      expect(chunk.text.length).toBeLessThanOrEqual(60);
+    }
+    // 相邻块以完整句子重叠
+    const overlap = chunks[1].text.split('\n')[0];
+    expect(overlap).toMatch(/^第\d+句/);
+    expect(chunks[0].text.endsWith(overlap)).toBe(true);
+    expect(chunks[chunks.length - 1].text.endsWith('第39句内容。')).toBe(true);
+  });
+
+  it('records the character weighted OCR confidence of chunks with OCR text', () => {
+    const chunks = chunkBlocks(
+      [
+        { type: BlockType.PARAGRAPH, text: '正文内容', page: 1 },
+        { type: BlockType.PARAGRAPH, text: '识别文本', page: 1, ocrConfidence: 0.5 },
+        { type: BlockType.TABLE, rows: [['a'], ['b']], page: 1, ocrConfidence: 0.8 },
+        { type: BlockType.PARAGRAPH, text: '其他正文', page: 2 },
+      ],
+      { includeSectionPath: false },
+    );
+
+    expect(chunks.map((chunk) => chunk.metadata.ocr_confidence)).toEqual([0.5, 0.8, undefined]);
+  });
+});
@@ -0,0 +1,86 @@
+/**
+ * 中文感知分词器
+ * 用于词法检索（BM25），不依赖数据库端的中文分词扩展（zhparser / pg_jieba）
+ *
+ * 分词规则：
+ * 1. 先做 NFKC 归一化（全角字母数字转半角）并转小写
+ * 2. 连续的中文字符按二元组（bigram）切分，单个汉字保留为一个词元
+ * 3. 字母数字串整体保留（如 SKU-001、order_detail、v1.2），
+ *    含连接符的串同时拆出各个部分，便于部分匹配
+ */
+
+const CJK_CHAR = '\\u3400-\\u4dbf\\u4e00-\\u9fff\\uf900-\\ufaff';
+const TOKEN_PATTERN = new RegExp(
+  `[${CJK_CHAR}]+|[a-z0-9]+(?:[._\\-/#][a-z0-9]+)*`,
+  'g',
+);
+const CJK_RUN = new RegExp(`^[${CJK_CHAR}]+$`);
+const JOINER_PATTERN = /[._\-/#]/;
+
+/**
+ * 将文本切分为词元序列（保留重复，用于计算词频）
+ * @param {string} text - 待分词文本
+ * @returns {string[]} 词元数组
+ */
+function tokenize(text) {
+  if (!text || typeof text !== 'string') {
+    return [];
+  }
+
+  const normalized = text.normalize('NFKC').toLowerCase();
+  const matches = normalized.match(TOKEN_PATTERN) || [];
+  const tokens = [];
+
+  for (const match of matches) {
+    if (CJK_RUN.test(match)) {
+      const chars = Array.from(match);
+      if (chars.length === 1) {
+        tokens.push(match);
+        continue;
+      }
+      for (let i = 0; i < chars.length - 1; i++) {
+        tokens.push(chars[i] + chars[i + 1]);
+      }
+      continue;
+    }
+
+    tokens.push(match);
+    if (JOINER_PATTERN.test(match)) {
+      for (const part of match.split(JOINER_PATTERN)) {
+        if (part && part !== match) {
+          tokens.push(part);
+        }
+      }
+    }
+  }
+
+  return tokens;
+}
+
+/**
+ * 统计词频
+ * @param {string[]} tokens - 词元数组
+ * @returns {Map<string, number>} 词元 -> 出现次数
+ */
+function countTerms(tokens) {
+  const counts = new Map();
+  for (const token of tokens) {
+    counts.set(token, (counts.get(token) || 0) + 1);
+  }
+  return counts;
+}
+
+/**
+ * 获取去重后的词元（用于存储倒排索引列和构建查询）
+ * @param {string} text - 待分词文本
+ * @returns {string[]} 去重后的词元数组
+ */
+function uniqueTerms(text) {
+  return Array.from(new Set(tokenize(text)));
+}
+
+module.exports = {
+  tokenize,
+  countTerms,
+  uniqueTerms,
+};
@@ -1,4 +1,6 @@
 const { logger } = require('@aipyq/data-schemas');
+const { tokenize } = require('./TextTokenizer');
+const EmbeddingModelRegistry = require('./EmbeddingModelRegistry');
 
 /**
  * 向量数据库服务
@@ -9,6 +11,8 @@ const { logger } = require('@aipyq/data-schemas');
 // Embedding 模型维度配置
 // bge-small-zh-v1.5 模型输出 512 维向量
 const EMBEDDING_DIMENSION = parseInt(process.env.EMBEDDING_DIMENSION || '512', 10);
+// 词法检索语料统计（文档数、平均长度）缓存时间
+const LEXICAL_STATS_TTL = 5 * 60 * 1000;
 /**
  * 检测是否在 Docker 容器内运行
  */
@@ -27,6 +31,8 @@ class VectorDBService {
     this.pool = null;
     this.initialized = false;
     this.tablesInitialized = false; // 标记表是否已初始化
+    this.lexicalStatsCache = new Map(); // 词法检索语料统计缓存（按表）
+    this.modelRegistry = new EmbeddingModelRegistry();
     
     // 从环境变量或配置获取连接信息（优先级：VECTOR_DB_* > POSTGRES_* > 默认值）
     const envHost = process.env.VECTOR_DB_HOST || process.env.DB_HOST;
@@ -149,6 +155,8 @@ class VectorDBService {
       // 确保表结构存在（只在首次初始化时创建）
       if (!this.tablesInitialized) {
         await this.ensureTables();
+        await this.ensureLexicalColumns();
+        await this.ensureModelColumns();
         this.tablesInitialized = true;
       }
 
@@ -264,6 +272,110 @@ class VectorDBService {
     }
   }
 
+  /**
+   * 确保词法检索列存在
+   * search_tokens 保存应用层中文分词后的去重词元（GIN 倒排索引），
+   * search_length 保存分词后的文档长度，供 BM25 计算平均文档长度
+   * 历史数据的这两列为空，可通过 utils/backfillLexicalTokens.js 回填
+   */
+  async ensureLexicalColumns() {
+    try {
+      await this.pool.query('ALTER TABLE file_vectors ADD COLUMN IF NOT EXISTS search_tokens TEXT[]');
+      await this.pool.query('ALTER TABLE file_vectors ADD COLUMN IF NOT EXISTS search_length INTEGER');
+      await this.pool.query(`
+        CREATE INDEX IF NOT EXISTS idx_file_vectors_search_tokens
+        ON file_vectors
+        USING gin (search_tokens)
+      `);
+    } catch (error) {
+      logger.warn('[VectorDBService] 创建词法检索列失败 (表: file_vectors):', error.message);
+    }
+  }
+
+  /**
+   * 确保向量模型列存在，并以表的实际维度为准
+   * embedding_model 记录每条向量由哪个模型生成，检索时只匹配当前激活模型的向量；
+   * 记录模型之前写入的历史向量该列为空，视为 legacy 模型的向量
+   */
+  async ensureModelColumns() {
+    try {
+      await this.pool.query(
+        'ALTER TABLE file_vectors ADD COLUMN IF NOT EXISTS embedding_model VARCHAR(255)'
+      );
+      await this.pool.query(`
+        CREATE INDEX IF NOT EXISTS idx_file_vectors_embedding_model
+        ON file_vectors(embedding_model)
+      `);
+    } catch (error) {
+      logger.warn('[VectorDBService] 创建向量模型列失败 (表: file_vectors):', error.message);
+    }
+    await this.refreshEmbeddingDimension();
+  }
+
+  /**
+   * 从 file_vectors.embedding 列类型读取实际向量维度
+   * 模型迁移切换表后维度可能与 EMBEDDING_DIMENSION 不同
+   */
+  async refreshEmbeddingDimension() {
+    try {
+      const result = await this.pool.query(`
+        SELECT atttypmod AS dimension
+        FROM pg_attribute
+        WHERE attrelid = 'file_vectors'::regclass AND attname = 'embedding'
+      `);
+      const dimension = result.rows[0]?.dimension;
+      if (dimension > 0 && dimension !== this.config.embeddingDimension) {
+        logger.info(
+          `[VectorDBService] file_vectors 实际向量维度为 ${dimension}（配置: ${this.config.embeddingDimension}），以实际维度为准`
+        );
+        this.config.embeddingDimension = dimension;
+      }
+    } catch (error) {
+      logger.warn('[VectorDBService] 读取向量维度失败:', error.message);
+    }
+  }
+
+  /**
+   * 待写入向量的维度与配置不一致时重新读取表的实际维度
+   * 其他实例完成模型切换后，本实例缓存的维度可能已过期
+   * @param {Array<number[]|null>} embeddings - 待写入的向量
+   */
+  async syncEmbeddingDimension(embeddings) {
+    const dimension = embeddings.find((embedding) => Array.isArray(embedding))?.length;
+    if (dimension && dimension !== this.config.embeddingDimension) {
+      await this.refreshEmbeddingDimension();
+    }
+  }
+
+  /**
+   * 构建按向量模型过滤的查询条件
+   * @param {{ modelId: string, legacy?: boolean }} [embeddingModel] - 激活模型
+   * @param {number} paramIndex - 参数序号
+   * @returns {{ clause: string, params: string[] }}
+   */
+  buildModelFilter(embeddingModel, paramIndex) {
+    if (!embeddingModel) {
+      return { clause: '', params: [] };
+    }
+    const clause = embeddingModel.legacy
+      ? `\n        AND (embedding_model = $${paramIndex} OR embedding_model IS NULL)`
+      : `\n        AND embedding_model = $${paramIndex}`;
+    return { clause, params: [embeddingModel.modelId] };
+  }
+
+  /**
+   * 计算词法检索列的值
+   * @param {string} content - 文本内容
+   * @returns {{ searchTokens: string[], searchLength: number }}
+   */
+  buildLexicalColumns(content) {
+    const tokens = tokenize(content);
+    return {
+      searchTokens: Array.from(new Set(tokens)),
+      searchLength: tokens.length,
+    };
+  }
+
   /**
    * 获取表名（根据知识类型）
    * 按照 DAT 系统架构，每种类型对应独立的表
@@ -288,9 +400,10 @@ class VectorDBService {
    * @param {string} params.content - 内容（JSON序列化）
    * @param {number[]} params.embedding - 向量嵌入
    * @param {Object} params.metadata - 元数据
+   * @param {string} [params.embeddingModel] - 生成向量的模型ID
    * @returns {Promise<boolean>} 是否成功
    */
-  async storeKnowledgeVector({ knowledgeEntryId, userId, type, content, embedding, metadata = {} }) {
+  async storeKnowledgeVector({ knowledgeEntryId, userId, type, content, embedding, metadata = {}, embeddingModel }) {
     if (!this.initialized) {
       await this.initialize();
     }
@@ -324,13 +437,14 @@ class VectorDBService {
       // 存储到对应的独立表（按照 DAT 架构）
       await this.pool.query(
         `INSERT INTO ${tableName} 
-         (knowledge_entry_id, user_id, content, embedding, metadata, updated_at)
-         VALUES ($1, $2, $3, $4::vector, $5::jsonb, CURRENT_TIMESTAMP)
+         (knowledge_entry_id, user_id, content, embedding, metadata, embedding_model, updated_at)
+         VALUES ($1, $2, $3, $4::vector, $5::jsonb, $6, CURRENT_TIMESTAMP)
          ON CONFLICT (knowledge_entry_id) 
          DO UPDATE SET 
            content = EXCLUDED.content,
            embedding = EXCLUDED.embedding::vector,
            metadata = EXCLUDED.metadata::jsonb,
+           embedding_model = EXCLUDED.embedding_model,
            updated_at = CURRENT_TIMESTAMP`,
         [knowledgeEntryId, userId, content, embeddingStr, JSON.stringify(metadata, (key, value) => {
           // 移除 null 字符（\u0000），PostgreSQL JSONB 不接受
@@ -338,7 +452,7 @@ class VectorDBService {
             return value.replace(/\u0000/g, '');
           }
           return value;
-        })]
+        }), embeddingModel || null]
       );
 
       logger.debug(`[VectorDBService] Stored vector for ${type} in table ${tableName}: ${knowledgeEntryId}`);
@@ -358,9 +472,10 @@ class VectorDBService {
    * @param {string} params.content - 内容（JSON序列化）
    * @param {number[]} params.embedding - 向量嵌入
    * @param {Object} params.metadata - 元数据
+   * @param {string} [params.embeddingModel] - 生成向量的模型ID
    * @returns {Promise<boolean>} 是否成功
    */
-  async updateKnowledgeVector({ knowledgeEntryId, userId, type, content, embedding, metadata = {} }) {
+  async updateKnowledgeVector({ knowledgeEntryId, userId, type, content, embedding, metadata = {}, embeddingModel }) {
     // storeKnowledgeVector 已经支持 ON CONFLICT DO UPDATE，所以直接调用它
     return await this.storeKnowledgeVector({
       knowledgeEntryId,
@@ -369,6 +484,7 @@ class VectorDBService {
       content,
       embedding,
       metadata,
+      embeddingModel,
     });
   }
 
@@ -384,9 +500,10 @@ class VectorDBService {
    * @param {string} [params.entityId] - 实体ID（数据源隔离，可选）
    * @param {number} params.topK - 返回前K个结果
    * @param {number} params.minScore - 最小相似度分数
+   * @param {{ modelId: string, legacy?: boolean }} [params.embeddingModel] - 只检索该模型生成的向量
    * @returns {Promise<Array>} 搜索结果数组
    */
-  async searchInTable({ tableName, queryEmbedding, type, entityId, topK, minScore }) {
+  async searchInTable({ tableName, queryEmbedding, type, entityId, topK, minScore, embeddingModel }) {
     const embeddingStr = `[${queryEmbedding.join(',')}]`;
 
     // 构建查询条件：支持entityId数据源隔离
@@ -435,6 +552,10 @@ class VectorDBService {
     } else {
       logger.info(`[VectorDBService] searchInTable - 未使用entityId过滤 (表: ${tableName})`);
     }
+
+    const modelFilter = this.buildModelFilter(embeddingModel, queryParams.length + 1);
+    whereClause += modelFilter.clause;
+    queryParams.push(...modelFilter.params);
     
     const limitParamIndex = queryParams.length + 1;
     const query = `
@@ -508,9 +629,10 @@ class VectorDBService {
    * @param {string} [params.entityId] - 实体ID（数据源隔离，可选）
    * @param {number} params.topK - 返回前K个结果
    * @param {number} params.minScore - 最小相似度分数
+   * @param {{ modelId: string, legacy?: boolean }} [params.embeddingModel] - 只检索该模型生成的向量
    * @returns {Promise<Array>} 搜索结果数组
    */
-  async searchFileVectors({ queryEmbedding, fileId, entityId, topK = 10, minScore = 0.5 }) {
+  async searchFileVectors({ queryEmbedding, fileId, entityId, topK = 10, minScore = 0.5, embeddingModel }) {
     if (!this.initialized) {
       await this.initialize();
     }
@@ -537,6 +659,11 @@ class VectorDBService {
         paramIndex++;
       }
 
+      const modelFilter = this.buildModelFilter(embeddingModel, paramIndex);
+      whereClause += modelFilter.clause;
+      queryParams.push(...modelFilter.params);
+      paramIndex += modelFilter.params.length;
+
       const query = `
         SELECT 
           file_id,
@@ -563,11 +690,131 @@ class VectorDBService {
         similarity: parseFloat(row.similarity),
       }));
     } catch (error) {
+      if (error.message && error.message.includes('different vector dimensions')) {
+        // 其他实例已完成模型迁移并切换了表，刷新激活模型和表维度
+        logger.warn('[VectorDBService] 查询向量与表维度不一致，可能刚完成模型切换，刷新激活模型');
+        this.modelRegistry.invalidate();
+        await this.refreshEmbeddingDimension();
+      }
       logger.error('[VectorDBService] 文件向量检索失败:', error);
       throw error;
     }
   }
 
+  /**
+   * 获取 file_vectors 的 BM25 语料统计
+   * 文档总数和平均长度按表缓存，词元文档频率（df）每次查询实时计算（走 GIN 索引）
+   * @param {string[]} terms - 查询词元（已去重）
+   * @returns {Promise<{ totalDocs: number, avgLength: number, docFreqs: Map<string, number> }>}
+   */
+  async getFileLexicalStats(terms) {
+    if (!this.initialized) {
+      await this.initialize();
+    }
+
+    let corpus = this.lexicalStatsCache.get('file_vectors');
+    if (!corpus || Date.now() - corpus.updatedAt > LEXICAL_STATS_TTL) {
+      const result = await this.pool.query(`
+        SELECT COUNT(*)::int AS total_docs, COALESCE(AVG(search_length), 0)::float AS avg_length
+        FROM file_vectors
+        WHERE search_tokens IS NOT NULL
+      `);
+      corpus = {
+        totalDocs: result.rows[0]?.total_docs || 0,
+        avgLength: result.rows[0]?.avg_length || 0,
+        updatedAt: Date.now(),
+      };
+      this.lexicalStatsCache.set('file_vectors', corpus);
+    }
+
+    const dfResult = await this.pool.query(
+      `SELECT term, (SELECT COUNT(*) FROM file_vectors WHERE search_tokens @> ARRAY[term])::int AS df
+       FROM unnest($1::text[]) AS term`,
+      [terms]
+    );
+
+    return {
+      totalDocs: corpus.totalDocs,
+      avgLength: corpus.avgLength,
+      docFreqs: new Map(dfResult.rows.map(row => [row.term, row.df])),
+    };
+  }
+
+  /**
+   * 词法检索候选文件chunk
+   * 通过 search_tokens 与查询词元的交集筛选候选（GIN 索引），按命中词元数排序
+   * BM25 打分在应用层完成（见 LexicalSearchService）
+   * @param {Object} params
+   * @param {string[]} params.terms - 查询词元（已去重）
+   * @param {string[]} [params.fileIds] - 文件ID过滤（可选）
+   * @param {string} [params.entityId] - 实体ID（数据源隔离，可选）
+   * @param {number} [params.limit] - 候选数量上限
+   * @param {{ modelId: string, legacy?: boolean }} [params.embeddingModel] - 只检索该模型写入的chunk
+   * @returns {Promise<Array>} 候选chunk数组
+   */
+  async searchFileVectorsLexical({ terms, fileIds, entityId, limit = 50, embeddingModel }) {
+    if (!this.initialized) {
+      await this.initialize();
+    }
+
+    if (!terms || terms.length === 0) {
+      return [];
+    }
+
+    try {
+      let whereClause = 'WHERE search_tokens && $1::text[]';
+      const queryParams = [terms];
+      let paramIndex = 2;
+
+      if (fileIds && fileIds.length > 0) {
+        whereClause += `\n        AND file_id = ANY($${paramIndex}::text[])`;
+        queryParams.push(fileIds);
+        paramIndex++;
+      }
+
+      if (entityId) {
+        whereClause += `\n        AND metadata->>'entity_id' = $${paramIndex}`;
+        queryParams.push(String(entityId));
+        paramIndex++;
+      }
+
+      const modelFilter = this.buildModelFilter(embeddingModel, paramIndex);
+      whereClause += modelFilter.clause;
+      queryParams.push(...modelFilter.params);
+      paramIndex += modelFilter.params.length;
+
+      const query = `
+        SELECT
+          file_id,
+          chunk_index,
+          content,
+          metadata,
+          search_length,
+          cardinality(ARRAY(SELECT unnest(search_tokens) INTERSECT SELECT unnest($1::text[]))) AS matched_terms
+        FROM file_vectors
+        ${whereClause}
+        ORDER BY matched_terms DESC
+        LIMIT $${paramIndex}
+      `;
+
+      queryParams.push(limit);
+
+      const result = await this.pool.query(query, queryParams);
+
+      return result.rows.map(row => ({
+        fileId: row.file_id,
+        chunkIndex: row.chunk_index,
+        content: row.content,
+        metadata: row.metadata || {},
+        docLength: row.search_length || 0,
+        matchedTerms: row.matched_terms,
+      }));
+    } catch (error) {
+      logger.error('[VectorDBService] 文件词法检索失败:', error);
+      throw error;
+    }
+  }
+
   /**
    * 相似度搜索
    * 按照 DAT 系统架构，从对应的独立表中搜索
@@ -580,9 +827,10 @@ class VectorDBService {
    * @param {string} [params.entityId] - 实体ID（数据源隔离，可选）
    * @param {number} params.topK - 返回前K个结果（每个类型）
    * @param {number} params.minScore - 最小相似度分数
+   * @param {{ modelId: string, legacy?: boolean }} [params.embeddingModel] - 只检索该模型生成的向量
    * @returns {Promise<Array>} 搜索结果数组
    */
-  async searchSimilar({ queryEmbedding, types, entityId, topK = 10, minScore = 0.5 }) {
+  async searchSimilar({ queryEmbedding, types, entityId, topK = 10, minScore = 0.5, embeddingModel }) {
     if (!this.initialized) {
       await this.initialize();
     }
@@ -609,6 +857,7 @@ class VectorDBService {
             entityId, // 传递entityId进行数据源隔离
             topK, // 每个类型返回 topK 个结果
             minScore,
+            embeddingModel,
           });
         } catch (error) {
           logger.warn(`[VectorDBService] 从表 ${tableName} 搜索失败:`, error.message);
@@ -698,9 +947,10 @@ class VectorDBService {
    * @param {string} [params.entityId] - 实体ID（数据源隔离，可选）
    * @param {Array<{text: string, metadata: Object}>} params.chunks - 文本块数组
    * @param {number[]} params.embeddings - 每个块的向量嵌入数组
+   * @param {string} [params.embeddingModel] - 生成向量的模型ID
    * @returns {Promise<boolean>} 是否成功
    */
-  async storeFileVectors({ fileId, userId, entityId, chunks, embeddings }) {
+  async storeFileVectors({ fileId, userId, entityId, chunks, embeddings, embeddingModel }) {
     if (!this.initialized) {
       await this.initialize();
     }
@@ -715,6 +965,8 @@ class VectorDBService {
         throw new Error(`文本块数量(${chunks.length})与向量数量(${embeddings.length})不匹配`);
       }
 
+      await this.syncEmbeddingDimension(embeddings);
+
       // 先删除该文件的旧向量（如果存在）
       await this.pool.query(
         'DELETE FROM file_vectors WHERE file_id = $1',
@@ -769,11 +1021,13 @@ class VectorDBService {
           // PostgreSQL JSONB 需要有效的 JSON 字符串
           const metadataJson = JSON.stringify(cleanMetadata);
           
+          const { searchTokens, searchLength } = this.buildLexicalColumns(chunk.text);
+
           batchPromises.push(
             this.pool.query(
               `INSERT INTO file_vectors 
-               (file_id, user_id, entity_id, chunk_index, content, embedding, metadata)
-               VALUES ($1, $2, $3, $4, $5, $6::vector, $7::jsonb)`,
+               (file_id, user_id, entity_id, chunk_index, content, embedding, metadata, search_tokens, search_length, embedding_model)
+               VALUES ($1, $2, $3, $4, $5, $6::vector, $7::jsonb, $8::text[], $9, $10)`,
               [
                 fileId,
                 userId,
@@ -782,6 +1036,9 @@ class VectorDBService {
                 chunk.text,
                 embeddingStr,
                 metadataJson,
+                searchTokens,
+                searchLength,
+                embeddingModel || null,
               ]
             )
           );
@@ -815,9 +1072,10 @@ class VectorDBService {
    * @param {Array} params.chunks - 文本块数组
    * @param {Array} params.embeddings - 向量数组
    * @param {number} [params.startChunkIndex] - 起始chunk索引（用于分批处理）
+   * @param {string} [params.embeddingModel] - 生成向量的模型ID
    * @returns {Promise<boolean>} 是否成功
    */
-  async storeFileVectorsIncremental({ fileId, userId, entityId, chunks, embeddings, startChunkIndex = 0 }) {
+  async storeFileVectorsIncremental({ fileId, userId, entityId, chunks, embeddings, startChunkIndex = 0, embeddingModel }) {
     if (!this.initialized) {
       await this.initialize();
     }
@@ -832,6 +1090,8 @@ class VectorDBService {
         throw new Error(`文本块数量(${chunks.length})与向量数量(${embeddings.length})不匹配`);
       }
 
+      await this.syncEmbeddingDimension(embeddings);
+
       // 分批增量插入文件向量（不删除旧数据），避免同时创建大量 Promise
       const INSERT_BATCH_SIZE = 20; // 每批插入20个向量
       
@@ -879,11 +1139,13 @@ class VectorDBService {
           // 将清理后的 metadata 转换为 JSON 字符串
           const metadataJson = JSON.stringify(cleanMetadata);
           
+          const { searchTokens, searchLength } = this.buildLexicalColumns(chunk.text);
+
           batchPromises.push(
             this.pool.query(
               `INSERT INTO file_vectors 
-               (file_id, user_id, entity_id, chunk_index, content, embedding, metadata)
-               VALUES ($1, $2, $3, $4, $5, $6::vector, $7::jsonb)`,
+               (file_id, user_id, entity_id, chunk_index, content, embedding, metadata, search_tokens, search_length, embedding_model)
+               VALUES ($1, $2, $3, $4, $5, $6::vector, $7::jsonb, $8::text[], $9, $10)`,
               [
                 fileId,
                 userId,
@@ -892,6 +1154,9 @@ class VectorDBService {
                 chunk.text,
                 embeddingStr,
                 metadataJson,
+                searchTokens,
+                searchLength,
+                embeddingModel || null,
               ]
             )
           );
@@ -939,6 +1204,27 @@ class VectorDBService {
     }
   }
 
+  /**
+   * 删除文件中指定分块序号及之后的向量（入库任务从检查点继续前清理未完成的批次）
+   * @param {string} fileId - 文件ID
+   * @param {number} fromIndex - 起始分块序号
+   * @returns {Promise<number>} 删除的记录数
+   */
+  async deleteFileVectorsFrom(fileId, fromIndex) {
+    if (!this.initialized) {
+      await this.initialize();
+    }
+
+    const result = await this.pool.query(
+      'DELETE FROM file_vectors WHERE file_id = $1 AND chunk_index >= $2',
+      [fileId, fromIndex]
+    );
+    if (result.rowCount > 0) {
+      logger.info(`[VectorDBService] 删除未完成批次的文件向量: fileId=${fileId}, fromIndex=${fromIndex}, 删除 ${result.rowCount} 条记录`);
+    }
+    return result.rowCount;
+  }
+
   /**
    * 获取连接池（用于高级操作）
    * @returns {Object} pg Pool 实例
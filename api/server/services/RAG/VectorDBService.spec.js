@@ -0,0 +1,67 @@
+jest.mock('@aipyq/data-schemas', () => ({
+  logger: {
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn(),
+  },
+}));
+
+const VectorDBService = require('./VectorDBService');
+
+describe('VectorDBService knowledge vectors', () => {
+  let service;
+
+  const findSearchQuery = () =>
+    service.pool.query.mock.calls.find(([sql]) => sql.includes('ORDER BY embedding'));
+
+  beforeEach(() => {
+    service = new VectorDBService();
+    service.initialized = true;
+    service.config.embeddingDimension = 2;
+    service.pool = { query: jest.fn().mockResolvedValue({ rows: [] }) };
+  });
+
+  it('searches only vectors of the active embedding model', async () => {
+    await service.searchSimilar({
+      queryEmbedding: [0.1, 0.2],
+      entityId: 'ds-1',
+      topK: 5,
+      minScore: 0.3,
+      embeddingModel: { modelId: 'onnx:bge-small-zh-v1.5' },
+    });
+
+    const [query, params] = findSearchQuery();
+    expect(query).toContain('AND embedding_model = $4');
+    expect(query).toContain('LIMIT $5');
+    expect(params).toEqual(['[0.1,0.2]', 0.3, 'ds-1', 'onnx:bge-small-zh-v1.5', 5]);
+  });
+
+  it('includes vectors without provenance for the legacy model', async () => {
+    await service.searchSimilar({
+      queryEmbedding: [0.1, 0.2],
+      topK: 5,
+      minScore: 0.3,
+      embeddingModel: { modelId: 'legacy', legacy: true },
+    });
+
+    const [query, params] = findSearchQuery();
+    expect(query).toContain('AND (embedding_model = $3 OR embedding_model IS NULL)');
+    expect(params).toEqual(['[0.1,0.2]', 0.3, 'legacy', 5]);
+  });
+
+  it('records the embedding model when storing a knowledge vector', async () => {
+    await service.updateKnowledgeVector({
+      knowledgeEntryId: 'e1',
+      userId: 'u1',
+      type: 'file_vectors',
+      content: '订单明细',
+      embedding: [0.1, 0.2],
+      embeddingModel: 'onnx:bge-small-zh-v1.5',
+    });
+
+    const [query, params] = service.pool.query.mock.calls[0];
+    expect(query).toContain('embedding_model = EXCLUDED.embedding_model');
+    expect(params[5]).toBe('onnx:bge-small-zh-v1.5');
+  });
+});
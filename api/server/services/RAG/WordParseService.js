@@ -1,87 +1,7 @@
 const fs = require("fs");
 const { logger } = require("@aipyq/data-schemas");
-
-/**
- * 通用文本分块工具
- */
-class TextChunker {
-  /**
-   * 安全的文本分块方法
-   * @param {string} text - 要分块的文本
-   * @param {number} chunkSize - 块大小
-   * @param {number} chunkOverlap - 重叠大小
-   * @param {number} maxChunks - 最大分块数
-   * @returns {Array<{start: number, end: number, text: string}>} 分块结果
-   */
-  static chunk(text, chunkSize = 1000, chunkOverlap = 150, maxChunks = 500) {
-    if (!text || text.length === 0) {
-      return [];
-    }
-
-    const textLength = text.length;
-    const effectiveStep = Math.max(1, chunkSize - chunkOverlap); // 确保至少前进1个字符
-
-    // 预计算最大可能的分块数量
-    const estimatedChunks = Math.ceil(textLength / effectiveStep);
-    const safeMaxChunks = Math.min(estimatedChunks, maxChunks);
-
-    const chunks = [];
-
-    // 使用 for 循环，有明确的终止条件
-    for (let i = 0; i < safeMaxChunks; i++) {
-      const start = i * effectiveStep;
-
-      // 边界检查
-      if (start >= textLength) {
-        break;
-      }
-
-      let end = Math.min(start + chunkSize, textLength);
-
-      // 尝试在分隔符处断开（只在非最后一块时）
-      if (end < textLength) {
-        const adjustedEnd = TextChunker.findBreakPoint(text, start, end);
-        if (adjustedEnd > start) {
-          end = adjustedEnd;
-        }
-      }
-
-      const chunkText = text.substring(start, end).trim();
-
-      if (chunkText.length > 0) {
-        chunks.push({
-          start,
-          end,
-          text: chunkText,
-        });
-      }
-    }
-
-    return chunks;
-  }
-
-  /**
-   * 查找合适的断点位置
-   * @param {string} text - 完整文本
-   * @param {number} start - 开始位置
-   * @param {number} end - 结束位置
-   * @returns {number} 调整后的结束位置
-   */
-  static findBreakPoint(text, start, end) {
-    const searchStart = start + Math.floor((end - start) * 0.5); // 从中间开始搜索
-    const separators = ["\n\n", "\n", "。", ". ", "！", "？", "；", "，", " "];
-
-    // 从 end 向 searchStart 查找分隔符
-    for (const sep of separators) {
-      const lastPos = text.lastIndexOf(sep, end - 1);
-      if (lastPos >= searchStart) {
-        return lastPos + sep.length;
-      }
-    }
-
-    return end; // 未找到分隔符，使用原始结束位置
-  }
-}
+const StructuredChunker = require("./StructuredChunker");
+const { BlockType, parseTextBlocks } = StructuredChunker;
 
 class WordParseService {
   constructor() {
@@ -199,77 +119,98 @@ class WordParseService {
   }
 
   /**
-   * 解析Word文件（主入口）
+   * 清理文档块：段落做语义级清理（制表符在识别表格后才能合并），标题和表格单元格只去除首尾空白
+   */
+  cleanBlock(block) {
+    if (block.type === BlockType.PARAGRAPH) {
+      return { ...block, text: this.cleanText(block.text) };
+    }
+    return block;
+  }
+
+  /**
+   * 流式分块Word文件：按标题层级与表格结构分块，不截断大文档
+   * 生成器结束时返回 { chunks }
    *
    * @param {string|Buffer} wordPathOrBuffer - Word文件路径或Buffer
    * @param {Object} options - 解析选项
-   * @returns {Promise<Array<{text: string, metadata: Object}>>} 文本块数组
+   * @param {number} [options.chunkSize=1000] - 块大小
+   * @param {number} [options.chunkOverlap=150] - 块重叠
+   * @param {boolean} [options.includeSectionPath=true] - 块文本前是否加上章节路径
+   * @param {number} [options.maxChunks] - 最大分块数（默认 RAG_MAX_FILE_CHUNKS，0 为不限制），超过时报错
+   * @param {Object} [options.fileMetadata] - 写入每个块的文件元数据
+   * @returns {AsyncGenerator<{text: string, metadata: Object}>}
    */
-  async parseWordDocument(wordPathOrBuffer, options = {}) {
-    if (!this.initialized) {
-      await this.initialize();
-    }
-
-    // 配置参数
-    const MAX_TEXT_SIZE = 5 * 1024 * 1024; // 5MB 文本上限
-    const MAX_CHUNKS = 300; // 最大分块数
-    const { chunkSize = 1000, chunkOverlap = 150, fileMetadata = {} } = options;
-
-    try {
-      // 1. 解析Word
-      logger.info("[WordParseService] 开始解析Word文件");
-      const parseResult = await this.parseWord(wordPathOrBuffer);
-
-      // 2. 记录原始大小
-      const rawSize = parseResult.text ? parseResult.text.length : 0;
-      logger.info(
-        `[WordParseService] 原始文本大小: ${rawSize} 字符 (${(rawSize / 1024 / 1024).toFixed(2)} MB)`,
-      );
+  async *streamChunks(wordPathOrBuffer, options = {}) {
+    const {
+      chunkSize = 1000,
+      chunkOverlap = 150,
+      includeSectionPath = true,
+      maxChunks = parseInt(process.env.RAG_MAX_FILE_CHUNKS || "0", 10),
+      fileMetadata = {},
+    } = options;
+
+    const parseResult = await this.parseWord(wordPathOrBuffer);
+    const rawSize = parseResult.text ? parseResult.text.length : 0;
+    logger.info(
+      `[WordParseService] 原始文本大小: ${rawSize} 字符 (${(rawSize / 1024 / 1024).toFixed(2)} MB)`,
+    );
 
-      // 3. 截断过大的文本
-      let text = parseResult.text || "";
-      if (text.length > MAX_TEXT_SIZE) {
-        logger.warn(
-          `[WordParseService] 文本过大，截断到 ${MAX_TEXT_SIZE / 1024 / 1024} MB`,
+    const chunker = new StructuredChunker({
+      chunkSize,
+      chunkOverlap,
+      includeSectionPath,
+    });
+    let count = 0;
+
+    const withMetadata = (chunk) => {
+      count++;
+      if (maxChunks > 0 && count > maxChunks) {
+        throw new Error(
+          `Word分块数超过上限 ${maxChunks}，请拆分文件或调大 RAG_MAX_FILE_CHUNKS`,
         );
-        text = text.substring(0, MAX_TEXT_SIZE);
       }
+      return {
+        text: chunk.text,
+        metadata: {
+          ...fileMetadata,
+          ...parseResult.metadata,
+          ...chunk.metadata,
+          source: "word",
+        },
+      };
+    };
+
+    const text = this.sanitizeText(parseResult.text);
+    for (const block of parseTextBlocks(text)) {
+      for (const chunk of chunker.push(this.cleanBlock(block))) {
+        yield withMetadata(chunk);
+      }
+    }
+    for (const chunk of chunker.flush()) {
+      yield withMetadata(chunk);
+    }
+
+    return { chunks: count };
+  }
 
-      // 4. 清理文本
-      logger.info("[WordParseService] 清理文本");
-      text = this.sanitizeText(text);
-      text = this.cleanText(text);
-      logger.info(`[WordParseService] 清理后文本大小: ${text.length} 字符`);
+  /**
+   * 解析Word文件（主入口）
+   *
+   * @param {string|Buffer} wordPathOrBuffer - Word文件路径或Buffer
+   * @param {Object} options - 解析选项，见 streamChunks
+   * @returns {Promise<Array<{text: string, metadata: Object}>>} 文本块数组
+   */
+  async parseWordDocument(wordPathOrBuffer, options = {}) {
+    const { chunkSize = 1000, chunkOverlap = 150 } = options;
 
-      // 5. 使用安全的分块方法
+    try {
       logger.info(
-        `[WordParseService] 开始分块: chunkSize=${chunkSize}, chunkOverlap=${chunkOverlap}`,
+        `[WordParseService] 开始解析Word文件: chunkSize=${chunkSize}, chunkOverlap=${chunkOverlap}`,
       );
-      const rawChunks = TextChunker.chunk(
-        text,
-        chunkSize,
-        chunkOverlap,
-        MAX_CHUNKS,
-      );
-
-      // 6. 构建最终结果
       const chunks = [];
-
-      for (let i = 0; i < rawChunks.length; i++) {
-        const chunk = rawChunks[i];
-        const cleanedText = this.sanitizeText(chunk.text);
-
-        if (cleanedText.length > 0) {
-          chunks.push({
-            text: cleanedText,
-            metadata: {
-              ...fileMetadata,
-              ...parseResult.metadata,
-              chunk_index: chunks.length,
-              source: "word",
-            },
-          });
-        }
+      for await (const chunk of this.streamChunks(wordPathOrBuffer, options)) {
+        chunks.push(chunk);
       }
 
       logger.info(`[WordParseService] Word解析完成: ${chunks.length} 个块`);
@@ -2,17 +2,41 @@ const RAGService = require('./RAGService');
 const EmbeddingService = require('./EmbeddingService');
 const KnowledgeBaseService = require('./KnowledgeBaseService');
 const RetrievalService = require('./RetrievalService');
+const LexicalSearchService = require('./LexicalSearchService');
 const RerankingService = require('./RerankingService');
 const VectorDBService = require('./VectorDBService');
+const SchemaIntrospectionService = require('./SchemaIntrospectionService');
+const KnowledgeBundleService = require('./KnowledgeBundleService');
+const RAGEvaluationService = require('./RAGEvaluationService');
+const EmbeddingModelRegistry = require('./EmbeddingModelRegistry');
+const EmbeddingMigrationService = require('./EmbeddingMigrationService');
 const ConversationRAGService = require('./ConversationRAGService');
+const QueryPlannerService = require('./QueryPlannerService');
+const SharedKnowledgeBaseService = require('./SharedKnowledgeBaseService');
+const KnowledgeVersionService = require('./KnowledgeVersionService');
+const AnswerFeedbackService = require('./AnswerFeedbackService');
+const KnowledgeDedupService = require('./KnowledgeDedupService');
+const IngestionJobService = require('./IngestionJobService');
 
 module.exports = {
   RAGService,
   EmbeddingService,
   KnowledgeBaseService,
   RetrievalService,
+  LexicalSearchService,
   RerankingService,
   VectorDBService,
+  SchemaIntrospectionService,
+  KnowledgeBundleService,
+  RAGEvaluationService,
+  EmbeddingModelRegistry,
+  EmbeddingMigrationService,
   ConversationRAGService,
+  QueryPlannerService,
+  SharedKnowledgeBaseService,
+  KnowledgeVersionService,
+  AnswerFeedbackService,
+  KnowledgeDedupService,
+  IngestionJobService,
 };
 
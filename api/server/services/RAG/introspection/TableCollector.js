@@ -0,0 +1,121 @@
+/**
+ * 表结构收集器
+ * 各方言适配器把查询到的表、列、约束逐条放入，最终输出统一的表结构：
+ * {
+ *   name, schema, fullName, type: 'table'|'view', comment,
+ *   columns: [{ name, type, nullable, default, comment, key: 'PRI'|'UNI'|'MUL'|'' }],
+ *   primaryKey: string[],
+ *   uniqueKeys: string[][],
+ *   foreignKeys: [{ columns, referencedTable, referencedColumns }],
+ * }
+ */
+class TableCollector {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.defaultSchema] - 默认 schema，属于该 schema 的表不带前缀
+   */
+  constructor({ defaultSchema = null } = {}) {
+    this.defaultSchema = defaultSchema;
+    this.tables = new Map();
+  }
+
+  /**
+   * 生成表的完整名称（非默认 schema 下的表带 schema 前缀）
+   * @param {string} name - 表名
+   * @param {string} [schema] - schema 名称
+   * @returns {string}
+   */
+  qualify(name, schema) {
+    return schema && schema !== this.defaultSchema ? `${schema}.${name}` : name;
+  }
+
+  addTable({ name, schema = null, type = 'table', comment = '' }) {
+    const fullName = this.qualify(name, schema);
+    this.tables.set(fullName, {
+      name,
+      schema,
+      fullName,
+      type,
+      comment: comment || '',
+      columns: [],
+      primaryKey: [],
+      uniqueKeys: [],
+      foreignKeys: [],
+    });
+  }
+
+  getTable(name, schema = null) {
+    return this.tables.get(this.qualify(name, schema));
+  }
+
+  addColumn(tableName, schema, { name, type, nullable = true, defaultValue = null, comment = '' }) {
+    const table = this.getTable(tableName, schema);
+    if (!table) {
+      return;
+    }
+    table.columns.push({
+      name,
+      type: type || '',
+      nullable: Boolean(nullable),
+      default: defaultValue ?? null,
+      comment: comment || '',
+      key: '',
+    });
+  }
+
+  setPrimaryKey(tableName, schema, columns) {
+    const table = this.getTable(tableName, schema);
+    if (table && columns.length > 0) {
+      table.primaryKey = columns;
+    }
+  }
+
+  addUniqueKey(tableName, schema, columns) {
+    const table = this.getTable(tableName, schema);
+    if (table && columns.length > 0) {
+      table.uniqueKeys.push(columns);
+    }
+  }
+
+  addForeignKey(
+    tableName,
+    schema,
+    { columns, referencedTable, referencedSchema, referencedColumns },
+  ) {
+    const table = this.getTable(tableName, schema);
+    if (!table || columns.length === 0) {
+      return;
+    }
+    table.foreignKeys.push({
+      columns,
+      referencedTable: this.qualify(referencedTable, referencedSchema),
+      referencedColumns,
+    });
+  }
+
+  /**
+   * 输出表结构，并按约束回填列的 key 标记（与 MySQL COLUMN_KEY 含义一致）
+   * @returns {Array<Object>}
+   */
+  build() {
+    const tables = Array.from(this.tables.values());
+    for (const table of tables) {
+      const foreignColumns = new Set(table.foreignKeys.flatMap((fk) => fk.columns));
+      const uniqueColumns = new Set(
+        table.uniqueKeys.filter((cols) => cols.length === 1).map((cols) => cols[0]),
+      );
+      for (const column of table.columns) {
+        if (table.primaryKey.includes(column.name)) {
+          column.key = 'PRI';
+        } else if (uniqueColumns.has(column.name)) {
+          column.key = 'UNI';
+        } else if (foreignColumns.has(column.name)) {
+          column.key = 'MUL';
+        }
+      }
+    }
+    return tables;
+  }
+}
+
+module.exports = TableCollector;
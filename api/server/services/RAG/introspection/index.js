@@ -0,0 +1,30 @@
+const postgres = require('./postgres');
+const mysql = require('./mysql');
+const sqlite = require('./sqlite');
+
+/**
+ * 支持的数据源方言（postgresql 为 postgres 的别名）
+ * 各适配器按需加载对应的数据库驱动，未安装驱动时在连接时报错
+ */
+const introspectors = {
+  postgres,
+  postgresql: postgres,
+  mysql,
+  sqlite,
+};
+
+const SUPPORTED_DIALECTS = Object.keys(introspectors);
+
+/**
+ * 获取方言对应的表结构读取器
+ * @param {string} dialect - 数据源方言
+ * @returns {{ introspect: Function } | undefined}
+ */
+function getIntrospector(dialect) {
+  return introspectors[String(dialect || '').toLowerCase()];
+}
+
+module.exports = {
+  SUPPORTED_DIALECTS,
+  getIntrospector,
+};
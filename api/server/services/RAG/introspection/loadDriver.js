@@ -0,0 +1,25 @@
+/**
+ * 按需加载数据库驱动
+ * mysql2、better-sqlite3 为可选依赖（pg 为常规依赖），安装失败或被跳过时只影响对应方言
+ * @param {string} moduleName - 要 require 的模块（如 mysql2/promise）
+ * @param {Object} options
+ * @param {string} options.packageName - npm 包名
+ * @param {string} options.label - 数据源名称，用于错误提示
+ * @returns {*} 驱动模块
+ * @throws {Error} 驱动未安装或加载失败时
+ */
+function loadDriver(moduleName, { packageName, label }) {
+  try {
+    return require(moduleName);
+  } catch (error) {
+    if (error.code === 'MODULE_NOT_FOUND' && error.message.includes(`'${moduleName}'`)) {
+      throw new Error(
+        `读取 ${label} 数据源需要 ${packageName} 包（可选依赖，当前未安装），请在 api 目录执行: npm install ${packageName}`,
+      );
+    }
+    // 已安装但无法加载，多为原生模块与当前 Node 版本不匹配
+    throw new Error(`加载 ${packageName} 失败，请重新安装该依赖: ${error.message}`);
+  }
+}
+
+module.exports = loadDriver;
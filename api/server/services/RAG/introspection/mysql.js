@@ -0,0 +1,130 @@
+const TableCollector = require('./TableCollector');
+const loadDriver = require('./loadDriver');
+
+const TABLES_SQL = `
+SELECT TABLE_NAME AS name, TABLE_TYPE AS type, TABLE_COMMENT AS comment
+FROM information_schema.TABLES
+WHERE TABLE_SCHEMA = ?
+ORDER BY TABLE_NAME`;
+
+const COLUMNS_SQL = `
+SELECT TABLE_NAME AS table_name, COLUMN_NAME AS name, COLUMN_TYPE AS type,
+       IS_NULLABLE AS nullable, COLUMN_DEFAULT AS default_value, COLUMN_COMMENT AS comment
+FROM information_schema.COLUMNS
+WHERE TABLE_SCHEMA = ?
+ORDER BY TABLE_NAME, ORDINAL_POSITION`;
+
+const KEYS_SQL = `
+SELECT k.TABLE_NAME AS table_name, k.CONSTRAINT_NAME AS constraint_name,
+       tc.CONSTRAINT_TYPE AS constraint_type, k.COLUMN_NAME AS column_name,
+       k.REFERENCED_TABLE_SCHEMA AS referenced_schema, k.REFERENCED_TABLE_NAME AS referenced_table,
+       k.REFERENCED_COLUMN_NAME AS referenced_column
+FROM information_schema.KEY_COLUMN_USAGE k
+JOIN information_schema.TABLE_CONSTRAINTS tc
+  ON tc.CONSTRAINT_SCHEMA = k.CONSTRAINT_SCHEMA
+ AND tc.TABLE_NAME = k.TABLE_NAME
+ AND tc.CONSTRAINT_NAME = k.CONSTRAINT_NAME
+WHERE k.TABLE_SCHEMA = ?
+  AND tc.CONSTRAINT_TYPE IN ('PRIMARY KEY', 'UNIQUE', 'FOREIGN KEY')
+ORDER BY k.TABLE_NAME, k.CONSTRAINT_NAME, k.ORDINAL_POSITION`;
+
+/**
+ * 读取 MySQL 数据源的表结构
+ * @param {Object} datasource
+ * @param {string} [datasource.connectionString] - 连接串（mysql://...）
+ * @param {string} [datasource.host]
+ * @param {number} [datasource.port]
+ * @param {string} datasource.database - 数据库名称（使用连接串时可省略）
+ * @param {string} [datasource.user]
+ * @param {string} [datasource.password]
+ * @returns {Promise<{ dialect: string, databaseName: string, tables: Array }>}
+ */
+async function introspect(datasource) {
+  const mysql = loadDriver('mysql2/promise', { packageName: 'mysql2', label: 'MySQL' });
+
+  const connection = datasource.connectionString
+    ? await mysql.createConnection(datasource.connectionString)
+    : await mysql.createConnection({
+        host: datasource.host,
+        port: datasource.port,
+        database: datasource.database,
+        user: datasource.user,
+        password: datasource.password,
+      });
+
+  try {
+    const [[current]] = await connection.query('SELECT DATABASE() AS name');
+    const databaseName = datasource.database || current?.name;
+    if (!databaseName) {
+      throw new Error('未指定 MySQL 数据库名称');
+    }
+
+    const [tableRows] = await connection.query(TABLES_SQL, [databaseName]);
+    const [columnRows] = await connection.query(COLUMNS_SQL, [databaseName]);
+    const [keyRows] = await connection.query(KEYS_SQL, [databaseName]);
+
+    const collector = new TableCollector();
+    for (const row of tableRows) {
+      collector.addTable({
+        name: row.name,
+        type: row.type === 'VIEW' ? 'view' : 'table',
+        comment: row.comment,
+      });
+    }
+    for (const row of columnRows) {
+      collector.addColumn(row.table_name, null, {
+        name: row.name,
+        type: row.type,
+        nullable: row.nullable === 'YES',
+        defaultValue: row.default_value,
+        comment: row.comment,
+      });
+    }
+
+    // KEY_COLUMN_USAGE 每列一行，按约束聚合
+    const constraints = new Map();
+    for (const row of keyRows) {
+      const key = `${row.table_name}\u0000${row.constraint_name}`;
+      if (!constraints.has(key)) {
+        constraints.set(key, {
+          table: row.table_name,
+          type: row.constraint_type,
+          columns: [],
+          referencedSchema: row.referenced_schema,
+          referencedTable: row.referenced_table,
+          referencedColumns: [],
+        });
+      }
+      const constraint = constraints.get(key);
+      constraint.columns.push(row.column_name);
+      if (row.referenced_column) {
+        constraint.referencedColumns.push(row.referenced_column);
+      }
+    }
+    for (const constraint of constraints.values()) {
+      if (constraint.type === 'PRIMARY KEY') {
+        collector.setPrimaryKey(constraint.table, null, constraint.columns);
+      } else if (constraint.type === 'UNIQUE') {
+        collector.addUniqueKey(constraint.table, null, constraint.columns);
+      } else {
+        collector.addForeignKey(constraint.table, null, {
+          columns: constraint.columns,
+          referencedTable: constraint.referencedTable,
+          referencedSchema:
+            constraint.referencedSchema !== databaseName ? constraint.referencedSchema : null,
+          referencedColumns: constraint.referencedColumns,
+        });
+      }
+    }
+
+    return {
+      dialect: 'mysql',
+      databaseName,
+      tables: collector.build(),
+    };
+  } finally {
+    await connection.end().catch(() => {});
+  }
+}
+
+module.exports = { introspect };
@@ -0,0 +1,131 @@
+const TableCollector = require('./TableCollector');
+const loadDriver = require('./loadDriver');
+
+const TABLES_SQL = `
+SELECT n.nspname AS schema, c.relname AS name, c.relkind AS kind,
+       obj_description(c.oid, 'pg_class') AS comment
+FROM pg_class c
+JOIN pg_namespace n ON n.oid = c.relnamespace
+WHERE c.relkind IN ('r', 'p', 'v', 'm')
+  AND n.nspname = ANY($1::text[])
+  AND NOT c.relispartition
+ORDER BY n.nspname, c.relname`;
+
+const COLUMNS_SQL = `
+SELECT n.nspname AS schema, c.relname AS table, a.attname AS name,
+       format_type(a.atttypid, a.atttypmod) AS type,
+       NOT a.attnotnull AS nullable,
+       pg_get_expr(d.adbin, d.adrelid) AS default_value,
+       col_description(c.oid, a.attnum) AS comment
+FROM pg_attribute a
+JOIN pg_class c ON c.oid = a.attrelid
+JOIN pg_namespace n ON n.oid = c.relnamespace
+LEFT JOIN pg_attrdef d ON d.adrelid = a.attrelid AND d.adnum = a.attnum
+WHERE a.attnum > 0
+  AND NOT a.attisdropped
+  AND c.relkind IN ('r', 'p', 'v', 'm')
+  AND n.nspname = ANY($1::text[])
+ORDER BY n.nspname, c.relname, a.attnum`;
+
+const CONSTRAINTS_SQL = `
+SELECT n.nspname AS schema, c.relname AS table, con.contype AS type,
+       ARRAY(
+         SELECT a.attname FROM unnest(con.conkey) WITH ORDINALITY k(attnum, ord)
+         JOIN pg_attribute a ON a.attrelid = con.conrelid AND a.attnum = k.attnum
+         ORDER BY k.ord
+       )::text[] AS columns,
+       fn.nspname AS referenced_schema, fc.relname AS referenced_table,
+       ARRAY(
+         SELECT a.attname FROM unnest(con.confkey) WITH ORDINALITY k(attnum, ord)
+         JOIN pg_attribute a ON a.attrelid = con.confrelid AND a.attnum = k.attnum
+         ORDER BY k.ord
+       )::text[] AS referenced_columns
+FROM pg_constraint con
+JOIN pg_class c ON c.oid = con.conrelid
+JOIN pg_namespace n ON n.oid = c.relnamespace
+LEFT JOIN pg_class fc ON fc.oid = con.confrelid
+LEFT JOIN pg_namespace fn ON fn.oid = fc.relnamespace
+WHERE con.contype IN ('p', 'u', 'f')
+  AND n.nspname = ANY($1::text[])`;
+
+/**
+ * 读取 PostgreSQL 数据源的表结构
+ * @param {Object} datasource
+ * @param {string} [datasource.connectionString] - 连接串（优先）
+ * @param {string} [datasource.host]
+ * @param {number} [datasource.port]
+ * @param {string} [datasource.database]
+ * @param {string} [datasource.user]
+ * @param {string} [datasource.password]
+ * @param {string[]} [datasource.schemas] - 要读取的 schema，默认 ['public']
+ * @returns {Promise<{ dialect: string, databaseName: string, tables: Array }>}
+ */
+async function introspect(datasource) {
+  const pg = loadDriver('pg', { packageName: 'pg', label: 'PostgreSQL' });
+
+  const schemas = datasource.schemas?.length ? datasource.schemas : ['public'];
+  const client = new pg.Client(
+    datasource.connectionString
+      ? { connectionString: datasource.connectionString }
+      : {
+          host: datasource.host,
+          port: datasource.port,
+          database: datasource.database,
+          user: datasource.user,
+          password: datasource.password,
+        },
+  );
+
+  await client.connect();
+  try {
+    await client.query('BEGIN READ ONLY');
+    const { rows: dbRows } = await client.query('SELECT current_database() AS name');
+    const { rows: tableRows } = await client.query(TABLES_SQL, [schemas]);
+    const { rows: columnRows } = await client.query(COLUMNS_SQL, [schemas]);
+    const { rows: constraintRows } = await client.query(CONSTRAINTS_SQL, [schemas]);
+
+    const collector = new TableCollector({ defaultSchema: 'public' });
+    for (const row of tableRows) {
+      collector.addTable({
+        name: row.name,
+        schema: row.schema,
+        type: row.kind === 'v' || row.kind === 'm' ? 'view' : 'table',
+        comment: row.comment,
+      });
+    }
+    for (const row of columnRows) {
+      collector.addColumn(row.table, row.schema, {
+        name: row.name,
+        type: row.type,
+        nullable: row.nullable,
+        defaultValue: row.default_value,
+        comment: row.comment,
+      });
+    }
+    for (const row of constraintRows) {
+      if (row.type === 'p') {
+        collector.setPrimaryKey(row.table, row.schema, row.columns);
+      } else if (row.type === 'u') {
+        collector.addUniqueKey(row.table, row.schema, row.columns);
+      } else {
+        collector.addForeignKey(row.table, row.schema, {
+          columns: row.columns,
+          referencedTable: row.referenced_table,
+          referencedSchema: row.referenced_schema,
+          referencedColumns: row.referenced_columns,
+        });
+      }
+    }
+
+    return {
+      dialect: 'postgres',
+      databaseName: datasource.database || dbRows[0]?.name,
+      tables: collector.build(),
+    };
+  } finally {
+    await client.query('ROLLBACK').catch(() => {});
+    await client.end().catch(() => {});
+  }
+}
+
+module.exports = { introspect };
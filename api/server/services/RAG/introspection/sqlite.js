@@ -0,0 +1,97 @@
+const path = require('path');
+const TableCollector = require('./TableCollector');
+const loadDriver = require('./loadDriver');
+
+/**
+ * SQLite 标识符转义（PRAGMA 不支持参数绑定）
+ * @param {string} name
+ * @returns {string}
+ */
+const quoteIdentifier = (name) => `"${String(name).replace(/"/g, '""')}"`;
+
+/**
+ * 读取 SQLite 数据源的表结构
+ * SQLite 没有表/列注释，description 只能来自后续人工补充
+ * @param {Object} datasource
+ * @param {string} datasource.filename - 数据库文件路径
+ * @param {string} [datasource.database] - 数据库名称，默认取文件名
+ * @returns {Promise<{ dialect: string, databaseName: string, tables: Array }>}
+ */
+async function introspect(datasource) {
+  const Database = loadDriver('better-sqlite3', { packageName: 'better-sqlite3', label: 'SQLite' });
+
+  if (!datasource.filename) {
+    throw new Error('未指定 SQLite 数据库文件路径');
+  }
+
+  const db = new Database(datasource.filename, { readonly: true, fileMustExist: true });
+  try {
+    const tableRows = db
+      .prepare(
+        "SELECT name, type FROM sqlite_master WHERE type IN ('table', 'view') AND name NOT LIKE 'sqlite_%' ORDER BY name",
+      )
+      .all();
+
+    const collector = new TableCollector();
+    for (const row of tableRows) {
+      collector.addTable({ name: row.name, type: row.type });
+
+      const columns = db.prepare(`PRAGMA table_info(${quoteIdentifier(row.name)})`).all();
+      for (const column of columns) {
+        collector.addColumn(row.name, null, {
+          name: column.name,
+          type: column.type,
+          nullable: !column.notnull && !column.pk,
+          defaultValue: column.dflt_value,
+        });
+      }
+      collector.setPrimaryKey(
+        row.name,
+        null,
+        columns
+          .filter((column) => column.pk > 0)
+          .sort((a, b) => a.pk - b.pk)
+          .map((column) => column.name),
+      );
+
+      const indexes = db.prepare(`PRAGMA index_list(${quoteIdentifier(row.name)})`).all();
+      for (const index of indexes) {
+        if (index.unique && index.origin !== 'pk') {
+          const indexColumns = db
+            .prepare(`PRAGMA index_info(${quoteIdentifier(index.name)})`)
+            .all()
+            .map((info) => info.name);
+          collector.addUniqueKey(row.name, null, indexColumns);
+        }
+      }
+
+      // foreign_key_list 每列一行，按 id 聚合
+      const foreignKeys = new Map();
+      for (const fk of db.prepare(`PRAGMA foreign_key_list(${quoteIdentifier(row.name)})`).all()) {
+        if (!foreignKeys.has(fk.id)) {
+          foreignKeys.set(fk.id, { referencedTable: fk.table, columns: [], referencedColumns: [] });
+        }
+        const entry = foreignKeys.get(fk.id);
+        entry.columns.push(fk.from);
+        if (fk.to) {
+          entry.referencedColumns.push(fk.to);
+        }
+      }
+      for (const fk of foreignKeys.values()) {
+        collector.addForeignKey(row.name, null, fk);
+      }
+    }
+
+    return {
+      dialect: 'sqlite',
+      databaseName:
+        datasource.database ||
+        path.basename(datasource.filename, path.extname(datasource.filename)),
+      tables: collector.build(),
+    };
+  } finally {
+    db.close();
+  }
+}
+
+module.exports = { introspect };
@@ -0,0 +1,84 @@
+/**
+ * 回填 file_vectors 词法检索列脚本
+ * 为历史文件向量计算 search_tokens / search_length，使其可被 BM25 词法检索命中
+ * 使用方法: node api/server/services/RAG/utils/backfillLexicalTokens.js [批大小]
+ *
+ * 示例:
+ *   node api/server/services/RAG/utils/backfillLexicalTokens.js 500
+ */
+
+require('dotenv').config();
+const VectorDBService = require('../VectorDBService');
+
+const BATCH_SIZE = parseInt(process.argv[2] || '500', 10);
+
+async function backfillLexicalTokens() {
+  console.log(`开始回填 file_vectors 词法检索列 (批大小: ${BATCH_SIZE})...\n`);
+
+  const vectorDBService = new VectorDBService();
+
+  try {
+    console.log('1. 连接数据库...');
+    await vectorDBService.initialize();
+    console.log('✅ 数据库连接成功（词法检索列已确保存在）\n');
+
+    const pool = vectorDBService.getPool();
+
+    const pendingResult = await pool.query(
+      'SELECT COUNT(*)::int AS count FROM file_vectors WHERE search_tokens IS NULL'
+    );
+    const pending = pendingResult.rows[0].count;
+    console.log(`2. 待回填记录: ${pending} 条\n`);
+
+    let processed = 0;
+    let lastId = 0;
+
+    while (true) {
+      const batch = await pool.query(
+        `SELECT id, content FROM file_vectors
+         WHERE search_tokens IS NULL AND id > $1
+         ORDER BY id
+         LIMIT $2`,
+        [lastId, BATCH_SIZE]
+      );
+
+      if (batch.rows.length === 0) {
+        break;
+      }
+
+      for (const row of batch.rows) {
+        const { searchTokens, searchLength } = vectorDBService.buildLexicalColumns(row.content);
+        await pool.query(
+          'UPDATE file_vectors SET search_tokens = $1::text[], search_length = $2 WHERE id = $3',
+          [searchTokens, searchLength, row.id]
+        );
+      }
+
+      processed += batch.rows.length;
+      lastId = batch.rows[batch.rows.length - 1].id;
+      console.log(`  已回填 ${processed}/${pending} 条`);
+    }
+
+    console.log('\n✅ 回填完成！');
+  } catch (error) {
+    console.error('\n❌ 回填失败:', error);
+    console.error(error.stack);
+    process.exit(1);
+  } finally {
+    if (vectorDBService.pool) {
+      await vectorDBService.pool.end();
+      console.log('\n数据库连接已关闭');
+    }
+  }
+}
+
+if (require.main === module) {
+  backfillLexicalTokens()
+    .then(() => process.exit(0))
+    .catch(error => {
+      console.error('错误:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = backfillLexicalTokens;
@@ -1,5 +1,6 @@
 /**
- * 清理重复的知识库条目脚本
+ * 清理重复的知识库条目脚本（一次性清理重复的语义模型）
+ * 各类型条目的近似重复检测与合并请使用管理接口 /api/rag/dedup（KnowledgeDedupService）
  * 使用方法: node api/server/services/RAG/utils/cleanupDuplicateKnowledge.js
  */
 
@@ -5,6 +5,9 @@
  * 
  * 示例:
  *   node api/server/services/RAG/utils/migrateVectorDimension.js 512
+ *
+ * 注意：该脚本直接修改列类型（表中已有其他维度的向量时会失败），只适用于空表或停机重建。
+ * 更换向量模型请使用在线迁移接口 POST /api/rag/embedding/migration（见 EmbeddingMigrationService）
  */
 
 require('dotenv').config();
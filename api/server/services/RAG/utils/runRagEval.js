@@ -0,0 +1,119 @@
+/**
+ * RAG 离线评测脚本
+ * 使用本地 ONNX 向量化与重排模型运行评测集，打印各配置的 recall@k、MRR、nDCG 与延迟，并保存评测记录
+ * 使用方法: node api/server/services/RAG/utils/runRagEval.js <评测集ID> [配置文件.json] [备注]
+ *
+ * 配置文件格式: [{ "name": "hybrid", "options": { "useLexical": true, "useReranking": false } }]
+ * 未指定配置文件时使用默认配置（vector / hybrid / hybrid-rerank）
+ *
+ * 示例:
+ *   node api/server/services/RAG/utils/runRagEval.js 665f1c0e8b3a2c0012345678 ./eval-configs.json 重建索引后
+ */
+
+const path = require('path');
+require('dotenv').config();
+require('module-alias')({ base: path.resolve(__dirname, '../../../..') });
+
+// 强制使用本地模型，确保评测不依赖外部服务
+process.env.USE_ONNX_EMBEDDING = 'true';
+process.env.USE_ONNX_RERANKER = 'true';
+process.env.RERANKER_TYPE = 'onnx';
+delete process.env.RAG_API_URL;
+
+const fs = require('fs');
+const mongoose = require('mongoose');
+
+const MONGO_URI = process.env.MONGO_URI;
+const [evalSetId, configPath, label] = process.argv.slice(2);
+
+if (!MONGO_URI) {
+  console.error('请设置 MONGO_URI 环境变量');
+  process.exit(1);
+}
+if (!evalSetId) {
+  console.error('用法: node runRagEval.js <评测集ID> [配置文件.json] [备注]');
+  process.exit(1);
+}
+
+function formatDelta(value) {
+  if (value === undefined) {
+    return '';
+  }
+  return ` (${value >= 0 ? '+' : ''}${value})`;
+}
+
+async function runRagEval() {
+  console.log('连接 MongoDB...');
+  await mongoose.connect(MONGO_URI);
+  console.log('✅ MongoDB 连接成功\n');
+
+  try {
+    const { RagEvalSet } = require('~/db/models');
+    const { RAGService } = require('../index');
+
+    const evalSet = await RagEvalSet.findById(evalSetId).lean();
+    if (!evalSet) {
+      throw new Error(`评测集不存在: ${evalSetId}`);
+    }
+    const configurations = configPath ? JSON.parse(fs.readFileSync(configPath, 'utf8')) : undefined;
+
+    console.log(`评测集: ${evalSet.name}（${evalSet.questions.length} 个问题）\n`);
+    const ragService = new RAGService();
+    const run = await ragService.runEvaluation({
+      userId: evalSet.user.toString(),
+      evalSetId,
+      configurations,
+      label,
+      offline: true,
+    });
+
+    const env = run.environment || {};
+    console.log(`向量模型: ${env.embeddingModel} (维度: ${env.embeddingDimension})`);
+    console.log(`评测记录: ${run._id}${run.baselineRun ? `，对比基线: ${run.baselineRun}` : ''}\n`);
+
+    let regressionCount = 0;
+    for (const config of run.configurations) {
+      const { metrics, regressions = [] } = config;
+      const delta = config.delta || {};
+      console.log(`[${config.name}] ${JSON.stringify(config.options)}`);
+      for (const [k, value] of Object.entries(metrics.recall)) {
+        console.log(`  recall@${k}: ${value}${formatDelta(delta[`recall@${k}`])}`);
+      }
+      console.log(`  MRR:  ${metrics.mrr}${formatDelta(delta.mrr)}`);
+      console.log(`  nDCG: ${metrics.ndcg}${formatDelta(delta.ndcg)}`);
+      console.log(`  命中率: ${metrics.hitRate}${formatDelta(delta.hitRate)}`);
+      console.log(
+        `  延迟: mean=${metrics.latency.mean}ms p50=${metrics.latency.p50}ms p95=${metrics.latency.p95}ms max=${metrics.latency.max}ms`,
+      );
+      if (metrics.errors > 0) {
+        console.log(`  ⚠️ 查询失败: ${metrics.errors} 个问题`);
+      }
+      if (regressions.length > 0) {
+        regressionCount += regressions.length;
+        console.log(`  ❌ 回归: ${regressions.join(', ')}`);
+      }
+      console.log('');
+    }
+
+    if (regressionCount > 0) {
+      console.log(`❌ 发现 ${regressionCount} 项指标回归`);
+      process.exitCode = 2;
+    } else {
+      console.log('✅ 评测完成，未发现回归');
+    }
+  } finally {
+    await mongoose.disconnect();
+    console.log('\n数据库连接已关闭');
+  }
+}
+
+if (require.main === module) {
+  runRagEval()
+    .then(() => process.exit(process.exitCode || 0))
+    .catch((error) => {
+      console.error('\n❌ 评测失败:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = runRagEval;
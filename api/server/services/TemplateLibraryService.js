@@ -0,0 +1,634 @@
+const path = require('path');
+const fs = require('fs').promises;
+const mongoose = require('mongoose');
+const { logger } = require('@aipyq/data-schemas');
+const { SystemRoles } = require('@aipyq/data-provider');
+const { parseVariableReference } = require('~/app/clients/tools/util/templates/variables');
+const { detectSyntax, extractPlaceholders } = require('~/app/clients/tools/util/templates/render');
+
+/** 使用模板库的工具 */
+const TEMPLATE_TOOLS = ['writing', 'social', 'bazi_astrology'];
+
+const VARIABLE_KINDS = ['system', 'input', 'format'];
+const VARIABLE_TYPES = ['text', 'number', 'enum', 'list'];
+
+/**
+ * 仓库内置模板目录，用于一键导入
+ * - dir: 模板目录（相对项目根目录），子目录决定分类
+ * - exclude: 不导入的子目录（格式规范、变量说明、命令模板）
+ * - scenarios: 文件（相对 dir）→ 工具选择模板时使用的场景标签，与各工具的场景映射一致
+ */
+const BUNDLED_LIBRARIES = [
+  {
+    tool: 'writing',
+    dir: 'specs/writing-templates/templates',
+    referencePath: 'specs/writing-templates/variable-system/variable-reference.md',
+    categories: {
+      'official-documents': '公文',
+      letters: '函件',
+      speeches: '讲话致辞',
+      proposals: '方案计划',
+      '': '通用',
+    },
+    scenarios: {
+      'official-documents/report-template.md': ['report'],
+      'official-documents/summary-template.md': ['briefing'],
+      'official-documents/memo-template.md': ['memo'],
+      'letters/request-letter.md': ['letter'],
+      'speeches/leader-speech.md': ['speech'],
+      'proposals/plan-template.md': ['proposal'],
+      'general-template.md': ['general'],
+    },
+  },
+  {
+    tool: 'social',
+    dir: 'specs/social-media-templates/templates',
+    exclude: ['format-guides', 'variable-system'],
+    referencePath: 'specs/social-media-templates/templates/variable-system/variable-reference.md',
+    categories: {
+      'scenario-templates': '朋友圈场景',
+      '': '朋友圈通用',
+    },
+    scenarios: {
+      'scenario-templates/food-post.md': ['food'],
+      'scenario-templates/travel-post.md': ['travel'],
+      'scenario-templates/event-post.md': ['event'],
+      'scenario-templates/achievement-post.md': ['achievement'],
+      'scenario-templates/daily-life-post.md': ['daily'],
+      'social-post-template.md': ['general'],
+    },
+  },
+  {
+    tool: 'bazi_astrology',
+    dir: 'specs/bazi-astrology-templates/templates',
+    exclude: ['commands'],
+    referencePath: 'specs/bazi-astrology-templates/variable-system/variable-reference.md',
+    categories: {
+      '': '命理',
+    },
+    scenarios: {
+      'bazi-chart-template.md': ['bazi_chart'],
+      'bazi-analysis-template.md': ['bazi_analysis'],
+      'bazi-forecast-template.md': ['forecast'],
+      'astrology-report-template.md': ['astrology'],
+      'combined-analysis-template.md': ['combined'],
+    },
+  },
+];
+
+/** 列表接口不返回历史版本内容 */
+const LIST_PROJECTION = { versions: 0 };
+
+/** 数组或逗号分隔的字符串 → 去空白的字符串列表 */
+function toStringList(value) {
+  const items = typeof value === 'string' ? value.split(/[,，]/) : value;
+  return (Array.isArray(items) ? items : []).map((item) => String(item).trim()).filter(Boolean);
+}
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * 规范化变量定义（管理后台提交或从变量参考文档导入）
+ * @param {Array<Object>} variables
+ * @returns {Array<Object>}
+ */
+function normalizeVariables(variables = []) {
+  return variables
+    .filter((variable) => variable && typeof variable.name === 'string' && variable.name.trim())
+    .map((variable) => {
+      const options = toStringList(variable.options);
+      return {
+        name: variable.name.trim(),
+        description: variable.description ? String(variable.description).trim() : '',
+        kind: VARIABLE_KINDS.includes(variable.kind) ? variable.kind : 'input',
+        type: VARIABLE_TYPES.includes(variable.type) ? variable.type : 'text',
+        required: variable.required === true,
+        ...(options.length ? { options } : {}),
+        ...(variable.openOptions ? { openOptions: true } : {}),
+        ...(variable.example ? { example: String(variable.example) } : {}),
+      };
+    });
+}
+
+/**
+ * 校验模板输入
+ * @param {Object} data
+ * @param {Object} [options]
+ * @param {boolean} [options.partial] - 更新时只校验提交的字段
+ * @returns {string|null} 错误信息
+ */
+function validateTemplateInput(data, { partial = false } = {}) {
+  if (!data || typeof data !== 'object') {
+    return '请求体无效';
+  }
+  if ((!partial || data.tool !== undefined) && !TEMPLATE_TOOLS.includes(data.tool)) {
+    return `工具必须是 ${TEMPLATE_TOOLS.join('/')} 之一`;
+  }
+  if (
+    (!partial || data.name !== undefined) &&
+    (typeof data.name !== 'string' || !data.name.trim())
+  ) {
+    return '模板名称不能为空';
+  }
+  if (
+    (!partial || data.content !== undefined) &&
+    (typeof data.content !== 'string' || !data.content.trim())
+  ) {
+    return '模板内容不能为空';
+  }
+  if (data.variables !== undefined && !Array.isArray(data.variables)) {
+    return '变量定义必须是数组';
+  }
+  if (data.path != null && data.path !== '' && !/^specs\/[\w./-]+\.md$/.test(data.path)) {
+    return '内置模板路径必须是 specs/ 下的 .md 文件';
+  }
+  return null;
+}
+
+/**
+ * 提取可写入的模板字段
+ * @param {Object} data
+ * @returns {Object}
+ */
+function pickTemplateFields(data) {
+  const fields = {};
+  if (data.tool !== undefined) {
+    fields.tool = data.tool;
+  }
+  if (data.name !== undefined) {
+    fields.name = data.name.trim();
+  }
+  if (data.description !== undefined) {
+    fields.description = String(data.description || '').trim();
+  }
+  if (data.category !== undefined) {
+    fields.category = String(data.category || '').trim();
+  }
+  if (data.scenarios !== undefined) {
+    fields.scenarios = [...new Set(toStringList(data.scenarios))];
+  }
+  if (data.path !== undefined) {
+    fields.path = data.path || null;
+  }
+  if (data.content !== undefined) {
+    fields.content = data.content;
+  }
+  if (data.variables !== undefined) {
+    fields.variables = normalizeVariables(data.variables);
+  }
+  if (data.enabled !== undefined) {
+    fields.enabled = data.enabled !== false;
+  }
+  if (data.visibility !== undefined) {
+    fields.visibility = {
+      roles: toStringList(data.visibility?.roles),
+      groups: toStringList(data.visibility?.groups).filter((id) =>
+        mongoose.Types.ObjectId.isValid(id),
+      ),
+    };
+  }
+  return fields;
+}
+
+/**
+ * 判断用户是否可以使用模板：未设置角色与用户组时所有人可见，管理员始终可见
+ * @param {Object} template
+ * @param {{ role?: string, groupIds?: string[] }} viewer
+ * @returns {boolean}
+ */
+function isVisibleTo(template, { role, groupIds = [] } = {}) {
+  const roles = template.visibility?.roles ?? [];
+  const groups = (template.visibility?.groups ?? []).map(String);
+  if (role === SystemRoles.ADMIN || (roles.length === 0 && groups.length === 0)) {
+    return true;
+  }
+  return (role != null && roles.includes(role)) || groups.some((id) => groupIds.includes(id));
+}
+
+/** 模板标题：第一个一级标题，去掉标题中的占位符与「模板」后缀 */
+function titleOf(content, fallback) {
+  const heading = /^#\s+(.+)$/m.exec(content);
+  if (!heading) {
+    return fallback;
+  }
+  const title = heading[1].trim().replace(/[：:]\s*\[[^\]]*\]$/, '');
+  return title.replace(/模板$/, '') || title;
+}
+
+/** 模板说明：「适用于」行或标题后的第一段正文 */
+function descriptionOf(content) {
+  const lines = content.split(/\r?\n/).map((line) => line.trim());
+  const applicable = lines.find((line) => /^(\*\*)?适用/.test(line));
+  const text =
+    applicable ||
+    lines.find((line) => line && !/^(#|```|\||>|-{3,}|\[)/.test(line) && !/^[-*]\s/.test(line));
+  return (text || '').replace(/\*\*/g, '').slice(0, 200);
+}
+
+/**
+ * 模板库服务
+ * 模板内容或变量每次修改都保存修改前的版本，可以恢复到任一历史版本；
+ * 模板类工具通过 `findTemplate` 按模板ID、场景标签或内置路径查找模板，并按角色/用户组过滤可见范围
+ */
+class TemplateLibraryService {
+  /**
+   * @param {Object} [options]
+   * @param {Object} [options.models] - 数据模型（默认从 ~/db/models 加载）
+   * @param {(userId: string) => Promise<Array<{ _id: unknown }>>} [options.findUserGroups] - 查询用户所在用户组
+   * @param {string} [options.projectRoot] - 内置模板所在的项目根目录
+   */
+  constructor({ models, findUserGroups, projectRoot } = {}) {
+    this.models = models;
+    this.findUserGroups = findUserGroups;
+    this.projectRoot = projectRoot;
+  }
+
+  getModel() {
+    if (!this.models) {
+      this.models = require('~/db/models');
+    }
+    return this.models.ToolTemplate;
+  }
+
+  getProjectRoot() {
+    if (!this.projectRoot) {
+      const { resolveProjectRoot } = require('~/app/clients/tools/util/templates/loader');
+      this.projectRoot = resolveProjectRoot();
+    }
+    return this.projectRoot;
+  }
+
+  /**
+   * 查询用户所在的用户组ID
+   * @param {Object} user
+   * @returns {Promise<string[]>}
+   */
+  async getUserGroupIds(user) {
+    const userId = user?.id ?? user?._id;
+    if (!userId) {
+      return [];
+    }
+    if (!this.findUserGroups) {
+      this.findUserGroups = require('~/models').findGroupsByMemberId;
+    }
+    try {
+      const groups = await this.findUserGroups(String(userId));
+      return (groups || []).map((group) => String(group._id));
+    } catch (error) {
+      logger.warn(`[TemplateLibraryService] 查询用户组失败: ${error.message}`);
+      return [];
+    }
+  }
+
+  /**
+   * 获取模板列表（不含历史版本）
+   * @param {Object} [params]
+   * @param {string} [params.tool]
+   * @param {string} [params.category]
+   * @param {string} [params.scenario]
+   * @param {string} [params.search] - 按名称、说明模糊搜索
+   * @param {boolean} [params.enabled]
+   * @param {number} [params.limit]
+   * @param {number} [params.skip]
+   * @returns {Promise<{ templates: Object[], total: number }>}
+   */
+  async listTemplates({ tool, category, scenario, search, enabled, limit = 50, skip = 0 } = {}) {
+    const query = {};
+    if (tool) {
+      query.tool = tool;
+    }
+    if (category) {
+      query.category = category;
+    }
+    if (scenario) {
+      query.scenarios = scenario;
+    }
+    if (enabled !== undefined) {
+      query.enabled = enabled;
+    }
+    if (search) {
+      const pattern = new RegExp(escapeRegExp(search), 'i');
+      query.$or = [{ name: pattern }, { description: pattern }];
+    }
+
+    const Template = this.getModel();
+    const [templates, total] = await Promise.all([
+      Template.find(query, LIST_PROJECTION)
+        .sort({ tool: 1, category: 1, name: 1 })
+        .skip(skip)
+        .limit(limit)
+        .lean(),
+      Template.countDocuments(query),
+    ]);
+    return { templates, total };
+  }
+
+  /**
+   * 获取分类与场景标签，用于筛选
+   * @returns {Promise<{ categories: string[], scenarios: string[] }>}
+   */
+  async listFacets() {
+    const Template = this.getModel();
+    const [categories, scenarios] = await Promise.all([
+      Template.distinct('category'),
+      Template.distinct('scenarios'),
+    ]);
+    return {
+      categories: categories.filter(Boolean).sort(),
+      scenarios: scenarios.filter(Boolean).sort(),
+    };
+  }
+
+  /**
+   * 可见范围可选的角色与用户组
+   * @returns {Promise<{ roles: string[], groups: Array<{ _id: string, name: string }> }>}
+   */
+  async listVisibilityOptions() {
+    this.getModel();
+    const { Role, Group } = this.models;
+    const [roles, groups] = await Promise.all([
+      Role.find({}, { name: 1 }).sort({ name: 1 }).lean(),
+      Group.find({}, { name: 1 }).sort({ name: 1 }).lean(),
+    ]);
+    return {
+      roles: roles.map((role) => role.name),
+      groups: groups.map((group) => ({ _id: String(group._id), name: group.name })),
+    };
+  }
+
+  /**
+   * @param {string} id
+   * @returns {Promise<Object|null>} 含历史版本
+   */
+  async getTemplate(id) {
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return null;
+    }
+    return await this.getModel().findById(id).lean();
+  }
+
+  /**
+   * 新建模板
+   * @param {Object} data - 已通过 validateTemplateInput 校验
+   * @param {string} [userId]
+   * @param {Object} [options]
+   * @param {'import'|'custom'} [options.source]
+   * @returns {Promise<Object>}
+   */
+  async createTemplate(data, userId, { source = 'custom' } = {}) {
+    const created = await this.getModel().create({
+      ...pickTemplateFields(data),
+      source,
+      version: 1,
+      versions: [],
+      author: userId ?? null,
+      updatedBy: userId ?? null,
+    });
+    return typeof created.toObject === 'function' ? created.toObject() : created;
+  }
+
+  /**
+   * 更新模板；内容或变量变化时保存修改前的版本并递增版本号
+   * @param {string} id
+   * @param {Object} data - 已通过 validateTemplateInput（partial）校验
+   * @param {string} [userId]
+   * @param {Object} [options]
+   * @param {string} [options.note] - 版本说明
+   * @returns {Promise<Object|null>} 模板不存在时返回 null
+   */
+  async updateTemplate(id, data, userId, { note } = {}) {
+    const current = await this.getTemplate(id);
+    if (!current) {
+      return null;
+    }
+
+    const fields = pickTemplateFields(data);
+    const contentChanged =
+      (fields.content !== undefined && fields.content !== current.content) ||
+      (fields.variables !== undefined &&
+        JSON.stringify(fields.variables) !== JSON.stringify(normalizeVariables(current.variables)));
+
+    const update = { $set: { ...fields, updatedBy: userId ?? null } };
+    if (contentChanged) {
+      update.$set.version = current.version + 1;
+      update.$push = {
+        versions: {
+          version: current.version,
+          content: current.content,
+          variables: current.variables ?? [],
+          note: note || undefined,
+          author: current.updatedBy ?? current.author ?? null,
+          createdAt: current.updatedAt ?? new Date(),
+        },
+      };
+    }
+
+    // 以版本号作为乐观锁，并发修改时后提交的一方失败
+    const updated = await this.getModel()
+      .findOneAndUpdate({ _id: current._id, version: current.version }, update, { new: true })
+      .lean();
+    if (!updated) {
+      throw new Error('模板已被其他人修改，请刷新后重试');
+    }
+    return updated;
+  }
+
+  /**
+   * 恢复到历史版本（作为新版本保存，原有历史保留）
+   * @param {string} id
+   * @param {number} version
+   * @param {string} [userId]
+   * @returns {Promise<Object|null>} 模板或版本不存在时返回 null
+   */
+  async restoreVersion(id, version, userId) {
+    const current = await this.getTemplate(id);
+    const target = current?.versions?.find((item) => item.version === version);
+    if (!target) {
+      return null;
+    }
+    return await this.updateTemplate(
+      id,
+      { content: target.content, variables: target.variables },
+      userId,
+      { note: `恢复到版本 ${version} 前的内容` },
+    );
+  }
+
+  /**
+   * @param {string} id
+   * @returns {Promise<boolean>} 是否删除
+   */
+  async deleteTemplate(id) {
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return false;
+    }
+    const result = await this.getModel().deleteOne({ _id: id });
+    return result.deletedCount > 0;
+  }
+
+  /**
+   * 读取仓库内置模板，生成待导入的模板条目
+   * @returns {Promise<Object[]>}
+   */
+  async readBundledTemplates() {
+    const root = this.getProjectRoot();
+    const entries = [];
+
+    for (const library of BUNDLED_LIBRARIES) {
+      const baseDir = path.join(root, library.dir);
+      const reference = await fs
+        .readFile(path.join(root, library.referencePath), 'utf-8')
+        .then(parseVariableReference)
+        .catch(() => ({}));
+
+      const walk = async (relativeDir) => {
+        const items = await fs
+          .readdir(path.join(baseDir, relativeDir), { withFileTypes: true })
+          .catch(() => []);
+        for (const item of items) {
+          const relativePath = relativeDir ? `${relativeDir}/${item.name}` : item.name;
+          if (item.isDirectory()) {
+            if (!(library.exclude || []).includes(relativePath)) {
+              await walk(relativePath);
+            }
+          } else if (item.name.endsWith('.md')) {
+            const content = await fs.readFile(path.join(baseDir, relativePath), 'utf-8');
+            const placeholders = extractPlaceholders(content, detectSyntax(content));
+            entries.push({
+              tool: library.tool,
+              name: titleOf(content, item.name.replace(/\.md$/, '')),
+              description: descriptionOf(content),
+              category: library.categories[relativeDir.split('/')[0]] ?? relativeDir,
+              scenarios: library.scenarios[relativePath] ?? [],
+              path: `${library.dir}/${relativePath}`,
+              content,
+              variables: normalizeVariables(
+                placeholders.map((name) => reference[name]).filter(Boolean),
+              ),
+            });
+          }
+        }
+      };
+      await walk('');
+    }
+    return entries;
+  }
+
+  /**
+   * 一键导入仓库内置模板（按工具与路径去重）
+   * @param {Object} [params]
+   * @param {string} [params.userId]
+   * @param {boolean} [params.overwrite] - 已导入且内容不同的模板用文件内容覆盖（保存为新版本）
+   * @returns {Promise<{ created: number, updated: number, skipped: number }>}
+   */
+  async importBundledTemplates({ userId, overwrite = false } = {}) {
+    const Template = this.getModel();
+    const result = { created: 0, updated: 0, skipped: 0 };
+
+    for (const entry of await this.readBundledTemplates()) {
+      const existing = await Template.findOne(
+        { tool: entry.tool, path: entry.path },
+        { _id: 1, content: 1 },
+      ).lean();
+      if (!existing) {
+        await this.createTemplate(entry, userId, { source: 'import' });
+        result.created++;
+      } else if (overwrite && existing.content !== entry.content) {
+        await this.updateTemplate(
+          existing._id,
+          { content: entry.content, variables: entry.variables },
+          userId,
+          { note: '从内置模板文件重新导入' },
+        );
+        result.updated++;
+      } else {
+        result.skipped++;
+      }
+    }
+
+    logger.info(
+      `[TemplateLibraryService] 导入内置模板: 新增 ${result.created}，更新 ${result.updated}，跳过 ${result.skipped}`,
+    );
+    return result;
+  }
+
+  /**
+   * 工具查找模板：返回当前用户可见、已启用的模板（不含历史版本）
+   * 同一场景标签有多个模板时使用最近更新的一个
+   * @param {import('~/app/clients/tools/util/templates/library').TemplateQuery} query
+   * @returns {Promise<Object|null>}
+   */
+  async findTemplate({ tool, templateId, scenario, templatePath, user }) {
+    const query = { tool, enabled: true };
+    if (templateId) {
+      if (!mongoose.Types.ObjectId.isValid(templateId)) {
+        return null;
+      }
+      query._id = templateId;
+    } else if (scenario) {
+      query.scenarios = scenario;
+    } else if (templatePath) {
+      query.path = templatePath;
+    } else {
+      return null;
+    }
+
+    const candidates = await this.getModel()
+      .find(query, LIST_PROJECTION)
+      .sort({ updatedAt: -1 })
+      .limit(20)
+      .lean();
+    return (await this.filterVisible(candidates, user))[0] ?? null;
+  }
+
+  /**
+   * 工具列出模板：当前用户可见、已启用的模板摘要
+   * @param {{ tool: string, user?: Object }} params
+   * @returns {Promise<Array<{ id: string, name: string, description: string, category: string, scenarios: string[] }>>}
+   */
+  async listAvailableTemplates({ tool, user }) {
+    const candidates = await this.getModel()
+      .find(
+        { tool, enabled: true },
+        { name: 1, description: 1, category: 1, scenarios: 1, visibility: 1 },
+      )
+      .sort({ category: 1, name: 1 })
+      .lean();
+    return (await this.filterVisible(candidates, user)).map((template) => ({
+      id: String(template._id),
+      name: template.name,
+      description: template.description,
+      category: template.category,
+      scenarios: template.scenarios,
+    }));
+  }
+
+  /** 按用户角色与用户组过滤模板，只在有模板限定用户组时查询用户组 */
+  async filterVisible(templates, user) {
+    const restricted = templates.some((template) => template.visibility?.groups?.length);
+    const groupIds =
+      restricted && user?.role !== SystemRoles.ADMIN ? await this.getUserGroupIds(user) : [];
+    return templates.filter((template) => isVisibleTo(template, { role: user?.role, groupIds }));
+  }
+}
+
+/** @type {TemplateLibraryService|null} */
+let instance = null;
+
+/**
+ * @returns {TemplateLibraryService}
+ */
+function getTemplateLibraryService() {
+  if (!instance) {
+    instance = new TemplateLibraryService();
+  }
+  return instance;
+}
+
+module.exports = TemplateLibraryService;
+module.exports.TEMPLATE_TOOLS = TEMPLATE_TOOLS;
+module.exports.BUNDLED_LIBRARIES = BUNDLED_LIBRARIES;
+module.exports.validateTemplateInput = validateTemplateInput;
+module.exports.normalizeVariables = normalizeVariables;
+module.exports.isVisibleTo = isVisibleTo;
+module.exports.getTemplateLibraryService = getTemplateLibraryService;
@@ -0,0 +1,256 @@
+jest.mock('@aipyq/data-schemas', () => ({
+  logger: {
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn(),
+  },
+}));
+
+const path = require('path');
+const mongoose = require('mongoose');
+const TemplateLibraryService = require('./TemplateLibraryService');
+const { validateTemplateInput, isVisibleTo } = TemplateLibraryService;
+
+const PROJECT_ROOT = path.resolve(__dirname, '../../..');
+
+/** 按字段相等（数组字段按包含）匹配，足够覆盖服务中的查询 */
+const matches = (doc, query) =>
+  Object.entries(query).every(([key, expected]) => {
+    const actual = doc[key];
+    if (Array.isArray(actual) && !Array.isArray(expected)) {
+      return actual.includes(expected);
+    }
+    return String(actual) === String(expected);
+  });
+
+const chain = (result) => {
+  const query = {
+    sort: () => query,
+    skip: () => query,
+    limit: () => query,
+    lean: async () => (typeof result === 'function' ? result() : result),
+  };
+  return query;
+};
+
+const clone = (doc) => (doc ? JSON.parse(JSON.stringify(doc)) : doc);
+
+/** 内存中的模板集合 */
+const createTemplateModel = () => {
+  const docs = [];
+  return {
+    docs,
+    create: jest.fn(async (data) => {
+      const doc = {
+        _id: new mongoose.Types.ObjectId(),
+        description: '',
+        category: '',
+        scenarios: [],
+        path: null,
+        variables: [],
+        visibility: { roles: [], groups: [] },
+        enabled: true,
+        ...data,
+        updatedAt: new Date(),
+      };
+      docs.push(doc);
+      return clone(doc);
+    }),
+    find: jest.fn((query) => chain(() => docs.filter((doc) => matches(doc, query)).map(clone))),
+    findOne: jest.fn((query) => chain(() => clone(docs.find((doc) => matches(doc, query))))),
+    findById: jest.fn((id) => chain(() => clone(docs.find((doc) => String(doc._id) === id)))),
+    findOneAndUpdate: jest.fn((query, update) =>
+      chain(() => {
+        const doc = docs.find((item) => matches(item, query));
+        if (!doc) {
+          return null;
+        }
+        Object.assign(doc, update.$set, { updatedAt: new Date() });
+        if (update.$push) {
+          doc.versions = [...(doc.versions || []), update.$push.versions];
+        }
+        return clone(doc);
+      }),
+    ),
+    countDocuments: jest.fn(async (query) => docs.filter((doc) => matches(doc, query)).length),
+  };
+};
+
+describe('validateTemplateInput', () => {
+  it('requires tool, name and content when creating', () => {
+    expect(validateTemplateInput({ tool: 'writing', name: '通知', content: '# 通知' })).toBeNull();
+    expect(validateTemplateInput({ tool: 'other', name: '通知', content: 'x' })).toMatch('工具');
+    expect(validateTemplateInput({ tool: 'writing', name: ' ', content: 'x' })).toBe(
+      '模板名称不能为空',
+    );
+    expect(validateTemplateInput({ tool: 'writing', name: '通知', content: '' })).toBe(
+      '模板内容不能为空',
+    );
+  });
+
+  it('only checks submitted fields when updating', () => {
+    expect(validateTemplateInput({ enabled: false }, { partial: true })).toBeNull();
+    expect(validateTemplateInput({ variables: 'x' }, { partial: true })).toBe('变量定义必须是数组');
+    expect(validateTemplateInput({ path: '../etc/passwd' }, { partial: true })).toMatch('specs/');
+  });
+});
+
+describe('isVisibleTo', () => {
+  const template = (visibility) => ({ visibility });
+
+  it('is visible to everyone without restrictions and always to admins', () => {
+    expect(isVisibleTo(template({ roles: [], groups: [] }), { role: 'USER' })).toBe(true);
+    expect(isVisibleTo(template({ roles: ['EDITOR'], groups: [] }), { role: 'ADMIN' })).toBe(true);
+  });
+
+  it('matches either a listed role or a listed group', () => {
+    const restricted = template({ roles: ['EDITOR'], groups: ['g1'] });
+    expect(isVisibleTo(restricted, { role: 'USER' })).toBe(false);
+    expect(isVisibleTo(restricted, { role: 'EDITOR' })).toBe(true);
+    expect(isVisibleTo(restricted, { role: 'USER', groupIds: ['g1'] })).toBe(true);
+  });
+});
+
+describe('TemplateLibraryService', () => {
+  let model;
+  let findUserGroups;
+  let service;
+
+  beforeEach(() => {
+    model = createTemplateModel();
+    findUserGroups = jest.fn(async () => []);
+    service = new TemplateLibraryService({
+      models: { ToolTemplate: model },
+      findUserGroups,
+      projectRoot: PROJECT_ROOT,
+    });
+  });
+
+  it('imports the bundled template folders in one step and skips them on re-import', async () => {
+    const first = await service.importBundledTemplates({ userId: 'admin-1' });
+    expect(first.created).toBeGreaterThanOrEqual(18);
+    expect(first.skipped).toBe(0);
+
+    const report = model.docs.find(
+      (doc) =>
+        doc.path === 'specs/writing-templates/templates/official-documents/report-template.md',
+    );
+    expect(report).toMatchObject({
+      tool: 'writing',
+      category: '公文',
+      scenarios: ['report'],
+      source: 'import',
+      version: 1,
+    });
+    expect(report.name).toBe('工作报告/总结');
+
+    const food = model.docs.find((doc) => doc.scenarios.includes('food'));
+    expect(food).toMatchObject({ tool: 'social', name: '美食场景朋友圈', category: '朋友圈场景' });
+    expect(food.variables.length).toBeGreaterThan(0);
+
+    expect(model.docs.some((doc) => /format-guides|variable-system|commands/.test(doc.path))).toBe(
+      false,
+    );
+
+    const second = await service.importBundledTemplates({ userId: 'admin-1' });
+    expect(second).toEqual({ created: 0, updated: 0, skipped: first.created });
+  });
+
+  it('re-imports changed bundled files as a new version when overwriting', async () => {
+    await service.importBundledTemplates();
+    const food = model.docs.find((doc) => doc.scenarios.includes('food'));
+    const original = food.content;
+    food.content = '# 已在后台修改';
+
+    const result = await service.importBundledTemplates({ userId: 'admin-1', overwrite: true });
+    expect(result.updated).toBe(1);
+    expect(food.content).toBe(original);
+    expect(food.version).toBe(2);
+    expect(food.versions[0]).toMatchObject({ version: 1, content: '# 已在后台修改' });
+  });
+
+  it('keeps previous versions on content changes and restores them', async () => {
+    const created = await service.createTemplate(
+      {
+        tool: 'writing',
+        name: '通知',
+        content: '关于{{topic}}的通知',
+        scenarios: 'notice, 通知',
+        variables: [{ name: 'topic', description: '主题', required: true, type: 'bogus' }],
+      },
+      'admin-1',
+    );
+    expect(created).toMatchObject({ version: 1, source: 'custom', scenarios: ['notice', '通知'] });
+    expect(created.variables).toEqual([
+      { name: 'topic', description: '主题', kind: 'input', type: 'text', required: true },
+    ]);
+
+    const id = String(created._id);
+    const renamed = await service.updateTemplate(id, { name: '通知（新）' }, 'admin-2');
+    expect(renamed.version).toBe(1);
+
+    const edited = await service.updateTemplate(id, { content: '{{topic}}通知' }, 'admin-2');
+    expect(edited.version).toBe(2);
+    expect(edited.versions).toEqual([
+      expect.objectContaining({ version: 1, content: '关于{{topic}}的通知' }),
+    ]);
+
+    const restored = await service.restoreVersion(id, 1, 'admin-1');
+    expect(restored).toMatchObject({ version: 3, content: '关于{{topic}}的通知' });
+    expect(restored.versions.map((item) => item.version)).toEqual([1, 2]);
+    expect(await service.restoreVersion(id, 9, 'admin-1')).toBeNull();
+  });
+
+  it('finds templates by id, scenario or path within the user visibility', async () => {
+    const groupId = String(new mongoose.Types.ObjectId());
+    const open = await service.createTemplate({
+      tool: 'writing',
+      name: '通用',
+      content: '通用',
+      path: 'specs/writing-templates/templates/general-template.md',
+      scenarios: ['general'],
+    });
+    const restricted = await service.createTemplate({
+      tool: 'writing',
+      name: '内部通知',
+      content: '内部',
+      scenarios: ['notice'],
+      visibility: { roles: [], groups: [groupId] },
+    });
+    await service.createTemplate({
+      tool: 'writing',
+      name: '停用',
+      content: '停用',
+      scenarios: ['memo'],
+      enabled: false,
+    });
+
+    const user = { id: 'user-1', role: 'USER' };
+    expect(
+      await service.findTemplate({
+        tool: 'writing',
+        templatePath: 'specs/writing-templates/templates/general-template.md',
+        user,
+      }),
+    ).toMatchObject({ name: '通用' });
+    expect(
+      await service.findTemplate({ tool: 'writing', templateId: String(open._id), user }),
+    ).toMatchObject({ name: '通用' });
+    expect(await service.findTemplate({ tool: 'social', scenario: 'general', user })).toBeNull();
+    expect(await service.findTemplate({ tool: 'writing', scenario: 'memo', user })).toBeNull();
+
+    expect(await service.findTemplate({ tool: 'writing', scenario: 'notice', user })).toBeNull();
+    findUserGroups.mockResolvedValueOnce([{ _id: groupId }]);
+    expect(await service.findTemplate({ tool: 'writing', scenario: 'notice', user })).toMatchObject(
+      { _id: restricted._id },
+    );
+    expect(findUserGroups).toHaveBeenCalledWith('user-1');
+
+    const available = await service.listAvailableTemplates({
+      tool: 'writing',
+      user: { id: 'admin-1', role: 'ADMIN' },
+    });
+    expect(available.map((item) => item.name)).toEqual(['通用', '内部通知']);
+  });
+});
@@ -0,0 +1,72 @@
+jest.mock('@aipyq/data-schemas', () => ({
+  logger: { warn: jest.fn() },
+}));
+
+const mockCreate = jest.fn();
+const mockOpenAI = jest.fn(() => ({ chat: { completions: { create: mockCreate } } }));
+jest.mock('openai', () => ({ default: mockOpenAI }));
+
+const { cosineSimilarity, parseJSONObject, createEnvLLM } = require('../llm');
+
+describe('cosineSimilarity', () => {
+  it('scores parallel, orthogonal and zero vectors', () => {
+    expect(cosineSimilarity([1, 2], [2, 4])).toBeCloseTo(1);
+    expect(cosineSimilarity([1, 0], [0, 1])).toBe(0);
+    expect(cosineSimilarity([0, 0], [1, 1])).toBe(0);
+    expect(() => cosineSimilarity([1], [1, 2])).toThrow('same length');
+  });
+});
+
+describe('parseJSONObject', () => {
+  it('extracts the object from code blocks and surrounding text', () => {
+    expect(parseJSONObject('好的：\n```json\n{"a":{"b":1}}\n```')).toEqual({ a: { b: 1 } });
+    expect(parseJSONObject('{broken')).toBeNull();
+    expect(parseJSONObject(undefined)).toBeNull();
+  });
+});
+
+describe('createEnvLLM', () => {
+  const env = process.env;
+
+  beforeEach(() => {
+    process.env = { ...env };
+    mockCreate.mockReset();
+    mockOpenAI.mockClear();
+  });
+
+  afterAll(() => {
+    process.env = env;
+  });
+
+  it('returns null without a model or an API key', () => {
+    expect(createEnvLLM({ prefix: 'TEST_AUX', timeout: 100, label: 'Test' })).toBeNull();
+
+    process.env.TEST_AUX_MODEL = 'gpt-test';
+    delete process.env.OPENAI_API_KEY;
+    expect(createEnvLLM({ prefix: 'TEST_AUX', timeout: 100, label: 'Test' })).toBeNull();
+  });
+
+  it('creates a non-retrying client from the prefixed variables', async () => {
+    process.env.TEST_AUX_MODEL = 'gpt-test';
+    process.env.TEST_AUX_API_KEY = 'key';
+    process.env.TEST_AUX_BASEURL = 'http://localhost:8080/v1';
+    mockCreate.mockResolvedValue({ choices: [{ message: { content: '{"ok":true}' } }] });
+
+    const llm = createEnvLLM({ prefix: 'TEST_AUX', timeout: 100, label: 'Test', temperature: 0.3 });
+    expect(mockOpenAI).toHaveBeenCalledWith({
+      apiKey: 'key',
+      baseURL: 'http://localhost:8080/v1',
+      timeout: 100,
+      maxRetries: 0,
+    });
+
+    await expect(llm.complete([{ role: 'user', content: 'hi' }])).resolves.toBe('{"ok":true}');
+    expect(mockCreate).toHaveBeenCalledWith({
+      model: 'gpt-test',
+      messages: [{ role: 'user', content: 'hi' }],
+      temperature: 0.3,
+    });
+    await llm.complete([], { temperature: 0 });
+    expect(mockCreate.mock.calls[1][0].temperature).toBe(0);
+  });
+});
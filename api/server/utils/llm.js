@@ -0,0 +1,89 @@
+const { logger } = require('@aipyq/data-schemas');
+
+/**
+ * 计算余弦相似度
+ * @param {number[]} a - 向量1
+ * @param {number[]} b - 向量2
+ * @returns {number} 相似度，任一向量为零向量时为 0
+ * @throws {Error} 向量维度不一致时
+ */
+function cosineSimilarity(a, b) {
+  if (a.length !== b.length) {
+    throw new Error('Vectors must have the same length');
+  }
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+}
+
+/**
+ * 从 LLM 输出中截取 JSON 对象，容忍代码块包裹和前后多余文本
+ * @param {string} text - LLM 输出
+ * @returns {Object | null} 无法解析时返回 null
+ */
+function parseJSONObject(text) {
+  if (typeof text !== 'string') {
+    return null;
+  }
+  const start = text.indexOf('{');
+  const end = text.lastIndexOf('}');
+  if (start === -1 || end <= start) {
+    return null;
+  }
+  try {
+    return JSON.parse(text.slice(start, end + 1));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * 按环境变量创建辅助 LLM（OpenAI 兼容接口），用于检索规划等不经过对话端点的内部调用
+ * 读取 `${prefix}_MODEL`、`${prefix}_API_KEY`（缺省为 OPENAI_API_KEY）和 `${prefix}_BASEURL`；
+ * 不重试，超时或失败由调用方回退到本地逻辑
+ * @param {Object} params
+ * @param {string} params.prefix - 环境变量前缀，如 RAG_PLANNER
+ * @param {number} params.timeout - 请求超时（毫秒）
+ * @param {string} params.label - 日志标签
+ * @param {number} [params.temperature=0] - 默认温度
+ * @returns {{ model: string, complete: (messages: Object[], options?: { temperature?: number }) => Promise<string> } | null}
+ *   未配置模型或缺少 API Key 时返回 null
+ */
+function createEnvLLM({ prefix, timeout, label, temperature: defaultTemperature = 0 }) {
+  const model = process.env[`${prefix}_MODEL`];
+  if (!model) {
+    return null;
+  }
+  const apiKey = process.env[`${prefix}_API_KEY`] || process.env.OPENAI_API_KEY;
+  if (!apiKey) {
+    logger.warn(`[${label}] 已配置 ${prefix}_MODEL 但缺少 API Key`);
+    return null;
+  }
+
+  const { default: OpenAI } = require('openai');
+  const client = new OpenAI({
+    apiKey,
+    baseURL: process.env[`${prefix}_BASEURL`] || undefined,
+    timeout,
+    maxRetries: 0,
+  });
+  return {
+    model,
+    async complete(messages, { temperature = defaultTemperature } = {}) {
+      const response = await client.chat.completions.create({ model, messages, temperature });
+      return response.choices?.[0]?.message?.content || '';
+    },
+  };
+}
+
+module.exports = {
+  cosineSimilarity,
+  parseJSONObject,
+  createEnvLLM,
+};
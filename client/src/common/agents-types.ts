@@ -1,6 +1,7 @@
 import { AgentCapabilities, ArtifactModes } from '@aipyq/data-provider';
 import type {
   AgentModelParameters,
+  AgentRAGConfig,
   SupportContact,
   AgentProvider,
   GraphEdge,
@@ -40,6 +41,7 @@ export type AgentForm = {
   [AgentCapabilities.artifacts]?: ArtifactModes | string;
   recursion_limit?: number;
   support_contact?: SupportContact;
+  rag?: AgentRAGConfig;
   category: string;
   // Avatar management fields
   avatar_file?: File | null;
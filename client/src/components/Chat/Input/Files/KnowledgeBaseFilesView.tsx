@@ -1,14 +1,14 @@
-import React, { useState, useRef, useCallback, useEffect } from 'react';
-import { FileSources, FileContext } from '@aipyq/data-provider';
+import React, { useState, useRef, useCallback, useEffect, useMemo } from 'react';
+import { FileSources, FileContext, SystemRoles } from '@aipyq/data-provider';
 import type { TFile } from '@aipyq/data-provider';
 import { OGDialog, OGDialogContent, OGDialogHeader, OGDialogTitle, Button, Input, Spinner, useToastContext } from '@aipyq/client';
-import { useGetKnowledgeListQuery, useAddKnowledgeMutation, useDeleteKnowledgeMutation, useUpdateKnowledgeMutation, useRAGQuery, type KnowledgeEntry } from '~/data-provider/KnowledgeBase';
-import { useUploadFileMutation, useFileContent } from '~/data-provider/Files';
-import { useLocalize, useAuthContext } from '~/hooks';
-import { useRecoilValue } from 'recoil';
+import { useGetKnowledgeListQuery, useAddKnowledgeMutation, useDeleteKnowledgeMutation, useUpdateKnowledgeMutation, useRAGQuery, useGetKnowledgeVersionsQuery, useRestoreKnowledgeVersionMutation, useGetCurationCandidatesQuery, useUpdateCurationCandidateMutation, useReviewCurationCandidatesMutation, useGetDuplicateClustersQuery, useStartDuplicateScanMutation, useMergeDuplicateClusterMutation, useDismissDuplicateClusterMutation, type KnowledgeEntry, type KnowledgeEntryVersion, type KnowledgeCandidate, type KnowledgeDuplicateCluster } from '~/data-provider/KnowledgeBase';
+import { useUploadFileMutation, useFileContent, useIngestionJobsQuery, useRetryIngestionJobMutation, type IngestionJob } from '~/data-provider/Files';
+import { useLocalize, useAuthContext, useIngestionJobStream } from '~/hooks';
+import { useRecoilValue, useRecoilState } from 'recoil';
 import store from '~/store';
 import { cn } from '~/utils';
-import { Upload, Trash2, FileText, X, Eye, XCircle, TestTube, Folder, FolderOpen, ChevronRight, ChevronDown, Plus, Pencil, Check } from 'lucide-react';
+import { Upload, Trash2, FileText, X, Eye, XCircle, TestTube, Folder, FolderOpen, ChevronRight, ChevronDown, Plus, Pencil, Check, History, RotateCcw, ClipboardCheck, Copy } from 'lucide-react';
 import { useDrop } from 'react-dnd';
 import { NativeTypes } from 'react-dnd-html5-backend';
 import { dataService } from '@aipyq/data-provider';
@@ -18,6 +18,42 @@ const KnowledgeType = {
   BUSINESS_KNOWLEDGE: 'business_knowledge',
 };
 
+/**
+ * 在文件全文中定位检索块的位置
+ * 索引时的块可能带章节路径前缀，且与预览的分块方式不同，因此以块中最长的一行为锚点，
+ * 再在块长度范围内向前、向后扩展匹配其余行
+ */
+function locateChunk(content: string, chunk?: string): [number, number] | null {
+  if (!content || !chunk) {
+    return null;
+  }
+  const lines = chunk.split('\n').map((line) => line.trim()).filter((line) => line.length >= 4);
+  if (lines.length === 0) {
+    return null;
+  }
+  const anchorIndex = lines.reduce((longest, line, i) => (line.length > lines[longest].length ? i : longest), 0);
+  const anchorPos = content.indexOf(lines[anchorIndex]);
+  if (anchorPos === -1) {
+    return null;
+  }
+
+  let start = anchorPos;
+  let end = anchorPos + lines[anchorIndex].length;
+  for (let i = anchorIndex - 1; i >= 0; i--) {
+    const pos = content.lastIndexOf(lines[i], start);
+    if (pos !== -1 && anchorPos - pos <= chunk.length) {
+      start = pos;
+    }
+  }
+  for (let i = anchorIndex + 1; i < lines.length; i++) {
+    const pos = content.indexOf(lines[i], end);
+    if (pos !== -1 && pos + lines[i].length - anchorPos <= chunk.length) {
+      end = pos + lines[i].length;
+    }
+  }
+  return [start, end];
+}
+
 export default function KnowledgeBaseFilesView({ open, onOpenChange }: { open: boolean; onOpenChange: (open: boolean) => void }) {
   const localize = useLocalize();
   const { showToast } = useToastContext();
@@ -27,7 +63,13 @@ export default function KnowledgeBaseFilesView({ open, onOpenChange }: { open: b
 
   const [showRAGTestModal, setShowRAGTestModal] = useState(false);
   const [selectedFileId, setSelectedFileId] = useState<string | null>(null);
+  const [historyEntry, setHistoryEntry] = useState<KnowledgeEntry | null>(null);
+  const [showCurationModal, setShowCurationModal] = useState(false);
+  const [showDedupModal, setShowDedupModal] = useState(false);
   const [viewingFileId, setViewingFileId] = useState<string | null>(null);
+  // 从对话引用打开时需要定位的知识来源
+  const [knowledgeBaseFocus, setKnowledgeBaseFocus] = useRecoilState(store.knowledgeBaseFocus);
+  const focusMarkRef = useRef<HTMLElement>(null);
   const [expandedCategories, setExpandedCategories] = useState<Set<string>>(new Set());
   const [editingCategory, setEditingCategory] = useState<string | null>(null);
   const [newCategoryName, setNewCategoryName] = useState('');
@@ -49,6 +91,15 @@ export default function KnowledgeBaseFilesView({ open, onOpenChange }: { open: b
     limit: 100,
   });
 
+  // 文件后台向量化任务，进度通过 SSE 实时更新
+  const { data: ingestionJobs } = useIngestionJobsQuery({ enabled: open });
+  useIngestionJobStream(open);
+  const retryIngestionMutation = useRetryIngestionJobMutation();
+  const ingestionJobMap = useMemo(
+    () => new Map((ingestionJobs ?? []).map((job) => [job.file_id, job])),
+    [ingestionJobs],
+  );
+
   // 添加知识条目 mutation
   const addKnowledgeMutation = useAddKnowledgeMutation();
   
@@ -79,7 +130,7 @@ export default function KnowledgeBaseFilesView({ open, onOpenChange }: { open: b
         console.log('[KnowledgeBaseFilesView] 知识条目创建成功:', result);
         
         showToast({
-          message: '文件上传并向量化成功',
+          message: '文件已上传，正在后台向量化',
           status: 'success',
         });
         pendingSingleUploadCategoryRef.current = undefined;
@@ -184,7 +235,7 @@ export default function KnowledgeBaseFilesView({ open, onOpenChange }: { open: b
       refetch();
       if (successCount > 0) {
         showToast({
-          message: `成功上传 ${successCount} 个文件${failCount > 0 ? `，失败 ${failCount} 个` : ''}`,
+          message: `成功上传 ${successCount} 个文件${failCount > 0 ? `，失败 ${failCount} 个` : ''}，正在后台向量化`,
           status: failCount > 0 ? 'info' : 'success',
         });
       } else if (failCount > 0) {
@@ -299,8 +350,39 @@ export default function KnowledgeBaseFilesView({ open, onOpenChange }: { open: b
 
   const handleCloseView = () => {
     setViewingFileId(null);
+    setKnowledgeBaseFocus(null);
   };
 
+  const handleOpenChange = (nextOpen: boolean) => {
+    if (!nextOpen) {
+      setViewingFileId(null);
+      setKnowledgeBaseFocus(null);
+    }
+    onOpenChange(nextOpen);
+  };
+
+  // 从对话引用打开时，直接打开来源文件
+  useEffect(() => {
+    if (open && knowledgeBaseFocus?.fileId) {
+      setViewingFileId(knowledgeBaseFocus.fileId);
+    }
+  }, [open, knowledgeBaseFocus]);
+
+  // 引用块在文件全文中的位置，仅在查看的正是来源文件时高亮
+  const focusRange = useMemo(() => {
+    if (!fileContent?.content || !knowledgeBaseFocus || knowledgeBaseFocus.fileId !== viewingFileId) {
+      return null;
+    }
+    return locateChunk(fileContent.content, knowledgeBaseFocus.content);
+  }, [fileContent, knowledgeBaseFocus, viewingFileId]);
+
+  useEffect(() => {
+    focusMarkRef.current?.scrollIntoView({ block: 'center' });
+  }, [focusRange]);
+
+  // 没有关联文件的知识条目（问答对、业务知识等）直接展示检索到的内容
+  const focusedEntry = knowledgeBaseFocus && !knowledgeBaseFocus.fileId ? knowledgeBaseFocus : null;
+
   const handleCreateFolder = () => {
     setShowCreateFolderModal(true);
     setNewCategoryName('');
@@ -545,7 +627,7 @@ export default function KnowledgeBaseFilesView({ open, onOpenChange }: { open: b
   }, [files.length]);
 
   return (
-    <OGDialog open={open} onOpenChange={onOpenChange}>
+    <OGDialog open={open} onOpenChange={handleOpenChange}>
       <OGDialogContent
         ref={dropDialog}
         title="知识库文件管理"
@@ -567,7 +649,7 @@ export default function KnowledgeBaseFilesView({ open, onOpenChange }: { open: b
                 type="file"
                 className="hidden"
                 onChange={handleFileSelect}
-                accept=".pdf,.doc,.docx,.txt,.md"
+                accept=".pdf,.doc,.docx,.txt,.md,.xlsx,.csv,.pptx,.html,.htm"
                 multiple
                 aria-label="上传文件"
               />
@@ -598,14 +680,36 @@ export default function KnowledgeBaseFilesView({ open, onOpenChange }: { open: b
                 新建文件夹
               </Button>
             </div>
-            <Button
-              onClick={() => setShowRAGTestModal(true)}
-              variant="outline"
-              className="flex items-center gap-2"
-            >
-              <TestTube className="h-4 w-4" />
-              RAG测试
-            </Button>
+            <div className="flex items-center gap-2">
+              {user?.role === SystemRoles.ADMIN && (
+                <>
+                  <Button
+                    onClick={() => setShowDedupModal(true)}
+                    variant="outline"
+                    className="flex items-center gap-2"
+                  >
+                    <Copy className="h-4 w-4" />
+                    重复条目
+                  </Button>
+                  <Button
+                    onClick={() => setShowCurationModal(true)}
+                    variant="outline"
+                    className="flex items-center gap-2"
+                  >
+                    <ClipboardCheck className="h-4 w-4" />
+                    反馈审核
+                  </Button>
+                </>
+              )}
+              <Button
+                onClick={() => setShowRAGTestModal(true)}
+                variant="outline"
+                className="flex items-center gap-2"
+              >
+                <TestTube className="h-4 w-4" />
+                RAG测试
+              </Button>
+            </div>
           </div>
 
           {/* 创建文件夹模态框 */}
@@ -735,7 +839,7 @@ export default function KnowledgeBaseFilesView({ open, onOpenChange }: { open: b
                       type="file"
                       className="hidden"
                       multiple
-                      accept=".pdf,.doc,.docx,.txt,.md"
+                      accept=".pdf,.doc,.docx,.txt,.md,.xlsx,.csv,.pptx,.html,.htm"
                       onChange={handleFolderUploadChooseFiles}
                       aria-label="选择要上传的文件"
                     />
@@ -806,9 +910,22 @@ export default function KnowledgeBaseFilesView({ open, onOpenChange }: { open: b
             />
           )}
 
+          {/* 版本历史模态框 */}
+          {historyEntry && (
+            <KnowledgeHistoryModal entry={historyEntry} onClose={() => setHistoryEntry(null)} />
+          )}
+
+          {/* 回答反馈审核模态框 */}
+          {showCurationModal && (
+            <KnowledgeCurationModal onClose={() => setShowCurationModal(false)} />
+          )}
+
+          {/* 近似重复条目模态框 */}
+          {showDedupModal && <KnowledgeDedupModal onClose={() => setShowDedupModal(false)} />}
+
           {/* 文件内容查看对话框 */}
-          {viewingFileId && (
-            <OGDialog open={!!viewingFileId} onOpenChange={(open) => !open && handleCloseView()}>
+          {(viewingFileId || focusedEntry) && (
+            <OGDialog open={!!(viewingFileId || focusedEntry)} onOpenChange={(open) => !open && handleCloseView()}>
               <OGDialogContent
                 title="文件内容"
                 className="w-11/12 max-w-4xl bg-background text-text-primary shadow-2xl"
@@ -817,7 +934,7 @@ export default function KnowledgeBaseFilesView({ open, onOpenChange }: { open: b
                 <OGDialogHeader>
                   <div className="flex items-center justify-between">
                     <OGDialogTitle>
-                      {fileContent?.filename || '文件内容'}
+                      {focusedEntry ? focusedEntry.title : fileContent?.filename || '文件内容'}
                     </OGDialogTitle>
                     <Button
                       variant="ghost"
@@ -830,7 +947,16 @@ export default function KnowledgeBaseFilesView({ open, onOpenChange }: { open: b
                   </div>
                 </OGDialogHeader>
                 <div className="max-h-[70vh] overflow-auto">
-                  {isContentLoading ? (
+                  {focusedEntry ? (
+                    <div className="space-y-2">
+                      <div className="text-xs text-text-secondary">
+                        类型: {focusedEntry.entryType} | 相关度: {focusedEntry.score.toFixed(2)}
+                      </div>
+                      <pre className="whitespace-pre-wrap break-words rounded border border-border-light bg-surface-secondary p-4 text-sm">
+                        {focusedEntry.content}
+                      </pre>
+                    </div>
+                  ) : isContentLoading ? (
                     <div className="flex items-center justify-center py-8">
                       <Spinner className="h-6 w-6" />
                       <span className="ml-2 text-sm text-text-secondary">加载中...</span>
@@ -848,7 +974,17 @@ export default function KnowledgeBaseFilesView({ open, onOpenChange }: { open: b
                         文件名: {fileContent.filename} | 类型: {fileContent.type} | 大小: {(fileContent.size / 1024).toFixed(2)} KB
                       </div>
                       <pre className="whitespace-pre-wrap break-words rounded border border-border-light bg-surface-secondary p-4 text-sm">
-                        {fileContent.content}
+                        {focusRange ? (
+                          <>
+                            {fileContent.content.slice(0, focusRange[0])}
+                            <mark ref={focusMarkRef} className="rounded bg-amber-300/40 text-text-primary">
+                              {fileContent.content.slice(focusRange[0], focusRange[1])}
+                            </mark>
+                            {fileContent.content.slice(focusRange[1])}
+                          </>
+                        ) : (
+                          fileContent.content
+                        )}
                       </pre>
                     </div>
                   ) : (
@@ -1004,6 +1140,13 @@ export default function KnowledgeBaseFilesView({ open, onOpenChange }: { open: b
                                     <span className="ml-2">
                                       创建时间: {new Date(entry.createdAt).toLocaleString('zh-CN')}
                                     </span>
+                                    {entry.metadata?.file_id && ingestionJobMap.has(entry.metadata.file_id) && (
+                                      <IngestionStatus
+                                        job={ingestionJobMap.get(entry.metadata.file_id)!}
+                                        onRetry={(fileId) => retryIngestionMutation.mutate(fileId)}
+                                        retrying={retryIngestionMutation.isLoading}
+                                      />
+                                    )}
                                   </div>
                                 </div>
                               </div>
@@ -1024,6 +1167,15 @@ export default function KnowledgeBaseFilesView({ open, onOpenChange }: { open: b
                                     <Eye className="h-4 w-4" />
                                   </Button>
                                 )}
+                                <Button
+                                  variant="ghost"
+                                  size="sm"
+                                  onClick={() => setHistoryEntry(entry)}
+                                  className="text-xs"
+                                  title="版本历史"
+                                >
+                                  <History className="h-4 w-4" />
+                                </Button>
                                 <Button
                                   variant="ghost"
                                   size="sm"
@@ -1056,6 +1208,59 @@ interface RAGTestModalProps {
   onClose: () => void;
 }
 
+/**
+ * 文件的后台向量化状态：排队中 / 向量化中（进度）/ 已完成 / 失败（可重试）
+ */
+function IngestionStatus({
+  job,
+  onRetry,
+  retrying,
+}: {
+  job: IngestionJob;
+  onRetry: (fileId: string) => void;
+  retrying: boolean;
+}) {
+  const progress = job.totalChunks > 0 ? `${job.processedChunks}/${job.totalChunks}` : '';
+  switch (job.status) {
+    case 'queued':
+      return (
+        <span className="ml-2 text-text-secondary" title={job.lastError ?? undefined}>
+          {job.attempts > 0 ? `等待重试（第 ${job.attempts + 1} 次）` : '排队中'}
+          {progress && ` · 已完成 ${progress}`}
+        </span>
+      );
+    case 'running':
+      return (
+        <span className="ml-2 inline-flex items-center gap-1 text-blue-500">
+          <Spinner className="h-3 w-3" />
+          向量化中{progress && ` ${progress}`}
+        </span>
+      );
+    case 'completed':
+      return (
+        <span className="ml-2 text-green-600" title={job.failedChunks > 0 ? `${job.failedChunks} 个分块向量化失败` : undefined}>
+          已向量化{job.failedChunks > 0 && `（跳过 ${job.failedChunks} 个分块）`}
+        </span>
+      );
+    case 'failed':
+      return (
+        <span className="ml-2 inline-flex items-center gap-1 text-red-500" title={job.lastError ?? undefined}>
+          向量化失败
+          <button
+            type="button"
+            className="underline hover:text-red-700 disabled:opacity-50"
+            onClick={() => onRetry(job.file_id)}
+            disabled={retrying}
+          >
+            重试
+          </button>
+        </span>
+      );
+    default:
+      return null;
+  }
+}
+
 function RAGTestModal({ selectedFileId, files, onClose }: RAGTestModalProps) {
   const { showToast } = useToastContext();
   const { token } = useAuthContext();
@@ -1334,3 +1539,611 @@ function RAGTestModal({ selectedFileId, files, onClose }: RAGTestModalProps) {
     </div>
   );
 }
+
+const versionActionLabels: Record<KnowledgeEntryVersion['action'], string> = {
+  baseline: '原始内容',
+  create: '创建',
+  update: '修改',
+  restore: '恢复',
+  delete: '删除',
+};
+
+function formatChangeValue(value: unknown) {
+  if (value === undefined || value === null || value === '') {
+    return '（空）';
+  }
+  return typeof value === 'string' ? value : JSON.stringify(value);
+}
+
+interface KnowledgeHistoryModalProps {
+  entry: KnowledgeEntry;
+  onClose: () => void;
+}
+
+function KnowledgeHistoryModal({ entry, onClose }: KnowledgeHistoryModalProps) {
+  const { showToast } = useToastContext();
+  const { data, isLoading } = useGetKnowledgeVersionsQuery(entry._id);
+  const restoreMutation = useRestoreKnowledgeVersionMutation();
+  const versions = data?.data ?? [];
+  const latestVersion = versions[0]?.version;
+
+  const handleRestore = (version: KnowledgeEntryVersion) => {
+    if (!confirm(`确定要将 "${entry.title}" 恢复到版本 ${version.version} 吗？`)) {
+      return;
+    }
+    restoreMutation.mutate(
+      { id: entry._id, version: version.version },
+      {
+        onSuccess: () => {
+          showToast({
+            message: `已恢复到版本 ${version.version}`,
+            status: 'success',
+          });
+        },
+        onError: (error: any) => {
+          showToast({
+            message: `恢复失败: ${error.message || '未知错误'}`,
+            status: 'error',
+          });
+        },
+      },
+    );
+  };
+
+  return (
+    <div className="fixed inset-0 z-[100] flex items-center justify-center bg-black/50" onClick={onClose}>
+      <div
+        className="w-full max-w-4xl max-h-[90vh] rounded-lg bg-surface-primary p-6 shadow-lg overflow-auto"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="mb-4 flex items-center justify-between">
+          <h3 className="text-lg font-semibold text-text-primary">版本历史: {entry.title}</h3>
+          <button
+            type="button"
+            onClick={onClose}
+            className="rounded p-1 text-text-secondary hover:bg-surface-hover hover:text-text-primary"
+            aria-label="关闭"
+            title="关闭"
+          >
+            <X className="h-5 w-5" />
+          </button>
+        </div>
+
+        {isLoading ? (
+          <div className="flex items-center justify-center py-8">
+            <Spinner className="h-6 w-6" />
+          </div>
+        ) : versions.length === 0 ? (
+          <div className="py-8 text-center text-sm text-text-secondary">暂无版本记录</div>
+        ) : (
+          <div className="space-y-3">
+            {versions.map((version) => (
+              <div
+                key={version._id}
+                className="rounded-lg border border-border-light bg-surface-secondary p-4"
+              >
+                <div className="mb-2 flex items-center justify-between">
+                  <div className="flex items-center gap-2 text-sm">
+                    <span className="font-medium text-text-primary">v{version.version}</span>
+                    <span className="rounded bg-primary/20 px-2 py-0.5 text-xs text-primary">
+                      {versionActionLabels[version.action] ?? version.action}
+                      {version.restoredFrom ? ` (自 v${version.restoredFrom})` : ''}
+                    </span>
+                    <span className="text-xs text-text-secondary">
+                      {version.author?.name || version.author?.username || '系统'} ·{' '}
+                      {new Date(version.createdAt).toLocaleString('zh-CN')}
+                    </span>
+                  </div>
+                  {version.version !== latestVersion && version.action !== 'delete' && (
+                    <Button
+                      variant="ghost"
+                      size="sm"
+                      onClick={() => handleRestore(version)}
+                      disabled={restoreMutation.isLoading}
+                      className="text-xs"
+                      title="恢复到此版本"
+                    >
+                      <RotateCcw className="mr-1 h-4 w-4" />
+                      恢复
+                    </Button>
+                  )}
+                </div>
+                {version.changes.length > 0 ? (
+                  <div className="space-y-1">
+                    {version.changes.map((change) => (
+                      <div key={change.field} className="text-xs">
+                        <span className="font-medium text-text-primary">{change.field}</span>
+                        <div className="mt-0.5 grid grid-cols-2 gap-2">
+                          <pre className="max-h-32 overflow-auto whitespace-pre-wrap break-words rounded bg-red-500/10 p-2 text-text-secondary">
+                            {formatChangeValue(change.before)}
+                          </pre>
+                          <pre className="max-h-32 overflow-auto whitespace-pre-wrap break-words rounded bg-green-500/10 p-2 text-text-secondary">
+                            {formatChangeValue(change.after)}
+                          </pre>
+                        </div>
+                      </div>
+                    ))}
+                  </div>
+                ) : (
+                  <pre className="max-h-32 overflow-auto whitespace-pre-wrap break-words text-xs text-text-secondary">
+                    {version.snapshot.content}
+                  </pre>
+                )}
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+const candidateStatusLabels: Record<KnowledgeCandidate['status'], string> = {
+  pending: '待审核',
+  approved: '已批准',
+  rejected: '已驳回',
+  resolved: '已处理',
+};
+
+interface KnowledgeCurationModalProps {
+  onClose: () => void;
+}
+
+/**
+ * 回答反馈审核（管理员）
+ * 点赞的回答作为候选 QA 对，批准后写入知识库；点踩的回答附带当时检索到的知识条目，供排查后标记已处理
+ */
+function KnowledgeCurationModal({ onClose }: KnowledgeCurationModalProps) {
+  const { showToast } = useToastContext();
+  const [kind, setKind] = useState<KnowledgeCandidate['kind']>('qa');
+  const [status, setStatus] = useState<KnowledgeCandidate['status']>('pending');
+  const [selectedIds, setSelectedIds] = useState<Set<string>>(new Set());
+  const [editing, setEditing] = useState<{ id: string; question: string; answer: string } | null>(null);
+  const { data, isLoading } = useGetCurationCandidatesQuery({ status, kind, limit: 100 });
+  const updateMutation = useUpdateCurationCandidateMutation();
+  const reviewMutation = useReviewCurationCandidatesMutation();
+  const candidates = data?.data ?? [];
+  const isPending = status === 'pending';
+
+  useEffect(() => {
+    setSelectedIds(new Set());
+    setEditing(null);
+  }, [kind, status]);
+
+  const toggleSelected = (id: string) => {
+    setSelectedIds((prev) => {
+      const next = new Set(prev);
+      if (next.has(id)) {
+        next.delete(id);
+      } else {
+        next.add(id);
+      }
+      return next;
+    });
+  };
+
+  const toggleAll = () => {
+    setSelectedIds(
+      selectedIds.size === candidates.length ? new Set() : new Set(candidates.map((c) => c._id)),
+    );
+  };
+
+  const handleReview = (action: 'approve' | 'reject', ids: string[]) => {
+    if (ids.length === 0) {
+      return;
+    }
+    reviewMutation.mutate(
+      { ids, action },
+      {
+        onSuccess: (result) => {
+          const failed = result.data.filter((item) => item.error);
+          const duplicates = result.data.filter((item) => item.duplicate).length;
+          setSelectedIds(new Set());
+          showToast({
+            message: `${action === 'approve' ? '已批准' : '已驳回'} ${result.count} 条${
+              duplicates > 0 ? `，其中 ${duplicates} 条与已有 QA 重复，未重复写入` : ''
+            }${failed.length > 0 ? `，${failed.length} 条失败: ${failed[0].error}` : ''}`,
+            status: failed.length > 0 ? 'warning' : 'success',
+          });
+        },
+        onError: (error: any) => {
+          showToast({
+            message: `审核失败: ${error.message || '未知错误'}`,
+            status: 'error',
+          });
+        },
+      },
+    );
+  };
+
+  const handleSaveEdit = () => {
+    if (!editing) {
+      return;
+    }
+    if (!editing.question.trim() || !editing.answer.trim()) {
+      showToast({
+        message: '问题和答案不能为空',
+        status: 'error',
+      });
+      return;
+    }
+    updateMutation.mutate(
+      { id: editing.id, question: editing.question.trim(), answer: editing.answer.trim() },
+      {
+        onSuccess: () => {
+          setEditing(null);
+          showToast({
+            message: '已保存',
+            status: 'success',
+          });
+        },
+        onError: (error: any) => {
+          showToast({
+            message: `保存失败: ${error.message || '未知错误'}`,
+            status: 'error',
+          });
+        },
+      },
+    );
+  };
+
+  const tabClass = (active: boolean) =>
+    cn(
+      'rounded px-3 py-1 text-sm',
+      active ? 'bg-primary/20 text-primary' : 'text-text-secondary hover:bg-surface-hover',
+    );
+
+  return (
+    <div className="fixed inset-0 z-[100] flex items-center justify-center bg-black/50" onClick={onClose}>
+      <div
+        className="w-full max-w-4xl max-h-[90vh] rounded-lg bg-surface-primary p-6 shadow-lg overflow-auto"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="mb-4 flex items-center justify-between">
+          <h3 className="text-lg font-semibold text-text-primary">回答反馈审核</h3>
+          <button
+            type="button"
+            onClick={onClose}
+            className="rounded p-1 text-text-secondary hover:bg-surface-hover hover:text-text-primary"
+            aria-label="关闭"
+            title="关闭"
+          >
+            <X className="h-5 w-5" />
+          </button>
+        </div>
+
+        <div className="mb-4 flex items-center justify-between gap-2">
+          <div className="flex items-center gap-1">
+            <button type="button" className={tabClass(kind === 'qa')} onClick={() => setKind('qa')}>
+              候选QA（点赞）
+            </button>
+            <button
+              type="button"
+              className={tabClass(kind === 'flagged')}
+              onClick={() => setKind('flagged')}
+            >
+              问题回答（点踩）
+            </button>
+          </div>
+          <select
+            value={status}
+            onChange={(e) => setStatus(e.target.value as KnowledgeCandidate['status'])}
+            className="rounded border border-border-light bg-surface-primary px-2 py-1 text-sm text-text-primary"
+            aria-label="审核状态"
+          >
+            {Object.entries(candidateStatusLabels).map(([value, label]) => (
+              <option key={value} value={value}>
+                {label}
+              </option>
+            ))}
+          </select>
+        </div>
+
+        {isPending && candidates.length > 0 && (
+          <div className="mb-3 flex items-center justify-between text-sm">
+            <label className="flex items-center gap-2 text-text-secondary">
+              <input
+                type="checkbox"
+                checked={selectedIds.size === candidates.length}
+                onChange={toggleAll}
+              />
+              全选（已选 {selectedIds.size} 条）
+            </label>
+            <div className="flex items-center gap-2">
+              <Button
+                size="sm"
+                onClick={() => handleReview('approve', [...selectedIds])}
+                disabled={selectedIds.size === 0 || reviewMutation.isLoading}
+              >
+                <Check className="mr-1 h-4 w-4" />
+                {kind === 'qa' ? '批准并写入知识库' : '标记已处理'}
+              </Button>
+              <Button
+                size="sm"
+                variant="outline"
+                onClick={() => handleReview('reject', [...selectedIds])}
+                disabled={selectedIds.size === 0 || reviewMutation.isLoading}
+              >
+                <XCircle className="mr-1 h-4 w-4" />
+                驳回
+              </Button>
+            </div>
+          </div>
+        )}
+
+        {isLoading ? (
+          <div className="flex items-center justify-center py-8">
+            <Spinner className="h-6 w-6" />
+          </div>
+        ) : candidates.length === 0 ? (
+          <div className="py-8 text-center text-sm text-text-secondary">暂无条目</div>
+        ) : (
+          <div className="space-y-3">
+            {candidates.map((candidate) => (
+              <div
+                key={candidate._id}
+                className="rounded-lg border border-border-light bg-surface-secondary p-4"
+              >
+                <div className="mb-2 flex items-center justify-between">
+                  <div className="flex items-center gap-2 text-xs text-text-secondary">
+                    {isPending && (
+                      <input
+                        type="checkbox"
+                        checked={selectedIds.has(candidate._id)}
+                        onChange={() => toggleSelected(candidate._id)}
+                        aria-label="选择"
+                      />
+                    )}
+                    <span>{new Date(candidate.createdAt).toLocaleString('zh-CN')}</span>
+                    {candidate.feedback?.text && <span>反馈: {candidate.feedback.text}</span>}
+                  </div>
+                  {isPending && editing?.id !== candidate._id && (
+                    <Button
+                      variant="ghost"
+                      size="sm"
+                      onClick={() =>
+                        setEditing({
+                          id: candidate._id,
+                          question: candidate.question,
+                          answer: candidate.answer,
+                        })
+                      }
+                      className="text-xs"
+                      title="编辑"
+                    >
+                      <Pencil className="h-4 w-4" />
+                    </Button>
+                  )}
+                </div>
+
+                {editing?.id === candidate._id ? (
+                  <div className="space-y-2">
+                    <Input
+                      value={editing.question}
+                      onChange={(e) => setEditing({ ...editing, question: e.target.value })}
+                      placeholder="问题"
+                    />
+                    <textarea
+                      value={editing.answer}
+                      onChange={(e) => setEditing({ ...editing, answer: e.target.value })}
+                      rows={5}
+                      className="w-full rounded border border-border-light bg-surface-primary p-2 text-sm text-text-primary"
+                      placeholder="答案"
+                    />
+                    <div className="flex justify-end gap-2">
+                      <Button size="sm" variant="outline" onClick={() => setEditing(null)}>
+                        取消
+                      </Button>
+                      <Button size="sm" onClick={handleSaveEdit} disabled={updateMutation.isLoading}>
+                        保存
+                      </Button>
+                    </div>
+                  </div>
+                ) : (
+                  <div className="space-y-1 text-sm">
+                    <div className="font-medium text-text-primary">问: {candidate.question}</div>
+                    <pre className="max-h-40 overflow-auto whitespace-pre-wrap break-words text-text-secondary">
+                      答: {candidate.answer}
+                    </pre>
+                  </div>
+                )}
+
+                {candidate.duplicate && (
+                  <div className="mt-2 rounded bg-yellow-500/10 p-2 text-xs text-text-secondary">
+                    与已有 QA 重复: {candidate.duplicate.question || candidate.duplicate.title}
+                  </div>
+                )}
+                {candidate.kind === 'flagged' && (
+                  <div className="mt-2 text-xs text-text-secondary">
+                    {candidate.retrievedEntries.length > 0 ? (
+                      <>
+                        检索到的知识:
+                        <ul className="ml-4 list-disc">
+                          {candidate.retrievedEntries.map((entry) => (
+                            <li key={entry.entryId}>
+                              {entry.title || entry.entryId}
+                              {entry.score != null ? ` (${(entry.score * 100).toFixed(1)}%)` : ''}
+                            </li>
+                          ))}
+                        </ul>
+                      </>
+                    ) : (
+                      '未检索到知识'
+                    )}
+                  </div>
+                )}
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+const knowledgeTypeLabels: Record<string, string> = {
+  semantic_model: '语义模型',
+  qa_pair: 'QA对',
+  synonym: '同义词',
+  business_knowledge: '业务知识',
+  file: '文件',
+};
+
+interface KnowledgeDedupModalProps {
+  onClose: () => void;
+}
+
+/**
+ * 近似重复条目（管理员）
+ * 后台扫描按向量相似度和文本重合度聚类；合并时保留选中的条目，并入同义词、答案和标签，删除其余条目
+ */
+function KnowledgeDedupModal({ onClose }: KnowledgeDedupModalProps) {
+  const { showToast } = useToastContext();
+  const [keepIds, setKeepIds] = useState<Record<string, string>>({});
+  const { data, isLoading } = useGetDuplicateClustersQuery(
+    { limit: 100 },
+    { refetchInterval: (result) => (result?.scan.running ? 2000 : false) },
+  );
+  const scanMutation = useStartDuplicateScanMutation();
+  const mergeMutation = useMergeDuplicateClusterMutation();
+  const dismissMutation = useDismissDuplicateClusterMutation();
+  const clusters = data?.data ?? [];
+  const scan = data?.scan;
+
+  const handleError = (action: string) => (error: any) => {
+    showToast({
+      message: `${action}失败: ${error?.response?.data?.error || error.message || '未知错误'}`,
+      status: 'error',
+    });
+  };
+
+  const handleMerge = (cluster: KnowledgeDuplicateCluster) => {
+    const canonicalId = keepIds[cluster._id] ?? cluster.canonicalId;
+    const removed = cluster.members.length - 1;
+    if (!confirm(`确定要合并该重复组吗？将保留选中的条目并删除其余 ${removed} 条。`)) {
+      return;
+    }
+    mergeMutation.mutate(
+      { id: cluster._id, canonicalId },
+      {
+        onSuccess: (result) => {
+          showToast({
+            message: `已合并，删除 ${result.data.deleted.length} 条重复条目`,
+            status: 'success',
+          });
+        },
+        onError: handleError('合并'),
+      },
+    );
+  };
+
+  return (
+    <div className="fixed inset-0 z-[100] flex items-center justify-center bg-black/50" onClick={onClose}>
+      <div
+        className="w-full max-w-4xl max-h-[90vh] rounded-lg bg-surface-primary p-6 shadow-lg overflow-auto"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="mb-4 flex items-center justify-between">
+          <h3 className="text-lg font-semibold text-text-primary">近似重复条目</h3>
+          <button
+            type="button"
+            onClick={onClose}
+            className="rounded p-1 text-text-secondary hover:bg-surface-hover hover:text-text-primary"
+            aria-label="关闭"
+            title="关闭"
+          >
+            <X className="h-5 w-5" />
+          </button>
+        </div>
+
+        <div className="mb-4 flex items-center justify-between gap-2 text-sm text-text-secondary">
+          <div>
+            {scan?.running && scan.job
+              ? `扫描中... ${scan.job.processed}/${scan.job.total}`
+              : scan?.lastScan?.error
+                ? `上次扫描失败: ${scan.lastScan.error}`
+                : scan?.lastScan
+                  ? `上次扫描: ${new Date(scan.lastScan.finishedAt).toLocaleString('zh-CN')}，${scan.lastScan.scanned} 条条目，${scan.lastScan.clusters} 个重复组`
+                  : `共 ${data?.total ?? 0} 个待处理的重复组`}
+          </div>
+          <Button
+            size="sm"
+            onClick={() => scanMutation.mutate(undefined, { onError: handleError('启动扫描') })}
+            disabled={scan?.running || scanMutation.isLoading}
+          >
+            {scan?.running && <Spinner className="mr-1 h-4 w-4" />}
+            重新扫描
+          </Button>
+        </div>
+
+        {isLoading ? (
+          <div className="flex items-center justify-center py-8">
+            <Spinner className="h-6 w-6" />
+          </div>
+        ) : clusters.length === 0 ? (
+          <div className="py-8 text-center text-sm text-text-secondary">暂无重复条目</div>
+        ) : (
+          <div className="space-y-3">
+            {clusters.map((cluster) => {
+              const keepId = keepIds[cluster._id] ?? cluster.canonicalId;
+              return (
+                <div
+                  key={cluster._id}
+                  className="rounded-lg border border-border-light bg-surface-secondary p-4"
+                >
+                  <div className="mb-2 flex items-center justify-between">
+                    <span className="rounded bg-primary/20 px-2 py-0.5 text-xs text-primary">
+                      {knowledgeTypeLabels[cluster.type] ?? cluster.type} · {cluster.members.length} 条
+                    </span>
+                    <div className="flex items-center gap-2">
+                      <Button
+                        size="sm"
+                        onClick={() => handleMerge(cluster)}
+                        disabled={mergeMutation.isLoading}
+                      >
+                        <Check className="mr-1 h-4 w-4" />
+                        合并
+                      </Button>
+                      <Button
+                        size="sm"
+                        variant="outline"
+                        onClick={() =>
+                          dismissMutation.mutate({ id: cluster._id }, { onError: handleError('忽略') })
+                        }
+                        disabled={dismissMutation.isLoading}
+                      >
+                        忽略
+                      </Button>
+                    </div>
+                  </div>
+                  <div className="space-y-1">
+                    {cluster.members.map((member) => (
+                      <label
+                        key={member.entryId}
+                        className="flex items-center gap-2 text-sm text-text-primary"
+                      >
+                        <input
+                          type="radio"
+                          name={`keep-${cluster._id}`}
+                          checked={keepId === member.entryId}
+                          onChange={() =>
+                            setKeepIds((prev) => ({ ...prev, [cluster._id]: member.entryId }))
+                          }
+                        />
+                        <span className="flex-1 truncate">{member.title || member.entryId}</span>
+                        <span className="text-xs text-text-secondary">
+                          {(member.similarity * 100).toFixed(1)}%
+                          {keepId === member.entryId ? ' · 保留' : ''}
+                        </span>
+                      </label>
+                    ))}
+                  </div>
+                </div>
+              );
+            })}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,254 @@
+import { memo, useCallback, useMemo, useState } from 'react';
+import copyToClipboard from 'copy-to-clipboard';
+import { useToastContext } from '@aipyq/client';
+import { Check, Copy, Download, Images, RefreshCw, TriangleAlert } from 'lucide-react';
+import { useRegenerateMomentsCaptionsMutation } from '~/data-provider/Moments';
+import type { MomentsCaption, MomentsVisionModel } from '~/data-provider/Moments';
+import { cn } from '~/utils';
+
+interface MomentsOption {
+  key: string;
+  name: string;
+}
+
+/** `moments` payload returned by the social tool's compose command */
+interface MomentsResult {
+  image: { file_id: string; filepath: string; width: number; height: number };
+  layout: string;
+  theme: string;
+  layouts: MomentsOption[];
+  themes: MomentsOption[];
+  scenario: string;
+  style: string;
+  keywords: string[];
+  summary: string;
+  descriptions: string[];
+  quality_warnings: string[];
+  captions: MomentsCaption[];
+  vision_available: boolean;
+  vision_model?: MomentsVisionModel | null;
+}
+
+/**
+ * 从 social 工具输出中解析多图朋友圈结果，非 compose 输出时返回 null
+ */
+export function parseMomentsOutput(output?: string | null): MomentsResult | null {
+  if (!output || !output.includes('"moments"')) {
+    return null;
+  }
+  try {
+    const data = JSON.parse(output);
+    return data?.success === true && data.moments?.image?.filepath ? data.moments : null;
+  } catch {
+    return null;
+  }
+}
+
+/** 将拼图转为 PNG，浏览器剪贴板只支持写入 PNG 图片 */
+const toPngBlob = (src: string) =>
+  new Promise<Blob>((resolve, reject) => {
+    const image = new Image();
+    image.onload = () => {
+      const canvas = document.createElement('canvas');
+      canvas.width = image.naturalWidth;
+      canvas.height = image.naturalHeight;
+      canvas.getContext('2d')?.drawImage(image, 0, 0);
+      canvas.toBlob(
+        (blob) => (blob ? resolve(blob) : reject(new Error('toBlob failed'))),
+        'image/png',
+      );
+    };
+    image.onerror = () => reject(new Error('image load failed'));
+    image.src = src;
+  });
+
+const nameOf = (options: MomentsOption[], key: string) =>
+  options.find((option) => option.key === key)?.name ?? key;
+
+/**
+ * MomentsPreview 组件
+ * 以朋友圈样式预览 social 工具合成的多图拼图与文案，支持切换互动文案、重新生成文案和复制
+ */
+const MomentsPreview = memo(({ output }: { output?: string | null }) => {
+  const moments = useMemo(() => parseMomentsOutput(output), [output]);
+  if (!moments) {
+    return null;
+  }
+  return <MomentsCard moments={moments} />;
+});
+
+function MomentsCard({ moments }: { moments: MomentsResult }) {
+  const { showToast } = useToastContext();
+  const [captions, setCaptions] = useState<MomentsCaption[]>(moments.captions);
+  const [activeIndex, setActiveIndex] = useState(0);
+  const [text, setText] = useState(moments.captions[0]?.text ?? '');
+  const [isCopied, setIsCopied] = useState(false);
+  const regenerateMutation = useRegenerateMomentsCaptionsMutation();
+
+  const selectCaption = (index: number, list = captions) => {
+    setActiveIndex(index);
+    setText(list[index]?.text ?? '');
+  };
+
+  const handleRegenerate = () => {
+    regenerateMutation.mutate(
+      {
+        keywords: moments.keywords,
+        descriptions: moments.descriptions,
+        summary: moments.summary,
+        scenario: moments.scenario,
+        style: moments.style,
+        exclude: captions.map((caption) => caption.text),
+        vision_model: moments.vision_model,
+      },
+      {
+        onSuccess: ({ data }) => {
+          setCaptions(data);
+          selectCaption(0, data);
+        },
+        onError: (error: any) => {
+          showToast({
+            message: error?.response?.data?.error || '重新生成文案失败',
+            status: 'error',
+          });
+        },
+      },
+    );
+  };
+
+  const handleCopy = useCallback(async () => {
+    try {
+      if (typeof ClipboardItem === 'undefined' || !navigator.clipboard?.write) {
+        throw new Error('clipboard images not supported');
+      }
+      const png = await toPngBlob(moments.image.filepath);
+      await navigator.clipboard.write([
+        new ClipboardItem({
+          'text/plain': new Blob([text], { type: 'text/plain' }),
+          'image/png': png,
+        }),
+      ]);
+      showToast({ message: '已复制文案和拼图', status: 'success' });
+    } catch {
+      copyToClipboard(text, { format: 'text/plain' });
+      showToast({ message: '已复制文案，拼图请下载后发布', status: 'info' });
+    }
+    setIsCopied(true);
+    setTimeout(() => setIsCopied(false), 2000);
+  }, [moments.image.filepath, text, showToast]);
+
+  return (
+    <div className="my-3 w-full max-w-md rounded-md bg-gray-900 text-xs text-white/80">
+      <div className="flex items-center justify-between rounded-tl-md rounded-tr-md bg-gray-700 px-4 py-2 font-sans text-xs text-gray-200">
+        <div className="flex items-center gap-2">
+          <Images size={16} />
+          <span>朋友圈预览</span>
+          <span className="text-gray-400">
+            {nameOf(moments.layouts, moments.layout)} · {nameOf(moments.themes, moments.theme)}
+          </span>
+        </div>
+        <a
+          href={moments.image.filepath}
+          download
+          className="flex gap-2"
+          title="下载拼图"
+          target="_blank"
+          rel="noreferrer"
+        >
+          <Download className="h-[18px] w-[18px]" />
+          <span>下载</span>
+        </a>
+      </div>
+
+      <div className="space-y-3 p-4">
+        {captions.length > 1 && (
+          <div className="flex gap-2" role="tablist">
+            {captions.map((caption, index) => (
+              <button
+                key={caption.type}
+                type="button"
+                role="tab"
+                aria-selected={index === activeIndex}
+                onClick={() => selectCaption(index)}
+                className={cn(
+                  'rounded-full px-3 py-1 text-xs',
+                  index === activeIndex
+                    ? 'bg-green-600 text-white'
+                    : 'bg-gray-700 text-gray-300 hover:bg-gray-600',
+                )}
+              >
+                {caption.label}
+              </button>
+            ))}
+          </div>
+        )}
+
+        <textarea
+          value={text}
+          onChange={(e) => setText(e.target.value)}
+          rows={4}
+          placeholder="文案会在助手回复中给出，可在此粘贴或编辑后复制"
+          aria-label="朋友圈文案"
+          className="w-full resize-y rounded bg-transparent text-sm leading-relaxed text-gray-100 placeholder:text-gray-500 focus:outline-none"
+        />
+
+        <img
+          src={moments.image.filepath}
+          alt={moments.summary || '朋友圈拼图'}
+          width={moments.image.width}
+          height={moments.image.height}
+          className="h-auto w-full rounded"
+          loading="lazy"
+        />
+
+        {moments.quality_warnings.length > 0 && (
+          <ul className="space-y-1 text-xs text-yellow-400">
+            {moments.quality_warnings.map((warning) => (
+              <li key={warning} className="flex items-center gap-1">
+                <TriangleAlert className="h-3 w-3 shrink-0" />
+                {warning}
+              </li>
+            ))}
+          </ul>
+        )}
+
+        <div className="flex items-center justify-end gap-4 font-sans text-gray-200">
+          <button
+            type="button"
+            onClick={handleRegenerate}
+            disabled={!moments.vision_available || regenerateMutation.isLoading}
+            className="flex items-center gap-2 disabled:cursor-not-allowed disabled:opacity-50"
+            title={
+              moments.vision_available
+                ? '基于相同图片和关键词生成新的文案'
+                : '没有可用的文案模型，请在对话中让助手重新生成'
+            }
+          >
+            <RefreshCw
+              className={cn('h-[18px] w-[18px]', regenerateMutation.isLoading && 'animate-spin')}
+            />
+            <span>重新生成文案</span>
+          </button>
+          <button
+            type="button"
+            onClick={handleCopy}
+            disabled={!text.trim()}
+            className="flex items-center gap-2 disabled:cursor-not-allowed disabled:opacity-50"
+            title="复制文案和拼图"
+          >
+            {isCopied ? (
+              <Check className="h-[18px] w-[18px]" />
+            ) : (
+              <Copy className="h-[18px] w-[18px]" />
+            )}
+            <span>{isCopied ? '已复制' : '复制'}</span>
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+MomentsPreview.displayName = 'MomentsPreview';
+
+export default MomentsPreview;
@@ -6,6 +6,7 @@ import type { TAttachment } from '@aipyq/data-provider';
 import { useLocalize, useProgress } from '~/hooks';
 import { AttachmentGroup } from './Parts';
 import ToolCallInfo from './ToolCallInfo';
+import MomentsPreview from './MomentsPreview';
 import ProgressText from './ProgressText';
 import { logger, cn } from '~/utils';
 
@@ -242,6 +243,7 @@ export default function ToolCall({
         </div>
       )}
       {attachments && attachments.length > 0 && <AttachmentGroup attachments={attachments} />}
+      {function_name === 'social' && <MomentsPreview output={output} />}
     </>
   );
 }
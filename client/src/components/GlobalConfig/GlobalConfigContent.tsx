@@ -10,6 +10,7 @@ import UsersManagement from './UsersManagement';
 import FeaturesManagement from './FeaturesManagement';
 import MarketplaceContent from './MarketplaceContent';
 import AvailableToolsManagement from './AvailableToolsManagement';
+import TemplatesManagement from './TemplatesManagement';
 
 interface GlobalConfigContentProps {
   startupConfig?: TStartupConfig;
@@ -21,6 +22,7 @@ type TabType =
   | 'marketplace'
   | 'mcp'
   | 'availableTools'
+  | 'templates'
   | 'users'
   | 'features';
 
@@ -31,6 +33,7 @@ const isValidTab = (tab: string | null): tab is TabType => {
     tab === 'marketplace' ||
     tab === 'mcp' ||
     tab === 'availableTools' ||
+    tab === 'templates' ||
     tab === 'users' ||
     tab === 'features'
   );
@@ -83,6 +86,11 @@ export default function GlobalConfigContent({ startupConfig: propStartupConfig }
       label: '工具管理',
       description: '查看当前端点下可用的所有工具',
     },
+    {
+      id: 'templates',
+      label: '模板库',
+      description: '管理写作、朋友圈、命理模板',
+    },
     {
       id: 'users',
       label: '用户管理',
@@ -147,6 +155,11 @@ export default function GlobalConfigContent({ startupConfig: propStartupConfig }
             <AvailableToolsManagement />
           </div>
         )}
+        {activeTab === 'templates' && (
+          <div className="h-full overflow-hidden px-4 py-4">
+            <TemplatesManagement />
+          </div>
+        )}
         {activeTab === 'users' && (
           <div className="h-full overflow-hidden px-4 py-4">
             <UsersManagement />
@@ -0,0 +1,744 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import { Button, Input, Spinner, useToastContext } from '@aipyq/client';
+import { Download, History, Plus, RotateCcw, Save, Trash2, X } from 'lucide-react';
+import {
+  useGetLibraryTemplatesQuery,
+  useGetLibraryTemplateQuery,
+  useGetLibraryTemplateOptionsQuery,
+  useCreateLibraryTemplateMutation,
+  useUpdateLibraryTemplateMutation,
+  useRestoreLibraryTemplateMutation,
+  useDeleteLibraryTemplateMutation,
+  useImportBundledTemplatesMutation,
+  type LibraryTemplate,
+  type LibraryTemplateInput,
+  type TemplateTool,
+  type TemplateVariable,
+} from '~/data-provider/Templates';
+import { cn } from '~/utils';
+
+const toolLabels: Record<TemplateTool, string> = {
+  writing: '公文写作',
+  social: '朋友圈',
+  bazi_astrology: '命理分析',
+};
+
+const variableTypeLabels: Record<NonNullable<TemplateVariable['type']>, string> = {
+  text: '文本',
+  number: '数字',
+  enum: '可选值',
+  list: '列表',
+};
+
+interface TemplateDraft extends LibraryTemplateInput {
+  scenariosText: string;
+  variables: TemplateVariable[];
+  visibility: { roles: string[]; groups: string[] };
+  note: string;
+}
+
+const emptyDraft = (tool: TemplateTool): TemplateDraft => ({
+  tool,
+  name: '',
+  description: '',
+  category: '',
+  scenariosText: '',
+  path: null,
+  content: '',
+  variables: [],
+  enabled: true,
+  visibility: { roles: [], groups: [] },
+  note: '',
+});
+
+const toDraft = (template: LibraryTemplate): TemplateDraft => ({
+  tool: template.tool,
+  name: template.name,
+  description: template.description ?? '',
+  category: template.category ?? '',
+  scenariosText: template.scenarios.join(', '),
+  path: template.path ?? null,
+  content: template.content,
+  variables: template.variables ?? [],
+  enabled: template.enabled,
+  visibility: {
+    roles: template.visibility?.roles ?? [],
+    groups: (template.visibility?.groups ?? []).map(String),
+  },
+  note: '',
+});
+
+const formatDate = (dateString?: string) =>
+  dateString
+    ? new Date(dateString).toLocaleString('zh-CN', {
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+      })
+    : '';
+
+const fieldClass =
+  'w-full rounded border border-border-light bg-surface-primary px-2 py-1 text-sm text-text-primary';
+
+/**
+ * 模板库管理（管理员）
+ * 公文写作、朋友圈、命理工具优先使用这里的模板，未命中时回退到仓库内置的 specs 模板文件
+ */
+export default function TemplatesManagement() {
+  const { showToast } = useToastContext();
+  const [tool, setTool] = useState<TemplateTool | ''>('');
+  const [category, setCategory] = useState('');
+  const [search, setSearch] = useState('');
+  const [selectedId, setSelectedId] = useState<string | null>(null);
+  const [draft, setDraft] = useState<TemplateDraft | null>(null);
+  const [showHistory, setShowHistory] = useState(false);
+  const [previewVersion, setPreviewVersion] = useState<number | null>(null);
+
+  const filters = useMemo(
+    () => ({
+      tool: tool || undefined,
+      category: category || undefined,
+      search: search.trim() || undefined,
+      limit: 200,
+    }),
+    [tool, category, search],
+  );
+  const { data: listData, isLoading } = useGetLibraryTemplatesQuery(filters);
+  const { data: detailData } = useGetLibraryTemplateQuery(selectedId);
+  const { data: optionsData } = useGetLibraryTemplateOptionsQuery();
+  const createMutation = useCreateLibraryTemplateMutation();
+  const updateMutation = useUpdateLibraryTemplateMutation();
+  const restoreMutation = useRestoreLibraryTemplateMutation();
+  const deleteMutation = useDeleteLibraryTemplateMutation();
+  const importMutation = useImportBundledTemplatesMutation();
+
+  const templates = listData?.data ?? [];
+  const options = optionsData?.data;
+  const detail = selectedId ? detailData?.data : undefined;
+  const isSaving = createMutation.isLoading || updateMutation.isLoading;
+
+  useEffect(() => {
+    if (detail) {
+      setDraft(toDraft(detail));
+    }
+  }, [detail]);
+
+  useEffect(() => {
+    setShowHistory(false);
+    setPreviewVersion(null);
+  }, [selectedId]);
+
+  const showError = (prefix: string) => (error: any) => {
+    showToast({
+      message: `${prefix}: ${error?.response?.data?.error || error?.message || '未知错误'}`,
+      status: 'error',
+    });
+  };
+
+  const updateDraft = (patch: Partial<TemplateDraft>) => {
+    setDraft((prev) => (prev ? { ...prev, ...patch } : prev));
+  };
+
+  const updateVariable = (index: number, patch: Partial<TemplateVariable>) => {
+    setDraft((prev) =>
+      prev
+        ? {
+            ...prev,
+            variables: prev.variables.map((variable, i) =>
+              i === index ? { ...variable, ...patch } : variable,
+            ),
+          }
+        : prev,
+    );
+  };
+
+  const toggleVisibility = (key: 'roles' | 'groups', value: string) => {
+    setDraft((prev) => {
+      if (!prev) {
+        return prev;
+      }
+      const current = prev.visibility[key];
+      const next = current.includes(value)
+        ? current.filter((item) => item !== value)
+        : [...current, value];
+      return { ...prev, visibility: { ...prev.visibility, [key]: next } };
+    });
+  };
+
+  const handleNew = () => {
+    setSelectedId(null);
+    setDraft(emptyDraft(tool || 'writing'));
+  };
+
+  const handleImport = (overwrite: boolean) => {
+    importMutation.mutate(
+      { overwrite },
+      {
+        onSuccess: ({ data }) => {
+          showToast({
+            message: `导入完成：新增 ${data.created}，更新 ${data.updated}，跳过 ${data.skipped}`,
+            status: 'success',
+          });
+        },
+        onError: showError('导入失败'),
+      },
+    );
+  };
+
+  const handleSave = () => {
+    if (!draft) {
+      return;
+    }
+    if (!draft.name.trim() || !draft.content.trim()) {
+      showToast({ message: '模板名称和内容不能为空', status: 'error' });
+      return;
+    }
+    const { scenariosText, note, ...rest } = draft;
+    const payload: LibraryTemplateInput = {
+      ...rest,
+      scenarios: scenariosText
+        .split(/[,，]/)
+        .map((item) => item.trim())
+        .filter(Boolean),
+      variables: draft.variables.filter((variable) => variable.name.trim()),
+    };
+
+    if (selectedId) {
+      updateMutation.mutate(
+        { id: selectedId, note: note.trim() || undefined, ...payload },
+        {
+          onSuccess: () => showToast({ message: '已保存', status: 'success' }),
+          onError: showError('保存失败'),
+        },
+      );
+    } else {
+      createMutation.mutate(payload, {
+        onSuccess: ({ data }) => {
+          setSelectedId(data._id);
+          showToast({ message: '已创建', status: 'success' });
+        },
+        onError: showError('创建失败'),
+      });
+    }
+  };
+
+  const handleDelete = () => {
+    if (
+      !selectedId ||
+      !window.confirm('确定删除该模板？覆盖内置模板的条目删除后工具将回退到内置文件。')
+    ) {
+      return;
+    }
+    deleteMutation.mutate(selectedId, {
+      onSuccess: () => {
+        setSelectedId(null);
+        setDraft(null);
+        showToast({ message: '已删除', status: 'success' });
+      },
+      onError: showError('删除失败'),
+    });
+  };
+
+  const handleRestore = (version: number) => {
+    if (!selectedId) {
+      return;
+    }
+    restoreMutation.mutate(
+      { id: selectedId, version },
+      {
+        onSuccess: () => {
+          setPreviewVersion(null);
+          showToast({ message: `已恢复到版本 ${version}`, status: 'success' });
+        },
+        onError: showError('恢复失败'),
+      },
+    );
+  };
+
+  const versions = [...(detail?.versions ?? [])].reverse();
+
+  return (
+    <div className="flex h-full flex-col">
+      <div className="mb-4 flex items-start justify-between gap-4">
+        <div>
+          <h2 className="text-lg font-semibold text-text-primary">模板库</h2>
+          <p className="mt-1 text-sm text-text-secondary">
+            公文写作、朋友圈、命理工具优先使用模板库中的模板，未命中时使用内置模板文件。新增模板无需重新部署。
+          </p>
+        </div>
+        <div className="flex shrink-0 items-center gap-2">
+          <Button
+            size="sm"
+            variant="outline"
+            onClick={() => handleImport(false)}
+            disabled={importMutation.isLoading}
+            title="导入 specs 目录下的内置模板，已导入的跳过"
+          >
+            <Download className="mr-1 h-4 w-4" />
+            导入内置模板
+          </Button>
+          <Button
+            size="sm"
+            variant="outline"
+            onClick={() => {
+              if (
+                window.confirm('用内置文件覆盖已导入且内容不同的模板？当前内容会保存为历史版本。')
+              ) {
+                handleImport(true);
+              }
+            }}
+            disabled={importMutation.isLoading}
+          >
+            重新导入并覆盖
+          </Button>
+          <Button size="sm" onClick={handleNew}>
+            <Plus className="mr-1 h-4 w-4" />
+            新建模板
+          </Button>
+        </div>
+      </div>
+
+      <div className="flex min-h-0 flex-1 gap-4">
+        <div className="flex w-80 shrink-0 flex-col rounded-lg border border-border-light bg-surface-primary">
+          <div className="space-y-2 border-b border-border-light p-3">
+            <Input
+              value={search}
+              onChange={(e) => setSearch(e.target.value)}
+              placeholder="搜索名称或说明"
+              className="h-8 text-sm"
+            />
+            <div className="flex gap-2">
+              <select
+                value={tool}
+                onChange={(e) => setTool(e.target.value as TemplateTool | '')}
+                className={fieldClass}
+                aria-label="工具"
+              >
+                <option value="">全部工具</option>
+                {Object.entries(toolLabels).map(([value, label]) => (
+                  <option key={value} value={value}>
+                    {label}
+                  </option>
+                ))}
+              </select>
+              <select
+                value={category}
+                onChange={(e) => setCategory(e.target.value)}
+                className={fieldClass}
+                aria-label="分类"
+              >
+                <option value="">全部分类</option>
+                {(options?.categories ?? []).map((item) => (
+                  <option key={item} value={item}>
+                    {item}
+                  </option>
+                ))}
+              </select>
+            </div>
+          </div>
+
+          <div className="flex-1 overflow-auto">
+            {isLoading ? (
+              <div className="flex h-24 items-center justify-center">
+                <Spinner className="text-text-primary" />
+              </div>
+            ) : templates.length === 0 ? (
+              <div className="p-4 text-center text-sm text-text-secondary">
+                暂无模板，可先导入内置模板
+              </div>
+            ) : (
+              <ul>
+                {templates.map((template) => (
+                  <li key={template._id}>
+                    <button
+                      type="button"
+                      onClick={() => setSelectedId(template._id)}
+                      className={cn(
+                        'w-full border-b border-border-light px-3 py-2 text-left hover:bg-surface-hover',
+                        selectedId === template._id && 'bg-surface-active',
+                      )}
+                    >
+                      <div className="flex items-center justify-between gap-2">
+                        <span className="line-clamp-1 text-sm font-medium text-text-primary">
+                          {template.name}
+                        </span>
+                        <span className="shrink-0 text-xs text-text-secondary">
+                          v{template.version}
+                        </span>
+                      </div>
+                      <div className="mt-1 flex flex-wrap items-center gap-1 text-xs text-text-secondary">
+                        <span>{toolLabels[template.tool]}</span>
+                        {template.category && <span>· {template.category}</span>}
+                        {!template.enabled && <span className="text-red-500">· 已停用</span>}
+                        {(template.visibility?.roles?.length > 0 ||
+                          template.visibility?.groups?.length > 0) && <span>· 限定可见</span>}
+                      </div>
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+        </div>
+
+        <div className="min-w-0 flex-1 overflow-auto rounded-lg border border-border-light bg-surface-primary p-4">
+          {!draft ? (
+            <div className="flex h-full items-center justify-center text-sm text-text-secondary">
+              选择左侧模板进行编辑，或新建模板
+            </div>
+          ) : (
+            <div className="space-y-4">
+              <div className="flex items-center justify-between">
+                <h3 className="text-base font-semibold text-text-primary">
+                  {selectedId ? `编辑模板（版本 ${detail?.version ?? ''}）` : '新建模板'}
+                </h3>
+                <div className="flex items-center gap-2">
+                  {selectedId && (
+                    <>
+                      <Button size="sm" variant="outline" onClick={() => setShowHistory((v) => !v)}>
+                        <History className="mr-1 h-4 w-4" />
+                        历史版本（{detail?.versions?.length ?? 0}）
+                      </Button>
+                      <Button
+                        size="sm"
+                        variant="outline"
+                        onClick={handleDelete}
+                        disabled={deleteMutation.isLoading}
+                      >
+                        <Trash2 className="mr-1 h-4 w-4" />
+                        删除
+                      </Button>
+                    </>
+                  )}
+                  <Button size="sm" onClick={handleSave} disabled={isSaving}>
+                    <Save className="mr-1 h-4 w-4" />
+                    保存
+                  </Button>
+                </div>
+              </div>
+
+              {showHistory && selectedId && (
+                <div className="rounded border border-border-light p-3">
+                  {versions.length === 0 ? (
+                    <div className="text-sm text-text-secondary">暂无历史版本</div>
+                  ) : (
+                    <ul className="space-y-2">
+                      {versions.map((version) => (
+                        <li key={version.version} className="text-sm">
+                          <div className="flex items-center justify-between gap-2">
+                            <span className="text-text-primary">
+                              版本 {version.version}
+                              <span className="ml-2 text-xs text-text-secondary">
+                                {formatDate(version.createdAt)}
+                                {version.note ? ` · ${version.note}` : ''}
+                              </span>
+                            </span>
+                            <div className="flex items-center gap-1">
+                              <button
+                                type="button"
+                                className="rounded px-2 py-0.5 text-xs text-text-secondary hover:bg-surface-hover"
+                                onClick={() =>
+                                  setPreviewVersion(
+                                    previewVersion === version.version ? null : version.version,
+                                  )
+                                }
+                              >
+                                {previewVersion === version.version ? '收起' : '查看'}
+                              </button>
+                              <button
+                                type="button"
+                                className="flex items-center rounded px-2 py-0.5 text-xs text-text-secondary hover:bg-surface-hover"
+                                onClick={() => handleRestore(version.version)}
+                                disabled={restoreMutation.isLoading}
+                              >
+                                <RotateCcw className="mr-1 h-3 w-3" />
+                                恢复
+                              </button>
+                            </div>
+                          </div>
+                          {previewVersion === version.version && (
+                            <pre className="mt-2 max-h-60 overflow-auto whitespace-pre-wrap rounded bg-surface-secondary p-2 text-xs text-text-primary">
+                              {version.content}
+                            </pre>
+                          )}
+                        </li>
+                      ))}
+                    </ul>
+                  )}
+                </div>
+              )}
+
+              <div className="grid grid-cols-1 gap-3 md:grid-cols-2">
+                <label className="block text-sm text-text-secondary">
+                  模板名称
+                  <Input
+                    value={draft.name}
+                    onChange={(e) => updateDraft({ name: e.target.value })}
+                    className="mt-1 h-8 text-sm"
+                  />
+                </label>
+                <label className="block text-sm text-text-secondary">
+                  工具
+                  <select
+                    value={draft.tool}
+                    onChange={(e) => updateDraft({ tool: e.target.value as TemplateTool })}
+                    className={cn(fieldClass, 'mt-1 h-8')}
+                  >
+                    {Object.entries(toolLabels).map(([value, label]) => (
+                      <option key={value} value={value}>
+                        {label}
+                      </option>
+                    ))}
+                  </select>
+                </label>
+                <label className="block text-sm text-text-secondary">
+                  分类
+                  <Input
+                    value={draft.category}
+                    onChange={(e) => updateDraft({ category: e.target.value })}
+                    list="template-categories"
+                    placeholder="如：公文"
+                    className="mt-1 h-8 text-sm"
+                  />
+                  <datalist id="template-categories">
+                    {(options?.categories ?? []).map((item) => (
+                      <option key={item} value={item} />
+                    ))}
+                  </datalist>
+                </label>
+                <label className="block text-sm text-text-secondary">
+                  场景标签（逗号分隔，工具按标签选择模板）
+                  <Input
+                    value={draft.scenariosText}
+                    onChange={(e) => updateDraft({ scenariosText: e.target.value })}
+                    placeholder="如：notice, 通知"
+                    className="mt-1 h-8 text-sm"
+                  />
+                </label>
+                <label className="block text-sm text-text-secondary md:col-span-2">
+                  说明
+                  <Input
+                    value={draft.description}
+                    onChange={(e) => updateDraft({ description: e.target.value })}
+                    className="mt-1 h-8 text-sm"
+                  />
+                </label>
+                {draft.path && (
+                  <div className="text-xs text-text-secondary md:col-span-2">
+                    覆盖内置模板：{draft.path}
+                  </div>
+                )}
+              </div>
+
+              <div className="flex flex-wrap items-start gap-6 text-sm">
+                <label className="flex items-center gap-2 text-text-primary">
+                  <input
+                    type="checkbox"
+                    checked={draft.enabled !== false}
+                    onChange={(e) => updateDraft({ enabled: e.target.checked })}
+                  />
+                  启用
+                </label>
+                <div>
+                  <div className="mb-1 text-text-secondary">可见角色（不选则所有人可见）</div>
+                  <div className="flex flex-wrap gap-3">
+                    {(options?.roles ?? []).map((role) => (
+                      <label key={role} className="flex items-center gap-1 text-text-primary">
+                        <input
+                          type="checkbox"
+                          checked={draft.visibility.roles.includes(role)}
+                          onChange={() => toggleVisibility('roles', role)}
+                        />
+                        {role}
+                      </label>
+                    ))}
+                  </div>
+                </div>
+                {(options?.groups ?? []).length > 0 && (
+                  <div>
+                    <div className="mb-1 text-text-secondary">可见用户组</div>
+                    <div className="flex flex-wrap gap-3">
+                      {(options?.groups ?? []).map((group) => (
+                        <label
+                          key={group._id}
+                          className="flex items-center gap-1 text-text-primary"
+                        >
+                          <input
+                            type="checkbox"
+                            checked={draft.visibility.groups.includes(group._id)}
+                            onChange={() => toggleVisibility('groups', group._id)}
+                          />
+                          {group.name}
+                        </label>
+                      ))}
+                    </div>
+                  </div>
+                )}
+              </div>
+
+              <div>
+                <div className="mb-2 flex items-center justify-between">
+                  <span className="text-sm text-text-secondary">
+                    变量（占位符名不含括号，如 topic 或 活动主题）
+                  </span>
+                  <button
+                    type="button"
+                    className="flex items-center rounded px-2 py-0.5 text-xs text-text-secondary hover:bg-surface-hover"
+                    onClick={() =>
+                      updateDraft({
+                        variables: [
+                          ...draft.variables,
+                          { name: '', type: 'text', required: false },
+                        ],
+                      })
+                    }
+                  >
+                    <Plus className="mr-1 h-3 w-3" />
+                    添加变量
+                  </button>
+                </div>
+                {draft.variables.length > 0 && (
+                  <table className="w-full text-sm">
+                    <thead>
+                      <tr className="text-left text-xs text-text-secondary">
+                        <th className="pb-1 pr-2 font-normal">变量</th>
+                        <th className="pb-1 pr-2 font-normal">说明</th>
+                        <th className="pb-1 pr-2 font-normal">类型</th>
+                        <th className="pb-1 pr-2 font-normal">可选值</th>
+                        <th className="pb-1 pr-2 font-normal">示例</th>
+                        <th className="pb-1 pr-2 font-normal">必填</th>
+                        <th className="pb-1 font-normal" />
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {draft.variables.map((variable, index) => (
+                        <tr key={index}>
+                          <td className="pb-1 pr-2">
+                            <input
+                              value={variable.name}
+                              onChange={(e) => updateVariable(index, { name: e.target.value })}
+                              className={fieldClass}
+                              aria-label="变量"
+                            />
+                          </td>
+                          <td className="pb-1 pr-2">
+                            <input
+                              value={variable.description ?? ''}
+                              onChange={(e) =>
+                                updateVariable(index, {
+                                  description: e.target.value,
+                                })
+                              }
+                              className={fieldClass}
+                              aria-label="说明"
+                            />
+                          </td>
+                          <td className="pb-1 pr-2">
+                            <select
+                              value={variable.type ?? 'text'}
+                              onChange={(e) =>
+                                updateVariable(index, {
+                                  type: e.target.value as TemplateVariable['type'],
+                                })
+                              }
+                              className={fieldClass}
+                              aria-label="类型"
+                            >
+                              {Object.entries(variableTypeLabels).map(([value, label]) => (
+                                <option key={value} value={value}>
+                                  {label}
+                                </option>
+                              ))}
+                            </select>
+                          </td>
+                          <td className="pb-1 pr-2">
+                            <input
+                              value={(variable.options ?? []).join('/')}
+                              onChange={(e) =>
+                                updateVariable(index, {
+                                  options: e.target.value
+                                    .split('/')
+                                    .map((item) => item.trim())
+                                    .filter(Boolean),
+                                })
+                              }
+                              placeholder="用 / 分隔"
+                              className={fieldClass}
+                              aria-label="可选值"
+                            />
+                          </td>
+                          <td className="pb-1 pr-2">
+                            <input
+                              value={variable.example ?? ''}
+                              onChange={(e) =>
+                                updateVariable(index, {
+                                  example: e.target.value,
+                                })
+                              }
+                              className={fieldClass}
+                              aria-label="示例"
+                            />
+                          </td>
+                          <td className="pb-1 pr-2 text-center">
+                            <input
+                              type="checkbox"
+                              checked={variable.required === true}
+                              onChange={(e) =>
+                                updateVariable(index, {
+                                  required: e.target.checked,
+                                })
+                              }
+                              aria-label="必填"
+                            />
+                          </td>
+                          <td className="pb-1">
+                            <button
+                              type="button"
+                              className="rounded p-1 text-text-secondary hover:bg-surface-hover"
+                              onClick={() =>
+                                updateDraft({
+                                  variables: draft.variables.filter((_, i) => i !== index),
+                                })
+                              }
+                              aria-label="删除变量"
+                              title="删除变量"
+                            >
+                              <X className="h-3 w-3" />
+                            </button>
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                )}
+              </div>
+
+              <label className="block text-sm text-text-secondary">
+                模板内容（Markdown，占位符使用 {'{{name}}'} 或 [名称]）
+                <textarea
+                  value={draft.content}
+                  onChange={(e) => updateDraft({ content: e.target.value })}
+                  rows={18}
+                  className={cn(fieldClass, 'mt-1 font-mono')}
+                />
+              </label>
+
+              {selectedId && (
+                <label className="block text-sm text-text-secondary">
+                  版本说明（内容或变量变化时记录到历史版本）
+                  <Input
+                    value={draft.note}
+                    onChange={(e) => updateDraft({ note: e.target.value })}
+                    className="mt-1 h-8 text-sm"
+                  />
+                </label>
+              )}
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
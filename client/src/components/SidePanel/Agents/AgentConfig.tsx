@@ -21,6 +21,7 @@ import { useGetAgentFiles } from '~/data-provider';
 import { icons } from '~/hooks/Endpoint/Icons';
 import Instructions from './Instructions';
 import AgentAvatar from './AgentAvatar';
+import KnowledgeRetrieval from './KnowledgeRetrieval';
 import FileContext from './FileContext';
 import SearchForm from './Search/Form';
 import Artifacts from './Artifacts';
@@ -254,6 +255,8 @@ export default function AgentConfig() {
             {artifactsEnabled && <Artifacts />}
           </div>
         )}
+        {/* Knowledge Retrieval */}
+        <KnowledgeRetrieval />
         {/* MCP Section */}
         {startupConfig?.mcpServers != null && (
           <MCPTools
@@ -72,6 +72,7 @@ export function composeAgentUpdatePayload(data: AgentForm, agent_id?: string | n
     recursion_limit,
     category,
     support_contact,
+    rag,
     avatar_action: avatarActionState,
   } = data;
 
@@ -97,6 +98,7 @@ export function composeAgentUpdatePayload(data: AgentForm, agent_id?: string | n
       recursion_limit,
       category,
       support_contact,
+      rag,
       ...(shouldResetAvatar ? { avatar: null } : {}),
     },
     provider,
@@ -0,0 +1,320 @@
+import { useState } from 'react';
+import { Controller, useFormContext, useWatch } from 'react-hook-form';
+import { KnowledgeTypes, RAGRerankingModes } from '@aipyq/data-provider';
+import {
+  Tag,
+  Input,
+  Label,
+  Switch,
+  Checkbox,
+  HoverCard,
+  InputNumber,
+  SelectDropDown,
+  HoverCardPortal,
+  HoverCardContent,
+  HoverCardTrigger,
+  CircleHelpIcon,
+} from '@aipyq/client';
+import type { AgentForm } from '~/common';
+import type { TranslationKeys } from '~/hooks';
+import { useGetSharedKnowledgeBasesQuery } from '~/data-provider/KnowledgeBase';
+import { cn, defaultTextProps, createDropdownSetter } from '~/utils';
+import { useLocalize } from '~/hooks';
+import { ESide } from '~/common';
+
+/** Defaults applied by `ConversationRAGService` when a setting is left empty */
+const DEFAULT_TOP_K = 5;
+const DEFAULT_MIN_SCORE = 0.5;
+const MAX_TOP_K = 50;
+const MAX_ENTITY_IDS = 20;
+
+const knowledgeTypeLabels: Record<KnowledgeTypes, TranslationKeys> = {
+  [KnowledgeTypes.SEMANTIC_MODEL]: 'com_agents_rag_type_semantic_model',
+  [KnowledgeTypes.QA_PAIR]: 'com_agents_rag_type_qa_pair',
+  [KnowledgeTypes.SYNONYM]: 'com_agents_rag_type_synonym',
+  [KnowledgeTypes.BUSINESS_KNOWLEDGE]: 'com_agents_rag_type_business_knowledge',
+  [KnowledgeTypes.FILE]: 'com_agents_rag_type_file',
+};
+
+const rerankingLabels: Record<RAGRerankingModes, TranslationKeys> = {
+  [RAGRerankingModes.NONE]: 'com_agents_rag_reranking_none',
+  [RAGRerankingModes.STANDARD]: 'com_agents_rag_reranking_standard',
+  [RAGRerankingModes.ENHANCED]: 'com_agents_rag_reranking_enhanced',
+};
+
+const numberInputClass = cn(
+  defaultTextProps,
+  'reset-rc-number-input h-10 max-h-10 w-full border-none bg-surface-secondary px-3 py-2',
+);
+
+function SettingLabel({ htmlFor, label, info }: { htmlFor?: string; label: string; info: string }) {
+  return (
+    <HoverCard openDelay={50}>
+      <div className="mb-1.5 flex items-center gap-2">
+        <Label htmlFor={htmlFor} className="text-sm font-medium text-text-primary">
+          {label}
+        </Label>
+        <HoverCardTrigger>
+          <CircleHelpIcon className="h-4 w-4 text-text-tertiary" />
+        </HoverCardTrigger>
+      </div>
+      <HoverCardPortal>
+        <HoverCardContent side={ESide.Top} className="w-80">
+          <p className="text-sm text-text-secondary">{info}</p>
+        </HoverCardContent>
+      </HoverCardPortal>
+    </HoverCard>
+  );
+}
+
+/** Per-agent conversation RAG settings, persisted on `agent.rag` */
+export default function KnowledgeRetrieval() {
+  const localize = useLocalize();
+  const { control } = useFormContext<AgentForm>();
+  const enabled = useWatch({ control, name: 'rag.enabled' }) !== false;
+  const [entityText, setEntityText] = useState('');
+  const { data: knowledgeBases } = useGetSharedKnowledgeBasesQuery({ enabled });
+
+  return (
+    <div className="mb-4 w-full">
+      <div className="mb-1.5 flex items-center justify-between">
+        <label className="text-token-text-primary block font-medium">
+          {localize('com_agents_rag_title')}
+        </label>
+        <Controller
+          name="rag.enabled"
+          control={control}
+          render={({ field }) => (
+            <Switch
+              id="rag-enabled"
+              checked={field.value !== false}
+              onCheckedChange={field.onChange}
+              aria-label={localize('com_agents_rag_enable')}
+              data-testid="rag-enabled"
+            />
+          )}
+        />
+      </div>
+      <p className="mb-3 text-xs text-text-secondary">{localize('com_agents_rag_info')}</p>
+      {enabled && (
+        <div className="flex flex-col gap-4">
+          <Controller
+            name="rag.types"
+            control={control}
+            render={({ field }) => {
+              const selected = field.value ?? [];
+              const toggle = (type: KnowledgeTypes, checked: boolean) =>
+                field.onChange(
+                  checked ? [...selected, type] : selected.filter((value) => value !== type),
+                );
+              return (
+                <div>
+                  <SettingLabel
+                    label={localize('com_agents_rag_types')}
+                    info={localize('com_agents_rag_types_info')}
+                  />
+                  <div className="grid grid-cols-2 gap-2">
+                    {Object.values(KnowledgeTypes).map((type) => (
+                      <div key={type} className="flex items-center gap-2 text-sm">
+                        <Checkbox
+                          id={`rag-type-${type}`}
+                          checked={selected.includes(type)}
+                          onCheckedChange={(checked) => toggle(type, checked === true)}
+                          aria-label={localize(knowledgeTypeLabels[type])}
+                        />
+                        <label htmlFor={`rag-type-${type}`} className="text-text-primary">
+                          {localize(knowledgeTypeLabels[type])}
+                        </label>
+                      </div>
+                    ))}
+                  </div>
+                </div>
+              );
+            }}
+          />
+          <Controller
+            name="rag.entityIds"
+            control={control}
+            render={({ field }) => {
+              const entityIds = field.value ?? [];
+              const addEntityId = () => {
+                const value = entityText.trim();
+                if (value && !entityIds.includes(value) && entityIds.length < MAX_ENTITY_IDS) {
+                  field.onChange([...entityIds, value]);
+                }
+                setEntityText('');
+              };
+              return (
+                <div>
+                  <SettingLabel
+                    htmlFor="rag-entity-ids"
+                    label={localize('com_agents_rag_entity_ids')}
+                    info={localize('com_agents_rag_entity_ids_info')}
+                  />
+                  <div className="flex flex-wrap rounded-lg bg-surface-secondary">
+                    {entityIds.length > 0 && (
+                      <div className="flex w-full flex-wrap gap-1 p-1">
+                        {entityIds.map((entityId) => (
+                          <Tag
+                            key={entityId}
+                            label={entityId}
+                            onRemove={() =>
+                              field.onChange(entityIds.filter((value) => value !== entityId))
+                            }
+                          />
+                        ))}
+                      </div>
+                    )}
+                    <Input
+                      id="rag-entity-ids"
+                      value={entityText}
+                      onChange={(e) => setEntityText(e.target.value)}
+                      onBlur={addEntityId}
+                      onKeyDown={(e) => {
+                        if (e.key === 'Enter') {
+                          e.preventDefault();
+                          addEntityId();
+                        } else if (e.key === 'Backspace' && !entityText && entityIds.length > 0) {
+                          field.onChange(entityIds.slice(0, -1));
+                        }
+                      }}
+                      placeholder={localize('com_agents_rag_entity_ids_placeholder')}
+                      className="flex h-10 max-h-10 border-none bg-surface-secondary px-3 py-2"
+                    />
+                  </div>
+                </div>
+              );
+            }}
+          />
+          <Controller
+            name="rag.knowledgeBaseIds"
+            control={control}
+            render={({ field }) => {
+              const selected = field.value ?? [];
+              const available = knowledgeBases?.data ?? [];
+              const toggle = (id: string, checked: boolean) =>
+                field.onChange(
+                  checked ? [...selected, id] : selected.filter((value) => value !== id),
+                );
+              return (
+                <div>
+                  <SettingLabel
+                    label={localize('com_agents_rag_knowledge_bases')}
+                    info={localize('com_agents_rag_knowledge_bases_info')}
+                  />
+                  {available.length === 0 ? (
+                    <p className="text-xs text-text-secondary">
+                      {localize('com_agents_rag_knowledge_bases_empty')}
+                    </p>
+                  ) : (
+                    <div className="flex flex-col gap-2">
+                      {available.map((knowledgeBase) => (
+                        <div key={knowledgeBase._id} className="flex items-center gap-2 text-sm">
+                          <Checkbox
+                            id={`rag-kb-${knowledgeBase._id}`}
+                            checked={selected.includes(knowledgeBase._id)}
+                            onCheckedChange={(checked) =>
+                              toggle(knowledgeBase._id, checked === true)
+                            }
+                            aria-label={knowledgeBase.name}
+                          />
+                          <label
+                            htmlFor={`rag-kb-${knowledgeBase._id}`}
+                            className="truncate text-text-primary"
+                            title={knowledgeBase.description || knowledgeBase.name}
+                          >
+                            {knowledgeBase.name}
+                          </label>
+                        </div>
+                      ))}
+                    </div>
+                  )}
+                </div>
+              );
+            }}
+          />
+          <div className="flex gap-3">
+            <Controller
+              name="rag.topK"
+              control={control}
+              render={({ field }) => (
+                <div className="w-1/2">
+                  <SettingLabel
+                    htmlFor="rag-top-k"
+                    label={localize('com_agents_rag_top_k')}
+                    info={localize('com_agents_rag_top_k_info')}
+                  />
+                  <InputNumber
+                    id="rag-top-k"
+                    min={1}
+                    max={MAX_TOP_K}
+                    step={1}
+                    precision={0}
+                    controls={false}
+                    value={field.value ?? null}
+                    onChange={(value) => field.onChange(value ?? undefined)}
+                    placeholder={String(DEFAULT_TOP_K)}
+                    className={numberInputClass}
+                  />
+                </div>
+              )}
+            />
+            <Controller
+              name="rag.minScore"
+              control={control}
+              render={({ field }) => (
+                <div className="w-1/2">
+                  <SettingLabel
+                    htmlFor="rag-min-score"
+                    label={localize('com_agents_rag_min_score')}
+                    info={localize('com_agents_rag_min_score_info')}
+                  />
+                  <InputNumber
+                    id="rag-min-score"
+                    min={0}
+                    max={1}
+                    step={0.05}
+                    controls={false}
+                    value={field.value ?? null}
+                    onChange={(value) => field.onChange(value ?? undefined)}
+                    placeholder={String(DEFAULT_MIN_SCORE)}
+                    className={numberInputClass}
+                  />
+                </div>
+              )}
+            />
+          </div>
+          <Controller
+            name="rag.reranking"
+            control={control}
+            render={({ field }) => {
+              const options = Object.values(RAGRerankingModes).map((mode) => ({
+                value: mode,
+                label: localize(rerankingLabels[mode]),
+              }));
+              const mode = field.value ?? RAGRerankingModes.NONE;
+              return (
+                <div>
+                  <SettingLabel
+                    htmlFor="rag-reranking"
+                    label={localize('com_agents_rag_reranking')}
+                    info={localize('com_agents_rag_reranking_info')}
+                  />
+                  <SelectDropDown
+                    id="rag-reranking"
+                    showLabel={false}
+                    emptyTitle={true}
+                    value={options.find((option) => option.value === mode) ?? null}
+                    setValue={createDropdownSetter(field.onChange)}
+                    availableValues={options}
+                    containerClassName="w-full"
+                  />
+                </div>
+              );
+            }}
+          />
+        </div>
+      )}
+    </div>
+  );
+}
@@ -1,9 +1,16 @@
 import { memo, useState, useContext, useCallback } from 'react';
 import { useRecoilValue } from 'recoil';
+import { Paperclip } from 'lucide-react';
 import { useToastContext } from '@aipyq/client';
+import type { KnowledgeBaseSource } from '@aipyq/data-provider';
 import type { CitationProps } from './types';
 import { SourceHovercard, FaviconImage, getCleanDomain } from '~/components/Web/SourceHovercard';
-import { CitationContext, useCitation, useCompositeCitations } from './Context';
+import {
+  CitationContext,
+  useCitation,
+  useCompositeCitations,
+  useOpenKnowledgeSource,
+} from './Context';
 import { useFileDownload } from '~/data-provider';
 import { useLocalize } from '~/hooks';
 import store from '~/store';
@@ -21,6 +28,7 @@ export function CompositeCitation(props: CompositeCitationProps) {
   const { setHoveredCitationId } = useContext(CitationContext);
   const [currentPage, setCurrentPage] = useState(0);
   const sources = useCompositeCitations(citations || []);
+  const openKnowledgeSource = useOpenKnowledgeSource();
 
   if (!sources || sources.length === 0) return null;
   const totalPages = sources.length;
@@ -56,6 +64,13 @@ export function CompositeCitation(props: CompositeCitationProps) {
   };
 
   const currentSource = sources?.[currentPage];
+  const isKnowledge = currentSource.refType === 'kb';
+
+  const handleKnowledgeOpen = (e: React.MouseEvent) => {
+    e.preventDefault();
+    e.stopPropagation();
+    openKnowledgeSource(currentSource as unknown as KnowledgeBaseSource);
+  };
 
   return (
     <SourceHovercard
@@ -90,15 +105,31 @@ export function CompositeCitation(props: CompositeCitationProps) {
         </span>
       )}
       <span className="mb-2 flex items-center">
-        <FaviconImage domain={getCleanDomain(currentSource.link || '')} className="mr-2" />
-        <a
-          href={currentSource.link}
-          target="_blank"
-          rel="noopener noreferrer"
-          className="line-clamp-2 cursor-pointer overflow-hidden text-sm font-bold text-[#0066cc] hover:underline dark:text-blue-400 md:line-clamp-3"
-        >
-          {currentSource.attribution}
-        </a>
+        {isKnowledge ? (
+          <>
+            <div className="mr-2 flex h-4 w-4 items-center justify-center">
+              <Paperclip className="h-3 w-3 text-text-secondary" />
+            </div>
+            <button
+              onClick={handleKnowledgeOpen}
+              className="line-clamp-2 cursor-pointer overflow-hidden text-left text-sm font-bold text-[#0066cc] hover:underline dark:text-blue-400 md:line-clamp-3"
+            >
+              {currentSource.attribution}
+            </button>
+          </>
+        ) : (
+          <>
+            <FaviconImage domain={getCleanDomain(currentSource.link || '')} className="mr-2" />
+            <a
+              href={currentSource.link}
+              target="_blank"
+              rel="noopener noreferrer"
+              className="line-clamp-2 cursor-pointer overflow-hidden text-sm font-bold text-[#0066cc] hover:underline dark:text-blue-400 md:line-clamp-3"
+            >
+              {currentSource.attribution}
+            </a>
+          </>
+        )}
       </span>
       <h4 className="mb-1.5 mt-0 text-xs text-text-primary md:text-sm">{currentSource.title}</h4>
       <p className="my-2 text-ellipsis break-all text-xs text-text-secondary md:text-sm">
@@ -128,6 +159,9 @@ export function Citation(props: CitationComponentProps) {
     index: citation?.index || 0,
   });
 
+  const openKnowledgeSource = useOpenKnowledgeSource();
+  const isKnowledge = refData?.refType === 'kb';
+
   // Setup file download hook
   const isFileType = refData?.refType === 'file' && (refData as any)?.fileId;
   const isLocalFile = isFileType && (refData as any)?.metadata?.storageType === 'local';
@@ -180,6 +214,17 @@ export function Citation(props: CitationComponentProps) {
     [downloadFile, isFileType, isLocalFile, refData, localize, showToast],
   );
 
+  const handleKnowledgeOpen = useCallback(
+    (e: React.MouseEvent) => {
+      e.preventDefault();
+      e.stopPropagation();
+      if (refData) {
+        openKnowledgeSource(refData as unknown as KnowledgeBaseSource);
+      }
+    },
+    [openKnowledgeSource, refData],
+  );
+
   if (!refData) return null;
 
   const getCitationLabel = () => {
@@ -197,8 +242,14 @@ export function Citation(props: CitationComponentProps) {
       label={getCitationLabel()}
       onMouseEnter={() => setHoveredCitationId(citationId || null)}
       onMouseLeave={() => setHoveredCitationId(null)}
-      onClick={isFileType && !isLocalFile ? handleFileDownload : undefined}
-      isFile={isFileType}
+      onClick={
+        isKnowledge
+          ? handleKnowledgeOpen
+          : isFileType && !isLocalFile
+            ? handleFileDownload
+            : undefined
+      }
+      isFile={isFileType || isKnowledge}
       isLocalFile={isLocalFile}
     />
   );
@@ -1,7 +1,14 @@
-import { createContext, useContext } from 'react';
-import type { SearchRefType, ValidSource, ResultReference } from '@aipyq/data-provider';
+import { createContext, useCallback, useContext } from 'react';
+import { useSetRecoilState } from 'recoil';
+import type {
+  SearchRefType,
+  ValidSource,
+  ResultReference,
+  KnowledgeBaseSource,
+} from '@aipyq/data-provider';
 import type * as t from './types';
 import { useSearchContext } from '~/Providers';
+import store from '~/store';
 
 export interface CitationContextType {
   hoveredCitationId: string | null;
@@ -29,6 +36,7 @@ const refTypeMap: Record<string | SearchRefType, string> = {
   ref: 'references',
   news: 'topStories',
   file: 'references',
+  kb: 'knowledgeBase',
 };
 
 export function useCitation({
@@ -104,3 +112,17 @@ export function useCompositeCitations(
 
   return result;
 }
+
+/** Returns a handler that opens the knowledge base files view focused on a cited chunk */
+export function useOpenKnowledgeSource() {
+  const setShowFiles = useSetRecoilState(store.showFiles);
+  const setKnowledgeBaseFocus = useSetRecoilState(store.knowledgeBaseFocus);
+
+  return useCallback(
+    (source: KnowledgeBaseSource) => {
+      setKnowledgeBaseFocus(source);
+      setShowFiles(true);
+    },
+    [setShowFiles, setKnowledgeBaseFocus],
+  );
+}
@@ -3,7 +3,7 @@ import { useRecoilValue } from 'recoil';
 import * as Ariakit from '@ariakit/react';
 import { VisuallyHidden } from '@ariakit/react';
 import { Tools } from '@aipyq/data-provider';
-import { X, Globe, Newspaper, Image, ChevronDown, File, Download } from 'lucide-react';
+import { X, Globe, Newspaper, Image, ChevronDown, File, Download, BookOpen } from 'lucide-react';
 import {
   OGDialog,
   AnimatedTabs,
@@ -13,9 +13,10 @@ import {
   OGDialogTrigger,
   useToastContext,
 } from '@aipyq/client';
-import type { ValidSource, ImageResult } from '@aipyq/data-provider';
+import type { ValidSource, ImageResult, KnowledgeBaseReference } from '@aipyq/data-provider';
 import { FaviconImage, getCleanDomain } from '~/components/Web/SourceHovercard';
 import SourcesErrorBoundary from './SourcesErrorBoundary';
+import { useOpenKnowledgeSource } from './Context';
 import { useFileDownload } from '~/data-provider';
 import { useSearchContext } from '~/Providers';
 import { useLocalize } from '~/hooks';
@@ -546,6 +547,109 @@ function FilesGroup({ files, messageId, conversationId, limit = 3 }: FilesGroupP
   );
 }
 
+interface KnowledgeItemProps {
+  source: KnowledgeBaseReference;
+  expanded?: boolean;
+}
+
+function KnowledgeItem({ source, expanded = false }: KnowledgeItemProps) {
+  const localize = useLocalize();
+  const openKnowledgeSource = useOpenKnowledgeSource();
+
+  const pages =
+    source.page != null && source.pageEnd != null && source.pageEnd !== source.page
+      ? `${source.page}-${source.pageEnd}`
+      : source.page;
+
+  return (
+    <button
+      onClick={() => openKnowledgeSource(source)}
+      className={`flex w-full flex-col rounded-lg bg-surface-primary-contrast px-3 py-2 text-sm transition-all duration-300 hover:bg-surface-tertiary ${
+        expanded ? '' : 'h-full'
+      }`}
+    >
+      <div className="flex items-center gap-2">
+        {source.fileId ? <File className="h-3 w-3" /> : <BookOpen className="h-3 w-3" />}
+        <span className="truncate text-xs font-medium text-text-secondary">
+          {source.fileName || localize('com_sources_knowledge_entry')}
+        </span>
+        <span className="ml-auto text-xs text-text-secondary-alt">{source.score.toFixed(2)}</span>
+      </div>
+      <div className="mt-1 min-w-0">
+        <span className="line-clamp-2 break-all text-left text-sm font-medium text-text-primary md:line-clamp-3">
+          {source.sectionTitle || source.title}
+        </span>
+        {pages != null && (
+          <span className="mt-1 line-clamp-1 text-left text-xs text-text-secondary">
+            {localize('com_sources_pages')}: {pages}
+          </span>
+        )}
+        {expanded && source.snippet && (
+          <p className="mt-1 line-clamp-3 text-left text-xs text-text-secondary">
+            {source.snippet}
+          </p>
+        )}
+      </div>
+    </button>
+  );
+}
+
+function KnowledgeGroup({
+  sources,
+  limit = 3,
+}: {
+  sources: KnowledgeBaseReference[];
+  limit?: number;
+}) {
+  const localize = useLocalize();
+  // If there's only 1 remaining entry, show it instead of "+1 entries"
+  const actualLimit = sources.length <= limit + 1 ? sources.length : limit;
+  const visibleSources = sources.slice(0, actualLimit);
+  const remainingSources = sources.slice(actualLimit);
+
+  return (
+    <div className="scrollbar-none grid w-full grid-cols-4 gap-2 overflow-x-auto">
+      <OGDialog>
+        {visibleSources.map((source, i) => (
+          <div key={`knowledge-${i}`} className="w-full min-w-[120px]">
+            <KnowledgeItem source={source} />
+          </div>
+        ))}
+        {remainingSources.length > 0 && (
+          <OGDialogTrigger className="flex flex-col rounded-lg bg-surface-primary-contrast px-3 py-2 text-sm transition-all duration-300 hover:bg-surface-tertiary">
+            <div className="flex items-center gap-2">
+              <BookOpen className="h-4 w-4" />
+              <span className="truncate text-xs font-medium text-text-secondary">
+                {localize('com_sources_more_knowledge', { count: remainingSources.length })}
+              </span>
+            </div>
+          </OGDialogTrigger>
+        )}
+        <OGDialogContent className="flex max-h-[80vh] max-w-full flex-col overflow-hidden rounded-lg bg-surface-primary p-0 md:max-w-[600px]">
+          <div className="sticky top-0 z-10 flex items-center justify-between border-b border-border-light bg-surface-primary px-3 py-2">
+            <OGDialogTitle className="text-base font-medium">
+              {localize('com_sources_knowledge_base')}
+            </OGDialogTitle>
+            <OGDialogClose
+              className="rounded-full p-1 text-text-secondary hover:bg-surface-tertiary hover:text-text-primary"
+              aria-label={localize('com_ui_close')}
+            >
+              <X className="h-4 w-4" />
+            </OGDialogClose>
+          </div>
+          <div className="flex-1 overflow-y-auto px-3 py-2">
+            <div className="flex flex-col gap-2">
+              {sources.map((source, i) => (
+                <KnowledgeItem key={`more-knowledge-${i}`} source={source} expanded={true} />
+              ))}
+            </div>
+          </div>
+        </OGDialogContent>
+      </OGDialog>
+    </div>
+  );
+}
+
 function TabWithIcon({ label, icon }: { label: string; icon: React.ReactNode }) {
   return (
     <div className="flex items-center gap-2 rounded-md px-3 py-1 text-sm transition-colors hover:bg-surface-tertiary hover:text-text-primary">
@@ -565,95 +669,110 @@ function SourcesComponent({ messageId, conversationId }: SourcesProps = {}) {
   const { searchResults } = useSearchContext();
 
   // Simple search results processing with good memoization
-  const { organicSources, topStories, images, hasAnswerBox, agentFiles } = useMemo(() => {
-    const organicSourcesMap = new Map<string, ValidSource>();
-    const topStoriesMap = new Map<string, ValidSource>();
-    const imagesMap = new Map<string, ImageResult>();
-    const agentFilesMap = new Map<string, AgentFileSource>();
-    let hasAnswerBox = false;
-
-    if (!searchResults) {
-      return {
-        organicSources: [],
-        topStories: [],
-        images: [],
-        hasAnswerBox: false,
-        agentFiles: [],
-      };
-    }
-
-    // Process search results
-    for (const result of Object.values(searchResults)) {
-      if (!result) continue;
-
-      // Process organic sources
-      result.organic?.forEach((source) => {
-        if (source.link) organicSourcesMap.set(source.link, source);
-      });
+  const { organicSources, topStories, images, hasAnswerBox, agentFiles, knowledge } =
+    useMemo(() => {
+      const organicSourcesMap = new Map<string, ValidSource>();
+      const topStoriesMap = new Map<string, ValidSource>();
+      const imagesMap = new Map<string, ImageResult>();
+      const agentFilesMap = new Map<string, AgentFileSource>();
+      const knowledgeMap = new Map<string, KnowledgeBaseReference>();
+      let hasAnswerBox = false;
+
+      if (!searchResults) {
+        return {
+          organicSources: [],
+          topStories: [],
+          images: [],
+          hasAnswerBox: false,
+          agentFiles: [],
+          knowledge: [],
+        };
+      }
 
-      // Process references
-      result.references?.forEach((source) => {
-        if (source.type === 'image') {
-          imagesMap.set(source.link, { ...source, imageUrl: source.link });
-        } else if ((source as any).type === 'file') {
-          const fileId = (source as any).fileId || 'unknown';
-          const fileName = source.title || 'Unknown File';
-          const uniqueKey = `${fileId}_${fileName}`;
-
-          if (agentFilesMap.has(uniqueKey)) {
-            // Merge pages for the same file
-            const existing = agentFilesMap.get(uniqueKey)!;
-            const existingPages = existing.pages || [];
-            const newPages = (source as any).pages || [];
-            const uniquePages = [...new Set([...existingPages, ...newPages])].sort((a, b) => a - b);
-
-            existing.pages = uniquePages;
-            existing.relevance = Math.max(existing.relevance || 0, (source as any).relevance || 0);
-            existing.pageRelevance = {
-              ...existing.pageRelevance,
-              ...(source as any).pageRelevance,
-            };
-          } else {
-            const agentFile: AgentFileSource = {
-              type: Tools.file_search,
-              file_id: fileId,
-              filename: fileName,
-              bytes: undefined,
-              metadata: (source as any).metadata,
-              pages: (source as any).pages,
-              relevance: (source as any).relevance,
-              pageRelevance: (source as any).pageRelevance,
-              messageId: messageId || '',
-              toolCallId: 'file_search_results',
-            };
-            agentFilesMap.set(uniqueKey, agentFile);
+      // Process search results
+      for (const result of Object.values(searchResults)) {
+        if (!result) continue;
+
+        // Process organic sources
+        result.organic?.forEach((source) => {
+          if (source.link) organicSourcesMap.set(source.link, source);
+        });
+
+        // Process references
+        result.references?.forEach((source) => {
+          if (source.type === 'image') {
+            imagesMap.set(source.link, { ...source, imageUrl: source.link });
+          } else if ((source as any).type === 'file') {
+            const fileId = (source as any).fileId || 'unknown';
+            const fileName = source.title || 'Unknown File';
+            const uniqueKey = `${fileId}_${fileName}`;
+
+            if (agentFilesMap.has(uniqueKey)) {
+              // Merge pages for the same file
+              const existing = agentFilesMap.get(uniqueKey)!;
+              const existingPages = existing.pages || [];
+              const newPages = (source as any).pages || [];
+              const uniquePages = [...new Set([...existingPages, ...newPages])].sort(
+                (a, b) => a - b,
+              );
+
+              existing.pages = uniquePages;
+              existing.relevance = Math.max(
+                existing.relevance || 0,
+                (source as any).relevance || 0,
+              );
+              existing.pageRelevance = {
+                ...existing.pageRelevance,
+                ...(source as any).pageRelevance,
+              };
+            } else {
+              const agentFile: AgentFileSource = {
+                type: Tools.file_search,
+                file_id: fileId,
+                filename: fileName,
+                bytes: undefined,
+                metadata: (source as any).metadata,
+                pages: (source as any).pages,
+                relevance: (source as any).relevance,
+                pageRelevance: (source as any).pageRelevance,
+                messageId: messageId || '',
+                toolCallId: 'file_search_results',
+              };
+              agentFilesMap.set(uniqueKey, agentFile);
+            }
+          } else if (source.link) {
+            organicSourcesMap.set(source.link, source);
           }
-        } else if (source.link) {
-          organicSourcesMap.set(source.link, source);
-        }
-      });
+        });
 
-      // Process top stories
-      result.topStories?.forEach((source) => {
-        if (source.link) topStoriesMap.set(source.link, source);
-      });
+        // Process top stories
+        result.topStories?.forEach((source) => {
+          if (source.link) topStoriesMap.set(source.link, source);
+        });
 
-      // Process images
-      result.images?.forEach((image) => {
-        if (image.imageUrl) imagesMap.set(image.imageUrl, image);
-      });
+        // Process images
+        result.images?.forEach((image) => {
+          if (image.imageUrl) imagesMap.set(image.imageUrl, image);
+        });
 
-      if (result.answerBox) hasAnswerBox = true;
-    }
+        // Process knowledge injected by conversation RAG
+        result.knowledgeBase?.forEach((source) => {
+          const key = `${source.fileId ?? source.entryId ?? source.title}:${source.chunkIndex ?? ''}`;
+          if (!knowledgeMap.has(key)) knowledgeMap.set(key, source);
+        });
 
-    return {
-      organicSources: Array.from(organicSourcesMap.values()),
-      topStories: Array.from(topStoriesMap.values()),
-      images: Array.from(imagesMap.values()),
-      hasAnswerBox,
-      agentFiles: Array.from(agentFilesMap.values()),
-    };
-  }, [searchResults, messageId]);
+        if (result.answerBox) hasAnswerBox = true;
+      }
+
+      return {
+        organicSources: Array.from(organicSourcesMap.values()),
+        topStories: Array.from(topStoriesMap.values()),
+        images: Array.from(imagesMap.values()),
+        hasAnswerBox,
+        agentFiles: Array.from(agentFilesMap.values()),
+        knowledge: Array.from(knowledgeMap.values()),
+      };
+    }, [searchResults, messageId]);
 
   const tabs = useMemo(() => {
     const availableTabs: Array<{ label: React.ReactNode; content: React.ReactNode }> = [];
@@ -699,6 +818,13 @@ function SourcesComponent({ messageId, conversationId }: SourcesProps = {}) {
       });
     }
 
+    if (knowledge.length) {
+      availableTabs.push({
+        label: <TabWithIcon label={localize('com_sources_tab_knowledge')} icon={<BookOpen />} />,
+        content: <KnowledgeGroup sources={knowledge} limit={3} />,
+      });
+    }
+
     return availableTabs;
   }, [
     organicSources,
@@ -706,6 +832,7 @@ function SourcesComponent({ messageId, conversationId }: SourcesProps = {}) {
     images,
     hasAnswerBox,
     agentFiles,
+    knowledge,
     messageId,
     conversationId,
     localize,
@@ -2,7 +2,9 @@ import { useToastContext } from '@aipyq/client';
 import { EToolResources } from '@aipyq/data-provider';
 import { useMutation, useQueryClient } from '@tanstack/react-query';
 import {
+  request,
   QueryKeys,
+  apiBaseUrl,
   dataService,
   MutationKeys,
   defaultOrderQuery,
@@ -10,6 +12,8 @@ import {
 } from '@aipyq/data-provider';
 import type * as t from '@aipyq/data-provider';
 import type { UseMutationResult } from '@tanstack/react-query';
+import type { IngestionJob } from './queries';
+import { ingestionJobsQueryKey } from './queries';
 import { useLocalize } from '~/hooks';
 
 export const useUploadFileMutation = (
@@ -189,3 +193,33 @@ export const useDeleteFilesMutation = (
     },
   });
 };
+
+export const useRetryIngestionJobMutation = (): UseMutationResult<
+  IngestionJob,
+  unknown,
+  string
+> => {
+  const queryClient = useQueryClient();
+  return useMutation(
+    (fileId: string) =>
+      request.post(`${apiBaseUrl()}/api/files/ingestion/${encodeURIComponent(fileId)}/retry`),
+    {
+      onSuccess: (job) => {
+        queryClient.setQueryData<IngestionJob[] | undefined>(ingestionJobsQueryKey, (jobs) =>
+          upsertIngestionJob(jobs, job),
+        );
+      },
+    },
+  );
+};
+
+/**
+ * Applies a job update (from the stream or a mutation) to the cached job list
+ */
+export function upsertIngestionJob(
+  jobs: IngestionJob[] | undefined,
+  job: IngestionJob,
+): IngestionJob[] {
+  const rest = (jobs ?? []).filter((item) => item.file_id !== job.file_id);
+  return job.deleted ? rest : [job, ...rest];
+}
@@ -124,3 +124,42 @@ export const useFileContent = (userId?: string, file_id?: string): QueryObserver
     },
   );
 };
+
+export type IngestionJobStatus = 'queued' | 'running' | 'completed' | 'failed';
+
+/** Background vectorization job of an uploaded knowledge file */
+export interface IngestionJob {
+  file_id: string;
+  user: string;
+  filename: string;
+  status: IngestionJobStatus;
+  totalChunks: number;
+  /** Checkpoint: chunks before this index are stored */
+  processedChunks: number;
+  failedChunks: number;
+  attempts: number;
+  maxAttempts: number;
+  nextRunAt?: string | null;
+  lastError?: string | null;
+  startedAt?: string | null;
+  completedAt?: string | null;
+  createdAt?: string;
+  updatedAt?: string;
+  /** Set on stream events when the job was removed (file deleted) */
+  deleted?: boolean;
+}
+
+export const ingestionJobsQueryKey = ['ingestionJobs'];
+
+export const useIngestionJobsQuery = (
+  config?: UseQueryOptions<IngestionJob[]>,
+): QueryObserverResult<IngestionJob[]> => {
+  return useQuery<IngestionJob[]>(
+    ingestionJobsQueryKey,
+    () => request.get(`${apiBaseUrl()}/api/files/ingestion`),
+    {
+      refetchOnWindowFocus: false,
+      ...config,
+    },
+  );
+};
@@ -1,7 +1,13 @@
 import { useMutation, useQueryClient } from '@tanstack/react-query';
 import type { UseMutationResult } from '@tanstack/react-query';
 import { request } from '@aipyq/data-provider';
-import type { KnowledgeEntry, KnowledgeListResponse } from './queries';
+import type {
+  KnowledgeCandidate,
+  KnowledgeDedupScanStatus,
+  KnowledgeDuplicateCluster,
+  KnowledgeEntry,
+  KnowledgeListResponse,
+} from './queries';
 import { KnowledgeBaseQueryKeys } from './queries';
 
 export interface AddKnowledgeParams {
@@ -86,3 +92,109 @@ export const useDeleteKnowledgeMutation = (): UseMutationResult<
     },
   );
 };
+
+export const useRestoreKnowledgeVersionMutation = (): UseMutationResult<
+  { success: boolean; data: KnowledgeEntry },
+  unknown,
+  { id: string; version: number }
+> => {
+  const queryClient = useQueryClient();
+
+  return useMutation(
+    ({ id, version }) => request.post(`/api/rag/knowledge/${id}/versions/${version}/restore`, {}),
+    {
+      onSuccess: (_data, { id }) => {
+        queryClient.invalidateQueries(KnowledgeBaseQueryKeys.knowledgeList);
+        queryClient.invalidateQueries(KnowledgeBaseQueryKeys.knowledgeVersions(id));
+      },
+    },
+  );
+};
+
+export const useUpdateCurationCandidateMutation = (): UseMutationResult<
+  { success: boolean; data: KnowledgeCandidate },
+  unknown,
+  { id: string; question?: string; answer?: string }
+> => {
+  const queryClient = useQueryClient();
+
+  return useMutation(({ id, ...data }) => request.patch(`/api/rag/curation/${id}`, data), {
+    onSuccess: () => {
+      queryClient.invalidateQueries(KnowledgeBaseQueryKeys.curationCandidates);
+    },
+  });
+};
+
+export interface ReviewCurationResult {
+  id: string;
+  status?: KnowledgeCandidate['status'];
+  entryId?: string;
+  duplicate?: boolean;
+  error?: string;
+}
+
+export const useReviewCurationCandidatesMutation = (): UseMutationResult<
+  { success: boolean; count: number; data: ReviewCurationResult[] },
+  unknown,
+  { ids: string[]; action: 'approve' | 'reject'; knowledgeBaseId?: string }
+> => {
+  const queryClient = useQueryClient();
+
+  return useMutation((data) => request.post('/api/rag/curation/review', data), {
+    onSuccess: (_data, { action }) => {
+      queryClient.invalidateQueries(KnowledgeBaseQueryKeys.curationCandidates);
+      if (action === 'approve') {
+        queryClient.invalidateQueries(KnowledgeBaseQueryKeys.knowledgeList);
+      }
+    },
+  });
+};
+
+export const useStartDuplicateScanMutation = (): UseMutationResult<
+  { success: boolean; data: KnowledgeDedupScanStatus },
+  unknown,
+  { types?: string[]; embeddingThreshold?: number; textThreshold?: number } | void
+> => {
+  const queryClient = useQueryClient();
+
+  return useMutation((data) => request.post('/api/rag/dedup/scan', data || {}), {
+    onSuccess: () => {
+      queryClient.invalidateQueries(KnowledgeBaseQueryKeys.duplicateClusters);
+    },
+  });
+};
+
+export const useMergeDuplicateClusterMutation = (): UseMutationResult<
+  {
+    success: boolean;
+    data: { cluster: KnowledgeDuplicateCluster; entry: KnowledgeEntry; deleted: string[] };
+  },
+  unknown,
+  { id: string; canonicalId?: string }
+> => {
+  const queryClient = useQueryClient();
+
+  return useMutation(
+    ({ id, canonicalId }) => request.post(`/api/rag/dedup/clusters/${id}/merge`, { canonicalId }),
+    {
+      onSuccess: () => {
+        queryClient.invalidateQueries(KnowledgeBaseQueryKeys.duplicateClusters);
+        queryClient.invalidateQueries(KnowledgeBaseQueryKeys.knowledgeList);
+      },
+    },
+  );
+};
+
+export const useDismissDuplicateClusterMutation = (): UseMutationResult<
+  { success: boolean; data: KnowledgeDuplicateCluster },
+  unknown,
+  { id: string }
+> => {
+  const queryClient = useQueryClient();
+
+  return useMutation(({ id }) => request.post(`/api/rag/dedup/clusters/${id}/dismiss`, {}), {
+    onSuccess: () => {
+      queryClient.invalidateQueries(KnowledgeBaseQueryKeys.duplicateClusters);
+    },
+  });
+};
@@ -19,6 +19,113 @@ export interface KnowledgeEntry {
   };
 }
 
+export interface KnowledgeEntryChange {
+  /** `title`, `content` or `metadata.<key>` */
+  field: string;
+  before?: unknown;
+  after?: unknown;
+}
+
+export interface KnowledgeEntryVersion {
+  _id: string;
+  entryId: string;
+  version: number;
+  action: 'baseline' | 'create' | 'update' | 'restore' | 'delete';
+  type: string;
+  author?: { _id: string; name?: string; username?: string } | null;
+  snapshot: {
+    title: string;
+    content: string;
+    metadata?: Record<string, unknown>;
+  };
+  changes: KnowledgeEntryChange[];
+  restoredFrom?: number;
+  createdAt: string;
+}
+
+export interface KnowledgeVersionListResponse {
+  success: boolean;
+  total: number;
+  data: KnowledgeEntryVersion[];
+}
+
+export interface KnowledgeCandidate {
+  _id: string;
+  /** `qa`: thumbs-up answer proposed as a QA pair; `flagged`: thumbs-down answer */
+  kind: 'qa' | 'flagged';
+  status: 'pending' | 'approved' | 'rejected' | 'resolved';
+  conversationId: string;
+  messageId: string;
+  agentId: string;
+  question: string;
+  answer: string;
+  feedback?: { rating: 'thumbsUp' | 'thumbsDown'; tag?: unknown; text?: string };
+  retrievedEntries: Array<{
+    entryId: string;
+    entryType?: string;
+    title?: string;
+    fileId?: string;
+    score?: number;
+  }>;
+  duplicate?: { entryId: string; question?: string; title?: string } | null;
+  knowledgeBaseId?: string;
+  createdAt: string;
+}
+
+export interface KnowledgeCandidateListResponse {
+  success: boolean;
+  total: number;
+  data: KnowledgeCandidate[];
+}
+
+export interface KnowledgeDuplicateCluster {
+  _id: string;
+  type: string;
+  status: 'pending' | 'merged' | 'dismissed';
+  knowledgeBaseId?: string | null;
+  entityId?: string | null;
+  members: Array<{ entryId: string; title?: string; similarity: number; createdAt?: string }>;
+  /** Suggested (or, once merged, kept) entry */
+  canonicalId: string;
+  createdAt: string;
+}
+
+export interface KnowledgeDedupScanStatus {
+  running: boolean;
+  job: { types: string[]; processed: number; total: number; startedAt: string } | null;
+  lastScan: {
+    startedAt: string;
+    finishedAt: string;
+    scanned?: number;
+    clusters?: number;
+    error?: string;
+  } | null;
+}
+
+export interface KnowledgeDuplicateClusterListResponse {
+  success: boolean;
+  scan: KnowledgeDedupScanStatus;
+  total: number;
+  data: KnowledgeDuplicateCluster[];
+}
+
+export interface SharedKnowledgeBase {
+  _id: string;
+  name: string;
+  description?: string;
+  author: string;
+  authorName?: string;
+  entityId?: string;
+  createdAt: string;
+  updatedAt: string;
+}
+
+export interface SharedKnowledgeBaseListResponse {
+  success: boolean;
+  count: number;
+  data: SharedKnowledgeBase[];
+}
+
 export interface KnowledgeListResponse {
   success: boolean;
   count: number;
@@ -28,27 +135,39 @@ export interface KnowledgeListResponse {
 export interface RAGQueryResponse {
   query: string;
   results: Array<{
+    entryId?: string;
     content: string;
     score: number;
     metadata: Record<string, unknown>;
+    fusionScore?: number;
+    lexicalScore?: number;
+    ranks?: { vector?: number; lexical?: number };
+    chunkIndex?: number;
   }>;
   total: number;
   metadata: {
     retrievalCount: number;
     reranked: boolean;
     enhancedReranking: boolean;
+    reranker: string | null;
+    lexical: boolean;
   };
 }
 
 const QueryKeys = {
   knowledgeList: ['knowledge', 'list'] as const,
   knowledgeEntry: (id: string) => ['knowledge', 'entry', id] as const,
+  knowledgeBases: ['knowledge', 'bases'] as const,
+  knowledgeVersions: (id: string) => ['knowledge', 'versions', id] as const,
+  curationCandidates: ['knowledge', 'curation'] as const,
+  duplicateClusters: ['knowledge', 'dedup'] as const,
 };
 
 export const useGetKnowledgeListQuery = (
   filters?: {
     type?: string;
     entityId?: string;
+    knowledgeBaseId?: string;
     includeChildren?: boolean;
     limit?: number;
     skip?: number;
@@ -58,6 +177,7 @@ export const useGetKnowledgeListQuery = (
   const queryParams = new URLSearchParams();
   if (filters?.type) queryParams.append('type', filters.type);
   if (filters?.entityId) queryParams.append('entityId', filters.entityId);
+  if (filters?.knowledgeBaseId) queryParams.append('knowledgeBaseId', filters.knowledgeBaseId);
   if (filters?.includeChildren !== undefined)
     queryParams.append('includeChildren', String(filters.includeChildren));
   if (filters?.limit) queryParams.append('limit', String(filters.limit));
@@ -78,15 +198,114 @@ export const useGetKnowledgeListQuery = (
   );
 };
 
+/** Version history of a knowledge entry, newest first */
+export const useGetKnowledgeVersionsQuery = (
+  entryId: string,
+  config?: UseQueryOptions<KnowledgeVersionListResponse>,
+): QueryObserverResult<KnowledgeVersionListResponse> => {
+  return useQuery<KnowledgeVersionListResponse>(
+    QueryKeys.knowledgeVersions(entryId),
+    () => request.get(`/api/rag/knowledge/${entryId}/versions`),
+    {
+      enabled: !!entryId,
+      refetchOnWindowFocus: false,
+      refetchOnReconnect: false,
+      ...config,
+    },
+  );
+};
+
+/** Answer feedback review queue (admin only) */
+export const useGetCurationCandidatesQuery = (
+  filters?: {
+    status?: KnowledgeCandidate['status'];
+    kind?: KnowledgeCandidate['kind'];
+    limit?: number;
+    skip?: number;
+  },
+  config?: UseQueryOptions<KnowledgeCandidateListResponse>,
+): QueryObserverResult<KnowledgeCandidateListResponse> => {
+  const queryParams = new URLSearchParams();
+  if (filters?.status) queryParams.append('status', filters.status);
+  if (filters?.kind) queryParams.append('kind', filters.kind);
+  if (filters?.limit) queryParams.append('limit', String(filters.limit));
+  if (filters?.skip) queryParams.append('skip', String(filters.skip));
+
+  const queryString = queryParams.toString();
+  const url = `/api/rag/curation${queryString ? `?${queryString}` : ''}`;
+
+  return useQuery<KnowledgeCandidateListResponse>(
+    [...QueryKeys.curationCandidates, filters],
+    () => request.get(url),
+    {
+      refetchOnWindowFocus: false,
+      refetchOnReconnect: false,
+      ...config,
+    },
+  );
+};
+
+/** Near-duplicate clusters and the dedup scan status (admin only) */
+export const useGetDuplicateClustersQuery = (
+  filters?: {
+    status?: KnowledgeDuplicateCluster['status'];
+    type?: string;
+    limit?: number;
+    skip?: number;
+  },
+  config?: UseQueryOptions<KnowledgeDuplicateClusterListResponse>,
+): QueryObserverResult<KnowledgeDuplicateClusterListResponse> => {
+  const queryParams = new URLSearchParams();
+  if (filters?.status) queryParams.append('status', filters.status);
+  if (filters?.type) queryParams.append('type', filters.type);
+  if (filters?.limit) queryParams.append('limit', String(filters.limit));
+  if (filters?.skip) queryParams.append('skip', String(filters.skip));
+
+  const queryString = queryParams.toString();
+  const url = `/api/rag/dedup${queryString ? `?${queryString}` : ''}`;
+
+  return useQuery<KnowledgeDuplicateClusterListResponse>(
+    [...QueryKeys.duplicateClusters, filters],
+    () => request.get(url),
+    {
+      refetchOnWindowFocus: false,
+      refetchOnReconnect: false,
+      ...config,
+    },
+  );
+};
+
+/** Shared knowledge bases the current user can view */
+export const useGetSharedKnowledgeBasesQuery = (
+  config?: UseQueryOptions<SharedKnowledgeBaseListResponse>,
+): QueryObserverResult<SharedKnowledgeBaseListResponse> => {
+  return useQuery<SharedKnowledgeBaseListResponse>(
+    QueryKeys.knowledgeBases,
+    () => request.get('/api/rag/knowledge-bases'),
+    {
+      refetchOnWindowFocus: false,
+      refetchOnReconnect: false,
+      ...config,
+    },
+  );
+};
+
 export const useRAGQuery = (
   query: string,
   options?: {
     types?: string[];
     fileIds?: string[];
     entityId?: string;
+    knowledgeBaseIds?: string[];
     topK?: number;
     useReranking?: boolean;
     enhancedReranking?: boolean;
+    useLexical?: boolean;
+    fusion?: {
+      vectorWeight?: number;
+      lexicalWeight?: number;
+      k?: number;
+    };
   },
   config?: UseQueryOptions<RAGQueryResponse>,
 ): QueryObserverResult<RAGQueryResponse> => {
@@ -0,0 +1,35 @@
+import { useMutation } from '@tanstack/react-query';
+import type { UseMutationResult } from '@tanstack/react-query';
+import { request } from '@aipyq/data-provider';
+
+/** Interaction style of a moments caption */
+export type MomentsCaptionType = 'question' | 'exclaim' | 'share';
+
+export interface MomentsCaption {
+  type: MomentsCaptionType;
+  label: string;
+  text: string;
+}
+
+export interface MomentsVisionModel {
+  endpoint: string;
+  model: string;
+}
+
+export interface RegenerateMomentsCaptionsInput {
+  keywords?: string[];
+  descriptions?: string[];
+  summary?: string;
+  scenario?: string;
+  style?: string;
+  /** Current captions the new variants should differ from */
+  exclude?: string[];
+  /** Endpoint and model that composed the post; the server falls back to its configured one */
+  vision_model?: MomentsVisionModel | null;
+}
+
+export const useRegenerateMomentsCaptionsMutation = (): UseMutationResult<
+  { success: boolean; data: MomentsCaption[] },
+  unknown,
+  RegenerateMomentsCaptionsInput
+> => useMutation((data) => request.post('/api/moments/captions', data));
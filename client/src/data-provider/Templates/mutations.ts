@@ -0,0 +1,100 @@
+import { useMutation, useQueryClient } from '@tanstack/react-query';
+import type { UseMutationResult } from '@tanstack/react-query';
+import { request } from '@aipyq/data-provider';
+import type { LibraryTemplate, TemplateTool, TemplateVariable } from './queries';
+import { TemplateQueryKeys } from './queries';
+
+export interface LibraryTemplateInput {
+  tool: TemplateTool;
+  name: string;
+  description?: string;
+  category?: string;
+  scenarios?: string[];
+  path?: string | null;
+  content: string;
+  variables?: TemplateVariable[];
+  enabled?: boolean;
+  visibility?: { roles: string[]; groups: string[] };
+}
+
+export const useCreateLibraryTemplateMutation = (): UseMutationResult<
+  { success: boolean; data: LibraryTemplate },
+  unknown,
+  LibraryTemplateInput
+> => {
+  const queryClient = useQueryClient();
+
+  return useMutation((data) => request.post('/api/templates', data), {
+    onSuccess: () => {
+      queryClient.invalidateQueries(TemplateQueryKeys.templateList);
+      queryClient.invalidateQueries(TemplateQueryKeys.templateOptions);
+    },
+  });
+};
+
+export const useUpdateLibraryTemplateMutation = (): UseMutationResult<
+  { success: boolean; data: LibraryTemplate },
+  unknown,
+  { id: string; note?: string } & Partial<LibraryTemplateInput>
+> => {
+  const queryClient = useQueryClient();
+
+  return useMutation(({ id, ...data }) => request.patch(`/api/templates/${id}`, data), {
+    onSuccess: (_data, { id }) => {
+      queryClient.invalidateQueries(TemplateQueryKeys.templateList);
+      queryClient.invalidateQueries(TemplateQueryKeys.template(id));
+      queryClient.invalidateQueries(TemplateQueryKeys.templateOptions);
+    },
+  });
+};
+
+export const useRestoreLibraryTemplateMutation = (): UseMutationResult<
+  { success: boolean; data: LibraryTemplate },
+  unknown,
+  { id: string; version: number }
+> => {
+  const queryClient = useQueryClient();
+
+  return useMutation(
+    ({ id, version }) => request.post(`/api/templates/${id}/restore`, { version }),
+    {
+      onSuccess: (_data, { id }) => {
+        queryClient.invalidateQueries(TemplateQueryKeys.templateList);
+        queryClient.invalidateQueries(TemplateQueryKeys.template(id));
+      },
+    },
+  );
+};
+
+export const useDeleteLibraryTemplateMutation = (): UseMutationResult<
+  { success: boolean },
+  unknown,
+  string
+> => {
+  const queryClient = useQueryClient();
+
+  return useMutation((id) => request.delete(`/api/templates/${id}`), {
+    onSuccess: () => {
+      queryClient.invalidateQueries(TemplateQueryKeys.templateList);
+      queryClient.invalidateQueries(TemplateQueryKeys.templateOptions);
+    },
+  });
+};
+
+export const useImportBundledTemplatesMutation = (): UseMutationResult<
+  {
+    success: boolean;
+    data: { created: number; updated: number; skipped: number };
+  },
+  unknown,
+  { overwrite?: boolean }
+> => {
+  const queryClient = useQueryClient();
+
+  return useMutation((data) => request.post('/api/templates/import', data), {
+    onSuccess: () => {
+      queryClient.invalidateQueries(TemplateQueryKeys.templateList);
+      queryClient.invalidateQueries(TemplateQueryKeys.templateOptions);
+    },
+  });
+};
@@ -0,0 +1,136 @@
+import { useQuery } from '@tanstack/react-query';
+import type { QueryObserverResult, UseQueryOptions } from '@tanstack/react-query';
+import { request } from '@aipyq/data-provider';
+
+/** Template-driven tool that renders the template */
+export type TemplateTool = 'writing' | 'social' | 'bazi_astrology';
+
+export interface TemplateVariable {
+  name: string;
+  description?: string;
+  kind?: 'system' | 'input' | 'format';
+  type?: 'text' | 'number' | 'enum' | 'list';
+  required?: boolean;
+  options?: string[];
+  openOptions?: boolean;
+  example?: string;
+}
+
+export interface TemplateVersion {
+  version: number;
+  content: string;
+  variables: TemplateVariable[];
+  note?: string;
+  author?: string | null;
+  createdAt: string;
+}
+
+export interface LibraryTemplate {
+  _id: string;
+  tool: TemplateTool;
+  name: string;
+  description?: string;
+  category?: string;
+  /** Scenario tags the tools select templates by */
+  scenarios: string[];
+  /** Bundled file the template overrides */
+  path?: string | null;
+  content: string;
+  variables: TemplateVariable[];
+  version: number;
+  /** Previous versions, only returned by the detail endpoint */
+  versions?: TemplateVersion[];
+  /** Empty roles and groups mean visible to everyone */
+  visibility: { roles: string[]; groups: string[] };
+  enabled: boolean;
+  source: 'import' | 'custom';
+  createdAt: string;
+  updatedAt: string;
+}
+
+export interface LibraryTemplateListResponse {
+  success: boolean;
+  total: number;
+  data: LibraryTemplate[];
+}
+
+export interface LibraryTemplateOptions {
+  categories: string[];
+  scenarios: string[];
+  roles: string[];
+  groups: Array<{ _id: string; name: string }>;
+}
+
+const QueryKeys = {
+  templateList: ['templates', 'list'] as const,
+  template: (id: string) => ['templates', 'detail', id] as const,
+  templateOptions: ['templates', 'options'] as const,
+};
+
+export { QueryKeys as TemplateQueryKeys };
+
+/** Template library (admin only) */
+export const useGetLibraryTemplatesQuery = (
+  filters?: {
+    tool?: TemplateTool;
+    category?: string;
+    scenario?: string;
+    search?: string;
+    limit?: number;
+    skip?: number;
+  },
+  config?: UseQueryOptions<LibraryTemplateListResponse>,
+): QueryObserverResult<LibraryTemplateListResponse> => {
+  const queryParams = new URLSearchParams();
+  if (filters?.tool) queryParams.append('tool', filters.tool);
+  if (filters?.category) queryParams.append('category', filters.category);
+  if (filters?.scenario) queryParams.append('scenario', filters.scenario);
+  if (filters?.search) queryParams.append('search', filters.search);
+  if (filters?.limit) queryParams.append('limit', String(filters.limit));
+  if (filters?.skip) queryParams.append('skip', String(filters.skip));
+
+  const queryString = queryParams.toString();
+  const url = `/api/templates${queryString ? `?${queryString}` : ''}`;
+
+  return useQuery<LibraryTemplateListResponse>(
+    [...QueryKeys.templateList, filters],
+    () => request.get(url),
+    {
+      refetchOnWindowFocus: false,
+      refetchOnReconnect: false,
+      ...config,
+    },
+  );
+};
+
+/** Template with its version history (admin only) */
+export const useGetLibraryTemplateQuery = (
+  id: string | null,
+  config?: UseQueryOptions<{ success: boolean; data: LibraryTemplate }>,
+): QueryObserverResult<{ success: boolean; data: LibraryTemplate }> => {
+  return useQuery<{ success: boolean; data: LibraryTemplate }>(
+    QueryKeys.template(id ?? ''),
+    () => request.get(`/api/templates/${id}`),
+    {
+      enabled: !!id,
+      refetchOnWindowFocus: false,
+      refetchOnReconnect: false,
+      ...config,
+    },
+  );
+};
+
+/** Existing categories and scenario tags, plus roles and groups for visibility (admin only) */
+export const useGetLibraryTemplateOptionsQuery = (
+  config?: UseQueryOptions<{ success: boolean; data: LibraryTemplateOptions }>,
+): QueryObserverResult<{ success: boolean; data: LibraryTemplateOptions }> => {
+  return useQuery<{ success: boolean; data: LibraryTemplateOptions }>(
+    QueryKeys.templateOptions,
+    () => request.get('/api/templates/options'),
+    {
+      refetchOnWindowFocus: false,
+      refetchOnReconnect: false,
+      ...config,
+    },
+  );
+};
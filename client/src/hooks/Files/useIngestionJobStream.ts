@@ -0,0 +1,48 @@
+import { useEffect } from 'react';
+import { SSE } from 'sse.js';
+import { apiBaseUrl } from '@aipyq/data-provider';
+import { useQueryClient } from '@tanstack/react-query';
+import type { IngestionJob } from '~/data-provider/Files';
+import { ingestionJobsQueryKey, upsertIngestionJob } from '~/data-provider/Files';
+import { useAuthContext } from '~/hooks/AuthContext';
+
+/**
+ * Subscribes to ingestion job progress over SSE and keeps the cached job list up to date
+ * @param enabled - Only keep the stream open while the caller is visible
+ */
+export default function useIngestionJobStream(enabled = true) {
+  const queryClient = useQueryClient();
+  const { token } = useAuthContext();
+
+  useEffect(() => {
+    if (!enabled || !token) {
+      return;
+    }
+
+    const sse = new SSE(`${apiBaseUrl()}/api/files/ingestion/stream`, {
+      headers: { Authorization: `Bearer ${token}` },
+      start: false,
+    });
+
+    sse.addEventListener('message', (e: MessageEvent) => {
+      try {
+        const job = JSON.parse(e.data) as IngestionJob;
+        queryClient.setQueryData<IngestionJob[] | undefined>(ingestionJobsQueryKey, (jobs) =>
+          upsertIngestionJob(jobs, job),
+        );
+      } catch (error) {
+        console.error('[useIngestionJobStream] Failed to parse event', error);
+      }
+    });
+
+    sse.addEventListener('error', () => {
+      // 断线期间可能错过更新，重新拉取一次
+      queryClient.invalidateQueries(ingestionJobsQueryKey);
+    });
+
+    sse.stream();
+    return () => {
+      sse.close();
+    };
+  }, [enabled, token, queryClient]);
+}
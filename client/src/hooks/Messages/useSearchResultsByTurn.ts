@@ -1,5 +1,6 @@
 import { useMemo } from 'react';
 import { TAttachment, Tools, SearchResultData } from '@aipyq/data-provider';
+import type { KnowledgeBaseReference } from '@aipyq/data-provider';
 import { useLocalize } from '~/hooks';
 
 interface FileSource {
@@ -21,7 +22,8 @@ interface DeduplicatedSource {
 }
 
 /**
- * Hook that creates a map of turn numbers to SearchResultData from web search and agent file search attachments
+ * Hook that creates a map of turn numbers to SearchResultData from web search, agent file search
+ * and conversation knowledge base attachments
  * @param attachments Array of attachment metadata
  * @returns A map of turn numbers to their corresponding search result data
  */
@@ -29,6 +31,7 @@ export function useSearchResultsByTurn(attachments?: TAttachment[]) {
   const localize = useLocalize();
   const searchResultsByTurn = useMemo(() => {
     const turnMap: { [key: string]: SearchResultData } = {};
+    const knowledgeByTurn: { [key: string]: KnowledgeBaseReference[] } = {};
     let agentFileSearchTurn = 0;
 
     attachments?.forEach((attachment) => {
@@ -110,6 +113,21 @@ export function useSearchResultsByTurn(attachments?: TAttachment[]) {
         turnMap[agentFileSearchTurn.toString()] = agentSearchData;
         agentFileSearchTurn++;
       }
+
+      // Knowledge injected by conversation RAG uses its own `kb` ref type, so it can share a turn
+      if (attachment.type === Tools.knowledge_base && attachment[Tools.knowledge_base]) {
+        const { turn, sources } = attachment[Tools.knowledge_base];
+        knowledgeByTurn[turn.toString()] = sources.map((source) => ({
+          ...source,
+          link: `#kb-${source.index}`,
+          attribution: source.fileName || source.title,
+        }));
+      }
+    });
+
+    // Merged last so web search or file search results for the same turn don't overwrite them
+    Object.entries(knowledgeByTurn).forEach(([turn, knowledgeBase]) => {
+      turnMap[turn] = { turn: Number(turn), ...turnMap[turn], knowledgeBase };
     });
 
     return turnMap;
@@ -1,12 +1,18 @@
 import { atom } from 'recoil';
 import { SettingsViews, LocalStorageKeys } from '@aipyq/data-provider';
 import { atomWithLocalStorage } from '~/store/utils';
+import type { KnowledgeBaseSource } from '@aipyq/data-provider';
 import type { TOptionSettings } from '~/common';
 
 // Static atoms without localStorage
 const staticAtoms = {
   abortScroll: atom<boolean>({ key: 'abortScroll', default: false }),
   showFiles: atom<boolean>({ key: 'showFiles', default: false }),
+  /** Knowledge base source to reveal when the files view opens from a citation */
+  knowledgeBaseFocus: atom<KnowledgeBaseSource | null>({
+    key: 'knowledgeBaseFocus',
+    default: null,
+  }),
   optionSettings: atom<TOptionSettings>({ key: 'optionSettings', default: {} }),
   showPluginStoreDialog: atom<boolean>({ key: 'showPluginStoreDialog', default: false }),
   showAgentSettings: atom<boolean>({ key: 'showAgentSettings', default: false }),
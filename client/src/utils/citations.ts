@@ -1,5 +1,5 @@
 export const SPAN_REGEX = /(\\ue203.*?\\ue204)/g;
 export const COMPOSITE_REGEX = /(\\ue200.*?\\ue201)/g;
-export const STANDALONE_PATTERN = /\\ue202turn(\d+)(search|image|news|video|ref|file)(\d+)/g;
+export const STANDALONE_PATTERN = /\\ue202turn(\d+)(search|image|news|video|ref|file|kb)(\d+)/g;
 export const CLEANUP_REGEX = /\\ue200|\\ue201|\\ue202|\\ue203|\\ue204|\\ue206/g;
-export const INVALID_CITATION_REGEX = /\s*\\ue202turn\d+(search|news|image|video|ref|file)\d+/g;
+export const INVALID_CITATION_REGEX = /\s*\\ue202turn\d+(search|news|image|video|ref|file|kb)\d+/g;
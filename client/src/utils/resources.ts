@@ -36,6 +36,17 @@ export const RESOURCE_CONFIGS: Record<ResourceType, ResourceConfig> = {
       `Manage permissions for ${name && name !== '' ? `"${name}"` : 'prompt'}`,
     getCopyUrlMessage: () => 'Prompt URL copied',
   },
+  [ResourceType.KNOWLEDGEBASE]: {
+    resourceType: ResourceType.KNOWLEDGEBASE,
+    defaultViewerRoleId: AccessRoleIds.KNOWLEDGEBASE_VIEWER,
+    defaultEditorRoleId: AccessRoleIds.KNOWLEDGEBASE_EDITOR,
+    defaultOwnerRoleId: AccessRoleIds.KNOWLEDGEBASE_OWNER,
+    getResourceName: (name?: string) => (name && name !== '' ? `"${name}"` : 'knowledge base'),
+    getShareMessage: (name?: string) => (name && name !== '' ? `"${name}"` : 'knowledge base'),
+    getManageMessage: (name?: string) =>
+      `Manage permissions for ${name && name !== '' ? `"${name}"` : 'knowledge base'}`,
+    getCopyUrlMessage: () => 'Knowledge base URL copied',
+  },
 };
 
 export const getResourceConfig = (resourceType: ResourceType): ResourceConfig | undefined => {
@@ -0,0 +1,41 @@
+import { agentCreateSchema, agentUpdateSchema } from './validation';
+
+describe('agent rag validation', () => {
+  const baseAgent = { provider: 'openai', model: 'gpt-4o' };
+
+  it('accepts a complete rag configuration', () => {
+    const rag = {
+      enabled: true,
+      types: ['qa_pair', 'file'],
+      entityIds: ['datasource-1'],
+      knowledgeBaseIds: ['6650f0c2a1b2c3d4e5f60718'],
+      topK: 8,
+      minScore: 0.35,
+      reranking: 'enhanced',
+      maxContextTokens: 4000,
+      contextRatio: 0.2,
+    };
+
+    expect(agentCreateSchema.parse({ ...baseAgent, rag }).rag).toEqual(rag);
+    expect(agentUpdateSchema.parse({ rag: { enabled: false } }).rag).toEqual({ enabled: false });
+  });
+
+  it('trims entity IDs', () => {
+    const { rag } = agentUpdateSchema.parse({ rag: { entityIds: [' datasource-1 '] } });
+
+    expect(rag?.entityIds).toEqual(['datasource-1']);
+  });
+
+  it.each([
+    ['unknown knowledge type', { types: ['web_page'] }],
+    ['empty entity ID', { entityIds: ['  '] }],
+    ['malformed knowledge base ID', { knowledgeBaseIds: ['team-kb'] }],
+    ['non-integer topK', { topK: 2.5 }],
+    ['topK above the limit', { topK: 100 }],
+    ['minScore above 1', { minScore: 1.2 }],
+    ['unknown reranking mode', { reranking: 'cohere' }],
+    ['context ratio of 1', { contextRatio: 1 }],
+  ])('rejects %s', (_label, rag) => {
+    expect(() => agentUpdateSchema.parse({ rag })).toThrow();
+  });
+});
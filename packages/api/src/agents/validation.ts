@@ -1,5 +1,10 @@
 import { z } from 'zod';
-import { ViolationTypes, ErrorTypes } from '@aipyq/data-provider';
+import {
+  ViolationTypes,
+  ErrorTypes,
+  KnowledgeTypes,
+  RAGRerankingModes,
+} from '@aipyq/data-provider';
 import type { Agent, TModelsConfig } from '@aipyq/data-provider';
 import type { Request, Response } from 'express';
 
@@ -40,6 +45,33 @@ export const agentSupportContactSchema = z
   })
   .optional();
 
+/** SQL guard schema for agents using SQL-executing tools */
+export const agentSQLGuardSchema = z
+  .object({
+    allowed_tables: z.array(z.string().min(1)).optional(),
+    max_rows: z.number().int().positive().max(10000).optional(),
+    statement_timeout_ms: z.number().int().positive().max(600000).optional(),
+  })
+  .optional();
+
+/** Conversation RAG settings for agents */
+export const agentRAGSchema = z
+  .object({
+    enabled: z.boolean().optional(),
+    types: z.array(z.nativeEnum(KnowledgeTypes)).optional(),
+    entityIds: z.array(z.string().trim().min(1)).max(20).optional(),
+    knowledgeBaseIds: z
+      .array(z.string().regex(/^[a-f\d]{24}$/i, 'Invalid knowledge base ID'))
+      .max(20)
+      .optional(),
+    topK: z.number().int().min(1).max(50).optional(),
+    minScore: z.number().min(0).max(1).optional(),
+    reranking: z.nativeEnum(RAGRerankingModes).optional(),
+    maxContextTokens: z.number().int().positive().optional(),
+    contextRatio: z.number().gt(0).lt(1).optional(),
+  })
+  .optional();
+
 /** Graph edge schema for agent handoffs */
 export const graphEdgeSchema = z.object({
   from: z.union([z.string(), z.array(z.string())]),
@@ -69,6 +101,8 @@ export const agentBaseSchema = z.object({
   conversation_starters: z.array(z.string()).optional(),
   tool_resources: agentToolResourcesSchema,
   support_contact: agentSupportContactSchema,
+  sql_guard: agentSQLGuardSchema,
+  rag: agentRAGSchema,
   category: z.string().optional(),
 });
 
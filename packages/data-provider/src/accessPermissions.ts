@@ -45,6 +45,7 @@ export type TAccessLevel = 'none' | 'viewer' | 'editor' | 'owner';
 export enum ResourceType {
   AGENT = 'agent',
   PROMPTGROUP = 'promptGroup',
+  KNOWLEDGEBASE = 'knowledgeBase',
 }
 
 /**
@@ -71,6 +72,9 @@ export enum AccessRoleIds {
   PROMPTGROUP_VIEWER = 'promptGroup_viewer',
   PROMPTGROUP_EDITOR = 'promptGroup_editor',
   PROMPTGROUP_OWNER = 'promptGroup_owner',
+  KNOWLEDGEBASE_VIEWER = 'knowledgeBase_viewer',
+  KNOWLEDGEBASE_EDITOR = 'knowledgeBase_editor',
+  KNOWLEDGEBASE_OWNER = 'knowledgeBase_owner',
 }
 
 // ===== ZOD SCHEMAS =====
@@ -2,7 +2,7 @@ import { z } from 'zod';
 import { Tools } from './types/assistants';
 import type { TMessageContentParts, FunctionTool, FunctionToolCall } from './types/assistants';
 import { TFeedback, feedbackSchema } from './feedback';
-import type { SearchResultData } from './types/web';
+import type { SearchResultData, KnowledgeBaseResultData } from './types/web';
 import type { TFile } from './types/files';
 
 export const isUUID = z.string().uuid();
@@ -244,6 +244,7 @@ export const defaultAgentFormValues = {
     name: '',
     email: '',
   },
+  rag: {},
 };
 
 export const ImageVisionTool: FunctionTool = {
@@ -649,6 +650,7 @@ export type TAttachmentMetadata = {
   [Tools.ui_resources]?: UIResource[];
   [Tools.web_search]?: SearchResultData;
   [Tools.file_search]?: SearchResultData;
+  [Tools.knowledge_base]?: KnowledgeBaseResultData;
 };
 
 export type TAttachment =
@@ -24,6 +24,7 @@ export enum Tools {
   function = 'function',
   memory = 'memory',
   ui_resources = 'ui_resources',
+  knowledge_base = 'knowledge_base',
 }
 
 export enum EToolResources {
@@ -205,6 +206,51 @@ export type SupportContact = {
   email?: string;
 };
 
+export type AgentSQLGuard = {
+  /** Tables the agent may query; empty or missing means no table restriction */
+  allowed_tables?: string[];
+  /** Upper bound for the automatically applied `LIMIT` */
+  max_rows?: number;
+  /** Statement timeout in milliseconds */
+  statement_timeout_ms?: number;
+};
+
+/** Knowledge entry types searched by conversation RAG */
+export enum KnowledgeTypes {
+  SEMANTIC_MODEL = 'semantic_model',
+  QA_PAIR = 'qa_pair',
+  SYNONYM = 'synonym',
+  BUSINESS_KNOWLEDGE = 'business_knowledge',
+  FILE = 'file',
+}
+
+/** How conversation RAG reorders retrieved knowledge */
+export enum RAGRerankingModes {
+  NONE = 'none',
+  STANDARD = 'standard',
+  /** Standard reranking blended with knowledge type and recency weights */
+  ENHANCED = 'enhanced',
+}
+
+export type AgentRAGConfig = {
+  /** Inject retrieved knowledge into conversations; enabled when missing */
+  enabled?: boolean;
+  /** Knowledge types to search; empty or missing searches all types */
+  types?: KnowledgeTypes[];
+  /** Data source entity IDs the search is restricted to; empty or missing searches all */
+  entityIds?: string[];
+  /** Shared knowledge bases searched instead of the author's private entries */
+  knowledgeBaseIds?: string[];
+  topK?: number;
+  /** Minimum similarity score (0-1) */
+  minScore?: number;
+  reranking?: RAGRerankingModes;
+  /** Token budget for injected knowledge; overrides `contextRatio` */
+  maxContextTokens?: number;
+  /** Share of the model context window used for injected knowledge */
+  contextRatio?: number;
+};
+
 export type Agent = {
   _id?: string;
   id: string;
@@ -240,6 +286,8 @@ export type Agent = {
   version?: number;
   category?: string;
   support_contact?: SupportContact;
+  sql_guard?: AgentSQLGuard;
+  rag?: AgentRAGConfig;
 };
 
 export type TAgentsMap = Record<string, Agent | undefined>;
@@ -264,6 +312,8 @@ export type AgentCreateParams = {
   | 'recursion_limit'
   | 'category'
   | 'support_contact'
+  | 'sql_guard'
+  | 'rag'
 >;
 
 export type AgentUpdateParams = {
@@ -290,6 +340,8 @@ export type AgentUpdateParams = {
   | 'recursion_limit'
   | 'category'
   | 'support_contact'
+  | 'sql_guard'
+  | 'rag'
 >;
 
 export type AgentListParams = {
@@ -1,7 +1,7 @@
 import type { Logger as WinstonLogger } from 'winston';
 import type { RunnableConfig } from '@langchain/core/runnables';
 
-export type SearchRefType = 'search' | 'image' | 'news' | 'video' | 'ref';
+export type SearchRefType = 'search' | 'image' | 'news' | 'video' | 'ref' | 'kb';
 
 export enum DATE_RANGE {
   PAST_HOUR = 'h',
@@ -38,6 +38,44 @@ export type ResultReference = {
   title?: string;
   attribution?: string;
 };
+/** Knowledge base entry or file chunk injected into the agent context by conversation RAG */
+export type KnowledgeBaseSource = {
+  /** Position in the injected context, matches the `\ue202turn0kb{index}` anchor */
+  index: number;
+  entryType: string;
+  entryId?: string;
+  title: string;
+  fileId?: string;
+  fileName?: string;
+  page?: number;
+  pageEnd?: number;
+  sectionTitle?: string;
+  chunkIndex?: number;
+  /** Last chunk index when adjacent chunks were merged into one source */
+  chunkIndexEnd?: number;
+  score: number;
+  snippet: string;
+  content: string;
+};
+
+export type KnowledgeBasePlan = {
+  method: 'llm' | 'local';
+  rewrittenQuery: string;
+  queries: Array<{ text: string; kind: 'rewrite' | 'sub' | 'synonym' | 'hyde' }>;
+};
+
+export type KnowledgeBaseResultData = {
+  turn: number;
+  sources: KnowledgeBaseSource[];
+  /** Retrieval plan (rewritten query and expanded queries), kept for debugging */
+  plan?: KnowledgeBasePlan;
+};
+
+export type KnowledgeBaseReference = KnowledgeBaseSource & {
+  link: string;
+  attribution?: string;
+};
+
 export interface SearchResultData {
   turn?: number;
   organic?: ProcessedOrganic[];
@@ -52,6 +90,7 @@ export interface SearchResultData {
   peopleAlsoAsk?: PeopleAlsoAskResult[];
   relatedSearches?: Array<{ query: string }>;
   references?: ResultReference[];
+  knowledgeBase?: KnowledgeBaseReference[];
   error?: string;
 }
 
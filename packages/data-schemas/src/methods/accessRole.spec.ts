@@ -200,6 +200,9 @@ describe('AccessRole Model Tests', () => {
           AccessRoleIds.PROMPTGROUP_EDITOR,
           AccessRoleIds.PROMPTGROUP_OWNER,
           AccessRoleIds.PROMPTGROUP_VIEWER,
+          AccessRoleIds.KNOWLEDGEBASE_EDITOR,
+          AccessRoleIds.KNOWLEDGEBASE_OWNER,
+          AccessRoleIds.KNOWLEDGEBASE_VIEWER,
         ].sort(),
       );
 
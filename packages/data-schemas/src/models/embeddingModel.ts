@@ -0,0 +1,12 @@
+import embeddingModelSchema from '~/schema/embeddingModel';
+import type { IEmbeddingModel } from '~/types/embeddingModel';
+
+/**
+ * Creates or returns the EmbeddingModel model (embedding model registry)
+ */
+export function createEmbeddingModelModel(mongoose: typeof import('mongoose')) {
+  return (
+    mongoose.models.EmbeddingModel ||
+    mongoose.model<IEmbeddingModel>('EmbeddingModel', embeddingModelSchema)
+  );
+}
@@ -25,6 +25,14 @@ import { createMemoryModel } from './memory';
 import { createAccessRoleModel } from './accessRole';
 import { createAclEntryModel } from './aclEntry';
 import { createGroupModel } from './group';
+import { createRagEvalSetModel, createRagEvalRunModel } from './ragEval';
+import { createEmbeddingModelModel } from './embeddingModel';
+import { createKnowledgeBaseModel } from './knowledgeBase';
+import { createKnowledgeEntryVersionModel } from './knowledgeEntryVersion';
+import { createKnowledgeCandidateModel } from './knowledgeCandidate';
+import { createKnowledgeDuplicateClusterModel } from './knowledgeDuplicateCluster';
+import { createIngestionJobModel } from './ingestionJob';
+import { createToolTemplateModel } from './toolTemplate';
 
 /**
  * Creates all database models for all collections
@@ -58,5 +66,14 @@ export function createModels(mongoose: typeof import('mongoose')) {
     AccessRole: createAccessRoleModel(mongoose),
     AclEntry: createAclEntryModel(mongoose),
     Group: createGroupModel(mongoose),
+    RagEvalSet: createRagEvalSetModel(mongoose),
+    RagEvalRun: createRagEvalRunModel(mongoose),
+    EmbeddingModel: createEmbeddingModelModel(mongoose),
+    KnowledgeBase: createKnowledgeBaseModel(mongoose),
+    KnowledgeEntryVersion: createKnowledgeEntryVersionModel(mongoose),
+    KnowledgeCandidate: createKnowledgeCandidateModel(mongoose),
+    KnowledgeDuplicateCluster: createKnowledgeDuplicateClusterModel(mongoose),
+    IngestionJob: createIngestionJobModel(mongoose),
+    ToolTemplate: createToolTemplateModel(mongoose),
   };
 }
@@ -0,0 +1,12 @@
+import ingestionJobSchema from '~/schema/ingestionJob';
+import type { IIngestionJob } from '~/types/ingestionJob';
+
+/**
+ * Creates or returns the IngestionJob model (background file vectorization with checkpoints)
+ */
+export function createIngestionJobModel(mongoose: typeof import('mongoose')) {
+  return (
+    mongoose.models.IngestionJob ||
+    mongoose.model<IIngestionJob>('IngestionJob', ingestionJobSchema)
+  );
+}
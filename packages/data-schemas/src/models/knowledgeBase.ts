@@ -0,0 +1,12 @@
+import knowledgeBaseSchema from '~/schema/knowledgeBase';
+import type { IKnowledgeBase } from '~/types/knowledgeBase';
+
+/**
+ * Creates or returns the KnowledgeBase model (shareable knowledge entry collections)
+ */
+export function createKnowledgeBaseModel(mongoose: typeof import('mongoose')) {
+  return (
+    mongoose.models.KnowledgeBase ||
+    mongoose.model<IKnowledgeBase>('KnowledgeBase', knowledgeBaseSchema)
+  );
+}
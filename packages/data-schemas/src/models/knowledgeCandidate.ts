@@ -0,0 +1,12 @@
+import knowledgeCandidateSchema from '~/schema/knowledgeCandidate';
+import type { IKnowledgeCandidate } from '~/types/knowledgeCandidate';
+
+/**
+ * Creates or returns the KnowledgeCandidate model (knowledge curation queue built from answer feedback)
+ */
+export function createKnowledgeCandidateModel(mongoose: typeof import('mongoose')) {
+  return (
+    mongoose.models.KnowledgeCandidate ||
+    mongoose.model<IKnowledgeCandidate>('KnowledgeCandidate', knowledgeCandidateSchema)
+  );
+}
@@ -0,0 +1,15 @@
+import knowledgeDuplicateClusterSchema from '~/schema/knowledgeDuplicateCluster';
+import type { IKnowledgeDuplicateCluster } from '~/types/knowledgeDuplicateCluster';
+
+/**
+ * Creates or returns the KnowledgeDuplicateCluster model (near-duplicate knowledge entries awaiting merge)
+ */
+export function createKnowledgeDuplicateClusterModel(mongoose: typeof import('mongoose')) {
+  return (
+    mongoose.models.KnowledgeDuplicateCluster ||
+    mongoose.model<IKnowledgeDuplicateCluster>(
+      'KnowledgeDuplicateCluster',
+      knowledgeDuplicateClusterSchema,
+    )
+  );
+}
@@ -0,0 +1,12 @@
+import knowledgeEntryVersionSchema from '~/schema/knowledgeEntryVersion';
+import type { IKnowledgeEntryVersion } from '~/types/knowledgeEntryVersion';
+
+/**
+ * Creates or returns the KnowledgeEntryVersion model (knowledge entry audit history)
+ */
+export function createKnowledgeEntryVersionModel(mongoose: typeof import('mongoose')) {
+  return (
+    mongoose.models.KnowledgeEntryVersion ||
+    mongoose.model<IKnowledgeEntryVersion>('KnowledgeEntryVersion', knowledgeEntryVersionSchema)
+  );
+}
@@ -0,0 +1,17 @@
+import ragEvalSetSchema from '~/schema/ragEvalSet';
+import ragEvalRunSchema from '~/schema/ragEvalRun';
+import type { IRagEvalSet, IRagEvalRun } from '~/types/ragEval';
+
+/**
+ * Creates or returns the RagEvalSet model (golden question sets for RAG evaluation)
+ */
+export function createRagEvalSetModel(mongoose: typeof import('mongoose')) {
+  return mongoose.models.RagEvalSet || mongoose.model<IRagEvalSet>('RagEvalSet', ragEvalSetSchema);
+}
+
+/**
+ * Creates or returns the RagEvalRun model (stored RAG evaluation results)
+ */
+export function createRagEvalRunModel(mongoose: typeof import('mongoose')) {
+  return mongoose.models.RagEvalRun || mongoose.model<IRagEvalRun>('RagEvalRun', ragEvalRunSchema);
+}
@@ -0,0 +1,12 @@
+import toolTemplateSchema from '~/schema/toolTemplate';
+import type { IToolTemplate } from '~/types/toolTemplate';
+
+/**
+ * Creates or returns the ToolTemplate model (admin-managed template library for template-driven tools)
+ */
+export function createToolTemplateModel(mongoose: typeof import('mongoose')) {
+  return (
+    mongoose.models.ToolTemplate ||
+    mongoose.model<IToolTemplate>('ToolTemplate', toolTemplateSchema)
+  );
+}
@@ -107,6 +107,14 @@ const agentSchema = new Schema<IAgent>(
       type: Schema.Types.Mixed,
       default: undefined,
     },
+    sql_guard: {
+      type: Schema.Types.Mixed,
+      default: undefined,
+    },
+    rag: {
+      type: Schema.Types.Mixed,
+      default: undefined,
+    },
     is_promoted: {
       type: Boolean,
       default: false,
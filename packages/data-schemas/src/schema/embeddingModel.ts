@@ -0,0 +1,41 @@
+import { Schema } from 'mongoose';
+import type { IEmbeddingModel } from '~/types/embeddingModel';
+
+const embeddingModelSchema: Schema<IEmbeddingModel> = new Schema(
+  {
+    modelId: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    provider: {
+      type: String,
+      enum: ['onnx', 'rag_api', 'local'],
+      required: true,
+    },
+    dimension: {
+      type: Number,
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: ['active', 'migrating', 'retired', 'failed'],
+      default: 'retired',
+      index: true,
+    },
+    legacy: {
+      type: Boolean,
+      default: false,
+    },
+    activatedAt: {
+      type: Date,
+    },
+    migration: {
+      type: Schema.Types.Mixed,
+      default: undefined,
+    },
+  },
+  { timestamps: true },
+);
+
+export default embeddingModelSchema;
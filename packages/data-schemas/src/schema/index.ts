@@ -24,3 +24,12 @@ export { default as transactionSchema } from './transaction';
 export { default as userSchema } from './user';
 export { default as memorySchema } from './memory';
 export { default as groupSchema } from './group';
+export { default as ragEvalSetSchema } from './ragEvalSet';
+export { default as ragEvalRunSchema } from './ragEvalRun';
+export { default as embeddingModelSchema } from './embeddingModel';
+export { default as knowledgeBaseSchema } from './knowledgeBase';
+export { default as knowledgeEntryVersionSchema } from './knowledgeEntryVersion';
+export { default as knowledgeCandidateSchema } from './knowledgeCandidate';
+export { default as knowledgeDuplicateClusterSchema } from './knowledgeDuplicateCluster';
+export { default as ingestionJobSchema } from './ingestionJob';
+export { default as toolTemplateSchema } from './toolTemplate';
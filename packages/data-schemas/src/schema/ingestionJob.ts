@@ -0,0 +1,92 @@
+import { Schema } from 'mongoose';
+import type { IIngestionJob } from '~/types/ingestionJob';
+
+const ingestionJobSchema: Schema<IIngestionJob> = new Schema(
+  {
+    file_id: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    user: {
+      type: Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true,
+    },
+    entity_id: {
+      type: String,
+      default: null,
+    },
+    filename: {
+      type: String,
+      required: true,
+    },
+    mimeType: {
+      type: String,
+      required: true,
+    },
+    bytes: {
+      type: Number,
+      default: 0,
+    },
+    sourcePath: {
+      type: String,
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: ['queued', 'running', 'completed', 'failed'],
+      default: 'queued',
+    },
+    totalChunks: {
+      type: Number,
+      default: 0,
+    },
+    processedChunks: {
+      type: Number,
+      default: 0,
+    },
+    failedChunks: {
+      type: Number,
+      default: 0,
+    },
+    embeddingModel: {
+      type: String,
+      default: null,
+    },
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    maxAttempts: {
+      type: Number,
+      default: 3,
+    },
+    nextRunAt: {
+      type: Date,
+      default: null,
+    },
+    heartbeatAt: {
+      type: Date,
+      default: null,
+    },
+    lastError: {
+      type: String,
+      default: null,
+    },
+    startedAt: {
+      type: Date,
+      default: null,
+    },
+    completedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  { timestamps: true },
+);
+
+ingestionJobSchema.index({ status: 1, nextRunAt: 1, createdAt: 1 });
+
+export default ingestionJobSchema;
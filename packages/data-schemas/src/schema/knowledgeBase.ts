@@ -0,0 +1,34 @@
+import { Schema } from 'mongoose';
+import type { IKnowledgeBase } from '~/types/knowledgeBase';
+
+const knowledgeBaseSchema: Schema<IKnowledgeBase> = new Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    description: {
+      type: String,
+      default: '',
+    },
+    author: {
+      type: Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true,
+    },
+    authorName: {
+      type: String,
+    },
+    entityId: {
+      type: String,
+      index: true,
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+export default knowledgeBaseSchema;
@@ -0,0 +1,93 @@
+import { Schema } from 'mongoose';
+import type { IKnowledgeCandidate } from '~/types/knowledgeCandidate';
+
+const knowledgeCandidateSchema: Schema<IKnowledgeCandidate> = new Schema(
+  {
+    kind: {
+      type: String,
+      enum: ['qa', 'flagged'],
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: ['pending', 'approved', 'rejected', 'resolved'],
+      default: 'pending',
+    },
+    user: {
+      type: Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    conversationId: {
+      type: String,
+      required: true,
+    },
+    messageId: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    agentId: {
+      type: String,
+      required: true,
+      index: true,
+    },
+    agentAuthor: {
+      type: Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+    question: {
+      type: String,
+      default: '',
+    },
+    answer: {
+      type: String,
+      default: '',
+    },
+    feedback: {
+      rating: { type: String, enum: ['thumbsUp', 'thumbsDown'], required: true },
+      tag: { type: Schema.Types.Mixed },
+      text: { type: String },
+    },
+    retrievedEntries: {
+      type: [
+        {
+          _id: false,
+          entryId: { type: String },
+          entryType: { type: String },
+          title: { type: String },
+          fileId: { type: String },
+          score: { type: Number },
+        },
+      ],
+      default: [],
+    },
+    duplicate: {
+      type: Schema.Types.Mixed,
+      default: null,
+    },
+    entityId: {
+      type: String,
+    },
+    knowledgeBaseId: {
+      type: String,
+    },
+    reviewedBy: {
+      type: Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+    reviewedAt: {
+      type: Date,
+    },
+    approvedEntryId: {
+      type: String,
+    },
+  },
+  { timestamps: true },
+);
+
+knowledgeCandidateSchema.index({ status: 1, kind: 1, createdAt: -1 });
+
+export default knowledgeCandidateSchema;
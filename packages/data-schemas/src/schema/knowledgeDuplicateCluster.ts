@@ -0,0 +1,63 @@
+import { Schema } from 'mongoose';
+import type { IKnowledgeDuplicateCluster } from '~/types/knowledgeDuplicateCluster';
+
+const knowledgeDuplicateClusterSchema: Schema<IKnowledgeDuplicateCluster> = new Schema(
+  {
+    type: {
+      type: String,
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: ['pending', 'merged', 'dismissed'],
+      default: 'pending',
+    },
+    user: {
+      type: Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+    knowledgeBaseId: {
+      type: String,
+      default: null,
+    },
+    entityId: {
+      type: String,
+      default: null,
+    },
+    signature: {
+      type: String,
+      required: true,
+      index: true,
+    },
+    members: {
+      type: [
+        {
+          _id: false,
+          entryId: { type: String, required: true },
+          title: { type: String },
+          similarity: { type: Number, required: true },
+          createdAt: { type: Date },
+        },
+      ],
+      default: [],
+    },
+    canonicalId: {
+      type: String,
+      required: true,
+    },
+    reviewedBy: {
+      type: Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+    reviewedAt: {
+      type: Date,
+    },
+  },
+  { timestamps: true },
+);
+
+knowledgeDuplicateClusterSchema.index({ status: 1, type: 1, createdAt: -1 });
+
+export default knowledgeDuplicateClusterSchema;
@@ -0,0 +1,64 @@
+import { Schema } from 'mongoose';
+import type { IKnowledgeEntryVersion } from '~/types/knowledgeEntryVersion';
+
+const knowledgeEntryVersionSchema: Schema<IKnowledgeEntryVersion> = new Schema(
+  {
+    entryId: {
+      type: Schema.Types.ObjectId,
+      required: true,
+    },
+    version: {
+      type: Number,
+      required: true,
+    },
+    action: {
+      type: String,
+      enum: ['baseline', 'create', 'update', 'restore', 'delete'],
+      required: true,
+    },
+    type: {
+      type: String,
+      required: true,
+    },
+    user: {
+      type: Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    knowledgeBaseId: {
+      type: String,
+      default: null,
+    },
+    author: {
+      type: Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+    snapshot: {
+      title: { type: String, default: '' },
+      content: { type: String, default: '' },
+      metadata: { type: Schema.Types.Mixed, default: {} },
+      parent_id: { type: Schema.Types.ObjectId, default: null },
+    },
+    changes: {
+      type: [
+        {
+          _id: false,
+          field: { type: String, required: true },
+          before: { type: Schema.Types.Mixed },
+          after: { type: Schema.Types.Mixed },
+        },
+      ],
+      default: [],
+    },
+    restoredFrom: {
+      type: Number,
+    },
+  },
+  { timestamps: { createdAt: true, updatedAt: false }, minimize: false },
+);
+
+knowledgeEntryVersionSchema.index({ entryId: 1, version: -1 }, { unique: true });
+knowledgeEntryVersionSchema.index({ knowledgeBaseId: 1, createdAt: -1 });
+
+export default knowledgeEntryVersionSchema;
@@ -0,0 +1,82 @@
+import { Schema } from 'mongoose';
+import type { IRagEvalRun } from '~/types/ragEval';
+
+const ragEvalConfigResultSchema = new Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+    },
+    options: {
+      type: Schema.Types.Mixed,
+      default: {},
+    },
+    metrics: {
+      type: Schema.Types.Mixed,
+      default: {},
+    },
+    questions: {
+      type: Schema.Types.Mixed,
+      default: [],
+    },
+    delta: {
+      type: Schema.Types.Mixed,
+      default: null,
+    },
+    regressions: {
+      type: [String],
+      default: [],
+    },
+  },
+  { _id: false },
+);
+
+const ragEvalRunSchema: Schema<IRagEvalRun> = new Schema(
+  {
+    user: {
+      type: Schema.Types.ObjectId,
+      ref: 'User',
+      index: true,
+      required: true,
+    },
+    evalSet: {
+      type: Schema.Types.ObjectId,
+      ref: 'RagEvalSet',
+      required: true,
+    },
+    setName: {
+      type: String,
+      required: true,
+    },
+    questionCount: {
+      type: Number,
+      default: 0,
+    },
+    status: {
+      type: String,
+      enum: ['running', 'completed', 'failed'],
+      default: 'running',
+    },
+    error: {
+      type: String,
+    },
+    environment: {
+      type: Schema.Types.Mixed,
+      default: {},
+    },
+    configurations: {
+      type: [ragEvalConfigResultSchema],
+      default: [],
+    },
+    baselineRun: {
+      type: Schema.Types.ObjectId,
+      ref: 'RagEvalRun',
+      default: null,
+    },
+  },
+  { timestamps: true },
+);
+
+ragEvalRunSchema.index({ evalSet: 1, createdAt: -1 });
+
+export default ragEvalRunSchema;
@@ -0,0 +1,71 @@
+import { Schema } from 'mongoose';
+import type { IRagEvalSet } from '~/types/ragEval';
+
+const ragEvalQuestionSchema = new Schema(
+  {
+    qid: {
+      type: String,
+      required: true,
+    },
+    query: {
+      type: String,
+      required: true,
+    },
+    expectedEntryIds: {
+      type: [String],
+      default: [],
+    },
+    expectedChunks: {
+      type: [
+        {
+          _id: false,
+          fileId: { type: String, required: true },
+          chunkIndex: { type: Number },
+        },
+      ],
+      default: [],
+    },
+    entityId: {
+      type: String,
+    },
+    types: {
+      type: [String],
+      default: undefined,
+    },
+    fileIds: {
+      type: [String],
+      default: undefined,
+    },
+  },
+  { _id: false },
+);
+
+const ragEvalSetSchema: Schema<IRagEvalSet> = new Schema(
+  {
+    user: {
+      type: Schema.Types.ObjectId,
+      ref: 'User',
+      index: true,
+      required: true,
+    },
+    name: {
+      type: String,
+      required: true,
+    },
+    description: {
+      type: String,
+    },
+    entityId: {
+      type: String,
+    },
+    questions: {
+      type: [ragEvalQuestionSchema],
+      default: [],
+    },
+  },
+  { timestamps: true },
+);
+
+ragEvalSetSchema.index({ user: 1, name: 1 });
+
+export default ragEvalSetSchema;
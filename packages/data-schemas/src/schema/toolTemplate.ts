@@ -0,0 +1,106 @@
+import { Schema } from 'mongoose';
+import type { IToolTemplate } from '~/types/toolTemplate';
+
+const variableSchema = new Schema(
+  {
+    name: { type: String, required: true },
+    description: { type: String, default: '' },
+    kind: { type: String, enum: ['system', 'input', 'format'], default: 'input' },
+    type: { type: String, enum: ['text', 'number', 'enum', 'list'], default: 'text' },
+    required: { type: Boolean, default: false },
+    options: { type: [String], default: undefined },
+    openOptions: { type: Boolean },
+    example: { type: String },
+  },
+  { _id: false },
+);
+
+const toolTemplateSchema: Schema<IToolTemplate> = new Schema(
+  {
+    tool: {
+      type: String,
+      enum: ['writing', 'social', 'bazi_astrology'],
+      required: true,
+    },
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    description: {
+      type: String,
+      default: '',
+    },
+    category: {
+      type: String,
+      default: '',
+      index: true,
+    },
+    scenarios: {
+      type: [String],
+      default: [],
+    },
+    path: {
+      type: String,
+      default: null,
+    },
+    content: {
+      type: String,
+      required: true,
+    },
+    variables: {
+      type: [variableSchema],
+      default: [],
+    },
+    version: {
+      type: Number,
+      default: 1,
+    },
+    versions: {
+      type: [
+        {
+          _id: false,
+          version: { type: Number, required: true },
+          content: { type: String, default: '' },
+          variables: { type: [variableSchema], default: [] },
+          note: { type: String },
+          author: { type: Schema.Types.ObjectId, ref: 'User', default: null },
+          createdAt: { type: Date, default: Date.now },
+        },
+      ],
+      default: [],
+    },
+    visibility: {
+      roles: { type: [String], default: [] },
+      groups: { type: [{ type: Schema.Types.ObjectId, ref: 'Group' }], default: [] },
+    },
+    enabled: {
+      type: Boolean,
+      default: true,
+    },
+    source: {
+      type: String,
+      enum: ['import', 'custom'],
+      default: 'custom',
+    },
+    author: {
+      type: Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+    updatedBy: {
+      type: Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+  },
+  { timestamps: true },
+);
+
+toolTemplateSchema.index({ tool: 1, scenarios: 1, updatedAt: -1 });
+toolTemplateSchema.index(
+  { tool: 1, path: 1 },
+  { unique: true, partialFilterExpression: { path: { $type: 'string' } } },
+);
+
+export default toolTemplateSchema;
@@ -6,6 +6,33 @@ export interface ISupportContact {
   email?: string;
 }
 
+/** Guardrails applied to SQL-executing tools (e.g. `text_to_sql`, `database_schema`) */
+export interface IAgentSQLGuard {
+  /** Tables the agent may query; empty or missing means no table restriction */
+  allowed_tables?: string[];
+  /** Upper bound for the automatically applied `LIMIT` */
+  max_rows?: number;
+  /** Statement timeout in milliseconds */
+  statement_timeout_ms?: number;
+}
+
+/** Conversation RAG settings (see `ConversationRAGService.getAgentRAGConfig`) */
+export interface IAgentRAGConfig {
+  enabled?: boolean;
+  /** Knowledge types to search; empty or missing searches all types */
+  types?: string[];
+  /** Data source entity IDs the search is restricted to */
+  entityIds?: string[];
+  /** Shared knowledge bases searched instead of the author's private entries */
+  knowledgeBaseIds?: string[];
+  topK?: number;
+  minScore?: number;
+  /** `none`, `standard` or `enhanced` */
+  reranking?: string;
+  maxContextTokens?: number;
+  contextRatio?: number;
+}
+
 export interface IAgent extends Omit<Document, 'model'> {
   id: string;
   name?: string;
@@ -39,5 +66,7 @@ export interface IAgent extends Omit<Document, 'model'> {
   versions?: Omit<IAgent, 'versions'>[];
   category: string;
   support_contact?: ISupportContact;
+  sql_guard?: IAgentSQLGuard;
+  rag?: IAgentRAGConfig;
   is_promoted?: boolean;
 }
@@ -0,0 +1,30 @@
+import type { Document } from 'mongoose';
+
+/** Lifecycle of a registered embedding model */
+export type EmbeddingModelStatus = 'active' | 'migrating' | 'retired' | 'failed';
+
+/** Progress of the re-embedding job that migrates the knowledge base to a model */
+export interface IEmbeddingMigration {
+  phase?: 'files' | 'knowledge' | 'catchup' | 'cutover' | 'completed';
+  total?: number;
+  processed?: number;
+  startedAt?: Date;
+  finishedAt?: Date;
+  heartbeatAt?: Date;
+  fromModelId?: string;
+  retiredTable?: string;
+  error?: string;
+}
+
+export interface IEmbeddingModel extends Document {
+  modelId: string;
+  provider: 'onnx' | 'rag_api' | 'local';
+  dimension: number;
+  status: EmbeddingModelStatus;
+  /** Vectors stored before model provenance was recorded belong to this model */
+  legacy?: boolean;
+  activatedAt?: Date;
+  migration?: IEmbeddingMigration;
+  createdAt?: Date;
+  updatedAt?: Date;
+}
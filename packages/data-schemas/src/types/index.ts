@@ -25,5 +25,14 @@ export * from './prompts';
 export * from './accessRole';
 export * from './aclEntry';
 export * from './group';
+/* RAG evaluation */
+export * from './ragEval';
+export * from './embeddingModel';
+export * from './knowledgeBase';
+export * from './knowledgeEntryVersion';
+export * from './knowledgeCandidate';
+export * from './knowledgeDuplicateCluster';
+export * from './ingestionJob';
+export * from './toolTemplate';
 /* Web */
 export * from './web';
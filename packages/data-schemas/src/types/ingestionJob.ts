@@ -0,0 +1,41 @@
+import type { Document, Types } from 'mongoose';
+
+/**
+ * - `queued`: waiting to run (new, or a retry after `nextRunAt`)
+ * - `running`: claimed by the ingestion worker; `heartbeatAt` is refreshed per batch
+ * - `completed`: every chunk was processed
+ * - `failed`: gave up after `maxAttempts`
+ */
+export type IngestionJobStatus = 'queued' | 'running' | 'completed' | 'failed';
+
+/**
+ * Background vectorization of one uploaded file.
+ * `processedChunks` is the checkpoint: chunks below it are already stored,
+ * so an interrupted job resumes from there instead of starting over.
+ */
+export interface IIngestionJob extends Document {
+  file_id: string;
+  user: Types.ObjectId;
+  entity_id?: string | null;
+  filename: string;
+  mimeType: string;
+  bytes: number;
+  /** Staged copy of the upload, kept until the job finishes */
+  sourcePath: string;
+  status: IngestionJobStatus;
+  totalChunks: number;
+  processedChunks: number;
+  /** Chunks that could not be embedded and were skipped */
+  failedChunks: number;
+  /** Embedding model the stored vectors came from; a resume must use the same model */
+  embeddingModel?: string | null;
+  attempts: number;
+  maxAttempts: number;
+  nextRunAt?: Date | null;
+  heartbeatAt?: Date | null;
+  lastError?: string | null;
+  startedAt?: Date | null;
+  completedAt?: Date | null;
+  createdAt?: Date;
+  updatedAt?: Date;
+}
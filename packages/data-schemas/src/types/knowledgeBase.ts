@@ -0,0 +1,17 @@
+import type { Document, Types } from 'mongoose';
+
+/**
+ * A shareable collection of knowledge entries.
+ * Entries join a knowledge base through `metadata.knowledge_base_id`;
+ * access is granted through ACL entries (`ResourceType.KNOWLEDGEBASE`).
+ */
+export interface IKnowledgeBase extends Document {
+  name: string;
+  description?: string;
+  author: Types.ObjectId;
+  authorName?: string;
+  /** Data source the knowledge base describes, if any */
+  entityId?: string;
+  createdAt?: Date;
+  updatedAt?: Date;
+}
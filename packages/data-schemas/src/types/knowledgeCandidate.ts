@@ -0,0 +1,52 @@
+import type { Document, Types } from 'mongoose';
+
+/**
+ * - `qa`: a thumbs-up answer proposed as a new QA pair
+ * - `flagged`: a thumbs-down answer, kept with the knowledge that was retrieved for it
+ */
+export type KnowledgeCandidateKind = 'qa' | 'flagged';
+
+export type KnowledgeCandidateStatus = 'pending' | 'approved' | 'rejected' | 'resolved';
+
+/** Knowledge entry that was injected into the rated answer's context */
+export interface IKnowledgeCandidateSource {
+  entryId?: string;
+  entryType?: string;
+  title?: string;
+  fileId?: string;
+  score?: number;
+}
+
+/**
+ * An item in the knowledge curation queue, created from feedback on an agent answer.
+ * Admins approve QA candidates into the knowledge base, or reject them.
+ */
+export interface IKnowledgeCandidate extends Document {
+  kind: KnowledgeCandidateKind;
+  status: KnowledgeCandidateStatus;
+  /** User who rated the answer */
+  user: Types.ObjectId;
+  conversationId: string;
+  messageId: string;
+  agentId: string;
+  /** Author of the agent; approved QA pairs are owned by them */
+  agentAuthor?: Types.ObjectId | null;
+  question: string;
+  answer: string;
+  feedback: {
+    rating: 'thumbsUp' | 'thumbsDown';
+    tag?: unknown;
+    text?: string;
+  };
+  retrievedEntries: IKnowledgeCandidateSource[];
+  /** Existing QA pair the question duplicates, found by `checkDuplicateQA` */
+  duplicate?: { entryId: string; question?: string; title?: string } | null;
+  entityId?: string;
+  knowledgeBaseId?: string;
+  reviewedBy?: Types.ObjectId | null;
+  reviewedAt?: Date;
+  /** QA pair created (or matched as a duplicate) on approval */
+  approvedEntryId?: string;
+  createdAt?: Date;
+  updatedAt?: Date;
+}
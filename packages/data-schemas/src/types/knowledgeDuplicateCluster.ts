@@ -0,0 +1,38 @@
+import type { Document, Types } from 'mongoose';
+
+/**
+ * - `pending`: waiting for an admin to merge or dismiss
+ * - `merged`: folded into the canonical entry, the other entries were deleted
+ * - `dismissed`: the entries are not duplicates; the same group is not proposed again
+ */
+export type KnowledgeDuplicateClusterStatus = 'pending' | 'merged' | 'dismissed';
+
+export interface IKnowledgeDuplicateMember {
+  entryId: string;
+  title?: string;
+  /** Highest similarity to another member of the cluster */
+  similarity: number;
+  createdAt?: Date;
+}
+
+/**
+ * A group of near-duplicate knowledge entries found by the dedup scan.
+ * Members always share type, owner scope and data source.
+ */
+export interface IKnowledgeDuplicateCluster extends Document {
+  type: string;
+  status: KnowledgeDuplicateClusterStatus;
+  /** Owner of private entries; null for entries in a shared knowledge base */
+  user?: Types.ObjectId | null;
+  knowledgeBaseId?: string | null;
+  entityId?: string | null;
+  /** Sorted member entry ids, identifies the group across scans */
+  signature: string;
+  members: IKnowledgeDuplicateMember[];
+  /** Suggested entry to keep */
+  canonicalId: string;
+  reviewedBy?: Types.ObjectId | null;
+  reviewedAt?: Date;
+  createdAt?: Date;
+  updatedAt?: Date;
+}
@@ -0,0 +1,40 @@
+import type { Document, Types } from 'mongoose';
+
+export type KnowledgeEntryVersionAction = 'baseline' | 'create' | 'update' | 'restore' | 'delete';
+
+/** Entry fields captured for each version; enough to restore the entry */
+export interface IKnowledgeEntrySnapshot {
+  title: string;
+  content: string;
+  metadata?: Record<string, unknown>;
+  parent_id?: Types.ObjectId | null;
+}
+
+/** A single changed field between two consecutive versions */
+export interface IKnowledgeEntryChange {
+  /** `title`, `content` or `metadata.<key>` */
+  field: string;
+  before?: unknown;
+  after?: unknown;
+}
+
+/**
+ * One recorded mutation of a knowledge entry.
+ * Versions are append-only and kept after the entry is deleted, forming its audit history.
+ */
+export interface IKnowledgeEntryVersion extends Document {
+  entryId: Types.ObjectId;
+  version: number;
+  action: KnowledgeEntryVersionAction;
+  type: string;
+  /** Owner of the entry (not necessarily the author of this change) */
+  user: Types.ObjectId;
+  knowledgeBaseId?: string | null;
+  /** User who made the change */
+  author?: Types.ObjectId | null;
+  snapshot: IKnowledgeEntrySnapshot;
+  changes: IKnowledgeEntryChange[];
+  /** Version the entry was restored from, for `restore` versions */
+  restoredFrom?: number;
+  createdAt?: Date;
+}
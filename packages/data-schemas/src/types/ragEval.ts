@@ -0,0 +1,82 @@
+import type { Types, Document } from 'mongoose';
+
+/** Expected file chunk for a golden question */
+export interface IRagEvalExpectedChunk {
+  fileId: string;
+  chunkIndex?: number;
+}
+
+/** A single golden question */
+export interface IRagEvalQuestion {
+  qid: string;
+  query: string;
+  expectedEntryIds?: string[];
+  expectedChunks?: IRagEvalExpectedChunk[];
+  entityId?: string;
+  types?: string[];
+  fileIds?: string[];
+}
+
+export interface IRagEvalSet extends Document {
+  user: Types.ObjectId;
+  name: string;
+  description?: string;
+  entityId?: string;
+  questions: IRagEvalQuestion[];
+  createdAt?: Date;
+  updatedAt?: Date;
+}
+
+/** Aggregated retrieval metrics for one configuration */
+export interface IRagEvalMetrics {
+  recall: Record<string, number>;
+  mrr: number;
+  ndcg: number;
+  hitRate: number;
+  latency: {
+    mean: number;
+    p50: number;
+    p95: number;
+    max: number;
+  };
+  errors: number;
+}
+
+export interface IRagEvalQuestionResult {
+  qid: string;
+  latencyMs: number;
+  firstRelevantRank: number | null;
+  retrieved: string[];
+  error?: string;
+}
+
+export interface IRagEvalConfigResult {
+  name: string;
+  options: Record<string, unknown>;
+  metrics: IRagEvalMetrics;
+  questions: IRagEvalQuestionResult[];
+  /** Difference from the previous completed run of the same set and configuration */
+  delta?: Partial<Record<'mrr' | 'ndcg' | 'hitRate' | 'latencyP50', number>> | null;
+  regressions?: string[];
+}
+
+export interface IRagEvalEnvironment {
+  embeddingModel?: string;
+  embeddingDimension?: number;
+  defaultReranker?: string;
+  label?: string;
+}
+
+export interface IRagEvalRun extends Document {
+  user: Types.ObjectId;
+  evalSet: Types.ObjectId;
+  setName: string;
+  questionCount: number;
+  status: 'running' | 'completed' | 'failed';
+  error?: string;
+  environment: IRagEvalEnvironment;
+  configurations: IRagEvalConfigResult[];
+  baselineRun?: Types.ObjectId | null;
+  createdAt?: Date;
+  updatedAt?: Date;
+}
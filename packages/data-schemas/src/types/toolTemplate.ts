@@ -0,0 +1,66 @@
+import type { Document, Types } from 'mongoose';
+
+/** Template-driven tool that renders the template (the tool's `name`) */
+export type ToolTemplateTool = 'writing' | 'social' | 'bazi_astrology';
+
+/**
+ * - `import`: imported from the bundled `specs/*-templates` folders
+ * - `custom`: created by an admin
+ */
+export type ToolTemplateSource = 'import' | 'custom';
+
+/** Variable definition, same shape as the tables in `variable-reference.md` */
+export interface IToolTemplateVariable {
+  name: string;
+  description?: string;
+  kind?: 'system' | 'input' | 'format';
+  type?: 'text' | 'number' | 'enum' | 'list';
+  required?: boolean;
+  options?: string[];
+  /** Options are examples only and are not validated */
+  openOptions?: boolean;
+  example?: string;
+}
+
+/** Content captured for a previous version; enough to restore the template */
+export interface IToolTemplateVersion {
+  version: number;
+  content: string;
+  variables: IToolTemplateVariable[];
+  note?: string;
+  author?: Types.ObjectId | null;
+  createdAt?: Date;
+}
+
+/** Empty roles and groups mean the template is visible to everyone */
+export interface IToolTemplateVisibility {
+  roles: string[];
+  groups: Types.ObjectId[];
+}
+
+/**
+ * A template in the admin-managed template library.
+ * Template-driven tools resolve templates from the library first and fall back to bundled files.
+ */
+export interface IToolTemplate extends Document {
+  tool: ToolTemplateTool;
+  name: string;
+  description?: string;
+  category?: string;
+  /** Scenario tags the tools select templates by, e.g. `report`, `food` */
+  scenarios: string[];
+  /** Bundled file path (relative to the project root) the template overrides */
+  path?: string | null;
+  content: string;
+  variables: IToolTemplateVariable[];
+  version: number;
+  /** Previous versions, oldest first */
+  versions: IToolTemplateVersion[];
+  visibility: IToolTemplateVisibility;
+  enabled: boolean;
+  source: ToolTemplateSource;
+  author?: Types.ObjectId | null;
+  updatedBy?: Types.ObjectId | null;
+  createdAt?: Date;
+  updatedAt?: Date;
+}